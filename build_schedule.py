@@ -0,0 +1,252 @@
+"""
+build_schedule.py
+=================
+Builds (or extends) the daily answer schedule in schedule.js from the
+answer lists in words.js.
+
+Each word length gets its own seeded shuffle of its answers, so every
+answer is used once before any repeats and tomorrow's word can't be
+worked out from today's. Answers are written sealed (scrambled with a
+per-day salt, as engine.js's sealWord does) so they can't be read
+straight out of schedule.js. Running the script again never touches days
+already on the schedule: answers added to words.js since the last run
+are shuffled onto the end, and a fresh cycle of the whole list is added
+whenever fewer than DAYS_AHEAD days are left.
+
+Puzzles from before the schedule started were read straight off the
+answer lists. Those lists are frozen into schedule.js the first time this
+runs, so later changes to words.js can't rewrite puzzles already played.
+
+Requirements: Python 3.7+  (no third-party packages needed)
+Usage:        python build_schedule.py              build / extend schedule.js
+              python build_schedule.py --find WORD  list the days WORD is the answer
+"""
+
+import datetime
+import json
+import os
+import random
+import re
+import sys
+
+# ── Configuration ──────────────────────────────────────────────────────────────
+
+SCRIPT_DIR    = os.path.dirname(os.path.abspath(__file__))
+WORDS_JS      = os.path.join(SCRIPT_DIR, "words.js")
+SCHEDULE_JS   = os.path.join(SCRIPT_DIR, "schedule.js")
+
+# Puzzle #0 (matches PUZZLE_EPOCH in script.js)
+PUZZLE_EPOCH  = datetime.date(2021, 6, 19)
+
+# Changing the seed only affects words scheduled from then on
+SEED          = "wordle-daily"
+
+# Keep at least this many days scheduled past today
+DAYS_AHEAD    = 365
+
+# The generated block in schedule.js sits between these two lines
+DATA_START    = "// ── Schedule data (written by build_schedule.py) ──"
+DATA_END      = "// ── End of schedule data ──"
+
+# Written once, just above the schedule data, and never changed after
+LEGACY_START  = "// ── Answers from before the schedule (frozen by build_schedule.py) ──"
+LEGACY_END    = "// ── End of answers from before the schedule ──"
+
+# Must match SEAL_KEY in engine.js
+SEAL_KEY      = "wordle"
+
+TOKENS_PER_LINE = 5
+
+
+# ── Sealing (mirrors engine.js) ───────────────────────────────────────────────
+
+def fnv1a(text: str) -> str:
+    h = 0x811C9DC5
+    for ch in text:
+        h ^= ord(ch)
+        h = (h * 0x01000193) & 0xFFFFFFFF
+    return f"{h:08x}"
+
+
+def seal_byte(salt: str, i: int) -> int:
+    return int(fnv1a(f"{SEAL_KEY}:{salt}:{i}")[-2:], 16)
+
+
+def seal_word(word: str, salt: str) -> str:
+    word = word.upper()
+    return salt + "".join(f"{ord(ch) ^ seal_byte(salt, i):02x}" for i, ch in enumerate(word))
+
+
+def open_word(token: str) -> str:
+    salt = token[:8]
+    return "".join(
+        chr(int(token[i:i + 2], 16) ^ seal_byte(salt, (i - 8) // 2))
+        for i in range(8, len(token), 2)
+    ).lower()
+
+
+# ── Reading ────────────────────────────────────────────────────────────────────
+
+def puzzle_day(date: datetime.date) -> int:
+    return (date - PUZZLE_EPOCH).days
+
+
+def puzzle_date(day: int) -> datetime.date:
+    return PUZZLE_EPOCH + datetime.timedelta(days=day)
+
+
+def read_answers() -> dict:
+    """
+    Pull ANSWERS (5 letters) and ANSWERS_<n> (other lengths) out of words.js.
+    Returns {length: [words]}.
+    """
+    with open(WORDS_JS, encoding="utf-8") as f:
+        source = f.read()
+
+    answers = {}
+    for match in re.finditer(r"const ANSWERS(?:_(\d))? = \[(.*?)\];", source, re.DOTALL):
+        length = int(match.group(1) or 5)
+        answers[length] = re.findall(r'"([a-z]+)"', match.group(2))
+    return answers
+
+
+def read_schedule():
+    """
+    Read the current start day and (opened) word lists from schedule.js.
+    Returns (source, start_day or None, {length: [words]}).
+    """
+    with open(SCHEDULE_JS, encoding="utf-8") as f:
+        source = f.read()
+
+    start = re.search(r"const SCHEDULE_START_DAY = (\d+);", source)
+    lists = re.search(r"const DAILY_SCHEDULE = (\{.*?\n\});", source, re.DOTALL)
+    schedule = {
+        int(length): [open_word(token) for token in tokens]
+        for length, tokens in json.loads(lists.group(1)).items()
+    } if lists else {}
+    return source, int(start.group(1)) if start else None, schedule
+
+
+# ── Extending ──────────────────────────────────────────────────────────────────
+
+def shuffled(words: list, length: int, offset: int) -> list:
+    """Deterministic shuffle, seeded by length and where the words land."""
+    words = sorted(words)
+    random.Random(f"{SEED}:{length}:{offset}").shuffle(words)
+    return words
+
+
+def extend(scheduled: list, pool: list, length: int, days_needed: int) -> list:
+    scheduled = list(scheduled)
+
+    # Answers that have never been scheduled go on the end
+    seen = set(scheduled)
+    new_words = [w for w in pool if w not in seen]
+    if new_words:
+        scheduled += shuffled(new_words, length, len(scheduled))
+        print(f"    {length} letters: {len(new_words)} new answer(s) added")
+
+    # Then whole fresh cycles until the schedule reaches far enough ahead
+    while len(scheduled) < days_needed:
+        scheduled += shuffled(pool, length, len(scheduled))
+        print(f"    {length} letters: new cycle of {len(pool)} added")
+
+    return scheduled
+
+
+# ── Writing ────────────────────────────────────────────────────────────────────
+
+def format_schedule(start_day: int, schedule: dict) -> str:
+    lines = [
+        DATA_START,
+        f"const SCHEDULE_START_DAY = {start_day}; // {puzzle_date(start_day).isoformat()}",
+        "const DAILY_SCHEDULE = {",
+    ]
+    lengths = sorted(schedule)
+    for i, length in enumerate(lengths):
+        # Each day's salt comes from its place on the schedule, so re-runs write the same tokens
+        tokens = [seal_word(w, fnv1a(f"{SEED}:{length}:{j}")) for j, w in enumerate(schedule[length])]
+        lines.append(f'  "{length}": [')
+        for j in range(0, len(tokens), TOKENS_PER_LINE):
+            chunk = ", ".join(f'"{t}"' for t in tokens[j:j + TOKENS_PER_LINE])
+            comma = "," if j + TOKENS_PER_LINE < len(tokens) else ""
+            lines.append(f"    {chunk}{comma}")
+        lines.append("  ]" + ("," if i < len(lengths) - 1 else ""))
+    lines.append("};")
+    lines.append(DATA_END)
+    return "\n".join(lines)
+
+
+def format_legacy(answers: dict) -> str:
+    lines = [LEGACY_START, "const LEGACY_ANSWERS = {"]
+    lengths = sorted(answers)
+    for i, length in enumerate(lengths):
+        tokens = [seal_word(w, fnv1a(f"{SEED}:legacy:{length}:{j}")) for j, w in enumerate(answers[length])]
+        lines.append(f'  "{length}": [')
+        for j in range(0, len(tokens), TOKENS_PER_LINE):
+            chunk = ", ".join(f'"{t}"' for t in tokens[j:j + TOKENS_PER_LINE])
+            comma = "," if j + TOKENS_PER_LINE < len(tokens) else ""
+            lines.append(f"    {chunk}{comma}")
+        lines.append("  ]" + ("," if i < len(lengths) - 1 else ""))
+    lines.append("};")
+    lines.append(LEGACY_END)
+    return "\n".join(lines)
+
+
+def build() -> None:
+    print("[1/3] Reading answers from words.js …")
+    answers = read_answers()
+    for length in sorted(answers):
+        print(f"    {length} letters: {len(answers[length]):,} answers")
+
+    print("[2/3] Extending the schedule …")
+    source, start_day, schedule = read_schedule()
+    today = puzzle_day(datetime.date.today())
+    if start_day is None:
+        # First build: today's word stays as it was, the schedule starts tomorrow
+        start_day = today + 1
+        print(f"    Schedule starts with Wordle {start_day} ({puzzle_date(start_day)})")
+    days_needed = today - start_day + 1 + DAYS_AHEAD
+    schedule = {
+        length: extend(schedule.get(length, []), pool, length, days_needed)
+        for length, pool in answers.items()
+    }
+
+    print("[3/3] Writing schedule.js …")
+    block = format_schedule(start_day, schedule)
+    if LEGACY_START not in source:
+        # First run since pre-schedule puzzles were frozen: keep the lists as they are today
+        block = format_legacy(answers) + "\n\n" + block
+        print("    Answer lists frozen for puzzles before the schedule")
+    pattern = re.compile(re.escape(DATA_START) + ".*?" + re.escape(DATA_END), re.DOTALL)
+    with open(SCHEDULE_JS, "w", encoding="utf-8") as f:
+        f.write(pattern.sub(lambda _: block, source))
+    for length in sorted(schedule):
+        last = start_day + len(schedule[length]) - 1
+        print(f"    ✔  {length} letters scheduled up to Wordle {last} ({puzzle_date(last)})")
+
+
+def find(word: str) -> None:
+    word = word.lower()
+    _, start_day, schedule = read_schedule()
+    days = [start_day + i for i, w in enumerate(schedule.get(len(word), [])) if w == word]
+    if not days:
+        print(f"{word} is not on the schedule")
+        return
+    for day in days:
+        print(f"Wordle {day}  {puzzle_date(day).isoformat()}  {word}")
+
+
+# ── Entry point ────────────────────────────────────────────────────────────────
+
+def main() -> None:
+    if len(sys.argv) == 3 and sys.argv[1] == "--find":
+        find(sys.argv[2])
+    elif len(sys.argv) == 1:
+        build()
+    else:
+        sys.exit(__doc__)
+
+
+if __name__ == "__main__":
+    main()
@@ -2,11 +2,11 @@
 build_wordlist.py
 =================
 Downloads the latest SCOWL (Spell Checker Oriented Word Lists),
-extracts every word file, and produces a clean list of 5-letter
-English words saved as both .txt and .json.
+extracts every word file, and produces a clean list of N-letter
+English words (5 by default, 4–8 supported) saved as both .txt and .json.
 
 Requirements: Python 3.7+  (no third-party packages needed)
-Usage:        python build_wordlist.py
+Usage:        python build_wordlist.py [length]
 """
 
 import json
@@ -26,10 +26,15 @@ GITHUB_API  = "https://api.github.com/repos/en-us/scowl/releases/latest"
 # Hard-coded fallback tarball URL (used when the API is unreachable)
 FALLBACK_URL = "https://github.com/en-us/scowl/archive/refs/heads/master.tar.gz"
 
+# Word length to extract (the game supports 4–8 letters)
+WORD_LENGTH  = int(sys.argv[1]) if len(sys.argv) > 1 else 5
+if not 4 <= WORD_LENGTH <= 8:
+    sys.exit("Word length must be between 4 and 8")
+
 # Output file names (written next to this script)
 SCRIPT_DIR   = os.path.dirname(os.path.abspath(__file__))
-OUT_TXT      = os.path.join(SCRIPT_DIR, "five_letter_words.txt")
-OUT_JSON     = os.path.join(SCRIPT_DIR, "five_letter_words.json")
+OUT_TXT      = os.path.join(SCRIPT_DIR, f"{WORD_LENGTH}_letter_words.txt")
+OUT_JSON     = os.path.join(SCRIPT_DIR, f"{WORD_LENGTH}_letter_words.json")
 
 # SCOWL size levels to include (10–70 = common English; 80–95 = rare/technical)
 # Increase MAX_LEVEL to 95 if you want a larger but noisier word list.
@@ -167,7 +172,7 @@ def extract_words(tarball_path: str) -> list[str]:
 def process_words(raw_words: list[str]) -> list[str]:
     """
     From the raw lines, keep only tokens that are:
-      • Exactly 5 characters long
+      • Exactly WORD_LENGTH characters long
       • Composed solely of ASCII letters (a–z / A–Z)
     Then lowercase, deduplicate, and sort alphabetically.
     """
@@ -196,8 +201,8 @@ def process_words(raw_words: list[str]) -> list[str]:
         except UnicodeEncodeError:
             continue
 
-        # Exactly 5 letters
-        if len(word) != 5:
+        # Exactly WORD_LENGTH letters
+        if len(word) != WORD_LENGTH:
             continue
 
         word_lower = word.lower()
@@ -211,7 +216,7 @@ def process_words(raw_words: list[str]) -> list[str]:
     # Sort alphabetically
     clean.sort()
 
-    print(f"    {len(clean):,} unique 5-letter words retained")
+    print(f"    {len(clean):,} unique {WORD_LENGTH}-letter words retained")
     return clean
 
 
@@ -220,8 +225,8 @@ def process_words(raw_words: list[str]) -> list[str]:
 def save_outputs(words: list[str]) -> None:
     """
     Write the final word list to:
-      - five_letter_words.txt  (one word per line, UTF-8)
-      - five_letter_words.json (JSON array, pretty-printed, UTF-8)
+      - <N>_letter_words.txt  (one word per line, UTF-8)
+      - <N>_letter_words.json (JSON array, pretty-printed, UTF-8)
     """
     print("[5/5] Saving output files …")
 
@@ -241,7 +246,7 @@ def save_outputs(words: list[str]) -> None:
 
 def main() -> None:
     print("=" * 60)
-    print("  SCOWL → 5-Letter Word List Builder")
+    print(f"  SCOWL → {WORD_LENGTH}-Letter Word List Builder")
     print("=" * 60)
 
     # Work inside a temporary directory so we never leave partial downloads
@@ -0,0 +1,459 @@
+/* ===================================================
+   WORDLE – Game Engine
+
+   The rules with no DOM: evaluation, validation, hard
+   mode, win/loss and save data. Loaded as a plain script
+   before script.js in the browser, and with require()
+   under Node:
+
+     const { createGame } = require('./engine.js');
+     const game = createGame({ answer: 'crane', hardMode: true });
+     game.guess('slate');   // → { word, results, solved, status, … }
+     game.state;            // → plain snapshot of the game
+     game.serialize();      // → JSON-safe save, see restoreGame()
+   =================================================== */
+
+// Word lists: globals from words.js in the browser, required under Node
+const ENGINE_WORDS = typeof VALID_WORDS_BY_LENGTH !== 'undefined'
+  ? { VALID_WORDS_BY_LENGTH }
+  : require('./words.js');
+
+// Messages: globals from strings.js in the browser, required under Node
+const ENGINE_TEXT = typeof t !== 'undefined'
+  ? { t, ordinal }
+  : require('./strings.js');
+
+const STATE_PRIORITY = { correct: 3, present: 2, absent: 1 };
+
+// 'hard': greens stay put and yellows must be reused.
+// 'strict': also no greys, no yellow back in a ruled-out spot, no extra copies of a letter.
+const HARD_MODE_LEVELS = ['off', 'hard', 'strict'];
+
+// Accepts a level name or the older true/false setting
+function hardModeLevel(value) {
+  if (HARD_MODE_LEVELS.includes(value)) return value;
+  return value ? 'hard' : 'off';
+}
+
+/* ===================================================
+   EVALUATE
+   =================================================== */
+function evaluateGuess(guess, target) {
+  const result = Array(target.length).fill('absent');
+  const targetArr = target.split('');
+  const guessArr  = guess.split('');
+
+  // First pass: correct
+  for (let i = 0; i < target.length; i++) {
+    if (guessArr[i] === targetArr[i]) {
+      result[i] = 'correct';
+      targetArr[i] = null;
+      guessArr[i] = null;
+    }
+  }
+
+  // Second pass: present
+  for (let i = 0; i < target.length; i++) {
+    if (guessArr[i] === null) continue;
+    const idx = targetArr.indexOf(guessArr[i]);
+    if (idx !== -1) {
+      result[i] = 'present';
+      targetArr[idx] = null;
+    }
+  }
+
+  return result;
+}
+
+/* ===================================================
+   WORD VALIDATION
+   =================================================== */
+// Use Set for O(1) lookup — each length's answers are already inside its valid set
+function isValidWord(word) {
+  const valid = ENGINE_WORDS.VALID_WORDS_BY_LENGTH[word.length];
+  return !!valid && valid.has(word.toLowerCase());
+}
+
+/* ===================================================
+   SEALED ANSWERS
+   Answers only exist in plain text while a guess is being
+   scored and once the game is over. Everywhere else – the
+   daily schedule, game.state and saves – they are sealed:
+   XOR-scrambled with a per-word salt and hex-encoded, with
+   a salted hash to recognise a correct guess. This keeps
+   them out of casual DevTools reach; it can't make them
+   secret, since the client has to score guesses itself.
+   =================================================== */
+const SEAL_KEY = 'wordle';
+
+// 32-bit FNV-1a as 8 hex digits (build_schedule.py has a matching copy)
+function fnv1a(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, '0');
+}
+
+function sealByte(salt, i) {
+  return parseInt(fnv1a(`${SEAL_KEY}:${salt}:${i}`).slice(-2), 16);
+}
+
+// Token: 8-hex-digit salt followed by two hex digits per letter
+function sealWord(word, salt = fnv1a(`${Math.random()}:${Date.now()}`)) {
+  word = word.toUpperCase();
+  let hex = '';
+  for (let i = 0; i < word.length; i++) {
+    hex += (word.charCodeAt(i) ^ sealByte(salt, i)).toString(16).padStart(2, '0');
+  }
+  return salt + hex;
+}
+
+function openWord(token) {
+  const salt = token.slice(0, 8);
+  let word = '';
+  for (let i = 8; i < token.length; i += 2) {
+    word += String.fromCharCode(parseInt(token.slice(i, i + 2), 16) ^ sealByte(salt, (i - 8) / 2));
+  }
+  return word;
+}
+
+// Salted hash of `word`, for checking a guess against a token without opening it
+function sealHash(token, word) {
+  return fnv1a(`${token.slice(0, 8)}:${word.toUpperCase()}`);
+}
+
+// How much an Absurdle pattern gives away: greens count far more than yellows
+function patternReveal(key) {
+  return key.split(',').reduce((sum, s) => sum + (s === 'correct' ? 10 : s === 'present' ? 1 : 0), 0);
+}
+
+/* ===================================================
+   GAME
+   =================================================== */
+// Options:
+//   answer / answers – the word, or one word per board (multi-board)
+//   sealed           – the same as sealWord() tokens (takes the place of answers)
+//   mode             – 'classic' (default) or 'absurdle'
+//   candidates       – Absurdle only: the answer pool it may still pick from
+//   hardMode         – 'hard' / 'strict' (or true): revealed hints must be used (single-board games only)
+//   maxGuesses       – guess limit (default 6; Absurdle has none)
+//   isValidWord      – word-list check (defaults to words.js); answers are always accepted
+//   guesses, hints, forfeited – replayed without validation (see restoreGame)
+function createGame(options = {}) {
+  const mode = options.mode === 'absurdle' ? 'absurdle' : 'classic';
+  // Per board: sealed answer ('' while Absurdle hasn't settled on one) and its hash
+  const sealed = mode === 'absurdle'
+    ? ['']
+    : options.sealed
+      ? options.sealed.slice()
+      : (options.answers || [options.answer]).map(w => sealWord(String(w)));
+  const hashes = sealed.map(token => token && sealHash(token, openWord(token)));
+  let candidates = mode === 'absurdle' ? options.candidates.map(w => w.toUpperCase()) : null;
+  const validate = options.isValidWord || isValidWord;
+
+  const state = {
+    mode,
+    wordLength: mode === 'absurdle' ? candidates[0].length : (sealed[0].length - 8) / 2,
+    maxGuesses: mode === 'absurdle' ? null : (options.maxGuesses || 6), // null = unlimited
+    hardMode:   hardModeLevel(options.hardMode),
+    guesses:    [],                   // submitted words, in order
+    results:    [],                   // per guess, per board: colour pattern (null once that board is solved)
+    solvedAt:   sealed.map(() => -1), // per board: row it was solved on, or -1
+    status:     'playing',            // 'playing' | 'won' | 'lost'
+    constraints: {
+      exactPositions: {},             // pos -> letter  (green)
+      mustContain: [],                // [{letter, minCount}]
+      absent: [],                     // letters not in the word at all (grey)
+      excludedPositions: {},          // letter -> positions it can't be in (yellow / grey duplicate)
+      maxCounts: {}                   // letter -> exact count, once a grey duplicate caps it
+    },
+    letters:    sealed.map(() => ({})), // per board: letter -> best state seen (keyboard colours)
+    hints:      { positions: {}, absent: [] },
+    forfeited:  false                 // lost on time rather than on guesses
+  };
+
+  function isAnswer(word, b) {
+    return !!sealed[b] && sealHash(sealed[b], word) === hashes[b];
+  }
+
+  function unsolvedBoards() {
+    const boards = [];
+    state.solvedAt.forEach((row, b) => { if (row < 0) boards.push(b); });
+    return boards;
+  }
+
+  function recordLetters(board, word, result) {
+    const letters = state.letters[board];
+    result.forEach((s, i) => {
+      if (STATE_PRIORITY[s] > (STATE_PRIORITY[letters[word[i]]] || 0)) letters[word[i]] = s;
+    });
+  }
+
+  // ── Hard mode ──
+  function updateConstraints(word, result) {
+    const { constraints } = state;
+
+    // Track exact positions (green)
+    result.forEach((r, i) => {
+      if (r === 'correct') constraints.exactPositions[i] = word[i];
+    });
+
+    // Track must-contain letters (green + yellow)
+    const freqMap = {};
+    result.forEach((r, i) => {
+      if (r === 'correct' || r === 'present') {
+        freqMap[word[i]] = (freqMap[word[i]] || 0) + 1;
+      }
+    });
+
+    for (const [letter, count] of Object.entries(freqMap)) {
+      const existing = constraints.mustContain.find(c => c.letter === letter);
+      if (!existing) {
+        constraints.mustContain.push({ letter, minCount: count });
+      } else {
+        existing.minCount = Math.max(existing.minCount, count);
+      }
+    }
+
+    // Strict mode: a yellow rules out its own spot, and a grey either rules the letter
+    // out altogether or, next to coloured copies, rules out the spot and caps the count
+    result.forEach((r, i) => {
+      const letter = word[i];
+      if (r === 'present' || (r === 'absent' && freqMap[letter])) {
+        const spots = constraints.excludedPositions[letter] || (constraints.excludedPositions[letter] = []);
+        if (!spots.includes(i)) spots.push(i);
+      }
+      if (r === 'absent') {
+        if (freqMap[letter]) {
+          constraints.maxCounts[letter] = freqMap[letter];
+        } else if (!constraints.absent.includes(letter)) {
+          constraints.absent.push(letter);
+        }
+      }
+    });
+  }
+
+  // Why `word` breaks a known clue, or null. Strict rules apply when `strict` is set.
+  function constraintError(word, strict) {
+    const { constraints } = state;
+    const count = letter => word.split('').filter(l => l === letter).length;
+
+    // Check exact positions
+    for (const [pos, letter] of Object.entries(constraints.exactPositions)) {
+      if (word[+pos] !== letter) {
+        return ENGINE_TEXT.t('engine.mustBeAt', { ordinal: ENGINE_TEXT.ordinal(+pos + 1), letter });
+      }
+    }
+
+    // Check must-contain letters
+    for (const { letter, minCount } of constraints.mustContain) {
+      if (count(letter) < minCount) {
+        return ENGINE_TEXT.t('engine.mustContain', { letter });
+      }
+    }
+
+    if (!strict) return null;
+
+    for (const letter of constraints.absent) {
+      if (word.includes(letter)) return ENGINE_TEXT.t('engine.absent', { letter });
+    }
+
+    for (const [letter, spots] of Object.entries(constraints.excludedPositions)) {
+      const pos = spots.find(i => word[i] === letter);
+      if (pos !== undefined) return ENGINE_TEXT.t('engine.notAt', { letter, ordinal: ENGINE_TEXT.ordinal(pos + 1) });
+    }
+
+    for (const [letter, max] of Object.entries(constraints.maxCounts)) {
+      if (count(letter) > max) return ENGINE_TEXT.t('engine.maxCount', { count: max, letter });
+    }
+
+    return null;
+  }
+
+  function hardModeError(word) {
+    return constraintError(word, state.hardMode === 'strict');
+  }
+
+  // ── Absurdle ──
+  // Groups the remaining candidates by the colour pattern `word` would get against
+  // each of them, keeps the biggest group and returns its pattern. Ties go to the
+  // pattern that gives away the least (fewest greens, then fewest yellows).
+  function absurdleRespond(word) {
+    const buckets = new Map();
+    candidates.forEach(candidate => {
+      const key = evaluateGuess(word, candidate).join(',');
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(candidate);
+    });
+
+    let bestKey = null;
+    buckets.forEach((words, key) => {
+      if (bestKey === null) { bestKey = key; return; }
+      const best = buckets.get(bestKey);
+      if (words.length !== best.length) {
+        if (words.length > best.length) bestKey = key;
+      } else if (patternReveal(key) < patternReveal(bestKey)) {
+        bestKey = key;
+      }
+    });
+
+    candidates = buckets.get(bestKey);
+    return bestKey.split(',');
+  }
+
+  // ── Guessing ──
+  function check(word) {
+    if (state.status !== 'playing') return ENGINE_TEXT.t('engine.gameOver');
+    if (word.length < state.wordLength) return ENGINE_TEXT.t('engine.tooShort');
+    if (word.length > state.wordLength) return ENGINE_TEXT.t('engine.tooLong');
+    if (!validate(word) && !sealed.some((_, b) => isAnswer(word, b))) return ENGINE_TEXT.t('engine.notInList');
+    if (state.hardMode !== 'off' && sealed.length === 1) return hardModeError(word);
+    return null;
+  }
+
+  function play(word) {
+    const row = state.guesses.length;
+    const boards = unsolvedBoards();
+    const results = sealed.map(() => null);
+    if (mode === 'absurdle') {
+      results[0] = absurdleRespond(word);
+    } else {
+      boards.forEach(b => { results[b] = evaluateGuess(word, openWord(sealed[b])); });
+    }
+    state.guesses.push(word);
+    state.results.push(results);
+
+    const solved = [];
+    boards.forEach(b => {
+      recordLetters(b, word, results[b]);
+      if (mode === 'absurdle' && results[b].every(s => s === 'correct')) {
+        sealed[0] = sealWord(word);
+        hashes[0] = sealHash(sealed[0], word);
+      }
+      if (isAnswer(word, b)) {
+        state.solvedAt[b] = row;
+        solved.push(b);
+      }
+    });
+    if (sealed.length === 1) updateConstraints(word, results[0]);
+
+    if (unsolvedBoards().length === 0) {
+      state.status = 'won';
+    } else if (state.maxGuesses !== null && state.guesses.length >= state.maxGuesses) {
+      state.status = 'lost';
+    }
+    return { word, row, boards, results, solved, status: state.status };
+  }
+
+  // ── Hints ──
+  // A revealed letter counts as a known green from then on (hard mode included)
+  function revealLetter(pos) {
+    const letter = openWord(sealed[0])[pos];
+    state.constraints.exactPositions[pos] = letter;
+    state.hints.positions[pos] = letter;
+    recordLetters(0, letter, ['correct']);
+    return letter;
+  }
+
+  function ruleOut(letter) {
+    state.hints.absent.push(letter);
+    if (!state.constraints.absent.includes(letter)) state.constraints.absent.push(letter);
+    recordLetters(0, letter, ['absent']);
+  }
+
+  const game = {
+    // Validates and plays `word`. Returns {error} when the guess is refused.
+    guess(word) {
+      word = String(word).toUpperCase();
+      const error = check(word);
+      return error ? { error } : play(word);
+    },
+
+    // Plain snapshot; changing it does not change the game. `answers` (per board)
+    // stay null until the game is over.
+    get state() {
+      const answers = sealed.map(token => state.status === 'playing' ? null : (token && openWord(token)));
+      return JSON.parse(JSON.stringify({ ...state, answers }));
+    },
+
+    unsolvedBoards,
+    revealLetter,
+    ruleOut,
+
+    // Letters not in the (single-board) answer that the player hasn't tried yet
+    unseenAbsentLetters() {
+      const answer = openWord(sealed[0]);
+      return 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('')
+        .filter(l => !answer.includes(l) && !state.letters[0][l]);
+    },
+
+    // Answers in `pool` that fit every known green, yellow and grey
+    countCandidates(pool) {
+      return pool.filter(word => !constraintError(word.toUpperCase(), true)).length;
+    },
+
+    // Hard mode can only change before the first guess
+    setHardMode(level) {
+      if (state.guesses.length) return false;
+      state.hardMode = hardModeLevel(level);
+      return true;
+    },
+
+    // Ends a game that is still going as a loss (e.g. the clock ran out)
+    forfeit() {
+      if (state.status !== 'playing') return;
+      state.status = 'lost';
+      state.forfeited = true;
+    },
+
+    serialize() {
+      return {
+        mode,
+        wordLength: state.wordLength,
+        maxGuesses: state.maxGuesses,
+        hardMode:   state.hardMode,
+        // Absurdle's answer is recovered by replaying the guesses
+        sealed:     mode === 'absurdle' ? [] : sealed.slice(),
+        guesses:    state.guesses.slice(),
+        hints:      { positions: { ...state.hints.positions }, absent: state.hints.absent.slice() },
+        forfeited:  state.forfeited
+      };
+    }
+  };
+
+  // Replay a saved game: these guesses were accepted once already
+  (options.guesses || []).forEach(word => {
+    if (state.status === 'playing') play(String(word).toUpperCase());
+  });
+  if (options.hints) {
+    Object.keys(options.hints.positions || {}).forEach(pos => revealLetter(+pos));
+    (options.hints.absent || []).forEach(ruleOut);
+  }
+  if (options.forfeited) game.forfeit();
+
+  return game;
+}
+
+// Rebuilds a game from serialize() output. Absurdle saves need `options.candidates`.
+function restoreGame(data, options = {}) {
+  return createGame({
+    ...options,
+    mode:       data.mode,
+    // Saves from before sealing kept plain `answers`
+    sealed:     data.mode === 'absurdle' ? undefined : data.sealed,
+    answers:    data.mode === 'absurdle' ? undefined : data.answers,
+    maxGuesses: data.maxGuesses,
+    hardMode:   data.hardMode,
+    guesses:    data.guesses,
+    hints:      data.hints,
+    forfeited:  data.forfeited
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createGame, restoreGame, evaluateGuess, isValidWord, sealWord, openWord, HARD_MODE_LEVELS
+  };
+}
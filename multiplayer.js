@@ -23,6 +23,9 @@ let mpPlayerId     = '';
 let mpPlayerName   = '';
 let mpIsHost       = false;
 let mpGameMode     = 'classic'; // 'classic' | 'custom'
+let mpWordLength   = 5;       // letters per word for this party (host's choice)
+let mpMaxGuesses   = 6;       // guess limit for this party (host's choice)
+let mpHintsAllowed = true;    // whether players may use hints (host's choice)
 let mpPartyRef     = null;    // Firebase ref for this party
 let mpListeners    = [];      // cleanup fns for all on() listeners
 let mpLocalGuesses = [];      // [{word, result}] for this player this round
@@ -189,11 +192,11 @@ function generatePartyCode() {
    =================================================== */
 async function openMpMenu() {
   if (!(await ensureFirebaseReady())) {
-    showToast(mpLastAuthErrorMessage || 'Multiplayer unavailable right now. Please refresh and try again.');
+    showToast(mpLastAuthErrorMessage || t('mp.unavailable'));
     return;
   }
   // Pre-fill name if returning player
-  const savedName = localStorage.getItem('mp_player_name');
+  const savedName = readStorage(STORAGE_KEY_NAME, '');
   if (savedName) document.getElementById('mp-name-input').value = savedName;
   openModal('mp-join-modal');
 }
@@ -203,24 +206,30 @@ async function openMpMenu() {
    =================================================== */
 async function createParty() {
   if (!(await ensureFirebaseReady())) {
-    showToast(mpLastAuthErrorMessage || 'Failed to connect to Firebase');
+    showToast(mpLastAuthErrorMessage || t('mp.connectFailed'));
     return;
   }
   const rawName = document.getElementById('mp-name-input').value.trim();
   const name = sanitizePlayerName(rawName);
-  if (!name) { showToast('Enter your name'); return; }
+  if (!name) { showToast(t('mp.enterName')); return; }
   document.getElementById('mp-name-input').value = name; // reflect cleaned name
 
   mpPlayerName = name;
   mpPlayerId   = getOrCreatePlayerId();
   mpIsHost     = true;
   mpPartyCode  = generatePartyCode();
-  localStorage.setItem('mp_player_name', name);
+  mpWordLength = preferredWordLength;
+  mpMaxGuesses = preferredMaxGuesses;
+  mpHintsAllowed = true;
+  writeStorage(STORAGE_KEY_NAME, name);
 
   const partyData = {
     host:            mpPlayerId,
     status:          'lobby',
     gameMode:        'classic',
+    wordLength:      mpWordLength,
+    maxGuesses:      mpMaxGuesses,
+    hintsAllowed:    mpHintsAllowed,
     round:           0,
     targetWord:      '',
     wordSetterIndex: 0,
@@ -236,7 +245,7 @@ async function createParty() {
     enterLobby();
   } catch (e) {
     console.error(e);
-    showToast('Failed to create party');
+    showToast(t('mp.createFailed'));
   }
 }
 
@@ -245,29 +254,29 @@ async function createParty() {
    =================================================== */
 async function joinParty() {
   if (!(await ensureFirebaseReady())) {
-    showToast(mpLastAuthErrorMessage || 'Failed to connect to Firebase');
+    showToast(mpLastAuthErrorMessage || t('mp.connectFailed'));
     return;
   }
   const rawName = document.getElementById('mp-name-input').value.trim();
   const name = sanitizePlayerName(rawName);
   const code = document.getElementById('mp-code-input').value.trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
 
-  if (!name) { showToast('Enter your name'); return; }
-  if (code.length !== 6) { showToast('Enter a valid 6-character party code'); return; }
+  if (!name) { showToast(t('mp.enterName')); return; }
+  if (code.length !== 6) { showToast(t('mp.codeInvalid')); return; }
   document.getElementById('mp-name-input').value = name; // reflect cleaned name
 
   mpPlayerName = name;
   mpPlayerId   = getOrCreatePlayerId();
   mpIsHost     = false;
   mpPartyCode  = code;
-  localStorage.setItem('mp_player_name', name);
+  writeStorage(STORAGE_KEY_NAME, name);
 
   try {
     const snap = await db.ref(`parties/${mpPartyCode}`).once('value');
-    if (!snap.exists()) { showToast('Party not found'); return; }
+    if (!snap.exists()) { showToast(t('mp.notFound')); return; }
 
     const party = snap.val();
-    if (party.status !== 'lobby') { showToast('This game is already in progress'); return; }
+    if (party.status !== 'lobby') { showToast(t('mp.inProgress')); return; }
 
     await db.ref(`parties/${mpPartyCode}/players/${mpPlayerId}`).set(mpPlayerObj(mpPlayerName));
     mpPartyRef = db.ref(`parties/${mpPartyCode}`);
@@ -275,7 +284,7 @@ async function joinParty() {
     enterLobby();
   } catch (e) {
     console.error(e);
-    showToast('Failed to join party');
+    showToast(t('mp.joinFailed'));
   }
 }
 
@@ -324,6 +333,36 @@ function listenLobby() {
   });
   mpListeners.push(() => modeRef.off('value', fn2));
 
+  // Word length sync (same idea as game mode)
+  const lengthRef = mpPartyRef.child('wordLength');
+  const fnLen = lengthRef.on('value', snap => {
+    const len = snap.val();
+    if (isSupportedWordLength(len)) {
+      mpWordLength = len;
+      document.getElementById('mp-length-select').value = String(len);
+    }
+  });
+  mpListeners.push(() => lengthRef.off('value', fnLen));
+
+  // Guess limit sync
+  const guessesRef = mpPartyRef.child('maxGuesses');
+  const fnGuesses = guessesRef.on('value', snap => {
+    const n = snap.val();
+    if (isSupportedMaxGuesses(n)) {
+      mpMaxGuesses = n;
+      document.getElementById('mp-guesses-select').value = String(n);
+    }
+  });
+  mpListeners.push(() => guessesRef.off('value', fnGuesses));
+
+  // Hints on/off sync
+  const hintsRef = mpPartyRef.child('hintsAllowed');
+  const fnHints = hintsRef.on('value', snap => {
+    mpHintsAllowed = snap.val() !== false;
+    document.getElementById('mp-hints-select').value = mpHintsAllowed ? 'on' : 'off';
+  });
+  mpListeners.push(() => hintsRef.off('value', fnHints));
+
   // Status — transition out of lobby
   const statusRef = mpPartyRef.child('status');
   const fn3 = statusRef.on('value', snap => {
@@ -351,8 +390,7 @@ function renderLobbyPlayers(players) {
     li.textContent = p.name;
     list.appendChild(li);
   });
-  const n = arr.length;
-  count.textContent = `${n} player${n !== 1 ? 's' : ''} in lobby`;
+  count.textContent = t('mp.lobbyCount', { count: arr.length });
 }
 
 /* ===================================================
@@ -365,12 +403,41 @@ function mpSelectMode(mode) {
   }
 }
 
+function mpSelectWordLength(len) {
+  if (!isSupportedWordLength(len)) return;
+  mpWordLength = len;
+  if (mpPartyRef && mpIsHost) {
+    mpPartyRef.update({ wordLength: len });
+  }
+}
+
+function mpSelectMaxGuesses(n) {
+  if (!isSupportedMaxGuesses(n)) return;
+  mpMaxGuesses = n;
+  if (mpPartyRef && mpIsHost) {
+    mpPartyRef.update({ maxGuesses: n });
+  }
+}
+
+function mpSelectHintsAllowed(allowed) {
+  mpHintsAllowed = allowed;
+  if (mpPartyRef && mpIsHost) {
+    mpPartyRef.update({ hintsAllowed: allowed });
+  }
+}
+
+// Random classic-mode word at the party's word length
+function mpRandomWord() {
+  const pool = ANSWERS_BY_LENGTH[mpWordLength] || ANSWERS;
+  return pool[Math.floor(Math.random() * pool.length)].toUpperCase();
+}
+
 async function mpHostStart() {
   const snap = await mpPartyRef.child('players').once('value');
   const players = snap.val() || {};
   const ids     = Object.keys(players);
 
-  if (ids.length < 2) { showToast('Need at least 2 players'); return; }
+  if (ids.length < 2) { showToast(t('mp.needPlayers')); return; }
 
   // Reset all players
   const resets = {};
@@ -384,7 +451,7 @@ async function mpHostStart() {
   await mpPartyRef.update(resets);
 
   if (mpGameMode === 'classic') {
-    const word = ANSWERS[Math.floor(Math.random() * ANSWERS.length)].toUpperCase();
+    const word = mpRandomWord();
     await mpPartyRef.update({ status: 'playing', targetWord: word, round: firebase.database.ServerValue.increment(1) });
   } else {
     // Shuffle player order for word-setter queue
@@ -416,15 +483,18 @@ async function handleChoosingPhase() {
   mpIsHost = !!(party && party.host && party.host === mpPlayerId);
 
   mpIsWordSetter = (mpPlayerId === setterId);
+  if (isSupportedWordLength(party.wordLength)) mpWordLength = party.wordLength;
+  document.getElementById('mp-secret-word-label').textContent = t('mp.secretLabel', { length: mpWordLength });
+  document.getElementById('mp-secret-word-input').maxLength = mpWordLength;
 
   if (mpIsWordSetter) {
-    document.getElementById('mp-setter-label').textContent = 'You are choosing the secret word';
+    document.getElementById('mp-setter-label').textContent = t('mp.youChoose');
     document.getElementById('mp-word-input-section').style.display = '';
     document.getElementById('mp-word-waiting-msg').style.display   = 'none';
     document.getElementById('mp-secret-word-input').value = '';
   } else {
-    const setterName = (party.players[setterId] || {}).name || 'Someone';
-    document.getElementById('mp-setter-label').textContent = `${setterName} is choosing the secret word…`;
+    const setterName = (party.players[setterId] || {}).name || t('mp.someone');
+    document.getElementById('mp-setter-label').textContent = t('mp.otherChooses', { name: setterName });
     document.getElementById('mp-word-input-section').style.display = 'none';
     document.getElementById('mp-word-waiting-msg').style.display   = '';
   }
@@ -451,7 +521,7 @@ async function handleChoosingPhase() {
     const setterProposedRef = mpPartyRef.child(`players/${setterId}/proposedWord`);
     const relayFn = setterProposedRef.on('value', async snap => {
       const proposed = snap.val();
-      if (!proposed || !/^[A-Za-z]{5}$/.test(proposed)) return;
+      if (!proposed || !/^[A-Za-z]+$/.test(proposed) || proposed.length !== mpWordLength) return;
       setterProposedRef.off('value', relayFn);
 
       const pSnap = await mpPartyRef.child('players').once('value');
@@ -474,7 +544,7 @@ async function handleChoosingPhase() {
 
 async function mpSubmitSecretWord() {
   if (!(await ensureFirebaseReady())) {
-    showToast(mpLastAuthErrorMessage || 'Multiplayer unavailable right now');
+    showToast(mpLastAuthErrorMessage || t('mp.unavailableShort'));
     return;
   }
 
@@ -482,7 +552,7 @@ async function mpSubmitSecretWord() {
     ? firebase.auth().currentUser.uid
     : '';
   if (!authUid) {
-    showToast('Multiplayer session unavailable. Please rejoin the party.');
+    showToast(t('mp.sessionUnavailable'));
     return;
   }
 
@@ -504,22 +574,22 @@ async function mpSubmitSecretWord() {
     mpIsWordSetter = (mpPlayerId === liveSetterId);
   } catch (e) {
     console.error('Failed to refresh chooser state:', e);
-    showToast('Failed to validate chooser state. Please try again.');
+    showToast(t('mp.chooserFailed'));
     return;
   }
 
   if (!mpIsWordSetter) {
     if (previousPlayerId && previousPlayerId !== mpPlayerId && previousPlayerId === liveSetterId) {
-      showToast('Session changed on this device. Rejoin the party to submit the word.');
+      showToast(t('mp.sessionChanged'));
       return;
     }
-    showToast('Waiting for the selected player to submit the word');
+    showToast(t('mp.waitChooser'));
     return;
   }
 
   const word = document.getElementById('mp-secret-word-input').value.trim().toUpperCase();
-  if (word.length !== 5)      { showToast('Word must be exactly 5 letters'); return; }
-  if (!/^[A-Z]+$/.test(word)) { showToast('Word must contain only letters'); return; }
+  if (word.length !== mpWordLength) { showToast(t('mp.wordExact', { count: mpWordLength })); return; }
+  if (!/^[A-Z]+$/.test(word)) { showToast(t('mp.lettersOnly')); return; }
 
   if (amHostNow) {
     // Host can write game state directly
@@ -550,9 +620,9 @@ async function mpSubmitSecretWord() {
     } catch (e) {
       console.error('Failed to propose word:', e);
       if (e && (e.code === 'PERMISSION_DENIED' || e.code === 'permission-denied')) {
-        showToast('Submission denied. Your phone session changed — rejoin the party and try again.');
+        showToast(t('mp.submitDenied'));
       } else {
-        showToast('Failed to submit word. Please try again.');
+        showToast(t('mp.submitFailed'));
       }
       return;
     }
@@ -560,7 +630,7 @@ async function mpSubmitSecretWord() {
     // Switch modal to waiting state
     document.getElementById('mp-word-input-section').style.display = 'none';
     document.getElementById('mp-word-waiting-msg').style.display   = '';
-    document.getElementById('mp-setter-label').textContent         = 'Word submitted! Starting round…';
+    document.getElementById('mp-setter-label').textContent         = t('mp.wordSubmitted');
 
     mpDone = true; // setter watches, doesn't guess
 
@@ -624,13 +694,14 @@ async function startMpRound() {
   mpDone         = false;
   mpIsWordSetter = false;
 
-  // Reset solo board (use practiceMode trick to avoid daily-word pick)
-  practiceMode = true;
-  startGame();
-  practiceMode = false;
+  // Use the party's word length for this round
+  if (isSupportedWordLength(party.wordLength)) mpWordLength = party.wordLength;
+  if (isSupportedMaxGuesses(party.maxGuesses)) mpMaxGuesses = party.maxGuesses;
+  mpHintsAllowed = party.hintsAllowed !== false;
+  applyGameVariant(mpWordLength, mpMaxGuesses, 1);
 
-  // Override targetWord with the multiplayer word
-  targetWord = party.targetWord;
+  // Reset the board with the party's word
+  startGame(party.targetWord);
 
   // Show banner
   renderMpBanner();
@@ -649,8 +720,12 @@ function renderMpBanner() {
     banner.id = 'mp-banner';
     document.querySelector('header').appendChild(banner);
   }
-  const modeLabel = mpGameMode === 'classic' ? 'Classic' : 'Custom Word';
-  banner.textContent = `🎮 ${mpPartyCode}  ·  ${modeLabel}`;
+  banner.textContent = t(mpHintsAllowed ? 'mp.banner' : 'mp.bannerNoHints', {
+    code:    mpPartyCode,
+    mode:    t(mpGameMode === 'classic' ? 'mp.classic' : 'mp.custom'),
+    letters: t('option.letters', { count: mpWordLength }),
+    guesses: t('option.guesses', { count: mpMaxGuesses })
+  });
 }
 
 function removeMpBanner() {
@@ -711,7 +786,7 @@ async function mpMarkDone(won) {
     won,
     guessCount: mpLocalGuesses.length
   });
-  showToast('Waiting for other players…', 60000);
+  showToast(t('mp.waitingOthers'), 60000);
 }
 
 // Returns true if multiplayer is active AND this player is done (to suppress solo UI)
@@ -757,7 +832,7 @@ async function showMpResults() {
     if (p.isWordSetter) {
       const tag = document.createElement('span');
       tag.classList.add('mp-tag');
-      tag.textContent = 'Word setter';
+      tag.textContent = t('mp.wordSetter');
       tdName.appendChild(tag);
     }
 
@@ -767,7 +842,7 @@ async function showMpResults() {
     if (p.isWordSetter) {
       tdCount.textContent = '—';
     } else {
-      tdCount.textContent = p.won ? `${p.guessCount}/6` : 'X/6';
+      tdCount.textContent = p.won ? `${p.guessCount}/${mpMaxGuesses}` : `X/${mpMaxGuesses}`;
       tdCount.classList.add(p.won ? 'mp-won' : 'mp-lost');
     }
 
@@ -851,7 +926,7 @@ async function mpPlayAgain() {
   await mpPartyRef.update(resets);
 
   if (mpGameMode === 'classic') {
-    const word = ANSWERS[Math.floor(Math.random() * ANSWERS.length)].toUpperCase();
+    const word = mpRandomWord();
     // Status change triggers the shared listener → all clients call startMpRound()
     await mpPartyRef.update({ status: 'playing', targetWord: word, round: firebase.database.ServerValue.increment(1) });
   } else {
@@ -890,7 +965,8 @@ async function leaveParty() {
   ['mp-join-modal','mp-lobby-modal','mp-word-modal','mp-results-modal'].forEach(closeModal);
   document.getElementById('mp-watching-overlay').classList.remove('visible');
   removeMpBanner();
-  showToast('Left party');
+  restoreSoloGame();
+  showToast(t('mp.left'));
 }
 
 function cleanupMp() {
@@ -968,15 +1044,21 @@ function renderLiveBoards(players, spectatorMode, container) {
     }
     card.appendChild(nameEl);
 
-    // Mini board grid
+    // Mini board grid (screen readers get the summary line instead)
     const boardEl = document.createElement('div');
     boardEl.classList.add('mp-live-board');
+    boardEl.setAttribute('aria-hidden', 'true');
 
     // Sort guesses by row index
     const guessEntries = Object.entries(player.guesses || {}).sort((a,b) => +a[0] - +b[0]);
     const guessCount = guessEntries.length;
 
-    for (let r = 0; r < MAX_GUESSES; r++) {
+    const summaryEl = document.createElement('span');
+    summaryEl.className = 'sr-only';
+    summaryEl.textContent = liveBoardSummary(player, guessEntries.map(([, g]) => g), spectatorMode);
+    card.appendChild(summaryEl);
+
+    for (let r = 0; r < maxGuesses; r++) {
       const rowEl = document.createElement('div');
       rowEl.classList.add('mp-live-row');
 
@@ -985,7 +1067,7 @@ function renderLiveBoards(players, spectatorMode, container) {
         const g = guessEntries[r][1];
         const resultArr = (g.result || '').split(',');
         const wordArr   = (g.word   || '').split('');
-        for (let c = 0; c < WORD_LENGTH; c++) {
+        for (let c = 0; c < wordLength; c++) {
           const rawState = resultArr[c] || 'absent';
           const state = VALID_STATES.has(rawState) ? rawState : 'absent';
           const tile  = document.createElement('div');
@@ -997,7 +1079,7 @@ function renderLiveBoards(players, spectatorMode, container) {
       } else if (r === guessCount && !player.done) {
         // Active row — spectator sees live typing; regular players see blank
         const typing = (player.typing || '');
-        for (let c = 0; c < WORD_LENGTH; c++) {
+        for (let c = 0; c < wordLength; c++) {
           const tile = document.createElement('div');
           tile.classList.add('mp-live-tile');
           if (spectatorMode && typing[c]) {
@@ -1011,7 +1093,7 @@ function renderLiveBoards(players, spectatorMode, container) {
         }
       } else {
         // Empty future rows
-        for (let c = 0; c < WORD_LENGTH; c++) {
+        for (let c = 0; c < wordLength; c++) {
           const tile = document.createElement('div');
           tile.classList.add('mp-live-tile');
           rowEl.appendChild(tile);
@@ -1026,6 +1108,25 @@ function renderLiveBoards(players, spectatorMode, container) {
   });
 }
 
+// "3 of 6 guesses, last guess 2 correct 1 present, typing" — letters only for the word setter
+function liveBoardSummary(player, guesses, spectatorMode) {
+  const parts = [t('mp.liveGuesses', { used: guesses.length, count: maxGuesses })];
+  const last = guesses[guesses.length - 1];
+  if (last) {
+    const states = (last.result || '').split(',');
+    const counts = t('mp.liveCounts', {
+      correct: t('mp.liveCorrect', { count: states.filter(s => s === 'correct').length }),
+      present: t('mp.livePresent', { count: states.filter(s => s === 'present').length })
+    });
+    parts.push(spectatorMode && last.word
+      ? t('mp.liveLastWord', { word: last.word, counts })
+      : t('mp.liveLast', { counts }));
+  }
+  if (player.done) parts.push(t(player.won ? 'mp.liveSolved' : 'mp.liveOut'));
+  else if (player.typing) parts.push(t('mp.liveTyping'));
+  return parts.join(t('mp.liveJoin'));
+}
+
 function removeLiveBoards() {
   const a = document.getElementById('mp-live-boards');
   const b = document.getElementById('mp-spectator-boards');
@@ -0,0 +1,1281 @@
+/* ===================================================
+   WORDLE – Daily Answer Schedule
+
+   Which answer belongs to which daily puzzle. Each word
+   length has its own seeded shuffle of its answers (see
+   build_schedule.py), so every answer comes up once
+   before any repeats and the next word can't be read off
+   the alphabetical list. Puzzles from before the schedule
+   started keep the word they always had, read from a frozen
+   copy of the answer lists. Answers are stored and handed
+   out sealed (see engine.js).
+
+   Runs as a plain script after words.js in the browser,
+   and under Node for archive tooling:
+
+     const { dailyAnswers, answerDays } = require('./schedule.js');
+     dailyAnswers(2000, 5);   // → ['…']  one sealed answer per board
+     answerDays('crane');     // → puzzle numbers it falls on
+   =================================================== */
+
+// Sealing: globals from engine.js in the browser, required under Node
+const SCHEDULE_SEAL = typeof sealWord !== 'undefined'
+  ? { sealWord, openWord }
+  : require('./engine.js');
+
+// Days between the puzzles whose words a scheduled multi-board game reuses
+const BOARD_DAY_OFFSET = 53;
+
+// Sealed single-board answer for daily puzzle `day`
+function dailyWord(day, length) {
+  if (day < SCHEDULE_START_DAY) {
+    const pool = LEGACY_ANSWERS[length];
+    return pool[((day % pool.length) + pool.length) % pool.length];
+  }
+  // Wraps round if build_schedule.py hasn't been re-run in time
+  const schedule = DAILY_SCHEDULE[length];
+  return schedule[(day - SCHEDULE_START_DAY) % schedule.length];
+}
+
+// Sealed answers for daily puzzle `day`, one per board (open them with openWord)
+function dailyAnswers(day, length, boards = 1) {
+  const answers = [];
+  if (day < SCHEDULE_START_DAY) {
+    // Before the schedule: boards read the alphabetical pool at evenly spaced offsets
+    // (for a single board the offset wraps to 0, i.e. the classic daily word)
+    const pool = LEGACY_ANSWERS[length];
+    const spacing = Math.floor(pool.length / boards);
+    for (let b = 0; b < boards; b++) {
+      answers.push(pool[(((day + (b + 1) * spacing) % pool.length) + pool.length) % pool.length]);
+    }
+    return answers;
+  }
+
+  // Board 0 is the day's own word; extra boards take the words of earlier puzzles,
+  // BOARD_DAY_OFFSET days apart, so extending the schedule never changes them and
+  // they never give away a word still to come. A word already on the board is skipped.
+  const words = [];
+  for (let from = day; answers.length < boards; from -= BOARD_DAY_OFFSET) {
+    const token = dailyWord(from, length);
+    const word = SCHEDULE_SEAL.openWord(token);
+    if (words.includes(word)) continue;
+    words.push(word);
+    answers.push(token);
+  }
+  return answers;
+}
+
+// Puzzle numbers up to `lastDay` (by default the end of the schedule) on which
+// `word` is the single-board daily answer, found the way dailyAnswers finds them
+function answerDays(word, lastDay) {
+  const schedule = DAILY_SCHEDULE[word.length];
+  if (!schedule) return [];
+  const last = lastDay !== undefined ? lastDay : SCHEDULE_START_DAY + schedule.length - 1;
+  const days = [];
+  for (let day = 0; day <= last; day++) {
+    if (SCHEDULE_SEAL.openWord(dailyWord(day, word.length)) === word.toUpperCase()) days.push(day);
+  }
+  return days;
+}
+
+// ── Answers from before the schedule (frozen by build_schedule.py) ──
+const LEGACY_ANSWERS = {
+  "4": [
+    "12456d079804ff65", "11456b74bdc371fa", "1445702d60dcbe29", "13456e9a27ab0d8a", "0e4566bbc74e21aa",
+    "0d456528a83c871c", "104569e1a9195d32", "0f45684e3044029b", "0a45606f22b2c852", "09455edcb7239c79",
+    "7447dc0c2abecf73", "7547dd9faa3e4bef", "7647df32e7572cb8", "7747e0c5ae365ee9", "7047d5c0069e24b9",
+    "7147d753a03ce80a", "7247d8e65332a40f", "7347da79b4c58526", "7c47e8a4af158660", "7d47ea37f20c9230",
+    "064f7da7bf25980f", "054f7c14fa049125", "084f80cd910fab23", "074f7f3ade60961d", "024f775ba90d5d35",
+    "014f75c8769208b4", "044f7a81e5419e63", "034f78ee3a52ca74", "fe4f710fdc4d897e", "fd4f6f7cdb6af314",
+    "004d359edf6e9011", "014d373110812ba3", "fe4d3278fe6bc441", "ff4d340bd84d8d62", "044d3bea3aa31d94",
+    "054d3d7daa1e8a60", "024d38c4738a02b0", "034d3a57148828a8", "f84d2906a01c5c33", "f94d2a998f10b6c0",
+    "02406cd1df608e11", "01406b3e7ee55ac1", "004069ab63fc169c", "ff4068187ee547dd", "0640731dfc63b717",
+    "0540718af506c377", "04406ff7ea43d1b5", "03406e6410a62848", "fa4060392d9711fb", "f9405ea68a20fc7a",
+    "fc3e24c89422a2cc", "fd3e265b9b094436", "fe3e27eee27cc15f", "ff3e298124b6c74b", "003e2b141b89c0bf",
+    "013e2ca756e0a92f", "023e2e3a0df370db", "033e2fcd1ca23b55", "f43e1830b6cc9f1c", "f53e19c3fb65b619",
+    "6e4594034cd46084", "6d459270239bc2a8", "704597291b83d2bc", "6f459596e86d9332", "72459a4f58fd0782",
+    "714598bc73f6129a", "74459d75ef4d9c7c", "73459be28b69b832", "7645a09bb6d09806", "75459f08ff0cd76f",
+    "88437e5ac8bb3491", "89437feddd6aed05", "86437b343aadf64b", "87437cc7b3cd9726", "8443780e8a78bc36",
+    "854379a16b8d5bde", "824374e806e62c98", "8343767ba32f8501", "804371c214a46ffa", "81437355ee7a8d35",
+    "8a36b58d77df4234", "8936b3fae078c941", "8836b2679622bac5", "8736b0d4d266e800", "8636af41278f68fc",
+    "8536adae1d89d5ab", "8436ac1bb2c25bff", "8336aa883242df69", "8236a8f56fd3463c", "8136a7622ebecb75",
+    "84346d848171a116", "85346f17ac388803", "863470aa748c40da", "8734723de47c3043", "803467380bf36bd9",
+    "813468cb9777e55c", "82346a5e364ad86c", "83346bf1df4f21a5", "7c3460ec5737b915", "7d34627fa11d5e32",
+    "491fb2747fef45c5", "4a1fb40717f26adf", "4b1fb59ada638301", "4c1fb72d9b06f273", "451fac28861fa92e",
+    "461fadbbec72c85c", "471faf4e2eb4c165", "481fb0e1e35d30b8", "411fa5dc138d7dd1", "421fa76f259fdca4",
+    "4f21fa7d61c608ff", "4e21f8eaee69812c", "4d21f757c242e671", "4c21f5c4aa2a5ce1", "4b21f431d045f464",
+    "4a21f29e395015ae", "4921f10b38adf357", "4821ef7854c96bea", "4721ede5ae1f9575", "4621ec52d97d394f",
+    "352410268a75e951", "362411b959feb7cf", "33240d00c97329a2", "34240e9303852faa", "39241672dd7f3b50",
+    "3a241805f20cd76c", "3724134cdb41f074", "382414dfcc56e67b", "3d241cbe769054e7", "3e241e51cc56e479",
+    "bb2721af970d4b35", "ba27201c6ef852d7", "bd2724d59e28e20e", "bc2723425bc16de3", "b7271b63c25c32b2",
+    "b62719d0e35d907a", "b9271e89f95bcaaa", "b8271cf64f316cce", "c3272e476fd101fe", "c2272cb435af1b94",
+    "b115c8d0de6c2246", "b215ca6397054137", "b315cbf61ea0778b", "b415cd89b6d89427", "b515cf1c9022b0c5",
+    "b615d0af2b9fc5b2", "b715d2426bdf05f3", "b815d3d5b4c06ff0", "b915d56824b0c260", "ba15d6fbf763b606",
+    "b71810d93e4605b1", "b6180f46c7a9f267", "b5180db3592ba51f", "b4180c209a30e26b", "bb1817258725ed7a",
+    "ba1815925eca7ee2", "b91813ff3b4b0a90", "b818126cec5c2ba3", "bf181d71bbd18912", "be181bde48da9521",
+    "bd1a58e26afc0d9c", "be1a5a752589d852", "bb1a55bc3fb701f7", "bc1a574ffb4bd8ac", "b91a52964233a61e",
+    "ba1a5429fe67caac", "b71a4f70718844f3", "b81a5103a6138b78", "c51a657a8673e950", "c61a670d21b40a90",
+    "c31ca0eb394b0988", "c21c9f5876e458d3", "c51ca411b527900b", "c41ca27ee200cc42", "c71ca737861ced79",
+    "c61ca5a420bedc61", "c91caa5d61db5420", "c81ca8caf40a8a34", "bb1c9453eb559763", "ba1c92c0178dc0aa",
+    "393320fc31af1682", "3a33228f6ef0badb", "3b3324222f95c7b2", "3c3325b5b6c49123", "35331ab014a23854",
+    "36331c4350e60481", "37331dd69103fc61", "38331f69b1239901", "41332d94a83e44d6", "42332f274d27881c",
+    "3f356905e153d1b1", "3e35677220b0d361", "3d3565df2eba7d81", "3c35644c1787c2a5", "3b3562b9a2ce861c",
+    "3a35612607f73e95", "39355f9365d94c20", "38355e001f8f2aa3", "4735759d364207b3", "4635740ad464e814",
+    "8622b4b5bf355acd", "8522b3220f9458ea", "8422b18f9407fa6c", "8322affc9a05b424", "8222ae697ae5168f",
+    "8122acd61a8533b3", "8022ab43c15ee00e", "7f22a9b0de45f868", "8e22c14d00ff62c0", "8d22bfba8279a727",
+    "80206cac2a9dc1bf", "81206e3f9a0db32e", "82206fd25dea788c", "8320716575841ab4", "7c206660c554fc04",
+    "7d2067f356c712fa", "7e206986ae1f5f33", "7f206b19268dd2b6", "882079448d06b52d", "89207ad724bc0992",
+    "12280e479b07ee4e", "11280cb4e753c0bb", "1428116d0feb5ecc", "13280fdafb67d7a8", "0e2807fb7c8c4fda",
+    "0d280668de6af80c", "10280b21ac3af20a", "0f28098e903eec0e", "0a2801af5dd574e4", "0928001c0cf22c8f",
+    "8c24fcbeec5d8062", "8d24fe51e456927b", "8a24f99864d61de7", "8b24fb2b11bf6c84", "9025030aaf2343d7",
+    "9125049d17bd3b43", "8e24ffe40d8259eb", "8f250177d052e572", "8424f026ee10df6e", "8524f1b963e11082",
+    "0e18fd7172f4b5c1", "0d18fbde34b6c34f", "0c18fa4bb513ed67", "0b18f8b89977f144", "121903bd284acd65",
+    "1119022a61df5f30", "10190097098372eb", "0f18ff0445cbac17", "0618f0d9149e26b8", "0518ef461df369c0",
+    "0816b568921ccc6a", "0916b6fb1a9165f9", "0a16b88ea32c58df", "0b16ba216fe02093", "0c16bbb4b239f31b",
+    "0d16bd47fe0ddd5c", "0e16beda64881fa0", "0f16c06d56d6a527", "0016a8d000ac3a45", "0116aa6323afd64a",
+    "7a1e24a38a22fb15", "791e23109616f267", "7c1e27c9ddb53480", "7b1e2636dc4afe09", "7e1e2aef5ef4ba3e",
+    "7d1e295c7e945bd3", "801e2e15be095cd6", "7f1e2c8272f2059c", "821e313b79d918f0", "811e2fa8f478d256",
+    "141b457a75d519ff", "151b470d648c51e7", "121b42549777de40", "131b43e7668216b4", "101b3f2eb23655cd",
+    "111b40c1a52d59cf", "0e1b3c082e46ec72", "0f1b3d9bd5bdfe5f", "0c1b38e28e2651de", "0d1b3a756fe556c0",
+    "960f462d5d3379e7", "950f449a8e204ed9", "940f4307dbb92c9d", "930f4174f27c890d", "920f3fe1aeda6ef0",
+    "910f3e4e339b68e0", "900f3cbb5c3d73e7", "8f0f3b28522f920c", "8e0f3995ca4738a5", "8d0f380246c3a319",
+    "100c34a44bea7394", "110c36372d500eae", "120c37ca09ae7589", "130c395dcd743d40", "0c0c2e58ed14dd66",
+    "0d0c2feb9316a337", "0e0c317e7bfe02a7", "0f0c33119e7feb58", "080c280c2f4aec71", "090c299fadd4963f",
+    "278b80eaf65a36bc", "288b827d40c876f6", "258b7dc4e66ac0ab", "268b7f57dabe3684", "238b7a9e1aff67d5",
+    "248b7c313fb6d56b", "218b7778f37a921c", "228b790b9510fa76", "1f8b745228a4e85e", "208b75e5c36ff91e",
+    "0d8d96938a09f574", "0c8d9500e251c7bc", "0f8d99b978d71cfb", "0e8d9826638c19a7", "118d9cdf39b21683",
+    "108d9b4c5a26ac04", "138da00567931bb4", "128d9e72fd15cd4b", "158da32bafdb6de5", "148da1986b9e1db9",
+    "9b862758d2bb129c", "9c8628ebb607ed69", "9d862a7e5cda6584", "9e862c11ff599d75", "9f862da42442d862",
+    "a0862f37eb6db517", "a18630ca51338c07", "a286325d2fade043", "93861ac0ad239f0c", "94861c53c1472198",
+    "218938e19177cd41", "2089374e6a944bff", "1f8935bbbac4900f", "1e893428ee05d569", "25893f2d9b74b436",
+    "24893d9a2a591da6", "23893c072dae168e", "22893a7452d1a52a", "19892c499b74bc2c", "18892ab655279e0c",
+    "9f95382e75c7b724", "a09539c179d34a31", "9d9535088905fb60", "9e95369b109825b6", "a3953e7a54dc71f7",
+    "a495400df55c3ab8", "a1953b54f667394a", "a2953ce7c5ac2288", "97952b96a33648cf", "98952d29fe68ca52",
+    "a5978037920cf27d", "a4977ea4265c1c9a", "a797835d57d29036", "a69781ca73f749c7", "a19779eb1ee83e90",
+    "a097785840d1aa18", "a3977d11b6034c24", "a2977b7eda5ee01c", "9d97739f5cdcb723", "9c97720c9c18f66e",
+    "9390a81cb43cff0a", "9490a9af41cd78fd", "9590ab42c268ee08", "9690acd5a02554de", "8f90a1d03c99ddb5",
+    "9090a36316ef57c4", "9190a4f6a3c654f9", "9290a6892742c464", "9b90b4b43fbadc6f", "9c90b64719a07bf3",
+    "9992f0252746d77b", "9892ee92a2278a77", "9792ecff028763d0", "9692eb6cadc89a33", "9592e9d97df856d2",
+    "9492e84678d90696", "9392e6b3e656caac", "9292e5201d9561f9", "a192fcbdbd358b1a", "a092fb2a8a03f361",
+    "1777e002008d3baf", "1877e195d6a7178c", "1577dcdca5cc8013", "1677de6f73fe0499", "1377d9b64cc10feb",
+    "1477db498b2650d0", "1177d690e657d8bd", "1277d823971ab531", "1f77ec9aa6179f70", "2077ee2dcd622643",
+    "1d7a280bf8538707", "1c7a2678ce4921ab", "1f7a2b31f64129a6", "1e7a299e523d70cc", "217a2e57c3622155",
+    "207a2cc43eb2d852"
+  ],
+  "5": [
+    "9ba386185befb6c297", "9ca387ab49d96c8e00", "9da3893ea93947e571", "9ea38ad119a93155e1", "9fa38c64cf6327a98e",
+    "a0a38df7b1c159ff79", "a1a38f8a8874f64350", "a2a3911d47dbb92001", "93a3798017aa7886e6", "94a37b13cf6227a994",
+    "306e7901da4b9367a3", "2f6e776ebdcc77e1f5", "2e6e75db51e7778e19", "2d6e74483b4911b77a", "346e7f4dc0aa168199",
+    "336e7dba3aacee4c82", "326e7c27fe68aa0227", "316e7a948b19eb653b", "286e6c6956c072f885", "276e6ad6da4c9462b3",
+    "3670c10a7aee358bd5", "3770c29db62354c6ee", "3470bde42c9d0efa66", "3570bf775ecb0afc8a", "3270babe0d98204045",
+    "3370bc51831dd96e32", "3070b79845db6beff5", "3170b92ba53b48c8d5", "2e70b4728e70b030d7", "2f70b605a73589117b",
+    "9c73a033229cc0b3e1", "9b739ea0a13f4fd269", "9e73a359b5cb53eae6", "9d73a1c60b916de1bb", "a073a67fba246dcb1e",
+    "9f73a4ec738940d0b2", "a273a9a5be2069dde4", "a173a812c55be67261", "a473accb7d832db3a4", "a373ab3849d7618f11",
+    "a275e83c17a57f8de5", "a375e9cf54cea0138f", "a475eb628917a1d450", "a575ecf5f46edbbd3b", "9e75e1f06df306a0b2",
+    "9f75e383b9c65feb01", "a075e5165ffcbace38", "a175e6a938ab118c80", "aa75f4d4a338f901d2", "ab75f6674bd0ad24ed",
+    "a8783045314ec665f9", "a7782eb24dd2679685", "a6782d1f02fe2e93c3", "a5782b8cef0fcf5ea8", "a47829f911ad3145d9",
+    "a3782866e65a8a6802", "a27826d362de00fb2a", "a178254063fbb5dc93", "b0783cdd18887de5fd", "af783b4a59e5689828",
+    "2e7b41ce78f643ccc0", "2f7b436152d069ea06", "2c7b3ea8fc7ac54b3f", "2d7b403b21a1c256fe", "327b481a719113a73d",
+    "337b49ad9212be335a", "307b44f46bef4dc49b", "317b46873d5ded7871", "267b35364ff3a7281f", "277b36c914907ddd50",
+    "347d89d761e1159622", "337d88442e8fdd476d", "367d8cfdfa7ba80a42", "357d8b6ac34617aa61", "307d838b60dda82d39",
+    "2f7d81f85dfb0d9b95", "327d86b176f00983a8", "317d851e9d3a46dcc4", "2c7d7d3fbdd963fcfc", "2b7d7bace96d8b33a0",
+    "1a58901008e06cd9d1", "1b5891a3cf7629b09f", "1c5893363f4619b98e", "1d5894c98a6fb00c52", "1e58965c63e2bada9a",
+    "1f5897ef02ea3c84ca", "205899822b9700fffb", "21589b1531a1dd41fa", "22589ca8c05418a36f", "23589e3b65d50aff97",
+    "205ad819ce5ef90012", "1f5ad686d9498a6ba3", "1e5ad4f3178361d646", "1d5ad36064f852d437", "245ade65ee7e802a2e",
+    "235adcd2e2729510af", "225adb3f31a1ca4ff3", "215ad9acf408c36a4c", "285ae4b13c500ca882", "275ae31e937bea5b55",
+    "6ee8c823e878c5451a", "6de8c69077e74e2fbd", "70e8cb4964fc45d03a", "6fe8c9b601f52098c8", "72e8ce6f48d8ad30fb",
+    "71e8ccdc9e2a4ed9d5", "74e8d19563cbb72434", "73e8d002c1b5e55998", "76e8d4bb08986af4b6", "75e8d328ea7e9c33ad",
+    "08e5e8fa5aee6c852c", "09e5ea8d5fc3b52894", "06e5e5d46ef600a6a8", "07e5e76750ecbf3088", "04e5e2ae8b7ae2535e",
+    "05e5e44107fe5ec8bc", "02e5df88821fa73449", "03e5e11bde63831b14", "00e5dc628b7ae25e5e", "01e5ddf58415e16046",
+    "02e3a0f156eb7b978d", "01e39f5e56eb7f8c83", "00e39dcbb4c5952d06", "ffe39c38cbba268386", "06e3a73d158834b958",
+    "05e3a5aa6fd64e20bb", "04e3a41771ec168534", "03e3a284b6cb55e2ec", "fae3945962ff099621", "f9e392c60ff668c34f",
+    "fce158e8a914443871", "fde15a7b73d25e3629", "fee15c0ee475d541a6", "ffe15da109f4248ddf", "00e15f3466f80b8f9c",
+    "01e160c78977b00d43", "02e1625a62fc018c3f", "03e163ede15f8665bb", "f4e14c509426e2027a", "f5e14de36bd9503f38",
+    "06f2b1c735abc94963", "05f2b0343648cf6a60", "08f2b4ed07fd47c9ab", "07f2b35ac0471dac73", "02f2ab7b3c4319a28e",
+    "01f2a9e89c23f9006f", "04f2aea124ab019df6", "03f2ad0eb7308e6aec", "fef2a52f4b24a2071b", "fdf2a39c0a892b40d0",
+    "80efa03e12b13348d7", "81efa1d1a90a543b73", "7eef9d189f18fe66d4", "7fef9eab532ca21c18", "84efa68a57d0a6128c",
+    "85efa81d7c8351e5c1", "82efa36457d0a60f82", "83efa4f740c79326fa", "78ef93a61f9878ef54", "79ef9539a90a5e317c",
+    "7aed5835b4db9f2c06", "79ed56a2e94a9e6abf", "78ed550f3e5ded627e", "77ed537ca90d553972", "76ed51e96c9444dc3f",
+    "75ed505637b703f070", "74ed4ec39b13e16c7c", "73ed4d3020a06e8142", "82ed64cd2aaedc72e0", "81ed633a9115aa2e46",
+    "74eb102cf61283283a", "75eb11bfdc4d87731f", "76eb135260d10bff21", "77eb14e57b8a1cbdc1", "70eb09e0ab3a4ae460",
+    "71eb0b73228f76ede1", "72eb0d069124e17ac9", "73eb0e9905986ef2de", "7ceb1cc47b8a10b5dd", "7deb1e5717a6344246",
+    "fed4901b66d3af298b", "fdd48e88a0115b2476", "00d49341cebb358204", "ffd491ae354804a08a", "02d4966777860fa1a3",
+    "01d494d47f8e37a6b5", "04d4998d47d26efcea", "03d497faa935851ed0", "f6d48383ed09c952a8", "f5d481f045d1a13f19",
+    "f8d24812f256cab7ae", "f9d249a5738b17bb38", "f6d244ec17af3b5f45", "f7d2467f4fd773968d", "f4d241c6ef77972430",
+    "f5d24359b5c1952216", "f2d23ea0aa1e86737e", "f3d24033de4232a11a", "00d254aa847ca81f29", "01d2563d3ca4e04160",
+    "ed802e4e168a6acf5d", "ee802fe1811dd56332", "eb802b280cf43cae4f", "ec802cbb02e652c5dd", "f180349a7d9957e2d8",
+    "f280362d7aef5dc3cd", "ef803174e17c2a4615", "f0803307a0195f3f63", "e58021b69272ea5150", "e6802349ee56c6b931",
+    "f38276578d2de96852", "f28274c45be77f8234", "f582797d19a175945d", "f48277ead5653542ac", "ef82700b51e9a93e94",
+    "ee826e78db67fb17b0", "f1827331e854946cbc", "f082719e972bb3cec3", "eb8269bff901dd6128", "ea82682c70ec108b3d",
+    "617ad4bc3f43eb7b77", "627ad64f35451fa289", "637ad7e274e81289a0", "647ad9752498c2b45e", "5d7ace70e77b850e1d",
+    "5e7ad0034e36a80089", "5f7ad196be269811f5", "607ad3295be7718430", "697ae1542fb3dd726e", "6a7ae2e7bfc377f6fb",
+    "677d1cc5f109d95236", "667d1b32a01c5c3864", "657d199f6ad942333d", "647d180c483770cd03", "637d1679d2b1298a9c",
+    "627d14e6249bceb55a", "617d13534fd07f8094", "607d11c0f506dd6a41", "6f7d295d422196050c", "6e7d27ca2c93db416b",
+    "f575ad8a269d6ded55", "f675af1d77880faea0", "f375aa64e65d2aab11", "f475abf7932ca3c748", "f175a73eb82774dc13",
+    "f275a8d1ab3458e466", "ef75a418ceb5319115", "f075a5ab3eb816877a", "ed75a0f2add3891d6e", "ee75a28553f177840c",
+    "5b788cb33755db636d", "5a788b20d456fc7903", "5d788fd96ac4422630", "5c788e469b39bfc668", "5f7892ff0ee866ce58",
+    "5e78916c759b55e2c9", "61789625d57b3546a9", "6078949246209a09e9", "6378994b719749ccb2", "627897b8ec4e9c0f26",
+    "e9711d7841c79522e6", "ea711f0b268076ff49", "eb71209ed650209d02", "ec7122315de3b7d839", "ed7123c4a80a5e2973",
+    "ee712557d650208b07", "ef7126ea40227cd20a", "f071287de6402aa915", "e17110e0ff1db72638", "e27112738705bf2e2c",
+    "ef736581d650368c1d", "ee7363ee2481dfb642", "ed73625b8d34fa6d5f", "ec7360c8d5bf228b84", "f3736bcd58ee0c9695",
+    "f2736a3ac9bb299018", "f17368a72791d3b3eb", "f0736714dc6eff1db0", "e77358e94b3976e38f", "e6735756c456e57895",
+    "5d6bc3e64ae4ab3403", "5e6bc579384ae16769", "5b6bc0c065cbb72934", "5c6bc2536fdd1dea36", "616bca323a5408a49e",
+    "626bcbc59705ab2446", "5f6bc70c0e9872feb2", "606bc89f801eb82921", "656bd07e0ff1229dd8", "666bd211da7e3c4caf",
+    "e36ed56ff40c812da5", "e26ed3dc748c01bb25", "e56ed8957ffa2088d3", "e46ed7025dd4b2292b", "df6ecf231b9ec4a55f",
+    "de6ecd904ecfa136fa", "e16ed24968ed17a4ad", "e06ed0b60e8f61e4ad", "eb6ee2079e3ffd01da", "ea6ee0742b8edc4e6f",
+    "4d04e4b9b2db992d09", "4c04e32607e22080ca", "4b04e1936eef4bd892", "4a04e00050f5758298", "5104eb05dc79f106aa",
+    "5004e97260e51f949c", "4f04e7dfae2f9d12cc", "4e04e64c1b99c6ba4a", "5504f1512381c3b95e", "5404efbea107ec67c0",
+    "47029cb043236cc8fd", "48029e43df5f8462ab", "49029fd6df6c334b0b", "4a02a169394ef07969", "4b02a2fc67f4aedb9e",
+    "4c02a48f37441f9a6a", "4d02a6223eadf34782", "4e02a7b58f14e37f2a", "4f02a9480d912b42c0", "5002aadb8876e55bd6",
+    "d90a3e4bdd67fa14b6", "d80a3cb838a61e9074", "db0a4171d962801002", "da0a3fdeb9c272e1e9", "dd0a44979c08f66d7c",
+    "dc0a430478e45dcba8", "df0a47bd798136b0a2", "de0a462ae0432aad15", "d10a31b36cc7563925", "d00a30203155cf7d7c",
+    "d307f642799c31b4a9", "d407f7d55ada04f696", "d107f31cbe3e64c013", "d207f4afad2d4bf36d", "cf07eff64c2ea21301",
+    "d007f189901aee50dd", "cd07ecd02da3cd64f8", "ce07ee632b590197ff", "db0802da5426a20b09", "dc08046d34861bfdf1",
+    "e50ece5d63e154c133", "e40eccca0c9c66fbbb", "e30ecb3764f4b5c182", "e20ec9a4990d4c20ca", "e10ec81124b4759b5e",
+    "e00ec67e6fd74d332c", "df0ec4eb01f53f99be", "de0ec35823936bed55", "dd0ec1c5a70bfa7b79", "dc0ec0322cb80a945b",
+    "df0c8654c05c32a18b", "e00c87e79d0d552d6f", "e10c897a8410ca6a24", "e20c8b0d1ca476825c", "db0c8008bb239208f5",
+    "dc0c819b9c24f109ca", "dd0c832e3da1e45c9e", "de0c84c17a8624a1b8", "d70c79bcef5fc5a4ac", "d80c7b4f2eb2c275fc",
+    "5113f58fd549f76793", "5013f3fc1d81cfadef", "5313f8b50bf375c755", "5213f722009561fac0", "4d13ef4356ef778219",
+    "4c13edb04ad3738885", "4f13f269433e9e02f2", "4e13f0d68f7ae24250", "5914022762fb0b8e93", "58140094f960a4013b",
+    "4b11ad863faa16938d", "4c11af19d66fff0a97", "4911aa60a1184434dc", "4a11abf3fd64a80053", "4f11b3d279e02a93a7",
+    "5011b565930ee05fc2", "4d11b0ac688d47d43e", "4e11b23f70855fecd0", "5311ba1ecdb4fe4d84", "5411bbb1821ba5282a",
+    "dd194f2199004a25dd", "dc194d8edc61214108", "db194bfb9e27abc561", "da194a68b0c693220e", "e119556d284e0f9ce3",
+    "e01953da748a5edebf", "df195247fa00b03235", "de1950b4e278980910", "d51942894cd2b139fa", "d41940f62aadd36b6b",
+    "57163d98dd5a807ba3", "58163f2b8f64e6435d", "591640bef01bd97049", "5a164251159230bcc5", "5b1643e45cffbbc485",
+    "5c1645773a5ded7b74", "5d16470a60eb4fdd26", "5e16489d54f7a32c92", "4f1631008166a20e33", "50163293a71cf47268",
+    "cb9c4ae4f74bcfbfb8", "cc9c4c775ddd0de23e", "cd9c4e0aa71bf56f64", "ce9c4f9d5bdfb92f88", "c79c4498cbaf299a18",
+    "c89c462bf171890525", "c99c47bed9703e4daf", "ca9c495170e51486b2", "c39c3e4cbe279e0d04", "c49c3fdf314805b987",
+    "519f5c6d1e8766fafc", "509f5ada9a0be161dd", "4f9f59478f1eadca5b", "4e9f57b40b973d5654", "4d9f5621c0bce24f77",
+    "4c9f548ef50ccd5132", "4b9f52fbbbc666f1e9", "4a9f51680d9476e3b6", "499f4fd5900dab2fc5", "489f4e42f70f972db9",
+    "37a172160b93334b44", "38a173a9847ca8044a", "35a16ef0c0b8ec4968", "36a17083249cc8acea", "3ba17862b1c595220f",
+    "3ca179f538a0e0537d", "39a1753c65f9b5cb93", "3aa176cfdb638d1a1d", "3fa17eae98004a20ca", "40a18041249cc6a5fc",
+    "3da3ba1fd44cf6709a", "3ca3b88c2c94c8aeff", "3fa3bd45758b43d2a3", "3ea3bbb2b9de97380f", "39a3b3d3f3088f3f2c",
+    "38a3b2407ef452c3c0", "3ba3b6f9a527fd0bd3", "3aa3b5669412b82f51", "45a3c6b7b43258c87b", "44a3c524bfd95fff10",
+    "33926140c97329ab92", "349262d3e84e941133", "35926466482e74f190", "369265f9779117bf39", "3792678cb60c8a6e64",
+    "3892691ff3159b372d", "39926ab223a5cf585c", "3a926c45e2403aa917", "3b926dd84dcfa132ea", "3c926f6b2482c0b3e9",
+    "b99572c95bfd0b999c", "b8957136189eccbf56", "b7956fa38c6ab8134e", "b6956e108701af3748", "bd957915f315952c26",
+    "bc95778274f2168f31", "bb9575ef5cda0ee12a", "ba95745ce913c74dbf", "c1957f61f711993eb0", "c0957dce7f9911a6ca",
+    "bf97bad2b2309a79e5", "c097bc65e84e800425", "bd97b7acfc7ab40053", "be97b93f2485c8a4eb", "bb97b48619a4799deb",
+    "bc97b619109138b958", "b997b1605bfa078684", "ba97b2f3bfde57f501", "c797c76a48297cee86", "c897c8fd27a6cf4ae9",
+    "c59a02dbcb4afe0608", "c49a0148ef6e832cad", "c79a0601f0718e1e24", "c69a046ecb4ae11119", "c99a0927973aa6da45",
+    "c89a07941f853fa35f", "cb9a0c4d5ce669998d", "ca9a0abafa04d85c2e", "bd99f64307fd20ac57", "bc99f4b04b317fd301",
+    "3bb082ecff65870f27", "3cb0847fd34d806abe", "3db086129e2cf11176", "3eb087a507f934b45a", "37b07ca0c1b3279790",
+    "38b07e33399b02ebe9", "39b07fc660fe1ca327", "3ab08159e94b29a7a3", "43b08f848f7da31d3e", "44b091176ef050c33d",
+    "41b2caf5982cb7db58", "40b2c962aa3af003cf", "3fb2c7cf94204cd0c9", "3eb2c63c399105f7ef", "3db2c4a9fc08883e2d",
+    "3cb2c3162d9d6be955", "3bb2c183e60edd55be", "3ab2bff060ee03a03a", "49b2d78d840abfccc4", "48b2d5fac04ee30e86",
+    "aa34482f3bb5d745f7", "a934469cf57fc55628", "ac344b55b9078e767c", "ab3449c27d8413a3af", "a63441e35cc6aa1d85",
+    "a534405017b57184e7", "a8344509dd63f3021c", "a734437630a20a8c89", "b23454c73f4411a487", "b134533456c107e796",
+    "243136a6779c48eec6", "25313839c95ef67595", "2231338021b5cb71e0", "23313513dc4c2a8e1d", "28313cf22fb70696e0",
+    "29313e8519ad384cce", "263139cc5de96a989c", "27313b5fae1a5928d4", "2c31433e55e00c9c93", "2d3144d162ca10ea32",
+    "3e2f20fd0f8f6fe1cb", "3d2f1f6a2199c4b0e3", "3c2f1dd72eb6d04741", "3b2f1c4465d9198eba", "3a2f1ab1bf279879e5",
+    "392f191e009462f1a7", "382f178b3dabc8597f", "372f15f89a36b2ce59", "362f1465119dc8ade2", "352f12d209e52095d6",
+    "382cd8f446ca7f878f", "392cda874d2160cae2", "3a2cdc1acd5c22b290", "3b2cddadcaa01a8b86", "342cd2a8d64432a11d",
+    "352cd43b6ff90f9194", "362cd5ce7cea1886bf", "372cd761e0579072b6", "302ccc5c50ee00909c", "312ccdef75e75dc3c0",
+    "b229c76bd9433f8f0c", "b129c5d862805adc3f", "b429ca91bf214ac36d", "b329c8fee67cd05416", "b629cdb7cbb5f94e7e",
+    "b529cc24e678c55107", "b829d0dde9573ebe17", "b729cf4a325419b88f", "aa29bad3d54334a1a9", "a929b9408812a73236",
+    "ac277f62009a24404c", "ad2780f59103f06cc5", "aa277c3c5fc975e71c", "ab277dcf788e17a4bc", "a8277916a3155bc7f1",
+    "a9277aa9cda70f8088", "a62775f018ae2c485a", "a727778302ad69f6db", "b4278bfa5cec728e19", "b5278d8d7c8c11a03f",
+    "a6253759e474812fad", "a52535c66cfc098935", "a42534331b8b28b952", "a32532a0fb6b8a0f39", "aa253da540ca718c84",
+    "a9253c1210bac15e49", "a8253a7f43297be391", "a72538eca02a5ce6e8", "ae2543f19513e0747c", "ad25425ed674264e0d",
+    "a022ef50dcbf2c919e", "a122f0e3871cee782c", "a222f276ad324ddc7e", "a322f409be2154c470", "a422f59ca3c0861c75",
+    "a522f72f8e71a71f4e", "a622f8c26bf84edc20", "a722fa553c9f1bf4f8", "a822fbe827bc168456", "a922fd7b7ae50989a3",
+    "ba47e917e97693120a", "b947e78427b8059b47", "bc47ec3d8279b92dcd", "bb47eaaada41ef6912", "b647e2cbac0be96f68",
+    "b547e1381e852bafcb", "b847e5f1bbcc82311b", "b747e45e1e852ab5c6", "b247dc7f168dd5afeb", "b147daecec473ca0b9",
+    "b445a10e53f8b4c033", "b545a2a130a3198774", "b2459de8a81bed78d1", "b3459f7b1daa255dc5", "b845a75ac8bd1b8975",
+    "b945a8eda53441e56d", "b645a434ee5f8665aa", "b745a5c743eeba3a16", "ac459476f86ddcaf30", "ad4596097d8c03bb32",
+    "2a08e2dae25380113a", "2b08e46de055d1bd24", "2808dfb4850eadca4d", "2908e14751fa069189", "2608dc8e29a2c65e50",
+    "2708de2102e927a95a", "2408d968248310f8ec", "2508dafb15be2d58e7", "2208d6426fe0afc48f", "2308d7d51299d6a64a",
+    "100af88366c103ec3f", "0f0af6f04737a71907", "120afba97a8609b9b1", "110afa16bf1b996e78", "140afecf4ed670fc1e",
+    "130afd3c4b378800e0", "160b01f51ff76cd0c9", "150b00628816e27f57", "180b051bd3453eb714", "170b0388c3b5358009",
+    "9e038948fc0ad85c2e", "9f038adbff51ddbdb1", "a0038c6ef418d0602b", "a1038e011b977dcf4c", "a2038f94d5518c7eaf",
+    "a3039127f110d36e44", "a40392baff028520af", "a503944dff01933ab9", "96037cb06bf41e988c", "97037e43c95529a597",
+    "a405d1517ed0583d29", "a305cfbecebe1e9a8c", "a205ce2ba1d19c1279", "a105cc980f8124b0d8", "a805d79d2fa1c25cfe",
+    "a705d60ad37b8a1002", "a605d477bbd24ee8fa", "a505d2e443c77b8185", "9c05c4b95f3d7be682", "9b05c326f87a8024b8",
+    "a2129a1eaed0962209", "a3129bb1b311472576", "a01296f815f34fcdb5", "a112988b9012b63c5e", "a612a06afe00db4fa3",
+    "a712a1fdf957d7b3bd", "a4129d44ed6bc25734", "a5129ed748ee7f9221", "9a128d865d3fa61789", "9b128f1956dca1211e",
+    "a814e22706ac6388fb", "a714e0945b3d65df1b", "aa14e54d9f79a136da", "a914e3ba8c2743c6d5", "a414dbdba2cc8d11e9",
+    "a314da4848e27d9a3d", "a614df01ad239b0be5", "a514dd6e204ad86af4", "a014d58f63e9178326", "9f14d3fcc6602440aa",
+    "160d408c8822aad97d", "170d421fff558d072f", "180d43b23e481281fb", "190d4545e8079f3241", "120d3a408172ea5159",
+    "130d3bd33ab1059e50", "140d3d66c06ff70799", "150d3ef949cab22e2e", "1e0d4d248a21f509da", "1f0d4eb701f26ac2dc",
+    "9c1052157e8d4dda3e", "9b105082d7b8e85b6f", "9a104eef15fe4acfb2", "99104d5cfd55cbbf20", "98104bc96c802eaca0",
+    "97104a36b91993606c", "961048a304a8284e40", "9510471005877ddf41", "a4105ead5d35ac1193", "a3105d1ad458ff737c",
+    "99f47872e00c833da5", "9af47a052da5008163", "97f4754cb904827e7e", "98f476dfe217cd4828", "95f47226a3325cd56c",
+    "96f473b958c9678211", "93f46f00f465831e13", "94f470938237e57bc3", "a1f4850ad24715a273", "a2f4869d18892752d9",
+    "1ff789fb79c44a262c", "1ef78868b500f06edc", "21f78d219d68e85bc7", "20f78b8eb62b8f0077", "23f790475ef3a72e1e",
+    "22f78eb4c071e30799", "25f7936d0abe758b43", "24f791da9200d8682f", "17f77d6329b31f9380", "16f77bd0a7314dc3e7",
+    "88a016a5de743abc9f", "87a015128f19563aca", "86a0137fd842e90c8d", "85a011ec4bf8b5c485", "84a010592552db6165",
+    "83a00ec6d542eb6f6c", "82a00d338215bc2351", "81a00ba026b1d8597f", "90a0233d8330e96ac3", "8fa021aa1fb461f8d1",
+    "829dce9c18e36ad5c1", "839dd02f73e0b5c39a", "849dd1c248d3ba322e", "859dd35526b1d45e6e", "7e9dc850532f9f091f",
+    "7f9dc9e3d85c2db967", "809dcb7611f12085ca", "819dcd090eaece5949", "8a9ddb34837fe65d53", "8b9ddcc76c9056e8c2",
+    "94a4a6b730b4728853", "93a4a524ed6db51b37", "96a4a9dd981cf27230", "95a4a84a8d094431db", "90a4a06bf95d907da3",
+    "8fa49ed8890d40226a", "92a4a391f878c65212", "91a4a1fe4cf4bdcf33", "8ca49a1f7dd91283af", "8ba4988c77d7b62b97",
+    "8ea25eae58d8a836e6", "8fa260418828f806d7", "8ca25b88c145e96786", "8da25d1bddb9e5670f", "92a264fa0b8363ecfc",
+    "93a2668db717e969d5", "90a261d40b8f77e7e0", "91a26367fd55930e26", "86a2521675dd0af39f", "87a253a9608c5fd4bf",
+    "10965f61244006a28e", "0f965dce58d4b232ea", "0e965c3b21afdd43f0", "0d965aa88822f312cb", "149665ad6a8411a2d0",
+    "1396641a2fa5028374", "129662878d035035db", "119660f445cb68e48f", "089652c9b43697176b", "079651361df32ca34f",
+    "8a934dd873dbbf2c34", "8b934f6bf46ccc56a0", "8c9350fe11e52499dd", "8d935291dda9e7630f", "8e935424b42c93076b",
+    "8f9355b73e9b03f878", "9093574a1b9a274fc0", "919358ddee6bdb5730", "829341409c7db936da", "839342d3afce6cf1e9",
+    "fc9abd13debb348718", "fb9abb808b2aabd261", "fe9ac039bdc09e0d63", "fd9abea61b982f4dc4", "009ac35ffe59c6b838",
+    "ff9ac1cc1da269f6ca", "029ac685a3c057e768", "019ac4f22340d77bf9", "049ac9ab4ccf04e095", "039ac8188003bc285a",
+    "1698a76a926dde4659", "1798a8fd5fdc7d8b85", "1498a444b81b5e3167", "1598a5d759deab27fb", "1298a11e9b18a1d35a",
+    "1398a2b1b611f079cd", "10989df8aa25810108", "11989f8bbb385ce064", "0e989ad26f8c30b0a7", "0f989c651b983c54d6",
+    "188bde9d5c397cf886", "178bdd0a9471a3093e", "168bdb77c84d937baa", "158bd9e45bde7c9711", "148bd85128adf74b89",
+    "138bd6beb810503a72", "128bd52b0ba33f55fd", "118bd398c5613145b6", "108bd2056f8723beb5", "0f8bd0727cd41489ba",
+    "1289969403ab3744d9", "13899827ec64a40236", "148999baac2464c0f6", "15899b4df37b870bbc", "0e8990488800442b77",
+    "0f8991db8008bc234d", "1089936ed2a61e848b", "11899501658155efce", "0a8989fc7d8941dd2e", "0b898b8f2ca4ec5c6a",
+    "996ae26057df63efec", "9a6ae3f3add9972801", "9b6ae586db53e11391", "9c6ae7198276e44a49", "9d6ae8acc44cf27f1f",
+    "9e6aea3fe501df7547", "9f6aebd28e02f873df", "a06aed65658142f6c0", "a16aeef8fa5ed1a5b2", "a26af08b7bf20ba631",
+    "9f6d2a695c3572ef82", "9e6d28d6a5c09c281b", "9d6d2743b41d4136c2", "9c6d25b0840db329ce", "a36d30b5fd08c65ead",
+    "a26d2f2264ed059ea3", "a16d2d8f31bc6e8a58", "a06d2bfc5de8b02f03", "a76d3701dabd228490", "a66d356e0dba7187e6",
+    "a56f72722348df64ec", "a66f74052aad1a9291", "a36f6f4c7cd7008ea8", "a46f70df55d2b53f1e", "a16f6c26583470d003",
+    "a26f6db98921f514c6", "9f6f6900a7cb5fe8e3", "a06f6a938525f50672", "ad6f7f0a72c2be2d39", "ae6f809d72c2be3839",
+    "2b7283fb119955ecb3", "2a728268254519a787", "2d7287211afa6addd0", "2c72858eb73b43d0c1", "2f728a4776deb62292",
+    "2e7288b42f43ed6678", "31728d6daa2a9c140d", "30728bda4acaa62d35", "23727763e66edaae39", "227275d048c414fd2f",
+    "3174cc04dcb1f46e0f", "3274cd97008d38b4cb", "3374cf2a70dd0cf73d", "3474d0bd2f42e7797c", "2d74c5b8deb7229815",
+    "2e74c74b274ad3616d", "2f74c8deaa2b9a120e", "3074ca7135b40987f7", "2974bf6c10fe2895c4", "2a74c0ff6ce22480b6",
+    "3777140db816543b65", "3677127a79f34dd198", "357710e716fc50debc", "34770f54db55e11380", "33770dc1f17b294c1d",
+    "32770c2e5e35a60498", "31770a9bdf50fe0412", "30770908df50fe0c04", "2f7707753e950be264", "2e7705e24ec5b92d92",
+    "9d79f3366ae943d0dc", "9e79f4c9b13aee1dcf", "9b79f010d95231a376", "9c79f1a3ac3c60dcf7", "a179f982502060d50a",
+    "a279fb158818482d7e", "9f79f65c4ad6ba2c29", "a079f7ef4cdc0cfc96", "a579ffce8737b3dfcd", "a67a0161b00040226a",
+    "a37c3b3fb3234ad878", "a27c39ac68f82d87d3", "a57c3e656cfc2a99b6", "a47c3cd24ad6bc2f2e", "9f7c34f3d8a8fe519b",
+    "9e7c33605df1a73414", "a17c381964f41298bf", "a07c3686b125f31ac2", "ab7c47d78c1c5737d6", "aa7c46445fcf608c87",
+    "a97e8348f25f2ea9a9", "aa7e84dbf568d552a6", "ab7e866ecd602d42ae", "ac7e88018a12f2636e", "ad7e8994ba02827673",
+    "ae7e8b279a62e2595b", "af7e8cba12fa5ac1df", "b07e8e4dfc48940e26", "a17e76b0b80c50327c", "a27e7843f044887aa3",
+    "af80cb515df5a9360a", "ae80c9be62ca4a3639", "ad80c82b138727abc9", "ac80c698d54d21a199", "b380d19de4709c183f",
+    "b280d00a1ae266d1de", "b180ce773a8206f1f9", "b080cce450246cd702", "a780beb9b52d85167e", "a680bd265c2870e793",
+    "1802488b24b0d84f79", "170246f8d347e36b82", "1a024bb1422aa21e1b", "19024a1e74c004f697", "1c024ed7d14115a171",
+    "1b024d44582c78d01c", "1e0251fd255d1fae92", "1d02506adeae289a04", "10023bf3b80c5e2c7a", "0f023a60138729abd5",
+    "12000082b00446237b", "1300021541f1a32983", "0ffffd5c71e1aece86", "10fffeeff25a29a9ba", "0dfffa36f1612e4e0f",
+    "0efffbc9329a69e1fd", "0bfff7109101ce7a3b", "0cfff8a32ab2019591", "1a000d1ad94931b367", "1b000eadf0449c7bbf",
+    "8bfceef94bff6b9f23", "8afced661ce820ac57", "89fcebd373e6078f29", "88fcea401ce932a351", "8ffcf545c65726880c",
+    "8efcf3b27ac34d3e2c", "8dfcf21f09ba758a5e", "8cfcf08c5c2b70e391", "93fcfb91c057fc678b", "92fcf9fe55cea53602",
+    "85faa6f0fe4dc2b135", "86faa88302e96ec8c9", "87faaa16d0a7e0509b", "88faaba98d26f10766", "89faad3cbc0b5cd2e6",
+    "8afaaecfc057f07493", "8bfab062cc5b8a7d03", "8cfab1f5c17223ad02", "8dfab388b32a54cc7c", "8efab51b129862f1cb",
+    "900bffcfcc6afc1eab", "8f0bfe3c593ba11298", "920c02f5fb5d9b052c", "910c0162a6c48218ff", "8c0bf983e96bc24a25",
+    "8b0bf7f047c577f51a", "8e0bfca9aad488220e", "8d0bfb1643cc7ce480", "980c0c67802fbfcbdc", "970c0ad4f47b890ba2",
+    "8a09b7c61c922a40d8", "8b09b9593cb2c964e6", "8809b4a09a28ef734e", "8909b63308aed14149", "8e09be127cf203a830",
+    "8f09bfa5b9139767f8", "8c09baec8903e561d5", "8d09bc7f1bf521a34d", "9209c45edfb7ff5f9b", "9309c5f108a0d2544a",
+    "2406d89d038b2fa943", "2306d70ac5b13f9991", "2206d577b9159277e9", "2106d3e4f54123a1ae", "2006d251e21bd16049",
+    "1f06d0beee1fd5632b", "1e06cf2bb3064c33d7", "1d06cd989366ac1335", "1c06cc0571c0be258d", "1b06ca72e617cd5236",
+    "1e049094ec199f224c", "1f049227e978d24a35", "200493ba65cc423931", "2104954d8918fe67da", "1a048a483782c0a6ea",
+    "1b048bdb957cd25c48", "1c048d6ee376920627", "1d048f01fa13c754aa", "160483fcdfaafe4b83", "1704858fdfaafe4892",
+    "0815b713cb5e907116", "0715b580b42153da67", "0a15ba3976e7a9c38f", "0915b8a676e7a9c286", "0c15bd5f188d274b4b",
+    "0b15bbcc3ca9db72e7", "0e15c0858b1e5021c7", "0d15bef251279305e9", "1015c3abd446e8708f", "0f15c2189a36ed7a51",
+    "2213a16aa93d9201f5", "2313a2fd10802fb8ac", "20139e440eba7d844b", "21139fd7a509826a71", "1e139b1ec5a9228b89",
+    "1f139cb1f577821cbe", "1c1397f85dd77a9315", "1d13998b9a72b637d7", "1a1394d2068e3fafcb", "1b139665deb6f85199",
+    "ab72f5e9be16582a72", "aa72f45649e1169c9c", "a972f2c35a2c66e797", "a872f1306d991cb0ca", "af72fc358613ac2753",
+    "ae72faa21aef20b053", "ad72f90fe44adfbdaf", "ac72f77cf800cf4ebf", "b373028174f4b0c692", "b27300ee10986cfcc0",
+    "a570ade09175bd1529", "a670af7325a1cc4aeb", "a770b106b8c09d156e", "a870b299c46022b00b", "a970b42c30b00392e0",
+    "aa70b5bf204017aa8e", "ab70b752b030871c60", "ac70b8e51bf377d153", "ad70ba78a8d88a2a06", "ae70bc0bc060264aa6",
+    "37784f7bb23849dcd4", "36784de87bd5433fa0", "397852a1d65cf27c9e", "3878510e8005be21d2", "3b7855c7fb7e9e313a",
+    "3a78543414f13b82d6", "3d7858ede108c4604a", "3c78575a62e35b39bb", "2f7842e38001bc38d2", "2e784150c56028b803",
+    "b1753df27bfa17a1b9", "b2753f85ff7e8733b0", "af753acc40cc7ce68e", "b0753c5f0a8276e75a", "ad7537a6cd653d4108",
+    "ae753939139f23afb4", "ab753480295911bf8f", "ac753613a8246adef6", "b9754a8a28a5e05e77", "ba754c1d3499c7b5ea",
+    "437cdf8d9c71bf1a4e", "427cddfac84591711b", "417cdc6716e74fdcd4", "407cdad4008b32ae52", "3f7cd9416ae558dea8",
+    "3e7cd7ae8c07532263", "3d7cd61bb9ce9a1f63", "3c7cd488c56a3eac03", "3b7cd2f501a66290f6", "3a7cd16288035726db",
+    "3d7a9784ca4522a815", "3e7a99170bbdc34158", "3f7a9aaae4729c07b4", "407a9c3d3a8802f76a", "397a9138e4729008b8",
+    "3a7a92cb57c16fed09", "3b7a945e9f09a1cf53", "3c7a95f14ac17aee0b", "357a8aec5033a2021b", "367a8c7f8e0db826cf",
+    "af8206bfb415927ae6", "ae82052ca3c28133e6", "b18209e542ea6e813d", "b08208527bcba83c34", "ab820073830fe3707c"
+  ],
+  "6": [
+    "bbf6f6bd9120b5cc4cfb", "baf6f52a3aabe2419570", "b9f6f39745d47ef4f60c", "b8f6f204718002a03341", "b7f6f071cebfe16b15f5",
+    "b6f6eede66d719ef9a04", "b5f6ed4bb1c752e07288", "b4f6ebb87cee5dd1a20a", "b3f6ea258311ca66354c", "b2f6e892394fc8789712",
+    "6cc3d7eefd09a4343951", "6dc3d981ef07ce5eb9d9", "6ac3d4c8afc78e146889", "6bc3d65be4542dad1082", "70c3de3ad560ff030b82",
+    "71c3dfcd289111f5f066", "6ec3db143b4419ae6086", "6fc3dca770d246372ebe", "64c3cb56dd628d001eb7", "65c3cce99c07e277d4ba",
+    "66c18fe5778751efcd52", "65c18e524e327cef827c", "64c18cbf8c74e941c0a2", "63c18b2c15a9295a4dc9", "62c1899956ca64e5857d",
+    "61c1880600e042dfcca3", "60c18673c143f67c8d13", "5fc184e0018336bccd4d", "6ec19c7d19b93944e173", "6dc19aeac545e568768f",
+    "60bf47dc09893c48c262", "61bf496fe9699a28a7d3", "62bf4b02973afb0a6cf2", "63bf4c954bcea832fb01", "5cbf41903150c66cff1b",
+    "5dbf43235cd9a4319c7b", "5ebf44b63d5cf1606286", "5fbf464915b32e4c4bd3", "68bf5474cf753cba9926", "69bf5607e05a2fada31e",
+    "dabc36531e99d1ba5cd2", "d9bc34c03b5800b2638f", "dcbc39794ede718e8517", "dbbc37e6cc603bb2942a", "debc3c9fb92d62cf0af1",
+    "ddbc3b0caf1f847bec4b", "e0bc3fc5836bdd475f3f", "dfbc3e328010d46e3a4f", "e2bc42eb493d79df0181", "e1bc4158f767c7b52792",
+    "f4ba20aa836bd747433d", "f5ba223db7279b68ec44", "f2ba1d84acc491147489", "f3ba1f17259dcabd5eda", "f0ba1a5e9b0ffd6177cb",
+    "f1ba1bf1bac24af80a90", "eeba1738ec08dc4fbfc3", "efba18cbd26ce41b9338", "ecba14121f8563ec542c", "edba15a55cfeacdf26b8",
+    "eeb7d8a1d74d3b8806fb", "edb7d70ed06a39b80e8d", "ecb7d57bd152f8689c04", "ebb7d3e868ef41d69d39", "f2b7deeda90a583a70e1",
+    "f1b7dd5aec13c15cb2d9", "f0b7dbc7896abe1552ca", "efb7da342c540b90ff19", "e6b7cc09e541897d1e9c", "e5b7ca76e868c2511ba3",
+    "68b4c718936bf95158ce", "69b4c8ab17977bc84638", "6ab4ca3ecba33a999b05", "6bb4cbd1d96c384b0ba5", "6cb4cd64b9cc9a29e115",
+    "6db4cef7be2b8203f94a", "6eb4d08a7d904df8cf59", "6fb4d21d148133be4e2a", "60b4ba80e45c8c74188d", "61b4bc132d490995fd08",
+    "62b27f0f32960aeafa6f", "61b27d7c7d9957e2c958", "64b28235bdd997241998", "63b280a2adc987087f83", "5eb278c33aae0692867a",
+    "5db27730fd18ca6846d8", "60b27be9ec5090142682", "5fb27a568911eb643b55", "6ab28ba71a8a7cf3e040", "69b28a1472d14f3133ad",
+    "5cb037061ba43857e172", "5db0389947d866e8f505", "5ab033e09271e65153cd", "5bb035738e75ea59cea0", "60b03d52f10adc5623bd",
+    "61b03ee5e8578370b236", "5eb03a2c4a39b61e019b", "5fb03bbf9526e5136ef0", "64b0439e12f17ecace4f", "65b04531d57b3542b630",
+    "164cd27a11b769fb4fcd", "174cd40d9c195721dc52", "144ccf548218ed7255e0", "154cd0e7856fd54f4828", "124ccc2e9701ad2f51cb",
+    "134ccdc1788a20b4a4c6", "104cc908c25c23b29620", "114cca9b76804fdaa82d", "0e4cc5e247356adf0bf9", "0f4cc77557c57df31c89",
+    "7c4fb1a32795ccbbea58", "7b4fb010029c65e3de7c", "7e4fb4c9f600ca5628bc", "7d4fb336e54b3cbaa81f", "804fb7efd86a8e1004a6",
+    "7f4fb65c09ff6ad54f2a", "824fbb1558ea12909e27", "814fb982384af07c6686", "844fbe3b24b6d550eb71", "834fbca877e50a8f2da9",
+    "0a484268d94f23a518f2", "0b4843fb51c7bb198a62", "0c48458e8775bf1f4c39", "0d4847211ea862885ae4", "0e4848b42799cfb0ea4e",
+    "0f484a47c2502ebd9737", "10484bda9220e20661e1", "11484d6d26bc6a8652ec", "024835d098204ed9d171", "03483763c65a11ae7f87",
+    "104a8a7153cb68e8877d", "0f4a88def81dab23354d", "0e4a874b552ca20e1898", "0d4a85b8789a30bcbec4", "144a90bd4e3962d71296",
+    "134a8f2adf6c274e02b8", "124a8d97db702c42a43a", "114a8c04f701c54b23bd", "084a7dd9f45ac2acb238", "074a7c46798924b0b3d7",
+    "8e5689be15a53046ce7b", "8f568b516ed105f632b6", "8c5686980af234a04f35", "8d56882b68d4433daf09", "9256900add65f104a33f",
+    "9356919ddf6327521ca4", "90568ce455ed62800eaa", "91568e774befbc320eb4", "86567d2655f1779a19bd", "87567eb940219c0de963",
+    "14599b47826cae1f2bbc", "135999b4d977810003a6", "16599e6d8e60a11f59c0", "15599cdae4562badae0e", "105994fb55fb668c0ebb",
+    "0f599368b5db42ec728b", "125998212a84c1476dc4", "1159968ecc5c27a37183", "0c598eaf0bfb6ed8442a", "0b598d1cc05829a19e3c",
+    "8251f9ac55c175ea1a82", "8351fb3f56e27b8010b6", "8451fcd243338c18fc74", "8551fe6515812daeda5e", "7e51f360f75bdcbdae3e",
+    "7f51f4f3821ead282a4e", "8051f686c86824b2942a", "8151f8197de12d82c2b0", "8a5206441ea23056e165", "8b5207d7b9256bdbe068",
+    "885441b52b9309fd75cb", "87544022f818ca6646c4", "86543e8f8d71a21d56c8", "85543cfc138b7bc84c32", "84543b690df12997d943",
+    "835439d6922bbbdbc749", "82543843158c30a1d758", "815436b061d814f3950f", "90544e4d2f990ffcfa75", "8f544cbaa701e96b68de",
+    "06393192d54feb619a18", "0739332522b8d85a57ff", "04392e6cf208882029b7", "05392fffef59d1bdb436", "02392b46a43aee02d36d",
+    "03392cd91d87d3a3e246", "003928202cb211854af9", "013929b3119638af4721", "0e393e2a9a3d47dbd36b", "0f393fbd991e4c37dd44",
+    "0c3b799b17eb7fcdcf4f", "0b3b780845d49521f30d", "0e3b7cc129401a9fff03", "0d3b7b2e483d61ea8662", "103b7fe7807dbb1335af",
+    "0f3b7e54cf57e103952b", "123b830d62ddab389c08", "113b817aed6fcb4210b5", "043b6d039f39b1c670ff", "033b6b7051c7bd242096",
+    "97b56c4f029c6af3b2d4", "96b56abc922ce417cb6f", "99b56f7579df593c38b8", "98b56de27be10b8233b5", "93b5660322bc129e50f6",
+    "92b564706dd7be289c02", "95b56929857fe650c4bc", "94b56796becc912f169d", "9fb578e7ab1545266ad8", "9eb5775466845ade3854",
+    "91b324461b893da2da42", "92b325d9089a22b0c258", "8fb32120b0c259f90185", "90b322b36bd90efe2385", "95b32a92b1299d0516e6",
+    "96b32c2568fc169022b8", "93b3276cb81985776fef", "94b328ffa7cc981a7999", "99b330de32a5f1419471", "9ab33271a7cf8b147788",
+    "2bb0451d57ffbcce2fb9", "2ab0438ad2468761b519", "29b041f7c4b4349113fa", "28b0406465f101aca436", "27b03ed1b1c54df81783",
+    "26b03d3e2692c1476dd4", "25b03bab36a2f3577df4", "24b03a185eca6be39f7d", "23b03885866fa637c6b4", "22b036f2442eb4118d68",
+    "25adfd144339aa1e1086", "26adfea7019468fbbbd5", "27ae003a44357be68f69", "28ae01cd7e844fd4a33d", "21adf6c8e15bc9b0248a",
+    "22adf85b2ab81294f717", "23adf9eeff618d03ac38", "24adfb817a8844f7c747", "1dadf07c46dcbd38eb05", "1eadf20ffb619c0e2e8a",
+    "1fabb50b35a31d87917a", "1eabb378cfb5fa458a6e", "21abb83126b8178451ff", "20abb69e7ddb5f2c38b8", "23abbb579238f90966f8",
+    "22abb9c4fb6d960f2781", "25abbe7d36441fae6086", "24abbcea42e8a63e1bbf", "17aba873ee7c324413ad", "16aba6e06cfa158d29bb",
+    "19a96d02f604c7732b4f", "1aa96e95198b7bc84533", "17a969dca03644ecee74", "18a96b6f118576e0543a", "15a966b63a4613a88711",
+    "16a968498612e3703b55", "13a96390b6c29a20eb13", "14a96523a7175e3572e0", "21a9799aeb5b9e73158f", "22a97b2dff6f8c02b335",
+    "93a65b79b6c28322fd15", "92a659e61689c8a0eb4d", "91a65853c75c2fbe7096", "90a656c0952ab0d063f2", "97a661c5fd029827b9dd",
+    "96a660326ccfb53d2c96", "95a65e9fb3d08a200f99", "94a65d0c1da22442d97b", "9ba66811d3702b5faf2f", "9aa6667e1a8529be4e2a",
+    "8da41370e17a962c35be", "8ea41503da41f0680eea", "8fa416968473ee5f47db", "90a4182953f4aace26a4", "91a419bc6df6129123bb",
+    "92a41b4fc0b323900deb", "93a41ce2f90e94292dbf", "94a41e7541d67c909416", "95a4200852c516fe9604", "96a4219bdb602350a731",
+    "a7c90d3775820da4d752", "a6c90ba4c7543cbe7096", "a9c9105d9d2cb2cc4ee1", "a8c90ecae5748a28b2de", "a3c906ebc2b3f8670de4",
+    "a2c905580eff3a82c3a5", "a5c90a11f469c7484020", "a4c9087e32a3f15b7cee", "9fc9009f8b16f67a5ce2", "9ec8ff0c7f9c5fdaaa3f",
+    "a1c6c52ee27e9f202caa", "a2c6c6c17be34235a711", "9fc6c2080bf34bc5b628", "a0c6c39b8975b90f29ad", "a5c6cb7a364edf63860e",
+    "a6c6cd0d61d91490a602", "a3c6c854837fe646cdb7", "a4c6c9e7881ce57757e1", "99c6b8960e9a25bcdf4b", "9ac6ba298b7ddd433dbf",
+    "391e388409fb3f97ba24", "3a1e3a17c250e60c0396", "3b1e3baa64f250de9828", "3c1e3d3d6cfaa8c6982e", "351e3238d87c3d41a727",
+    "361e33cba93b8a167191", "371e355e6bf51e9c9125", "381e36f1940b423b77cd", "311e2bec6bf10c949b2e", "321e2d7f69f544d62151",
+    "3f20808d0efe5ec6c8be", "3e207efac2aa379b12eb", "3d207d67e84499731486", "3c207bd41c9230a1d642", "3b207a41dd7038af138d",
+    "3a2078aee967d04b4026", "3920771bc1bf399d931e", "382075882fadf7467ff9", "372073f5e967c0534036", "36207262c466e304069c",
+    "a5235fb68c2a4dc5dc66", "a6236149d452f874778f", "a3235c909c1aa0c8c947", "a4235e2315f74ddfb628", "a923660245c7bb0e867a",
+    "aa2367958e39ea0a79f8", "a72362dcd45ee9767d8f", "a823646ff2793d4c13ad", "ad236c4e08a73f5fe163", "ae236de16be42097c2b0",
+    "ab25a7bfa8c75bf01792", "aa25a62c1df662da5537", "ad25aae5169663f8d771", "ac25a952628a40d6a53c", "a725a173cb478d67a40d",
+    "a6259fe0264603b78711", "a925a4993e530d9dff1f", "a825a3069c0db7d1d44a", "b325b457128753e2a6dd", "b225b2c418892151d175",
+    "a1144ee047d672fc8e7c", "a2145073bf0957ceea53", "a3145206ee04d4674fd9", "a4145399a0d644ec7096", "a514552c8432a9c5cd5f",
+    "a61456bf66f1129eae1c", "a71458523b970ae3f066", "a81459e564885ee7cd58", "a9145b788703fd59c5af", "aa145d0b4cf0acc32faf",
+    "a71696e9fa7e8f25b1d5", "a616955605813ca64721", "a51693c363db4a2b32a4", "a416923076f2099c9427", "ab169d35f5518e7f159c",
+    "aa169ba2cd49867d0184", "a9169a0f4dc901e79005", "a816987c2da9e34760e5", "af16a38167e7483dbb12", "ae16a1ee79dd16f738aa",
+    "ad18def29b73e44250d6", "ae18e085a52157cfe84c", "ab18dbcc169226bcacce", "ac18dd5fde5aff04099d", "a918d8a6d85829b66c9a",
+    "aa18da398828f90ec065", "a718d580e2069b26a8ca", "a818d713593d7cd10181", "b518eb8aa4cc80220b87", "b618ed1dc541ed6f0aec",
+    "331bf07b6a8e0ebed643", "321beee8b91d423165f0", "351bf3a1a6c249f8e46f", "341bf20ee767dbbd2098", "371bf6c77bd3572527ac",
+    "361bf534d45c36b69329", "391bf9ed6be345c9c0a5", "381bf85abcd48a197f9f", "2b1be3e3369379e955df", "2a1be250d95c22b26d85",
+    "2931a70c9518e67646fc", "2a31a89f1efb6ac44d2b", "2b31aa3212ef4dc1c3bd", "2c31abc50db06182e47a", "2531a0c0deb92f910ceb",
+    "2631a253522d930702f6", "2731a3e659deb632fb1f", "2831a5799d22fa724af9", "3131b3a45bde6f9317af", "3231b5371b9e2f52db69",
+    "af34b895159c63fcdc61", "ae34b70221400f8d63ed", "ad34b56ffe5fc4a1338b", "ac34b3dcd0b5ec5f817b", "ab34b2498e0ff269d4ba",
+    "aa34b0b69e7feb51c2ba", "a934af2328adef478866", "a834ad908b2eacd865fb", "b734c52d9f1aa0d3c557", "b634c39a6eef45d2b40c",
+    "b9499dd94df4acdf26b8", "b8499c46dab335958707", "b7499ab340c878f41a88", "b649992002f664cdd14e", "bd49a4253098c6a1ea58",
+    "bc49a2928d38ff056bf1", "bb49a0ff5fd6758b8517", "ba499f6c3bb2c371f802", "c149aa71d8b1fc4e9b1d", "c049a8de5bd2608618a2",
+    "b34755d045e5b9c42aa1", "b447576379f14bc09b23", "b54758f6543862cdf771", "b6475a897d8c47d42e45", "b7475c1c0ba43d58e57b",
+    "b8475daf008f35a3d355", "b9475f42f05f8560aa18", "ba4760d5f45b82741e9a", "bb476268d6bd0d987ce2", "bc4763fbf05f9c71a708",
+    "c54e2deb43ec639b1faa", "c44e2c588f3f47d0d36b", "c74e31118a16fa726cc6", "c64e2f7e8737b5c6cd55", "c94e3437f767981819af",
+    "c84e32a46d814ae2c45a", "cb4e375d0899d4aff551", "ca4e35ca26b60efe65d3", "bd4e215335ad0187f701", "bc4e1fc0e111cd4623bd",
+    "bf4be5e2b606f07edc42", "c04be775b80c433b76e9", "bd4be2bc198976f2bbc5", "be4be44f699946eeadd5", "bb4bdf9666f65d35a213",
+    "bc4be1299b0fbcc85ae0", "b94bdc701ce827ad4d37", "ba4bde03d0a4fb438c77", "c74bf27a55cdb5231ba1", "c84bf40d0a9371edec46",
+    "5153877dc97836540bb5", "505385ea35ac0287fe00", "4f5384577fea16a1a53d", "4e5382c457c26cfbfd19", "4d5381312ebf1e9074da",
+    "4c537f9e7fea1fa8a521", "4b537e0b31a06c9f5af0", "4a537c78ef1ab0303c5a", "49537ae51ce927b44629", "485379528269e24c5ec2",
+    "4b513f741b822343db6b", "4c514107a8316fda06ec", "4d51429a9f06a1d1c55e", "4e51442d19fb6cdd4f29", "47513928a32551c1ee5c",
+    "48513abb109638babddf", "49513c4e0eac618046f5", "4a513de1ca742b5faf39", "435132dc49c2b22b8367", "4451346fa32c52dfec50",
+    "bd58aeaf0ca32c54e563", "bc58ad1cfd5ed1bfa22c", "bf58b1d5c94334af14ea", "be58b0422a5815a2841a", "b958a863648c01a82e4b",
+    "b858a6d006b76de943d5", "bb58ab895f2a68d71983", "ba58a9f6a4d644e7798b", "c558bb475ecaa13be814", "c458b9b47bcb108cb709",
+    "37559d26c759e96f910b", "38559eb9a9c163f7fc06", "35559a0057db953ee30c", "36559b9307ab60f64ddc", "3b55a372a1d75eecfc7e",
+    "3c55a505aa3f60d4e66c", "3955a04cda5ee00c0597", "3a55a1df7efa1db5385e", "3f55a9be901ce3675df7", "4055ab51fb53d5a0348b",
+    "c95d3ec161ed0e83a416", "c85d3d2ef47a305a1bac", "c75d3b9b28adec4676e4", "c65d3a0861885ce8c751", "cd5d450df055836e1e8c",
+    "cc5d437ac366e8030d9f", "cb5d41e7562f881c08fe", "ca5d405409b4799be573", "c15d32299c7db8195fd0", "c05d3096bf3347ed6793",
+    "c35af6b8931eae383452", "c45af84b68e52197a034", "c55af9de0da47a8341f6", "c65afb71e657c5acb838", "c75afd0407aa2541d96b",
+    "c85afe9779885cd33343", "c95b002a678c18ad395d", "ca5b01bd07ac394dd961", "bb5aea2007ac244dd96b", "bc5aebb388035739d644",
+    "db01526efa55d5bf249c", "dc0154014de2a6d38638", "d9014f480bbdcb4155f1", "da0150db24af1b887ec9"
+  ],
+  "7": [
+    "b56947d63ca81e8878ca52", "b6694969e4502ca9178576", "b36944b047daa33c07ab78", "b4694643f70ad86a47c399", "b9694e2278e542d5cca01a",
+    "ba694fb578e25cd0d1b71b", "b7694afc394fc8708a14af", "b8694c8f3f550ea29918e0", "bd69546e289102f9fb71db", "be695601bfdd94241d9860",
+    "80be771b4bd1b632ff15c1", "7fbe75883f5d0cae9818e0", "82be7a41bbc08134e70fcf", "81be78aef868d049403c8b", "84be7d67ae125bcdfa558d",
+    "83be7bd40af63e8adf41ef", "86be808d309012faf26ece", "85be7efaa402f060d6412a", "78be6a835dff12999926b2", "77be68f0b83683120ae45a",
+    "eeb6d58042226ec306f232", "efb6d7133555c86c66fc0b", "f0b6d8a6d656ef631dfd35", "f1b6da3961e112902fb3d7", "f2b6dbccfb1ec77223440c",
+    "f3b6dd5fab2e9702cc743c", "f4b6def21a9cd5abea4499", "f5b6e085b00a9f6a7ce943", "f6b6e218799d1ba3c550ef", "f7b6e3abef17c752bec890",
+    "74b9e7092683c6ad5ada05", "73b9e576c85c27bc779f5f", "72b9e3e3c4582cb29c26e9", "71b9e250b7239b68ec44da", "78b9ed55ed5994102a9ece",
+    "77b9ebc23da9e65366f31c", "76b9ea2fc256ea708909b7", "75b9e89cc8582ab278984c", "7cb9f3a142d672ed059135", "7bb9f20efb63c757403791",
+    "f2c5e65668f440d3973fff", "f3c5e7e9e1598e71aa0f41", "f0c5e33075ed138ea21656", "f1c5e4c3f60e952127bcd7", "f6c5eca2e75b25ad0b9476",
+    "f7c5ee35dd5e847118852d", "f4c5e97cfe1dab30364fcf", "f5c5eb0f3c4317bf8218f6", "fac5f2eec7a010997eee47", "fbc5f48109ed2387de4afa",
+    "f8c82e5f1a877fecec5c38", "f7c82ccc30a1c947fd60a0", "fac8318574e50d83bf195d", "f9c82ff23342c67dfd06ac", "f4c82813e6532da91f937f",
+    "f3c82680d1643ead0f9c64", "f6c82b396edb5335ad01fc", "f5c829a6bdd08d38039363", "00c83af7c9582aa36c9054", "ffc839640cf93bb6562270",
+    "86c0bf2462cba93c2c9309", "87c0c0b717af3b434fde6a", "88c0c24af46c9c04259ddd", "89c0c3dd4fd773959416b4", "82c0b8d89a0ef27262d7bb",
+    "83c0ba6b8e72e255d1ab09", "84c0bbfe2bb3cb62ff029e", "85c0bd91c15c0eac638044", "7ec0b28c8f16a6ccda56e8", "7fc0b41ff252cab1b02f93",
+    "0cc3d0ad9f2343c7d965ef", "0bc3cf1a5232ae190f8f73", "0ac3cd87463e9a0deb63c1", "09c3cbf4df63871402af2f", "08c3ca6156cea00f8c7afa",
+    "07c3c8ceed0dc748bfde80", "06c3c73bb212846b74e450", "05c3c5a8fd1ed4674fdeb0", "04c3c415cab92f9c9005ea", "03c3c2829d3ef50963f341",
+    "8acfcffab7c857e0e9758a", "8bcfd18d394219aa6b8f5c", "88cfccd4e24136b8ac149e", "89cfce672897dcaef67698", "86cfc9ae74eb109aa71d49",
+    "87cfcb419728b7ddc748eb", "84cfc6888912e9672b451d", "85cfc81b13ac384ad97f96", "82cfc362148b33a94e2a7f", "83cfc4f543dc68ff058d3f",
+    "f0d2af23e17a324903ba75", "efd2ad9048377fd0128729", "f2d2b249ec539b112a83dd", "f1d2b0b6e05f8762ae1f41", "f4d2b56f48377fca168d33",
+    "f3d2b3dc9a09fd7460dcab", "f6d2b895e77884091db32a", "f5d2b70213ac385dce608e", "f8d2bbbbcd6e26ad9f3fe0", "f7d2ba286bf41eb83d49dd",
+    "d6d598b13ca3f74076e30d", "d5d5971e9728a8dfdd4bfa", "d4d5958b4221881c04f460", "d3d593f811aa79f145d0ac", "dad59efdbdde8d251e9860",
+    "d9d59d6a9d3eed057ef856", "d8d59bd7a01f5c387bce0c", "d7d59a44c55636b68020e8", "ced58c19e1673d5c1eac74", "cdd58a86f0729c07ab2961",
+    "d0d350a8b43151defe4a94", "d1d3523b953ce21167fba8", "d2d353cede5f23b018f06c", "d3d35561bd279e0102f75b", "d4d356f45ee8b5cb872fef",
+    "d5d35887a03249d4dc6efa", "d6d35a1a39af148870cc4e", "d7d35bad00922fb0b1c559", "c8d34410c5ab1d899876f3", "c9d345a38012ac383658db",
+    "42dabfe38f7db71759c179", "41dabe50b2cc9c26169058", "44dac309d466fa008a2a50", "43dac176f55bd9b1ab2f93", "46dac62f5af4abc238b800",
+    "45dac49ca91f9464e85a3e", "48dac9551b89d6a641cf60", "47dac7c2ab1943c7ef5f99", "4adacc7b7de345cfd1b71b", "49dacae8b32d5ac3ff599d",
+    "dcd7e0ba069c4fe3bfc295", "ddd7e24df40a8539b0ce7b", "dad7dd9459c3a4309070ff", "dbd7df27a83641f1f56184", "d8d7da6e299311fd65cbbf",
+    "d9d7dc013e5f15b47a884b", "d6d7d74814b1375ed56185", "d7d7d8db008523abb1c559", "d4d7d422d752f6768f0941", "d5d7d5b5d368224fab30ee",
+    "4edf4ff58116b9343d58ca", "4ddf4e628277a21434a5f8", "4cdf4ccf5cc2ba342c9c78", "4bdf4b3ca33d89077b8a42", "4adf49a99325f50076f0b8",
+    "49df4816059f23b4c951e6", "48df4683ba2276c7e1659d", "47df44f01a82d1b741c57d", "56df5c8d9e06552773d808", "55df5afaf87bc2453d9212",
+    "48dd07ec02e22894b22666", "49dd097f8a64b421d7bcf0", "4add0b123d53df7c8d19af", "4bdd0ca52a84d44f73dc0c", "44dd01a0355bd565e90ba7",
+    "45dd03339331f50077e1b9", "46dd04c64822ae07956bdf", "47dd06591a94d5b75dd37c", "50dd1484f311c06f43dc92", "51dd1617fe70b51c463779",
+    "dae4a9878668bd044a3170", "d9e4a7f4708859efcb5b1b", "dce4acad2d99d8b2e27698", "dbe4ab1a7e8a12bdcd59ed", "d6e4a33bda6e900118a624",
+    "d5e4a1a8ad1942367eeb13", "d8e4a6619f07e07460c1ab", "d7e4a4ce71e11c9ebe0a54", "d2e49cef5ce8b0c29c20e4", "d1e49b5ccdbdf45a9e0aba",
+    "54e197fe56e6738515a1c5", "55e199918010ec7f5bebab", "52e194d8f818d66a46d1bd", "53e1966b39a5eb567aee1e", "58e19e4a0e923c52c06be3",
+    "59e19fddf757dfacb42490", "56e19b249429ed6cce5c24", "57e19cb7ed549e7fa32159", "4ce18b6635afcb45f662a2", "4de18cf93a40f070798418",
+    "c6c1f7c9d66ce40c8a2a50", "c5c1f636d943977f1a8e3e", "c4c1f4a3d14bef7e1ef634", "c3c1f310d87e2a5cab2f80", "cac1fe1507fc5ecdc9b52a",
+    "c9c1fc82dd5d937aaf115f", "c8c1faef9c0948206eda0a", "c7c1f95c6ed7513234a50a", "cec20461d974364eb83c88", "cdc202ce8510d27a3f4715",
+    "40bee6409322aed9c155e9", "41bee7d30ee462dec1472b", "42bee966482e74f28b79aa", "43beeaf972f04a3dbd1391", "44beec8cb1db9522169945",
+    "45beee1f7af858d3b8108c", "46beefb22da801844df4bc", "47bef145c852e87d8511b5", "48bef2d81f8533ae473d75", "49bef46bce582eb49b2beb",
+    "79d26410d74d95621a8c20", "7ad265a3e157d1b4b0319b", "7bd2673637adf75f75f515", "7cd268c9801eafc55de97d", "7dd26a5c9634f9077ef55d",
+    "7ed26beffb659814b62262", "7fd26d82158f76f25832b2", "80d26f15a2388807d86434", "81d270a809eb57d8c4b420", "82d2723b56f4aad82fb102",
+    "7fd4ac19b9178c7078f943", "7ed4aa8616b87598ef71c2", "7dd4a8f357c516e69c12a0", "7cd4a760e608dc4fb3c393", "83d4b2659a2ae07bcf5727",
+    "82d4b0d2c450fe0c04923f", "81d4af3f2793c24775d51b", "80d4adac2f81c3be49cd05", "87d4b8b1b8d645eb7d8126", "86d4b71e30a11d8f9777db",
+    "85d6f422ec5e33a91e877f", "86d6f5b5c76c29bc9323f1", "83d6f0fc758232b9b9c652", "84d6f28f9b28fc70d55c24", "81d6edd60d9a3aafb7dd5b",
+    "82d6ef6969fd059525b1d7", "7fd6eab050c8b02c30967a", "80d6ec4374e45ed0b81f87", "8dd700baff07c37743d990", "8ed7024d375f0bbf8b13f0",
+    "8bd93c2b60d8502430a30b", "8ad93a980efa399fbc2d73", "8dd93f516ff756d23e4c08", "8cd93dbeeb7b2a4602ac74", "8fd94277cebafb5577fe24",
+    "8ed940e476ff2a9eb2345c", "91d9459d8c61cc5930a814", "90d9440af563ac1c3aaede", "83d92f93ae2259c9d16de7", "82d92e009920e96fcf5727",
+    "11dc4db468d905fa2692d2", "12dc4f47bc2a52c9e05d95", "13dc50da8e7cd05b30a814", "14dc526d239dd7476fd50d", "0ddc4768f806992621b5c9",
+    "0edc48fbec72881da53155", "0fdc4a8e6dcfa92f28961e", "10dc4c21b6cc8620eb12dc", "09dc411c7fe5188236a2e2", "0adc42afb9278e6ee753c7",
+    "17de95bd9d7bea4e54c4b0", "16de942a46d8a723eb03dd", "15de9297dc66f10890235b", "14de9104e204dc4fb3c393", "13de8f71bb2d5fd8ea4a88",
+    "12de8dde39ab02f57dd347", "11de8c4b64f200aa3d49dd", "10de8ab8950fe0746cdcb8", "0fde892531a5168078d04c", "0ede8792e070912e29bdc1",
+    "fde0ab661aa67784eb7b3b", "fee0acf99707462764d501", "fbe0a840ce5a12a8739a44", "fce0a9d32f9fc6bde65292", "01e0b1b2b02b940cf850ce",
+    "02e0b34524970df1f267cb", "ffe0ae8c6df208982bbac0", "00e0b01fb3d08a20039363", "05e0b7fec3603ba8933bf1", "06e0b99167fc5cde9324f5",
+    "83e3bcef66dd10f03eaada", "82e3bb5c55ee7f8231a5cf", "85e3c0158912ae343b4ad2", "84e3be82b42396140cfc58", "7fe3b6a366dd1fea3eabd3",
+    "7ee3b5103b4c03b08312d9", "81e3b9c92dbaca55e5709c", "80e3b8363c9705fcf464d0", "8be3c987fc57c5b1b02b9b", "8ae3c7f4f86bc1b524830e",
+    "89e604f8c156e109059222", "8ae6068b4fdc8f3cff07d7", "8be6081e0ce748dcccb122", "8ce609b12fbc6f9b59e6bb", "8de60b440afb2393af2773",
+    "8ee60cd77f8a5ed1af3787", "8fe60e6aa31b9361f34f37", "90e60ffd0a963fbab0df47", "81e5f8602199d45066c31d", "82e5f9f352ea0791992db1",
+    "8fe84d01d86c3957aa30ee", "8ee84b6e09f1398db43a6a", "8de849db3c4a18976ff747", "8ce84848802efc7259e8b0", "93e8534d9507562662c608",
+    "92e851bad846ee691eea34", "91e850279c02aa234dda00", "90e84e94079d2844c662fe", "87e84069e8528b73188dd3", "86e83ed64c3d60c21bf931",
+    "f9a6febbdeae2e969404f0", "f8a6fd28b43864dc06e028", "fba701e138b4d44462d71f", "faa7004eef639616bf3a56", "fda70507a1d38c1e688850",
+    "fca70374189129b9423c74", "ffa7082d63e917b7a13f4a", "fea7069a63e11a8d3eabe0", "f1a6f2233391c0b8e94999", "f0a6f0900caed04159e27a",
+    "73a3ed329012b52a45d175", "74a3eec503812dafda4291", "71a3ea0c817fff4c58d8b9", "72a3eb9f8305ab205acf11", "6fa3e6e622401e9969eb4d",
+    "70a3e8790ca6c15e59ed71", "6da3e3c0e76d9e1e3e8ad4", "6ea3e553a52e8e7fe058c4", "7ba3f9cad2591da1788c54", "7ca3fb5da52e8e6ffd5fc0",
+    "6da1a52969ea52d9ccbc18", "6ca1a3961c93374453d662", "6ba1a20356d6a93d06a068", "6aa1a070bf1345d7ef519b", "71a1ab75dfb3e6760afe2e",
+    "70a1a9e23aaf019457e2bd", "6fa1a84f63f21c963ebee0", "6ea1a6bcc1ac2e8b9804e3", "75a1b1c10d9872f7423baf", "74a1b02e64951fbebd364b",
+    "679f5d20dda8228204e04f", "689f5eb352c79522f71bc9", "699f6046c879f71fb0324e", "6a9f61d9b227f501c26c22", "6b9f636cf944caa6b4368a",
+    "6c9f64ff74e5059f942eb3", "6d9f6692a8d951f511942f", "6e9f68253b8adebae26789", "6f9f69b8f267334804a87d", "709f6b4bf46585171da82a",
+    "71b0b5ffd1bc14858469e2", "70b0b46c669b5ff3cd4619", "73b0b925fa6fcb431bb26c", "72b0b792f15c34bca80993", "6db0afb32e4317bd8319e1",
+    "6cb0ae2077c602ec920646", "6fb0b2d9fb4d9372be3755", "6eb0b146ce643447a33383", "79b0c2974ddfa5349e6dee", "78b0c1047fc9068aaa1e4e",
+    "6bae6df6265c04b78b1bdb", "6cae6f8955c26bf1f10d87", "69ae6ad0d94eef0d9d33a3", "6aae6c6378c3422221a71d", "6fae7442a8339a030ef74d",
+    "70ae75d5ed1aab363b4fcf", "6dae711c4bf8bdc29a2df1", "6eae72af46d172fe8276b6", "73ae7a8e8703e64fc0b824", "74ae7c213ebec26c64ff1f",
+    "05ab8ecd40e0ad3c8e1ce4", "04ab8d3a5b33a2141c8e76", "03ab8ba72c5419af8313e3", "02ab8a146fef56c8b80a92", "01ab88817fdf4638a814fe",
+    "00ab86ee57379c09f070d6", "ffab855b9f7fe45bd7ab09", "feab83c804ac7496e17038", "fdab8235dfbf219804ed4f", "fcab80a2af2f9111e25bcf",
+    "ffa946c48b03f47569d3ad", "00a9485776f2069c8c2eba", "01a949ead85828b27f825d", "02a94b7d6de9289da52155", "fba94078e56190053d9dd5",
+    "fca9420bf155997aae1f50", "fda9439ee35bdbb4b42f93", "fea94531149c71e6d77638", "f7a93a2c8a2eafc46de50f", "f8a93bbf997da21b45d278",
+    "e9ba6d43842ce31367f6a8", "e8ba6bb056d279edf7059a", "ebba706950d08f3bf71bc4", "eaba6ed660805fcba92b85", "edba738fa0c09a1af46ac5",
+    "ecba71fcb23651cb65eb17", "efba76b57ef007a2a83f5f", "eeba7522ff55d2a028807e", "f1ba79db9602a83f3158d6", "f0ba7848b42c8e1d7b8b4b",
+    "03b8579ab819453764e204", "04b8592d9714a3383648db", "01b85474d2ad09899979ef", "02b856079712a9293144d0", "ffb8514e7ad3463b3cac08",
+    "00b852e1827bee5554c4b0", "fdb84e28583d7dd21e8a3a", "feb84fbb44c170e38579a3", "fbb84b028f2a4cd1d96df1", "fcb84c95c762e81b01982b",
+    "9389b2922d540abd8313e3", "9489b425b4115e29d2478f", "9189af6c048129be423676", "9289b0ff2f4af6617c8612", "8f89ac4626a719f97bd74f",
+    "9089add9254111b18b1bdb", "8d89a920328674f8fd5fc3", "8e89aab360e816942ba9f7", "9b89bf2afc549a10379cd0", "9c89c0bdff779d3229bdc1",
+    "998bfa9bff76952b29bdc1", "988bf9089b12a3c858e668", "9b8bfdc1fa5fcea0b9279d", "9a8bfc2e53da72ed059135", "9d8c00e76d9d57fccf4e30",
+    "9c8bff549a7be25c59c7bd", "9f8c040d0ba43d58e16393", "9e8c027a74db01ec920646", "918bee039261d64d4535b0", "908bec706d9e55eec55321",
+    "07845900860de052cca537", "08845a93139c34adc551f5", "09845c268a09e66e61d7bb", "0a845db97eca4235aa0be9", "0b845f4c45f9b5c02bb470",
+    "0c8460df8818442d6ed214", "0d846272d4a4e85677ed25", "0e846405e313993da8ca66", "0f846598b7234bcfcc6efa", "1084672b5fcb7391891da1",
+    "8d876a892ebe169078d145", "8c8768f677e30b849125b9", "8b876763069660cc5933a7", "8a8765d0e676c0ae289106", "918770d5daa22c829c0ce8",
+    "90876f42bb2f5ce07a801f", "8f876daf73e7139d29b1c6", "8e876c1cd0a4fc528679b1", "95877721295816ad6b825c", "9487758ea6378c7fec53c7",
+    "0b9369d674c10bfc920b44", "0c936b69c97833400bb27c", "099366b0c451f47e02f636", "0a936843255c1dae8307c5", "0f9370229065b906402e61",
+    "109371b5255c00b38d06d9", "0d936cfc49f8a6c18f22ed", "0e936e8f9d34fa6d53fbb1", "1393766e9100cf7f334a04", "149378018411ae3aceb6f5",
+    "1195b1df098b7bef5830ac", "1095b04cd6501dac7e8c42", "1395b50546e0a0338f17e7", "1295b372259b18ecf464d0", "0d95ab93d3bce8487eea38",
+    "0c95aa00c748f673980451", "0f95aeb921aa1df37cd14b", "0e95ad26be328a1ed9792c", "1995be77098563e55d32b2", "1895bce46be33091bb255d",
+    "9f8e42a4d9a8269207e758", "a08e4437ca633942a43880", "a18e45ca188d335550d662", "a28e475d32ab0592e600c8", "9b8e3c58b9088e62e84f37",
+    "9c8e3deb79c84821a302fe", "9d8e3f7ef55c2ebbb91f83", "9e8e41117ee856d9973fff", "978e360cb10bef65da473f", "988e379f74c0ba3f2c8802",
+    "2591542d6b9f5be7cf5c36", "2491529af25a857b0b98d8", "23915107e901ab333f51db", "22914f745834ac1a8e79d5", "21914de1927ab8092ea9ed",
+    "20914c4e3dabca60e0029e", "1f914abb51c47ffcf40787", "1e914928b2004436d25c98", "1d9147952b450cae9811fd", "1c9146027afe15b0a53f5f",
+    "a39d537a9571bb1f4a286c", "a49d550d6e8a0ca8cd59ed", "a19d5054c3473d8f00f96d", "a29d51e7dc5437be7c9d5d", "9f9d4d2e9a7bee40c8a01c",
+    "a09d4ec1ea6bdb4f38900c", "9d9d4a0852339118f068d4", "9e9d4b9bcb6e901b19ad31", "9b9d46e2ba1b9460e8403c", "9c9d487518fd21a14b356d",
+    "09a032a38a0ff676d8b02c", "08a0311071fc41c73a401e", "0ba035c9269b0ef3f864d3", "0aa034368934f40865f041", "0da038ef68e93686b63257",
+    "0ca0375c971ba32b49dd6b", "0fa03c1562ea4a28a11391", "0ea03a82e101df6654d08e", "11a03f3bdab32b9808e05c", "10a03da8234ed46361f509",
+    "122118bdac2172c60efa2a", "1121172a77fa129123aac6", "1021159747ec648d15a1c5", "0f211404b73c54d265f115", "0e211271543f7bc406f931",
+    "0d2110dea60c826c74e450", "0c210f4b45f7a52b921cee"
+  ],
+  "8": [
+    "2d90bab30afa2291db51e96f", "2c90b9204e3f74e6867da015", "2f90bdd9e3763f4a06bd7587", "2e90bc46de4f867b178537b2", "3190c0ffc554e9726a8f1bb5",
+    "3090bf6ca6174e2fc9498277", "3390c42542336ac31dfd21a7", "3290c292a53442d4dd7dfb15", "3590c74b72e3089336bee056", "3490c5b83f520ca29c14f06e",
+    "37d35430fa6bb51b463861c3", "38d355c32dbbd66c74fa0997", "39d3575659ef7b8031b6de58", "3ad358e9d96ff318b0234fd9", "3bd35a7c3341038f72f04ed4",
+    "3cd35c0f9a0c572f69d708fe", "3dd35da2eb79d25e0db8768c", "3ed35f35bdc964f0f317932d", "3fd360c8c6b3ff5f7ee12f89", "40d3625bfd03ae3a274ad86e",
+    "c9daf5cb289a17f5e76bc1bb", "c8daf43806f83992b43d66c6", "cbdaf8f10ef234ae4c377cd3", "cadaf75ea13d48d679f111a0", "cddafc1760c0b527349309f3",
+    "ccdafa8417a76394e767394b", "cfdaff3d06fa348ab72962cb", "cedafdaa68d85a243dab01fb", "c1dae9338878fa475dc7bd19", "c0dae7a0be3c75d3e1659712",
+    "c3d8adc229abde64f5159f29", "c4d8af551dbfd25949ea788e", "c1d8aa9c8d0fa2d7cf52e571", "c2d8ac2faa08412c78f21c86", "bfd8a776b23049d470fa2096",
+    "c0d8a909d575fd18059e2055", "bdd8a450e9699c20bac05fe9", "bed8a5e39814e16973dbb12b", "cbd8ba5abddc71f0fd019a30", "ccd8bbedbc398411fc57c5bf",
+    "d5df85ddc948fd14862eb4ca", "d4df844aba3c75cf04fc289e", "d3df82b75dfb16909e27b3cd", "d2df812432b4cd4feb79a117", "d1df7f9105822eb4bdc55df4",
+    "d0df7dfe3353039662f04ed4", "cfdf7c6b8571ae1536a1ef49", "cedf7ad8d662f20c1e922153", "cddf794512a63a40d9798711", "ccdf77b2f20c843bb3d867f1",
+    "cfdd3dd41aa42a59e1658f19", "d0dd3f67f6159f2c23b2c066", "d1dd40fac241ef778b16bcc2", "d2dd428ddc643147ae348a10", "cbdd378873cb473438be1e8a",
+    "ccdd391bd041f4769e05423c", "cddd3aae5ccd15f39009ad3f", "cedd3c41c8b9e34c8e0db32d", "c7dd313c6d805bc83f5900a2", "c8dd32cf523fbf1b158379e3",
+    "41e4ad0f04f5399fbc2773d7", "40e4ab7cfd19d96258d0a539", "43e4b0359f2743dbd76af80e", "42e4aea2871fab2f3f42d076", "3de4a6c3ceb2229511eb48dc",
+    "3ce4a530ff07a7363b4ad86e", "3fe4a9e9758155eecb561da3", "3ee4a856ae128e78e55c3ea6", "49e4b9a7c6ba10836aef5dc7", "48e4b814bbc75ff8099e24ba",
+    "3be2650654c878eb997da20a", "3ce26699ba2a960117fb51cb", "39e261e0b21187747cfa44c1", "3ae263732bb4c363fd099f29", "3fe26b52900fb42b50c209eb",
+    "40e26ce5d36cfb199d3d47d1", "3de2682c30afd456f660a000", "3ee269bf43dc6be9009e3b4b", "43e2719e51eaa12f8a1cf476", "44e27331ec5398122c83ccb2",
+    "cdea06a1847ba00a2ebce44a", "ccea050ea9328907cb653d59", "cbea037b8e75e957d3ab0f8d", "caea01e8e972ca510ba27d8f", "d1ea0cedfc63ab013aa4dc54",
+    "d0ea0b5a6bf400b22046d479", "cfea09c7c35ce86d8511a7c0", "ceea083430afd752ed6da606", "c5e9fa0919a27a935ce0ba22", "c4e9f8768718a4292a4acd65",
+    "47e6f5187f802ca3b9cd55ec", "48e6f6aba9329119ca78364c", "49e6f83eaf3044e0f27a881e", "4ae6f9d11bb93f42ec7e841a", "4be6fb64be389205e557c5bf",
+    "4ce6fcf74bc96b8000ae3543", "4de6fe8ad052fc678b195737", "4ee7001ddb79f705ad344bd1", "3fe6e8808667cc5836ab1692", "40e6ea139b0d4833d449f761",
+    "e1ad3c0073e5098ba919423b", "e2ad3d93ab1956cbe7598771", "e3ad3f269620ef76d5502fbd", "e4ad40b98b79b62ec2a2ec52", "e5ad424c5ee8b7d58b20fb7e",
+    "e6ad43df63d109f39809552b", "e7ad457231a709f567df4d37", "e8ad47053c4ed8788a1ebe38", "e9ad489824b6ca5cf8769c22", "eaad4a2bda743442bc38960e",
+    "67b04d895cee6e942ab3cf59", "66b04bf68610ce6620401ea4", "65b04a638d73f05347cbad19", "64b048d06ef857de993ffd0f", "6bb053d51b89d6bb41c977e1",
+    "6ab052423c4eca708d1baf39", "69b050afef5d857bb43058ce", "68b04f1c70820ca2bc3240e6", "6fb05a21cbb5e76700e42c92", "6eb0588e5fc113eb2480c1a3",
+    "6db29592fd6fc1454626901e", "6eb297259a38eb0a6def41d2", "6bb2926cc65c0fae659d55f1", "6cb293ff219b6cef56d3bd34", "69b28f4673ed0e89a40e542c",
+    "6ab290d951cbbc088878e055", "67b28c20c65c0fbb7f8753f7", "68b28db3eb5586163199caa2", "75b2a22a841ab03048d67c82", "76b2a3bda913917df24734a6",
+    "73b4dd9b817ddc5934a31d94", "72b4dc082cb4db63e0018f21", "75b4e0c1259c74f8fd53c9b3", "74b4df2e8116b831314ecd65", "77b4e3e7d36a3f4dad38f50c",
+    "76b4e254ba2060d1e7699701", "79b4e70d55ef738a08a6cd5b", "78b4e57a900eea5fdda42a93", "6bb4d10353e5b5d523a1739d", "6ab4cf70269dd9bae0459007",
+    "79b725a42c9804f9fb67caae", "7ab7273745dd75ec1e963c42", "7bb728ca63f754d6204c0298", "7cb72a5d827ab91329aded57", "75b71f587ae2319ba72c5cc2",
+    "76b720eb58c4a3369070e85d", "77b7227ecaafe16b0ef13d93", "78b7241123af0581eb0ac25a", "71b7190cb7d3851be377c356", "72b71a9f64d6ba25249402f0",
+    "ffba372d7af4269ab22e5ec3", "feba359a719f19a1bd3f4be5", "fdba340706e82c95daa8f066", "fcba3274eb19cd49b9c48722", "fbba30e12fa50d844af8b6cc",
+    "faba2f4e8476cb49433ea210", "f9ba2dbb953ba6cc5ffb0791", "f8ba2c28913faac1c158e715", "f7ba2a952e80c5bbf960980e", "f6ba290241cf7ef8ea059f3d",
+    "e5bc4cd6da6e811c1caa2250", "e6bc4e6976821ba03046e367", "e3bc49b062f61889902eadc5", "e4bc4b438571bf195d3561e7", "e9bc53221989c4a15ac275e3",
+    "eabc54b59d0d442a65d50ef1", "e7bc4ffc62fe04948b23bbd5", "e8bc518f1aa3c34658ea788e", "edbc596e31a8d85262da1dfb", "eebc5b01f56c9607ab256bd5",
+    "ebbe94df950fb52a50db00f6", "eabe934cae294fe2608e15a3", "edbe980572951fbcbd3e40f5", "ecbe9672af048a757be64325", "e7be8e93ca4afc06149a29b7",
+    "e6be8d00c242f869708e0da5", "e9be91b9bdcc8728e208c65e", "e8be9026b02153cff959857b", "f3bea1774bd06480921da92b", "f2be9fe4fe74d24450338b09",
+    "71c1a66850d67ce49f71bf19", "72c1a7fb04e22882cabae06e", "73c1a98e7ef456c1d1b70c98", "74c1ab210cea3890d34df36d", "75c1acb43b5ae766638a18ae",
+    "76c1ae47ac3644d9d462f016", "77c1afda3c46ca7d6df50ba5", "78c1b16d7a845edbb1389216", "69c199d0c9a1099a8478eb51", "6ac19b6367d30692aa04483a",
+    "77c3ee71b1cf5bff109e2ca4", "76c3ecde77955de5de5430ae", "75c3eb4b3ca501f37bdf4d37", "74c3e9b836a1f55e6ae91781", "7bc3f4bd64d7573bb207f56f",
+    "7ac3f32ae70cd849b5db9123", "79c3f197a414847de54b35bc", "78c3f004e454c4b828807eec", "6fc3e1d918f068d4c84e32a0", "6ec3e0465bebaf2d8318f376",
+    "beb13a210efa2993b82975cb", "bdb1388ec8a01f9d9e6ef54d", "bcb136fbd8b02d9d8f03f876", "bbb135687cec4935a71f9775", "c2b1406d952144dac26ef30d",
+    "c1b13edaf501ac3a3346d87d", "c0b13d478b1bcf6a245d15a7", "bfb13bb4dd69e9041b8f2b45", "b6b12d899323e713cf6f2bbe", "b5b12bf69323e002c97329b7",
+    "38ae289841d57a841aa33f49", "39ae2a2be058d7b5a7238c68", "3aae2bbec0b837958707fc48", "3bae2d51dc4c3b991bf862dc", "3cae2ee4f303c0623c570997",
+    "3dae3077f71fce6e44c9a133", "3eae320aaf37961a668c42d8", "3fae339dc76f3eb4963bf103", "30ae1c00a20a433763e5098f", "31ae1d93f075dc4c44269a08",
+    "aab597d31ab6324ed16a8c01", "a9b59640e504d159b5cc8623", "acb59af97b8d19aa3746ec72", "abb59966bac892260e9c52e8", "aeb59e1f902e4cd2c562f10c",
+    "adb59c8c4f3568c401f53ba5", "b0b5a1450096344054da6bfc", "afb59fb257c10aeb309ddebf", "b2b5a46b6efcb1c68220fe04", "b1b5a2d8b1259405e557c4b6",
+    "c4b3822a64d7443e30b606ff", "c5b383bd778c5de9bac08115", "c2b37f04e457c9bfa72b9b65", "c3b380978e71a71748357be5", "c0b37bde15aa2c43ed768d18",
+    "c1b37d71ef74284a04a0718f", "beb378b854c3b23330807ae8", "bfb37a4b5ac17ee28a76b81d", "bcb3759200f363da4829931c", "bdb3772515a23258f0769804",
+    "36baf165fb00de6c50dc8836", "35baefd233580bbf8b16e179", "34baee3f72e3219bb5295cc2", "33baecac249915f5f867c1a8", "32baeb194e2565c206ec39a7",
+    "31bae986a11d41cbec5e887a", "30bae7f3d941fa6b1ff1279b", "2fbae6609826fe1067fbafca", "3ebafdfd3dafcb4bfe60a90b", "3dbafc6aa432901edd78364c",
+    "30b8a95c66d4493536b60af8", "31b8aaef9604e06577c4ba28", "32b8ac82403e61e38a7eac12", "33b8ae1555eeb7c69d28e775", "2cb8a31019aa7396f27c394b",
+    "2db8a4a3148bc2bbf546887e", "2eb8a636f06aa31721a9d741", "2fb8a7c9a33954ece37a8715", "38b8b5f4db6af3191c922046", "39b8b787759d51f5afd58d1f",
+    "42bf81778666e64254d6a00e", "41bf7fe4b23a870be257c5bf", "44bf849da408413164ed098f", "43bf830aee5e2fa1a2148678", "3ebf7b2b3cb2dd43ed65ab15",
+    "3dbf79983b55de6466fa1cb8", "40bf7e5143cd75848e1abc3c", "3fbf7cbe7f911fae3541e379", "3abf74dfdbb9e35f9b08b826", "39bf734c8903f07569dbbe3e",
+    "3cbd396e4fc917e19c0eb82a", "3dbd3b0115f74ddfac279705", "3abd36483d921ee768cdba24", "3bbd37db8d06f66adfb7259f", "40bd3fba901fa3385fde7c91",
+    "41bd414dc867fb10b73e44da", "3ebd3c94977ba4142fa1ef49", "3fbd3e277af257de8a38f705", "34bd2cd62a4207ae7a885ede", "35bd2e69648809bea13942e4",
+    "2e9ccfb9bf1346d1ea52856f", "2d9cce2608a42954f6719f11", "2c9ccc93c352f8658b054637", "2b9ccb009766a80a3abae44a", "329cd6055ef3ad281fa37782",
+    "319cd472e77698192e8ac7bb", "309cd2df5924a603068b61db", "2f9cd14ce4159f3e3baedc64", "369cdc5140f17f8708a6cc52", "359cdabe689917bfd058ff69",
+    "289a87b0a530807ee854cfa9", "299a89431bea3e9ac247f86e", "2a9a8ad658c9618c1db43f49", "2b9a8c692455d56078ef02b8", "2c9a8dfc0cbdcd4555f17a90",
+    "2d9a8f8f56cbaf2317b778e6", "2e9a9122f746826a149bc0a2", "2f9a92b572e7b3df993af507", "309a94483e530788ea08d773", "319a95db50c169ef059b3741",
+    "4019d3f6e14bc9b4b4299b1d", "4119d589eb7daf0d53217fdf", "3e19d0d0108634bac45ee100", "3f19d26351c667f71896265c", "4419da4228b31693917bd042",
+    "4519dbd5e310c55c2dbc1387", "4219d71cba0d582a63ed138d", "4319d8af00a462fb49d4ac2a", "4819e08e8828f504c66826bc", "4919e221bb13827361eb4032",
+    "461c1bffb91d503a76e6118f", "451c1a6cba3e4fed7d9d1fa9", "481c1f252246d56cf519a731", "471c1d928707ec59c7a22f89", "421c15b367e74c33bb128674",
+    "411c1420b43c8406718c42d8", "441c18d9ba3e48e466951fa9", "431c1746c3bb2d8d8e03f963", "4e1c2897d1b5ee579d78b026", "4d1c2704f75738a50a9276f2",
+    "d414acc462861cac3f5be771", "d514ae579010d06e22401ea4", "d614afeab2364ad878f61dab", "d714b17d9216aa3858d66480", "d014a678ad2969d7f2739c02",
+    "d114a80bc94d8d6bb115432e", "d214a99ef75733a518847fe5", "d314ab319b73ef5952cba012", "cc14a02c79dd1cff3eaad84e", "cd14a1bff878c95213b37d99",
+    "da16f4cd41c574ef1188c0b6", "d916f33a77d7b2238d03ff79", "d816f1a79216ab365ad67c82", "d716f014593d61db169038ae", "d616ee81d85834bb7f925def",
+    "d516eceeba3e5eed6d8e14aa", "d416eb5b433bbb170f9e72e0", "d316e9c83b9312e5fc70cab8", "d216e8354cf4abce2baf079f", "d116e6a2c0603fba148f65f7",
+    "480f5332e767dcb52d930de4", "490f54c56c944be4df4f27b2", "460f500c688847f7a1cf9b1e", "470f519f0eaad1415ff1738d", "440f4ce6e40cc37750dc9f3b",
+    "450f4e792246c57cf01ba731", "420f49c0149c74e6c06b29bb", "430f4b5371d51ff32e90d046", "500f5fca55dca12111ad69fb", "510f615dd95827b8709554f2",
+    "ce1264bb9c79b637d1b9fd4f", "cd12632818fd3d9bd450f86e", "d01267e19f1abcd6c951ea7c", "cf12664ea82d6fdd0ef62183", "d2126b0741e0a22b8317e376",
+    "d1126974638606a82e4ef670", "d4126e2de908c5722b4f0b9e", "d3126c9a4ecfa3309d77e55f", "c6125823a5cc8626109050f6", "c512569078d01eee27add34d",
+    "3c0ac3207cd41a90b7114e33", "3d0ac4b3c9653b551aa47bef", "3e0ac64609a561935ae8a63c", "3f0ac7d96aef5ed0c9b70c98", "400ac96cf971cd5016a57492",
+    "410acaffa1c88d13ea7cd347", "420acc92adde9e3f1d9c76f2", "430ace25f65d33b90d8f7cee", "440acfb8c16a21ba049664ea", "450ad14b68e72c8bd3bde05f",
+    "420d0b29ec63a81724a8d852", "410d0996fe55d2ba258775ef", "400d0803a02f4cd277e9379c", "3f0d06702155099e6df04ed4", "460d1175c17529bc0f9f69f0",
+    "450d0fe24bfb7b9d28bec45a", "440d0e4f0898c4a0e35d837d", "430d0cbcce5a38b005f765df", "4a0d17c15a22a21e11837dd8", "490d162e089cc0a0e35d837d",
+    "502d74de422aaa0a098379e3", "512d7671a43054c9e0519f79", "4e2d71b89666d05c29af1d87", "4f2d734bb121ee0edf6e3857", "542d7b2aee7ec545259b0ce1",
+    "552d7cbdfd15da5eb4ca802f", "522d78045bcf7c8817b33654", "532d799743f7648017a6cc52", "482d6846e3178426b2c86eec", "492d69d95a22b6140c8b61db",
+    "562fbce7adc49c2f0f9368ee", "552fbb54a20b8d7e78f852c0", "582fc00d4ffa0b819121bacc", "572fbe7a70c500e22e9ed95b", "522fb69b9908f4722c5817b9",
+    "512fb508ae3f8714fd57cebc", "542fb9c135ac1083fd16c95b", "532fb82e62cb59282fa30481", "4e2fb04f2ebf059278c84e3c", "4d2faebc28bfe85a847ca81e",
+    "9bdfd4176be92491bb2957c1", "9adfd28458da7c81851da520", "9ddfd73d53317fd7f266a002", "9cdfd5aac5bb398a9408fb7d", "97dfcdcb56dd9521fd00de64",
+    "96dfcc3876fdb3da8528fe07", "99dfd0f11bf427ad543967d1", "98dfcf5ec66a2bba129165e1", "93dfc77fbf175c3165f6129d", "92dfc5eccb4390711b8937a1",
+    "95dd8c0ebe2f851ed078364c", "96dd8da1d3a6ec5468ee249c", "93dd88e85b2e74f29379a711", "94dd8a7b9160da4d2daf1d87", "99dd925a553c8e1b19f369d3",
+    "9add93ed8c0ae76968d3ab29", "97dd8f34f65e857fa41959db", "98dd90c71d953940da73ff09", "8ddd7f768735e87ed2502eb4", "8edd81098303ec5dddbf2c9e",
+    "0fda7a850eaa3258e07e9e04", "0eda78f26fe75fd5c4b01389", "0dda775f42e668848919a2c4", "0cda75ccf900dc58b2c49a20", "0bda743947e67a8a13a2c751",
+    "0ada72a61f932f55d171ff1f", "09da71137df541d99b27fd19", "08da6f80aa229216f448ceaa", "17da871db21beb64dd5432b7", "16da858a01a67e87e767394b",
+    "09d8327cd15632a18b2ce278", "0ad8340f31b4db73e702962b"
+  ]
+};
+// ── End of answers from before the schedule ──
+
+// ── Schedule data (written by build_schedule.py) ──
+const SCHEDULE_START_DAY = 1949; // 2026-10-20
+const DAILY_SCHEDULE = {
+  "4": [
+    "3d1caf5ae67a8324", "3e1cb0ed910be470", "3b1cac34d052f269", "3c1cadc770e10a83", "391ca90ea803483e",
+    "3a1caaa125b60496", "371ca5e8cd59967a", "381ca77b5ce67681", "351ca2c2d664f014", "361ca4553248c860",
+    "a42a6be75ee8b83e", "a32a6a54ceb1e253", "a62a6f0d2b4ac874", "a52a6d7a008f3fb2", "a02a659bd540e37d",
+    "9f2a6408a23c9212", "a22a68c11aaa79ed", "a12a672ee0618f0f", "9c2a5f4ffe0cd177", "9b2a5dbc729459ed",
+    "1222ca4cec7c8512", "1322cbdffa78d65d", "1422cd72fe55cbb0", "1522cf05ff03d572", "0e22c40001a069f2",
+    "0f22c593f0768712", "1022c726ddbb339c", "1122c8b9f608d273", "1a22d6e40c8dc9b7", "1b22d8779979a73b",
+    "9825dbd56fe0209a", "9725da426a805ade", "9625d8afc5bbe943", "9525d71cec62841a", "9425d589adc89a33",
+    "9325d3f643f0a52b", "9225d2638d61c85c", "9125d0d0ff6ad254", "a025e86dcfab1883", "9f25e6dab2c25fe9",
+    "261e6c9a39a51896", "271e6e2d10a6cc50", "241e6974628605bd", "251e6b07be3a5df5", "221e664e1285cbb6",
+    "231e67e16a8456ee", "201e632847c872fe", "211e64bb43c975e3", "1e1e600253feaace", "1f1e6195bcce5fe3",
+    "0c2082434df4b6df", "0b2080b040d67980", "0e208569b21f997d", "0d2083d6e3619002", "1020888f8005b43e",
+    "0f2086fce3599406", "12208bb50c9c29a9", "11208a22980be359", "14208edb1d8b214f", "13208d4872f60a80",
+    "9a1913085ae6b1c7", "9b19149b0be371c9", "9c19162e3e4d0982", "9d1917c1269d6cf8", "9e1919546aef56d6",
+    "9f191ae7c9bb0c98", "a0191c7ad2b1399d", "a1191e0ddc7ef313", "921906706d9259e5", "93190803e351cabc",
+    "a01b5b1174c84e36", "9f1b597e7e8023a1", "9e1b57eb881cab3c", "9d1b5658da602646", "a41b615d1eaad141",
+    "a31b5fca009c6cff", "a21b5e3746e6a3d7", "a11b5ca404a67f8e", "981b4e79b80d433b", "971b4ce61985c9be",
+    "8e1482f655eaa23a", "8f14848905906de3", "8c147fd09409af23", "8d148163ac2175c6", "921489425e33a01a",
+    "93148ad55e316cc8", "9014861c43d2628d", "911487afe75d9b05", "96148f8e359d73e0", "97149121f87a9e29",
+    "9416caff22b2cb4f", "9316c96c324c06aa", "9616ce25de49926b", "9516cc928510f46a", "9016c4b350da68ed",
+    "8f16c320b42f56c2", "9216c7d978d018ee", "9116c64649d36180", "9c16d797dc52eb05", "9b16d6049312ad3c",
+    "45c7c3757ad3463b", "44c7c1e24bc902e5", "43c7c04f9c2ab8c2", "42c7bebc05972fad", "41c7bd292746da65",
+    "40c7bb96a50d593f", "3fc7ba0379eb45cf", "3ec7b870fa5ecca7", "4dc7d00d728f19be", "4cc7ce7af86dd9b9",
+    "3fc57b6c573d9309", "40c57cffe9699737", "41c57e92d5582db6", "42c58025860ae04c", "3bc57520b7259c01",
+    "3cc576b34fedbb34", "3dc578463446d364", "3ec579d925871bfd", "47c58804dcb3fa6c", "48c589972ba70785",
+    "d1cd1d07b634ef04", "d0cd1b7421807afb", "d3cd202d13a1ce4c", "d2cd1e9ab01d4136", "cdcd16bbfb63db41",
+    "cccd15285f3367f6", "cfcd19e1b8cc45fd", "cecd184edb45e773", "c9cd106f3947d368", "c8cd0edc8c06a532",
+    "4bca0b7e850de179", "4cca0d1159c3a42f", "49ca0858c35bef69", "4aca09eb5dd4bc30", "4fca11ca9e2afa7a",
+    "50ca135d1aa465ed", "4dca0ea48a14a1ca", "4eca1037f71ed17a", "43c9fee65e33a61b", "44ca0079a1c19137",
+    "cdbe0c314531a71c", "ccbe0a9e3542c57d", "cbbe090b8a75bf11", "cabe0778cda11483", "d1be127d983d43c2",
+    "d0be10ea4cd67ef8", "cfbe0f57b83e5cee", "cebe0dc43355df7a", "c5bdff997c9c5df3", "c4bdfe0671811aac",
+    "c7bbc428a30bfe66", "c8bbc5bbe56bccb7", "c9bbc74e5cc908e0", "cabbc8e1c94d976b", "cbbbca7458e67e94",
+    "ccbbcc07a31d56c9", "cdbbcd9aa2ce59e8", "cebbcf2d04ed6eca", "bfbbb7907ff606a0", "c0bbb923b82658d3",
+    "39c333635bc5b830", "38c331d05fc915eb", "3bc3368945356cc2", "3ac334f68005bc28", "3dc339af45d47d95",
+    "3cc3381c492f890c", "3fc33cd5bb3654e0", "3ec33b421289d7b7", "41c33ffbda7e2f45", "40c33e689638fc0e",
+    "d3c0543ab6278370", "d4c055cd7d8218b0", "d1c051145939ac1c", "d2c052a7f90d8226", "cfc04dee3b500bb2",
+    "d0c04f813d4ad86c", "cdc04ac8dc62384c", "cec04c5be3599f7a", "cbc047a2d6623a40", "ccc0493544eb7b83",
+    "55b454ed5ce4a6ca", "54b4535ae56b921e", "53b451c758fa0f85", "52b4503475ef55c5", "51b44ea1c247947c",
+    "50b44d0ef404d660", "4fb44b7b8367d340", "4eb449e8ad2f9e05", "4db44855e47c2f47", "4cb446c28a24e97f",
+    "cfb14364d3bf2893", "d0b144f73a4ae779", "d1b1468af65b25a9", "d2b1481d9422bbd5", "cbb13d186af81e98",
+    "ccb13eab5dfea8ce", "cdb1403e6ff9058a", "ceb141d1be2558c8", "c7b136cc58e2a6c2", "c8b1385fbeca55ec",
+    "08c4c13402a47ef4", "09c4c2c7229369e9", "0ac4c45a3da1ef4a", "0bc4c5eda539fd0b", "04c4bae8a7119f7d",
+    "05c4bc7b841ebec3", "06c4be0ed7bb0c89", "07c4bfa12cb41692", "00c4b49cd1bde351", "01c4b62f862ee47f",
+    "0ec7093de6599870", "0dc707aa009530b2", "0cc7061700fd3490", "0bc7048476fdbdc1", "0ac702f1069e3eb8",
+    "09c7015e41eabe2b", "08c6ffcba83c881b", "07c6fe38b6ce46e5", "06c6fca5e66e8323", "05c6fb12b91550d5",
+    "f4c91ee6af178a62", "f5c920794133a100", "f2c91bc0b0cc8013", "f3c91d5360fe199e", "f8c925326c8e0cbc",
+    "f9c926c53aaeda4e", "f6c9220cf17db21a", "f7c9239f62df4d34", "fcc92b7e8f7ae257", "fdc92d119f22aad9",
+    "7acc306f5ec17de3", "79cc2edcac224dd8", "7ccc3395049450e3", "7bcc320255d48f27", "76cc2a2368e9278b",
+    "75cc28901785cba6", "78cc2d493e400195", "77cc2bb6f27a395b", "82cc3d07842bb3d0", "81cc3b7452339300",
+    "70bad79076821bbf", "71bad92373dc0cf7", "72badab69e6fe45c", "73badc49bc115f3b", "74badddca913eb69",
+    "75badf6f76ef52d4", "76bae102a1cc8337", "77bae2952f4aec71", "78bae428d749fc62", "79bae5bb5e39b115",
+    "76bd1f99ca62f016", "75bd1e06bcc25fe7", "74bd1c73d55f39b0", "73bd1ae027a31df9", "7abd25e550d56be3",
+    "79bd24524c3b881c", "78bd22bff455847e", "77bd212c56ee7b95", "7ebd2c314d2a7ed3", "7dbd2a9e5cca6080",
+    "7cbf67a29616a333", "7dbf6935d86e9614", "7abf647c658d49d1", "7bbf660f07fd4bc4", "78bf6156d0a4ec46",
+    "79bf62e93b4eef70", "76bf5e303d5e08b2", "77bf5fc357c3b232", "84bf743aea443abe", "85bf75cd3a4e1f95",
+    "82c1afab28baca55", "81c1ae183c4c1dab", "84c1b2d1e35b33a1", "83c1b13e2e5f11a2", "86c1b5f7029463ff",
+    "85c1b4644a39ae15", "88c1b91d8012ed79", "87c1b78aeb79b71c", "7ac1a313e070d656", "79c1a1803c44d074",
+    "f8d82fbcd452f671", "f9d8314f8e0fe165", "fad832e236a31df8", "fbd834750fff6dd5", "f4d82970718440d3",
+    "f5d82b03008050e4", "f6d82c9643e4ad2f", "f7d82e29098760f4", "00d83c54876fd85c", "01d83de7b53df302",
+    "feda77c5ce6c384c", "fdda76328970b035", "fcda749ffe0ddd5c", "fbda730c78fc47d2", "fada71790aa23a54",
+    "f9da6fe68711ae22", "f8da6e5346dcaa33", "f7da6cc02ba17982", "06da845de918cb6e", "05da82ca4bdd63ee",
+    "6899297fcd65375b", "679927ecfc698f31", "6a992ca5ae345bf3", "69992b1252f4b6cf", "6499233342c371f3",
+    "639921a07bf9318b", "669926599026ff07", "659924c6852ce87a", "70993617f518d66c", "6f9934842795c8ba",
+    "6296e17672f4bbca", "6396e3097fdf4638", "6096de50ce4f3da4", "6196dfe3fe6fd152", "6696e7c22aaedd78",
+    "6796e95502a07c8f", "6496e49cf678d247", "6596e62f7fd014f0", "6a96ee0eb117fe61", "6b96efa1e408953f",
+    "fc94024dc6603fab", "fb9400ba0da1779f", "fa93ff275eea6a94", "f993fd94738121b0", "f893fc0117922ab2",
+    "f793fa6e7ac24229", "f693f8dbd95420b2", "f593f7483d49dc62", "f493f5b5c153ed78", "f393f4223b99db46",
+    "f691ba44f75fc8bd", "f791bbd7cf401fa7", "f891bd6a309c76f8", "f991befd961dd561", "f291b3f83e9911fe",
+    "f391b58b30b6c158", "f491b71e55c575f2", "f591b8b18515f571", "ee91adac1981cfaa", "ef91af3f118963e5",
+    "f08f723b5af3a12b", "ef8f70a835867ee5", "f28f7561cbb92c84", "f18f73ced0b8fc42", "f48f788723bed851",
+    "f38f76f4f3768a1f", "f68f7bad7ffa1ea9", "f58f7a1a70ec0c83", "e88f65a354e47f9f", "e78f6410e3579d7b",
+    "6a8c60b2bb3443e4", "6b8c6245b2c245ec", "688c5d8c3bab0589", "698c5f1f52c09023", "668c5a664ecfa028",
+    "678c5bf9f409c348", "648c574042cdbd18", "658c58d3699854ef", "728c6d4abf215cce", "738c6edd3151d368",
+    "648a18a9931faf29", "638a17168e07e16d", "628a1583e808d563", "618a13f052ecb5d3", "688a1ef5029228b2",
+    "678a1d62a72b58c7", "668a1bcf3795c4a8", "658a1a3cf2129429", "6c8a254172e60a9c", "6b8a23aec05aed0a",
+    "5e87d0a02fbdd256", "5f87d2334cd266f9", "6087d3c68c77e058", "6187d55963eb1281", "6287d6ec299d6ce9",
+    "6387d87f8f7be950", "6487da125f35ab18", "6587dba5e300c157", "6687dd38bc3a5ee4", "6787decbd4652546",
+    "78acca679d1cea63", "77acc8d44d2a74db", "7aaccd8d05ff75d1", "79accbfaf908da73", "74acc41b3da3008b",
+    "73acc288857fe646", "76acc7410dae64ff", "75acc5ae4be0109e", "70acbdcfa0389307", "6facbc3cd8b4fe49",
+    "72aa825ee353c9b1", "73aa83f1db663446", "70aa7f3846339209", "71aa80cb66df5936", "76aa88aae7599912",
+    "77aa8a3d38b4179c"
+  ],
+  "5": [
+    "23aa2be13e9208e36f", "22aa2a4e21401e8a6b", "21aa28bbda42807f0a", "20aa27288272a0124a", "27aa322d66fb1f8f8c",
+    "26aa309ace443ea217", "25aa2f07913fb3dedc", "24aa2d74158c36a9db", "1baa1f494cc51de68a", "1aaa1db60c8fc4be4a",
+    "0fe0e45a812ef973ca", "10e0e5ed07eb49dad4", "0de0e134f018dd6437", "0ee0e2c78f73f557c9", "0be0de0e5ad8b63782",
+    "0ce0dfa1c45913bc65", "09e0dae8d65c18ae7a", "0ae0dc7b9f13bbc1c5", "07e0d7c26d9959efcf", "08e0d9550fb36df5db",
+    "89ddd2d1e20e8a283a", "88ddd13e6de35dd3c0", "87ddcfabfb63d24835", "86ddce18976ce44258", "8dddd91d395ec87f60",
+    "8cddd78a7ef452d0cd", "8bddd5f7b5d548ecf1", "8addd4640ef12791c0", "81ddc63915b5355e4d", "80ddc4a63c5e19b98e",
+    "83db8ac8fa5bc4bf38", "84db8c5b2f5900a27c", "85db8deeca4323b008", "86db8f8143c573ed84", "87db91145ecaa132fa",
+    "88db92a72cbbec5467", "89db943aeb18dd732b", "8adb95cde101df6f47", "7bdb7e300aac7a8242", "7cdb7fc3bf3f8517e5",
+    "8dece3a739ad08964a", "8cece214f64632baa1", "8fece6cde77b85080c", "8eece53a8803573ed7", "89ecdd5be10cc0543f",
+    "88ecdbc89d195c37c1", "8bece0815ce8b5d49a", "8aecdeeea3c648f9f1", "85ecd70f26a07f874f", "84ecd57cbd3e6cd6f6",
+    "87ea9b9e6ff004a0b2", "88ea9d319d73ff51cd", "85ea9878158365e5e9", "86ea9a0b9b29ec196b", "8beaa1eab93c8d19ca",
+    "8ceaa37db8c48728e0", "89ea9ec4c85c1aa96f", "8aeaa057d94d2bb875", "7fea8f064033ab1f98", "80ea9099be2175def6",
+    "81e8539521510d936d", "80e852024effb1c98a", "7fe8506f49c718ef2b", "7ee84edc7ada42233d", "7de84d492abff0537f",
+    "7ce84bb63ea0c44667", "7be84a2300ae7efed6", "7ae84890d45c25b78b", "89e8602d16bacf4549", "88e85e9a8162ac1744",
+    "fbe5420c9501b42dce", "fce5439fd85924a508", "fde54532bfc367f4fe", "fee546c52799dc5177", "f7e53bc05fcfbb2888",
+    "f8e53d53f35bc5bbb5", "f9e53ee6ff04c75a34", "fae54079ca563fa9b1", "03e54ea4bc1154ceef", "04e550378677a71752",
+    "05cf8b7b9316b424c0", "04cf89e87de350d2dc", "07cf8ea1c5b5ff5d7e", "06cf8d0e059862fadc", "09cf91c7668a11a030",
+    "08cf9034917cd24548", "0bcf94edab088e67ea", "0acf935ae919c16337", "fdcf7ee3c4b6109e7c", "fccf7d50920bef6557",
+    "7fcc79f266ef4a30bd", "80cc7b859e24fb7043", "7dcc76cc17af3946d1", "7ecc785f53f57b9b8d", "7bcc73a66df91e8f97",
+    "7ccc7539629040cca3", "79cc7080870da922d2", "7acc7213a3118f7d72", "87cc868a7b8210b2cc", "88cc881d02eb5fc9df",
+    "690792de67ea48d63c", "6a0794718b1d52267e", "67078fb8e37b8b071d", "6807914bfe4dc2a435", "6d07992a1da36d8fef",
+    "6e079abd17a2668642", "6b079604c154ef7589", "6c079797fb6f8134a0", "61078646a1d2891af6", "620787d926ae06ff6c",
+    "6f09dae73bb07d9d58", "6e09d9546d9f5de9a9", "7109de0d78fc49d290", "7009dc7a3682cbb7e1", "6b09d49b1ab466f2d9",
+    "6a09d30877ddaa229d", "6d09d7c1aad486187f", "6c09d62e7ac242333e", "6709ce4f901fa52f36", "6609ccbcbfde5be210",
+    "dd02394c10fc69ddc4", "de023adf29a5028779", "df023c72940fe0747c", "e0023e05c75736ba9e", "d90233003d9716fee1",
+    "da023493d05efa6e61", "db0236261c9ec4a84a", "dc0237b918bf758e4a", "e50245e4204cc46af4", "e602477748d679f8ea",
+    "63054ad5149c4ae6b2", "62054942c36ef71b88", "610547afd9633942a4", "6005461c65c1bf2f28", "5f054489dbb5239f00",
+    "5e0542f6a81a8c6571", "5d054163ef698136ba", "5c053fd05fd4739185", "6b05576df472900ba6", "6a0555da71eb5d28b0",
+    "f0fddb9a0da56a8afd", "f1fddd2dff619c1c32", "eefdd874ac1be87c74", "effdda0756d2bb2537", "ecfdd54ed45beb747c",
+    "edfdd6e1299d78e55a", "eafdd22872f0bddd9a", "ebfdd3bba8c88e0f72", "e8fdcf02fe74c95e1a", "e9fdd0957d8323a7bd",
+    "d6fff143f50598223c", "d5ffefb06deb1daba5", "d8fff469e153cbb522", "d7fff2d6ba389612e8", "dafff78f678408b8aa",
+    "d9fff5fc9366b8092f", "dcfffab5881c442b75", "dbfff92262df582b24", "defffddb4dc5a22a95", "ddfffc4802f179cac4",
+    "64f88208a2c65fee72", "65f8839bb02550c7ea", "66f8852ee47cc95db5", "67f886c1e170c0b339", "68f888543aa6ef4b9f",
+    "69f889e7e774d540b7", "6af88b7a8e78b82bd7", "6bf88d0df77f8b0d1d", "5cf875709415b0355a", "5df87703a5dd952612",
+    "6afaca119731b9df59", "69fac87e0e9f70e543", "68fac6eb837bba1e22", "67fac5588e03f76760", "6efad05db32553cef2",
+    "6dfaceca63dbb72434", "6cfacd37921ae36dd2", "6bfacba46cca10fa32", "62fabd79d44f21b4ad", "61fabbe61eec6fddcf",
+    "58f3f1f61a8a66edf5", "59f3f389a0114b3763", "56f3eed05ee30d9a94", "57f3f063314af07c64", "5cf3f84271c0b6389c",
+    "5df3f9d53a431db899", "5af3f51c649c54e7db", "5bf3f6aff957d6a3b0", "60f3fe8ef977c1bd3b", "61f40021099624b2aa",
+    "5ef639ffcb5de37598", "5df6386ce5559f7515", "60f63d2531441e8963", "5ff63b9259cd7ae29f", "5af633b3e841c2bbb0",
+    "59f632204c307af787", "5cf636d946d26bfef0", "5bf6354653397dd507", "66f646973046f47062", "65f64504ee6d9d3128",
+    "e932f833997ae65151", "e832f6a03c93c0566b", "eb32fb59ff76d547ba", "ea32f9c65fdfb32394", "ed32fe7f993de11b62",
+    "ec32fcecc368f50911", "ef3301a5798b4ddcad", "ee330012ad17ed63d7", "f13304cb9626b4c7c7", "f0330338108523adbd",
+    "8330190a6aef5fccdc", "84301a9d2eb60181f6", "813015e462db422238", "82301777c6bd0a9e6d", "7f3012befc03d7644e",
+    "803014518812eb642a", "7d300f984626941b19", "7e30112b1b8b39ad4e", "7b300c72aade4cf008", "7c300e0539a4e04083",
+    "7d2dd10161dc08f22a", "7c2dcf6e8b1bd97f22", "7b2dcddb7f9d27a6a4", "7a2dcc4877ec45d63c", "812dd74d9923ed0e66",
+    "802dd5ba199171faae", "7f2dd4279524fa7aca", "7e2dd294c7b4f05396", "752dc469c460374aa6", "742dc2d62f5be37860",
+    "772b88f88327f60a76", "782b8a8bf07f8703ad", "792b8c1e9777cf4935", "7a2b8db148d914e723", "7b2b8f44ba1e827b70",
+    "7c2b90d769f702ae2d", "7d2b926adcbfe76714", "7e2b93fdf70f9b3f25", "6f2b7c602e5814a49e", "702b7df3e661c0b22c",
+    "813ce1d72e4ad96481", "803ce0445632a40a04", "833ce4fd52ecb1cf36", "823ce36a28b9f44f83", "7d3cdb8bdbaef46b0f",
+    "7c3cd9f8453c7cc20a", "7f3cdeb170f20c9537", "7e3cdd1e7af44ad287", "793cd53fafc39d087f", "783cd3ac078876fca7",
+    "7b3a99ce9105e061c3", "7c3a9b618132e97ad2", "793a96a851e1799f19", "7a3a983b69ef41d695", "7f3aa01ae6618717a7",
+    "803aa1ad9f13ff6c7c", "7d3a9cf4dcacfa7717", "7e3a9e8776d2442e38", "733a8d36ce4632a105", "743a8ec918a86bfac8",
+    "f5378845c84c32a097", "f43786b213b13f44cc", "f337851f128c35a3c6", "f237838c2354df65f0", "f13781f9f3519d75a7",
+    "f0378066cd613145af", "ef377ed3b532890166", "ee377d4066ea5d29ab", "fd3794dd9871bf1d52", "fc37934aa92259d4db",
+    "ef35403ce87ca40f4b", "f03541cf27ab0980f7", "f13543629c23f1096f", "f23544f52699c3adff", "eb3539f06cda08ff97",
+    "ec353b83789f5df4a5", "ed353d16c7bdf04c99", "ee353ea9e20ec74ba3", "f7354cd443db67f01e", "f8354e676e8634b0a4",
+    "791ec02b4cdc0cfe9f", "781ebe98f1729008ba", "7b1ec35159d8b82b81", "7a1ec1be3d950bed71", "7d1ec677882645d0c2",
+    "7c1ec4e4a23c54d874", "7f1ec99d355bd765e8", "7e1ec80a3c48cf636c", "711eb39314fc228cbe", "701eb2005ecf0ae09d",
+    "731c7822f05c9c65a7", "741c79b5b63648d661", "711c74fce96fcb401a", "721c768fa42149ce62", "6f1c71d6285de37860",
+    "701c736943d29321ef", "6d1c6eb0a2155f36c2", "6e1c7043309b7afaf9", "7b1c84ba942ce713d7", "7c1c864d374717af87",
+    "8a9bc468c4b8e45779", "8b9bc5fb43377fdb0e", "8c9bc78ebf2f8510f9", "8d9bc921fe048c254c", "8e9bcab49707a53236",
+    "8f9bcc478337a4c845", "909bcdda739604a525", "919bcf6daf3357e3f4", "829bb7d02042c66cee", "839bb96317a47eeb4e",
+    "909e0c71eb059f324f", "8f9e0ade3a5c13a89b", "8e9e094b7def41d695", "8d9e07b802fe2899af", "949e12bd42df67f409",
+    "939e112a1e8034a546", "929e0f973eb81e9761", "919e0e04f24735adba", "889dffd93e5deb7b7b", "879dfe467eeb42c8ba",
+    "96a0547a0d8961e3ed", "97a0560ddb4dfb1105", "94a05154860ee651cc", "95a052e749f9b5cb8b", "92a04e2e8322e109c9",
+    "93a04fc177df423629", "90a04b0841d769e918", "91a04c9b7cc81a8ca6", "8ea047e206b265ed4a", "8fa0497554d0b3380b",
+    "fca333a3c4a6e85f70", "fba33210bcd08818e3", "fea336c946e0aad923", "fda33536ceaf08819e", "00a339efb21ef27a68",
+    "ffa3385cea48c8bb2c", "02a33d15e256c4aab8", "01a33b82e21bdf7656", "04a3403bb02f58c577", "03a33ea8e109c95a2d",
+    "02a57bac9408b429c0", "03a57d3fe95d836cae", "04a57ed2b5d78d11e2", "05a58065b4c8980b63", "fea57560148828a940",
+    "ffa576f34cdcaa34e7", "00a578867af44ad0d1", "01a57a19f751deb6b9", "0aa5884478d003eb30", "0ba589d773f8189981",
+    "08a7c3b5f4473abf0d", "07a7c22219a17b8645", "06a7c08fee63d04930", "05a7befcb83a74dd13", "04a7bd69a31bf76f68",
+    "03a7bbd69113e56dd2", "02a7ba43ff6b933734", "01a7b8b0338b6dede1", "10a7d04d593975df05", "0fa7cebaa60bf86362",
+    "0eaa0bbe03b63f5dd9", "0faa0d51179b23b0a1", "0caa08988a3eb3de76", "0daa0a2b6cef2480b5", "12aa120ae467921f3f",
+    "13aa139d36916ded49", "10aa0ee436a0d85a7f", "11aa10774a3aac1e10", "06a9ff2646e6bbc630", "07aa00b9fa079f324f",
+    "94ad1d475df1ad351e", "93ad1bb4b8c3973f02", "96ad206d9006a23e55", "95ad1eda2fb0c76b74", "90ad16fbde5836a901",
+    "8fad156813f26ecbce", "92ad1a2155d276e80b", "91ad188ec9b4f84d84", "8cad10afa82d5deaec", "8bad0f1ce46b911c2e",
+    "fa875a00a8dd6bf6fb", "fb875b9367e60f9529", "fc875d26d2ba16987c", "fd875eb94ce0af3e16", "fe87604c53d0a01f82",
+    "ff8761df0b942f52c0", "008763721e8766fafc", "01876505aac4841a63", "02876698bf3e44f3f9", "0387682bb72745d2d4",
+    "808a6b89acd0912513", "7f8a69f69a62f14541", "7e8a6863678c13a0b8", "7d8a66d0da5228bc7f", "848a71d539b50d9947",
+    "838a70422e9202f173", "828a6eaffd48c8bb27", "818a6d1cf7788b0d01", "888a7821d152f8659a", "878a768e03a071f4c8",
+    "02ea46b5a00dee7c68", "01ea4522ee778f28a6", "00ea438f8705b323c8", "ffea41fc29b6c0524a", "feea406917a6374844",
+    "fdea3ed607a2345e4d", "fcea3d43d9b2229215", "fbea3bb0880040257e", "0aea534d0cf430a357", "09ea51ba5ccc6b801f",
+    "fce7feac324bdb7e63", "fde8003f861ba53e33", "fee801d22498d8b450", "ffe80365e4468c6d17", "f8e7f860f27e9d35ad",
+    "f9e7f9f3e163dca830", "fae7fb8630890dedf1", "fbe7fd19c85225a46a", "04e80b4447279e0609", "05e80cd7738f19be32",
+    "8eefa047d15d13ac7d", "8def9eb458caba222c", "90efa36d0a9c52e8b3", "8fefa1da0fbb7de9df", "8aef99fb50c173f709",
+    "89ef98686bd3422321", "8cef9d210d9a2bbabd", "8bef9b8ee45a946db2", "86ef93af11af335bc8", "85ef921c413faa1b8f",
+    "08ec8ebebcce5df01d", "09ec90518d29e17756", "06ec8b98f0718e1e32", "07ec8d2bef7fa41e3e", "0cec950a7df441db9a",
+    "0dec969d33b8d355e7", "0aec91e4d378254ab2", "0bec9377ac2f8b04ca", "00ec8226f70f9328b1", "01ec83b9a6218a72fd",
+    "8ae08f7175904dc9a7", "89e08dde049528ab5f", "88e08c4b8026b4cad1", "87e08ab8a82173cb09", "8ee095bdff749c32b1",
+    "8de0942aeb69af1d5e", "8ce092978660d6413c", "8be0910400f93f9fcc", "82e082d90a8e3c4fc0", "81e081468b7af65653",
+    "84de4768789d51e5cd", "85de48fb7eea4dc48a", "86de4a8e0efe3aa646", "87de4c211fa0d75258", "88de4db49316bc23c5",
+    "89de4f47403c9c1d08", "8ade50dac656ee7161", "8bde526d53e2be3a83", "7cde3ad04c2e74ec86", "7dde3c6339bae04582",
+    "f6e5b6a38705a53c33", "f5e5b5108177dc4d35", "f8e5b9c95c2870e78f", "f7e5b83623bfc74aff", "fae5bcef239b1bf4e4",
+    "f9e5bb5c13fb67d4d8", "fce5c015af3ae91dd8", "fbe5be82c0b1e75981", "fee5c33b4dd4972af8", "fde5c1a8fe658a15a6",
+    "90e2d77a08f864d5d9", "91e2d90dcf6c831900", "8ee2d4543c9fda506d", "8fe2d5e70d933b4e45", "8ce2d12ed5682440aa",
+    "8de2d2c1917fa6055b", "8ae2ce08a2db852d09", "8be2cf9bae048a7573", "88e2cae2ca7e364aa6", "89e2cc75cf52fc159c",
+    "12d6d82dbd1f997f78", "11d6d69a8d32ea0a67", "10d6d5072a8dc0436f", "0fd6d37425bec45cfe", "0ed6d1e18b0eef7229",
+    "0dd6d04e8677a20d4e", "0cd6cebbdf4d3a8f1d", "0bd6cd28dfb9e1630f", "0ad6cb9537a3cf5c55", "09d6ca02ed65c04123",
+    "8cd3c6a4e06cce5dab", "8dd3c8378d30f41f73", "8ed3c9ca9a2e4bc7c9", "8fd3cb5df15a3ea212", "88d3c0589263d25c48",
+    "89d3c1eb06f7359bdb", "8ad3c37e1dbf61895a", "8bd3c511f4578c740f", "84d3ba0c70ef148f3c", "85d3bb9fab1342d0fa",
+    "a45312eac1471db973", "a553147dbecd9d1871", "a2530fc448e27f9f2b", "a35311578b0ab7d6d3", "a0530c9e3a48c87960",
+    "a1530e3128a4e44b97", "9e5309786ef701ae26", "9f530b0bd64e209f02", "9c530652483074db1c", "9d5307e5abc35ff51d",
+    "8a5528933aa9058591", "8955270043e8689980", "8c552bb9d759eb6f7d", "8b552a267ff11389a3", "8e552edfbe325ce078",
+    "8d552d4c38a9f45d82", "905532055fcb69ef87", "8f5530720bbc315ef4", "9255352b73d50bfc82", "915533983db4068981",
+    "184db958eb7ea4013b", "194dbaeb45d5a93d15", "1a4dbc7ed75d8267a3", "1b4dbe11ac318d14d5", "1c4dbfa4e95b997913",
+    "1d4dc137f251c9aabc", "1e4dc2ca9f13f76760", "1f4dc45d6dd410f532", "104dacc0ca46ef7a89", "114dae53b5c59f370a",
+    "9e50cae1ccb0f46b0e", "9d50c94e3a820af6f3", "9c50c7bb5625961ef5", "9b50c6283cbde84a82", "a250d12da8118a7e72",
+    "a150cf9a892ce104cb", "a050ce0767f6149cb2", "9f50cc749d03e56969", "9650be49c85c2fb26c", "9550bcb6ce642842a6",
+    "1c5cca2ee551887913", "1d5ccbc11dbd7998fa", "1a5cc70879ea4bc59a", "1b5cc89b0fff71c3c1", "205cd07a17833fb3bf",
+    "215cd20dd1a21a8688", "1e5ccd5457f5b1c43e", "1f5ccee7ed78de473a", "145cbd967d9147d03f", "155cbf299276ee4b49",
+    "225f1237c54eed0a8d", "215f10a4df5cfd1505", "245f155df367890bb5", "235f13ca10804ffbaf", "1e5f0beb7efc46d891",
+    "1d5f0a58199565f1aa", "205f0f11e2759014b4", "1f5f0d7e68fc52c537", "1a5f059fd9b9ff5992", "195f040c9529e57bc3",
+    "10583a1cbcc399250e", "11583bafcfb5ee5783", "12583d42a6368a6ee7", "13583ed5254fc27bfd", "0c5833d0b2c848eaed",
+    "0d583563bfd154e068", "0e5836f62f9b03f364", "0f5838897df75d2eb0", "185846b49028e4026e", "19584847738c1bac28",
+    "165a8225ff689b3525", "155a8092e44136a81c", "145a7eff49c3a7343c", "135a7d6cdc49ef0880", "125a7bd9ea63d94734",
+    "115a7a4654c463fc18", "105a78b323a31af27d", "0f5a7720852ded7ccd", "1e5a8ebd64f41489b2", "1d5a8d2af061891ba9",
+    "943f7202a0188d7567", "953f7395a2239b7fe1", "923f6edc324fc37af4", "933f706f2f44eb797c", "903f6bb631b9799f42",
+    "913f6d4921a1c954ed", "8e3f6890e857837fbb", "8f3f6a23d4b7ec487e", "9c3f7e9ab4279e020a", "9d3f802d1b932b44c4",
+    "9a41ba0bf91f8a3847", "9941b878eb70c54d1b", "9c41bd314f3577dff7", "9b41bb9eea778f3bb1", "9e41c0574cc267fcf6",
+    "9d41bec4ef04d16841", "a041c37d1cf877d9d9", "9f41c1ea65ee02a23c", "9241ad732fa9078597", "9141abe04620901bf7",
+    "25bbacbf70ec129fa7", "24bbab2c3b52ce687a", "27bbafe50e93334b4b", "26bbae5239bae44f83", "21bba6736bf14bd18a",
+    "20bba4e0e17e8d150c", "23bba999fb5fd1a2a4", "22bba806bb158475ed", "2dbbb9578373dd403c", "2cbbb7c41eee66dd4f",
+    "1fb964b6b0c48f10e8", "20b96649149c70f2cb", "1db961902a530197f6", "1eb963234231a5111e", "23b96b0219a37d8eee",
+    "24b96c955de271801f", "21b967dc314ed367f8", "22b9696f699a51e6ba", "27b9714e37a1e64693", "28b972e19120e6066c",
+    "b9b6858d4dda68e8fd", "b8b683fa4be7039995", "b7b682679939bade76", "b6b680d4ef702e4c0f", "b5b67f415cceb8369f",
+    "b4b67daeba29900f04", "b3b67c1b0d962ab6c2", "b2b67a88a8c89622e2", "b1b678f5f36ec0a93b", "b0b6776246dca632f2",
+    "b3b43d84e361870aa4", "b4b43f17e3579f71a5", "b5b440aa981e443cc7", "b6b4423d3c9f1ffbf5", "afb437380b984ceaba",
+    "b0b438cb73e3098b38", "b1b43a5e1e80cabc54", "b2b43bf151f5798018", "abb430ecdf7d871000", "acb4327f40ef778708",
+    "adb1f57b57fda53383", "acb1f3e870d0422b38", "afb1f8a1b5d553e768", "aeb1f70e9f0be46dd2", "b1b1fbc7274ad37f63",
+    "b0b1fa348c71af1b39", "b3b1feedd96dea14b6", "b2b1fd5a8215b82a52", "a5b1e8e3c045eb7b6c", "a4b1e75065dc08fb2a",
+    "27aee3f22997c9bbe5", "28aee585b22256d46b", "25aee0cc61fdb9ce86", "26aee25f13872fb7cb", "23aedda6f70f932038",
+    "24aedf399d2ab9dd61", "21aeda80df7f3f59b3", "22aedc13f757c7acb5", "2faef08ab61afe7ec9", "30aef21d6e8446e2aa",
+    "21ac9be9fd10c86e58", "20ac9a561a9367f748", "1fac98c3cb5e2cb27a", "1eac973061c103fd92", "25aca2352db3db7365",
+    "24aca0a242fba5c029", "23ac9f0f138423b8de", "22ac9d7cbb34921600", "29aca881ba389813fd", "28aca6eeb904827e7e",
+    "1baa53e03c4e1f9fe3", "1caa557329a9d36165", "1daa5706c5a6e25570", "1eaa5899f55e3aad0d", "1faa5a2c009872f0d7",
+    "20aa5bbff467c34c40", "21aa5d52a90a5e377b", "22aa5ee58913b6c0d2", "23aa6078b3c18d18e3", "24aa620bfb728b26b1",
+    "35cf4da7e355977f1f", "34cf4c1444f1639a0f", "37cf50cd997da52dd1", "36cf4f3a55eb75838d", "31cf475b917cde5b5e",
+    "30cf45c863f61f879d", "33cf4a81fa48c6a029", "32cf48eef50e9f3d5d", "2dcf410f2c4ae37675", "2ccf3f7c3bbeec4476",
+    "2fcd059eec1c973241", "30cd0731b83e60d7fd", "2dcd0278abc18b2e1e", "2ecd040b60f652d22b", "33cd0bea5b2a78cd1a",
+    "34cd0d7d099862e754", "31cd08c4049048ecbe", "32cd0a579265ac034a", "27ccf9068a18a8313d", "28ccfa990eff62dec1",
+    "c5e744744a3bae1898", "c6e7460708963ebeb0", "c7e7479a9d75b125c6", "c8e7492d0fa7cb5344", "c1e73e280e90355053",
+    "c2e73fbb709e51f8cf", "c3e7414e13ab3b494d", "c4e742e16ad74d3139", "bde737dcfc6e8a03ab", "bee7396fa1064420c1",
+    "cbe98c7dfa78b1025e", "cae98aea890ffd636d", "c9e98957807fa127d7", "c8e987c4ee59d6a2b1", "c7e9863151c66ffc18",
+    "c6e9849e1c8dd7a04a", "c5e9830bc8b0f44d84", "c4e981789901ab2fd9", "c3e97fe5368b72fae9", "c2e97e5228441e9ee8",
+    "b1eba226a32c58c874", "b2eba3b9f90c9820bf", "afeb9f009372e45750", "b0eba0938c2de16f40", "b5eba87214a23054f6",
+    "b6ebaa05942aaec261", "b3eba54ccfbf268605", "b4eba6df335e0db893", "b9ebaebe48cd17eb29", "baebb05106a2364c50",
+    "37eeb3af5eeda9381f", "36eeb21c5dd1b23223", "39eeb6d5e775950faf", "38eeb542b5ce4ce31d", "33eead639b15a1d340",
+    "32eeabd031a17d9d53", "35eeb08978ea5fcfd1", "34eeaef6b72e8a7de2", "3feec047e84e9c0e2f", "3eeebeb48675bb1f4a",
+    "2ddd5ad09828ef7448", "2edd5c633b5ded747e", "2fdd5df669d113f232", "30dd5f89de4236b71c", "31dd611c8818483a62",
+    "32dd62afcc6e910109", "33dd64428016a32e21", "34dd65d59d7dbb21cb", "35dd6768118828ac4d", "36dd68fb60debd238e",
+    "33dfa2d9f71fdd795e", "32dfa146ab088267e9", "31df9fb36f8032a5a9", "30df9e2067f61c9da5", "37dfa925f66aceb33a",
+    "36dfa792a13df306c4", "35dfa5ff179b5ffaa2", "34dfa46cbb2a960e01", "3bdfaf71903ce40c6c", "3adfadde51d69d22e6",
+    "39e1eae2ea6ed64557", "3ae1ec750caad05658", "37e1e7bc15e14bc9d7", "38e1e94fe058887b15", "35e1e496b7c599240c",
+    "36e1e629433d63dc04", "33e1e1700c98ccbe5f", "34e1e3038d25fd01c8", "41e1f77ab23256d068", "42e1f90d442564db16",
+    "3fe432eb9612a63c21", "3ee4315810a57f82f6", "41e43611168832a54d", "40e4347ebdd963fcfc", "43e43937c76bf51900",
+    "42e437a4b6c08f10ff", "45e43c5df0408075aa", "44e43aca9870b01352", "37e42653563a9e1efc", "36e424c03ab2d852fa",
+    "b5fab2fc4020ac020c", "b6fab48f12832bafdb", "b7fab6224ffb0b9b9b", "b8fab7b563f91e8b26", "b1faacb02fbac867f1",
+    "b2faae43f0729618a0", "b3faafd672dab43a20", "b4fab16926827afbfe", "bdfabf94dc6cf90785", "befac1272da5079468",
+    "bbfcfb05b2cc802c16", "bafcf972ab374fec64", "b9fcf7df8977de5f3c", "b8fcf64c1d9865e5a7", "b7fcf4b964deb3238e",
+    "b6fcf326d9633145ae", "b5fcf1930a897fe9e1", "b4fcf000068c7adf42", "c3fd079db62b8f0676", "c2fd060aa22143dc68",
+    "70b847117ff21aa23c", "6fb8457e148b30a74a", "6eb843eb8215b82554", "6db8425819e86ed54d", "74b84d5dbbdd8628e0",
+    "73b84bca01853fadac", "72b84a378a22a6d945", "71b848a44ccbaa108d", "68b83a79da5231a367", "67b838e6a11d433bd7",
+    "6ab5ff089537f979c0", "6bb6009b69cbbf2f28", "6cb6022e49cfa531ea", "6db603c18707e85dc5", "6eb605548c7bdf4c54",
+    "6fb606e74ac662fe09", "70b6087ae555d5a724", "71b60a0d61df53203a", "62b5f2701ba33b52ef", "63b5f4032da9ed4783",
+    "dcbd6e4366dabe2092", "dbbd6cb07ee42093b7", "debd7169fb1ad5752b", "ddbd6fd6b236981a71", "e0bd748f0bbf3b50ef",
+    "dfbd72fc5ee0119a9d", "e2bd77b5b73b43d3d3", "e1bd7622028a34be4e", "e4bd7adb6ce1209ebf", "e3bd79481f973d5754",
+    "f6bb589aa113937ce4", "f7bb5a2dd6b22a8a98", "f4bb55741a9876e754", "f5bb57073e5807ac77", "f2bb524eec71c55915",
+    "f3bb53e1b3194a3d76", "f0bb4f28e87681262f", "f1bb50bb4fe9b0c29c", "eebb4c02e94a9e75b2", "efbb4d9572ec1b9332",
+    "68c2c7d52055db696d", "67c2c64277f2189133", "66c2c4af63c91b81ab", "65c2c31c851ebcc651", "64c2c189e868d75f07",
+    "63c2bff629bfdb6de0", "62c2be63901aee5fdd", "61c2bcd0a52e8e75e7", "70c2d46d37441aa46b", "6fc2d2da10a87997ea",
+    "e2bfb64c2f4eee6671", "e3bfb7dfbf215cd8ff", "e4bfb9722b91ddb5e7", "e5bfbb056be0209dc2", "debfb00038a0e45c77",
+    "dfbfb19332920eeaf6", "e0bfb32603a8285e5c", "e1bfb4b968fc339bca", "eabfc2e43ab4db66f1", "ebbfc477e1769e2dad",
+    "74c757e7ad2573d3ff", "73c756545fe87b8189", "76c75b0d8126e50f66", "75c7597a68f0abca9a", "70c7519b15b769fa52",
+    "6fc750087be947c3cd", "72c754c153e27b8c13", "71c7532e957cce4454", "6cc74b4f5ace7fe30d", "6bc749bc30a5cb5456",
+    "6ec50fde3b411da260", "6fc51171942e51c1d5", "6cc50cb86fe0afc48f", "6dc50e4bd7b3138060", "72c5162ae35b3abe00",
+    "73c517bdce4c2dba96", "70c5130402e254dbc8", "71c51497c6b9ff5796", "66c50346473c940609", "67c504d9b5ca830ce3",
+    "60a4a629c3b5e3597e", "5fa4a496e560304c1e", "5ea4a303c25ff37798", "5da4a17075f61c9da5", "64a4ac75523a8e051d",
+    "63a4aae2b31f987171", "62a4a94f7bdd1780ba", "61a4a7bc5d28ae1084", "68a4b2c1827bf94e58", "67a4b12e9b17a1d25c",
+    "5aa25e20f9618c08ab", "5ba25fb3e47cc05e0c", "5ca2614648c0912df9", "5da262d945cb7aff8e", "5ea2646cf008d86b37",
+    "5fa265ff57c714fd3e", "60a267928d6dbf154e", "61a2692554f4738510", "62a26ab8f301c35d23", "63a26c4b33ade04a9e",
+    "f0e3ac66b8ce57e4fc", "f1e3adf9b71f5d3763", "eee3a940068755e9a2", "efe3aad3d964224e02", "f4e3b2b251e8779f23",
+    "f5e3b4458c34f90767", "f2e3af8cef1fb03c37", "f3e3b11fd5b1e5599d", "f8e3b8fe5c2a7ed010", "f9e3ba91718e14ac2e",
+    "76e6bdef9a78ec4250", "75e6bc5cd96e27a183", "78e6c115bf3240e56d", "77e6bf82be0e8e6a7c", "72e6b7a3a42d45dee3",
+    "71e6b61059fb6e9d21", "74e6bac9ff6b910632", "73e6b9368b79b936c2", "7ee6ca87db4fef0886", "7de6c8f474d80cf48f",
+    "04df4eb4a707f56b65", "05df5047cb5d9369a2", "06df51da51cb7aed92", "07df536d7cd11c8ea6", "00df4868658f4dd736",
+    "01df49fb52d270fc02", "02df4b8e4a3e79c31b", "03df4d2147f3758098", "fcdf421c827de4574d", "fddf43afb1ce5ffa6f",
+    "0ae196bdadc0861f63", "09e1952a1a9e2f42c0", "08e19397ea76943139", "07e192048d0fe5642e", "06e1907135b1cf4672",
+    "05e18ede08f03892d3", "04e18d4b60f4a8cc9e", "03e18bb8bf269813ff", "02e18a2516ac3548d0", "01e18892f100ad3129",
+    "78d9f52257d500fc92", "79d9f6b545c563eb15", "76d9f1fcb92d9612db", "77d9f38f9025f90d76", "74d9eed69933ed7851",
+    "75d9f0694eccad3c00", "72d9ebb08a7ee24251", "73d9ed439f6ebc21c6", "80da01ba24a1d552e5", "81da034d9461a31422",
+    "7edc3d2beb739d3633", "7ddc3b98932fbfcf5a", "80dc4051068d63dd5b", "7fdc3ebe6acd15f723", "82dc437705bd718de6",
+    "81dc41e49f23e002dc", "84dc469df80ab03729", "83dc450a1ea8728af6", "76dc3093ad0ff56b68", "75dc2f00867db90256",
+    "6cd56510a5de912e12", "6dd566a33b95d24a77", "6ed568364d3173db05", "6fd569c9d966fc1da1", "70d56b5ca1d19e1ef6",
+    "71d56cef3c9104ebf8", "72d56e82af3a60cd0c", "73d570159120f4077b", "74d571a8573563defa", "75d5733ba1c48813ff",
+    "72d7ad19a012867179", "71d7ab86dd5821b367", "70d7a9f36ae856c5d7", "6fd7a8602357c460ec", "76d7b3659e27bfc361",
+    "75d7b1d225abd65ce0", "74d7b03fa4214dc36d", "73d7aeac178dd3b75d", "7ad7b9b1f87aae1d54", "79d7b81ebc236bd1fb",
+    "80f816ce49397adb13", "81f818610b89d5bb57", "7ef813a8523b9a1e08", "7ff8153be678c55107", "84f81d1af369b40053",
+    "85f81eaddb79ff12af", "82f819f4a2c084220c", "83f81b87d056fc700e", "78f80a3612e654ddd9", "79f80bc933471aac9b",
+    "86fa5ed70b8f77f8b0", "85fa5d44ae168275f3", "88fa61fd47ef7f818e", "87fa606a4e24aa1d10", "82fa588b284815a466",
+    "81fa56f8a61efe7fd1", "84fa5bb16bc84621a5", "83fa5a1e5fe1bdd38b", "7efa523f76dab63e8d", "7dfa50ac6bc44c273b",
+    "44ec4caaa8339a0c09", "45ec4e3db2308075e7", "42ec49846fe92491bb", "43ec4b1732b71ce866", "40ec465e4cf0b1d82f",
+    "41ec47f1118b63f054", "3eec433852d67ff1ec", "3fec44cb4df4ba2d1f", "3cec40120e86c8a1e9", "3dec41a53756d77bf8",
+    "2aee62535236aa1113", "29ee60c0b82941f271", "2cee65799931f90767", "2bee63e6138733b7d8", "2eee689f17942fb3bd",
+    "2dee670c6af31db2ae", "30ee6bc5cdb4f04d9f", "2fee6a32b1da71fde9", "32ee6eeb986cb01851", "31ee6d58e15f9c71a7",
+    "b8e6f31837a3048c9c", "b9e6f4abf864ca5356", "bae6f63e275ec87878", "bbe6f7d1533fb81113", "bce6f9649e72e24e58",
+    "bde6faf709e74cd8a0", "bee6fc8a51e6698884", "bfe6fe1d08f86addd0", "b0e6e680ef1bad2335", "b1e6e813b82a870117",
+    "3eea04a1d96c30421a", "3dea030ed2ba1a9a86", "3cea017b49cd6b9300", "3be9ffe89b39abd468", "42ea0aedf0659f1008",
+    "41ea095ada7327b796", "40ea07c7b52c5cd577", "3fea0634069f29bac7", "36e9f809659003bb2c", "35e9f6768b7ae24341",
+    "bcf603eed15d19a37a", "bdf6058177e30b9194", "baf600c86dec01a0b4", "bbf6025b413565d918", "c0f60a3a71f4b2cb8f",
+    "c1f60bcd66da0aff89", "bef6071432accd43ed", "bff608a71ebf718643", "b4f5f75627ad1afb61", "b5f5f8e9bb34ff07c2",
+    "c2f84bf7d768ef0e00", "c1f84a6430af03857d", "c4f84f1d4dc8739784", "c3f84d8a6ed84c3d30", "bef845aba72b8970ec",
+    "bdf844186fca14ff33", "c0f848d1850ba53c40", "bff8473e8e06e276c1", "baf83f5f60d10bfa2a", "b9f83dccf2668a1cbe",
+    "b0f173dc50e8b5db22", "b1f1756fb2db892610", "b2f177023ea9de4eeb", "b3f17895a62f8a7dfb", "acf16d903646d86af9"
+  ],
+  "6": [
+    "82415fac07a835434dc9", "8341613ff50e972426bc", "844162d23b94d0a7f260", "85416465b5279d0400f6", "7e415960df4f3da9b117",
+    "7f415af34fcfb4219f6a", "80415c86a611553a7be1", "81415e196ffaafdb9a30", "8a416c449107ec59c7a2", "8b416dd73446c460ea0a",
+    "aeebca9d18be6a86eb71", "adebc90a423371eb8569", "acebc777ea502bad1088", "abebc5e44dc902fb9c0e", "aaebc451a9c8862eef0d",
+    "a9ebc2beec78b71732ad", "a8ebc12ba2c642fc6e81", "a7ebbf9806983fbab0df", "a6ebbe053e40f6617f8e", "a5ebbc726fef54cba31a",
+    "14eea9c609b8769342e4", "15eeab59ae3865cf13f1", "12eea6a031af04977ed0", "13eea833db458b7c1692", "18eeb012d742ee797d85",
+    "19eeb1a576e35a3ba102", "16eeacec39adf15a76f2", "17eeae7f4d2961f68c7e", "1ceeb65e18a6628ee379", "1deeb7f12185cfb0ea4e",
+    "1af0f1cfce64394e00a6", "19f0f03c1cb47b8ae778", "1cf0f4f56edc18ea32a0", "1bf0f362b2ce4ef9ed7f", "16f0eb83b6238172e642",
+    "15f0e9f0e80cda63214c", "18f0eea9d1bb19848479", "17f0ed1648e8a7c89c35", "22f0fe67eb6ed74213b4", "21f0fcd406ac6290ed7b",
+    "10df98f0f808c46a4ddb", "11df9a838078e55f47cf", "12df9c165ae26a8521b9", "13df9da9ea559f711e8c", "14df9f3c3abed868f110",
+    "15dfa0cf2e4317a69a09", "16dfa262089627bdc95b", "17dfa3f573eb5d31a50f", "18dfa58815f13b9fcab8", "19dfa71bbf1f8161f24b",
+    "16e1e0f961e515872ba9", "15e1df66788e11a8a422", "14e1ddd3fd069b26aed6", "13e1dc4068dc413bb31a", "1ae1e745278f76e1e143",
+    "19e1e5b2748218ae395d", "18e1e41fc2a4fd578c74", "17e1e28c16a06af648dc", "1ee1ed9168dc4131a21a", "1de1ebfebc1340c5eb44",
+    "9ce4f282098b65e3542a", "9de4f415e3652c4a17bb", "9ae4ef5cf71fdb6447d8", "9be4f0ef63df4626a317", "98e4ec3665d905ff219b",
+    "99e4edc941de73ea099b", "96e4e910c2b4ff5f8c79", "97e4eaa357c7a7158772", "a4e4ff1a57e60c919c3a", "a5e500ad4cd804f09f05",
+    "a2e73a8b7cc8078bad17", "a1e738f8930eee4ac6a4", "a4e73db1ca5726a1b717", "a3e73c1ea326ef1ac46c", "a6e740d7728417bfc153",
+    "a5e73f44a000e87f68c8", "a8e743fd941baf332c52", "a7e7426aef53d4b5a636", "9ae72df33ea2168a76db", "99e72c609707e75dc5b0",
+    "18fdba9c8512a0c551e3", "19fdbc2f04e74bd9b428", "1afdbdc22e8d78fdfd43", "1bfdbf559e6ae85fc4a0", "14fdb45055ccb0231ebc",
+    "15fdb5e3c0bbf94e7ee6", "16fdb776897fe046c4ab", "17fdb90945f9a2ca2cb2", "20fdc7345f397af28f75", "21fdc8c7f31dab32394d",
+    "1f0002a5d5b72d9e9818", "1e000112a03a5ef17189", "1cffff7f249ed7b7f461", "1bfffdecccb3f9770efe", "1afffc59b91a867166e7",
+    "19fffac679880ca4a63c", "18fff9339b13afd351e3", "17fff7a0f77e8d1319a7", "27000f3db33a41d769fb", "26000daa27b2cf57e97b",
+    "0a300e57f24736b8a103", "09300cc462f603919d2f", "0c30117d49cab2232096", "0b300fea3195daa3e348", "0630080bfc57d3b1b32d",
+    "0530067807f1228ad24a", "08300b3137a5e15676ee", "0730099e0d8b74ef542a", "023001bfb33645cc7efa", "0130002cb213ed62dc42",
+    "042dc64ebec0942a0c92", "052dc7e12f9dd2b7f361", "022dc3283d551a9eff19", "032dc4bbadc4860f7f9f", "082dcc9a8a2ebfd561e5",
+    "092dce2d573fa7141884", "062dc974269a7ee25ac3", "072dcb07fd63ddb8258f", "fc2db9b6d3782b58af39", "fd2dbb4938b8169774cc",
+    "7e2ab4c5f36bc1b53a9e", "7d2ab3324bdeb022ff1d", "7c2ab19f483474c81296", "7b2ab00cd1a117818e7f", "7a2aae797ad3403f3ba6",
+    "792aace60a9e3b574cca", "782aab53b8155bd6e642", "772aa9c09125b0cc5ffb", "862ac15db0ce5ff50185", "852abfca384ae6607386",
+    "78286cbc93034639d644", "79286e4f309bdfb15eda", "7a286fe2fa62b11b21a5", "7b2871751df760d1d34d", "7428667029a7c6606ef7",
+    "7528680336a2db4579dc", "76286996c9bdee5f68fc", "77286b29cabbf2518500", "802879541f8961e3e056", "81287ae75b3172d51280",
+    "722624b38320e66e5be1", "712623203195c4bfe158", "742627d9a91dea68d55f", "7326264652f0bbc02fb9", "76262aff58d8a336ec15",
+    "7526296cf602992225be", "78262e25d94f3ba105fb", "77262c92719006ac3f5b", "7a26314b75fa1ea9af24", "79262fb85efa06929537",
+    "0c23458aa83e5cd4d66c", "0d23471d65cbbe25289e", "0a234264902ce27ed440", "0b2343f75e36a803847c", "08233f3e07b328444bcf",
+    "092340d17ece5b372eaf", "06233c187ffa06b1ac36", "07233dabaace4ef00d85", "042338f2af34e81bd37b", "05233a858e09e1746dcb",
+    "0620fd81503164ddf37c", "0520fbee308c0cedf86e", "0420fa5bacc4872ee10f", "0320f8c81e9e264d45c1", "0a2103cd5ce4b83408b9",
+    "0921023adf6a28ba1497", "082100a757c100ec2b91", "0720ff1453f1738808aa", "fe20f0e944268b0dfa6d", "fd20ef569f27e30670e1",
+    "001eb5788120fe69c34b", "011eb70badce8512748a", "021eb89e70fc43c73d57", "031eba3145d176808517", "041ebbc4a9114c28d751",
+    "051ebd57826ff344d4ba", "061ebeeaa01b937f66e7", "071ec07d5426a80d0e8f", "f81ea8e0882ee47755fa", "f91eaa73ab1f97797be5",
+    "fa1c6d6fb20bfe6163dd", "f91c6bdc2a4207b36b85", "fc1c7095941bb4365bd1", "fb1c6f02a3d744fc7f84", "f61c6723de68274e09af",
+    "f51c6590c1a6e85f77f1", "f81c6a49079477fbbbd5", "f71c68b63899d7bbe37d", "021c7a07d6ab1a988274", "011c787438a205899677",
+    "74195be61ff927ab4c34", "75195d796cdf573830b0", "721958c0807ca6054a2e", "73195a5344d4798407b3", "7819623224b47f9b59fb",
+    "791963c5168a3ca6443f", "76195f0c930d5137c054", "7719609f1d99dcbb5dc7", "7c19687efb6e9c37b1de", "7d196a11b33659c9dd6f",
+    "e9b58e4244de7a9511b5", "eab58fd588274dc0d76b", "e7b58b1c9d6ff551cdb7", "e8b58cafd35fef7e840b", "e5b587f63fb2dd6a74fb",
+    "e6b58989768c04a4394b", "e3b584d02ca9eb5b7cf2", "e4b58663b62450d270fe", "f1b59ada9418442062d0", "f2b59c6d432b820703fe",
+    "efb7d64b50d09d23fa10", "eeb7d4b8976ce25d53ce", "f1b7d971453971df01fb", "f0b7d7deca4e3cb5a916", "f3b7dc9709fb3993b82d",
+    "f2b7db04e94a9070b42c", "f5b7dfbd179627adb4ce", "f4b7de2ad74727b5b717", "e7b7c9b3e10ade4b23bd", "e6b7c8208670a70f28bc",
+    "5db034b0d266e9190d89", "5eb03643c56c2255a731", "5fb037d675ec108137b8", "60b03969b52155cbfd5d", "61b03afc8915e47641f1",
+    "62b03c8f8014a0c447f3", "63b03e22dbb7fd57941d", "64b03fb5c65223b07b95", "65b04148678f5ed22e48", "66b042db609208a3ad3f",
+    "63b27cb9ff1fd1664bd1", "62b27b262b93d94e62c2", "61b27993e1659303bc38", "60b27800aa1241cbf749", "67b2830556236cd01af0",
+    "66b28172bfd951e6109f", "65b27fdf811ab6ccd55e", "64b27e4cc6a637999a0c", "6bb28951b4114837de4c", "6ab287be5eca69ef857c",
+    "61bf45869224f30fcb73", "62bf4719957cda5e4836", "5fbf42608103fa5bc1a2", "60bf43f34fda8827f31b", "65bf4bd2e2449d73a118",
+    "66bf4d651bf73295d250", "63bf48ac941ee461ddb8", "64bf4a3fa2389612dc68", "69bf521efb0bc6662745", "6abf53b141f5a93a8511",
+    "67c18d8f3b99c65666d4", "66c18bfc831dad23c5bf", "69c190b504913fa7422c", "68c18f221ba86288e761", "63c18743ad13807171e7",
+    "62c185b05d3961e38a7e", "65c18a69826ef95d5cce", "64c188d67e8c42d4a33d", "6fc19a271cec3cb04a24", "6ec19894473572ea8f69",
+    "f5ba1e54db4330b103fb", "f6ba1fe755e46e848715", "f7ba217a9c18f871dfba", "f8ba230d7a804dd3b231", "f1ba1808583977db1b9d",
+    "f2ba199b3a40008f63fd", "f3ba1b2ea139f31cd36d", "f4ba1cc1b82d9b75e658", "edba11bcfa74b5133da4", "eeba134f847abb1b54d0",
+    "fbbc665d9d20b4c2da5e", "fabc64ca149c61e0dd6b", "f9bc63377dc1463c23a7", "f8bc61a4cbb1ec5e7efa", "f7bc6011c55913ad7785",
+    "f6bc5e7e75e72381c3ad", "f5bc5ceb7ee23c9dbd25", "f4bc5b58df583ea016fb", "f3bc59c55cec798219ab", "f2bc58329c07e7696bd5",
+    "f9c92f2a8912e2713b54", "fac930bdf878c95808b4", "f7c92c04ef65d4520ca5", "f8c92d97f017c35423b7", "f5c928de46e4a736881e",
+    "f6c92a71c145fa679300", "f3c925b8f174254618ae", "f4c9274bf64b2cb81c8b", "f1c92292d36ce31b8f2a", "f2c9242563dcbe292e92",
+    "dfcb44d39119ab3f344e", "decb434074c0b721269f", "e1cb47f94ec9bc24209c", "e0cb466673e40f8d2fb7", "e3cb4b1f9101c97f3f4d",
+    "e2cb498c831bd27a3745", "e5cb4e45c3b5339d0fe9", "e4cb4cb23ea6f25b9571", "e7cb516bc7a7088b8c76", "e6cb4fd8d566224da727",
+    "684cf46ddab329900ef9", "674cf2da2ca3e65b72ec", "664cf1478708bc24ceac", "654cefb4f15b816f168d", "644cee214ef4aac623a9",
+    "634cec8e9d07532362c6", "624ceafb47c3bd19856f", "614ce968a9d49925e10d", "604ce7d5ec04c6733b44", "5f4ce6421fef65d6443c",
+    "e249e2e477e31892962c", "e349e477d16a28b6089e", "e449e60a9f1ca0c0c55d", "e549e79d32a7739953ed", "de49dc98718440d3a33d",
+    "df49de2b50e86f8f841e", "e049dfbe158c20afd14b", "e149e15105f12b95a92d", "da49d64cae2f8101e35b", "db49d7dfef00ae303c5a",
+    "5451521f49d4b6262080", "5351508ceb0eab213547", "56515545c97832410bb3", "555153b2f57c28471fa7", "50514bd33f5504a26d95",
+    "4f514a4018f078d1ce5e", "52514ef95cd1bc098c72", "51514d6679fc42d28d25", "5c515eb75dc3a1188573", "5b515d248412bad558e2",
+    "4e4f0a1620a9d456f369", "4f4f0ba99d28e67c56e8", "4c4f06f03aab038c74cc", "4d4f08836ad94e3d3aac", "524f1062b131891f6191",
+    "534f11f544cc72fd8e7c", "504f0d3c4e3167d80aee", "514f0ecfc05af8089a20", "564f16ae169c74e1dd69", "574f1841991eec723354",
+    "d0430ac9eb1f9f2841d3", "cf43093673fc138b2fba", "ce4307a3049c74e7d777", "cd4306108b7ba31d3eba", "d4431115583571e79064",
+    "d3430f82abdf913a1f98", "d2430defdf75204200b5", "d1430c5cc3bf228b980e", "d8431761c86839481aa4", "d74315ce608e19a6ad2f",
+    "4a3ff94006fd4fc5bc22", "4b3ffad3b72d9b68e553", "4c3ffc66a91f9371e25a", "4d3ffdf9089a244c43d6", "4e3fff8c23816fe0e848",
+    "4f40011fb8c849e4e67c", "504002b254cfbd353197", "51400445db41f36d1ff0", "524005d8bac4821be37d", "5340076b66c102fb3ba2",
+    "dc479adb00805fe4b3dd", "db479948930dab23cfbd", "de479e01e851d1b5b026", "dd479c6e13a3678e4ae4", "e047a127f6609903259f",
+    "df479f94432664ccfe7a", "e247a44da12d987dfb52", "e147a2ba1289d1ba5cc4", "d4478e43cabe2c83900c", "d3478cb070ec4e3ea513",
+    "d64552d29c22e60acf75", "d7455465e4729d35b1c3", "d4454facdd418f69a206", "d545513fb7379d75ec52", "d2454c86b6d642fc6e8a",
+    "d3454e190f8f7ae54335", "d04549604ddc668c8e14", "d1454af314a07784e767", "de455f6a3c5ecc788a10", "df4560fddb4bfc6e0efc",
+    "586062f58c1ea3c05ae3", "576061629610ea58c0a2", "56605fcf50c3bc15856f", "55605e3c24b80398f701", "54605ca9e55d947ab220",
+    "53605b1638adcb6c6ef4", "52605983a43a57ee6193", "516057f0ed728818ab3a", "60606f8d14b879854bf3", "5f606dfa37a3d85453ee",
+    "525e1aec70d3442d33be", "535e1c7f2a9b15f064c0", "545e1e12244fc86c7bfe", "555e1fa5ff618d12ba3e", "4e5e14a0a71f443766d2",
+    "4f5e1633b12555c971eb", "505e17c6f315953826bf", "515e195921510d8b63fd", "5a5e2784897bf35dcfa9", "5b5e291775ec49c73741",
+    "4ffd7640a51d502c72f6", "50fd77d32d4206a36b85", "51fd79660f9455e1bad0", "52fd7af98130ee6cc34d", "53fd7c8cea7dae1a4230",
+    "54fd7e1f59dcb23ef016", "55fd7fb2f3618b053f9d", "56fd814561d11aff219b", "57fd82d8128759fba2d0", "58fd846b0bf352c5b721",
+    "d60087c94e35b21a9577", "d50086368d24f5066fef", "d40084a36f8d45d42959", "d30083106bd91783b715", "da008e157c8605ba395d",
+    "d9008c828f31f87e5be1", "d8008aef5fe0be3a8a00", "d700895c9129bec4c65c", "de0094613f911ff1fb73", "dd0092cec1b71a9c75ff",
+    "dc02cfd23a5408ae8419", "dd02d1655deea42d1fa9", "da02ccac47c7ab098a73", "db02ce3fb7015e32de4c", "d802c986b9c0860f7f89",
+    "d902cb1974f61394962c", "d602c660f04bdfb0b238", "d702c7f31f933d524cca", "e402dc6a9b05e276c5b6", "e502ddfd59ed608c12bb",
+    "e20517db881ebfc4c756", "e10516481b903c4145c1", "e4051b0148d678fafd19", "e305196e35ba089cfd09", "e6051e277fcf14f023bd",
+    "e5051c94a726ff0ec66c", "e805214de45c26bb189f", "e7051fba8f71a31b54d0", "da050b43a415fa62da5f", "d90509b0b12f4bd470fb",
+    "e8075fe44dd66bfb098d", "e90761779f24ff6bc34b", "ea07630ac0b30c857cf4", "eb07649d5c3763d51280", "e407599808f354c5b721",
+    "e5075b2b29b50b984df4", "e6075cbe379769e958ca", "e7075e51e95387052684", "e007534c009937b2de54", "e10754dff808dd664ecc",
+    "6e0a716d6d8450e2a2d8", "6d0a6fda4ddc71809007", "6c0a6e47d55c2cb69131", "6b0a6cb461e00d9022b8", "6a0a6b21278076eb51d2",
+    "690a698ec56c3351a721", "680a67fb2dbada5c5bff", "670a6668aeca65e7f517", "660a64d53542cd649712", "650a634228850ff5f072",
+    "540c8716018f29b8a8df", "550c88a9b4175f33cb5c", "520c83f060df1ce62399", "530c858319f770c3d046", "580c8d6262845edaa82d",
+    "590c8ef574e5299eb624", "560c8a3c14907dd55f33", "570c8bcf04922044d575", "5c0c93aecda42a86900c", "5d0c954168ed209dc8ba",
+    "5a0ecf1f168a60d54a33", "590ecd8c79c44c2030b0", "5c0ed2451c9a224ad163", "5b0ed0b2e517c54b23ab", "560ec8d372f619899432",
+    "550ec74042268e1a0ef2", "580ecbf9e2658f131ba3", "570eca668607ee4ecabe", "620edbb7d36ae40a902a", "610eda249e1fe577deac",
+    "e011e0a800ed4fc1dbbf", "e111e23bafc24df90193", "e211e3ced743957b1d87", "e311e561ab3d6dc202f0", "e411e6f40eaad25051f7",
+    "e511e887659d5ff1c751", "e611ea1ac6a6f95368fc", "e711ebad9020fc0f67f1", "d811d410867fe75358ce", "d911d5a32a4ed3708d19",
+    "e61428b1cebfe4538168", "e514271e4ffa10909c3a", "e414258b7ee256d6b61b", "e31423f8778b43caa131", "ea142efdfa09da5ebbd9",
+    "e9142d6a4af9bdc438a4", "e8142bd75bc911f39a0c", "e7142a449d30ed186ff9", "de141c196bfb42d69723", "dd141a868479bf1f413b",
+    "ce94dc6bbec882270787", "cd94dad8ef6db7063fb9", "d094df91d14bef6d04ec", "cf94ddfebb2976dbe165"
+  ],
+  "7": [
+    "f8baa42bb8ce6ff4f70692", "f7baa29876805ed6b03c84", "fabaa751e971862c34bfc3", "f9baa5bebe1f8460e84135", "fcbaaa7772f6158d23add7",
+    "fbbaa8e49c01b83ac2b6f6", "febaad9dfe13c75fafce91", "fdbaac0a45d6b53d11ac60", "f0ba9793309d03f1f87cd2", "efba9600bf2d6dc711f13f",
+    "a2ce0e7840d6a6108062fa", "a3ce100b07877fd04835a6", "a4ce119e74e81299ae1448", "a5ce133173fc148d25b1d5", "a6ce14c4cd49867ba21854",
+    "a7ce16579a07e36971d3b3", "a8ce17ea77d1592f3cb813", "a9ce197d4535ab1d856fc2", "9ace01e0a6c48909738353", "9bce037375f141c13b4b0b",
+    "14d57db36af61ea9a93d41", "13d57c20f167d9b9259913", "16d580d9c4a21e858874f3", "15d57f46d85af306089634", "18d583ffd6ac2a96890ff3",
+    "17d5826c038525aab1c559", "1ad58725940cbc38ccbdf5", "19d58592a51d543a7eea1a", "1cd58a4b039c28aac54ce6", "1bd588b8fb04903751c46f",
+    "aed29e8a6bd90696b11f50", "afd2a01d6ad51ee9921e44", "acd29b649973f1565ad0a2", "add29cf71dbe7685ef7ed0", "aad2983efe60b71732a4c0",
+    "abd299d1099c71e4b7df9f", "a8d29518128b61fadc6028", "a9d296abed0dc748bfde80", "a6d291f2c1bb359304fd4f", "a7d29385a51745367eea1a",
+    "20da0dc545c17eef826eb4", "1fda0c32f006c2604bdb9b", "1eda0a9f4e397ac20ef730", "1dda090c0a8052eba4cc94", "1cda07794bca77969316a2",
+    "1bda05e6385d19b88218e0", "1ada04537be11e9ebe0a54", "19da02c048f0aac22fa91d", "28da1a5dc54be37a990bb7", "27da18ca1e99d4afeb5894",
+    "1ad7c5bc45efa72c13a373", "1bd7c74f78821bbba13549", "1cd7c8e2e46d9a042296d6", "1dd7ca75078a73e6df6028", "16d7bf70a31d5b33df4d85",
+    "17d7c103738b4fd6a33794", "18d7c296039c2ba9d94bf7", "19d7c4293c91ddb2fe6a9a", "22d7d2540f9e3a55dd69fd", "23d7d3e7188b7ccf4038a4",
+    "acdf6757443b63cefa61af", "abdf65c456ceae158473e7", "aedf6a7d933d46d0c266f2", "addf68ea27a718ee60c246", "a8df610b7d9e55e9c35321",
+    "a7df5f784cfd0786852eb3", "aadf6431e0088e2c24b7d7", "a9df629e32b6d74ce96c86", "a4df5abfc8448e79a20759", "a3df592ccebf298014fc42",
+    "a6dd1f4ee677c2b128841a", "a7dd20e1039377e3bfdd94", "a4dd1c28f967dba8209804", "a5dd1dbbd94f31a504f27f", "aadd259ad642937d1f963c",
+    "abdd272df00492354dd96d", "a8dd2274b9ce46e5758a26", "a9dd2407fc4986122693dd", "9edd12b65b2e60f19775ad", "9fdd1449cfb1e2529e0fb8",
+    "98bcb5992586c4bf5dc418", "97bcb406957be75d49cfb3", "96bcb273d26aec088e3d47", "95bcb0e0ee0eab26394dd1", "9cbcbbe5900fb42b5ec201",
+    "9bbcba52b5c171e1f10d82", "9abcb8bf856bc858442ea2", "99bcb72c39adec5e66f21c", "a0bcc231ce4f21a103ff67", "9fbcc09e5ccd11f39f0fbe",
+    "92ba6d901fee3ab24c236c", "93ba6f23099e27bec551f7", "94ba70b6ed78d840249d1f", "95ba7249473776d7148531", "96ba73dc7bca1eea32a7c9",
+    "97ba756f2b99d44e6ade0e", "98ba770251edad31811ce4", "99ba7895952da5dc4eea06", "9aba7a2841357dc206f232", "9bba7bbba20a8a6174e450",
+    "92607b58da4ef072960d49", "93607cebb617fa61d04834", "94607e7ea804917963e74b", "956080114eea6c882db9cd", "966081a4da4721b2ac17fb",
+    "9760833765d905eb25a5d1", "986084ca62db582b34a519", "9960865d9577f84c48d8b5", "8a606ec070e64628a01884", "8b60705366ddb23c9503eb",
+    "18638ce173e92293bf2c40", "17638b4e4cde7d8806a23e", "166389bb22816bf1e454c0", "156388285ecbbb289870ec", "1c63932d3e96d2b2f2658f",
+    "1b63919acd5815bb628c54", "1a6390077ccc1a96b7154d", "19638e748015aa365ac201", "1063804979dd17f232a7c9", "0f637eb6da41f87e02f636",
+    "1e65d4eae859837bb13151", "1f65d67d4836a217956bdf", "1c65d1c4847eb71754c16f", "1d65d357947fbb04463971", "1a65ce9efb4a9e79a52550",
+    "1b65d031c056ff0c149622", "1865cb785cda60838510b2", "1965cd0bdd6c930019b133", "1665c85247e2648715a1c5", "1765c9e5bd0f947ce8403c",
+    "0467ea93098dd2abf54288", "0367e900a23c8a10d77f3f", "0667edb9fd5991172095cd", "0567ec2644d09d3be31bd5", "0867f0dfda5321b2a01ceb",
+    "0767ef4c44ecb1cf2ba165", "0a67f405b22571dc08e228", "0967f2725c2c70ee8f75ad", "0c67f72bb3015f34d24686", "0b67f5989614ad26c2bdf5",
+    "8a6afc1cac1541cbf95587", "8b6afdaf4be26a852db9cd", "8c6aff42a0d15fff7d9b27", "8d6b00d579d5493da606ef", "866af5d00fbad2455ff162",
+    "876af763da4f2db96a944a", "886af8f6ee7fd142389d0e", "896afa89fe0cd1754bd985", "926b08b447356adf0bf931", "936b0a473eaadc6b69fd01",
+    "906d4425cf43ef778510bc", "8f6d4292d7418f65ae1a4a", "8e6d40ff8076be1d5cc179", "8d6d3f6c36580bbf850ffd", "8c6d3dd9ec4ed3bcb42b81",
+    "8b6d3c460dae64f7df6e20", "8a6d3ab3de64ec14b23258", "896d3920be0f8e60e8403c", "986d50bd35b07d9d5fe7b7", "976d4f2a7cd31887ac1e4c",
+    "966f8c2e36a31ffd6bda46", "976f8dc1ec14ce6e58cea1", "946f890859ed628c1baad0", "956f8a9b11aac65c53e27a", "9a6f927a70ef17853abcf1",
+    "9b6f940d3542d0788902a7", "986f8f54059933bfb7cf47", "996f90e7049766d95d3aba", "8e6f7f96269ac3b542cd05", "8f6f8129f27a2f5b1fa777",
+    "9c71d437728a2ba1b8c644", "9b71d2a42ab80398fb0bcb", "9e71d75da43045e0f67694", "9d71d5ca6b8636bdbfd642", "9871cdebdbb4f04d830dbe",
+    "9771cc588065ec5c54d6aa", "9a71d11177e35b28ac049a", "9971cf7ee967c0534c3c98", "9471c79f4fd7a33f07a169", "9371c60c0c946af6b2dd81",
+    "824cda70b5238310f850cc", "834cdc03ab2f9616d0763d", "844cdd969731b7d954e601", "854cdf29e35d9b062a9ece", "864ce0bcda42917701853d",
+    "874ce24fb81546caea5e8e", "884ce3e27b871bb0d65bf3", "894ce5752140188b6ff747", "8a4ce70856d26de8f40a8c", "8b4ce89bcc47936aae1a4a",
+    "884f227950da65f2059135", "874f20e6973bbbdf6df90d", "864f1f53422b951c1ffb6b", "854f1dc072dba92e2c9902", "8c4f28c5881d513e68c708",
+    "8b4f27329f10b1ccc547ff", "8a4f259fdbb322949c0ce8", "894f240c2bbade75f50e94", "904f2f11a21d5c2566d212", "8f4f2d7e45d164848c1aa2",
+    "4f149539b32362d5fa6e9e", "4e1493a68371a81732a6e6", "4d149213b03f45c8df63ea", "4c1490803f97c4bdff6199", "53149b851b89c3bb5dc57d",
+    "521499f2374c06ac678f4f", "5114985f2fbee04476ee0d", "501496ccb12b4fcfe25f9f", "5714a1d1ff00cd512fb707", "5614a03ec0ac1284846efe",
+    "49124d30d2be1e8b847cfe", "4a124ec30898c4adee5581", "4b125056d14b35a11dfb6f", "4c1251e9871fab33364ed2", "4d12537c79ed2c9eba2e5e",
+    "4e12550f51eaa22b8301f4", "4f1256a2ef5f8872a61252", "5012583551229a0603ff63", "511259c81bb57cfec8612d", "52125b5b7d955ada344a11",
+    "db19eecb0a8b63e7593baf", "da19ed38c3af17898379e2", "dd19f1f12da3cd6de1039f", "dc19f05e6df452d0d5b71b", "df19f51709f521b64a3e6e",
+    "de19f384f51b9724b5c167", "e119f83d3f99ddb5fe6a9a", "e019f6aa52c612fa2295c9", "d319e2335bd462971da93d", "d219e0a0d3712451a738f9",
+    "d517a6c2b6035c3763d00c", "d617a855433d70d2038c24", "d317a39cbc10542c72e604", "d417a52f02ae29444ad76b", "d117a0760eef6bc0543c9e",
+    "d217a2093957e378608f13", "cf179d50e7579f79b23749", "d0179ee3a33f49ca65f115", "dd17b35ad04ff7659a1e4b", "de17b4edd65630a69e24fe",
+    "e71e7edda7ce57e4e47a9c", "e61e7d4afe658a15be2b60", "e51e7bb7dc4dfd13099d21", "e41e7a24f746886a1a9ac4", "e31e7891ceb72a9e9c0ce8",
+    "e21e76fed8b9e67606e227", "e11e756b15a17582f2702e", "e01e73d815812bb2d74997", "df1e7245bb2e49e671940e", "de1e70b22a4ecd618b19ae",
+    "e11c36d44e3b8f1b04fe62", "e21c38678b68e251c5a116", "e31c39faf960aa1327a5dd", "e41c3b8ddc602dad038a74", "dd1c3088947de45652c7ae",
+    "de1c321bf1558479b91d59", "df1c33aeae3a5df571940e", "e01c354107b32f494dd57a", "d91c2a3cbdde963d0f8f70", "da1c2bcf02a63a48c86a86",
+    "5323a60ff706982caece6e", "5223a47cac17907970f15b", "5523a93558c5b02f309c6b", "5423a7a2c6a2e2537fed25", "4f239fc3b53c8d1a7c845e",
+    "4e239e30d0a5eb5c8a7fa1", "5123a2e9c27725b2078b79", "5023a1565236aa08098f65", "5b23b2a751f3abce38ab01", "5a23b11470dc02ff8d0d53",
+    "4d215e0670df06f82a8fc1", "4e215f99826ae246c0ba1e", "4b215ae0d47c225aab3bfb", "4c215c73639703ad354ae6", "5121645230bfc75ae57195",
+    "522165e5fd59980d3595cd", "4f21612c9405493eda4efe", "502162bf9828e5046ae1a5", "55216a9e982ae571cf5727", "56216c31ec69b1063fa5dd",
+    "df28ffa1c762ff06019529", "de28fe0e453ba9108d6bdf", "dd28fc7bbac09231038745", "dc28fae813f764d4d24d2e", "e32905ed69ea56c1d6b71b",
+    "e229045ac95436b46b984c", "e12902c7f944cca6bc268a", "e02901342eba7f845fe7b7", "d728f30908f347c5b4339e", "d628f1766efab3c49f27f7",
+    "5925ee182b581da4658d51", "5a25efabca433da4ac1cf8", "5b25f13e5fd8b6279a7bff", "5c25f2d11c9e3d55dd69fd", "5d25f464bdd589096e8850",
+    "5e25f5f764db1fe88e1855", "5f25f78a07823ea9b1c559", "6025f91dc8bb0c807ce757", "5125e1801df925ae4a356d", "5225e31373f60a9525b1d5",
+    "ef8fdeceb9cf51e110922e", "f08fe061c75d36ba8120e8", "ed8fdba89922e109da642c", "ee8fdd3b2cb8ea4072e71c", "f38fe51a2e80d0bde36884",
+    "f48fe6adf70897202db5da", "f18fe1f4379779f94ac3b7", "f28fe3875923a11c1c9167", "e78fd2368971b90d34baea", "e88fd3c9d96b8b0119ac38",
+    "f59226d78707ee5fc1b327", "f4922544af3e8e1c608048", "f79229fd4436890df765d6", "f692286a2a5818ab678f4f", "f192208bcd5af56d8310b9",
+    "f0921ef81fee3aa846337d", "f39223b171f91f8e8d2ab2", "f292221edbaaf8508301b9", "ed921a3f23b2d64bf67fa0", "ec9218ac759b02bb3d4cf6",
+    "638a853c60c608fb8f0d53", "648a86cfeb1f91234dd96d", "658a8862d97fea14a9275e", "668a89f57fdd1df23eaada", "5f8a7ef0334df176659113",
+    "608a80832d4811ac6b8f4c", "618a8216ca583eb005fb65", "628a83a9ca633d4abe3880", "6b8a91d45c2874f68a7fa7", "6c8a93670ced6cc3403c9f",
+    "698ccd451bb16cface6830", "688ccbb2ee7e8b25bdc95d", "678cca1f12e52884dbb9e7", "668cc88ce35bc7bdbc3992", "658cc6f91bac7190f76739",
+    "648cc566a81182797bf15b", "638cc3d350d278f51789c1", "628cc24019a27a934befbc", "718cd9dd881eb9293145d9", "708cd84a72fc0d8fa50b54",
+    "f7855e0af669af0f403169", "f8855f9de763dfb52d9a1a", "f5855ae411e52b94c6affd", "f6855c773ba5cb55fa60a3", "f38557be463276ee8a7eac",
+    "f485595106e43d88b43e64", "f1855498831cb33758cd6b", "f285562bed01dd6a41d8b6", "ef8551723db412978c7cd8", "f0855305b2c65ae0799927",
+    "5d883d33973ce80479f840", "5c883ba04bdcae271baa62", "5f88405975f93686ba2640", "5e883ec6f64f32bca41480", "6188437fd0bde35472e626",
+    "608841ecf3459b66a00f50", "638846a570dcb4229611fd", "628845121ba8738beb7b39", "658849cbdc5823ad12f26e", "648848386eda1bf38f0d45",
+    "eb80cdf8768219acbd284b", "ec80cf8bfe58cdbdaf2f93", "ed80d11ed674394fa33383", "ee80d2b1ac296dc50efa2a", "ef80d4443c9105f1e965c5",
+    "f080d5d7993ff106da642c", "f180d76a30afd456fe7ea0", "f280d8fd53d679e9f10599", "e380c160e011933ab9c176", "e480c2f3fe59ceb12f8d7e",
+    "f183160122ab0985fb0bcb", "f083146ebc389011f850cc", "ef8312db997ff9555bdfbb", "ee831148ef4a906da32d5e", "f5831c4d0a9872f4d76935",
+    "f4831abaa627f31fc66c34", "f38319277de7432ca01884", "f28317940d854ce0a5cc94", "e983096976c10cf6920e58", "e88307d6d9b73799900cfb",
+    "5f7b74665ec177e71889d7", "607b75f948f9719328b2c7", "5d7b714058d2b130f61dc1", "5e7b72d39a03e17464dbb1", "637b7ab2b73a4bd1d46eec",
+    "647b7c45c662f9021e9e3c", "617b778c8913e7746cdcb8", "627b791fd358f876718519", "677b80fe31a709f967c546", "687b829111ef49dcc4bb2b",
+    "e57e85ef304edd647cfa02", "e47e845c4cc40ae59a0ebe", "e77e89158a74bd1140c179", "e67e878235461eb7901ad0", "e17e7fa370ca5f2a3ca903",
+    "e07e7e1034bc1186fb17c9", "e37e82c90f903c4349c16b", "e27e81365e3678d8189630", "ed7e928770d25f3d2faf13", "ec7e90f45fc3b3209870ec",
+    "ac43f8af9909e563375f1f", "ab43f71c31a5d743f965b1", "ae43fbd5d74c2fa79b2beb", "ad43fa4262e34128a01884", "a843f263fe65da54309012",
+    "a743f0d001ff64d8d0513b", "aa43f58965d10ce8920646", "a943f3f656f0aacf2fae10", "b44405478f31e77755eaad", "b34403b465815ff3d25018",
+    "2640e726f26bc945bbc480", "2740e8b917f765dcd44430", "2440e400a217866871ef45", "2540e5934838ac041d877d", "2a40ed724ac20df38310a0",
+    "2b40ef0527bb1396fc06c9", "2840ea4c55cd73ee8276b6", "2940ebdff806c46a41d098", "2e40f3befb53c2b4bc2e96", "2f40f55156ceaa1d9b73e7",
+    "403ed17d335814a78312ea", "3f3ecfeae70f953f3cbedc", "3e3ece572c400b90f303d3", "3d3eccc48012bc322c4eda", "3c3ecb31b52b8714f852d2",
+    "3b3ec99eb91f806460f04a", "3a3ec80b0ffd2089be2467", "393ec678099e24b9b1c559", "383ec4e5ee0ab1253540c2", "373ec35245d0a0088c65f7",
+    "3a3c8974ee729c32a0cb43", "3b3c8b07fa6fc1440db47c", "3c3c8c9a00f369dd4c2f97", "3d3c8e2d2ab4728b5fe7b7", "363c8328b4db9f370a904e",
+    "373c84bbae349703df7f2c", "383c864edd7e2d45be3896", "393c87e1a72b54c4ff5d95", "323c7cdc059676f6c06028", "333c7e6f7af145ce973fff",
+    "b43977eb72f04a3dbd1a9a", "b33976581cef6ed74a2b89", "b6397b117ad24220a90be9", "b539797e38a4e05c8e72b4", "b8397e372d4e0497ff0ad1",
+    "b7397ca44ee5b1d58b23f1", "ba39815d26a31bf57ad05a", "b9397fcaf810cb6343d2aa", "ac396b538a1ce1775bebab", "ab3969c04fc013e13293c5",
+    "ae372fe278c3423c3cb616", "af3731759f0d422266c608", "ac372cbc59f9079b992db1", "ad372e4ff66c2c4615a87c", "aa3729962642c97969e91a",
+    "ab372b29ce5c2ca39430e0", "a837267066f845c59034fc", "a9372803de4524b018f06c", "b6373c7a60fc44d6204400", "b7373e0d6bfa248dcea7e8",
+    "a834e7d915952bb2d74997", "a734e646109232adc94dfc", "a634e4b38f3a50c3d975f3", "a534e320be27810204f55a", "ac34ee2508ae7af6d36333",
+    "ab34ec922ab310838077db", "aa34eaff13876ad04038a4", "a934e96cb1ca810fe96ac5", "b034f4714820a60214856a", "af34f2de12f66edbd64f33",
+    "a2329fd03191dfa952c70f", "a332a163de7c2341a33bf8", "a432a2f6b71f877474e450", "a532a48960e50b9036afe0", "a632a61cc0aaf07002fc25",
+    "a732a7af9d33b7c270f20e", "a832a94214a2638f4bf3ad", "a932aad529bec06969f614", "aa32ac6856df16e79a0ebe", "ab32adfbcbb5358014e05e",
+    "bc579997ac2d60da0ff13f", "bb57980401f53d81cab9fb", "be579cbdf6572dba108874", "bd579b2a6d8858e4a1cc8d", "b857934b009c5be8b3da84",
+    "b75791b870cd582d2faf13", "ba57967147e877888014b9", "b95794ded44921aeac1cf8", "b4578cff8e09e565c5bd23", "b3578b6ca33f43d87efa00",
+    "b655518ecd4b3eaa17eb67", "b755532145f7a52b8f17e7", "b4554e6867d91ae6239dcc", "b5554ffb24b0d25a7bdd15", "ba5557dae501df7156d985",
+    "bb55596d4eea03999939b3", "b85554b42c9e73e95ec7bf", "b9555647fe569069b63658", "ae5544f6d45635a79b2be9", "af554689d6471da9708053",
+    "cdabfb649231b9dc5be716", "ceabfcf715f35cc7b82196", "cfabfe8a8d18ea62375f1d", "d0ac001d58c713fc2297d9", "c9abf518867dd15838a507",
+    "caabf6ab9a33e76e58e1b1", "cbabf83e1dae7df5de6830"
+  ],
+  "8": [
+    "4f4de57e8f22eb7e4af9b1c3", "504de711078769c95a3fad17", "4d4de2581fb9375fe07e841a", "4e4de3eb43daaa38ec18d66c", "534debca05eb4dc7d9b32993",
+    "544ded5dd745ed639c184036", "514de8a40bbb3145f07e841a", "524dea3716f75cd9ab2f8719", "474dd8e6f2768a1cba3e5cf1", "484dda79901aff50c0b52a84",
+    "8ba2d8f3c155fa048631bbc1", "8aa2d760c2bc1e899973e85a", "8da2dc196e904aeac65121bb", "8ca2da86aa32920e01f34dc8", "8fa2df3ff110853cb1c66cf2",
+    "8ea2ddacfe08c66e3848069c", "91a2e265d94324a502ea6eca", "90a2e0d2e45b8369128cc4bc", "93a2e58bc9bf37910fea5ecc", "92a2e3f84ffb10948426b1d0",
+    "199b69b8993baedd7dfe049a", "1a9b6b4ba6379f6ce55fc6b4", "1b9b6cde9d34ec7f5fe3b8de", "1c9b6e71ab275ad2cb62f016", "1d9b70049012bc274bc50bf5",
+    "1e9b719771e51083a711502c", "1f9b732ae343c7b7b8278168", "209b74bdef77d456a0c09f0b", "119b5d20a0cf53e3e3728026", "129b5eb38a7ebd135d3d76f6",
+    "1f9db1c19b73ee5f43cba11b", "1e9db02e50d09d2bf70bdc66", "1d9dae9b17ff2e93dbb4f070", "1c9dad08039074f8add8962c", "239db80d62f052d631510086",
+    "229db67a413d63d3e860a40a", "219db4e7a8d951fc0d842fb9", "209db354e1518c69128acdab", "179da5299b27bbd076f21989", "169da396e0659712ba2266d7",
+    "1daa7a8e778257e7cb4921b3", "1eaa7c21522cae19099f65e1", "1baa77688d79b62dceb9e751", "1caa78fbceafe67711f92791", "21aa80daa9d99529ea08c65c",
+    "22aa826d148523b3acc44be5", "1faa7db447feadd939b80891", "20aa7f47688847e2bcd78d1f", "15aa6df63d49d97f6dfa1da4", "16aa6f899f204fc5d171f30d",
+    "23acc29737a3c35e53e27096", "22acc1048a21f106dd6026af", "25acc5bd42379109eb67c745", "24acc42afb02cc6247dcb032", "1facbc4bb9ce46fb739927b1",
+    "1eacbab8e45b8379098dd5ab", "21acbf71048f37a2da5e8076", "20acbdde62c1b638228902f0", "1bacb5ffe1778210b8365deb", "1aacb46cdeaf2e8000ec57cd",
+    "91a520fc3b99c7506ad205ef", "92a5228fbf1f9171e0423eac", "93a5242201a07afa54dcac2a", "94a525b514927fce4637a018", "8da51ab0fb178e2427b5cf6d",
+    "8ea51c4338b8099657ffbdcf", "8fa51dd62c8e02fdfc6ccab8", "90a51f6965e1108fa61a542c", "99a52d948271ed4c4acba521", "9aa52f2718f06dd1d34323a1",
+    "97a769058b09a7d55de47b81", "96a7677274ee2787c4bdec56", "95a765df423677db058d32b8", "94a7644c699e1ba2d05ee573", "93a762b9b7025c257bd51b85",
+    "92a76126f30f9328aec66cf2", "91a75f93ddb9e66702e22a9e", "90a75e00be0e8666f54735af", "9fa7759deb748035bdc94fe8", "9ea7740a008525ada8c250f6",
+    "158c58e2443c68dbeb6db21a", "168c5a759d35fa7454eab8de", "138c55bc9b2ef712dc602ba2", "148c574f53ec7b9910aecb5b", "118c5296e95b32a50d8f7de7",
+    "128c54293446c56aee06a030", "0f8c4f7009983a48c26eee14", "108c5103148464e1432aae1c", "1d8c657a209fc4a6fa489006", "1e8c670db6c08a16e870ce54",
+    "1b8ea0ebc662f704069f2b45", "1a8e9f58d5bb28918e03f86a", "1d8ea411d641957e0a8937a1", "1c8ea27e9124ff6cc34d34b6", "1f8ea737df60941002aa384e",
+    "1e8ea5a48514aac852ee7f89", "218eaa5df36d8f0f288cdeac", "208ea8ca658458dcae308e14", "138e94533145ca748305ab31", "128e92c0f70ad37650d4882a",
+    "945b3af966d3b23c980ff46e", "935b39669777cc432cb41085", "925b37d3ba27870502fd4dd5", "915b36409c24e47e5bfeb1c3", "985b4145729208b9a03e5df5",
+    "975b3fb220bed95e57fe7085", "965b3e1f8d18f866d0bc2781", "955b3c8c2e4af161628a15bd", "9c5b4791078d48eab8cd9527", "9b5b45fe739f32baa3ca42ec",
+    "8e58f2f047cca43a17ab6ffa", "8f58f483a12b8107778359d3", "9058f6163f9f0bf575c7ad2d", "9158f7a941de6680921aa735", "9258f93c48c70ceb259bc9a3",
+    "9358facf06e0399bb82064ca", "9458fc629f0fff65c7b7248a", "9558fdf5c86d2da3932ff802", "9658ff88e076871c1fa23056", "9759011bb7c857e0e7758238",
+    "2060948be969c44557348a00", "1f6092f8f17a314a02a07d86", "226097b1e04d2abda4088270", "2160961eb2364ad878f61dab", "24609ad78762d4495933a913",
+    "236099444832b519068b61db", "26609dfd533f7adf1bf523a7", "25609c6aa1d657e7688636ac", "186087f377e51a8f3ba5eb55", "17608660bdc959e1e1758b25",
+    "1a5e4c82d9a42c948001ea58", "1b5e4e15d7792042b030f21b", "185e495c39421aa17b924ddf", "195e4aefe50cd17141dd992b", "165e4636355ed2658d07a638",
+    "175e47c946d7a6088874ef49", "145e431073d3b3399804ff65", "155e44a3b7c4982efa00da42", "225e591ac071f31a8f3a50d0", "235e5aad638b19bb284ee570",
+    "2c65249da3325cd67efe2096", "2b65230af867ac1e4b3179df", "2a6521771fff6bdd46279406", "29651fe4f0618909a92d5efc", "28651e51369e76eb51d2bf39",
+    "27651cbe5d3fb507946fdf4d", "26651b2bd977961002ad3745", "25651998b02e8a6ae842cca2", "24651805fe60b11721a9d741", "23651672ee04ca6842dcb732",
+    "2662dc94798259f7bbd58d09", "2762de279103fb5dcbb73095", "2862dfba2f91c2bff076980f", "2962e14d219b69e55dcfbd27", "2262d6487ced17b6b33a48de",
+    "2362d7dbe51dc5675bdc9228", "2462d96e0aa46be9df6c2742", "2562db0150d09d2cfe00de64", "1e62cffc02ad75ec4fdaa13f", "1f62d18f47d864e9ea0a9d25",
+    "986a4bcf4e2d981d1df362d0", "976a4a3c8210f36740ecaf2b", "9a6a4ef52391d9bb52c404ea", "996a4d62be3f8410fe53ceaa", "946a4583ec1aac362456c46c",
+    "936a43f0cb56ff7b831ea0c1", "966a48a9da4826bb779254f2", "956a4716168032ba5f317fd9", "a06a58673a46ce6467f50fad", "9f6a56d4e4719b0c2e8ad4ba",
+    "926803c62c99c2b1fb6d930f", "93680559e4562badae0e8270", "906800a0d96292191fba334c", "9168023306bb7f93ed663d43", "96680a123ba5f6467aee1a92",
+    "97680ba53e5aeb79748a18ae", "946806ecaf194f337bd51887", "9568087f0f80c0b340c977e1", "9a68105e209815fff974cab8", "9b6811f1c15ee017099221bc",
+    "246fa5618672b32dd1bdec52", "236fa3cee8573ebf0c9476e4", "226fa23be800af3a2251d97e", "216fa0a8d7a6e24a7efa3597", "286fabadd85827b86c955def",
+    "276faa1a60dcac398b0ffd67", "266fa8874bd1b03ff104df63", "256fa6f45bf9a0ce9a34ec7e", "1c6f98c9d246976ba900483e", "1b6f973651f3669b13b9c751",
+    "9e6c93d82e80d8ade36d930d", "9f6c956b678a02a1385de362", "a06c96fedd712db8932bfd04", "a16c989122bbcb4e50e27096", "a26c9a245ce4a43a0ea47a80",
+    "a36c9bb701f74cc5be289604", "a46c9d4a9a29fa744de4bac0", "a56c9edd9870ef4d4edea53d", "966c8740c2bcf450830dbb33", "976c88d3fd1db03c264ad86e",
+    "d7a72118239ddbb348c10ee0", "d8a722ab7cec5b39bb18827c", "d9a7243e52c371ef1a9ac0b6", "daa725d1402c70f08264a604", "dba727647ad24226a418fe7a",
+    "dca728f7fd08c54b32b00e94", "dda72a8af208962127accb65", "dea72c1d66d01bfb950b442a", "cfa714808e23f9087ef447d2", "d0a7161366c447393ba31de5",
+    "5daa32a17c8449d7335711a3", "5caa310e847ba3092fa9ef5a", "5baa2f7b70945feade5432b2", "5aaa2de8b825871504fe53d5", "61aa38ed58da00fd2f9dc3bd",
+    "60aa375a8135e971c2502eb4", "5faa35c78e75e940d3af089c", "5eaa34345ce4b8371bae7183", "55aa2609d44424ad02ea6edc", "54aa247627bb688642e5b5c7",
+    "63ac7aaa36b2d2436fd11ff9", "64ac7c3dd7b71e8f6def5cce", "61ac77848914fc766cd6ba28", "62ac791725bb02924cf8b6cc", "5fac745eb5c25aff0d9022a9",
+    "60ac75f1309a06f1e97ed240", "5dac7138a53e4de9758913ae", "5eac72cbc75cf07c9e11bdd7", "5bac6e1262cc0ef68e0c442a", "5cac6fa543dc68ef05913140",
+    "49ae9053e217c34f29aa0597", "48ae8ec055e1019c9426b8dd", "4bae9379e76d395d15a06386", "4aae91e639451ba87d8846dc", "4dae969f0f90274b54da68fe",
+    "4cae950c36ba698c5ee0bec4", "4fae99c5394ec97969f00baf", "4eae9832b91d413b76f0188e", "51ae9ceba519807161eb4032", "50ae9b587fe7348cd3b2f856",
+    "cfb1a1dc75db47312baf059d", "d0b1a36f9b0fab3456ce09f7", "d1b1a50261f0079d29b2db66", "d2b1a6958601af3c42db7e9c", "cbb19b90dd73fb12b1234fd9",
+    "ccb19d23e7729816af256bd5", "cdb19eb608a07ef4c8642042", "ceb1a0491fff74c04e3c9e0c", "d7b1ae74d64eed6f8d09492b", "d8b1b0073342c47be506ac32",
+    "d5b3e9e5f978d04312b8768c", "d4b3e852128838a95f317ed0", "d3b3e6bfb23258d8f2579f7b", "d2b3e52c199269f2a9d9993f", "d1b3e3995de96e88861fabc5",
+    "d0b3e206b63254d06dfd1ea0", "cfb3e073d4b8e8428a6ab030", "ceb3dee08501b93fc8b1ff59", "ddb3f67dd2602340ad23f91d", "dcb3f4ea3442d574931eb938",
+    "dbb631ee31530caa8313e173", "dcb633816c9449fec34f21b3", "d9b62ec81a8cc4bff255997f", "dab6305bdc4c3c8808f860d5", "dfb6383ad246ff639c184036",
+    "e0b639cdc955f7119826b9c8", "ddb635147ce31a932dbee056", "deb636a7c951e617019d25bc", "d3b62556e767dba93b9806f4", "d4b626e90a892b40df6ef40a",
+    "e1b879f74ad3a3302a817ae8", "e0b87864e4769510be365ce2", "e3b87d1d73864fd6a23c8e07", "e2b87b8a2ebe058578d9432c", "ddb873ab6fef5dc1b20a8e7c",
+    "dcb8721836ad02ec60da4622", "dfb876d1739d2bb2b9cd57e5", "deb8753e9366a81b2fa1ef49", "d9b86d5f6bf34ad88b3ffb0e", "d8b86bcc75f441df3e401f8b",
+    "c7938030c741ef7904f63092", "c89381c39001a9345ccb7e9c", "c9938356b03f45c8cb6af015", "ca9384e9a83a51e9e161831d", "cb93867ce0749616af256bd5",
+    "cc93880f2040019072fc4cca", "cd9389a25d33ad14108c6cc5", "ce938b3555ea799f21a3c35e", "cf938cc89905f471dcbb258c", "d0938e5b39b808925de5bdcf",
+    "cd95c839138323b5c056fc02", "cc95c6a6eb7599180abd3b55", "cb95c5137ee252c9b81d8a74", "ca95c380bec8902eed00dc5e", "d195ce85db57f70b058523ab",
+    "d095ccf2cc7424b79f39fd09", "cf95cb5f8b1e443bdd49f761", "ce95c9cccd5716aa759d55e7", "d595d4d124bad45cef6b9721", "d495d33ed3502e9f1dff6cde",
+    "b63f1e63335100a28c11d96b", "b53f1cd08b21fc0a7ef44ad0", "b83f2189ea5d83750981d5b7", "b73f1ff656de17fb8701ad23", "ba3f24af3ca4e05178e91781",
+    "b93f231c78ed5939a4138d64", "bc3f27d5c947f10d019d21bc", "bb3f2642e04d38a7bf1e8270", "be3f2afb34b2dc47eb69b606", "bd3f2968ba388702d2783959",
+    "503c3f3acc608b1b04aa384e", "513c40cde257c6a8b12f8410", "4e3c3c14e9759736bcc248e8", "4f3c3da7583aae16098363fd", "4c3c38eedf608c0102a22450",
+    "4d3c3a81dc43897e12902aa3", "4a3c35c8f17b9e1415aa2a54", "4b3c375b3c89c7546ac60cf2", "483c32a253e5b5c036a7758c", "493c34358107b23c42db7781",
+    "4a39f731204e1a96fb01d87e", "4939f59e0cb0768fe570c84e", "4839f40b9123fb04c56826bc", "4739f278cb54e97c6b8211bf", "4e39fd7d32b6c55ce5699721",
+    "4d39fbea788218ad3046ec72", "4c39fa579b3fff0264f841c5", "4b39f8c4f460dcb3258317f5", "4239ea994eea01909e37bad0", "4139e90660c2b7273a9309f3",
+    "4437af28049766c85d3fad17", "4537b0bb5f3fb41d856bd55c", "4637b24ef565c454388a0af4", "4737b3e10a943c53db70ff09", "4837b5748828f306dc652dbf",
+    "4937b7077ade4c2025ab01fb", "4a37b89afa6597053991c5a7", "4b37ba2df663dbbf219f0df7", "3c37a2906a8e18b4d645ef79", "3d37a423d1bc12869973e953",
+    "4e49080756c90fef209dc3bd", "4d4906746b9b1bb0cf5ee47a", "50490b2dc062e80001952f4d", "4f49099ae779394c02a07e84", "4a4901bbd9a42c838507ec48",
+    "494900283751d767e806ac32", "4c4904e1ec14c86753d4aa30", "4b49034eca5221a9ae1bf16b", "4648fb6ff378980f01a23056", "4548f9dcbb2d816fec58d0b5",
+    "c845f67e3a580bbf8b13e772", "c945f811b1278975e75fd7b5", "c645f3581cb87a845ae8a735", "c745f4eb5ee8a0d327bb798b", "cc45fcca788614aabd3a49e4",
+    "cd45fe5d1db76bfe48d0ba36", "ca45f9a45bcba530997bf84c", "cb45fb3742eabf2c8f1bec6a", "c045e9e6e8509077a5295cc4", "c145eb798f17f67a46eca238",
+    "c243ae75e47a8c24b8ce54ea", "c143ace2bdc16cfae90a982e", "c043ab4f2db4128e9674da5e", "bf43a9bc375900b18d03dd63", "be43a829bcde8c230f8f61f3",
+    "bd43a69679d950233ca003f9", "bc43a503f0449b73a11b41ca", "bb43a3704ffa1085822aa5cc", "ca43bb0de867b41a4f317fd4", "c943b97a2040009667fb4cd6",
+    "bc41666c6ee258d6a51b986c", "bd4167fff27686141ca22a48", "be4169925df7a83a9410ee74", "bf416b2503b72440df7b8e0c", "b8416020e96da61327a9d648",
+    "b94161b3ff73d35610a57d8f", "ba416346a8339a030ef74cd8", "bb4164d96bf30faf334ed46a", "c4417304cd51e112058123bd", "c5417497d2743959a4348a10",
+    "462ae65bb717ec79d55236a4", "452ae4c8f71bc2624cd2992b", "482ae9817b8f44d2314818be", "472ae7ee25b1d16975f7039d", "4a2aeca79736b3da4fe60c92",
+    "492aeb14a9c29832fa08c755", "4c2aefcd63e5acca973bf507", "4b2aee3ad9bde24e980aae2f", "3e2ad9c3294501b37a8846dc", "3d2ad83052d274ee8e76b21b",
+    "40289e520cfd75d14427950f", "41289fe5863bf51067fbbfca", "3e289b2c72f616963eabd761", "3f289cbf37b006f26edf4d37", "3c289806bf23960407f35cc7",
+    "3d289999830faa2f4bc50afc", "3a2894e06b9c17a5c75fef79", "3b28967321b5c06ef7029439", "4828aaeaafc077fbf40a982e", "4928ac7df2159f3c3dbec075",
+    "715f391a8468b40c56d078ee", "725f3aad8a7ee24252cba11b", "6f5f35f421a5de4fec78a000", "705f3787502db81d10887bfd", "6d5f32ceaa34ee0bc1682246",
+    "6e5f34616def45d38b30ec0e", "6b5f2fa85fda7c968911aa3c", "6c5f313bb22d6cdce7619008", "695f2c82807ccb492baf1d87", "6a5f2e15088dd0bbe25a8e7f",
+    "57614ec33b5217a58510ed74", "56614d303382cca5ea4e8307", "596151e9b211867a74e452c0", "58615056912dafdd54e60c92", "5b61550fef0ab2342242c26c",
+    "5a61537cda4efd6f9c0d5137", "5d615835cf4d806daf1d433d", "5c6156a22a96d0b2f863880f", "5f615b5b10a236485cd26086", "5e6159c813af3740d1668c12",
+    "e559df888722b4dec159e218", "e659e11bfb1fd3722344068f", "e759e2ae2c9711fcfc67dca8", "e859e4419b74b01059cd73ed", "e959e5d4e3729618af3646fc",
+    "ea59e7676bd34f3930b40af8", "eb59e8fabd2f4dcf7ce52b95", "ec59ea8d119c6cf0dd6829bb", "dd59d2f05fe70b999431b3c7", "de59d48341f0bc3a9410ef61",
+    "eb5c27910faac15a5ee77a90", "ea5c25fe069225b0c056e61c"
+  ]
+};
+// ── End of schedule data ──
+
+// Node (archive tooling) — in the browser these are plain globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { dailyAnswers, answerDays, SCHEDULE_START_DAY, DAILY_SCHEDULE, LEGACY_ANSWERS };
+}
@@ -2,70 +2,155 @@
    WORDLE – Game Logic
    =================================================== */
 
-const WORD_LENGTH = 5;
-const MAX_GUESSES = 6;
+const MIN_WORD_LENGTH     = 4;
+const MAX_WORD_LENGTH     = 8;
+const DEFAULT_WORD_LENGTH = 5;
+const MIN_GUESSES         = 4;
+const MAX_GUESS_LIMIT     = 10;
+const DEFAULT_MAX_GUESSES = 6;
+const BOARD_COUNTS        = [1, 2, 4, 8];
+const MULTI_BOARD_NAMES   = { 2: 'Dordle', 4: 'Quordle', 8: 'Octordle' };
+const SOLO_MODES          = ['classic', 'absurdle', 'countdown', 'speedrun'];
+const ABSURDLE_START_ROWS = 6; // Absurdle boards start at this height and grow one row at a time
+const HINT_BUDGETS        = [0, 1, 2, 3, 5];
+const DEFAULT_HINT_BUDGET = 3;
+const DAY_CLOCKS          = ['local', 'utc']; // whose midnight starts a new daily puzzle
+const SHARE_FORMATS       = ['classic', 'contrast', 'light', 'link', 'time', 'spoiler'];
+const ANIMATION_SPEEDS    = ['system', 'full', 'fast', 'off']; // 'system' follows prefers-reduced-motion
+const MOTION_SCALE        = { full: 1, fast: 0.4, off: 0 };   // animation timings are multiplied by this
+const LANGUAGE_CHOICES    = ['auto', ...Object.keys(LANGUAGES)]; // 'auto' follows the browser
 
 // ── State ──────────────────────────────────────────
-let targetWord = '';
-let currentRow = 0;
+let wordLength = DEFAULT_WORD_LENGTH; // letters in the active game (solo setting or party override)
+let maxGuesses = DEFAULT_MAX_GUESSES; // rows in the active game (solo setting or party override)
+let boardCount = 1;                   // boards played at once (1 = classic, 2/4/8 = multi-board)
+let soloMode   = 'classic';           // 'classic' | 'absurdle' | 'countdown' | 'speedrun'
+let game = null;         // engine game on the board (rules and answers live in engine.js)
+let puzzleDay  = null;   // number of the daily puzzle on the board (null for practice, timed and party games)
+let archiveDay = null;   // past puzzle picked from the archive (null = today's daily)
+let currentRow = 0;       // row being typed (moves on as soon as a guess is accepted)
 let currentCol = 0;
 let currentGuess = [];
 let gameOver = false;
-let hardMode = false;
-let revealedLetters = {}; // {letter: 'correct'|'present'|'absent'}
-
-// Hard-mode constraint tracking
-let hardConstraints = {
-  exactPositions: {},  // pos -> letter  (green)
-  mustContain: []      // [{letter, minCount}]
-};
+let revealing = false;    // a submitted row is still being revealed; input waits for it
+let hardMode = 'off';   // one of HARD_MODE_LEVELS
+let hintsUsed = 0;        // hints spent on the current game
+let gameStartedAt = null; // epoch ms the first letter of the current game was typed
+let gameSeconds = null;   // solve time of the finished game on the board, once it's over
 
 // ── Persistence keys ──────────────────────────────
 const STORAGE_KEY_STATE  = 'wordle_state';
+const STORAGE_KEY_PRACTICE = 'wordle_practice'; // practice and challenge games, kept apart from the day's save
 const STORAGE_KEY_STATS  = 'wordle_stats';
+const STORAGE_KEY_ARCHIVE = 'wordle_archive';
+const STORAGE_KEY_HISTORY = 'wordle_history'; // every finished game, all variants together
+const STORAGE_KEY_SETTINGS = 'wordle_settings';
+const STORAGE_KEY_VISITED  = 'wordle_visited';
+const STORAGE_KEY_NAME     = 'mp_player_name';
+const STORAGE_KEY_QUARANTINE = 'wordle_quarantine'; // damaged values set aside: {key: {raw, error, at}}
+
+// Each word length / guess limit / board count keeps its own save and stats. The
+// classic 5-letter, 6-guess game keeps the original unsuffixed keys so existing data carries over.
+function variantSuffix() {
+  let suffix = '';
+  if (wordLength !== DEFAULT_WORD_LENGTH) suffix += `_len${wordLength}`;
+  if (soloMode === 'absurdle') {
+    suffix += '_absurdle'; // unlimited guesses, single board
+  } else if (boardCount > 1) {
+    suffix += `_boards${boardCount}`; // guess limit is implied by the board count
+  } else if (maxGuesses !== DEFAULT_MAX_GUESSES) {
+    suffix += `_g${maxGuesses}`;
+  }
+  if (isTimedMode()) suffix += `_${soloMode}`;
+  return suffix;
+}
+
+function stateStorageKey() { return STORAGE_KEY_STATE + variantSuffix(); }
+function practiceStorageKey() { return STORAGE_KEY_PRACTICE + variantSuffix(); }
+function statsStorageKey() { return STORAGE_KEY_STATS + variantSuffix(); }
+function archiveStorageKey() { return STORAGE_KEY_ARCHIVE + variantSuffix(); }
 
 // ── Statistics ────────────────────────────────────
-let stats = {
-  played: 0,
-  wins: 0,
-  streak: 0,
-  maxStreak: 0,
-  distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0 }
-};
+// Every variant keeps one set of numbers per kind of game; streaks only count daily games
+const STATS_MODES = ['daily', 'daily-hard', 'practice', 'archive', 'mp-classic', 'mp-custom'];
+const STREAK_MODES = ['daily', 'daily-hard']; // share one streak, so turning hard mode on or off doesn't break it
+
+function statsModeName(mode) {
+  return t(`mode.${mode}`);
+}
+
+let stats = {};            // mode -> defaultStats()-shaped numbers for the active variant
+let statsView = 'daily';   // tab shown in the stats modal
+
+// Absurdle (rows = null) has no fixed rows, its distribution grows as needed
+function defaultStats(rows = maxGuesses) {
+  const distribution = {};
+  for (let i = 1; i <= rows; i++) distribution[i] = 0;
+  return {
+    played: 0,
+    wins: 0,
+    streak: 0,
+    maxStreak: 0,
+    distribution,
+    bestTime: null, // countdown: fastest solve in seconds
+    bestScore: 0,   // speedrun: most words solved in one run
+    hintsUsed: 0,   // hints spent over all games
+    hintedGames: 0  // games that used at least one hint
+  };
+}
 
 // ── Settings ──────────────────────────────────────
 let darkMode = true;
 let highContrast = false;
 let practiceMode = false;  // true after a reset (uses random word instead of daily)
+let practiceSeed = null;   // seed of the practice game on the board (null for any other game)
+let challengeMode = false; // true while a challenge link's game is being started
+let challenge = null;      // challenge on the board: { id, word (sealed), from, hardMode, maxGuesses }
+let preferredWordLength = DEFAULT_WORD_LENGTH; // solo word length chosen in settings
+let preferredMaxGuesses = DEFAULT_MAX_GUESSES; // solo guess limit chosen in settings
+let preferredBoardCount = 1;                   // solo board count chosen in settings
+let preferredSoloMode   = 'classic';           // solo game mode chosen in settings
+let hintBudget = DEFAULT_HINT_BUDGET;          // hints allowed per game (0 = hints off)
+let dayClock   = 'local';                      // 'local' | 'utc': midnight the daily puzzle rolls over at
+let shareFormat = 'classic';                   // one of SHARE_FORMATS: how shareResult() writes the result
+let animationSpeed = 'system';                 // one of ANIMATION_SPEEDS
+let language = 'auto';                         // one of LANGUAGE_CHOICES
 
 /* ===================================================
    INIT
    =================================================== */
 function init() {
   loadSettings();
+  applyGameVariant(preferredWordLength, preferredMaxGuesses, preferredBoardCount, preferredSoloMode);
   loadStats();
-  buildBoard();
+  resetBoardState();
   pickWord();
   loadState();
+  resumePracticeGame();
+  openPracticeLink();
+  openChallengeLink();
   attachKeyboard();
   attachModalControls();
+  setupDialogs();
   syncSettingsUI();
+  updateHelpText();
   renderStats();
+  watchPuzzleDay();
   // Kick off Firebase auth warm-up in the background so it's ready by the
   // time the user opens multiplayer (especially important on mobile cold-starts).
   if (typeof warmupFirebaseAuth === 'function') warmupFirebaseAuth();
 
   // Show help on first visit — open it without blocking the keyboard
   // (user can always re-open it via the ? button)
-  if (!localStorage.getItem('wordle_visited')) {
-    localStorage.setItem('wordle_visited', '1');
+  if (!readStorage(STORAGE_KEY_VISITED, false)) {
+    writeStorage(STORAGE_KEY_VISITED, true);
     setTimeout(() => openModal('help-modal'), 400);
   }
 
   // If game already ended show stats, but ALSO show the reset hint
   if (gameOver) {
     document.getElementById('btn-reset').classList.add('game-over');
-    showToast('Game over — press ↺ to play again', 4000);
+    showToast(t('game.over'), 4000);
     setTimeout(() => openModal('stats-modal'), 1600);
   }
 }
@@ -76,46 +161,154 @@ function init() {
 function buildBoard() {
   const board = document.getElementById('board');
   board.innerHTML = '';
-  for (let r = 0; r < MAX_GUESSES; r++) {
-    const rowEl = document.createElement('div');
-    rowEl.classList.add('row');
-    rowEl.id = `row-${r}`;
-    for (let c = 0; c < WORD_LENGTH; c++) {
-      const tile = document.createElement('div');
-      tile.classList.add('tile');
-      tile.id = `tile-${r}-${c}`;
-      rowEl.appendChild(tile);
+  const across = boardCount === 8 ? 4 : Math.min(boardCount, 2);
+  board.style.setProperty('--word-length', wordLength);
+  board.style.setProperty('--max-guesses', maxGuesses);
+  board.style.setProperty('--boards-across', across);
+  board.style.setProperty('--boards-down', Math.ceil(boardCount / across));
+  board.classList.toggle('multi', boardCount > 1);
+
+  // One grid per board; the classic game is simply a single grid
+  for (let b = 0; b < boardCount; b++) {
+    const gridEl = document.createElement('div');
+    gridEl.classList.add('grid');
+    gridEl.id = `grid-${b}`;
+    gridEl.setAttribute('role', 'grid');
+    gridEl.setAttribute('aria-readonly', 'true');
+    for (let r = 0; r < maxGuesses; r++) {
+      gridEl.appendChild(buildRow(b, r));
     }
-    board.appendChild(rowEl);
+    board.appendChild(gridEl);
+  }
+  labelBoard();
+}
+
+// Grid and row names for screen readers; rerun when the language changes
+function labelBoard() {
+  document.querySelectorAll('#board .grid').forEach((gridEl, b) => {
+    gridEl.setAttribute('aria-label', boardCount > 1 ? t('board.number', { n: b + 1 }) : t('board.guesses'));
+    gridEl.querySelectorAll('.row').forEach((rowEl, r) => {
+      rowEl.setAttribute('aria-label', t('board.row', { n: r + 1 }));
+    });
+  });
+}
+
+function buildRow(b, r) {
+  const rowEl = document.createElement('div');
+  rowEl.classList.add('row');
+  rowEl.id = `row-${b}-${r}`;
+  rowEl.setAttribute('role', 'row');
+  rowEl.setAttribute('aria-label', t('board.row', { n: r + 1 }));
+  for (let c = 0; c < wordLength; c++) {
+    const tile = document.createElement('div');
+    tile.classList.add('tile');
+    tile.id = `tile-${b}-${r}-${c}`;
+    tile.setAttribute('role', 'gridcell');
+    labelTile(tile);
+    rowEl.appendChild(tile);
+  }
+  return rowEl;
+}
+
+// Absurdle has no guess limit: add rows to the (single) board as they are needed
+function growBoard(rows) {
+  const gridEl = document.getElementById('grid-0');
+  while (maxGuesses < rows) {
+    gridEl.appendChild(buildRow(0, maxGuesses));
+    maxGuesses++;
   }
+  document.getElementById('board').style.setProperty('--max-guesses', maxGuesses);
+}
+
+function getTile(r, c, b = 0) {
+  return document.getElementById(`tile-${b}-${r}-${c}`);
+}
+
+function getRow(r, b = 0) {
+  return document.getElementById(`row-${b}-${r}`);
 }
 
-function getTile(r, c) {
-  return document.getElementById(`tile-${r}-${c}`);
+// Indices of the boards that still take guesses
+function unsolvedBoards() {
+  return game ? game.unsolvedBoards() : [];
 }
 
-function getRow(r) {
-  return document.getElementById(`row-${r}`);
+function markBoardSolved(b) {
+  const gridEl = document.getElementById(`grid-${b}`);
+  if (gridEl && boardCount > 1) gridEl.classList.add('solved');
 }
 
 /* ===================================================
    WORD SELECTION
    =================================================== */
-function pickWord() {
-  if (practiceMode) {
-    // Random word for practice games (after reset)
-    const idx = Math.floor(Math.random() * ANSWERS.length);
-    targetWord = ANSWERS[idx].toUpperCase();
+const PUZZLE_EPOCH = Date.UTC(2021, 5, 19); // puzzle #0
+
+// ── Puzzle day clock ──
+// Every daily number, save date and countdown goes through these two, so they
+// all agree on when the day turns over: local midnight, or UTC midnight for
+// players who want the same puzzle as friends in other timezones.
+function todayPuzzleDay(now = new Date()) {
+  const midnight = dayClock === 'utc'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+    : Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((midnight - PUZZLE_EPOCH) / 86400000);
+}
+
+// Epoch ms of the next rollover
+function nextPuzzleDayAt(now = new Date()) {
+  return dayClock === 'utc'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+    : new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+}
+
+// Calendar date of a puzzle, as a UTC midnight (read it back with getUTC* / timeZone: 'UTC')
+function puzzleDate(day) {
+  return new Date(PUZZLE_EPOCH + day * 86400000);
+}
+
+function answerPool() {
+  return ANSWERS_BY_LENGTH[wordLength] || ANSWERS;
+}
+
+// Picks the answer(s) for a new game and hands them to the engine.
+// `answer` is a word fixed from outside (a party round).
+function pickWord(answer) {
+  const pool = answerPool();
+  const answers = [];
+  puzzleDay = null;
+  // Only classic practice games keep a seed
+  if (!practiceMode || answer || soloMode === 'absurdle' || isTimedMode()) practiceSeed = null;
+  if (!challengeMode || answer) challenge = null;
+  renderPracticeLabel();
+  renderChallengeLabel();
+  if (challenge) {
+    // The creator's word, still sealed, with the settings they picked
+    game = createGame({ sealed: [challenge.word], hardMode: challenge.hardMode, maxGuesses });
+    return;
+  }
+  if (answer) {
+    answers.push(answer.toUpperCase());
+  } else if (soloMode === 'absurdle') {
+    // No answer up front — every word in the pool is still possible
+    game = createGame({ mode: 'absurdle', candidates: pool, hardMode });
+    return;
+  } else if (isTimedMode()) {
+    // Random (distinct) words for timed runs
+    while (answers.length < boardCount) {
+      const word = pool[Math.floor(Math.random() * pool.length)].toUpperCase();
+      if (!answers.includes(word)) answers.push(word);
+    }
+  } else if (practiceSeed !== null) {
+    // Practice games (after a reset or from a link) follow their seed
+    answers.push(...seededAnswers(practiceSeed));
   } else {
-    // Date-based seed so everyone gets the same word each day
-    const now = new Date();
-    const epochDay = Math.floor(
-      (Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()) - Date.UTC(2021, 5, 19)) /
-      86400000
-    );
-    const idx = ((epochDay % ANSWERS.length) + ANSWERS.length) % ANSWERS.length;
-    targetWord = ANSWERS[idx].toUpperCase();
+    // The day's word(s) from the shared schedule, so everyone gets the same puzzle
+    // (or the archived day's word). They stay sealed inside the engine.
+    puzzleDay = archiveDay !== null ? archiveDay : todayPuzzleDay();
+    game = createGame({ sealed: dailyAnswers(puzzleDay, wordLength, boardCount), hardMode, maxGuesses });
+    return;
   }
+  game = createGame({ answers, hardMode, maxGuesses });
 }
 
 /* ===================================================
@@ -135,8 +328,11 @@ function attachKeyboard() {
     if (e.wordleHandled) return;
 
     // Don't steal keypresses from text inputs (e.g. multiplayer name/code fields)
-    const tag = document.activeElement && document.activeElement.tagName;
+    const active = document.activeElement;
+    const tag = active && active.tagName;
     if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+    // Enter on a button or select inside an open dialog works that control
+    if (e.key === 'Enter' && active.matches('button, select, a[href]') && active.closest('.modal-overlay.open')) return;
 
     if (e.ctrlKey || e.altKey || e.metaKey) return;
 
@@ -159,7 +355,7 @@ function attachKeyboard() {
    KEY HANDLER
    =================================================== */
 function handleKey(key) {
-  if (gameOver) return;
+  if (gameOver || revealing) return;
   if (isModalOpen()) {
     // Make the game resilient: if any modal is open and the user presses a game
     // key, close modals and allow the keypress to go through.
@@ -180,10 +376,15 @@ function handleKey(key) {
 }
 
 function addLetter(letter) {
-  if (currentCol >= WORD_LENGTH) return;
-  const tile = getTile(currentRow, currentCol);
-  tile.textContent = letter;
-  tile.dataset.state = 'tbd';
+  if (currentCol >= wordLength) return;
+  if (isTimedMode() && !clockDeadline && !clockExpired) startClock();
+  if (gameStartedAt === null) gameStartedAt = Date.now();
+  unsolvedBoards().forEach(b => {
+    const tile = getTile(currentRow, currentCol, b);
+    tile.textContent = letter;
+    tile.dataset.state = 'tbd';
+    labelTile(tile);
+  });
   currentGuess.push(letter);
   currentCol++;
   mpSyncTyping(currentGuess);
@@ -193,9 +394,12 @@ function deleteLetter() {
   if (currentCol <= 0) return;
   currentCol--;
   currentGuess.pop();
-  const tile = getTile(currentRow, currentCol);
-  tile.textContent = '';
-  tile.dataset.state = '';
+  unsolvedBoards().forEach(b => {
+    const tile = getTile(currentRow, currentCol, b);
+    tile.textContent = '';
+    tile.dataset.state = '';
+    labelTile(tile);
+  });
   mpSyncTyping(currentGuess);
 }
 
@@ -203,183 +407,183 @@ function deleteLetter() {
    SUBMIT GUESS
    =================================================== */
 function submitGuess() {
-  if (currentCol < WORD_LENGTH) {
-    showToast('Not enough letters');
+  // The engine validates (length, word list, hard mode) and scores the guess
+  const outcome = game.guess(currentGuess.join(''));
+  if (outcome.error) {
+    showToast(outcome.error);
     shakeRow(currentRow);
     return;
   }
 
-  const guessWord = currentGuess.join('');
-
-  // Clear live typing indicator immediately when a guess is submitted
+  // Clear live typing indicator as soon as a guess is accepted
   mpClearTyping();
 
-  // Validate word
-  const mpCustomMode = typeof mpActive !== 'undefined' && typeof mpGameMode !== 'undefined' && mpActive && mpGameMode === 'custom';
-  const isCustomTargetGuess = mpCustomMode && typeof targetWord === 'string' && guessWord === targetWord;
-  if (!isValidWord(guessWord) && !isCustomTargetGuess) {
-    showToast('Not in word list');
-    shakeRow(currentRow);
-    return;
+  // The game moves on at once: scoring, the party sync and the save never wait on
+  // the reveal, which only paints what has already happened
+  const submittedRow = currentRow;
+  const { status } = outcome;
+  currentRow++;
+  currentCol = 0;
+  currentGuess = [];
+  if (boardCount === 1) {
+    mpRecordGuess(outcome.word, outcome.results[0], submittedRow); // multiplayer: sync guess
   }
-
-  // Hard mode validation
-  if (hardMode) {
-    const hardError = checkHardMode(guessWord);
-    if (hardError) {
-      showToast(hardError);
-      shakeRow(currentRow);
-      return;
+  if (status !== 'playing') {
+    gameOver = true;
+    const rowUsed = status === 'won' ? currentRow : 0;
+    if (mpShouldSuppressSoloEnd()) {
+      recordResult(status === 'won', rowUsed);
+      mpMarkDone(status === 'won');
+    } else {
+      scoreSoloGame(status === 'won', rowUsed);
     }
   }
-
-  // Evaluate
-  const result = evaluateGuess(guessWord, targetWord);
-  const submittedRow = currentRow; // capture before reveal callback increments it
-  revealRow(currentRow, guessWord, result, () => {
-    updateKeyboard(guessWord, result);
-    updateHardConstraints(guessWord, result);
-    saveState();
-    mpRecordGuess(guessWord, result, submittedRow); // multiplayer: sync guess
-
-    if (result.every(r => r === 'correct')) {
-      const msgs = ['Genius!', 'Magnificent!', 'Impressive!', 'Splendid!', 'Great!', 'Phew!'];
-      const msg = msgs[Math.min(currentRow, msgs.length - 1)];
-      bounceRow(currentRow);
-      gameOver = true;
-      currentRow++;
-      if (mpShouldSuppressSoloEnd()) {
-        showToast(msg, 2000);
-        mpMarkDone(true);
-      } else {
-        showToast(msg, 2000);
-        recordResult(true, currentRow);
-        document.getElementById('btn-reset').classList.add('game-over');
-        setTimeout(() => openModal('stats-modal'), 2200);
-      }
-    } else {
-      currentRow++;
-      currentCol = 0;
-      currentGuess = [];
-      if (currentRow >= MAX_GUESSES) {
-        gameOver = true;
-        if (mpShouldSuppressSoloEnd()) {
-          showToast(targetWord, 3000);
-          mpMarkDone(false);
-        } else {
-          showToast(targetWord, 5000);
-          recordResult(false, 0);
-          document.getElementById('btn-reset').classList.add('game-over');
-          setTimeout(() => openModal('stats-modal'), 2200);
-        }
-      }
+  saveState();
+
+  const revealedGame = game;
+  revealing = true;
+  revealBoards(submittedRow, outcome.word, outcome.boards, outcome.boards.map(b => outcome.results[b]), () => {
+    if (game !== revealedGame) return; // a new game was started mid-reveal
+    revealing = false;
+    renderKeys();
+    outcome.solved.forEach(b => {
+      bounceRow(submittedRow, b);
+      markBoardSolved(b);
+    });
+    if (clockExpired) return; // time ran out mid-reveal: the run has already been scored
+
+    if (status === 'won') {
+      showToast(t(`win.${Math.min(submittedRow + 1, 6)}`), 2000);
+    } else if (status === 'lost') {
+      const { answers, solvedAt } = game.state;
+      if (mpShouldSuppressSoloEnd()) showToast(answers[0], 3000);
+      else showToast(answers.filter((_, b) => solvedAt[b] < 0).join(' · '), 5000);
+    } else if (soloMode === 'absurdle') {
+      growBoard(currentRow + 1);
     }
+    if (status !== 'playing' && !mpShouldSuppressSoloEnd()) endSoloGame();
   });
 }
 
-/* ===================================================
-   EVALUATE
-   =================================================== */
-function evaluateGuess(guess, target) {
-  const result = Array(WORD_LENGTH).fill('absent');
-  const targetArr = target.split('');
-  const guessArr  = guess.split('');
-
-  // First pass: correct
-  for (let i = 0; i < WORD_LENGTH; i++) {
-    if (guessArr[i] === targetArr[i]) {
-      result[i] = 'correct';
-      targetArr[i] = null;
-      guessArr[i] = null;
-    }
+// Scores a solo game the moment its last guess is accepted
+function scoreSoloGame(won, rowUsed) {
+  if (soloMode === 'speedrun') {
+    recordResult(won, rowUsed);
+    if (won) speedrunScore++;
+    tickClock();
+    return;
   }
-
-  // Second pass: present
-  for (let i = 0; i < WORD_LENGTH; i++) {
-    if (guessArr[i] === null) continue;
-    const idx = targetArr.indexOf(guessArr[i]);
-    if (idx !== -1) {
-      result[i] = 'present';
-      targetArr[idx] = null;
-    }
+  if (isTimedMode()) {
+    clockElapsed = Math.floor((Date.now() - clockStartedAt) / 1000);
+    stopClock();
+  }
+  if (puzzleDay !== null) updateArchiveEntry(puzzleDay, { result: won ? 'won' : 'lost' });
+  if (!challenge) {
+    recordResult(won, rowUsed);
+  } else {
+    addHistoryEntry(); // challenge games stay out of the stats
+    renderStats();
   }
-
-  return result;
 }
 
-/* ===================================================
-   WORD VALIDATION
-   =================================================== */
-// Use Set for O(1) lookup — ANSWERS is already inside ALL_VALID_WORDS
-function isValidWord(word) {
-  return ALL_VALID_WORDS.has(word.toLowerCase());
+// Once the last row has been revealed. Speedruns move straight on to the next
+// word instead of stopping on the stats screen.
+function endSoloGame() {
+  if (soloMode === 'speedrun') {
+    nextSpeedrunWord();
+    return;
+  }
+  document.getElementById('btn-reset').classList.add('game-over');
+  setTimeout(() => openModal('stats-modal'), 2200);
 }
 
 /* ===================================================
-   HARD MODE CONSTRAINTS
+   HINTS
    =================================================== */
-function updateHardConstraints(guess, result) {
-  // Track exact positions (green)
-  result.forEach((r, i) => {
-    if (r === 'correct') hardConstraints.exactPositions[i] = guess[i];
-  });
-
-  // Track must-contain letters (green + yellow)
-  const freqMap = {};
-  result.forEach((r, i) => {
-    if (r === 'correct' || r === 'present') {
-      freqMap[guess[i]] = (freqMap[guess[i]] || 0) + 1;
-    }
-  });
-
-  for (const [letter, count] of Object.entries(freqMap)) {
-    const existing = hardConstraints.mustContain.find(c => c.letter === letter);
-    if (!existing) {
-      hardConstraints.mustContain.push({ letter, minCount: count });
-    } else {
-      existing.minCount = Math.max(existing.minCount, count);
-    }
-  }
+// Hints need a single known answer, so multi-board and Absurdle games go without.
+// A party host can also switch them off for everyone.
+function hintsAvailable() {
+  if (boardCount !== 1 || soloMode === 'absurdle') return false;
+  return !isMpRoundActive() || typeof mpHintsAllowed === 'undefined' || mpHintsAllowed;
 }
 
-function checkHardMode(guessWord) {
-  // Check exact positions
-  for (const [pos, letter] of Object.entries(hardConstraints.exactPositions)) {
-    if (guessWord[+pos] !== letter) {
-      return `${ordinal(+pos + 1)} letter must be ${letter}`;
-    }
+function useHint() {
+  if (gameOver || revealing || game.state.status !== 'playing') return;
+  if (!hintsAvailable()) {
+    showToast(t(isMpRoundActive() ? 'hint.partyOff' : 'hint.unavailable'));
+    return;
+  }
+  if (hintsUsed >= hintBudget) {
+    showToast(t('hint.noneLeft'));
+    return;
   }
 
-  // Check must-contain letters
-  for (const { letter, minCount } of hardConstraints.mustContain) {
-    const count = guessWord.split('').filter(l => l === letter).length;
-    if (count < minCount) {
-      return `Guess must contain ${letter}`;
-    }
+  // Each press picks one of the hints that can still tell the player something new
+  const { constraints } = game.state;
+  const hidden = [];
+  for (let i = 0; i < wordLength; i++) {
+    if (constraints.exactPositions[i] === undefined) hidden.push(i);
+  }
+  const absent = game.unseenAbsentLetters();
+  const kinds = ['count'];
+  if (hidden.length) kinds.push('letter');
+  if (absent.length) kinds.push('absent');
+  const kind = kinds[Math.floor(Math.random() * kinds.length)];
+
+  let message;
+  if (kind === 'letter') {
+    const pos = hidden[Math.floor(Math.random() * hidden.length)];
+    message = t('hint.letterAt', { ordinal: ordinal(pos + 1), letter: game.revealLetter(pos) });
+  } else if (kind === 'absent') {
+    const letter = absent[Math.floor(Math.random() * absent.length)];
+    game.ruleOut(letter);
+    message = t('hint.absent', { letter });
+  } else {
+    message = t('hint.left', { count: game.countCandidates(answerPool()) });
   }
 
-  return null;
+  hintsUsed++;
+  showToast(`💡 ${message}`, 4000);
+  renderKeys();
+  renderHintButton();
+  saveState();
 }
 
-function ordinal(n) {
-  return ['1st','2nd','3rd','4th','5th'][n - 1] || `${n}th`;
+function renderHintButton() {
+  const btn = document.getElementById('btn-hint');
+  btn.style.display = hintBudget > 0 && hintsAvailable() ? '' : 'none';
+  const left = Math.max(0, hintBudget - hintsUsed);
+  document.getElementById('hint-count').textContent = formatNumber(left);
+  btn.classList.toggle('spent', left === 0);
 }
 
 /* ===================================================
    ANIMATIONS
    =================================================== */
-function revealRow(rowIdx, guess, result, callback) {
-  const FLIP_DURATION = 500;
-  const STAGGER = 300;
+function revealRow(rowIdx, guess, result, callback, board = 0) {
+  const FLIP_DURATION = motionTime(500);
+  const STAGGER = motionTime(300);
+
+  if (!FLIP_DURATION) {
+    // Animations off: colour the whole row at once (the callback still runs async)
+    result.forEach((state, i) => {
+      const tile = getTile(rowIdx, i, board);
+      tile.dataset.state = state;
+      labelTile(tile);
+    });
+    if (callback) setTimeout(callback, 0);
+    return;
+  }
 
   result.forEach((state, i) => {
-    const tile = getTile(rowIdx, i);
+    const tile = getTile(rowIdx, i, board);
     setTimeout(() => {
       tile.classList.add('flip');
 
       // Change state at midpoint of flip
       setTimeout(() => {
         tile.dataset.state = state;
+        labelTile(tile);
       }, FLIP_DURATION / 2);
 
       tile.addEventListener('animationend', () => {
@@ -389,43 +593,174 @@ function revealRow(rowIdx, guess, result, callback) {
   });
 
   // Callback after all tiles revealed
-  setTimeout(callback, WORD_LENGTH * STAGGER + FLIP_DURATION);
+  if (callback) setTimeout(callback, wordLength * STAGGER + FLIP_DURATION);
+}
+
+// Reveals the same row on several boards in parallel; `callback` fires once,
+// after the row has been read out
+function revealBoards(rowIdx, guess, boards, results, callback) {
+  const spoken = boardCount > 1
+    ? boards.map((b, i) => `${t('board.number', { n: b + 1 })}: ${describeRow(guess, results[i])}`).join('. ')
+    : describeRow(guess, results[0]);
+  const done = () => {
+    announce(`${t('board.row', { n: rowIdx + 1 })}. ${spoken}`);
+    if (callback) callback();
+  };
+  boards.forEach((b, i) => {
+    revealRow(rowIdx, guess, results[i], i === boards.length - 1 ? done : null, b);
+  });
 }
 
 function shakeRow(rowIdx) {
-  const row = getRow(rowIdx);
-  row.classList.add('shake');
-  // Use setTimeout instead of animationend to avoid bubbled tile events
-  // consuming the listener prematurely (shake-row is 0.6s)
-  setTimeout(() => row.classList.remove('shake'), 650);
+  if (motionLevel() === 'off') return;
+  unsolvedBoards().forEach(b => {
+    const row = getRow(rowIdx, b);
+    row.classList.add('shake');
+    // Use setTimeout instead of animationend to avoid bubbled tile events
+    // consuming the listener prematurely (shake-row is 0.6s)
+    setTimeout(() => row.classList.remove('shake'), motionTime(650));
+  });
 }
 
-function bounceRow(rowIdx) {
-  for (let c = 0; c < WORD_LENGTH; c++) {
-    const tile = getTile(rowIdx, c);
+function bounceRow(rowIdx, board = 0) {
+  if (motionLevel() === 'off') return;
+  for (let c = 0; c < wordLength; c++) {
+    const tile = getTile(rowIdx, c, board);
     setTimeout(() => {
       tile.classList.add('bounce');
       tile.addEventListener('animationend', () => tile.classList.remove('bounce'), { once: true });
-    }, c * 100);
+    }, c * motionTime(100));
   }
 }
 
 /* ===================================================
    KEYBOARD COLORING
    =================================================== */
-const STATE_PRIORITY = { correct: 3, present: 2, absent: 1 };
+// Paints the keys from the engine's letter states (no game yet = blank keyboard)
+function renderKeys() {
+  const letters = game ? game.state.letters : [];
+  if (boardCount > 1) {
+    renderBoardKeys(letters);
+    return;
+  }
+  document.querySelectorAll('.key[data-key]').forEach(keyEl => {
+    const state = letters[0] && letters[0][keyEl.dataset.key.toUpperCase()];
+    if (state) keyEl.dataset.state = state;
+    else delete keyEl.dataset.state;
+    if (/^[a-z]$/.test(keyEl.dataset.key)) labelKey(keyEl, state ? [state] : []);
+  });
+}
 
-function updateKeyboard(guess, result) {
-  result.forEach((state, i) => {
-    const letter = guess[i].toLowerCase();
-    const keyEl = document.querySelector(`.key[data-key="${letter}"]`);
-    if (!keyEl) return;
-
-    const current = keyEl.dataset.state;
-    const currentPriority = STATE_PRIORITY[current] || 0;
-    if (STATE_PRIORITY[state] > currentPriority) {
-      keyEl.dataset.state = state;
-      revealedLetters[letter] = state;
+// Multi-board: each key is split into one cell per board (halves, quadrants, …)
+function renderBoardKeys(letters = []) {
+  const solvedAt = game ? game.state.solvedAt : [];
+  document.querySelectorAll('.key[data-key]').forEach(keyEl => {
+    const letter = keyEl.dataset.key;
+    if (!/^[a-z]$/.test(letter)) return;
+    let cells = keyEl.querySelector('.key-boards');
+    if (boardCount === 1) {
+      if (cells) cells.remove();
+      return;
+    }
+    const states = [];
+    for (let b = 0; b < boardCount; b++) states.push(letters[b] && letters[b][letter.toUpperCase()]);
+    labelKey(keyEl, states);
+    if (!cells) {
+      cells = document.createElement('span');
+      cells.classList.add('key-boards');
+      keyEl.appendChild(cells);
+    }
+    cells.dataset.boards = boardCount;
+    cells.innerHTML = '';
+    for (let b = 0; b < boardCount; b++) {
+      const cell = document.createElement('span');
+      cell.classList.add('key-board-cell');
+      const state = letters[b] && letters[b][letter.toUpperCase()];
+      if (state) cell.dataset.state = state;
+      if (solvedAt[b] >= 0) cell.classList.add('solved');
+      cells.appendChild(cell);
+    }
+  });
+}
+
+/* ===================================================
+   ACCESSIBILITY
+   Tiles and keys carry labels with their letter and state,
+   revealed rows are read out through a live region, and
+   dialogs keep focus inside until they close.
+   =================================================== */
+const modalOpeners = {}; // modal id -> element that had focus when it opened
+
+// "Letter 2, R, present" (or "Letter 2, empty")
+function labelTile(tile) {
+  const c = Number(tile.id.split('-')[3]);
+  const parts = [t('board.letter', { n: c + 1 }), tile.textContent || t('board.empty')];
+  const state = tile.dataset.state;
+  if (tile.textContent && state && state !== 'tbd') parts.push(t(`state.${state}`));
+  tile.setAttribute('aria-label', parts.join(', '));
+}
+
+// "C absent, R present, A correct, …"
+function describeRow(guess, result) {
+  return result.map((state, i) => `${guess[i]} ${t(`state.${state}`)}`).join(', ');
+}
+
+// `states` holds one known state (or nothing) per board
+function labelKey(keyEl, states) {
+  const letter = keyEl.dataset.key.toUpperCase();
+  const known = states.map((state, b) => {
+    if (!state) return null;
+    const name = t(`state.${state}`);
+    return states.length > 1 ? t('board.keyOnBoard', { n: b + 1, state: name }) : name;
+  }).filter(Boolean);
+  keyEl.setAttribute('aria-label', [letter, ...known].join(', '));
+}
+
+// Reads `message` out through the polite live region
+function announce(message) {
+  const el = document.getElementById('sr-announcer');
+  el.textContent = '';
+  setTimeout(() => { el.textContent = message; }, 50); // a fresh change is what gets read
+}
+
+// Dialog roles and names for every modal, taken from its heading
+function setupDialogs() {
+  document.querySelectorAll('.modal-overlay').forEach(overlay => {
+    const modal = overlay.querySelector('.modal');
+    const heading = modal.querySelector('h2');
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.tabIndex = -1;
+    if (heading) {
+      heading.id = heading.id || `${overlay.id}-title`;
+      modal.setAttribute('aria-labelledby', heading.id);
+    }
+    modal.querySelectorAll('.close-btn').forEach(btn => {
+      btn.dataset.i18nLabel = 'modal.close';
+      btn.setAttribute('aria-label', t('modal.close'));
+    });
+  });
+
+  // Tab and Shift+Tab wrap around inside the dialog on top
+  document.addEventListener('keydown', e => {
+    if (e.key !== 'Tab') return;
+    const open = [...document.querySelectorAll('.modal-overlay.open')].pop();
+    if (!open) return;
+    const items = [...open.querySelectorAll('button, a[href], input, select, textarea, [tabindex]:not([tabindex="-1"])')]
+      .filter(item => !item.disabled && item.offsetParent !== null);
+    if (!items.length) {
+      e.preventDefault();
+      return;
+    }
+    const first = items[0];
+    const last  = items[items.length - 1];
+    const inside = open.contains(document.activeElement);
+    if (e.shiftKey && (!inside || document.activeElement === first || document.activeElement === open.querySelector('.modal'))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+      e.preventDefault();
+      first.focus();
     }
   });
 }
@@ -441,6 +776,7 @@ function showToast(message, duration = 1200) {
   container.appendChild(toast);
 
   setTimeout(() => {
+    if (motionLevel() === 'off') { toast.remove(); return; } // no fade, so no transitionend either
     toast.classList.add('fade-out');
     toast.addEventListener('transitionend', () => toast.remove(), { once: true });
   }, duration);
@@ -452,6 +788,7 @@ function showToast(message, duration = 1200) {
 function attachModalControls() {
   // Open buttons
   document.getElementById('btn-help').addEventListener('click', () => openModal('help-modal'));
+  document.getElementById('btn-hint').addEventListener('click', useHint);
   document.getElementById('btn-stats').addEventListener('click', () => { renderStats(); openModal('stats-modal'); });
   document.getElementById('btn-settings').addEventListener('click', () => openModal('settings-modal'));
 
@@ -479,17 +816,99 @@ function attachModalControls() {
   });
 
   // Settings toggles
-  document.getElementById('hard-mode-toggle').addEventListener('change', e => {
+  document.getElementById('hard-mode-select').addEventListener('change', e => {
     if (currentRow > 0 && !gameOver) {
-      showToast('Hard mode can only be turned on before a game starts');
-      e.target.checked = !e.target.checked;
+      showToast(t('settings.hardModeLocked'));
+      e.target.value = hardMode;
       return;
     }
-    hardMode = e.target.checked;
+    hardMode = e.target.value;
+    if (game) game.setHardMode(hardMode);
     saveSettings();
     applySettings();
   });
 
+  document.getElementById('word-length-select').addEventListener('change', e => {
+    if (isMpRoundActive()) {
+      showToast(t('settings.hostLength'));
+      e.target.value = String(preferredWordLength);
+      return;
+    }
+    preferredWordLength = Number(e.target.value);
+    saveSettings();
+    restoreSoloGame();
+  });
+
+  document.getElementById('max-guesses-select').addEventListener('change', e => {
+    if (isMpRoundActive()) {
+      showToast(t('settings.hostGuesses'));
+      e.target.value = String(preferredMaxGuesses);
+      return;
+    }
+    preferredMaxGuesses = Number(e.target.value);
+    saveSettings();
+    restoreSoloGame();
+  });
+
+  document.getElementById('solo-mode-select').addEventListener('change', e => {
+    if (isMpRoundActive()) {
+      showToast(t('settings.hostMode'));
+      e.target.value = preferredSoloMode;
+      return;
+    }
+    preferredSoloMode = e.target.value;
+    saveSettings();
+    restoreSoloGame();
+  });
+
+  document.getElementById('board-count-select').addEventListener('change', e => {
+    if (isMpRoundActive()) {
+      showToast(t('settings.partyOneBoard'));
+      e.target.value = String(preferredBoardCount);
+      return;
+    }
+    preferredBoardCount = Number(e.target.value);
+    saveSettings();
+    restoreSoloGame();
+  });
+
+  document.getElementById('hint-budget-select').addEventListener('change', e => {
+    hintBudget = Number(e.target.value);
+    saveSettings();
+    renderHintButton();
+  });
+
+  document.getElementById('day-clock-select').addEventListener('change', e => {
+    dayClock = e.target.value;
+    saveSettings();
+    checkPuzzleDay(); // today's puzzle may be a different one on the other clock
+    updateTimer();
+  });
+
+  document.getElementById('share-format-select').addEventListener('change', e => {
+    shareFormat = e.target.value;
+    saveSettings();
+  });
+
+  document.getElementById('animation-select').addEventListener('change', e => {
+    animationSpeed = e.target.value;
+    applyMotion();
+    saveSettings();
+  });
+
+  const languageSelect = document.getElementById('language-select');
+  Object.entries(LANGUAGES).forEach(([code, { name }]) => languageSelect.add(new Option(name, code)));
+  languageSelect.addEventListener('change', e => {
+    language = e.target.value;
+    saveSettings();
+    applyLanguage();
+    renderLanguage();
+  });
+  if (window.matchMedia) {
+    // Follow the system setting live while animations are left on 'system'
+    matchMedia('(prefers-reduced-motion: reduce)').addEventListener('change', applyMotion);
+  }
+
   document.getElementById('dark-mode-toggle').addEventListener('change', e => {
     darkMode = e.target.checked;
     applyTheme();
@@ -502,8 +921,72 @@ function attachModalControls() {
     saveSettings();
   });
 
-  // Share button
+  // Archive
+  document.getElementById('btn-archive').addEventListener('click', openArchive);
+  document.getElementById('btn-practice').addEventListener('click', openPractice);
+  document.getElementById('archive-prev').addEventListener('click', () => shiftArchiveMonth(-1));
+  document.getElementById('archive-next').addEventListener('click', () => shiftArchiveMonth(1));
+  document.getElementById('archive-calendar').addEventListener('click', e => {
+    const btn = e.target.closest('.archive-day');
+    if (btn && !btn.disabled) playArchiveDay(Number(btn.dataset.day));
+  });
+  const archiveNumber = document.getElementById('archive-number');
+  const playArchiveNumber = () => playArchiveDay(parseInt(archiveNumber.value, 10));
+  document.getElementById('archive-go').addEventListener('click', playArchiveNumber);
+  archiveNumber.addEventListener('keydown', e => { if (e.key === 'Enter') playArchiveNumber(); });
+
+  // Export / import
+  const importFile = document.getElementById('import-file');
+  document.getElementById('export-btn').addEventListener('click', exportData);
+  document.getElementById('import-btn').addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', () => {
+    if (importFile.files[0]) readImportFile(importFile.files[0]);
+    importFile.value = ''; // picking the same file again still fires `change`
+  });
+  document.getElementById('import-merge').addEventListener('click', () => applyImport('merge'));
+  document.getElementById('import-overwrite').addEventListener('click', () => applyImport('overwrite'));
+
+  // History modal
+  document.getElementById('history-btn').addEventListener('click', openHistory);
+  document.getElementById('trends-btn').addEventListener('click', openTrends);
+  document.getElementById('trends-mode-select').addEventListener('change', renderTrends);
+  document.getElementById('trends-period-select').addEventListener('change', renderTrends);
+  document.getElementById('history-search').addEventListener('input', renderHistory);
+  document.getElementById('history-mode-select').addEventListener('change', renderHistory);
+  document.getElementById('history-result-select').addEventListener('change', renderHistory);
+  document.getElementById('history-list').addEventListener('click', e => {
+    const row = e.target.closest('.history-row');
+    if (row) showHistoryEntry(historyShown[+row.dataset.index]);
+  });
+  document.getElementById('history-back').addEventListener('click', () => {
+    document.getElementById('history-detail').style.display = 'none';
+    document.getElementById('history-list').style.display = '';
+  });
+
+  // Practice modal
+  const practiceInput = document.getElementById('practice-seed-input');
+  document.getElementById('practice-random').addEventListener('click', () => {
+    practiceInput.value = randomSeed();
+  });
+  document.getElementById('practice-go').addEventListener('click', playPracticeSeed);
+  practiceInput.addEventListener('keydown', e => { if (e.key === 'Enter') playPracticeSeed(); });
+
+  // Challenge modal
+  document.getElementById('challenge-open').addEventListener('click', openChallengeCreator);
+  document.getElementById('challenge-create').addEventListener('click', createChallengeLink);
+  document.getElementById('challenge-word-input').addEventListener('keydown', e => {
+    if (e.key === 'Enter') createChallengeLink();
+  });
+  document.getElementById('challenge-copy').addEventListener('click', copyChallengeLink);
+
+  // Share / analysis buttons
   document.getElementById('share-btn').addEventListener('click', shareResult);
+  document.getElementById('share-image-btn').addEventListener('click', openShareImage);
+  document.getElementById('share-letters-toggle').addEventListener('change', renderShareImage);
+  document.getElementById('share-image-download').addEventListener('click', downloadShareImage);
+  document.getElementById('share-image-copy').addEventListener('click', copyShareImage);
+  document.getElementById('share-image-send').addEventListener('click', sendShareImage);
+  document.getElementById('analysis-btn').addEventListener('click', openAnalysis);
 
   // Reset / new game button
   document.getElementById('btn-reset').addEventListener('click', resetGame);
@@ -523,13 +1006,16 @@ function attachModalControls() {
   document.getElementById('mp-results-leave-btn').addEventListener('click', leaveParty);
   document.getElementById('mp-mode-classic').addEventListener('change', () => mpSelectMode('classic'));
   document.getElementById('mp-mode-custom').addEventListener('change', () => mpSelectMode('custom'));
+  document.getElementById('mp-length-select').addEventListener('change', e => mpSelectWordLength(Number(e.target.value)));
+  document.getElementById('mp-guesses-select').addEventListener('change', e => mpSelectMaxGuesses(Number(e.target.value)));
+  document.getElementById('mp-hints-select').addEventListener('change', e => mpSelectHintsAllowed(e.target.value === 'on'));
 
   document.getElementById('mp-copy-code-btn').addEventListener('click', () => {
     const code = document.getElementById('mp-lobby-code').textContent;
     navigator.clipboard.writeText(code).then(() => {
-      showToast('Code copied!');
+      showToast(t('mp.codeCopied'));
     }).catch(() => {
-      showToast('Failed to copy code');
+      showToast(t('mp.codeCopyFailed'));
     });
   });
 
@@ -548,11 +1034,20 @@ function attachModalControls() {
    RESET / NEW GAME
    =================================================== */
 function resetGame() {
+  startPractice(randomSeed());
+}
+
+// New practice game on `seed` (timed modes and Absurdle ignore it)
+function startPractice(seed) {
+  resetClock(); // a reset always starts a fresh timed run
+  archiveDay = null;
   practiceMode = true;
+  practiceSeed = seed;
   startGame();
 }
 
-function startGame() {
+// `answer` fixes the word instead of picking one (party rounds)
+function startGame(answer) {
   // Close any open modals so isModalOpen() doesn't block typing
   document.querySelectorAll('.modal-overlay.open').forEach(m => closeModal(m.id));
 
@@ -562,30 +1057,115 @@ function startGame() {
     document.activeElement.blur();
   }
 
-  // Clear board state and reset all variables
-  localStorage.removeItem(STORAGE_KEY_STATE);
-  currentRow = 0; currentCol = 0; currentGuess = []; gameOver = false;
-  hardConstraints = { exactPositions: {}, mustContain: [] };
-  revealedLetters = {};
+  // Clear board state and reset all variables (a party round never touches the solo save)
+  resetBoardState();
+  pickWord(answer);
+  if (!isMpRoundActive()) localStorage.removeItem(gameStorageKey());
+  practiceMode = false;
+  challengeMode = false;
+}
+
+function resetBoardState() {
+  if (soloMode === 'absurdle') maxGuesses = ABSURDLE_START_ROWS;
+  currentRow = 0; currentCol = 0; currentGuess = []; gameOver = false; revealing = false; hintsUsed = 0;
+  gameStartedAt = null; gameSeconds = null;
+  game = null;
   buildBoard();
-  document.querySelectorAll('.key').forEach(k => delete k.dataset.state);
+  renderKeys();
+  renderArchiveLabel();
+  renderHintButton();
   document.getElementById('btn-reset').classList.remove('game-over');
+}
+
+function isMpRoundActive() {
+  return typeof mpActive !== 'undefined' && mpActive;
+}
+
+/* ===================================================
+   GAME VARIANT (word length / guess limit / boards)
+   =================================================== */
+function isSupportedWordLength(n) {
+  return Number.isInteger(n) && n >= MIN_WORD_LENGTH && n <= MAX_WORD_LENGTH;
+}
+
+function isSupportedMaxGuesses(n) {
+  return Number.isInteger(n) && n >= MIN_GUESSES && n <= MAX_GUESS_LIMIT;
+}
+
+function isSupportedBoardCount(n) {
+  return BOARD_COUNTS.includes(n);
+}
+
+function isSupportedSoloMode(mode) {
+  return SOLO_MODES.includes(mode);
+}
 
+// Multi-board games always get boards + 5 guesses and Absurdle starts with a
+// growing single board; the guess-limit setting is used for every other single board.
+function applyGameVariant(len, guesses, boards = 1, mode = 'classic') {
+  archiveDay = null; // every variant opens on today's puzzle
+  wordLength = len;
+  soloMode   = mode;
+  boardCount = mode === 'classic' ? boards : 1;
+  if (mode === 'absurdle') {
+    maxGuesses = ABSURDLE_START_ROWS;
+  } else {
+    maxGuesses = boardCount > 1 ? boardCount + 5 : guesses;
+  }
+  resetClock();
+}
+
+// Switches the active game to a new variant: rebuilds the board and keyboard,
+// loads that variant's stats and restores its saved daily game.
+function switchGameVariant(len, guesses, boards = 1, mode = 'classic') {
+  applyGameVariant(len, guesses, boards, mode);
+  loadStats();
+  loadCurrentGame();
+}
+
+// Rebuilds the board for the active variant and day and restores its save
+function loadCurrentGame() {
+  resetBoardState();
   pickWord();
-  practiceMode = false;
+  loadState();
+  if (gameOver) document.getElementById('btn-reset').classList.add('game-over');
+  updateHelpText();
+  renderStats();
+}
+
+// Called after leaving a party so the solo board matches the player's own setting again
+function restoreSoloGame() {
+  switchGameVariant(preferredWordLength, preferredMaxGuesses, preferredBoardCount, preferredSoloMode);
+}
+
+function updateHelpText() {
+  document.getElementById('help-word-length').textContent = t('help.wordLength', { length: wordLength });
+  document.getElementById('help-intro').textContent = soloMode === 'absurdle'
+    ? t('help.introUnlimited')
+    : t('help.intro', { count: maxGuesses });
 }
 
 function openModal(id) {
-  if (id === 'stats-modal') renderStats();
+  if (id === 'stats-modal') {
+    statsView = currentStatsMode(); // open on the tab the game on the board counts towards
+    renderStats();
+  }
   const el = document.getElementById(id);
   if (!el) return;
+  if (!el.classList.contains('open')) modalOpeners[id] = document.activeElement;
   el.classList.add('open');
+  el.querySelector('.modal').focus();
 }
 
 function closeModal(id) {
   const el = document.getElementById(id);
   if (!el) return;
+  const hadFocus = el.contains(document.activeElement);
   el.classList.remove('open');
+  // Focus goes back to whatever opened the dialog
+  const opener = modalOpeners[id];
+  delete modalOpeners[id];
+  if (hadFocus && opener && document.contains(opener)) opener.focus();
 }
 
 function isModalOpen() {
@@ -595,42 +1175,113 @@ function isModalOpen() {
 /* ===================================================
    STATS
    =================================================== */
+// Which stats bucket the game on the board counts towards
+function currentStatsMode() {
+  if (isMpRoundActive()) return mpGameMode === 'custom' ? 'mp-custom' : 'mp-classic';
+  if (archiveDay !== null) return 'archive';
+  if (puzzleDay !== null) {
+    return boardCount === 1 && game && game.state.hardMode !== 'off' ? 'daily-hard' : 'daily';
+  }
+  return 'practice'; // seeded practice, Absurdle and timed runs
+}
+
+function isStreakMode(mode) {
+  return STREAK_MODES.includes(mode);
+}
+
 function recordResult(won, rowUsed) {
-  stats.played++;
+  addHistoryEntry();
+  loadStats(); // a party round may be on a different variant than the stats last loaded
+  const mode = currentStatsMode();
+  const bucket = stats[mode];
+  bucket.played++;
   if (won) {
-    stats.wins++;
-    stats.streak++;
-    stats.maxStreak = Math.max(stats.maxStreak, stats.streak);
-    stats.distribution[rowUsed]++;
-  } else {
-    stats.streak = 0;
+    if (soloMode === 'countdown') {
+      bucket.bestTime = bucket.bestTime === null ? clockElapsed : Math.min(bucket.bestTime, clockElapsed);
+    }
+    bucket.wins++;
+    bucket.distribution[rowUsed] = (bucket.distribution[rowUsed] || 0) + 1;
+  }
+  if (isStreakMode(mode)) {
+    // Stats saved before the streak was shared may differ; carry on from the longer one
+    const streak = won ? Math.max(...STREAK_MODES.map(m => stats[m].streak)) + 1 : 0;
+    STREAK_MODES.forEach(m => {
+      stats[m].streak = streak;
+      stats[m].maxStreak = Math.max(stats[m].maxStreak, streak);
+    });
+  }
+  if (hintsUsed) {
+    bucket.hintsUsed += hintsUsed;
+    bucket.hintedGames++;
   }
   saveStats();
+  statsView = mode;
   renderStats();
   if (gameOver) startTimer();
 }
 
+function renderStatsTabs() {
+  const tabs = document.getElementById('stats-tabs');
+  tabs.innerHTML = '';
+  STATS_MODES.forEach(mode => {
+    const tab = document.createElement('button');
+    tab.className = 'stats-tab';
+    tab.textContent = statsModeName(mode);
+    tab.dataset.mode = mode;
+    tab.classList.toggle('active', mode === statsView);
+    tab.addEventListener('click', () => {
+      statsView = mode;
+      renderStats();
+    });
+    tabs.appendChild(tab);
+  });
+}
+
 function renderStats() {
-  document.getElementById('stat-played').textContent   = stats.played;
-  document.getElementById('stat-winpct').textContent   = stats.played ? Math.round(stats.wins / stats.played * 100) : 0;
-  document.getElementById('stat-streak').textContent   = stats.streak;
-  document.getElementById('stat-maxstreak').textContent = stats.maxStreak;
+  renderStatsTabs();
+  const bucket = stats[statsView];
+  const streaks = isStreakMode(statsView);
+  document.getElementById('stat-played').textContent   = formatNumber(bucket.played);
+  document.getElementById('stat-winpct').textContent   = formatNumber(bucket.played ? Math.round(bucket.wins / bucket.played * 100) : 0);
+  document.getElementById('stat-streak').textContent   = streaks ? formatNumber(bucket.streak) : '–';
+  document.getElementById('stat-maxstreak').textContent = streaks ? formatNumber(bucket.maxStreak) : '–';
+
+  const hintsEl = document.getElementById('stats-hints');
+  hintsEl.style.display = bucket.hintsUsed ? '' : 'none';
+  hintsEl.textContent = t('stats.hints', {
+    hints: t('stats.hintCount', { count: bucket.hintsUsed }),
+    games: t('stats.gameCount', { count: bucket.hintedGames })
+  });
+
+  // Timed modes add their personal best next to the usual numbers
+  document.getElementById('stat-best-block').style.display = isTimedMode() ? '' : 'none';
+  if (soloMode === 'countdown') {
+    document.getElementById('stat-best').textContent = bucket.bestTime === null ? '–' : formatDuration(bucket.bestTime);
+    document.getElementById('stat-best-label').textContent = t('stats.bestTime');
+  } else if (soloMode === 'speedrun') {
+    document.getElementById('stat-best').textContent = formatNumber(bucket.bestScore);
+    document.getElementById('stat-best-label').textContent = t('stats.bestScore');
+  }
 
-  const maxCount = Math.max(1, ...Object.values(stats.distribution));
+  const maxCount = Math.max(1, ...Object.values(bucket.distribution));
   const container = document.getElementById('guess-distribution');
   container.innerHTML = '';
 
-  for (let i = 1; i <= MAX_GUESSES; i++) {
-    const count = stats.distribution[i] || 0;
+  // Absurdle wins can take any number of guesses, so its chart grows with the data
+  const bars = soloMode === 'absurdle'
+    ? Math.max(ABSURDLE_START_ROWS, ...Object.keys(bucket.distribution).map(Number))
+    : maxGuesses;
+  for (let i = 1; i <= bars; i++) {
+    const count = bucket.distribution[i] || 0;
     const pct   = Math.max(7, Math.round((count / maxCount) * 100));
-    const isHighlight = gameOver && currentRow === i;
+    const isHighlight = gameOver && currentRow === i && statsView === currentStatsMode();
 
     const row = document.createElement('div');
     row.classList.add('bar-row');
 
     const label = document.createElement('span');
     label.classList.add('bar-label');
-    label.textContent = i;
+    label.textContent = formatNumber(i);
 
     const track = document.createElement('div');
     track.classList.add('bar-track');
@@ -639,7 +1290,7 @@ function renderStats() {
     fill.classList.add('bar-fill');
     if (isHighlight) fill.classList.add('highlight');
     fill.style.width = `${pct}%`;
-    fill.textContent = count;
+    fill.textContent = formatNumber(count);
 
     track.appendChild(fill);
     row.appendChild(label);
@@ -648,6 +1299,7 @@ function renderStats() {
   }
 
   document.getElementById('stats-footer').style.display = gameOver ? '' : 'none';
+  document.getElementById('analysis-btn').style.display = boardCount === 1 ? '' : 'none';
   if (gameOver) startTimer();
 }
 
@@ -667,172 +1319,1963 @@ function updateTimer() {
   if (!timerEl) return;
 
   const now = new Date();
-  const tomorrow = new Date(now);
-  tomorrow.setHours(24, 0, 0, 0);
-  const diff = tomorrow - now;
+  const diff = Math.max(0, nextPuzzleDayAt(now) - now);
 
-  const h = String(Math.floor(diff / 3600000)).padStart(2, '0');
-  const m = String(Math.floor((diff % 3600000) / 60000)).padStart(2, '0');
-  const s = String(Math.floor((diff % 60000) / 1000)).padStart(2, '0');
-  timerEl.textContent = `${h}:${m}:${s}`;
+  const parts = [Math.floor(diff / 3600000), Math.floor((diff % 3600000) / 60000), Math.floor((diff % 60000) / 1000)];
+  timerEl.textContent = parts.map(n => formatNumber(n, { minimumIntegerDigits: 2 })).join(':');
 }
 
-/* ===================================================
-   SHARE
-   =================================================== */
-function shareResult() {
-  const emojiMap = { correct: '🟩', present: '🟨', absent: '⬛' };
-
-  // Re-evaluate all submitted rows from board tiles
-  let rows = [];
-  for (let r = 0; r < Math.min(currentRow, MAX_GUESSES); r++) {
-    let rowStr = '';
-    for (let c = 0; c < WORD_LENGTH; c++) {
-      const tile = getTile(r, c);
-      rowStr += emojiMap[tile.dataset.state] || '⬜';
-    }
-    rows.push(rowStr);
-  }
+// ── Midnight rollover ──
+// A tab left open past midnight moves on to the new daily puzzle by itself
+let shownPuzzleDay = null;
 
-  const winRow = rows.length <= MAX_GUESSES && rows[rows.length - 1] === '🟩🟩🟩🟩🟩'
-    ? rows.length
-    : 'X';
-
-  const today  = new Date();
-  const day    = Math.floor((Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()) - Date.UTC(2021,5,19)) / 86400000);
-  const text   = `Wordle ${day} ${winRow}/${MAX_GUESSES}\n\n${rows.join('\n')}`;
+function watchPuzzleDay() {
+  shownPuzzleDay = todayPuzzleDay();
+  setInterval(checkPuzzleDay, 1000);
+}
 
-  navigator.clipboard.writeText(text).then(() => {
-    showToast('Copied to clipboard!');
-  }).catch(() => {
-    showToast('Could not copy');
-  });
+function checkPuzzleDay() {
+  const today = todayPuzzleDay();
+  if (today === shownPuzzleDay) return;
+  shownPuzzleDay = today;
+  // Only today's daily follows the clock — practice, archive, timed and party games stay put
+  if (puzzleDay === null || archiveDay !== null || isMpRoundActive()) return;
+  if (puzzleDay === today) return;
+  document.querySelectorAll('.modal-overlay.open').forEach(m => closeModal(m.id));
+  loadCurrentGame();
+  showToast(t('game.ready', { day: today }));
 }
 
 /* ===================================================
-   SETTINGS
+   GAME CLOCK (countdown / speedrun)
    =================================================== */
-function loadSettings() {
-  const saved = JSON.parse(localStorage.getItem('wordle_settings') || '{}');
-  darkMode     = saved.darkMode     !== undefined ? saved.darkMode     : true;
-  highContrast = saved.highContrast !== undefined ? saved.highContrast : false;
-  hardMode     = saved.hardMode     !== undefined ? saved.hardMode     : false;
-  applyTheme();
-  applyContrast();
+const COUNTDOWN_SECONDS = 120; // countdown: time allowed for each word
+const SPEEDRUN_SECONDS  = 300; // speedrun: length of a whole run
+const SPEEDRUN_NEXT_WORD_DELAY = 1500;
+
+let clockInterval  = null;
+let clockDeadline  = 0;     // epoch ms when time runs out (0 = clock not running)
+let clockStartedAt = 0;     // epoch ms the current word (countdown) or run (speedrun) started
+let clockElapsed   = 0;     // seconds used by the last finished countdown game
+let clockExpired   = false;
+let speedrunScore  = 0;     // words solved in the current speedrun
+let speedrunTimeout = null; // pending switch to the next speedrun word
+let clockShownSeconds = 0; // seconds on the header clock, redrawn when the language changes
+
+function isTimedMode() {
+  return soloMode === 'countdown' || soloMode === 'speedrun';
 }
 
-function saveSettings() {
-  localStorage.setItem('wordle_settings', JSON.stringify({ darkMode, highContrast, hardMode }));
+function clockLimitSeconds() {
+  return soloMode === 'speedrun' ? SPEEDRUN_SECONDS : COUNTDOWN_SECONDS;
 }
 
-function syncSettingsUI() {
-  document.getElementById('dark-mode-toggle').checked    = darkMode;
-  document.getElementById('contrast-toggle').checked     = highContrast;
-  document.getElementById('hard-mode-toggle').checked    = hardMode;
+// Started by the first letter typed rather than when the board appears
+function startClock() {
+  clockStartedAt = Date.now();
+  clockDeadline  = clockStartedAt + clockLimitSeconds() * 1000;
+  clockExpired   = false;
+  clockInterval  = setInterval(tickClock, 250);
+  tickClock();
 }
 
-function applyTheme() {
-  document.documentElement.dataset.theme = darkMode ? 'dark' : 'light';
-  const iconDark  = document.getElementById('theme-icon-dark');
-  const iconLight = document.getElementById('theme-icon-light');
-  if (darkMode) {
-    iconDark.style.display  = '';
-    iconLight.style.display = 'none';
-  } else {
-    iconDark.style.display  = 'none';
-    iconLight.style.display = '';
-  }
+function stopClock() {
+  clearInterval(clockInterval);
+  clockInterval = null;
+  clockDeadline = 0;
 }
 
-function applyContrast() {
-  document.documentElement.dataset.contrast = highContrast ? 'true' : 'false';
+// Back to a full, stopped clock (new run, new variant or a party round)
+function resetClock() {
+  stopClock();
+  clearTimeout(speedrunTimeout);
+  speedrunTimeout = null;
+  clockExpired  = false;
+  clockElapsed  = 0;
+  speedrunScore = 0;
+  renderClock(clockLimitSeconds());
 }
 
-function applySettings() {
-  applyTheme();
-  applyContrast();
+function tickClock() {
+  const remaining = clockDeadline - Date.now();
+  renderClock(Math.max(0, Math.ceil(remaining / 1000)));
+  if (remaining <= 0) onClockExpired();
 }
 
-/* ===================================================
-   STATE PERSISTENCE (today's game)
+function renderClock(secondsLeft) {
+  clockShownSeconds = secondsLeft;
+  const el = document.getElementById('game-clock');
+  el.style.display = isTimedMode() ? '' : 'none';
+  el.classList.toggle('low', clockDeadline > 0 && secondsLeft <= 10);
+  el.textContent = soloMode === 'speedrun'
+    ? t('game.clockScore', { time: formatDuration(secondsLeft), count: speedrunScore })
+    : t('game.clock', { time: formatDuration(secondsLeft) });
+}
+
+// Shared results keep plain digits so they read the same wherever they're pasted
+function formatClock(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function onClockExpired() {
+  stopClock();
+  clockExpired = true;
+  clockElapsed = clockLimitSeconds();
+  clearTimeout(speedrunTimeout);
+  gameOver = true;
+  if (soloMode === 'speedrun') {
+    // The unfinished word doesn't count; the run is scored by the words solved
+    showToast(t('game.timeUpScore', { count: speedrunScore }), 3000);
+    const bucket = stats[currentStatsMode()];
+    bucket.bestScore = Math.max(bucket.bestScore || 0, speedrunScore);
+    saveStats();
+    renderStats();
+  } else {
+    game.forfeit();
+    showToast(t('game.timeUpWord', { word: game.state.answers[0] }), 3000);
+    recordResult(false, 0);
+  }
+  document.getElementById('btn-reset').classList.add('game-over');
+  setTimeout(() => openModal('stats-modal'), 2200);
+}
+
+// Speedrun: load a fresh word while the clock keeps running
+function nextSpeedrunWord() {
+  speedrunTimeout = setTimeout(() => {
+    speedrunTimeout = null;
+    if (!clockDeadline) return; // the run ended in the meantime
+    practiceMode = true;
+    startGame();
+  }, SPEEDRUN_NEXT_WORD_DELAY);
+}
+
+/* ===================================================
+   POST-GAME ANALYSIS
    =================================================== */
-function saveState() {
-  const today = todayString();
-  const tiles = [];
-  for (let r = 0; r < MAX_GUESSES; r++) {
-    const rowTiles = [];
-    for (let c = 0; c < WORD_LENGTH; c++) {
-      const t = getTile(r, c);
-      rowTiles.push({ letter: t.textContent, state: t.dataset.state || '' });
+const openerCache = {}; // word length -> best first guess (the same for every game)
+
+// Base-3 number for a colour pattern so patterns can be bucketed and compared cheaply
+function patternCode(result) {
+  return result.reduce((code, s) => code * 3 + (s === 'correct' ? 2 : s === 'present' ? 1 : 0), 0);
+}
+
+// Expected information (in bits) from playing `guess` while `candidates` are still possible
+function guessEntropy(guess, candidates) {
+  const buckets = new Map();
+  candidates.forEach(word => {
+    const code = patternCode(evaluateGuess(guess, word));
+    buckets.set(code, (buckets.get(code) || 0) + 1);
+  });
+  let bits = 0;
+  buckets.forEach(n => {
+    const p = n / candidates.length;
+    bits -= p * Math.log2(p);
+  });
+  return bits;
+}
+
+// Highest-entropy word from the answer list (searching every valid word would be too
+// slow in the browser). Ties go to a word that could still be the answer.
+function bestGuess(candidates, pool) {
+  if (candidates.length <= 2) return { word: candidates[0], bits: guessEntropy(candidates[0], candidates) };
+  const possible = new Set(candidates);
+  let best = null;
+  pool.forEach(word => {
+    const bits = guessEntropy(word, candidates);
+    const better = !best || bits > best.bits + 1e-9 ||
+      (bits > best.bits - 1e-9 && possible.has(word) && !possible.has(best.word));
+    if (better) best = { word, bits };
+  });
+  return best;
+}
+
+// Replays the finished game against the answer list, one entry per guess
+function analyseGame() {
+  const pool = answerPool().map(w => w.toUpperCase());
+  const { guesses, results } = game.state;
+  let candidates = pool;
+  const rows = [];
+  guesses.forEach((guess, r) => {
+    const states = results[r][0];
+
+    let best = null;
+    if (r === 0) {
+      best = openerCache[wordLength] || (openerCache[wordLength] = bestGuess(pool, pool));
+    } else if (candidates.length) {
+      best = bestGuess(candidates, pool);
+    }
+
+    const code = patternCode(states);
+    const remaining = candidates.filter(word => patternCode(evaluateGuess(guess, word)) === code);
+    rows.push({
+      guess, states, best,
+      left: remaining.length,
+      // A party's custom word may not be in the answer list, leaving nothing to measure
+      bits: remaining.length ? Math.log2(candidates.length / remaining.length) : null
+    });
+    candidates = remaining;
+  });
+  return rows;
+}
+
+function openAnalysis() {
+  const body = document.getElementById('analysis-rows');
+  body.innerHTML = '<tr><td colspan="4"></td></tr>';
+  body.querySelector('td').textContent = t('analysis.working');
+  openModal('analysis-modal');
+  // Let the modal paint before the (up to a second long) search blocks the page
+  setTimeout(() => renderAnalysis(analyseGame()), 30);
+}
+
+function formatBits(bits) {
+  return formatNumber(bits, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function renderAnalysis(rows) {
+  const body = document.getElementById('analysis-rows');
+  body.innerHTML = '';
+  rows.forEach(row => {
+    const tr = document.createElement('tr');
+
+    const guessCell = document.createElement('td');
+    const letters = document.createElement('div');
+    letters.classList.add('analysis-guess');
+    row.guess.split('').forEach((letter, i) => {
+      const span = document.createElement('span');
+      span.classList.add('analysis-letter');
+      span.dataset.state = row.states[i];
+      span.textContent = letter;
+      letters.appendChild(span);
+    });
+    guessCell.appendChild(letters);
+
+    const leftCell = document.createElement('td');
+    leftCell.textContent = formatNumber(row.left);
+
+    const bitsCell = document.createElement('td');
+    bitsCell.textContent = row.bits === null ? '–' : formatBits(row.bits);
+
+    const bestCell = document.createElement('td');
+    if (row.best) {
+      bestCell.classList.add('analysis-best');
+      bestCell.textContent = row.best.word === row.guess ? '✓ ' : `${row.best.word} `;
+      const small = document.createElement('small');
+      small.textContent = t('analysis.bitsValue', { bits: formatBits(row.best.bits) });
+      bestCell.appendChild(small);
+    } else {
+      bestCell.textContent = '–';
     }
-    tiles.push(rowTiles);
+
+    tr.append(guessCell, leftCell, bitsCell, bestCell);
+    body.appendChild(tr);
+  });
+}
+
+/* ===================================================
+   ARCHIVE (past daily puzzles)
+   =================================================== */
+let archiveMonth = null; // {year, month} shown in the calendar
+
+// Results and saves of past puzzles for the active variant: {day: {result, state}}
+function loadArchive() {
+  return readStorage(archiveStorageKey(), {});
+}
+
+function updateArchiveEntry(day, changes) {
+  const archive = loadArchive();
+  archive[day] = { ...archive[day], ...changes };
+  writeStorage(archiveStorageKey(), archive);
+}
+
+function openArchive() {
+  if (isMpRoundActive()) {
+    showToast(t('archive.partyRound'));
+    return;
+  }
+  if (soloMode !== 'classic') {
+    showToast(t('archive.dailyOnly'));
+    return;
   }
+  const shown = puzzleDate(archiveDay !== null ? archiveDay : todayPuzzleDay());
+  archiveMonth = { year: shown.getUTCFullYear(), month: shown.getUTCMonth() };
+  renderArchive();
+  openModal('archive-modal');
+}
+
+function shiftArchiveMonth(delta) {
+  const d = new Date(Date.UTC(archiveMonth.year, archiveMonth.month + delta, 1));
+  archiveMonth = { year: d.getUTCFullYear(), month: d.getUTCMonth() };
+  renderArchive();
+}
 
-  const keyStates = {};
-  document.querySelectorAll('.key[data-key]').forEach(k => {
-    keyStates[k.dataset.key] = k.dataset.state || '';
+function renderArchive() {
+  const { year, month } = archiveMonth;
+  const today   = todayPuzzleDay();
+  const archive = loadArchive();
+  const firstOfMonth = new Date(Date.UTC(year, month, 1));
+  const firstDay     = (firstOfMonth - PUZZLE_EPOCH) / 86400000; // puzzle number of the 1st
+  const daysInMonth  = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const playing      = archiveDay !== null ? archiveDay : puzzleDay;
+
+  document.getElementById('archive-month').textContent =
+    formatDate(firstOfMonth, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  // Puzzle 0 fell on a Saturday, so counting from it gives Sunday … Saturday
+  document.querySelectorAll('#archive-weekdays span').forEach((span, i) => {
+    span.textContent = formatDate(puzzleDate(i - 6), { weekday: 'narrow', timeZone: 'UTC' });
   });
+  document.getElementById('archive-prev').disabled = firstDay <= 0;
+  document.getElementById('archive-next').disabled = firstDay + daysInMonth > today;
 
-  localStorage.setItem(STORAGE_KEY_STATE, JSON.stringify({
-    date: today, currentRow, currentCol, gameOver,
-    currentGuess, hardConstraints, revealedLetters,
-    tiles, keyStates
-  }));
+  const calendar = document.getElementById('archive-calendar');
+  calendar.innerHTML = '';
+  for (let i = 0; i < firstOfMonth.getUTCDay(); i++) {
+    calendar.appendChild(document.createElement('span'));
+  }
+  for (let d = 1; d <= daysInMonth; d++) {
+    const day   = firstDay + d - 1;
+    const entry = archive[day];
+    const btn   = document.createElement('button');
+    btn.classList.add('archive-day');
+    btn.textContent = formatNumber(d);
+    btn.dataset.day = day;
+    btn.title = t('archive.day', { day });
+    btn.disabled = day < 0 || day > today;
+    if (entry && (entry.result || entry.state)) btn.dataset.result = entry.result || 'started';
+    if (day === today) btn.classList.add('today');
+    if (day === playing) btn.classList.add('current');
+    calendar.appendChild(btn);
+  }
+}
+
+// Loads a past puzzle (or today's, which simply returns to the daily game)
+function playArchiveDay(day) {
+  const today = todayPuzzleDay();
+  if (!Number.isInteger(day) || day < 0 || day > today) {
+    showToast(t('archive.range', { first: 0, last: today }));
+    return;
+  }
+  closeModal('archive-modal');
+  if (document.activeElement && typeof document.activeElement.blur === 'function') {
+    document.activeElement.blur();
+  }
+  archiveDay = day === today ? null : day;
+  loadCurrentGame();
 }
 
-function loadState() {
-  const raw = localStorage.getItem(STORAGE_KEY_STATE);
-  if (!raw) return;
+function renderArchiveLabel() {
+  const el = document.getElementById('archive-label');
+  el.style.display = archiveDay !== null ? '' : 'none';
+  if (archiveDay === null) return;
+  const date = formatDate(puzzleDate(archiveDay), {
+    day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+  });
+  el.textContent = t('archive.label', { day: archiveDay, date });
+}
 
-  let state;
-  try { state = JSON.parse(raw); } catch { return; }
-  if (state.date !== todayString()) return; // Old state from a previous day
-
-  // Restore tile content & states
-  state.tiles.forEach((rowTiles, r) => {
-    rowTiles.forEach((td, c) => {
-      const tile = getTile(r, c);
-      tile.textContent = td.letter;
-      if (td.state) tile.dataset.state = td.state;
+/* ===================================================
+   HISTORY
+   =================================================== */
+const HISTORY_LIMIT   = 5000; // games kept before the oldest make way, to stay inside browser storage
+const HISTORY_WARNING = 100;  // games before the limit when players start being reminded to export
+
+let historyShown = []; // entries listed by the last renderHistory(), newest first
+
+function loadHistory() {
+  return readStorage(STORAGE_KEY_HISTORY, []);
+}
+
+// Logs the game that just finished (the board is still showing it)
+function addHistoryEntry() {
+  const { guesses, results, solvedAt, status, hardMode: level, answers } = game.state;
+  const history = loadHistory();
+  gameSeconds = gameStartedAt !== null ? Math.round((Date.now() - gameStartedAt) / 1000) : null;
+  history.push({
+    finishedAt: Date.now(),
+    mode:       challenge ? 'challenge' : currentStatsMode(),
+    soloMode,
+    puzzleDay,
+    seed:       practiceSeed,
+    challenge:  challenge ? { id: challenge.id, from: challenge.from } : null,
+    wordLength,
+    maxGuesses: soloMode === 'absurdle' ? null : maxGuesses,
+    answers, guesses, results, solvedAt,
+    won:        status === 'won',
+    hardMode:   level,
+    hintsUsed,
+    seconds:    gameSeconds
+  });
+  writeStorage(STORAGE_KEY_HISTORY, history.slice(-HISTORY_LIMIT));
+
+  // Say so before (and whenever) old games drop out, so a backup can keep them
+  const left = HISTORY_LIMIT - history.length;
+  if (left < 0) {
+    showToast(t('history.trimmed', { count: HISTORY_LIMIT }), 5000);
+  } else if (left < HISTORY_WARNING && left % 25 === 0) {
+    showToast(t('history.nearlyFull', { count: left }), 5000);
+  }
+}
+
+function historyTitle(entry) {
+  let title;
+  if (entry.mode === 'challenge') {
+    const { id, from } = entry.challenge;
+    title = from ? t('challenge.labelFrom', { id, name: from }) : t('challenge.label', { id });
+  } else if (entry.puzzleDay !== null) {
+    title = t('archive.day', { day: entry.puzzleDay });
+  } else if (entry.soloMode !== 'classic') {
+    title = t(`soloMode.${entry.soloMode}`);
+  } else if (entry.seed !== null) {
+    title = t('history.practice', { seed: entry.seed });
+  } else {
+    title = statsModeName(entry.mode);
+  }
+  if (entry.answers.length > 1) title += ` ${MULTI_BOARD_NAMES[entry.answers.length]}`;
+  if (entry.wordLength !== DEFAULT_WORD_LENGTH) {
+    title = t('history.withLength', { title, letters: t('option.letters', { count: entry.wordLength }) });
+  }
+  return title;
+}
+
+// Rows a won game took (the last board to be solved)
+function guessesUsed(entry) {
+  return Math.max(...entry.solvedAt) + 1;
+}
+
+function historyScore(entry) {
+  const limit = entry.maxGuesses === null ? '∞' : entry.maxGuesses;
+  return `${entry.won ? guessesUsed(entry) : 'X'}/${limit}`;
+}
+
+function historyDate(entry) {
+  return formatDate(new Date(entry.finishedAt), {
+    day: 'numeric', month: 'short', year: 'numeric'
+  });
+}
+
+function openHistory() {
+  closeModal('stats-modal');
+  document.getElementById('history-search').value = '';
+  document.getElementById('history-mode-select').value = 'all';
+  document.getElementById('history-result-select').value = 'all';
+  renderHistory();
+  openModal('history-modal');
+}
+
+function renderHistory() {
+  const query  = document.getElementById('history-search').value.trim().toUpperCase();
+  const mode   = document.getElementById('history-mode-select').value;
+  const result = document.getElementById('history-result-select').value;
+
+  historyShown = loadHistory().reverse().filter(entry => {
+    if (mode !== 'all' && entry.mode !== mode) return false;
+    if (result !== 'all' && entry.won !== (result === 'won')) return false;
+    if (!query) return true;
+    const text = [historyTitle(entry), historyDate(entry), ...entry.answers, ...entry.guesses].join(' ');
+    return text.toUpperCase().includes(query);
+  });
+
+  document.getElementById('history-detail').style.display = 'none';
+  const list = document.getElementById('history-list');
+  list.style.display = '';
+  list.innerHTML = '';
+  if (!historyShown.length) {
+    const empty = document.createElement('p');
+    empty.className = 'history-empty';
+    empty.textContent = t('history.empty');
+    list.appendChild(empty);
+    return;
+  }
+  historyShown.forEach((entry, i) => {
+    const row = document.createElement('button');
+    row.className = 'history-row';
+    row.dataset.index = i;
+    row.dataset.result = entry.won ? 'won' : 'lost';
+
+    const title = document.createElement('span');
+    title.className = 'history-title';
+    title.textContent = historyTitle(entry);
+    const answer = document.createElement('span');
+    answer.className = 'history-answer';
+    answer.textContent = entry.answers.join(' · ');
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    meta.textContent = `${historyScore(entry)} · ${historyDate(entry)}`;
+
+    row.append(title, answer, meta);
+    list.appendChild(row);
+  });
+}
+
+// Read-only replay of a finished game: every board with its letters and colours
+function showHistoryEntry(entry) {
+  document.getElementById('history-list').style.display = 'none';
+  document.getElementById('history-detail').style.display = '';
+  document.getElementById('history-detail-title').textContent = `${historyTitle(entry)} · ${historyScore(entry)}`;
+
+  const meta = [historyDate(entry), statsModeName(entry.mode)];
+  if (entry.hardMode !== 'off') meta.push(t(entry.hardMode === 'strict' ? 'history.strictMode' : 'history.hardMode'));
+  if (entry.seconds !== null) meta.push(t('game.clock', { time: formatDuration(entry.seconds) }));
+  if (entry.hintsUsed) meta.push(`💡 ${formatNumber(entry.hintsUsed)}`);
+  document.getElementById('history-detail-meta').textContent = meta.join(' · ');
+
+  const boards = document.getElementById('history-board');
+  boards.innerHTML = '';
+  entry.answers.forEach((answer, b) => {
+    const grid = document.createElement('div');
+    grid.className = 'history-grid';
+    const lastRow = entry.solvedAt[b] >= 0 ? entry.solvedAt[b] + 1 : entry.guesses.length;
+    entry.guesses.slice(0, lastRow).forEach((word, r) => {
+      const row = document.createElement('div');
+      row.className = 'history-grid-row';
+      word.split('').forEach((letter, c) => {
+        const tile = document.createElement('span');
+        tile.className = `history-tile ${entry.results[r][b][c]}`;
+        tile.textContent = letter;
+        row.appendChild(tile);
+      });
+      grid.appendChild(row);
     });
+    const label = document.createElement('span');
+    label.className = 'history-grid-answer';
+    label.textContent = answer;
+    grid.appendChild(label);
+    boards.appendChild(grid);
+  });
+}
+
+/* ===================================================
+   PRACTICE (seeded)
+   =================================================== */
+const MAX_SEED_LENGTH = 32;
+
+// Seeds are case-insensitive free text ('' = no seed)
+function normalizeSeed(text) {
+  return String(text || '').trim().toLowerCase().slice(0, MAX_SEED_LENGTH);
+}
+
+function randomSeed() {
+  return Math.random().toString(36).slice(2, 8);
+}
+
+// The same seed always gives the same (distinct) word per board for a word length
+function seededAnswers(seed) {
+  const pool = answerPool();
+  const answers = [];
+  for (let i = 0; answers.length < boardCount; i++) {
+    const word = pool[parseInt(fnv1a(`${seed}:${wordLength}:${i}`), 16) % pool.length].toUpperCase();
+    if (!answers.includes(word)) answers.push(word);
+  }
+  return answers;
+}
+
+// Link that replays the current practice game: the seed plus any non-default variant
+function practiceLink() {
+  const params = new URLSearchParams({ seed: practiceSeed });
+  if (wordLength !== DEFAULT_WORD_LENGTH) params.set('len', wordLength);
+  if (boardCount > 1) params.set('boards', boardCount);
+  else if (maxGuesses !== DEFAULT_MAX_GUESSES) params.set('guesses', maxGuesses);
+  return `${location.origin}${location.pathname}?${params}`;
+}
+
+// ?seed= (with optional len / boards / guesses) opens that practice game
+function openPracticeLink() {
+  const params = new URLSearchParams(location.search);
+  const seed = normalizeSeed(params.get('seed'));
+  if (!seed) return;
+  history.replaceState(null, '', location.pathname); // a reload resumes the saved game instead
+
+  const len     = Number(params.get('len'));
+  const boards  = Number(params.get('boards'));
+  const guesses = Number(params.get('guesses'));
+  applyGameVariant(
+    isSupportedWordLength(len) ? len : DEFAULT_WORD_LENGTH,
+    isSupportedMaxGuesses(guesses) ? guesses : DEFAULT_MAX_GUESSES,
+    isSupportedBoardCount(boards) ? boards : 1
+  );
+  loadStats();
+  startPractice(seed);
+  renderStats();
+}
+
+function openPractice() {
+  const input = document.getElementById('practice-seed-input');
+  input.value = practiceSeed || '';
+  openModal('practice-modal');
+}
+
+function playPracticeSeed() {
+  const seed = normalizeSeed(document.getElementById('practice-seed-input').value);
+  if (!seed) {
+    showToast(t('practice.needSeed'));
+    return;
+  }
+  if (isMpRoundActive()) {
+    showToast(t('practice.partyFirst'));
+    return;
+  }
+  startPractice(seed);
+}
+
+function renderPracticeLabel() {
+  const el = document.getElementById('practice-label');
+  el.style.display = practiceSeed !== null ? '' : 'none';
+  if (practiceSeed !== null) el.textContent = t('practice.label', { seed: practiceSeed });
+}
+
+/* ===================================================
+   CHALLENGES
+   A challenge link carries one sealed word plus the
+   creator's name and settings; whoever opens it plays
+   that word solo on the normal board.
+   =================================================== */
+function openChallengeCreator() {
+  closeModal('practice-modal');
+  document.getElementById('challenge-name-input').value = readStorage(STORAGE_KEY_NAME, '');
+  document.getElementById('challenge-hard-select').value = hardMode;
+  document.getElementById('challenge-guesses-select').value = String(DEFAULT_MAX_GUESSES);
+  document.getElementById('challenge-link-row').style.display = 'none';
+  openModal('challenge-modal');
+}
+
+function createChallengeLink() {
+  const word = document.getElementById('challenge-word-input').value.trim().toUpperCase();
+  if (!/^[A-Z]+$/.test(word) || !isSupportedWordLength(word.length)) {
+    showToast(t('challenge.wordLength', { min: MIN_WORD_LENGTH, max: MAX_WORD_LENGTH }));
+    return;
+  }
+  if (!isValidWord(word)) {
+    showToast(t('engine.notInList'));
+    return;
+  }
+
+  document.getElementById('challenge-link').value = challengeLink({
+    word:       sealWord(word),
+    from:       document.getElementById('challenge-name-input').value.trim().slice(0, 20),
+    hardMode:   document.getElementById('challenge-hard-select').value,
+    maxGuesses: Number(document.getElementById('challenge-guesses-select').value)
+  });
+  document.getElementById('challenge-link-row').style.display = '';
+}
+
+// Link that opens a challenge ({word (sealed), from, hardMode, maxGuesses})
+function challengeLink({ word, from, hardMode: level, maxGuesses: guesses }) {
+  const params = new URLSearchParams({ challenge: word });
+  if (from) params.set('from', from);
+  if (level !== 'off') params.set('hard', level);
+  if (guesses !== DEFAULT_MAX_GUESSES) params.set('guesses', guesses);
+  return `${location.origin}${location.pathname}?${params}`;
+}
+
+function copyChallengeLink() {
+  navigator.clipboard.writeText(document.getElementById('challenge-link').value).then(() => {
+    showToast(t('challenge.copied'));
+  }).catch(() => {
+    showToast(t('share.copyFailed'));
+  });
+}
+
+// ?challenge= links: the sealed word, plus optional from / hard / guesses
+function openChallengeLink() {
+  const params = new URLSearchParams(location.search);
+  const token = params.get('challenge');
+  if (!token) return;
+  history.replaceState(null, '', location.pathname); // a reload resumes the saved game instead
+
+  const word = /^[0-9a-f]{8}([0-9a-f]{2})+$/.test(token) ? openWord(token) : '';
+  if (!/^[A-Z]+$/.test(word) || !isSupportedWordLength(word.length)) {
+    showToast(t('challenge.broken'));
+    return;
+  }
+  const guesses = Number(params.get('guesses'));
+  startChallenge({
+    id:         token.slice(0, 6).toUpperCase(),
+    word:       token,
+    from:       (params.get('from') || '').slice(0, 20),
+    hardMode:   HARD_MODE_LEVELS.includes(params.get('hard')) ? params.get('hard') : 'off',
+    maxGuesses: isSupportedMaxGuesses(guesses) ? guesses : DEFAULT_MAX_GUESSES
   });
+}
 
-  // Restore key states
-  if (state.keyStates) {
-    Object.entries(state.keyStates).forEach(([key, s]) => {
-      const keyEl = document.querySelector(`.key[data-key="${key}"]`);
-      if (keyEl && s) keyEl.dataset.state = s;
+function startChallenge(c) {
+  applyGameVariant((c.word.length - 8) / 2, c.maxGuesses);
+  loadStats();
+  challengeMode = true;
+  challenge = c;
+  startGame();
+  renderStats();
+  showToast(c.from ? t('challenge.from', { name: c.from }) : t('challenge.accepted'), 3000);
+}
+
+function renderChallengeLabel() {
+  const el = document.getElementById('challenge-label');
+  el.style.display = challenge ? '' : 'none';
+  if (!challenge) return;
+  el.textContent = challenge.from
+    ? t('challenge.labelFrom', { id: challenge.id, name: challenge.from })
+    : t('challenge.label', { id: challenge.id });
+}
+
+/* ===================================================
+   SHARE
+   =================================================== */
+// Tiles per share format; the link, time and spoiler formats use the classic set
+const SHARE_EMOJI = {
+  classic:  { correct: '🟩', present: '🟨', absent: '⬛' },
+  contrast: { correct: '🟧', present: '🟦', absent: '⬛' },
+  light:    { correct: '🟩', present: '🟨', absent: '⬜' }
+};
+
+// What comes after "Wordle" in a shared result. Archive, practice and party
+// games say so, so they can't be mistaken for today's puzzle.
+function shareDayLabel() {
+  if (isMpRoundActive()) return mpGameMode === 'custom' ? 'Party Custom' : 'Party';
+  if (challenge) return `Challenge #${challenge.id}${challenge.from ? ` from ${challenge.from}` : ''}`;
+  if (practiceSeed !== null) return `Practice ${practiceSeed}`;
+  const day = (puzzleDay !== null ? puzzleDay : todayPuzzleDay()).toLocaleString('en-US');
+  return archiveDay !== null ? `Archive ${day}` : day;
+}
+
+function shareResult() {
+  const emojiMap = SHARE_EMOJI[shareFormat] || SHARE_EMOJI.classic;
+
+  // One grid per board from the engine's results (a solved board stops at its winning row).
+  // The spoiler format adds each guess, hidden behind Discord's ||spoiler|| tags.
+  const { guesses, results, solvedAt, hardMode: level } = game.state;
+  const grids = solvedAt.map((solvedRow, b) => {
+    const lastRow = solvedRow >= 0 ? solvedRow + 1 : guesses.length;
+    return results.slice(0, lastRow).map((row, r) => {
+      const tiles = row[b].map(s => emojiMap[s]).join('');
+      return shareFormat === 'spoiler' ? `${tiles} ||${guesses[r]}||` : tiles;
     });
+  });
+  const winRows = solvedAt.map(solvedRow => solvedRow >= 0 ? solvedRow + 1 : 'X');
+
+  const day    = shareDayLabel();
+  const variant = wordLength !== DEFAULT_WORD_LENGTH ? ` (${wordLength} letters)` : '';
+  const hardTag = level !== 'off' && boardCount === 1 ? '*' : ''; // the NYT marks hard mode scores with an asterisk
+  const hintTag = hintsUsed ? ` 💡${hintsUsed}` : '';
+  const seconds = shareFormat === 'time' && soloMode !== 'countdown' ? gameSeconds : null;
+  const timeTag = seconds !== null ? ` ⏱ ${formatClock(seconds)}` : '';
+  let text;
+  if (soloMode === 'absurdle') {
+    text = `Absurdle${variant} ${winRows[0]}/∞${hardTag}${timeTag}\n\n${grids[0].join('\n')}`;
+  } else if (soloMode === 'speedrun') {
+    text = `Wordle Speedrun${variant} ${speedrunScore} solved in ${formatClock(SPEEDRUN_SECONDS)}`;
+  } else if (soloMode === 'countdown') {
+    text = `Wordle Countdown${variant} ${winRows[0]}/${maxGuesses}${hardTag}${hintTag} ⏱ ${formatClock(clockElapsed)}\n\n${grids[0].join('\n')}`;
+  } else if (boardCount === 1) {
+    text = `Wordle ${day}${variant} ${winRows[0]}/${maxGuesses}${hardTag}${hintTag}${timeTag}\n\n${grids[0].join('\n')}`;
+  } else {
+    // One grid per board, each headed by its own score
+    const total = winRows.includes('X') ? 'X' : Math.max(...winRows);
+    const body  = grids.map((rows, b) => `#${b + 1} ${winRows[b]}/${maxGuesses}\n${rows.join('\n')}`);
+    text = `Wordle ${day} ${MULTI_BOARD_NAMES[boardCount]}${variant} ${total}/${maxGuesses}${hardTag}${hintTag}${timeTag}\n\n${body.join('\n\n')}`;
+  }
+  if (practiceSeed !== null) {
+    text += `\n\n${practiceLink()}`; // so others can play the same word
+  } else if (shareFormat === 'link') {
+    text += `\n\n${challenge ? challengeLink(challenge) : `${location.origin}${location.pathname}`}`;
+  }
+
+  navigator.clipboard.writeText(text).then(() => {
+    showToast(t('share.copied'));
+  }).catch(() => {
+    showToast(t('share.copyFailed'));
+  });
+}
+
+/* ===================================================
+   SHARE IMAGE
+   The result card is drawn on a canvas in the page's own
+   theme colours and handed out as a PNG: a data: URL for
+   the preview and download (the CSP allows data: images),
+   a blob for the clipboard and the Web Share API.
+   =================================================== */
+const CARD_WIDTH   = 600;
+const CARD_PADDING = 40;
+const CARD_FONT    = "'Clear Sans', 'Helvetica Neue', Arial, sans-serif";
+
+let shareCanvas = null; // card for the finished game, redrawn when letters are toggled
+
+function openShareImage() {
+  document.getElementById('share-letters-toggle').checked = false;
+  if (!renderShareImage()) return;
+  const canShareFiles = typeof navigator.canShare === 'function'
+    && navigator.canShare({ files: [new File([''], 'wordle.png', { type: 'image/png' })] });
+  document.getElementById('share-image-send').style.display = canShareFiles ? '' : 'none';
+  closeModal('stats-modal');
+  openModal('share-image-modal');
+}
+
+function renderShareImage() {
+  const canvas = drawShareCard(document.getElementById('share-letters-toggle').checked);
+  if (!canvas) {
+    showToast(t('shareImage.unsupported'));
+    return false;
   }
+  shareCanvas = canvas;
+  const preview = document.getElementById('share-image-preview');
+  preview.src = canvas.toDataURL('image/png');
+  preview.alt = shareCardTitle();
+  return true;
+}
 
-  currentRow        = state.currentRow || 0;
-  currentCol        = state.currentCol || 0;
-  gameOver          = state.gameOver   || false;
-  currentGuess      = state.currentGuess || [];
-  hardConstraints   = state.hardConstraints || { exactPositions: {}, mustContain: [] };
-  revealedLetters   = state.revealedLetters || {};
+function shareCardTitle() {
+  const variant = wordLength !== DEFAULT_WORD_LENGTH ? ` (${wordLength} letters)` : '';
+  if (soloMode === 'absurdle')  return `Absurdle${variant}`;
+  if (soloMode === 'speedrun')  return `Wordle Speedrun${variant}`;
+  if (soloMode === 'countdown') return `Wordle Countdown${variant}`;
+  const boards = boardCount > 1 ? ` ${MULTI_BOARD_NAMES[boardCount]}` : '';
+  return `Wordle ${shareDayLabel()}${boards}${variant}`;
 }
 
-function todayString() {
-  const d = new Date();
-  return `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}`;
+// Score, hard mode, hints and clock under the title
+function shareCardDetails() {
+  const { solvedAt, hardMode: level } = game.state;
+  if (soloMode === 'speedrun') {
+    return [t('shareImage.speedrun', { count: speedrunScore, time: formatDuration(SPEEDRUN_SECONDS) })];
+  }
+  const winRows = solvedAt.map(r => (r >= 0 ? r + 1 : 'X'));
+  const score = winRows.includes('X') ? 'X' : Math.max(...winRows);
+  const details = [`${score}/${soloMode === 'absurdle' ? '∞' : maxGuesses}`];
+  if (level !== 'off' && boardCount === 1) details.push(t(level === 'strict' ? 'shareImage.strictMode' : 'shareImage.hardMode'));
+  if (hintsUsed) details.push(t('stats.hintCount', { count: hintsUsed }));
+  if (soloMode === 'countdown') details.push(t('game.clock', { time: formatDuration(clockElapsed) }));
+  return details;
+}
+
+// Draws the card, or returns null where canvas isn't available
+function drawShareCard(showLetters) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext && canvas.getContext('2d');
+  if (!ctx) return null;
+
+  const css = getComputedStyle(document.documentElement);
+  const color = name => css.getPropertyValue(`--color-${name}`).trim();
+  const { guesses, results, solvedAt } = game.state;
+  const grids = soloMode === 'speedrun' ? [] : solvedAt.map(r => (r >= 0 ? r + 1 : guesses.length));
+
+  // Boards sit up to four to a line; tiles shrink to fit the card
+  const perLine  = Math.min(Math.max(grids.length, 1), 4);
+  const lines    = Math.ceil(grids.length / perLine);
+  const gap      = 4;
+  const boardGap = 24;
+  const tile = Math.min(56, Math.floor(((CARD_WIDTH - 2 * CARD_PADDING - (perLine - 1) * boardGap) / perLine + gap) / wordLength) - gap);
+  const gridWidth  = wordLength * (tile + gap) - gap;
+  const gridHeight = Math.max(0, ...grids) * (tile + gap) - gap;
+  const header = 110;
+  const footer = 60;
+  canvas.width  = CARD_WIDTH;
+  canvas.height = header + lines * (gridHeight + boardGap) + footer;
+
+  ctx.fillStyle = color('background');
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.direction = textDirection();
+  ctx.fillStyle = color('tone-1');
+  ctx.font = `bold 32px ${CARD_FONT}`;
+  ctx.fillText(shareCardTitle(), CARD_WIDTH / 2, 45);
+  ctx.fillStyle = color('tone-2');
+  ctx.font = `bold 20px ${CARD_FONT}`;
+  ctx.fillText(shareCardDetails().join('  ·  '), CARD_WIDTH / 2, 82);
+
+  const tileColors = { correct: color('correct'), present: color('present'), absent: color('absent') };
+  const lineWidth = perLine * gridWidth + (perLine - 1) * boardGap;
+  grids.forEach((rows, b) => {
+    const left = (CARD_WIDTH - lineWidth) / 2 + (b % perLine) * (gridWidth + boardGap);
+    const top  = header + Math.floor(b / perLine) * (gridHeight + boardGap);
+    for (let r = 0; r < rows; r++) {
+      results[r][b].forEach((state, c) => {
+        const x = left + c * (tile + gap);
+        const y = top + r * (tile + gap);
+        ctx.fillStyle = tileColors[state];
+        ctx.fillRect(x, y, tile, tile);
+        if (!showLetters) return;
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${Math.round(tile * 0.55)}px ${CARD_FONT}`;
+        ctx.fillText(guesses[r][c], x + tile / 2, y + tile / 2 + 1);
+      });
+    }
+  });
+
+  // Streaks only mean something for the daily puzzle
+  const mode = currentStatsMode();
+  const bucket = stats[mode];
+  const footerText = isStreakMode(mode) && !challenge
+    ? t('shareImage.streak', { count: bucket.streak, best: bucket.maxStreak })
+    : formatDate(new Date(), { day: 'numeric', month: 'short', year: 'numeric' });
+  ctx.fillStyle = color('tone-2');
+  ctx.font = `16px ${CARD_FONT}`;
+  ctx.fillText(footerText, CARD_WIDTH / 2, canvas.height - footer / 2);
+  return canvas;
+}
+
+function shareCardBlob() {
+  return new Promise(resolve => shareCanvas.toBlob(resolve, 'image/png'));
+}
+
+function shareCardFileName() {
+  return `${shareCardTitle().toLowerCase().replace(/[^a-z0-9]+/g, '-')}.png`;
+}
+
+function downloadShareImage() {
+  const link = document.createElement('a');
+  link.href = shareCanvas.toDataURL('image/png');
+  link.download = shareCardFileName();
+  link.click();
+}
+
+function copyShareImage() {
+  if (typeof ClipboardItem === 'undefined' || !navigator.clipboard || !navigator.clipboard.write) {
+    showToast(t('shareImage.copyUnsupported'));
+    return;
+  }
+  // Safari wants the ClipboardItem created straight away, so it gets the blob promise
+  navigator.clipboard.write([new ClipboardItem({ 'image/png': shareCardBlob() })]).then(() => {
+    showToast(t('shareImage.copied'));
+  }).catch(() => {
+    showToast(t('share.copyFailed'));
+  });
+}
+
+function sendShareImage() {
+  shareCardBlob().then(blob => {
+    const file = new File([blob], shareCardFileName(), { type: 'image/png' });
+    return navigator.share({ files: [file], title: shareCardTitle() });
+  }).catch(e => {
+    if (e && e.name !== 'AbortError') showToast(t('share.failed'));
+  });
+}
+
+/* ===================================================
+   TRENDS (stats dashboard)
+   Charts drawn from the game history as inline SVG. Their
+   colours come from the theme's CSS variables, so they follow
+   the dark, light and high-contrast themes.
+   =================================================== */
+const TREND_VIEWS = ['trend', 'calendar', 'time', 'missed', 'openers'];
+const TREND_PERIODS  = 12; // weeks or months in the over-time charts
+const CALENDAR_WEEKS = 26; // columns in the heatmap
+const TREND_ROWS     = 10; // rows in the missed / openers tables
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Chart area inside a 300×120 viewBox
+const CHART = { width: 300, height: 120, left: 30, right: 10, top: 8, bottom: 18 };
+
+let trendsView = 'trend';
+
+function openTrends() {
+  closeModal('stats-modal');
+  document.getElementById('trends-mode-select').value = 'all';
+  renderTrends();
+  openModal('trends-modal');
+}
+
+function renderTrends() {
+  const tabs = document.getElementById('trends-tabs');
+  tabs.innerHTML = '';
+  TREND_VIEWS.forEach(view => {
+    const tab = document.createElement('button');
+    tab.className = 'stats-tab';
+    tab.textContent = t(`trends.${view}`);
+    tab.classList.toggle('active', view === trendsView);
+    tab.addEventListener('click', () => {
+      trendsView = view;
+      renderTrends();
+    });
+    tabs.appendChild(tab);
+  });
+  const overTime = trendsView === 'trend' || trendsView === 'time';
+  document.getElementById('trends-period-select').style.display = overTime ? '' : 'none';
+
+  const mode = document.getElementById('trends-mode-select').value;
+  const entries = loadHistory().filter(entry => mode === 'all' || entry.mode === mode);
+  const container = document.getElementById('trends-view');
+  container.innerHTML = '';
+  if (!entries.length) {
+    container.appendChild(trendsNote(t('history.empty'), 'history-empty'));
+    return;
+  }
+  const views = {
+    trend: renderWinTrend, calendar: renderCalendar, time: renderSolveTimes,
+    missed: renderMissedAnswers, openers: renderOpeners
+  };
+  views[trendsView](entries, container);
+}
+
+function trendsNote(text, className = 'trends-summary') {
+  const p = document.createElement('p');
+  p.className = className;
+  p.textContent = text;
+  return p;
+}
+
+function trendsHeading(text) {
+  const h3 = document.createElement('h3');
+  h3.textContent = text;
+  return h3;
+}
+
+function trendsTable(headers, rows) {
+  const table = document.createElement('table');
+  table.className = 'trends-table';
+  [headers, ...rows].forEach((cells, i) => {
+    const tr = table.insertRow();
+    cells.forEach(text => {
+      const cell = document.createElement(i === 0 ? 'th' : 'td');
+      cell.textContent = text;
+      tr.appendChild(cell);
+    });
+  });
+  return table;
+}
+
+function svgElement(tag, attrs = {}, parent = null) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+  if (parent) parent.appendChild(el);
+  return el;
+}
+
+// Hover text on a chart mark
+function svgTitle(el, text) {
+  svgElement('title', {}, el).textContent = text;
+}
+
+// The last TREND_PERIODS weeks (from Monday) or months, oldest first, each with its games
+function periodBuckets(entries) {
+  const monthly = document.getElementById('trends-period-select').value === 'month';
+  const startOf = time => {
+    const d = new Date(time);
+    d.setHours(0, 0, 0, 0);
+    if (monthly) d.setDate(1);
+    else d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+    return d;
+  };
+  const current = startOf(Date.now());
+  const buckets = [];
+  for (let i = TREND_PERIODS - 1; i >= 0; i--) {
+    const d = new Date(current);
+    if (monthly) d.setMonth(d.getMonth() - i);
+    else d.setDate(d.getDate() - 7 * i);
+    const label = formatDate(d, monthly ? { month: 'short' } : { month: 'short', day: 'numeric' });
+    buckets.push({ start: d.getTime(), label, entries: [] });
+  }
+  entries.forEach(entry => {
+    const bucket = buckets.find(b => b.start === startOf(entry.finishedAt).getTime());
+    if (bucket) bucket.entries.push(entry);
+  });
+  return buckets;
+}
+
+function formatPercent(v) {
+  return formatNumber(Math.round(v) / 100, { style: 'percent' });
+}
+
+// Average guesses, to one decimal place
+function formatAverage(v) {
+  return formatNumber(v, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+}
+
+// Axis lines and labels shared by the line and bar charts
+function chartFrame(points, min, max, format) {
+  const { width, height, left, right, top, bottom } = CHART;
+  const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart', role: 'img' });
+  const y = v => top + (1 - (v - min) / (max - min || 1)) * (height - top - bottom);
+  [min, max].forEach(v => {
+    svgElement('line', { x1: left, x2: width - right, y1: y(v), y2: y(v), class: 'chart-grid' }, svg);
+    svgElement('text', { x: left - 4, y: y(v) + 3, 'text-anchor': 'end', class: 'chart-label' }, svg).textContent = format(v);
+  });
+  [[0, 'start'], [points.length - 1, 'end']].forEach(([i, anchor]) => {
+    const x = anchor === 'start' ? left : width - right;
+    svgElement('text', { x, y: height - 4, 'text-anchor': anchor, class: 'chart-label' }, svg).textContent = points[i].label;
+  });
+  const shown = points.filter(p => p.value !== null);
+  svg.setAttribute('aria-label', shown.length
+    ? shown.map(p => `${p.label}: ${format(p.value)}`).join(', ')
+    : t('trends.noPeriodGames'));
+  return { svg, y };
+}
+
+// Periods without games (value null) are left out of the line
+function lineChart(points, { min, max, format }) {
+  const { width, left, right } = CHART;
+  const { svg, y } = chartFrame(points, min, max, format);
+  const x = i => left + i * (width - left - right) / (points.length - 1);
+  const coords = points.map((p, i) => (p.value === null ? null : [x(i), y(p.value)]));
+  svgElement('polyline', {
+    points: coords.filter(Boolean).map(c => c.join(',')).join(' '),
+    class: 'chart-line'
+  }, svg);
+  points.forEach((p, i) => {
+    if (p.value === null) return;
+    const dot = svgElement('circle', { cx: coords[i][0], cy: coords[i][1], r: 3, class: 'chart-dot' }, svg);
+    svgTitle(dot, `${p.label}: ${format(p.value)}`);
+  });
+  return svg;
+}
+
+function barChart(points, { max, format }) {
+  const { width, left, right } = CHART;
+  const { svg, y } = chartFrame(points, 0, max, format);
+  const slot = (width - left - right) / points.length;
+  points.forEach((p, i) => {
+    if (p.value === null) return;
+    const bar = svgElement('rect', {
+      x: left + i * slot + slot * 0.15, width: slot * 0.7,
+      y: y(p.value), height: y(0) - y(p.value), class: 'chart-bar'
+    }, svg);
+    svgTitle(bar, `${p.label}: ${format(p.value)}`);
+  });
+  return svg;
+}
+
+function renderWinTrend(entries, container) {
+  const buckets = periodBuckets(entries);
+  const winRate = buckets.map(b => ({
+    label: b.label,
+    value: b.entries.length ? b.entries.filter(e => e.won).length / b.entries.length * 100 : null
+  }));
+  const averages = buckets.map(b => {
+    const wins = b.entries.filter(e => e.won);
+    return { label: b.label, value: wins.length ? wins.reduce((sum, e) => sum + guessesUsed(e), 0) / wins.length : null };
+  });
+  const most = Math.max(DEFAULT_MAX_GUESSES, ...averages.map(p => Math.ceil(p.value || 0)));
+
+  const games = buckets.reduce((sum, b) => sum + b.entries.length, 0);
+  const monthly = document.getElementById('trends-period-select').value === 'month';
+  container.appendChild(trendsNote(t(monthly ? 'trends.gamesMonths' : 'trends.gamesWeeks', { count: games, periods: TREND_PERIODS })));
+  container.appendChild(trendsHeading(t('trends.winRate')));
+  container.appendChild(lineChart(winRate, { min: 0, max: 100, format: formatPercent }));
+  container.appendChild(trendsHeading(t('trends.averageGuesses')));
+  container.appendChild(lineChart(averages, { min: 1, max: most, format: formatAverage }));
+}
+
+// One square per day for the last CALENDAR_WEEKS weeks, darker the more games were played
+function renderCalendar(entries, container) {
+  const cell = 10;
+  const gap = 2;
+  const top = 12;
+  const counts = {};
+  entries.forEach(entry => {
+    const key = new Date(entry.finishedAt).toDateString();
+    counts[key] = (counts[key] || 0) + 1;
+  });
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const start = new Date(today);
+  start.setDate(start.getDate() - (start.getDay() + 6) % 7 - 7 * (CALENDAR_WEEKS - 1));
+
+  const svg = svgElement('svg', {
+    viewBox: `0 0 ${CALENDAR_WEEKS * (cell + gap)} ${top + 7 * (cell + gap)}`, class: 'chart', role: 'img'
+  });
+  let daysPlayed = 0;
+  for (let w = 0; w < CALENDAR_WEEKS; w++) {
+    for (let d = 0; d < 7; d++) {
+      const day = new Date(start);
+      day.setDate(start.getDate() + w * 7 + d);
+      if (day > today) break;
+      const x = w * (cell + gap);
+      if (d === 0 && day.getDate() <= 7) {
+        svgElement('text', { x, y: top - 3, class: 'chart-label' }, svg).textContent = formatDate(day, { month: 'short' });
+      }
+      const n = counts[day.toDateString()] || 0;
+      if (n) daysPlayed++;
+      const square = svgElement('rect', {
+        x, y: top + d * (cell + gap), width: cell, height: cell, rx: 2, class: `heat heat-${Math.min(n, 4)}`
+      }, svg);
+      svgTitle(square, t('trends.dayGames', { date: formatDate(day, { day: 'numeric', month: 'short' }), count: n }));
+    }
+  }
+  const summary = t('trends.daysPlayed', { count: daysPlayed, weeks: CALENDAR_WEEKS });
+  svg.setAttribute('aria-label', summary);
+  container.appendChild(trendsNote(summary));
+  container.appendChild(svg);
+}
+
+function renderSolveTimes(entries, container) {
+  const timed = entries.filter(e => e.won && typeof e.seconds === 'number');
+  if (!timed.length) {
+    container.appendChild(trendsNote(t('trends.noTimed'), 'history-empty'));
+    return;
+  }
+  const mean = list => list.reduce((sum, e) => sum + e.seconds, 0) / list.length;
+  const clock = v => formatDuration(Math.round(v));
+
+  const grid = document.createElement('div');
+  grid.className = 'stats-grid';
+  [
+    [clock(mean(timed)), t('trends.meanTime')],
+    [clock(Math.min(...timed.map(e => e.seconds))), t('trends.fastest')],
+    [formatNumber(timed.length), t('trends.timedWins')]
+  ]
+    .forEach(([value, label]) => {
+      const block = document.createElement('div');
+      block.className = 'stat-block';
+      block.innerHTML = '<span class="stat-num"></span><span class="stat-label"></span>';
+      block.children[0].textContent = value;
+      block.children[1].textContent = label;
+      grid.appendChild(block);
+    });
+  container.appendChild(grid);
+
+  const points = periodBuckets(timed).map(b => ({ label: b.label, value: b.entries.length ? mean(b.entries) : null }));
+  container.appendChild(trendsHeading(t('trends.meanSolveTime')));
+  container.appendChild(barChart(points, { max: Math.max(60, ...points.map(p => p.value || 0)), format: clock }));
+}
+
+// Answers of boards left unsolved, most often missed first
+function renderMissedAnswers(entries, container) {
+  const missed = new Map();
+  entries.filter(e => !e.won).forEach(entry => {
+    entry.answers.forEach((word, b) => {
+      if (entry.solvedAt[b] >= 0) return;
+      const row = missed.get(word) || { word, count: 0, last: entry };
+      row.count++;
+      if (entry.finishedAt > row.last.finishedAt) row.last = entry;
+      missed.set(word, row);
+    });
+  });
+  if (!missed.size) {
+    container.appendChild(trendsNote(t('trends.noMissed'), 'history-empty'));
+    return;
+  }
+  const rows = [...missed.values()]
+    .sort((a, b) => b.count - a.count || b.last.finishedAt - a.last.finishedAt)
+    .slice(0, TREND_ROWS);
+  container.appendChild(trendsNote(t('trends.answersMissed', { count: missed.size })));
+  container.appendChild(trendsTable(
+    [t('trends.answer'), t('trends.missedCount'), t('trends.last')],
+    rows.map(r => [r.word, formatNumber(r.count), historyDate(r.last)])
+  ));
+}
+
+// First guesses by how often they're played, with how those games went
+function renderOpeners(entries, container) {
+  const openers = new Map();
+  entries.forEach(entry => {
+    if (!entry.guesses.length) return;
+    const row = openers.get(entry.guesses[0]) || { word: entry.guesses[0], games: 0, wins: 0, rows: 0 };
+    row.games++;
+    if (entry.won) {
+      row.wins++;
+      row.rows += guessesUsed(entry);
+    }
+    openers.set(row.word, row);
+  });
+  const rows = [...openers.values()].sort((a, b) => b.games - a.games || b.wins - a.wins).slice(0, TREND_ROWS);
+  container.appendChild(trendsNote(t('trends.openerCount', { count: openers.size })));
+  container.appendChild(trendsTable([t('trends.opener'), t('trends.games'), t('trends.winPct'), t('trends.avg')], rows.map(r => [
+    r.word, formatNumber(r.games), formatNumber(Math.round(r.wins / r.games * 100)), r.wins ? formatAverage(r.rows / r.wins) : '–'
+  ])));
+}
+
+/* ===================================================
+   SETTINGS
+   =================================================== */
+function loadSettings() {
+  const saved = readStorage(STORAGE_KEY_SETTINGS, {});
+  darkMode     = saved.darkMode     !== undefined ? saved.darkMode     : true;
+  highContrast = saved.highContrast !== undefined ? saved.highContrast : false;
+  hardMode     = saved.hardMode     !== undefined ? saved.hardMode     : 'off';
+  preferredWordLength = isSupportedWordLength(saved.wordLength) ? saved.wordLength : DEFAULT_WORD_LENGTH;
+  preferredMaxGuesses = isSupportedMaxGuesses(saved.maxGuesses) ? saved.maxGuesses : DEFAULT_MAX_GUESSES;
+  preferredBoardCount = isSupportedBoardCount(saved.boardCount) ? saved.boardCount : 1;
+  preferredSoloMode   = isSupportedSoloMode(saved.soloMode) ? saved.soloMode : 'classic';
+  hintBudget          = HINT_BUDGETS.includes(saved.hintBudget) ? saved.hintBudget : DEFAULT_HINT_BUDGET;
+  dayClock            = DAY_CLOCKS.includes(saved.dayClock) ? saved.dayClock : 'local';
+  shareFormat         = SHARE_FORMATS.includes(saved.shareFormat) ? saved.shareFormat : 'classic';
+  animationSpeed      = ANIMATION_SPEEDS.includes(saved.animationSpeed) ? saved.animationSpeed : 'system';
+  language            = LANGUAGE_CHOICES.includes(saved.language) ? saved.language : 'auto';
+  applyTheme();
+  applyContrast();
+  applyMotion();
+  applyLanguage();
+}
+
+function saveSettings() {
+  writeStorage(STORAGE_KEY_SETTINGS, {
+    darkMode, highContrast, hardMode,
+    wordLength: preferredWordLength, maxGuesses: preferredMaxGuesses,
+    boardCount: preferredBoardCount, soloMode: preferredSoloMode, hintBudget, dayClock, shareFormat,
+    animationSpeed, language
+  });
+}
+
+function syncSettingsUI() {
+  document.getElementById('dark-mode-toggle').checked    = darkMode;
+  document.getElementById('contrast-toggle').checked     = highContrast;
+  document.getElementById('hard-mode-select').value      = hardMode;
+  document.getElementById('word-length-select').value    = String(preferredWordLength);
+  document.getElementById('max-guesses-select').value    = String(preferredMaxGuesses);
+  document.getElementById('board-count-select').value    = String(preferredBoardCount);
+  document.getElementById('solo-mode-select').value      = preferredSoloMode;
+  document.getElementById('hint-budget-select').value    = String(hintBudget);
+  document.getElementById('day-clock-select').value      = dayClock;
+  document.getElementById('share-format-select').value   = shareFormat;
+  document.getElementById('animation-select').value      = animationSpeed;
+  document.getElementById('language-select').value       = language;
+}
+
+function applyTheme() {
+  document.documentElement.dataset.theme = darkMode ? 'dark' : 'light';
+  const iconDark  = document.getElementById('theme-icon-dark');
+  const iconLight = document.getElementById('theme-icon-light');
+  if (darkMode) {
+    iconDark.style.display  = '';
+    iconLight.style.display = 'none';
+  } else {
+    iconDark.style.display  = 'none';
+    iconLight.style.display = '';
+  }
+}
+
+function applyContrast() {
+  document.documentElement.dataset.contrast = highContrast ? 'true' : 'false';
+}
+
+// How much motion to play: the chosen speed, or the system's reduced-motion preference
+function motionLevel() {
+  if (animationSpeed !== 'system') return animationSpeed;
+  const reduced = window.matchMedia && matchMedia('(prefers-reduced-motion: reduce)').matches;
+  return reduced ? 'off' : 'full';
+}
+
+// Scales an animation timing (ms) to the current speed; 0 when animations are off
+function motionTime(ms) {
+  return ms * MOTION_SCALE[motionLevel()];
+}
+
+function applyMotion() {
+  document.documentElement.dataset.motion = motionLevel();
+}
+
+// Shows the UI in the chosen language (or the browser's), right to left where it reads that way
+function applyLanguage() {
+  setUiLanguage(language === 'auto' ? browserLanguage() : language);
+  document.documentElement.lang = uiLanguage;
+  document.documentElement.dir  = textDirection();
+  translatePage();
+}
+
+// Redraws the text that was written from code rather than index.html
+function renderLanguage() {
+  updateHelpText();
+  renderStats();
+  updateTimer();
+  renderHintButton();
+  renderArchiveLabel();
+  renderPracticeLabel();
+  renderChallengeLabel();
+  if (isTimedMode()) renderClock(clockShownSeconds);
+  labelBoard();
+  document.querySelectorAll('.tile').forEach(labelTile);
+  renderKeys();
+  if (isMpRoundActive()) renderMpBanner();
+}
+
+function applySettings() {
+  applyTheme();
+  applyContrast();
+  applyMotion();
+  applyLanguage();
+}
+
+/* ===================================================
+   STATE PERSISTENCE (today's game)
+   =================================================== */
+// Seeded practice and challenge games get their own save, so opening one never
+// throws away the daily game in progress
+function gameStorageKey() {
+  return practiceSeed !== null || challenge ? practiceStorageKey() : stateStorageKey();
+}
+
+function saveState() {
+  if (isMpRoundActive() || isTimedMode()) return; // party rounds and timed runs are not resumable
+  const state = {
+    day: todayPuzzleDay(), puzzleDay, practiceSeed, challenge, currentGuess, hintsUsed, gameStartedAt, gameSeconds,
+    game: game.serialize()
+  };
+  if (archiveDay !== null) {
+    updateArchiveEntry(archiveDay, { state }); // each archived day keeps its own save
+  } else {
+    writeStorage(gameStorageKey(), state);
+  }
+}
+
+function loadState(key = stateStorageKey()) {
+  let state;
+  if (archiveDay !== null) {
+    state = (loadArchive()[archiveDay] || {}).state;
+    if (!state) return;
+  } else {
+    state = readStorage(key, null);
+    if (!state) return;
+    if (state.day !== todayPuzzleDay()) return; // Old state from a previous day
+  }
+
+  const data = state.game || legacyGameData(state);
+  if (data.wordLength !== wordLength) return;
+  if (data.mode !== (soloMode === 'absurdle' ? 'absurdle' : 'classic')) return;
+  if (data.mode === 'classic' && (data.maxGuesses !== maxGuesses || (data.sealed || data.answers).length !== boardCount)) return;
+
+  game = restoreGame(data, { candidates: answerPool() });
+  if (state.puzzleDay !== undefined) puzzleDay = state.puzzleDay;
+  practiceSeed = state.practiceSeed !== undefined ? state.practiceSeed : null;
+  challenge    = state.challenge || null;
+  renderPracticeLabel();
+  renderChallengeLabel();
+  // Old saves were written as a guess was revealed, so their current guess is that submitted row
+  currentGuess = state.game ? (state.currentGuess || []) : [];
+  hintsUsed    = state.hintsUsed || 0;
+  gameStartedAt = state.gameStartedAt || null;
+  gameSeconds   = state.gameSeconds !== undefined ? state.gameSeconds : null;
+  renderGame();
+}
+
+// On opening the page an unfinished practice or challenge game takes the board
+// back from the daily one, which stays saved for later
+function resumePracticeGame() {
+  const state = readStorage(practiceStorageKey(), null);
+  if (!state || state.day !== todayPuzzleDay() || !state.game) return;
+  if (restoreGame(state.game).state.status !== 'playing') return;
+  resetBoardState();
+  loadState(practiceStorageKey());
+}
+
+// Saves from before the engine kept the board as tiles; the guesses are the
+// evaluated rows (read from whichever board still had that row) and the answers
+// are the ones just picked for the day, as before. Their currentRow can't be
+// trusted: it was saved before the row it belonged to moved on, and never
+// again after a win, so the last guess would be lost. Replaying the guesses
+// works out whether the game was won or lost.
+function legacyGameData(state) {
+  const boards = [state.tiles || [], ...(state.extraBoards || [])];
+  const rows = Math.max(0, ...boards.map(tiles => tiles.length));
+  const evaluated = tiles => tiles && tiles[0] && ['correct', 'present', 'absent'].includes(tiles[0].state);
+  const guesses = [];
+  for (let r = 0; r < rows; r++) {
+    const row = boards.map(tiles => tiles[r]).find(evaluated);
+    if (!row) break;
+    guesses.push(row.map(t => t.letter).join(''));
+  }
+  return {
+    ...game.serialize(),
+    wordLength: state.wordLength || DEFAULT_WORD_LENGTH,
+    maxGuesses: soloMode === 'absurdle' ? null : (state.maxGuesses || DEFAULT_MAX_GUESSES),
+    guesses
+  };
+}
+
+// Paints a restored game from the engine: tiles, solved boards, keyboard and typed letters
+function renderGame() {
+  const { guesses, results, solvedAt, status } = game.state;
+  if (soloMode === 'absurdle') growBoard(guesses.length + (status === 'playing' ? 1 : 0));
+  guesses.forEach((word, r) => {
+    results[r].forEach((result, b) => {
+      if (!result) return; // board already solved on an earlier row
+      result.forEach((s, c) => {
+        const tile = getTile(r, c, b);
+        tile.textContent = word[c];
+        tile.dataset.state = s;
+        labelTile(tile);
+      });
+    });
+  });
+
+  currentRow = guesses.length;
+  gameOver   = status !== 'playing';
+  if (gameOver) currentGuess = [];
+  currentCol = currentGuess.length;
+  currentGuess.forEach((letter, c) => {
+    game.unsolvedBoards().forEach(b => {
+      const tile = getTile(currentRow, c, b);
+      tile.textContent = letter;
+      tile.dataset.state = 'tbd';
+      labelTile(tile);
+    });
+  });
+
+  solvedAt.forEach((r, b) => { if (r >= 0) markBoardSolved(b); });
+  renderKeys();
+  renderHintButton();
 }
 
 /* ===================================================
    STAT PERSISTENCE
    =================================================== */
 function loadStats() {
-  const raw = localStorage.getItem(STORAGE_KEY_STATS);
-  if (raw) {
-    try {
-      const s = JSON.parse(raw);
-      stats = { ...stats, ...s };
-    } catch { /* ignore */ }
-  }
+  stats = fillStats(readStorage(statsStorageKey(), {}), statsStorageKey());
+}
+
+// Every mode of a saved stats object, with defaults for whatever it lacks
+function fillStats(saved, key) {
+  const { maxGuesses: rows } = keyVariant(key);
+  const result = {};
+  STATS_MODES.forEach(mode => { result[mode] = { ...defaultStats(rows), ...saved[mode] }; });
+  return result;
 }
 
 function saveStats() {
-  localStorage.setItem(STORAGE_KEY_STATS, JSON.stringify(stats));
+  writeStorage(statsStorageKey(), stats);
+}
+
+/* ===================================================
+   STORAGE SCHEMA
+   Every key is saved as {schema, data}. Values from before
+   versioning count as schema 0: reading one runs its kind's
+   migrations a step at a time up to the current schema and
+   then validates the result. Anything that can't be read is
+   copied to the quarantine key and dropped, with a toast.
+   =================================================== */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isCount(n) {
+  return Number.isInteger(n) && n >= 0;
+}
+
+function isWordList(list) {
+  return Array.isArray(list) && list.every(word => typeof word === 'string');
+}
+
+function storageKind(key) {
+  if (key === STORAGE_KEY_HISTORY)    return 'history';
+  if (key === STORAGE_KEY_SETTINGS)   return 'settings';
+  if (key === STORAGE_KEY_VISITED)    return 'visited';
+  if (key === STORAGE_KEY_NAME)       return 'name';
+  if (key === STORAGE_KEY_QUARANTINE) return 'quarantine';
+  if (key.startsWith(STORAGE_KEY_STATS))   return 'stats';
+  if (key.startsWith(STORAGE_KEY_ARCHIVE)) return 'archive';
+  if (key.startsWith(STORAGE_KEY_STATE) || key.startsWith(STORAGE_KEY_PRACTICE)) return 'state';
+  return null;
+}
+
+// The variant a suffixed key belongs to (see variantSuffix)
+function keyVariant(key) {
+  const number = pattern => { const m = key.match(pattern); return m ? Number(m[1]) : null; };
+  const boards = number(/_boards(\d+)/) || 1;
+  let rows = number(/_g(\d+)/) || DEFAULT_MAX_GUESSES;
+  if (key.includes('_absurdle')) rows = null;
+  else if (boards > 1) rows = boards + 5;
+  return { wordLength: number(/_len(\d+)/) || DEFAULT_WORD_LENGTH, boardCount: boards, maxGuesses: rows };
+}
+
+// ── Migrations ──
+// 1: saves kept a local 'year-month-date' string (month counted from 0) instead of the puzzle day
+function migrateStateDay(state) {
+  if (!isPlainObject(state) || state.day !== undefined || state.date === undefined) return state;
+  const { date, ...rest } = state;
+  const [y, m, d] = String(date).split('-').map(Number);
+  return { ...rest, day: Math.round((Date.UTC(y, m, d) - PUZZLE_EPOCH) / 86400000) };
+}
+
+// 1: stats from before the per-mode split were a single set of numbers. Classic
+// ones become the daily stats; Absurdle and timed games were never daily games.
+function migrateStatsModes(saved, key) {
+  if (!isPlainObject(saved) || typeof saved.played !== 'number') return saved;
+  return { [/_(absurdle|countdown|speedrun)$/.test(key) ? 'practice' : 'daily']: saved };
+}
+
+// 1: Hard Mode went from on/off to levels
+function migrateHardModeLevel(settings) {
+  if (!isPlainObject(settings) || settings.hardMode === undefined) return settings;
+  return { ...settings, hardMode: hardModeLevel(settings.hardMode) };
+}
+
+function migrateArchiveStates(archive) {
+  if (!isPlainObject(archive)) return archive;
+  const result = {};
+  Object.entries(archive).forEach(([day, entry]) => {
+    result[day] = isPlainObject(entry) && entry.state ? { ...entry, state: migrateStateDay(entry.state) } : entry;
+  });
+  return result;
+}
+
+// ── Validation: '' when the value is fine, otherwise what's wrong with it ──
+function validateSettings(settings) {
+  if (!isPlainObject(settings)) return t('invalid.settings');
+  const checks = {
+    darkMode:     v => typeof v === 'boolean',
+    highContrast: v => typeof v === 'boolean',
+    hardMode:     v => HARD_MODE_LEVELS.includes(v),
+    wordLength:   isSupportedWordLength,
+    maxGuesses:   isSupportedMaxGuesses,
+    boardCount:   isSupportedBoardCount,
+    soloMode:     isSupportedSoloMode,
+    hintBudget:   v => HINT_BUDGETS.includes(v),
+    dayClock:     v => DAY_CLOCKS.includes(v),
+    shareFormat:  v => SHARE_FORMATS.includes(v),
+    animationSpeed: v => ANIMATION_SPEEDS.includes(v),
+    language:     v => LANGUAGE_CHOICES.includes(v)
+  };
+  const bad = Object.keys(checks).find(field => settings[field] !== undefined && !checks[field](settings[field]));
+  return bad ? t('invalid.setting', { field: bad, value: JSON.stringify(settings[bad]) }) : '';
+}
+
+function validateState(state, key) {
+  if (!isPlainObject(state)) return t('invalid.state');
+  const { wordLength: length, maxGuesses: rows, boardCount: boards } = keyVariant(key);
+  if (!isCount(state.day)) return t('invalid.noDay');
+  if (state.currentGuess !== undefined && !(isWordList(state.currentGuess) && state.currentGuess.length <= length)) {
+    return t('invalid.typed');
+  }
+  if (state.hintsUsed !== undefined && !isCount(state.hintsUsed)) return t('invalid.hintsUsed');
+  if (state.gameSeconds !== undefined && state.gameSeconds !== null && !isCount(state.gameSeconds)) return t('invalid.gameSeconds');
+
+  const data = state.game;
+  if (data === undefined) {
+    // Saves from before the engine kept rows of tiles
+    if (!Array.isArray(state.tiles)) return t('invalid.noTiles');
+    if (!isCount(state.currentRow) || state.currentRow > (state.maxGuesses || DEFAULT_MAX_GUESSES)) {
+      return t('invalid.rowBeyond', { row: state.currentRow });
+    }
+    return '';
+  }
+  if (!isPlainObject(data) || !isWordList(data.guesses)) return t('invalid.noGuesses');
+  if (data.wordLength !== length || data.guesses.some(word => word.length !== length)) return t('invalid.wordLength');
+  if ((data.mode === 'absurdle') !== (rows === null)) return t('invalid.otherMode');
+  if (rows !== null) {
+    if (data.maxGuesses !== rows || data.guesses.length > rows) {
+      return t('invalid.guessesFit', { count: data.guesses.length, rows });
+    }
+    const answers = data.sealed || data.answers;
+    if (!isWordList(answers) || answers.length !== boards) return t('invalid.noAnswers');
+  }
+  return '';
+}
+
+function validateStats(saved, key) {
+  if (!isPlainObject(saved)) return t('invalid.stats');
+  const { maxGuesses: rows } = keyVariant(key);
+  for (const [mode, bucket] of Object.entries(saved)) {
+    if (!STATS_MODES.includes(mode)) return t('invalid.statsMode', { mode });
+    if (!isPlainObject(bucket)) return t('invalid.statsBucket', { mode });
+    const counts = ['played', 'wins', 'streak', 'maxStreak', 'bestScore', 'hintsUsed', 'hintedGames'];
+    const bad = counts.find(field => bucket[field] !== undefined && !isCount(bucket[field]));
+    if (bad) return t('invalid.statsField', { mode, field: bad, value: JSON.stringify(bucket[bad]) });
+    if (bucket.wins > bucket.played) return t('invalid.statsWins', { mode });
+    if (bucket.bestTime !== undefined && bucket.bestTime !== null && !isCount(bucket.bestTime)) return t('invalid.statsTime', { mode });
+    if (bucket.distribution === undefined) continue;
+    if (!isPlainObject(bucket.distribution)) return t('invalid.statsDistribution', { mode });
+    for (const [row, n] of Object.entries(bucket.distribution)) {
+      const r = Number(row);
+      if (!Number.isInteger(r) || r < 1 || (rows !== null && r > rows)) return t('invalid.statsRow', { mode, row });
+      if (!isCount(n)) return t('invalid.statsRowCount', { mode, row, value: JSON.stringify(n) });
+    }
+  }
+  return '';
+}
+
+function validateArchive(archive, key) {
+  if (!isPlainObject(archive)) return t('invalid.archive');
+  for (const [day, entry] of Object.entries(archive)) {
+    if (!/^\d+$/.test(day) || !isPlainObject(entry)) return t('invalid.archiveDay', { day });
+    if (entry.result !== undefined && entry.result !== 'won' && entry.result !== 'lost') return t('invalid.archiveResult', { day });
+    const error = entry.state !== undefined ? validateState(entry.state, key) : '';
+    if (error) return t('invalid.archiveState', { day, error });
+  }
+  return '';
+}
+
+function validateHistory(history) {
+  if (!Array.isArray(history)) return t('invalid.history');
+  const bad = history.findIndex(entry => !isPlainObject(entry)
+    || typeof entry.finishedAt !== 'number'
+    || !isWordList(entry.guesses) || !isWordList(entry.answers)
+    || !Array.isArray(entry.results) || entry.results.length !== entry.guesses.length);
+  return bad === -1 ? '' : t('invalid.historyGame', { n: bad + 1 });
+}
+
+// Each kind's schema version is the number of its migrations; migrations[n] upgrades
+// schema n to n + 1. Text kinds were plain strings before versioning.
+const STORAGE_SCHEMAS = {
+  settings:   { migrations: [migrateHardModeLevel], validate: validateSettings },
+  state:      { migrations: [migrateStateDay],      validate: validateState },
+  stats:      { migrations: [migrateStatsModes],    validate: validateStats },
+  archive:    { migrations: [migrateArchiveStates], validate: validateArchive },
+  history:    { migrations: [h => h],               validate: validateHistory },
+  name:       { migrations: [n => n], text: true,
+                validate: name => (typeof name === 'string' && name.length <= 20 ? '' : t('invalid.name')) },
+  visited:    { migrations: [raw => raw === '1'], text: true,
+                validate: v => (typeof v === 'boolean' ? '' : t('invalid.flag')) },
+  quarantine: { migrations: [q => q],
+                validate: q => (isPlainObject(q) ? '' : t('invalid.quarantine')) }
+};
+
+// Turns a stored string into its current shape. Returns {value} or {error}.
+function decodeStored(key, raw) {
+  const schema = STORAGE_SCHEMAS[storageKind(key)];
+  if (!schema) return { error: t('invalid.unknownKey') };
+  let stored;
+  try { stored = JSON.parse(raw); } catch { stored = undefined; }
+
+  let version = 0;
+  let value;
+  if (isPlainObject(stored) && Number.isInteger(stored.schema) && 'data' in stored) {
+    version = stored.schema;
+    value = stored.data;
+  } else if (schema.text) {
+    value = raw;
+  } else if (stored === undefined) {
+    return { error: t('invalid.json') };
+  } else {
+    value = stored;
+  }
+  if (version > schema.migrations.length) return { error: t('invalid.newer') };
+
+  try {
+    for (let v = version; v < schema.migrations.length; v++) value = schema.migrations[v](value, key);
+  } catch {
+    return { error: t('invalid.upgrade', { version }) };
+  }
+  const error = schema.validate(value, key);
+  return error ? { error } : { value, upgraded: version < schema.migrations.length };
+}
+
+function encodeStored(key, value) {
+  return JSON.stringify({ schema: STORAGE_SCHEMAS[storageKind(key)].migrations.length, data: value });
+}
+
+// Current value of a key, or `fallback` when it is missing or had to be quarantined
+function readStorage(key, fallback) {
+  const raw = localStorage.getItem(key);
+  if (raw === null) return fallback;
+  const { value, error, upgraded } = decodeStored(key, raw);
+  if (error) {
+    quarantineStored(key, raw, error);
+    return fallback;
+  }
+  if (upgraded) writeStorage(key, value);
+  return value;
+}
+
+let storageFullShownAt = 0; // last time the storage-full toast went up, so one guess shows it once
+
+// Returns false when the browser wouldn't keep the value (storage full or turned off);
+// the game carries on either way, it just can't remember this change
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, encodeStored(key, value));
+    return true;
+  } catch (e) {
+    if (Date.now() - storageFullShownAt > 4000) showToast(t('storage.full'), 4000);
+    storageFullShownAt = Date.now();
+    return false;
+  }
+}
+
+// Keeps a copy of a damaged value, then drops it so the game starts that part afresh
+function quarantineStored(key, raw, error) {
+  const held = localStorage.getItem(STORAGE_KEY_QUARANTINE);
+  const bin = (held !== null && decodeStored(STORAGE_KEY_QUARANTINE, held).value) || {};
+  bin[key] = { raw, error, at: Date.now() };
+  writeStorage(STORAGE_KEY_QUARANTINE, bin);
+  localStorage.removeItem(key);
+  showToast(t('storage.unreadable', { what: t(`storage.${storageKind(key)}`), error }), 4000);
+}
+
+/* ===================================================
+   BACKUP (export / import)
+   Everything the game keeps in localStorage goes into one
+   versioned JSON file. Importing previews the changes and
+   then either merges the file into this device's data or
+   replaces it.
+   =================================================== */
+const BACKUP_VERSION = 1;
+
+let pendingImport = null; // checked backup data waiting for merge / overwrite
+
+function isAppStorageKey(key) {
+  return storageKind(key) !== null;
+}
+
+// All app keys as their raw localStorage strings
+function localAppData() {
+  const data = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (isAppStorageKey(key)) data[key] = localStorage.getItem(key);
+  }
+  return data;
+}
+
+function exportData() {
+  const backup = {
+    app: 'wordle',
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: localAppData()
+  };
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `wordle-backup-${backup.exportedAt.slice(0, 10)}.json`;
+  link.click();
+  // Some browsers only start the download after click() returns, so let go of the file a moment later
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  showToast(t('backup.downloaded'));
+}
+
+// Checks a backup file's text. Returns {data} or {error}.
+function parseBackup(text) {
+  let backup;
+  try { backup = JSON.parse(text); } catch { return { error: t('import.notJson') }; }
+  if (!backup || backup.app !== 'wordle' || !backup.data || typeof backup.data !== 'object') {
+    return { error: t('import.notBackup') };
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    return { error: t('import.newer') };
+  }
+
+  for (const [key, raw] of Object.entries(backup.data)) {
+    if (!isAppStorageKey(key) || typeof raw !== 'string') return { error: t('import.unexpected', { key }) };
+    const { error } = decodeStored(key, raw);
+    if (error) return { error: t('import.badEntry', { key, error }) };
+  }
+  return { data: backup.data };
+}
+
+function mergeStats(local, incoming) {
+  const merged = {};
+  STATS_MODES.forEach(mode => {
+    const a = local[mode];
+    const b = incoming[mode];
+    const distribution = { ...a.distribution };
+    Object.entries(b.distribution).forEach(([row, n]) => { distribution[row] = (distribution[row] || 0) + n; });
+    const times = [a.bestTime, b.bestTime].filter(t => t !== null);
+    merged[mode] = {
+      played:      a.played + b.played,
+      wins:        a.wins + b.wins,
+      // Two devices' streaks can't be stitched together by day, so keep the better run
+      streak:      Math.max(a.streak, b.streak),
+      maxStreak:   Math.max(a.maxStreak, b.maxStreak),
+      distribution,
+      bestTime:    times.length ? Math.min(...times) : null,
+      bestScore:   Math.max(a.bestScore, b.bestScore),
+      hintsUsed:   a.hintsUsed + b.hintsUsed,
+      hintedGames: a.hintedGames + b.hintedGames
+    };
+  });
+  return merged;
+}
+
+// Same game in both lists = same finish time, answers and guesses
+function mergeHistory(local, incoming) {
+  const id = e => `${e.finishedAt}|${e.answers.join()}|${e.guesses.join()}`;
+  const seen = new Set(local.map(id));
+  return local.concat(incoming.filter(e => !seen.has(id(e))))
+    .sort((a, b) => a.finishedAt - b.finishedAt)
+    .slice(-HISTORY_LIMIT);
+}
+
+// Per puzzle day: a finished result beats an unfinished one, otherwise this device wins
+function mergeArchive(local, incoming) {
+  const merged = { ...incoming, ...local };
+  Object.entries(incoming).forEach(([day, entry]) => {
+    if (entry.result && !(local[day] && local[day].result)) merged[day] = entry;
+  });
+  return merged;
+}
+
+// Raw data after merging `incoming` into `local`. Saved games, settings and the
+// player name stay as they are on this device when it has them.
+function mergeAppData(local, incoming) {
+  const merged = { ...incoming, ...local };
+  Object.keys(incoming).forEach(key => {
+    if (!(key in local)) return;
+    const kind = storageKind(key);
+    const a = decodeStored(key, local[key]).value;
+    const b = decodeStored(key, incoming[key]).value;
+    if (a === undefined) {
+      merged[key] = incoming[key]; // this device's copy is damaged
+    } else if (kind === 'stats') {
+      merged[key] = encodeStored(key, mergeStats(fillStats(a, key), fillStats(b, key)));
+    } else if (kind === 'history') {
+      merged[key] = encodeStored(key, mergeHistory(a, b));
+    } else if (kind === 'archive') {
+      merged[key] = encodeStored(key, mergeArchive(a, b));
+    }
+  });
+  return merged;
+}
+
+// Headline numbers for the import preview
+function summarizeAppData(data) {
+  const summary = { played: 0, history: 0, archive: 0, saves: 0, settings: t('import.no'), name: '–' };
+  Object.entries(data).forEach(([key, raw]) => {
+    const kind = storageKind(key);
+    const { value } = decodeStored(key, raw);
+    if (value === undefined) return;
+    if (kind === 'name') {
+      summary.name = value || '–';
+    } else if (kind === 'stats') {
+      const all = fillStats(value, key);
+      STATS_MODES.forEach(mode => { summary.played += all[mode].played; });
+    } else if (kind === 'history') {
+      summary.history += value.length;
+    } else if (kind === 'archive') {
+      summary.archive += Object.values(value).filter(e => e.result).length;
+    } else if (kind === 'state') {
+      summary.saves++;
+    } else if (kind === 'settings') {
+      summary.settings = t('import.yes');
+    }
+  });
+  return summary;
+}
+
+function readImportFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => previewImport(String(reader.result));
+  reader.onerror = () => showToast(t('import.readFailed'));
+  reader.readAsText(file);
+}
+
+function previewImport(text) {
+  const { data, error } = parseBackup(text);
+  if (error) {
+    showToast(error, 3000);
+    return;
+  }
+  pendingImport = data;
+
+  const local  = localAppData();
+  const rows = [
+    ['played',   t('import.rowPlayed')],
+    ['history',  t('import.rowHistory')],
+    ['archive',  t('import.rowArchive')],
+    ['saves',    t('import.rowSaves')],
+    ['settings', t('import.rowSettings')],
+    ['name',     t('import.rowName')]
+  ];
+  const columns = [summarizeAppData(local), summarizeAppData(data), summarizeAppData(mergeAppData(local, data))];
+  const body = document.getElementById('import-preview');
+  body.innerHTML = '';
+  rows.forEach(([field, label]) => {
+    const tr = document.createElement('tr');
+    [label, ...columns.map(c => c[field])].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = typeof value === 'number' ? formatNumber(value) : value;
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+  closeModal('settings-modal');
+  openModal('import-modal');
+}
+
+function applyImport(mode) {
+  if (!pendingImport) return;
+  const local = localAppData();
+  const data  = mode === 'merge' ? mergeAppData(local, pendingImport) : pendingImport;
+  Object.keys(local).forEach(key => localStorage.removeItem(key));
+  Object.entries(data).forEach(([key, raw]) => localStorage.setItem(key, raw));
+  pendingImport = null;
+  location.reload(); // start over from the imported data
 }
 
 /* ===================================================
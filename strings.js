@@ -0,0 +1,1463 @@
+/* ===================================================
+   WORDLE – Strings
+
+   The UI text in every language, and the helpers that
+   pick and format it. Loaded as a plain script before
+   engine.js in the browser, and with require() under
+   Node (where it stays in English):
+
+     t('hint.left', { count: 3 });  // → '3 possible words left'
+     ordinal(2);                    // → '2nd'
+     formatNumber(1948);            // → '1,948'
+
+   An entry is either a string with {name} placeholders or
+   an object of plural forms (zero, one, two, few, many,
+   other — as Intl.PluralRules names them) chosen by the
+   `count` parameter. Numbers are filled in with the
+   language's own digits and separators. Anything a
+   language doesn't have falls back to English.
+   =================================================== */
+
+const LANGUAGES = {
+  en: { name: 'English', dir: 'ltr' },
+  es: { name: 'Español', dir: 'ltr' },
+  ar: { name: 'العربية', dir: 'rtl' }
+};
+const DEFAULT_LANGUAGE = 'en';
+
+let uiLanguage = DEFAULT_LANGUAGE; // language the UI is shown in, see setUiLanguage()
+
+const STRINGS = {
+  // ── English ──────────────────────────────────────
+  en: {
+    // Header and board
+    'header.help': 'Help',
+    'header.archive': 'Archive',
+    'header.archiveTitle': 'Past puzzles',
+    'header.practice': 'Practice',
+    'header.practiceTitle': 'Practice with a seed',
+    'header.hint': 'Hint',
+    'header.hintTitle': 'Use a hint',
+    'header.newGame': 'New game',
+    'header.stats': 'Statistics',
+    'header.settings': 'Settings',
+    'header.multiplayer': 'Multiplayer',
+    'header.theme': 'Toggle theme',
+    'keyboard.label': 'Keyboard',
+    'keyboard.enter': 'ENTER',
+    'keyboard.backspace': 'Backspace',
+    'modal.close': 'Close',
+    'board.guesses': 'Guesses',
+    'board.number': 'Board {n}',
+    'board.row': 'Row {n}',
+    'board.letter': 'Letter {n}',
+    'board.empty': 'empty',
+    'board.keyOnBoard': 'board {n} {state}',
+    'state.correct': 'correct',
+    'state.present': 'present',
+    'state.absent': 'absent',
+
+    // Playing
+    'game.over': 'Game over — press ↺ to play again',
+    'game.ready': 'Wordle {day} is ready',
+    'game.timeUpScore': "Time's up! {count} solved",
+    'game.timeUpWord': "Time's up! {word}",
+    'game.clock': '⏱ {time}',
+    'game.clockScore': '⏱ {time} · {count} solved',
+    'win.1': 'Genius!',
+    'win.2': 'Magnificent!',
+    'win.3': 'Impressive!',
+    'win.4': 'Splendid!',
+    'win.5': 'Great!',
+    'win.6': 'Phew!',
+    'ordinal': { one: '{count}st', two: '{count}nd', few: '{count}rd', other: '{count}th' },
+
+    // Guess checks (engine.js)
+    'engine.gameOver': 'The game is over',
+    'engine.tooShort': 'Not enough letters',
+    'engine.tooLong': 'Too many letters',
+    'engine.notInList': 'Not in word list',
+    'engine.mustBeAt': '{ordinal} letter must be {letter}',
+    'engine.mustContain': 'Guess must contain {letter}',
+    'engine.absent': '{letter} is not in the word',
+    'engine.notAt': "{letter} can't be the {ordinal} letter",
+    'engine.maxCount': 'The word has only {count} {letter}',
+
+    // Hints
+    'hint.partyOff': 'Hints are off in this party',
+    'hint.unavailable': 'No hints in this mode',
+    'hint.noneLeft': 'No hints left',
+    'hint.letterAt': '{ordinal} letter is {letter}',
+    'hint.absent': 'There is no {letter}',
+    'hint.left': { one: '{count} possible word left', other: '{count} possible words left' },
+
+    // Help
+    'help.title': 'How To Play',
+    'help.intro': { one: 'Guess the WORDLE in {count} try.', other: 'Guess the WORDLE in {count} tries.' },
+    'help.introUnlimited': 'Guess the WORDLE in as many tries as you need.',
+    'help.wordLength': 'Each guess must be a valid {length}-letter word.',
+    'help.colors': 'The color of the tiles will change to show how close your guess was.',
+    'help.examples': 'Examples',
+    'help.correct': 'is in the word and in the correct spot.',
+    'help.present': 'is in the word but in the wrong spot.',
+    'help.absent': 'is not in the word in any spot.',
+    'help.daily': 'A new Wordle will be available each day!',
+
+    // Statistics
+    'stats.title': 'Statistics',
+    'stats.played': 'Played',
+    'stats.winPct': 'Win %',
+    'stats.streak': 'Current Streak',
+    'stats.maxStreak': 'Max Streak',
+    'stats.bestTime': 'Best Time',
+    'stats.bestScore': 'Best Score',
+    'stats.hints': '💡 {hints} used in {games}',
+    'stats.hintCount': { one: '{count} hint', other: '{count} hints' },
+    'stats.gameCount': { one: '{count} game', other: '{count} games' },
+    'stats.distribution': 'GUESS DISTRIBUTION',
+    'stats.history': 'Game history ›',
+    'stats.trends': 'Trends ›',
+    'stats.next': 'NEXT WORDLE',
+    'stats.analysis': 'Analysis',
+    'stats.image': 'Image',
+    'mode.all': 'All modes',
+    'mode.daily': 'Daily',
+    'mode.daily-hard': 'Daily Hard',
+    'mode.practice': 'Practice',
+    'mode.archive': 'Archive',
+    'mode.mp-classic': 'Party',
+    'mode.mp-custom': 'Party Custom',
+    'mode.challenge': 'Challenge',
+
+    // Sharing
+    'share.button': 'Share',
+    'share.copied': 'Copied to clipboard!',
+    'share.copyFailed': 'Could not copy',
+    'share.failed': 'Could not share',
+    'shareImage.title': 'Share Image',
+    'shareImage.letters': 'Show Letters',
+    'shareImage.lettersDesc': "Spoils the answer for anyone who hasn't played",
+    'shareImage.download': 'Download',
+    'shareImage.copy': 'Copy',
+    'shareImage.unsupported': 'Images are not supported in this browser',
+    'shareImage.copyUnsupported': 'Copying images is not supported here',
+    'shareImage.copied': 'Image copied!',
+    'shareImage.hardMode': 'Hard mode',
+    'shareImage.strictMode': 'Strict mode',
+    'shareImage.speedrun': '{count} solved in {time}',
+    'shareImage.streak': { one: 'Streak {count}  ·  Best {best}', other: 'Streak {count}  ·  Best {best}' },
+
+    // Backups
+    'import.title': 'Import Data',
+    'import.device': 'This device',
+    'import.file': 'File',
+    'import.merged': 'Merged',
+    'import.desc': "Merge adds the file's games and history to this device's and keeps this device's settings. Overwrite replaces everything here with the file.",
+    'import.overwrite': 'Overwrite',
+    'import.merge': 'Merge',
+    'import.readFailed': 'Could not read that file',
+    'import.notJson': 'That file is not valid JSON',
+    'import.notBackup': 'That file is not a Wordle backup',
+    'import.newer': 'That backup is from a newer version of the game',
+    'import.unexpected': 'Unexpected entry "{key}"',
+    'import.badEntry': '"{key}" {error}',
+    'import.rowPlayed': 'Games in stats',
+    'import.rowHistory': 'Games in history',
+    'import.rowArchive': 'Archive days finished',
+    'import.rowSaves': 'Games in progress',
+    'import.rowSettings': 'Settings',
+    'import.rowName': 'Player name',
+    'import.yes': 'Yes',
+    'import.no': 'No',
+    'backup.downloaded': 'Backup downloaded',
+    'storage.full': 'Browser storage is full, so some progress could not be saved',
+    'storage.unreadable': 'Saved {what} could not be read ({error}). A copy was kept.',
+    'storage.settings': 'settings',
+    'storage.state': 'game',
+    'storage.stats': 'statistics',
+    'storage.archive': 'archive',
+    'storage.history': 'history',
+    'storage.name': 'player name',
+    'storage.visited': 'welcome flag',
+    'storage.quarantine': 'quarantine',
+    'invalid.unknownKey': 'is not something this game saves',
+    'invalid.json': 'is not valid JSON',
+    'invalid.newer': 'was saved by a newer version of the game',
+    'invalid.upgrade': 'could not be upgraded from version {version}',
+    'invalid.settings': 'not a set of settings',
+    'invalid.setting': "{field} can't be {value}",
+    'invalid.state': 'not a saved game',
+    'invalid.noDay': 'it has no puzzle day',
+    'invalid.typed': "the typed letters don't fit the row",
+    'invalid.hintsUsed': 'hintsUsed is not a count',
+    'invalid.gameSeconds': 'gameSeconds is not a count',
+    'invalid.noTiles': 'it has no tiles',
+    'invalid.rowBeyond': 'row {row} is beyond the board',
+    'invalid.noGuesses': 'it has no guesses',
+    'invalid.wordLength': 'the word length is wrong',
+    'invalid.otherMode': 'it is from another mode',
+    'invalid.guessesFit': { one: "{count} guess doesn't fit {rows} rows", other: "{count} guesses don't fit {rows} rows" },
+    'invalid.noAnswers': 'the answers are missing',
+    'invalid.stats': 'not a set of statistics',
+    'invalid.statsMode': '"{mode}" is not a kind of game',
+    'invalid.statsBucket': '{mode} is not a set of numbers',
+    'invalid.statsField': '{mode} {field} is {value}',
+    'invalid.statsWins': '{mode} has more wins than games',
+    'invalid.statsTime': '{mode} best time is damaged',
+    'invalid.statsDistribution': '{mode} has no guess distribution',
+    'invalid.statsRow': '{mode} has wins on row {row}',
+    'invalid.statsRowCount': '{mode} row {row} count is {value}',
+    'invalid.archive': 'not a calendar of days',
+    'invalid.archiveDay': 'day {day} is damaged',
+    'invalid.archiveResult': 'day {day} has no result',
+    'invalid.archiveState': 'day {day}: {error}',
+    'invalid.history': 'not a list of games',
+    'invalid.historyGame': 'game {n} is damaged',
+    'invalid.name': 'not a name',
+    'invalid.flag': 'not a flag',
+    'invalid.quarantine': 'not a set of entries',
+
+    // Trends
+    'trends.title': 'Trends',
+    'trends.weekly': 'Weekly',
+    'trends.monthly': 'Monthly',
+    'trends.trend': 'Win Rate',
+    'trends.calendar': 'Calendar',
+    'trends.time': 'Solve Time',
+    'trends.missed': 'Missed',
+    'trends.openers': 'Openers',
+    'trends.gamesWeeks': { one: '{count} game in the last {periods} weeks', other: '{count} games in the last {periods} weeks' },
+    'trends.gamesMonths': { one: '{count} game in the last {periods} months', other: '{count} games in the last {periods} months' },
+    'trends.winRate': 'Win Rate',
+    'trends.averageGuesses': 'Average Guesses',
+    'trends.noPeriodGames': 'No games in this period',
+    'trends.dayGames': { one: '{date}: {count} game', other: '{date}: {count} games' },
+    'trends.daysPlayed': {
+      one: 'Played on {count} day in the last {weeks} weeks', other: 'Played on {count} days in the last {weeks} weeks'
+    },
+    'trends.noTimed': 'No timed wins yet',
+    'trends.meanTime': 'Mean Time',
+    'trends.fastest': 'Fastest',
+    'trends.timedWins': 'Timed Wins',
+    'trends.meanSolveTime': 'Mean Solve Time',
+    'trends.noMissed': 'No missed answers yet',
+    'trends.answersMissed': { one: '{count} answer missed', other: '{count} answers missed' },
+    'trends.answer': 'Answer',
+    'trends.missedCount': 'Missed',
+    'trends.last': 'Last',
+    'trends.openerCount': { one: '{count} different opener', other: '{count} different openers' },
+    'trends.opener': 'Opener',
+    'trends.games': 'Games',
+    'trends.winPct': 'Win %',
+    'trends.avg': 'Avg',
+
+    // History
+    'history.title': 'History',
+    'history.search': 'Search words, puzzle #, seed…',
+    'history.anyResult': 'Any result',
+    'history.won': 'Won',
+    'history.lost': 'Lost',
+    'history.back': '‹ All games',
+    'history.empty': 'No finished games yet',
+    'history.practice': 'Practice {seed}',
+    'history.withLength': '{title} ({letters})',
+    'history.hardMode': 'Hard mode',
+    'history.strictMode': 'Strict hard mode',
+    'history.nearlyFull': {
+      one: 'History has room for {count} more game before the oldest are removed. Export a backup to keep them',
+      other: 'History has room for {count} more games before the oldest are removed. Export a backup to keep them'
+    },
+    'history.trimmed': 'History keeps your last {count} games, so the oldest was removed. Export a backup to keep the rest',
+
+    // Analysis
+    'analysis.title': 'Analysis',
+    'analysis.note': 'Left: answers still possible after each guess. Bits: how much the guess narrowed them down. Best: the answer-list word that would have split them most evenly, with the bits it could expect.',
+    'analysis.guess': 'Guess',
+    'analysis.left': 'Left',
+    'analysis.bits': 'Bits',
+    'analysis.best': 'Best',
+    'analysis.working': 'Analysing…',
+    'analysis.bitsValue': '{bits} bits',
+
+    // Archive
+    'archive.title': 'Archive',
+    'archive.prev': 'Previous month',
+    'archive.next': 'Next month',
+    'archive.won': 'Won',
+    'archive.lost': 'Lost',
+    'archive.started': 'In progress',
+    'archive.number': 'Puzzle #',
+    'archive.play': 'Play',
+    'archive.day': 'Wordle {day}',
+    'archive.label': 'Archive · Wordle {day} · {date}',
+    'archive.partyRound': 'The archive is unavailable during a party round',
+    'archive.dailyOnly': 'The archive only has daily puzzles',
+    'archive.range': 'Pick a puzzle from {first} to {last}',
+
+    // Practice and challenges
+    'practice.title': 'Practice',
+    'practice.desc': 'Anyone who plays the same seed gets the same word. Share a finished practice game to send the link.',
+    'practice.seed': 'Seed',
+    'practice.random': 'Random',
+    'practice.play': 'Play',
+    'practice.challengeDesc': 'Or pick the word yourself and send a friend a link to solve it.',
+    'practice.challenge': 'Create a challenge',
+    'practice.label': 'Practice · seed {seed}',
+    'practice.needSeed': 'Type a seed or pick a random one',
+    'practice.partyFirst': 'Finish the party round first',
+    'challenge.title': 'Create a Challenge',
+    'challenge.desc': "The word is scrambled in the link, so your friend can't read it before playing.",
+    'challenge.word': 'WORD',
+    'challenge.name': 'Your name (optional)',
+    'challenge.create': 'Create link',
+    'challenge.copy': 'Copy',
+    'challenge.label': 'Challenge #{id}',
+    'challenge.labelFrom': 'Challenge #{id} from {name}',
+    'challenge.wordLength': 'Pick a word of {min}–{max} letters',
+    'challenge.copied': 'Link copied — send it to a friend!',
+    'challenge.broken': 'This challenge link is broken',
+    'challenge.from': '{name} challenges you!',
+    'challenge.accepted': 'Challenge accepted!',
+
+    // Settings
+    'settings.title': 'Settings',
+    'settings.hardMode': 'Hard Mode',
+    'settings.hardModeDesc': 'Hard: any revealed hints must be used in subsequent guesses. Strict: grey letters are banned too, yellows can\'t go back where they were ruled out, and a grey duplicate caps how many copies a guess may use',
+    'settings.wordLength': 'Word Length',
+    'settings.wordLengthDesc': 'Each length has its own daily word and statistics',
+    'settings.gameMode': 'Game Mode',
+    'settings.gameModeDesc': 'Absurdle: no fixed answer — it dodges every guess for as long as it can. Unlimited tries, single board. Countdown: 2 minutes per word. Speedrun: solve as many words as you can in 5 minutes',
+    'settings.boards': 'Boards',
+    'settings.boardsDesc': "Solve several words at once with boards + 5 guesses (guess limit and hard mode don't apply)",
+    'settings.singleBoard': '1 (Classic)',
+    'settings.guessLimit': 'Guess Limit',
+    'settings.guessLimitDesc': 'Number of tries per word — each limit keeps its own statistics',
+    'settings.hints': 'Hints',
+    'settings.hintsDesc': 'Hints per game: reveal a letter, rule out a letter or count the words left (single-board games)',
+    'settings.dayClock': 'New Puzzle At',
+    'settings.dayClockDesc': 'Local midnight, or UTC midnight to share the same daily word with friends in other timezones',
+    'settings.shareFormat': 'Share Format',
+    'settings.shareFormatDesc': 'How the Share button writes your result',
+    'settings.animations': 'Animations',
+    'settings.animationsDesc': "Tile flips, shakes and fades. System follows your device's reduce-motion setting",
+    'settings.language': 'Language',
+    'settings.languageDesc': "Auto follows your browser's language",
+    'settings.darkTheme': 'Dark Theme',
+    'settings.contrast': 'High Contrast Mode',
+    'settings.contrastDesc': 'For improved color vision accessibility',
+    'settings.data': 'Your Data',
+    'settings.dataDesc': 'Stats, history and settings as a file, to keep a backup or move to another device',
+    'settings.export': 'Export',
+    'settings.import': 'Import',
+    'settings.hardModeLocked': 'Hard mode can only be changed before a game starts',
+    'settings.hostLength': 'Word length is set by the party host',
+    'settings.hostGuesses': 'Guess limit is set by the party host',
+    'settings.hostMode': 'Game mode is set by the party host',
+    'settings.partyOneBoard': 'Parties always play a single board',
+    'option.off': 'Off',
+    'option.letters': { one: '{count} letter', other: '{count} letters' },
+    'option.guesses': { one: '{count} guess', other: '{count} guesses' },
+    'option.hints': { one: '{count} hint', other: '{count} hints' },
+    'hardMode.hard': 'Hard',
+    'hardMode.strict': 'Strict',
+    'soloMode.classic': 'Classic',
+    'soloMode.absurdle': 'Absurdle',
+    'soloMode.countdown': 'Countdown',
+    'soloMode.speedrun': 'Speedrun',
+    'dayClock.local': 'Local midnight',
+    'dayClock.utc': 'UTC midnight',
+    'shareFormat.classic': 'Classic 🟩🟨⬛',
+    'shareFormat.contrast': 'High contrast 🟧🟦',
+    'shareFormat.light': 'Light 🟩🟨⬜',
+    'shareFormat.link': 'With link',
+    'shareFormat.time': 'With solve time',
+    'shareFormat.spoiler': 'Spoiler letters',
+    'animation.system': 'System',
+    'animation.full': 'Full',
+    'animation.fast': 'Fast',
+    'language.auto': 'Auto',
+
+    // Multiplayer
+    'mp.title': 'Multiplayer',
+    'mp.yourName': 'Your name',
+    'mp.namePlaceholder': 'Enter your name',
+    'mp.createSection': 'Create a party',
+    'mp.create': 'Create Party',
+    'mp.orJoin': '— or join one —',
+    'mp.code': 'Party code',
+    'mp.join': 'Join Party',
+    'mp.lobby': 'Party Lobby',
+    'mp.partyCode': 'Party Code',
+    'mp.copy': 'Copy',
+    'mp.lobbyCount': { one: '{count} player in lobby', other: '{count} players in lobby' },
+    'mp.gameMode': 'Game Mode',
+    'mp.classic': 'Classic',
+    'mp.classicDesc': 'Everyone guesses the same random word',
+    'mp.custom': 'Custom Word',
+    'mp.customDesc': 'Each player picks a word — made-up words & names allowed!',
+    'mp.hintsAllowed': 'Allowed',
+    'mp.start': 'Start Game',
+    'mp.waitingHost': 'Waiting for the host to start the game…',
+    'mp.leave': 'Leave Party',
+    'mp.secretLabel': 'Any {length}-letter word (made-up words welcome!)',
+    'mp.submitWord': 'Submit Word',
+    'mp.wordWaiting': 'Please wait while the word is being chosen…',
+    'mp.youChoose': 'You are choosing the secret word',
+    'mp.otherChooses': '{name} is choosing the secret word…',
+    'mp.someone': 'Someone',
+    'mp.wordSubmitted': 'Word submitted! Starting round…',
+    'mp.results': 'Round Results',
+    'mp.wordWas': 'The word was',
+    'mp.player': 'Player',
+    'mp.guesses': 'Guesses',
+    'mp.history': 'History',
+    'mp.wordSetter': 'Word setter',
+    'mp.playAgain': 'Play Again',
+    'mp.backLobby': 'Back to Lobby',
+    'mp.waitingNext': 'Waiting for the host to start the next round…',
+    'mp.spectating': 'Spectating',
+    'mp.spectatingSub': 'Watching players guess your word in real time…',
+    'mp.liveBoards': 'Other players',
+    'mp.liveGuesses': { one: '{used} of {count} guess', other: '{used} of {count} guesses' },
+    'mp.liveCorrect': '{count} correct',
+    'mp.livePresent': '{count} present',
+    'mp.liveCounts': '{correct} {present}',
+    'mp.liveLast': 'last guess {counts}',
+    'mp.liveLastWord': 'last guess {word} {counts}',
+    'mp.liveSolved': 'solved',
+    'mp.liveOut': 'out of guesses',
+    'mp.liveTyping': 'typing',
+    'mp.liveJoin': ', ',
+    'mp.banner': '🎮 {code}  ·  {mode}  ·  {letters}  ·  {guesses}',
+    'mp.bannerNoHints': '🎮 {code}  ·  {mode}  ·  {letters}  ·  {guesses}  ·  no hints',
+    'mp.codeCopied': 'Code copied!',
+    'mp.codeCopyFailed': 'Failed to copy code',
+    'mp.unavailable': 'Multiplayer unavailable right now. Please refresh and try again.',
+    'mp.unavailableShort': 'Multiplayer unavailable right now',
+    'mp.connectFailed': 'Failed to connect to Firebase',
+    'mp.enterName': 'Enter your name',
+    'mp.createFailed': 'Failed to create party',
+    'mp.codeInvalid': 'Enter a valid 6-character party code',
+    'mp.notFound': 'Party not found',
+    'mp.inProgress': 'This game is already in progress',
+    'mp.joinFailed': 'Failed to join party',
+    'mp.needPlayers': 'Need at least 2 players',
+    'mp.sessionUnavailable': 'Multiplayer session unavailable. Please rejoin the party.',
+    'mp.chooserFailed': 'Failed to validate chooser state. Please try again.',
+    'mp.sessionChanged': 'Session changed on this device. Rejoin the party to submit the word.',
+    'mp.waitChooser': 'Waiting for the selected player to submit the word',
+    'mp.wordExact': { one: 'Word must be exactly {count} letter', other: 'Word must be exactly {count} letters' },
+    'mp.lettersOnly': 'Word must contain only letters',
+    'mp.submitDenied': 'Submission denied. Your phone session changed — rejoin the party and try again.',
+    'mp.submitFailed': 'Failed to submit word. Please try again.',
+    'mp.waitingOthers': 'Waiting for other players…',
+    'mp.left': 'Left party'
+  },
+
+  // ── Español ──────────────────────────────────────
+  es: {
+    'header.help': 'Ayuda',
+    'header.archive': 'Archivo',
+    'header.archiveTitle': 'Retos anteriores',
+    'header.practice': 'Práctica',
+    'header.practiceTitle': 'Practicar con una semilla',
+    'header.hint': 'Pista',
+    'header.hintTitle': 'Usar una pista',
+    'header.newGame': 'Nueva partida',
+    'header.stats': 'Estadísticas',
+    'header.settings': 'Ajustes',
+    'header.multiplayer': 'Multijugador',
+    'header.theme': 'Cambiar tema',
+    'keyboard.label': 'Teclado',
+    'keyboard.enter': 'ENVIAR',
+    'keyboard.backspace': 'Borrar',
+    'modal.close': 'Cerrar',
+    'board.guesses': 'Intentos',
+    'board.number': 'Tablero {n}',
+    'board.row': 'Fila {n}',
+    'board.letter': 'Letra {n}',
+    'board.empty': 'vacía',
+    'board.keyOnBoard': 'tablero {n} {state}',
+    'state.correct': 'correcta',
+    'state.present': 'presente',
+    'state.absent': 'ausente',
+
+    'game.over': 'Partida terminada: pulsa ↺ para volver a jugar',
+    'game.ready': 'Ya está aquí el Wordle {day}',
+    'game.timeUpScore': '¡Se acabó el tiempo! {count} resueltas',
+    'game.timeUpWord': '¡Se acabó el tiempo! {word}',
+    'game.clock': '⏱ {time}',
+    'game.clockScore': '⏱ {time} · {count} resueltas',
+    'win.1': '¡Genial!',
+    'win.2': '¡Magnífico!',
+    'win.3': '¡Impresionante!',
+    'win.4': '¡Espléndido!',
+    'win.5': '¡Muy bien!',
+    'win.6': '¡Por poco!',
+    'ordinal': '{count}.ª',
+
+    'engine.gameOver': 'La partida ha terminado',
+    'engine.tooShort': 'Faltan letras',
+    'engine.tooLong': 'Sobran letras',
+    'engine.notInList': 'No está en la lista de palabras',
+    'engine.mustBeAt': 'La {ordinal} letra debe ser {letter}',
+    'engine.mustContain': 'El intento debe contener {letter}',
+    'engine.absent': '{letter} no está en la palabra',
+    'engine.notAt': '{letter} no puede ser la {ordinal} letra',
+    'engine.maxCount': { one: 'La palabra solo tiene {count} {letter}', other: 'La palabra solo tiene {count} {letter}' },
+
+    'hint.partyOff': 'Las pistas están desactivadas en esta partida',
+    'hint.unavailable': 'No hay pistas en este modo',
+    'hint.noneLeft': 'No te quedan pistas',
+    'hint.letterAt': 'La {ordinal} letra es {letter}',
+    'hint.absent': 'No hay ninguna {letter}',
+    'hint.left': { one: 'Queda {count} palabra posible', other: 'Quedan {count} palabras posibles' },
+
+    'help.title': 'Cómo se juega',
+    'help.intro': { one: 'Adivina el WORDLE en {count} intento.', other: 'Adivina el WORDLE en {count} intentos.' },
+    'help.introUnlimited': 'Adivina el WORDLE en tantos intentos como necesites.',
+    'help.wordLength': 'Cada intento debe ser una palabra válida de {length} letras.',
+    'help.colors': 'El color de las casillas cambia para mostrar lo cerca que estuvo tu intento.',
+    'help.examples': 'Ejemplos',
+    'help.correct': 'está en la palabra y en el lugar correcto.',
+    'help.present': 'está en la palabra pero en otro lugar.',
+    'help.absent': 'no está en la palabra.',
+    'help.daily': '¡Cada día hay un Wordle nuevo!',
+
+    'stats.title': 'Estadísticas',
+    'stats.played': 'Jugadas',
+    'stats.winPct': '% victorias',
+    'stats.streak': 'Racha actual',
+    'stats.maxStreak': 'Mejor racha',
+    'stats.bestTime': 'Mejor tiempo',
+    'stats.bestScore': 'Mejor marca',
+    'stats.hints': '💡 {hints} en {games}',
+    'stats.hintCount': { one: '{count} pista usada', other: '{count} pistas usadas' },
+    'stats.gameCount': { one: '{count} partida', other: '{count} partidas' },
+    'stats.distribution': 'DISTRIBUCIÓN DE INTENTOS',
+    'stats.history': 'Historial ›',
+    'stats.trends': 'Tendencias ›',
+    'stats.next': 'PRÓXIMO WORDLE',
+    'stats.analysis': 'Análisis',
+    'stats.image': 'Imagen',
+    'mode.all': 'Todos los modos',
+    'mode.daily': 'Diario',
+    'mode.daily-hard': 'Diario difícil',
+    'mode.practice': 'Práctica',
+    'mode.archive': 'Archivo',
+    'mode.mp-classic': 'Grupo',
+    'mode.mp-custom': 'Grupo personalizado',
+    'mode.challenge': 'Reto',
+
+    'share.button': 'Compartir',
+    'share.copied': '¡Copiado al portapapeles!',
+    'share.copyFailed': 'No se pudo copiar',
+    'share.failed': 'No se pudo compartir',
+    'shareImage.title': 'Compartir imagen',
+    'shareImage.letters': 'Mostrar letras',
+    'shareImage.lettersDesc': 'Desvela la respuesta a quien aún no haya jugado',
+    'shareImage.download': 'Descargar',
+    'shareImage.copy': 'Copiar',
+    'shareImage.unsupported': 'Este navegador no admite imágenes',
+    'shareImage.copyUnsupported': 'Aquí no se pueden copiar imágenes',
+    'shareImage.copied': '¡Imagen copiada!',
+    'shareImage.hardMode': 'Modo difícil',
+    'shareImage.strictMode': 'Modo estricto',
+    'shareImage.speedrun': { one: '{count} resuelta en {time}', other: '{count} resueltas en {time}' },
+    'shareImage.streak': {
+      one: 'Racha de {count} día  ·  Mejor: {best}', other: 'Racha de {count} días  ·  Mejor: {best}'
+    },
+
+    'import.title': 'Importar datos',
+    'import.device': 'Este dispositivo',
+    'import.file': 'Archivo',
+    'import.merged': 'Combinado',
+    'import.desc': 'Combinar añade las partidas y el historial del archivo a los de este dispositivo y conserva sus ajustes. Sobrescribir reemplaza todo lo de aquí por el archivo.',
+    'import.overwrite': 'Sobrescribir',
+    'import.merge': 'Combinar',
+    'import.readFailed': 'No se pudo leer ese archivo',
+    'import.notJson': 'Ese archivo no es JSON válido',
+    'import.notBackup': 'Ese archivo no es una copia de seguridad de Wordle',
+    'import.newer': 'Esa copia es de una versión más reciente del juego',
+    'import.unexpected': 'Entrada inesperada «{key}»',
+    'import.badEntry': '«{key}» {error}',
+    'import.rowPlayed': 'Partidas en las estadísticas',
+    'import.rowHistory': 'Partidas en el historial',
+    'import.rowArchive': 'Días del archivo terminados',
+    'import.rowSaves': 'Partidas en curso',
+    'import.rowSettings': 'Ajustes',
+    'import.rowName': 'Nombre de jugador',
+    'import.yes': 'Sí',
+    'import.no': 'No',
+    'backup.downloaded': 'Copia de seguridad descargada',
+    'storage.full': 'El almacenamiento del navegador está lleno y no se pudo guardar parte del progreso',
+    'storage.unreadable': 'No se pudieron leer los datos guardados ({what}): {error}. Se ha conservado una copia.',
+    'storage.settings': 'ajustes',
+    'storage.state': 'partida',
+    'storage.stats': 'estadísticas',
+    'storage.archive': 'archivo',
+    'storage.history': 'historial',
+    'storage.name': 'nombre de jugador',
+    'storage.visited': 'aviso de bienvenida',
+    'storage.quarantine': 'cuarentena',
+    'invalid.unknownKey': 'no es algo que guarde este juego',
+    'invalid.json': 'no es JSON válido',
+    'invalid.newer': 'lo guardó una versión más reciente del juego',
+    'invalid.upgrade': 'no se pudo actualizar desde la versión {version}',
+    'invalid.settings': 'no es un conjunto de ajustes',
+    'invalid.setting': '{field} no puede ser {value}',
+    'invalid.state': 'no es una partida guardada',
+    'invalid.noDay': 'no tiene día de reto',
+    'invalid.typed': 'las letras escritas no caben en la fila',
+    'invalid.hintsUsed': 'hintsUsed no es un recuento',
+    'invalid.gameSeconds': 'gameSeconds no es un recuento',
+    'invalid.noTiles': 'no tiene casillas',
+    'invalid.rowBeyond': 'la fila {row} queda fuera del tablero',
+    'invalid.noGuesses': 'no tiene intentos',
+    'invalid.wordLength': 'la longitud de la palabra no es correcta',
+    'invalid.otherMode': 'es de otro modo de juego',
+    'invalid.guessesFit': { one: '{count} intento no cabe en {rows} filas', other: '{count} intentos no caben en {rows} filas' },
+    'invalid.noAnswers': 'faltan las respuestas',
+    'invalid.stats': 'no es un conjunto de estadísticas',
+    'invalid.statsMode': '«{mode}» no es un tipo de partida',
+    'invalid.statsBucket': '{mode} no es un conjunto de números',
+    'invalid.statsField': '{mode} {field} vale {value}',
+    'invalid.statsWins': '{mode} tiene más victorias que partidas',
+    'invalid.statsTime': 'el mejor tiempo de {mode} está dañado',
+    'invalid.statsDistribution': '{mode} no tiene distribución de intentos',
+    'invalid.statsRow': '{mode} tiene victorias en la fila {row}',
+    'invalid.statsRowCount': 'el recuento de la fila {row} de {mode} vale {value}',
+    'invalid.archive': 'no es un calendario de días',
+    'invalid.archiveDay': 'el día {day} está dañado',
+    'invalid.archiveResult': 'el día {day} no tiene resultado',
+    'invalid.archiveState': 'día {day}: {error}',
+    'invalid.history': 'no es una lista de partidas',
+    'invalid.historyGame': 'la partida {n} está dañada',
+    'invalid.name': 'no es un nombre',
+    'invalid.flag': 'no es un indicador',
+    'invalid.quarantine': 'no es un conjunto de entradas',
+
+    'trends.title': 'Tendencias',
+    'trends.weekly': 'Semanal',
+    'trends.monthly': 'Mensual',
+    'trends.trend': 'Victorias',
+    'trends.calendar': 'Calendario',
+    'trends.time': 'Tiempo',
+    'trends.missed': 'Falladas',
+    'trends.openers': 'Aperturas',
+    'trends.gamesWeeks': {
+      one: '{count} partida en las últimas {periods} semanas', other: '{count} partidas en las últimas {periods} semanas'
+    },
+    'trends.gamesMonths': {
+      one: '{count} partida en los últimos {periods} meses', other: '{count} partidas en los últimos {periods} meses'
+    },
+    'trends.winRate': 'Porcentaje de victorias',
+    'trends.averageGuesses': 'Media de intentos',
+    'trends.noPeriodGames': 'No hay partidas en este periodo',
+    'trends.dayGames': { one: '{date}: {count} partida', other: '{date}: {count} partidas' },
+    'trends.daysPlayed': {
+      one: 'Jugaste {count} día en las últimas {weeks} semanas', other: 'Jugaste {count} días en las últimas {weeks} semanas'
+    },
+    'trends.noTimed': 'Aún no hay victorias cronometradas',
+    'trends.meanTime': 'Tiempo medio',
+    'trends.fastest': 'Más rápida',
+    'trends.timedWins': 'Victorias cronometradas',
+    'trends.meanSolveTime': 'Tiempo medio de resolución',
+    'trends.noMissed': 'Aún no has fallado ninguna respuesta',
+    'trends.answersMissed': { one: '{count} respuesta fallada', other: '{count} respuestas falladas' },
+    'trends.answer': 'Respuesta',
+    'trends.missedCount': 'Fallos',
+    'trends.last': 'Última',
+    'trends.openerCount': { one: '{count} apertura distinta', other: '{count} aperturas distintas' },
+    'trends.opener': 'Apertura',
+    'trends.games': 'Partidas',
+    'trends.winPct': '% victorias',
+    'trends.avg': 'Media',
+
+    'history.title': 'Historial',
+    'history.search': 'Buscar palabras, n.º de reto, semilla…',
+    'history.anyResult': 'Cualquier resultado',
+    'history.won': 'Ganadas',
+    'history.lost': 'Perdidas',
+    'history.back': '‹ Todas las partidas',
+    'history.empty': 'Aún no has terminado ninguna partida',
+    'history.practice': 'Práctica {seed}',
+    'history.withLength': '{title} ({letters})',
+    'history.hardMode': 'Modo difícil',
+    'history.strictMode': 'Modo difícil estricto',
+    'history.nearlyFull': {
+      one: 'Al historial le cabe {count} partida más antes de borrar las más antiguas. Exporta una copia para conservarlas',
+      other: 'Al historial le caben {count} partidas más antes de borrar las más antiguas. Exporta una copia para conservarlas'
+    },
+    'history.trimmed': 'El historial guarda tus últimas {count} partidas, así que se ha borrado la más antigua. Exporta una copia para conservar el resto',
+
+    'analysis.title': 'Análisis',
+    'analysis.note': 'Quedan: respuestas aún posibles tras cada intento. Bits: cuánto las redujo el intento. Mejor: la palabra de la lista de respuestas que las habría repartido de forma más pareja, con los bits que cabría esperar.',
+    'analysis.guess': 'Intento',
+    'analysis.left': 'Quedan',
+    'analysis.bits': 'Bits',
+    'analysis.best': 'Mejor',
+    'analysis.working': 'Analizando…',
+    'analysis.bitsValue': '{bits} bits',
+
+    'archive.title': 'Archivo',
+    'archive.prev': 'Mes anterior',
+    'archive.next': 'Mes siguiente',
+    'archive.won': 'Ganado',
+    'archive.lost': 'Perdido',
+    'archive.started': 'En curso',
+    'archive.number': 'N.º de reto',
+    'archive.play': 'Jugar',
+    'archive.day': 'Wordle {day}',
+    'archive.label': 'Archivo · Wordle {day} · {date}',
+    'archive.partyRound': 'El archivo no está disponible durante una ronda en grupo',
+    'archive.dailyOnly': 'El archivo solo tiene retos diarios',
+    'archive.range': 'Elige un reto del {first} al {last}',
+
+    'practice.title': 'Práctica',
+    'practice.desc': 'Quien juegue con la misma semilla tendrá la misma palabra. Comparte una partida de práctica terminada para enviar el enlace.',
+    'practice.seed': 'Semilla',
+    'practice.random': 'Aleatoria',
+    'practice.play': 'Jugar',
+    'practice.challengeDesc': 'O elige tú la palabra y envía a alguien un enlace para resolverla.',
+    'practice.challenge': 'Crear un reto',
+    'practice.label': 'Práctica · semilla {seed}',
+    'practice.needSeed': 'Escribe una semilla o elige una al azar',
+    'practice.partyFirst': 'Termina primero la ronda en grupo',
+    'challenge.title': 'Crear un reto',
+    'challenge.desc': 'La palabra va cifrada en el enlace, así que nadie puede leerla antes de jugar.',
+    'challenge.word': 'PALABRA',
+    'challenge.name': 'Tu nombre (opcional)',
+    'challenge.create': 'Crear enlace',
+    'challenge.copy': 'Copiar',
+    'challenge.label': 'Reto #{id}',
+    'challenge.labelFrom': 'Reto #{id} de {name}',
+    'challenge.wordLength': 'Elige una palabra de {min} a {max} letras',
+    'challenge.copied': 'Enlace copiado: ¡envíaselo a alguien!',
+    'challenge.broken': 'Este enlace de reto está roto',
+    'challenge.from': '¡{name} te reta!',
+    'challenge.accepted': '¡Reto aceptado!',
+
+    'settings.title': 'Ajustes',
+    'settings.hardMode': 'Modo difícil',
+    'settings.hardModeDesc': 'Difícil: las pistas reveladas deben usarse en los intentos siguientes. Estricto: además se prohíben las letras grises, las amarillas no pueden volver a una posición descartada y una repetida en gris limita cuántas copias puede llevar un intento',
+    'settings.wordLength': 'Longitud de palabra',
+    'settings.wordLengthDesc': 'Cada longitud tiene su propia palabra diaria y sus estadísticas',
+    'settings.gameMode': 'Modo de juego',
+    'settings.gameModeDesc': 'Absurdle: sin respuesta fija, esquiva cada intento todo lo que puede. Intentos ilimitados, un solo tablero. Contrarreloj: 2 minutos por palabra. Speedrun: resuelve todas las palabras que puedas en 5 minutos',
+    'settings.boards': 'Tableros',
+    'settings.boardsDesc': 'Resuelve varias palabras a la vez con tableros + 5 intentos (no se aplican el límite de intentos ni el modo difícil)',
+    'settings.singleBoard': '1 (Clásico)',
+    'settings.guessLimit': 'Límite de intentos',
+    'settings.guessLimitDesc': 'Intentos por palabra: cada límite lleva sus propias estadísticas',
+    'settings.hints': 'Pistas',
+    'settings.hintsDesc': 'Pistas por partida: revela una letra, descarta una letra o cuenta las palabras que quedan (partidas de un tablero)',
+    'settings.dayClock': 'Nuevo reto a las',
+    'settings.dayClockDesc': 'Medianoche local, o medianoche UTC para compartir la misma palabra diaria con gente de otras zonas horarias',
+    'settings.shareFormat': 'Formato al compartir',
+    'settings.shareFormatDesc': 'Cómo escribe tu resultado el botón Compartir',
+    'settings.animations': 'Animaciones',
+    'settings.animationsDesc': 'Giros, sacudidas y fundidos. Sistema sigue el ajuste de reducir movimiento de tu dispositivo',
+    'settings.language': 'Idioma',
+    'settings.languageDesc': 'Automático usa el idioma del navegador',
+    'settings.darkTheme': 'Tema oscuro',
+    'settings.contrast': 'Alto contraste',
+    'settings.contrastDesc': 'Para mejorar la accesibilidad de los colores',
+    'settings.data': 'Tus datos',
+    'settings.dataDesc': 'Estadísticas, historial y ajustes en un archivo, como copia de seguridad o para pasarlos a otro dispositivo',
+    'settings.export': 'Exportar',
+    'settings.import': 'Importar',
+    'settings.hardModeLocked': 'El modo difícil solo se puede cambiar antes de empezar una partida',
+    'settings.hostLength': 'La longitud de palabra la elige el anfitrión',
+    'settings.hostGuesses': 'El límite de intentos lo elige el anfitrión',
+    'settings.hostMode': 'El modo de juego lo elige el anfitrión',
+    'settings.partyOneBoard': 'Las partidas en grupo siempre usan un solo tablero',
+    'option.off': 'No',
+    'option.letters': { one: '{count} letra', other: '{count} letras' },
+    'option.guesses': { one: '{count} intento', other: '{count} intentos' },
+    'option.hints': { one: '{count} pista', other: '{count} pistas' },
+    'hardMode.hard': 'Difícil',
+    'hardMode.strict': 'Estricto',
+    'soloMode.classic': 'Clásico',
+    'soloMode.absurdle': 'Absurdle',
+    'soloMode.countdown': 'Contrarreloj',
+    'soloMode.speedrun': 'Carrera rápida',
+    'dayClock.local': 'Medianoche local',
+    'dayClock.utc': 'Medianoche UTC',
+    'shareFormat.classic': 'Clásico 🟩🟨⬛',
+    'shareFormat.contrast': 'Alto contraste 🟧🟦',
+    'shareFormat.light': 'Claro 🟩🟨⬜',
+    'shareFormat.link': 'Con enlace',
+    'shareFormat.time': 'Con tiempo',
+    'shareFormat.spoiler': 'Letras ocultas',
+    'animation.system': 'Sistema',
+    'animation.full': 'Completas',
+    'animation.fast': 'Rápidas',
+    'language.auto': 'Automático',
+
+    'mp.title': 'Multijugador',
+    'mp.yourName': 'Tu nombre',
+    'mp.namePlaceholder': 'Escribe tu nombre',
+    'mp.createSection': 'Crear un grupo',
+    'mp.create': 'Crear grupo',
+    'mp.orJoin': '— o únete a uno —',
+    'mp.code': 'Código del grupo',
+    'mp.join': 'Unirse',
+    'mp.lobby': 'Sala del grupo',
+    'mp.partyCode': 'Código',
+    'mp.copy': 'Copiar',
+    'mp.lobbyCount': { one: '{count} jugador en la sala', other: '{count} jugadores en la sala' },
+    'mp.gameMode': 'Modo de juego',
+    'mp.classic': 'Clásico',
+    'mp.classicDesc': 'Todos adivinan la misma palabra al azar',
+    'mp.custom': 'Palabra propia',
+    'mp.customDesc': 'Cada jugador elige una palabra: ¡valen palabras inventadas y nombres!',
+    'mp.hintsAllowed': 'Permitidas',
+    'mp.start': 'Empezar',
+    'mp.waitingHost': 'Esperando a que el anfitrión empiece la partida…',
+    'mp.leave': 'Salir del grupo',
+    'mp.secretLabel': 'Cualquier palabra de {length} letras (¡valen inventadas!)',
+    'mp.submitWord': 'Enviar palabra',
+    'mp.wordWaiting': 'Espera mientras se elige la palabra…',
+    'mp.youChoose': 'Te toca elegir la palabra secreta',
+    'mp.otherChooses': '{name} está eligiendo la palabra secreta…',
+    'mp.someone': 'Alguien',
+    'mp.wordSubmitted': '¡Palabra enviada! Empieza la ronda…',
+    'mp.results': 'Resultados de la ronda',
+    'mp.wordWas': 'La palabra era',
+    'mp.player': 'Jugador',
+    'mp.guesses': 'Intentos',
+    'mp.history': 'Historial',
+    'mp.wordSetter': 'Eligió la palabra',
+    'mp.playAgain': 'Otra vez',
+    'mp.backLobby': 'Volver a la sala',
+    'mp.waitingNext': 'Esperando a que el anfitrión empiece la siguiente ronda…',
+    'mp.spectating': 'Observando',
+    'mp.spectatingSub': 'Ves en directo cómo intentan adivinar tu palabra…',
+    'mp.liveBoards': 'Otros jugadores',
+    'mp.liveGuesses': { one: '{used} de {count} intento', other: '{used} de {count} intentos' },
+    'mp.liveCorrect': { one: '{count} correcta', other: '{count} correctas' },
+    'mp.livePresent': { one: '{count} mal colocada', other: '{count} mal colocadas' },
+    'mp.liveCounts': '{correct}, {present}',
+    'mp.liveLast': 'último intento {counts}',
+    'mp.liveLastWord': 'último intento {word} {counts}',
+    'mp.liveSolved': 'resuelto',
+    'mp.liveOut': 'sin intentos',
+    'mp.liveTyping': 'escribiendo',
+    'mp.liveJoin': ', ',
+    'mp.banner': '🎮 {code}  ·  {mode}  ·  {letters}  ·  {guesses}',
+    'mp.bannerNoHints': '🎮 {code}  ·  {mode}  ·  {letters}  ·  {guesses}  ·  sin pistas',
+    'mp.codeCopied': '¡Código copiado!',
+    'mp.codeCopyFailed': 'No se pudo copiar el código',
+    'mp.unavailable': 'El multijugador no está disponible ahora mismo. Recarga la página e inténtalo de nuevo.',
+    'mp.unavailableShort': 'El multijugador no está disponible ahora mismo',
+    'mp.connectFailed': 'No se pudo conectar con Firebase',
+    'mp.enterName': 'Escribe tu nombre',
+    'mp.createFailed': 'No se pudo crear el grupo',
+    'mp.codeInvalid': 'Escribe un código de grupo válido de 6 caracteres',
+    'mp.notFound': 'No se encontró el grupo',
+    'mp.inProgress': 'Esta partida ya ha empezado',
+    'mp.joinFailed': 'No se pudo entrar en el grupo',
+    'mp.needPlayers': 'Hacen falta al menos 2 jugadores',
+    'mp.sessionUnavailable': 'La sesión multijugador no está disponible. Vuelve a unirte al grupo.',
+    'mp.chooserFailed': 'No se pudo comprobar quién elige. Inténtalo de nuevo.',
+    'mp.sessionChanged': 'La sesión cambió en este dispositivo. Vuelve a unirte al grupo para enviar la palabra.',
+    'mp.waitChooser': 'Esperando a que el jugador elegido envíe la palabra',
+    'mp.wordExact': { one: 'La palabra debe tener exactamente {count} letra', other: 'La palabra debe tener exactamente {count} letras' },
+    'mp.lettersOnly': 'La palabra solo puede tener letras',
+    'mp.submitDenied': 'Envío rechazado. La sesión de tu teléfono cambió: vuelve a unirte al grupo e inténtalo de nuevo.',
+    'mp.submitFailed': 'No se pudo enviar la palabra. Inténtalo de nuevo.',
+    'mp.waitingOthers': 'Esperando al resto de jugadores…',
+    'mp.left': 'Has salido del grupo'
+  },
+
+  // ── العربية ──────────────────────────────────────
+  ar: {
+    'header.help': 'المساعدة',
+    'header.archive': 'الأرشيف',
+    'header.archiveTitle': 'ألغاز سابقة',
+    'header.practice': 'تدريب',
+    'header.practiceTitle': 'تدرّب باستخدام بذرة',
+    'header.hint': 'تلميح',
+    'header.hintTitle': 'استخدم تلميحًا',
+    'header.newGame': 'لعبة جديدة',
+    'header.stats': 'الإحصاءات',
+    'header.settings': 'الإعدادات',
+    'header.multiplayer': 'اللعب الجماعي',
+    'header.theme': 'تبديل المظهر',
+    'keyboard.label': 'لوحة المفاتيح',
+    'keyboard.enter': 'إدخال',
+    'keyboard.backspace': 'حذف',
+    'modal.close': 'إغلاق',
+    'board.guesses': 'المحاولات',
+    'board.number': 'اللوحة {n}',
+    'board.row': 'الصف {n}',
+    'board.letter': 'الحرف {n}',
+    'board.empty': 'فارغ',
+    'board.keyOnBoard': 'اللوحة {n} {state}',
+    'state.correct': 'صحيح',
+    'state.present': 'موجود',
+    'state.absent': 'غير موجود',
+
+    'game.over': 'انتهت اللعبة — اضغط ↺ لتلعب من جديد',
+    'game.ready': 'لغز Wordle رقم {day} جاهز',
+    'game.timeUpScore': 'انتهى الوقت! الكلمات المحلولة: {count}',
+    'game.timeUpWord': 'انتهى الوقت! {word}',
+    'game.clock': '⏱ {time}',
+    'game.clockScore': '⏱ {time} · المحلولة: {count}',
+    'win.1': 'عبقري!',
+    'win.2': 'رائع!',
+    'win.3': 'مبهر!',
+    'win.4': 'ممتاز!',
+    'win.5': 'أحسنت!',
+    'win.6': 'بصعوبة!',
+    'ordinal': 'رقم {count}',
+
+    'engine.gameOver': 'انتهت اللعبة',
+    'engine.tooShort': 'الحروف غير كافية',
+    'engine.tooLong': 'الحروف أكثر من اللازم',
+    'engine.notInList': 'ليست في قائمة الكلمات',
+    'engine.mustBeAt': 'الحرف {ordinal} يجب أن يكون {letter}',
+    'engine.mustContain': 'يجب أن تحتوي المحاولة على {letter}',
+    'engine.absent': '{letter} ليس في الكلمة',
+    'engine.notAt': '{letter} لا يمكن أن يكون الحرف {ordinal}',
+    'engine.maxCount': {
+      one: 'في الكلمة {letter} واحد فقط',
+      two: 'في الكلمة {letter} مرتين فقط',
+      other: 'في الكلمة {letter} {count} مرات فقط'
+    },
+
+    'hint.partyOff': 'التلميحات متوقفة في هذه المجموعة',
+    'hint.unavailable': 'لا توجد تلميحات في هذا النمط',
+    'hint.noneLeft': 'لم تتبقَّ تلميحات',
+    'hint.letterAt': 'الحرف {ordinal} هو {letter}',
+    'hint.absent': 'لا يوجد {letter}',
+    'hint.left': {
+      zero: 'لا توجد كلمات محتملة',
+      one: 'تبقّت كلمة محتملة واحدة',
+      two: 'تبقّت كلمتان محتملتان',
+      few: 'تبقّت {count} كلمات محتملة',
+      many: 'تبقّت {count} كلمة محتملة',
+      other: 'تبقّت {count} كلمة محتملة'
+    },
+
+    'help.title': 'طريقة اللعب',
+    'help.intro': {
+      one: 'خمّن كلمة WORDLE في محاولة واحدة.',
+      two: 'خمّن كلمة WORDLE في محاولتين.',
+      few: 'خمّن كلمة WORDLE في {count} محاولات.',
+      many: 'خمّن كلمة WORDLE في {count} محاولة.',
+      other: 'خمّن كلمة WORDLE في {count} محاولة.'
+    },
+    'help.introUnlimited': 'خمّن كلمة WORDLE في أي عدد من المحاولات.',
+    'help.wordLength': 'يجب أن تكون كل محاولة كلمة صحيحة من {length} حروف.',
+    'help.colors': 'يتغير لون المربعات ليُظهر مدى قرب محاولتك من الكلمة.',
+    'help.examples': 'أمثلة',
+    'help.correct': 'موجود في الكلمة وفي المكان الصحيح.',
+    'help.present': 'موجود في الكلمة ولكن في مكان خاطئ.',
+    'help.absent': 'غير موجود في الكلمة إطلاقًا.',
+    'help.daily': 'لغز Wordle جديد كل يوم!',
+
+    'stats.title': 'الإحصاءات',
+    'stats.played': 'لُعبت',
+    'stats.winPct': '% الفوز',
+    'stats.streak': 'السلسلة الحالية',
+    'stats.maxStreak': 'أطول سلسلة',
+    'stats.bestTime': 'أفضل وقت',
+    'stats.bestScore': 'أفضل نتيجة',
+    'stats.hints': '💡 {hints} في {games}',
+    'stats.hintCount': {
+      one: 'تلميح واحد مستخدم',
+      two: 'تلميحان مستخدمان',
+      few: '{count} تلميحات مستخدمة',
+      many: '{count} تلميحًا مستخدمًا',
+      other: '{count} تلميح مستخدم'
+    },
+    'stats.gameCount': {
+      one: 'لعبة واحدة',
+      two: 'لعبتين',
+      few: '{count} ألعاب',
+      many: '{count} لعبة',
+      other: '{count} لعبة'
+    },
+    'stats.distribution': 'توزيع المحاولات',
+    'stats.history': 'سجل الألعاب ›',
+    'stats.trends': 'الاتجاهات ›',
+    'stats.next': 'لغز WORDLE التالي',
+    'stats.analysis': 'التحليل',
+    'stats.image': 'صورة',
+    'mode.all': 'كل الأنماط',
+    'mode.daily': 'يومي',
+    'mode.daily-hard': 'يومي صعب',
+    'mode.practice': 'تدريب',
+    'mode.archive': 'الأرشيف',
+    'mode.mp-classic': 'مجموعة',
+    'mode.mp-custom': 'مجموعة مخصصة',
+    'mode.challenge': 'تحدٍّ',
+
+    'share.button': 'مشاركة',
+    'share.copied': 'نُسخ إلى الحافظة!',
+    'share.copyFailed': 'تعذّر النسخ',
+    'share.failed': 'تعذّرت المشاركة',
+    'shareImage.title': 'مشاركة صورة',
+    'shareImage.letters': 'إظهار الحروف',
+    'shareImage.lettersDesc': 'يكشف الإجابة لمن لم يلعب بعد',
+    'shareImage.download': 'تنزيل',
+    'shareImage.copy': 'نسخ',
+    'shareImage.unsupported': 'هذا المتصفح لا يدعم الصور',
+    'shareImage.copyUnsupported': 'نسخ الصور غير مدعوم هنا',
+    'shareImage.copied': 'نُسخت الصورة!',
+    'shareImage.hardMode': 'الوضع الصعب',
+    'shareImage.strictMode': 'الوضع الصارم',
+    'shareImage.speedrun': 'المحلولة: {count} في {time}',
+    'shareImage.streak': {
+      one: 'سلسلة يوم واحد  ·  الأفضل {best}', two: 'سلسلة يومين  ·  الأفضل {best}',
+      few: 'سلسلة {count} أيام  ·  الأفضل {best}', many: 'سلسلة {count} يومًا  ·  الأفضل {best}',
+      other: 'سلسلة {count} يوم  ·  الأفضل {best}'
+    },
+
+    'import.title': 'استيراد البيانات',
+    'import.device': 'هذا الجهاز',
+    'import.file': 'الملف',
+    'import.merged': 'بعد الدمج',
+    'import.desc': 'الدمج يضيف ألعاب الملف وسجله إلى ما في هذا الجهاز ويُبقي إعداداته. الاستبدال يضع الملف مكان كل شيء هنا.',
+    'import.overwrite': 'استبدال',
+    'import.merge': 'دمج',
+    'import.readFailed': 'تعذّرت قراءة هذا الملف',
+    'import.notJson': 'هذا الملف ليس JSON صالحًا',
+    'import.notBackup': 'هذا الملف ليس نسخة احتياطية من Wordle',
+    'import.newer': 'هذه النسخة من إصدار أحدث من اللعبة',
+    'import.unexpected': 'إدخال غير متوقع «{key}»',
+    'import.badEntry': '«{key}» {error}',
+    'import.rowPlayed': 'الألعاب في الإحصاءات',
+    'import.rowHistory': 'الألعاب في السجل',
+    'import.rowArchive': 'أيام الأرشيف المنتهية',
+    'import.rowSaves': 'ألعاب قيد اللعب',
+    'import.rowSettings': 'الإعدادات',
+    'import.rowName': 'اسم اللاعب',
+    'import.yes': 'نعم',
+    'import.no': 'لا',
+    'backup.downloaded': 'نُزّلت النسخة الاحتياطية',
+    'storage.full': 'تخزين المتصفح ممتلئ، لذا تعذّر حفظ بعض التقدم',
+    'storage.unreadable': 'تعذّرت قراءة البيانات المحفوظة ({what}): {error}. احتُفظ بنسخة منها.',
+    'storage.settings': 'الإعدادات',
+    'storage.state': 'اللعبة',
+    'storage.stats': 'الإحصاءات',
+    'storage.archive': 'الأرشيف',
+    'storage.history': 'السجل',
+    'storage.name': 'اسم اللاعب',
+    'storage.visited': 'علامة الترحيب',
+    'storage.quarantine': 'الحجر',
+    'invalid.unknownKey': 'ليس مما تحفظه هذه اللعبة',
+    'invalid.json': 'ليس JSON صالحًا',
+    'invalid.newer': 'حُفظ بإصدار أحدث من اللعبة',
+    'invalid.upgrade': 'تعذّرت ترقيته من الإصدار {version}',
+    'invalid.settings': 'ليست مجموعة إعدادات',
+    'invalid.setting': 'لا يمكن أن تكون قيمة {field} ‏{value}',
+    'invalid.state': 'ليست لعبة محفوظة',
+    'invalid.noDay': 'لا يوجد فيها يوم اللغز',
+    'invalid.typed': 'الأحرف المكتوبة لا تتسع في الصف',
+    'invalid.hintsUsed': 'hintsUsed ليس عددًا',
+    'invalid.gameSeconds': 'gameSeconds ليس عددًا',
+    'invalid.noTiles': 'لا توجد فيها مربعات',
+    'invalid.rowBeyond': 'الصف {row} خارج اللوحة',
+    'invalid.noGuesses': 'لا توجد فيها تخمينات',
+    'invalid.wordLength': 'طول الكلمة غير صحيح',
+    'invalid.otherMode': 'إنها من نمط آخر',
+    'invalid.guessesFit': {
+      one: 'تخمين واحد لا يتسع في {rows} صفوف', two: 'تخمينان لا يتسعان في {rows} صفوف',
+      few: '{count} تخمينات لا تتسع في {rows} صفوف', many: '{count} تخمينًا لا تتسع في {rows} صفوف',
+      other: '{count} تخمين لا يتسع في {rows} صفوف'
+    },
+    'invalid.noAnswers': 'الإجابات مفقودة',
+    'invalid.stats': 'ليست مجموعة إحصاءات',
+    'invalid.statsMode': '«{mode}» ليس نوعًا من الألعاب',
+    'invalid.statsBucket': '{mode} ليست مجموعة أرقام',
+    'invalid.statsField': 'قيمة {field} في {mode} هي {value}',
+    'invalid.statsWins': 'في {mode} انتصارات أكثر من الألعاب',
+    'invalid.statsTime': 'أفضل وقت في {mode} تالف',
+    'invalid.statsDistribution': 'لا يوجد توزيع للتخمينات في {mode}',
+    'invalid.statsRow': 'في {mode} انتصارات في الصف {row}',
+    'invalid.statsRowCount': 'عدد الصف {row} في {mode} هو {value}',
+    'invalid.archive': 'ليس تقويمًا للأيام',
+    'invalid.archiveDay': 'اليوم {day} تالف',
+    'invalid.archiveResult': 'لا نتيجة لليوم {day}',
+    'invalid.archiveState': 'اليوم {day}: {error}',
+    'invalid.history': 'ليست قائمة ألعاب',
+    'invalid.historyGame': 'اللعبة {n} تالفة',
+    'invalid.name': 'ليس اسمًا',
+    'invalid.flag': 'ليست علامة',
+    'invalid.quarantine': 'ليست مجموعة إدخالات',
+
+    'trends.title': 'الاتجاهات',
+    'trends.weekly': 'أسبوعي',
+    'trends.monthly': 'شهري',
+    'trends.trend': 'نسبة الفوز',
+    'trends.calendar': 'التقويم',
+    'trends.time': 'وقت الحل',
+    'trends.missed': 'الفائتة',
+    'trends.openers': 'الافتتاحيات',
+    'trends.gamesWeeks': {
+      zero: 'لا ألعاب في آخر {periods} أسبوعًا', one: 'لعبة واحدة في آخر {periods} أسبوعًا',
+      two: 'لعبتان في آخر {periods} أسبوعًا', few: '{count} ألعاب في آخر {periods} أسبوعًا',
+      many: '{count} لعبة في آخر {periods} أسبوعًا', other: '{count} لعبة في آخر {periods} أسبوعًا'
+    },
+    'trends.gamesMonths': {
+      zero: 'لا ألعاب في آخر {periods} شهرًا', one: 'لعبة واحدة في آخر {periods} شهرًا',
+      two: 'لعبتان في آخر {periods} شهرًا', few: '{count} ألعاب في آخر {periods} شهرًا',
+      many: '{count} لعبة في آخر {periods} شهرًا', other: '{count} لعبة في آخر {periods} شهرًا'
+    },
+    'trends.winRate': 'نسبة الفوز',
+    'trends.averageGuesses': 'متوسط المحاولات',
+    'trends.noPeriodGames': 'لا ألعاب في هذه الفترة',
+    'trends.dayGames': {
+      zero: '{date}: لا ألعاب', one: '{date}: لعبة واحدة', two: '{date}: لعبتان',
+      few: '{date}: {count} ألعاب', many: '{date}: {count} لعبة', other: '{date}: {count} لعبة'
+    },
+    'trends.daysPlayed': {
+      zero: 'لم تلعب أي يوم في آخر {weeks} أسبوعًا', one: 'لعبت يومًا واحدًا في آخر {weeks} أسبوعًا',
+      two: 'لعبت يومين في آخر {weeks} أسبوعًا', few: 'لعبت {count} أيام في آخر {weeks} أسبوعًا',
+      many: 'لعبت {count} يومًا في آخر {weeks} أسبوعًا', other: 'لعبت {count} يوم في آخر {weeks} أسبوعًا'
+    },
+    'trends.noTimed': 'لا انتصارات موقّتة بعد',
+    'trends.meanTime': 'متوسط الوقت',
+    'trends.fastest': 'الأسرع',
+    'trends.timedWins': 'انتصارات موقّتة',
+    'trends.meanSolveTime': 'متوسط وقت الحل',
+    'trends.noMissed': 'لا إجابات فائتة بعد',
+    'trends.answersMissed': {
+      one: 'إجابة واحدة فائتة', two: 'إجابتان فائتتان', few: '{count} إجابات فائتة',
+      many: '{count} إجابة فائتة', other: '{count} إجابة فائتة'
+    },
+    'trends.answer': 'الإجابة',
+    'trends.missedCount': 'مرات الفوات',
+    'trends.last': 'الأخيرة',
+    'trends.openerCount': {
+      one: 'افتتاحية واحدة مختلفة', two: 'افتتاحيتان مختلفتان', few: '{count} افتتاحيات مختلفة',
+      many: '{count} افتتاحية مختلفة', other: '{count} افتتاحية مختلفة'
+    },
+    'trends.opener': 'الافتتاحية',
+    'trends.games': 'الألعاب',
+    'trends.winPct': '% الفوز',
+    'trends.avg': 'المتوسط',
+
+    'history.title': 'السجل',
+    'history.search': 'ابحث عن كلمات أو رقم لغز أو بذرة…',
+    'history.anyResult': 'أي نتيجة',
+    'history.won': 'فوز',
+    'history.lost': 'خسارة',
+    'history.back': '‹ كل الألعاب',
+    'history.empty': 'لا توجد ألعاب منتهية بعد',
+    'history.practice': 'تدريب {seed}',
+    'history.withLength': '{title} ({letters})',
+    'history.hardMode': 'الوضع الصعب',
+    'history.strictMode': 'الوضع الصعب الصارم',
+    'history.nearlyFull': {
+      zero: 'السجل ممتلئ وستُحذف الألعاب الأقدم بعد اللعبة التالية. صدّر نسخة احتياطية للاحتفاظ بها',
+      few: 'يتسع السجل لـ{count} ألعاب أخرى قبل حذف الأقدم. صدّر نسخة احتياطية للاحتفاظ بها',
+      many: 'يتسع السجل لـ{count} لعبة أخرى قبل حذف الأقدم. صدّر نسخة احتياطية للاحتفاظ بها',
+      other: 'يتسع السجل لـ{count} لعبة أخرى قبل حذف الأقدم. صدّر نسخة احتياطية للاحتفاظ بها'
+    },
+    'history.trimmed': 'يحتفظ السجل بآخر {count} لعبة، لذا حُذفت الأقدم. صدّر نسخة احتياطية للاحتفاظ بالبقية',
+
+    'analysis.title': 'التحليل',
+    'analysis.note': 'المتبقي: الإجابات الممكنة بعد كل محاولة. البتات: مقدار ما ضيّقته المحاولة. الأفضل: كلمة من قائمة الإجابات كانت ستقسمها بأكبر قدر من التساوي، مع البتات المتوقعة منها.',
+    'analysis.guess': 'المحاولة',
+    'analysis.left': 'المتبقي',
+    'analysis.bits': 'البتات',
+    'analysis.best': 'الأفضل',
+    'analysis.working': 'جارٍ التحليل…',
+    'analysis.bitsValue': '{bits} بت',
+
+    'archive.title': 'الأرشيف',
+    'archive.prev': 'الشهر السابق',
+    'archive.next': 'الشهر التالي',
+    'archive.won': 'فوز',
+    'archive.lost': 'خسارة',
+    'archive.started': 'قيد اللعب',
+    'archive.number': 'رقم اللغز',
+    'archive.play': 'العب',
+    'archive.day': 'Wordle {day}',
+    'archive.label': 'الأرشيف · Wordle {day} · {date}',
+    'archive.partyRound': 'الأرشيف غير متاح أثناء جولة جماعية',
+    'archive.dailyOnly': 'الأرشيف يضم الألغاز اليومية فقط',
+    'archive.range': 'اختر لغزًا من {first} إلى {last}',
+
+    'practice.title': 'تدريب',
+    'practice.desc': 'كل من يلعب بالبذرة نفسها يحصل على الكلمة نفسها. شارك لعبة تدريب منتهية لإرسال الرابط.',
+    'practice.seed': 'البذرة',
+    'practice.random': 'عشوائي',
+    'practice.play': 'العب',
+    'practice.challengeDesc': 'أو اختر الكلمة بنفسك وأرسل إلى صديق رابطًا ليحلّها.',
+    'practice.challenge': 'أنشئ تحديًا',
+    'practice.label': 'تدريب · البذرة {seed}',
+    'practice.needSeed': 'اكتب بذرة أو اختر واحدة عشوائيًا',
+    'practice.partyFirst': 'أنهِ الجولة الجماعية أولًا',
+    'challenge.title': 'إنشاء تحدٍّ',
+    'challenge.desc': 'الكلمة مشفّرة داخل الرابط، فلا يستطيع صديقك قراءتها قبل اللعب.',
+    'challenge.word': 'الكلمة',
+    'challenge.name': 'اسمك (اختياري)',
+    'challenge.create': 'أنشئ الرابط',
+    'challenge.copy': 'نسخ',
+    'challenge.label': 'تحدٍّ #{id}',
+    'challenge.labelFrom': 'تحدٍّ #{id} من {name}',
+    'challenge.wordLength': 'اختر كلمة من {min} إلى {max} حروف',
+    'challenge.copied': 'نُسخ الرابط — أرسله إلى صديق!',
+    'challenge.broken': 'رابط التحدي هذا معطوب',
+    'challenge.from': '{name} يتحداك!',
+    'challenge.accepted': 'قُبل التحدي!',
+
+    'settings.title': 'الإعدادات',
+    'settings.hardMode': 'النمط الصعب',
+    'settings.hardModeDesc': 'صعب: يجب استخدام كل تلميح ظاهر في المحاولات التالية. صارم: الحروف الرمادية ممنوعة أيضًا، ولا يعود الحرف الأصفر إلى مكان استُبعد منه، والحرف المكرر الرمادي يحدّ عدد نسخه في المحاولة',
+    'settings.wordLength': 'طول الكلمة',
+    'settings.wordLengthDesc': 'لكل طول كلمته اليومية وإحصاءاته الخاصة',
+    'settings.gameMode': 'نمط اللعب',
+    'settings.gameModeDesc': 'Absurdle: بلا إجابة ثابتة، يراوغ كل محاولة ما استطاع. محاولات غير محدودة ولوحة واحدة. العد التنازلي: دقيقتان لكل كلمة. السباق: حُلّ أكبر عدد من الكلمات في 5 دقائق',
+    'settings.boards': 'اللوحات',
+    'settings.boardsDesc': 'حُلّ عدة كلمات معًا بعدد اللوحات + 5 محاولات (لا ينطبق حد المحاولات ولا النمط الصعب)',
+    'settings.singleBoard': '1 (كلاسيكي)',
+    'settings.guessLimit': 'حد المحاولات',
+    'settings.guessLimitDesc': 'عدد المحاولات لكل كلمة — لكل حد إحصاءاته الخاصة',
+    'settings.hints': 'التلميحات',
+    'settings.hintsDesc': 'تلميحات كل لعبة: اكشف حرفًا، أو استبعد حرفًا، أو اعرف عدد الكلمات المتبقية (ألعاب اللوحة الواحدة)',
+    'settings.dayClock': 'لغز جديد عند',
+    'settings.dayClockDesc': 'منتصف الليل المحلي، أو منتصف الليل UTC لتتشارك الكلمة اليومية نفسها مع أصدقاء في مناطق زمنية أخرى',
+    'settings.shareFormat': 'صيغة المشاركة',
+    'settings.shareFormatDesc': 'كيف يكتب زر المشاركة نتيجتك',
+    'settings.animations': 'الحركة',
+    'settings.animationsDesc': 'قلب المربعات واهتزازها وتلاشيها. «النظام» يتبع إعداد تقليل الحركة في جهازك',
+    'settings.language': 'اللغة',
+    'settings.languageDesc': '«تلقائي» يتبع لغة المتصفح',
+    'settings.darkTheme': 'المظهر الداكن',
+    'settings.contrast': 'التباين العالي',
+    'settings.contrastDesc': 'لتسهيل تمييز الألوان',
+    'settings.data': 'بياناتك',
+    'settings.dataDesc': 'الإحصاءات والسجل والإعدادات في ملف، للاحتفاظ بنسخة احتياطية أو النقل إلى جهاز آخر',
+    'settings.export': 'تصدير',
+    'settings.import': 'استيراد',
+    'settings.hardModeLocked': 'لا يمكن تغيير النمط الصعب إلا قبل بدء اللعبة',
+    'settings.hostLength': 'طول الكلمة يحدده مضيف المجموعة',
+    'settings.hostGuesses': 'حد المحاولات يحدده مضيف المجموعة',
+    'settings.hostMode': 'نمط اللعب يحدده مضيف المجموعة',
+    'settings.partyOneBoard': 'الألعاب الجماعية تُلعب دائمًا بلوحة واحدة',
+    'option.off': 'إيقاف',
+    'option.letters': {
+      one: 'حرف واحد', two: 'حرفان', few: '{count} حروف', many: '{count} حرفًا', other: '{count} حرف'
+    },
+    'option.guesses': {
+      one: 'محاولة واحدة', two: 'محاولتان', few: '{count} محاولات', many: '{count} محاولة', other: '{count} محاولة'
+    },
+    'option.hints': {
+      one: 'تلميح واحد', two: 'تلميحان', few: '{count} تلميحات', many: '{count} تلميحًا', other: '{count} تلميح'
+    },
+    'hardMode.hard': 'صعب',
+    'hardMode.strict': 'صارم',
+    'soloMode.classic': 'كلاسيكي',
+    'soloMode.absurdle': 'Absurdle',
+    'soloMode.countdown': 'العد التنازلي',
+    'soloMode.speedrun': 'السباق',
+    'dayClock.local': 'منتصف الليل المحلي',
+    'dayClock.utc': 'منتصف الليل UTC',
+    'shareFormat.classic': 'كلاسيكي 🟩🟨⬛',
+    'shareFormat.contrast': 'تباين عالٍ 🟧🟦',
+    'shareFormat.light': 'فاتح 🟩🟨⬜',
+    'shareFormat.link': 'مع الرابط',
+    'shareFormat.time': 'مع وقت الحل',
+    'shareFormat.spoiler': 'حروف مخفية',
+    'animation.system': 'النظام',
+    'animation.full': 'كاملة',
+    'animation.fast': 'سريعة',
+    'language.auto': 'تلقائي',
+
+    'mp.title': 'اللعب الجماعي',
+    'mp.yourName': 'اسمك',
+    'mp.namePlaceholder': 'اكتب اسمك',
+    'mp.createSection': 'أنشئ مجموعة',
+    'mp.create': 'إنشاء مجموعة',
+    'mp.orJoin': '— أو انضم إلى واحدة —',
+    'mp.code': 'رمز المجموعة',
+    'mp.join': 'انضمام',
+    'mp.lobby': 'ردهة المجموعة',
+    'mp.partyCode': 'رمز المجموعة',
+    'mp.copy': 'نسخ',
+    'mp.lobbyCount': {
+      zero: 'لا لاعبين في الردهة',
+      one: 'لاعب واحد في الردهة',
+      two: 'لاعبان في الردهة',
+      few: '{count} لاعبين في الردهة',
+      many: '{count} لاعبًا في الردهة',
+      other: '{count} لاعب في الردهة'
+    },
+    'mp.gameMode': 'نمط اللعب',
+    'mp.classic': 'كلاسيكي',
+    'mp.classicDesc': 'الجميع يخمّنون الكلمة العشوائية نفسها',
+    'mp.custom': 'كلمة مخصصة',
+    'mp.customDesc': 'كل لاعب يختار كلمة — الكلمات المخترعة والأسماء مسموحة!',
+    'mp.hintsAllowed': 'مسموحة',
+    'mp.start': 'ابدأ اللعبة',
+    'mp.waitingHost': 'بانتظار أن يبدأ المضيف اللعبة…',
+    'mp.leave': 'مغادرة المجموعة',
+    'mp.secretLabel': 'أي كلمة من {length} حروف (الكلمات المخترعة مرحّب بها!)',
+    'mp.submitWord': 'أرسل الكلمة',
+    'mp.wordWaiting': 'انتظر قليلًا ريثما تُختار الكلمة…',
+    'mp.youChoose': 'أنت من يختار الكلمة السرية',
+    'mp.otherChooses': '{name} يختار الكلمة السرية…',
+    'mp.someone': 'أحدهم',
+    'mp.wordSubmitted': 'أُرسلت الكلمة! تبدأ الجولة…',
+    'mp.results': 'نتائج الجولة',
+    'mp.wordWas': 'كانت الكلمة',
+    'mp.player': 'اللاعب',
+    'mp.guesses': 'المحاولات',
+    'mp.history': 'السجل',
+    'mp.wordSetter': 'واضع الكلمة',
+    'mp.playAgain': 'العب مجددًا',
+    'mp.backLobby': 'العودة إلى الردهة',
+    'mp.waitingNext': 'بانتظار أن يبدأ المضيف الجولة التالية…',
+    'mp.spectating': 'مشاهدة',
+    'mp.spectatingSub': 'تشاهد اللاعبين يخمّنون كلمتك مباشرةً…',
+    'mp.liveBoards': 'اللاعبون الآخرون',
+    'mp.liveGuesses': {
+      one: '{used} من محاولة واحدة', two: '{used} من محاولتين', few: '{used} من {count} محاولات',
+      many: '{used} من {count} محاولة', other: '{used} من {count} محاولة'
+    },
+    'mp.liveCorrect': {
+      one: 'حرف واحد صحيح', two: 'حرفان صحيحان', few: '{count} أحرف صحيحة',
+      many: '{count} حرفًا صحيحًا', other: '{count} حرف صحيح'
+    },
+    'mp.livePresent': {
+      one: 'حرف واحد في غير مكانه', two: 'حرفان في غير مكانهما', few: '{count} أحرف في غير مكانها',
+      many: '{count} حرفًا في غير مكانه', other: '{count} حرف في غير مكانه'
+    },
+    'mp.liveCounts': '{correct} و{present}',
+    'mp.liveLast': 'آخر تخمين: {counts}',
+    'mp.liveLastWord': 'آخر تخمين {word}: {counts}',
+    'mp.liveSolved': 'حلّها',
+    'mp.liveOut': 'نفدت المحاولات',
+    'mp.liveTyping': 'يكتب',
+    'mp.liveJoin': '، ',
+    'mp.banner': '🎮 {code}  ·  {mode}  ·  {letters}  ·  {guesses}',
+    'mp.bannerNoHints': '🎮 {code}  ·  {mode}  ·  {letters}  ·  {guesses}  ·  بلا تلميحات',
+    'mp.codeCopied': 'نُسخ الرمز!',
+    'mp.codeCopyFailed': 'تعذّر نسخ الرمز',
+    'mp.unavailable': 'اللعب الجماعي غير متاح الآن. حدّث الصفحة وحاول مجددًا.',
+    'mp.unavailableShort': 'اللعب الجماعي غير متاح الآن',
+    'mp.connectFailed': 'تعذّر الاتصال بـ Firebase',
+    'mp.enterName': 'اكتب اسمك',
+    'mp.createFailed': 'تعذّر إنشاء المجموعة',
+    'mp.codeInvalid': 'اكتب رمز مجموعة صحيحًا من 6 خانات',
+    'mp.notFound': 'لم يُعثر على المجموعة',
+    'mp.inProgress': 'هذه اللعبة بدأت بالفعل',
+    'mp.joinFailed': 'تعذّر الانضمام إلى المجموعة',
+    'mp.needPlayers': 'يلزم لاعبان على الأقل',
+    'mp.sessionUnavailable': 'جلسة اللعب الجماعي غير متاحة. انضم إلى المجموعة مجددًا.',
+    'mp.chooserFailed': 'تعذّر التحقق ممن يختار الكلمة. حاول مجددًا.',
+    'mp.sessionChanged': 'تغيّرت الجلسة على هذا الجهاز. انضم إلى المجموعة مجددًا لإرسال الكلمة.',
+    'mp.waitChooser': 'بانتظار أن يرسل اللاعب المختار الكلمة',
+    'mp.wordExact': {
+      one: 'يجب أن تكون الكلمة من حرف واحد بالضبط',
+      two: 'يجب أن تكون الكلمة من حرفين بالضبط',
+      few: 'يجب أن تكون الكلمة من {count} حروف بالضبط',
+      many: 'يجب أن تكون الكلمة من {count} حرفًا بالضبط',
+      other: 'يجب أن تكون الكلمة من {count} حرف بالضبط'
+    },
+    'mp.lettersOnly': 'يجب أن تحتوي الكلمة على حروف فقط',
+    'mp.submitDenied': 'رُفض الإرسال. تغيّرت جلسة هاتفك — انضم إلى المجموعة مجددًا وحاول مرة أخرى.',
+    'mp.submitFailed': 'تعذّر إرسال الكلمة. حاول مجددًا.',
+    'mp.waitingOthers': 'بانتظار اللاعبين الآخرين…',
+    'mp.left': 'غادرت المجموعة'
+  }
+};
+
+// Best supported match for the browser's preferred languages
+function browserLanguage() {
+  const preferred = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : [];
+  for (const tag of preferred) {
+    const code = String(tag || '').toLowerCase().split('-')[0];
+    if (LANGUAGES[code]) return code;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+function setUiLanguage(code) {
+  uiLanguage = LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+}
+
+function textDirection() {
+  return LANGUAGES[uiLanguage].dir;
+}
+
+// ── Looking up ──
+const pluralRules = {}; // 'ar:cardinal' -> Intl.PluralRules
+
+function pluralForm(count, type = 'cardinal') {
+  const key = `${uiLanguage}:${type}`;
+  if (!pluralRules[key]) pluralRules[key] = new Intl.PluralRules(uiLanguage, { type });
+  return pluralRules[key].select(count);
+}
+
+function catalogueEntry(key) {
+  const own = STRINGS[uiLanguage][key];
+  return own !== undefined ? own : STRINGS[DEFAULT_LANGUAGE][key];
+}
+
+// A plural entry's form for `form`, or its 'other' form when the language doesn't need that one
+function pickForm(entry, form) {
+  if (typeof entry === 'string') return entry;
+  return entry[form] !== undefined ? entry[form] : entry.other;
+}
+
+function fillPlaceholders(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+}
+
+// Text for `key` in the current language; `count` picks the plural form
+function t(key, params = {}) {
+  const entry = catalogueEntry(key);
+  if (entry === undefined) return key;
+  const form = typeof params.count === 'number' ? pluralForm(params.count) : 'other';
+  return fillPlaceholders(pickForm(entry, form), params);
+}
+
+// "1st", "2nd"… for letter positions
+function ordinal(n) {
+  return fillPlaceholders(pickForm(catalogueEntry('ordinal'), pluralForm(n, 'ordinal')), { count: n });
+}
+
+// ── Formatting ──
+function formatNumber(n, options) {
+  return new Intl.NumberFormat(uiLanguage, options).format(n);
+}
+
+function formatDate(date, options) {
+  return date.toLocaleDateString(uiLanguage, options);
+}
+
+// "1:05" for a duration in seconds, in the language's digits
+function formatDuration(seconds) {
+  return `${formatNumber(Math.floor(seconds / 60))}:${formatNumber(seconds % 60, { minimumIntegerDigits: 2 })}`;
+}
+
+// ── Page text ──
+// Elements carry the key of their text in data-i18n (data-count picks a plural
+// form) and of their attributes in data-i18n-placeholder, -label and -title.
+// The English in index.html is what shows before this first runs.
+const TRANSLATED_ATTRIBUTES = { i18nPlaceholder: 'placeholder', i18nLabel: 'aria-label', i18nTitle: 'title' };
+
+function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.dataset.i18n, el.dataset.count ? { count: Number(el.dataset.count) } : {});
+  });
+  Object.entries(TRANSLATED_ATTRIBUTES).forEach(([data, attr]) => {
+    const selector = `[data-${data.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}]`;
+    root.querySelectorAll(selector).forEach(el => el.setAttribute(attr, t(el.dataset[data])));
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LANGUAGES, STRINGS, t, ordinal, formatNumber, formatDate, formatDuration, setUiLanguage };
+}
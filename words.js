@@ -10,6 +10,13 @@
 
    ALL_VALID_WORDS – Set( ANSWERS ∪ EXTENDED_WORDS )
                     used for guess validation (O(1)).
+
+   ANSWERS_n / EXTENDED_WORDS_n – the same split for the
+                    other supported word lengths (4, 6,
+                    7 and 8 letters).
+
+   ANSWERS_BY_LENGTH / VALID_WORDS_BY_LENGTH – lookup
+                    tables keyed by word length.
    ===================================================== */
 
 /* ── Primary answer pool (common / well-known words) ── */
@@ -1787,3 +1794,3150 @@ const ALL_VALID_WORDS = new Set([
   ...ANSWERS.map(w => w.toLowerCase()),
   ...EXTENDED_WORDS.map(w => w.toLowerCase())
 ]);
+
+/* ── 4-letter answers ── */
+const ANSWERS_4 = [
+  // A
+  "able", "also", "area", "army", "away",
+  // B
+  "back", "ball", "band", "bank", "base", "bear", "been", "best",
+  "bill", "bind", "bite", "blow", "blue", "boat", "body", "book",
+  "boot", "bore", "both", "bulk", "bury", "busy", "byte",
+  // C
+  "call", "came", "card", "care", "case", "cell", "cent", "chip",
+  "city", "club", "clue", "code", "cold", "come", "cope", "copy",
+  "core", "cost", "cure",
+  // D
+  "dare", "dark", "data", "date", "dead", "deal", "dear", "deem",
+  "deep", "desk", "died", "disc", "disk", "done", "door", "down",
+  "draw", "drew", "drop", "dumb", "dump", "duty",
+  // E
+  "each", "ease", "east", "easy", "edge", "edit", "else", "even",
+  "ever",
+  // F
+  "face", "fact", "fail", "fair", "fall", "farm", "fast", "fate",
+  "fear", "feed", "feel", "feet", "fell", "felt", "file", "fill",
+  "film", "find", "fine", "fire", "firm", "fish", "five", "flag",
+  "flat", "flew", "flow", "folk", "food", "foot", "form", "four",
+  "free", "from", "full", "fund",
+  // G
+  "gain", "game", "gave", "girl", "give", "glad", "gone", "good",
+  "gray", "grew", "grow",
+  // H
+  "hack", "hair", "half", "hall", "hand", "hang", "hard", "harm",
+  "hate", "have", "head", "hear", "heat", "held", "help", "here",
+  "hide", "high", "hill", "hint", "hold", "hole", "home", "hope",
+  "host", "hour", "huge", "hung", "hunt",
+  // I
+  "idea", "inch", "info", "into", "item",
+  // J
+  "join", "joke", "jump", "junk", "just",
+  // K
+  "keen", "keep", "kept", "kill", "kind", "king", "knew", "know",
+  // L
+  "lack", "lady", "lain", "land", "last", "late", "lazy", "lead",
+  "leaf", "left", "lend", "lied", "life", "lift", "like", "line",
+  "link", "list", "live", "load", "loan", "lock", "long", "look",
+  "loop", "lose", "lost", "love", "luck",
+  // M
+  "made", "mail", "main", "make", "many", "mark", "mean", "meet",
+  "mere", "mile", "mind", "mine", "mode", "more", "most", "move",
+  "much", "must",
+  // N
+  "name", "near", "neck", "need", "next", "nice", "nine", "none",
+  "note", "numb",
+  // O
+  "obey", "omit", "once", "only", "onto", "open", "over", "owed",
+  // P
+  "pack", "page", "paid", "pain", "pair", "park", "part", "past",
+  "path", "peak", "pick", "pile", "pint", "pipe", "plan", "play",
+  "plea", "plot", "plug", "poem", "poet", "poll", "pool", "poor",
+  "port", "post", "pull", "pure", "push",
+  // Q
+  "quit",
+  // R
+  "race", "rain", "rare", "rate", "read", "real", "rely", "rest",
+  "ride", "ring", "rise", "risk", "road", "role", "roll", "room",
+  "root", "rule", "rush",
+  // S
+  "safe", "said", "sake", "sale", "same", "save", "scan", "seek",
+  "seem", "seen", "self", "sell", "send", "sent", "ship", "shop",
+  "show", "shut", "side", "sign", "site", "size", "slip", "slow",
+  "soft", "sold", "some", "soon", "sort", "spot", "stay", "step",
+  "stop", "such", "suit", "sure",
+  // T
+  "take", "talk", "tank", "tape", "task", "team", "tell", "tend",
+  "term", "test", "text", "than", "that", "them", "then", "they",
+  "thin", "tied", "till", "time", "told", "took", "town", "trap",
+  "tree", "trip", "true", "tune", "turn", "type",
+  // U
+  "ugly", "unit", "upon", "used", "user",
+  // V
+  "vary", "vast", "very", "vice", "view", "vote",
+  // W
+  "wait", "walk", "wall", "want", "warm", "warn", "wash", "wear",
+  "week", "well", "went", "were", "west", "what", "when", "whom",
+  "wide", "wife", "wild", "will", "wind", "wine", "wire", "wise",
+  "wish", "with", "word", "wore", "work", "worn",
+  // Y
+  "year", "your",
+  // Z
+  "zero"
+];
+
+/* ── 4-letter extended guess list ── */
+const EXTENDED_WORDS_4 = [
+  "abed", "abet", "ably", "abut", "aced", "aces", "ache", "achy", "acid", "acme",
+  "acne", "acre", "acts", "adds", "adze", "afar", "agar", "aged", "ages", "agog",
+  "ague", "ahem", "ahoy", "aide", "aids", "ails", "aims", "airs", "airy", "ajar",
+  "akin", "alas", "albs", "ales", "alga", "ally", "alms", "aloe", "alto", "alum",
+  "amen", "amid", "ammo", "amok", "amps", "anal", "anew", "ankh", "anon", "ante",
+  "anti", "ants", "anus", "aped", "apes", "apex", "apps", "apse", "aqua", "arch",
+  "arcs", "ares", "aria", "arid", "arks", "arms", "arts", "arty", "ashy", "asks",
+  "asps", "atom", "atop", "auks", "aunt", "aura", "auto", "aver", "avid", "avow",
+  "awed", "awes", "awls", "awry", "axed", "axes", "axis", "axle", "axon", "ayes",
+  "baas", "babe", "baby", "bade", "bags", "bail", "bait", "bake", "bald", "bale",
+  "balk", "balm", "bane", "bang", "bani", "bans", "barb", "bard", "bare", "barf",
+  "bark", "barn", "bars", "bash", "bask", "bass", "bast", "bate", "bath", "bats",
+  "baud", "bawl", "bays", "bead", "beak", "beam", "bean", "beat", "beau", "beck",
+  "beds", "beef", "beep", "beer", "bees", "beet", "begs", "bell", "belt", "bend",
+  "bent", "berg", "berm", "beta", "bets", "bevy", "bias", "bibs", "bide", "bids",
+  "bier", "bike", "bile", "bilk", "bins", "bird", "bits", "blab", "blah", "bled",
+  "blew", "blip", "blob", "bloc", "blog", "blot", "blur", "boar", "boas", "bobs",
+  "bode", "bogs", "boil", "bola", "bold", "bole", "boll", "bolt", "bomb", "bond",
+  "bone", "bong", "bony", "boob", "boom", "boon", "boor", "boos", "bops", "born",
+  "bosh", "boss", "bout", "bowl", "bows", "boys", "bozo", "brad", "brag", "bran",
+  "bras", "brat", "bray", "bred", "brew", "brig", "brim", "brow", "buck", "buds",
+  "buff", "bugs", "bulb", "bull", "bump", "bums", "bung", "bunk", "buns", "bunt",
+  "buoy", "burg", "burn", "burp", "burr", "burs", "bush", "buss", "bust", "buts",
+  "butt", "buys", "buzz", "byes", "cabs", "cads", "cage", "cake", "calf", "calk",
+  "calm", "camp", "cams", "cane", "cans", "cant", "cape", "caps", "carp", "cars",
+  "cart", "cash", "cask", "cast", "cats", "cave", "caws", "cede", "chap", "char",
+  "chat", "chef", "chew", "chic", "chin", "chit", "chop", "chow", "chug", "chum",
+  "cite", "clad", "clam", "clan", "clap", "claw", "clay", "clef", "clew", "clip",
+  "clit", "clod", "clog", "clop", "clot", "cloy", "coal", "coat", "coax", "cobs",
+  "cock", "coda", "cods", "coed", "cogs", "coif", "coil", "coin", "coke", "cola",
+  "cols", "colt", "coma", "comb", "cone", "conk", "cons", "cook", "cool", "coon",
+  "coop", "coos", "coot", "cops", "cord", "cork", "corm", "corn", "cote", "cots",
+  "coup", "cove", "cowl", "cows", "cozy", "crab", "crag", "cram", "crap", "craw",
+  "crew", "crib", "crop", "crow", "crud", "crux", "cube", "cubs", "cuds", "cued",
+  "cues", "cuff", "cull", "cult", "cums", "cunt", "cups", "curb", "curd", "curl",
+  "curs", "curt", "cusp", "cuss", "cute", "cuts", "cyst", "czar", "dabs", "dado",
+  "dads", "daft", "dais", "dale", "dame", "damn", "damp", "dams", "dank", "darn",
+  "dart", "dash", "daub", "dawn", "days", "daze", "deaf", "dean", "debs", "debt",
+  "deck", "deed", "deer", "deft", "defy", "deli", "dell", "demo", "dens", "dent",
+  "deny", "dewy", "dial", "dice", "dick", "dies", "diet", "digs", "dike", "dill",
+  "dime", "dims", "dine", "ding", "dins", "dint", "dips", "dire", "dirk", "dirt",
+  "dish", "diva", "dive", "dock", "docs", "dodo", "doer", "does", "doff", "dogs",
+  "dole", "doll", "dolt", "dome", "dons", "doom", "dope", "dork", "dorm", "dory",
+  "dose", "dote", "doth", "dots", "dour", "dove", "doze", "drab", "drag", "dram",
+  "dray", "drip", "drub", "drug", "drum", "drys", "dual", "dubs", "duck", "duct",
+  "dude", "duds", "duel", "dues", "duet", "duff", "duke", "dull", "duly", "dune",
+  "dung", "dunk", "duns", "duos", "dupe", "dusk", "dust", "dyed", "dyer", "dyes",
+  "dyke", "earl", "earn", "ears", "eats", "eave", "ebbs", "echo", "ecru", "eddy",
+  "edgy", "eels", "eggs", "egos", "eked", "ekes", "elks", "ells", "elms", "emir",
+  "emit", "emos", "emus", "ends", "envy", "eons", "epic", "eras", "ergo", "ergs",
+  "errs", "espy", "etch", "euro", "eves", "evil", "ewer", "ewes", "exam", "exec",
+  "exes", "exit", "expo", "eyed", "eyes", "fade", "fads", "fags", "fain", "fake",
+  "fame", "fang", "fans", "fare", "fart", "fats", "faun", "fawn", "faze", "feat",
+  "feds", "fees", "fend", "fens", "fern", "fest", "feta", "feud", "fiat", "fibs",
+  "fief", "fife", "figs", "fink", "fins", "firs", "fist", "fits", "fizz", "flab",
+  "flak", "flan", "flap", "flaw", "flax", "flay", "flea", "fled", "flee", "flex",
+  "flip", "flit", "floe", "flog", "flop", "flub", "flue", "flux", "foal", "foam",
+  "fobs", "foes", "fogs", "fogy", "foil", "fold", "fond", "font", "fool", "fops",
+  "ford", "fore", "fork", "fort", "foul", "fowl", "foxy", "frat", "fray", "fret",
+  "frog", "fuck", "fuel", "fume", "funk", "furl", "furs", "fury", "fuse", "fuss",
+  "futz", "fuzz", "gabs", "gads", "gaff", "gags", "gait", "gala", "gale", "gall",
+  "gals", "gamy", "gang", "gape", "gaps", "garb", "gash", "gasp", "gate", "gawk",
+  "gays", "gaze", "gear", "geed", "geek", "gees", "geld", "gels", "gems", "gene",
+  "gent", "germ", "gets", "gibe", "gift", "gigs", "gild", "gill", "gilt", "gins",
+  "gird", "girt", "gist", "glee", "glen", "glib", "glob", "glop", "glow", "glue",
+  "glum", "glut", "gnat", "gnaw", "gnus", "goad", "goal", "goat", "gobs", "gods",
+  "goes", "gold", "golf", "gong", "goof", "gook", "goon", "goop", "gore", "gory",
+  "gosh", "gout", "gown", "grab", "grad", "gram", "grid", "grim", "grin", "grip",
+  "grit", "grog", "grub", "guff", "gulf", "gull", "gulp", "gums", "gunk", "guns",
+  "guru", "gush", "gust", "guts", "guys", "gyms", "gyps", "gyro", "haft", "hags",
+  "hail", "hake", "hale", "halo", "halt", "hams", "hank", "hare", "hark", "harp",
+  "hart", "hash", "hasp", "hath", "hats", "haul", "hawk", "haws", "hays", "haze",
+  "hazy", "heal", "heap", "heck", "heed", "heel", "heft", "heir", "hell", "helm",
+  "hemp", "hems", "hens", "herb", "herd", "hero", "hers", "hews", "hick", "hied",
+  "hies", "hike", "hilt", "hims", "hind", "hips", "hire", "hiss", "hits", "hive",
+  "hoax", "hobo", "hobs", "hock", "hods", "hoed", "hoes", "hogs", "holy", "hone",
+  "honk", "hood", "hoof", "hook", "hoop", "hoot", "hops", "horn", "hose", "hove",
+  "howl", "hows", "hubs", "hued", "hues", "huff", "hugs", "hula", "hulk", "hull",
+  "hump", "hums", "hunk", "hurl", "hurt", "hush", "husk", "huts", "hymn", "hype",
+  "hypo", "iamb", "ibex", "ibis", "iced", "ices", "icky", "icon", "ides", "idle",
+  "idly", "idol", "iffy", "ilks", "ills", "imam", "imps", "inks", "inky", "inns",
+  "ions", "iota", "iris", "irks", "iron", "isle", "isms", "itch", "jabs", "jack",
+  "jade", "jags", "jail", "jamb", "jams", "jape", "jars", "jaws", "jays", "jazz",
+  "jeep", "jeer", "jeez", "jell", "jerk", "jest", "jets", "jibe", "jibs", "jigs",
+  "jilt", "jinn", "jinx", "jive", "jobs", "jock", "jogs", "john", "jolt", "josh",
+  "jots", "jowl", "joys", "judo", "jugs", "jury", "jute", "juts", "kale", "keel",
+  "kegs", "kelp", "kens", "keys", "khan", "kick", "kids", "kiln", "kilo", "kilt",
+  "kink", "kiss", "kite", "kith", "kits", "kiwi", "knee", "knit", "knob", "knot",
+  "kook", "labs", "lace", "lacy", "lade", "lads", "lags", "laid", "lair", "lake",
+  "lama", "lamb", "lame", "lamp", "lams", "lane", "lank", "laps", "lard", "lark",
+  "lash", "lass", "lath", "lats", "laud", "lava", "lawn", "laws", "lays", "laze",
+  "leak", "lean", "leap", "leas", "leek", "leer", "lees", "legs", "leis", "lens",
+  "lent", "less", "lest", "lets", "levy", "lewd", "liar", "lice", "lick", "lids",
+  "lief", "lien", "lies", "lieu", "lilt", "lily", "limb", "lime", "limn", "limo",
+  "limp", "limy", "lint", "lion", "lips", "lira", "lire", "lisp", "lite", "loaf",
+  "loam", "lobe", "lobs", "loci", "loco", "lode", "loft", "loge", "logo", "logs",
+  "loin", "loll", "lone", "loom", "loon", "loot", "lope", "lops", "lord", "lore",
+  "lorn", "loss", "lots", "loud", "lout", "lows", "luau", "lube", "lugs", "lull",
+  "lump", "lung", "lure", "lurk", "lush", "lust", "lute", "lynx", "lyre", "mace",
+  "mads", "maid", "maim", "male", "mall", "malt", "mama", "mane", "mans", "maps",
+  "mare", "mars", "mart", "mash", "mask", "mass", "mast", "mate", "math", "mats",
+  "maul", "maws", "mayo", "maze", "mead", "meal", "meat", "meek", "megs", "meld",
+  "melt", "meme", "memo", "mend", "menu", "meow", "mesa", "mesh", "mess", "mete",
+  "mewl", "mews", "mica", "mice", "mien", "miff", "mike", "mild", "milf", "milk",
+  "mill", "mils", "mime", "mini", "mink", "mint", "minx", "mire", "miss", "mist",
+  "mite", "mitt", "mkay", "moan", "moat", "mobs", "mock", "mods", "mold", "mole",
+  "moll", "molt", "moms", "monk", "mono", "mood", "moon", "moor", "moos", "moot",
+  "mope", "mops", "morn", "moss", "mote", "moth", "mows", "muck", "muff", "mugs",
+  "mule", "mull", "murk", "muse", "mush", "musk", "muss", "mute", "mutt", "myna",
+  "myth", "nabs", "nags", "nail", "nape", "naps", "narc", "nark", "nary", "nave",
+  "navy", "nays", "neat", "neon", "nerd", "nest", "nets", "news", "newt", "nibs",
+  "nick", "nigh", "nips", "nits", "node", "nods", "noel", "noes", "nook", "noon",
+  "nope", "norm", "nose", "nosh", "nosy", "noun", "nous", "nova", "nubs", "nude",
+  "nuke", "null", "nuns", "nuts", "oafs", "oaks", "oars", "oath", "oats", "obit",
+  "oboe", "odds", "odes", "odor", "offs", "ogle", "ogre", "ohms", "oils", "oily",
+  "oink", "okay", "okra", "oleo", "omen", "ones", "onus", "onyx", "oops", "ooze",
+  "opal", "opts", "opus", "oral", "orbs", "orcs", "ores", "orgy", "ouch", "ours",
+  "oust", "outs", "oval", "oven", "ovum", "owes", "owls", "owns", "oxen", "pace",
+  "pact", "pads", "pail", "pale", "pall", "palm", "pals", "pane", "pang", "pans",
+  "pant", "papa", "paps", "pare", "pars", "pass", "pate", "pats", "pave", "pawl",
+  "pawn", "paws", "pays", "peal", "pear", "peas", "peat", "peck", "pecs", "peed",
+  "peek", "peel", "peep", "peer", "pees", "pegs", "pelt", "pens", "pent", "peon",
+  "peps", "perk", "perm", "pert", "peso", "pest", "pets", "pews", "pica", "pied",
+  "pier", "pies", "pigs", "pike", "pill", "pimp", "pine", "ping", "pink", "pins",
+  "pips", "piss", "pita", "pith", "pits", "pity", "plod", "plop", "plow", "ploy",
+  "plum", "plus", "pock", "pods", "poke", "poky", "pole", "polo", "pols", "pomp",
+  "pond", "pone", "pony", "pooh", "poop", "pope", "pops", "pore", "pork", "porn",
+  "pose", "posh", "posy", "pots", "pour", "pout", "pram", "pray", "prep", "prey",
+  "prig", "prim", "prod", "prof", "prom", "prop", "pros", "prow", "psst", "pubs",
+  "puck", "puff", "pugs", "puke", "pulp", "puma", "pump", "punk", "puns", "punt",
+  "puny", "pupa", "pups", "purl", "purr", "puss", "puts", "putt", "pwns", "pyre",
+  "quad", "quay", "quid", "quip", "quiz", "rack", "racy", "raft", "raga", "rage",
+  "rags", "raid", "rail", "rake", "ramp", "rams", "rang", "rank", "rant", "rape",
+  "raps", "rapt", "rash", "rasp", "rats", "rave", "rays", "raze", "razz", "ream",
+  "reap", "rear", "redo", "reds", "reed", "reef", "reek", "reel", "refs", "rein",
+  "rend", "rent", "reps", "revs", "rhea", "ribs", "rice", "rich", "rick", "rids",
+  "rife", "riff", "rift", "rigs", "rile", "rill", "rime", "rims", "rind", "rink",
+  "riot", "ripe", "rips", "rite", "roam", "roan", "roar", "robe", "robs", "rock",
+  "rode", "rods", "roes", "roil", "romp", "rood", "roof", "rook", "rope", "rose",
+  "rosy", "rote", "rots", "rout", "rove", "rows", "rube", "rubs", "ruby", "rude",
+  "rued", "rues", "ruff", "rugs", "ruin", "rump", "rums", "rune", "rung", "runs",
+  "runt", "ruse", "rusk", "rust", "ruts", "sack", "sacs", "saga", "sage", "sago",
+  "sags", "sail", "salt", "sand", "sane", "sang", "sank", "sans", "saps", "sari",
+  "sash", "sass", "sate", "saws", "says", "scab", "scad", "scam", "scar", "scat",
+  "scow", "scud", "scum", "seal", "seam", "sear", "seas", "seat", "secs", "sect",
+  "seed", "seep", "seer", "sees", "semi", "sere", "serf", "sets", "sewn", "sews",
+  "sexy", "shad", "shag", "shah", "sham", "shed", "shes", "shim", "shin", "shit",
+  "shod", "shoe", "shoo", "shot", "shun", "sick", "sics", "sift", "sigh", "silk",
+  "sill", "silo", "silt", "sims", "sine", "sing", "sink", "sins", "sips", "sire",
+  "sirs", "sits", "skew", "skid", "skim", "skin", "skip", "skis", "skit", "slab",
+  "slag", "slam", "slap", "slat", "slaw", "slay", "sled", "slew", "slid", "slim",
+  "slit", "slob", "sloe", "slog", "slop", "slot", "slue", "slug", "slum", "slur",
+  "slut", "smog", "smug", "smut", "snag", "snap", "snip", "snit", "snob", "snot",
+  "snow", "snub", "snug", "soak", "soap", "soar", "sobs", "sock", "soda", "sods",
+  "sofa", "soil", "sole", "solo", "sols", "song", "sons", "soot", "sops", "sore",
+  "sots", "soul", "soup", "sour", "sown", "sows", "spam", "span", "spar", "spas",
+  "spat", "spay", "spec", "sped", "spew", "spin", "spit", "spry", "spud", "spun",
+  "spur", "stab", "stag", "star", "stem", "stew", "stir", "stow", "stub", "stud",
+  "stun", "subs", "suck", "suds", "sued", "sues", "suet", "sulk", "sumo", "sump",
+  "sums", "sung", "sunk", "suns", "sups", "surf", "swab", "swag", "swam", "swan",
+  "swap", "swat", "sway", "swig", "swim", "swum", "sync", "tabs", "tack", "taco",
+  "tact", "tads", "tags", "tail", "talc", "tale", "tall", "tame", "tamp", "tams",
+  "tang", "tans", "taps", "tare", "taro", "tarp", "tars", "tart", "tats", "taut",
+  "taxi", "teak", "teal", "tear", "teas", "teat", "teed", "teem", "teen", "tees",
+  "temp", "tens", "tent", "tern", "thaw", "thee", "this", "thou", "thru", "thud",
+  "thug", "thus", "tick", "tics", "tide", "tidy", "tier", "ties", "tiff", "tile",
+  "tilt", "tine", "ting", "tins", "tint", "tiny", "tips", "tire", "tits", "toad",
+  "toed", "toes", "tofu", "toga", "togs", "toil", "toke", "toll", "tomb", "tome",
+  "toms", "tone", "tong", "tons", "tony", "tool", "toot", "tops", "tore", "torn",
+  "tors", "tort", "toss", "tote", "tots", "tour", "tout", "tows", "toys", "tram",
+  "tray", "trek", "trig", "trim", "trio", "trod", "trot", "troy", "tuba", "tube",
+  "tubs", "tuck", "tuft", "tugs", "tuna", "tuns", "turd", "turf", "tush", "tusk",
+  "tutu", "twee", "twig", "twin", "twit", "twos", "tyke", "typo", "tyro", "ulna",
+  "umps", "undo", "unto", "urea", "urge", "uric", "urns", "uses", "vain", "vale",
+  "vamp", "vane", "vans", "vape", "vase", "vats", "veal", "veep", "veer", "veil",
+  "vein", "veld", "vend", "vent", "verb", "vest", "veto", "vets", "vial", "vibe",
+  "vied", "vies", "vile", "vine", "viol", "visa", "vise", "viva", "void", "vole",
+  "volt", "vows", "wack", "wade", "wadi", "wads", "waft", "wage", "wags", "waif",
+  "wail", "wake", "wale", "wand", "wane", "ward", "ware", "warp", "wars", "wart",
+  "wary", "wasp", "watt", "wave", "wavy", "waxy", "ways", "weak", "weal", "wean",
+  "webs", "weds", "weed", "weep", "weer", "wees", "weft", "weir", "weld", "welt",
+  "wend", "wens", "wept", "wets", "wham", "whet", "whew", "whey", "whim", "whip",
+  "whir", "whit", "whiz", "whoa", "whys", "wick", "wigs", "wiki", "wile", "wilt",
+  "wily", "wimp", "wing", "wink", "wino", "wins", "wipe", "wiry", "wisp", "wist",
+  "wits", "wive", "woes", "woke", "woks", "wolf", "womb", "wont", "wood", "woof",
+  "wool", "woos", "worm", "wove", "wows", "wrap", "wren", "writ", "wuss", "yaks",
+  "yams", "yank", "yaps", "yard", "yarn", "yawl", "yawn", "yaws", "yeah", "yeas",
+  "yell", "yelp", "yens", "yeps", "yest", "yeti", "yews", "yips", "yoga", "yogi",
+  "yoke", "yolk", "yore", "yous", "yowl", "yuck", "yuks", "yule", "yups", "zany",
+  "zaps", "zeal", "zebu", "zeds", "zest", "zeta", "zinc", "zing", "zips", "zits",
+  "zone", "zoom", "zoos"
+];
+
+/* ── 6-letter answers ── */
+const ANSWERS_6 = [
+  // A
+  "accept", "accord", "acting", "action", "active", "actual", "adding", "adjust",
+  "advice", "advise", "affair", "affect", "afford", "afraid", "agency", "agreed",
+  "aiming", "almost", "amount", "amused", "analog", "animal", "annual", "answer",
+  "anyone", "anyway", "appeal", "appear", "argued", "around", "arrive", "artist",
+  "asking", "asleep", "aspect", "assume", "assure", "attach", "attack", "attend",
+  "author", "autumn",
+  // B
+  "backed", "basing", "became", "become", "before", "behalf", "behave", "behind",
+  "belong", "better", "beyond", "bigger", "binary", "biting", "bitten", "borrow",
+  "bother", "bottle", "bottom", "bought", "branch", "breach", "bridge", "bright",
+  "broken", "bucket", "budget", "buffer", "buried", "button", "buying",
+  // C
+  "called", "cannot", "caught", "caused", "center", "chance", "change", "charge",
+  "choice", "choose", "chosen", "church", "circle", "clever", "closed", "closer",
+  "coding", "coffee", "column", "coming", "common", "copied", "corner", "county",
+  "couple", "course", "create", "credit", "cursor",
+  // D
+  "damage", "danger", "dating", "debate", "decade", "decent", "decide", "deduce",
+  "deemed", "deeply", "define", "degree", "delete", "demand", "depend", "derive",
+  "design", "desire", "detail", "detect", "device", "devote", "differ", "dinner",
+  "direct", "divide", "dollar", "domain", "double", "driven", "driver", "during",
+  // E
+  "easier", "easily", "eating", "edited", "editor", "effect", "effort", "either",
+  "enable", "ending", "enough", "ensure", "entire", "entity", "eraser", "escape",
+  "except", "excuse", "expand", "expect", "expert", "extend", "extent",
+  // F
+  "factor", "failed", "fairly", "fallen", "family", "faster", "father", "fewest",
+  "figure", "filing", "filled", "finger", "finish", "finite", "firmly", "fiscal",
+  "fitted", "fixing", "flavor", "flight", "flying", "follow", "forced", "forget",
+  "forgot", "formal", "format", "formed", "former", "fourth", "freely", "french",
+  "friend", "future",
+  // G
+  "gained", "garden", "gather", "giving", "global", "gotten", "ground", "growth",
+  // H
+  "handed", "handle", "happen", "harder", "hardly", "having", "headed", "header",
+  "health", "helped", "hereby", "hidden", "hiding", "higher", "highly", "honest",
+  "hoping",
+  // I
+  "ignore", "impact", "impose", "income", "indeed", "inform", "insert", "inside",
+  "insist", "intend", "invent", "invite", "issued", "itself",
+  // J
+  "joined",
+  // K
+  "killed", "kindly",
+  // L
+  "lacked", "landed", "larger", "latest", "latter", "layout", "leader", "length",
+  "lesser", "lesson", "letter", "liable", "likely", "liking", "linear", "linked",
+  "listed", "listen", "little", "living", "loaded", "locked", "logged", "longer",
+  "looked", "losing", "loudly", "lowest",
+  // M
+  "mainly", "making", "manage", "manner", "manual", "marked", "market", "master",
+  "matter", "medium", "member", "memory", "merely", "method", "middle", "minded",
+  "minute", "misled", "missed", "misuse", "mixing", "modern", "modify", "moment",
+  "mostly", "mother", "motion", "moving", "myself",
+  // N
+  "namely", "naming", "nation", "nature", "nearby", "nearer", "nearly", "needed",
+  "nicest", "nobody", "normal", "notice", "notify", "noting", "number",
+  // O
+  "object", "obtain", "occupy", "office", "oldest", "opened", "oppose", "option",
+  "origin", "output",
+  // P
+  "packet", "parent", "partly", "passed", "paying", "people", "period", "permit",
+  "person", "petrol", "phrase", "picked", "placed", "planet", "played", "please",
+  "plenty", "pocket", "police", "policy", "posted", "prefer", "pretty", "prompt",
+  "proper", "proved", "public", "pulled", "purely", "pushed",
+  // Q
+  "quoted",
+  // R
+  "raised", "random", "rarely", "rather", "reader", "really", "reason", "recall",
+  "recent", "record", "reduce", "refuse", "regard", "region", "regret", "reject",
+  "relate", "remain", "remark", "remind", "remote", "remove", "repair", "repeat",
+  "report", "resort", "result", "retain", "return", "reveal", "review", "rubber",
+  // S
+  "safely", "safest", "safety", "sample", "saving", "saying", "scheme", "school",
+  "screen", "script", "search", "season", "second", "secret", "secure", "seeing",
+  "seemed", "select", "senior", "serial", "served", "server", "settle", "severe",
+  "shared", "should", "showed", "signal", "signed", "simple", "simply", "single",
+  "slight", "slower", "slowly", "smooth", "social", "solely", "solved", "sooner",
+  "sorted", "sought", "source", "speech", "spirit", "spoken", "spread", "spring",
+  "square", "stable", "stated", "stayed", "stored", "stream", "street", "strict",
+  "strike", "string", "strong", "struck", "stupid", "submit", "subset", "subtle",
+  "sudden", "suffer", "suited", "summer", "supply", "surely", "survey", "switch",
+  "symbol", "syntax", "system",
+  // T
+  "taking", "talked", "target", "taught", "tested", "theory", "though", "threat",
+  "thrown", "ticket", "timing", "toward", "travel", "trying", "turned", "twelve",
+  "twenty", "typing",
+  // U
+  "unable", "unique", "unlike", "update", "useful",
+  // V
+  "varied", "vastly", "vector", "virtue", "vision", "volume",
+  // W
+  "waited", "walked", "wanted", "warned", "wasted", "weapon", "weight", "whilst",
+  "widely", "widest", "window", "winter", "wished", "within", "wonder", "wooden",
+  "worded", "worked", "worker", "worthy", "writer",
+  // Y
+  "yellow"
+];
+
+/* ── 6-letter extended guess list ── */
+const EXTENDED_WORDS_6 = [
+  "abacus", "abased", "abases", "abated", "abates", "abbess", "abbeys", "abbots", "abduct", "abhors",
+  "abides", "abject", "abjure", "ablaze", "ablest", "abloom", "aboard", "abodes", "aborts", "abound",
+  "abrade", "abroad", "abrupt", "absent", "absorb", "absurd", "abused", "abuser", "abuses", "acacia",
+  "accede", "accent", "access", "accost", "accrue", "accuse", "acetic", "achier", "aching", "acidic",
+  "acidly", "acorns", "acquit", "across", "actors", "acuity", "acumen", "acuter", "acutes", "adages",
+  "adagio", "adapts", "addend", "adders", "addict", "addled", "addles", "adduce", "adepts", "adhere",
+  "adieus", "adjoin", "adjure", "admire", "admits", "adobes", "adopts", "adored", "adores", "adorns",
+  "adrift", "adroit", "adults", "advent", "adverb", "advert", "adware", "aerate", "aerial", "aeries",
+  "affirm", "affray", "afghan", "afield", "aflame", "afloat", "afresh", "agates", "ageism", "agenda",
+  "agents", "aghast", "agings", "agleam", "agrees", "aiding", "ailing", "airier", "airily", "airing",
+  "airman", "airmen", "airway", "aisles", "akimbo", "alarms", "albeit", "albino", "albums", "alcove",
+  "alders", "alerts", "alibis", "aliens", "alight", "aligns", "alkali", "allays", "allege", "alleys",
+  "allied", "allies", "allots", "allows", "alloys", "allude", "allure", "almond", "alohas", "alpaca",
+  "alphas", "alpine", "altars", "alters", "alumna", "alumni", "always", "amazed", "amazes", "amazon",
+  "ambled", "ambles", "ambush", "amends", "amigos", "amoeba", "amoral", "amours", "ampere", "ampler",
+  "ampule", "amulet", "amuses", "anchor", "anemia", "anemic", "angels", "angers", "angina", "angled",
+  "angler", "angles", "angora", "animus", "anions", "ankles", "anklet", "annals", "anneal", "annoys",
+  "annuls", "anodes", "anoint", "anorak", "anthem", "anther", "antics", "antler", "anuses", "anvils",
+  "anyhow", "aortas", "apathy", "apexes", "aphids", "apiary", "apiece", "aplomb", "apogee", "appall",
+  "append", "apples", "aprons", "aptest", "arable", "arbors", "arcade", "arcane", "arched", "archer",
+  "arches", "archly", "arcing", "arctic", "ardent", "ardors", "arenas", "argosy", "argots", "argues",
+  "argyle", "aright", "arisen", "arises", "armada", "armful", "armies", "arming", "armlet", "armors",
+  "armory", "armpit", "aromas", "arouse", "arrant", "arrays", "arrest", "arrows", "arroyo", "artery",
+  "artful", "artier", "ascend", "ascent", "ascots", "ashcan", "ashier", "ashing", "ashore", "ashram",
+  "asides", "aslant", "aspens", "aspics", "aspire", "assail", "assays", "assent", "assert", "assess",
+  "assets", "assign", "assist", "assize", "assort", "astern", "asters", "asthma", "astral", "astray",
+  "astute", "asylum", "atolls", "atomic", "atonal", "atoned", "atones", "atrium", "attain", "attest",
+  "attics", "attire", "attune", "auburn", "audios", "audits", "augers", "aughts", "augurs", "augury",
+  "august", "autism", "avails", "avatar", "avenge", "avenue", "averse", "averts", "aviary", "avidly",
+  "avoids", "avowal", "avowed", "awaits", "awaken", "awakes", "awards", "aweigh", "awhile", "awning",
+  "awoken", "axioms", "azalea", "azures", "baaing", "babble", "babels", "babied", "babier", "babies",
+  "baboon", "backer", "backup", "badder", "badger", "badges", "baffle", "bagels", "bagged", "bailed",
+  "baited", "bakers", "bakery", "baking", "balded", "balder", "baldly", "baleen", "baling", "balked",
+  "ballad", "balled", "ballet", "ballot", "ballsy", "balsam", "balsas", "bamboo", "banana", "banded",
+  "bandit", "banged", "bangle", "banish", "banjos", "banked", "banker", "banned", "banner", "bantam",
+  "banter", "banyan", "baobab", "barbed", "barber", "barely", "barest", "barfed", "barged", "barges",
+  "baring", "barium", "barked", "barker", "barley", "barman", "barons", "barred", "barrel", "barren",
+  "barrio", "barrow", "barter", "basalt", "basely", "basest", "bashed", "bashes", "basics", "basins",
+  "basked", "basket", "basses", "bassos", "basted", "bastes", "bathed", "bather", "bathes", "bathos",
+  "batiks", "bating", "batons", "batted", "batten", "batter", "battle", "bauble", "bawled", "baying",
+  "bayous", "bazaar", "beacon", "beaded", "beagle", "beaked", "beaker", "beamed", "beaned", "beards",
+  "bearer", "beasts", "beaten", "beater", "beauty", "beaver", "bebops", "becalm", "beckon", "bedbug",
+  "bedded", "bedder", "bedeck", "bedlam", "bedpan", "beefed", "beeped", "beeper", "beetle", "beeves",
+  "befall", "befell", "befits", "befogs", "befoul", "begets", "beggar", "begged", "begins", "begone",
+  "behead", "beheld", "behest", "behold", "beings", "belays", "belfry", "belied", "belief", "belies",
+  "belled", "belles", "bellow", "belted", "bemoan", "bemuse", "bender", "benign", "benumb", "berate",
+  "bereft", "berets", "berths", "beryls", "besets", "beside", "besoms", "besots", "bested", "bestir",
+  "bestow", "betake", "betcha", "betide", "betook", "betray", "bettor", "bevels", "bevies", "bewail",
+  "beware", "biased", "biases", "bibles", "biceps", "bicker", "bidden", "bidder", "bidets", "biding",
+  "bigamy", "biggie", "bights", "bigots", "bigwig", "bikers", "biking", "bikini", "bilges", "bilked",
+  "billed", "billet", "billow", "bimbos", "binder", "binged", "binges", "binned", "bionic", "biopsy",
+  "bipeds", "birded", "birdie", "births", "bisect", "bishop", "bisque", "bistro", "bitchy", "bitmap",
+  "bitter", "blacks", "blades", "blamed", "blamer", "blames", "blanch", "blanks", "blared", "blares",
+  "blasts", "blazed", "blazer", "blazes", "blazon", "bleach", "bleary", "bleats", "bleeds", "bleeps",
+  "blench", "blends", "blight", "blimps", "blinds", "blinks", "blintz", "blithe", "bloats", "blocks",
+  "blonde", "blonds", "bloods", "bloody", "blooms", "blotch", "blouse", "blower", "blowup", "blowzy",
+  "bluest", "bluffs", "bluing", "bluish", "blunts", "blurbs", "blurry", "blurts", "boards", "boasts",
+  "boated", "boater", "bobbed", "bobbin", "bobble", "bobcat", "bodega", "bodice", "bodies", "bodily",
+  "boding", "bodkin", "bogeys", "bogged", "boggle", "bogies", "boiled", "boiler", "bolder", "boldly",
+  "bolero", "bolted", "bombed", "bomber", "bonbon", "bonded", "boners", "bonged", "bongos", "bonier",
+  "boning", "bonito", "bonnet", "bonsai", "boobed", "boodle", "boogie", "booing", "booked", "bookie",
+  "boomed", "boosts", "booted", "bootee", "booths", "boozed", "boozer", "boozes", "bopped", "border",
+  "borers", "boring", "bosoms", "bossed", "bosses", "botany", "botnet", "boughs", "bounce", "bouncy",
+  "bounds", "bounty", "bovine", "bowels", "bowers", "bowing", "bowled", "bowler", "bowman", "bowmen",
+  "boxcar", "boxers", "boxing", "boyish", "braced", "braces", "bracts", "braids", "brains", "brainy",
+  "braise", "braked", "brakes", "brands", "brandy", "brassy", "bratty", "braved", "braver", "braves",
+  "bravos", "brawls", "brawny", "brayed", "brazen", "breads", "breaks", "breast", "breath", "breech",
+  "breeds", "breeze", "breezy", "brewed", "brewer", "bribed", "bribes", "bricks", "bridal", "brides",
+  "bridle", "briefs", "briers", "brings", "brinks", "brisks", "broach", "broads", "brogan", "brogue",
+  "broils", "broker", "bronco", "bronze", "brooch", "broods", "brooks", "brooms", "broths", "browns",
+  "browse", "bruins", "bruise", "brunch", "brunet", "brutal", "brutes", "bubble", "bubbly", "bucked",
+  "buckle", "budded", "budged", "budges", "budgie", "buffed", "buffet", "bugged", "bugger", "bugled",
+  "bugler", "bugles", "builds", "bulged", "bulges", "bulked", "bulled", "bullet", "bumble", "bummed",
+  "bummer", "bumped", "bumper", "bundle", "bunged", "bungle", "bunion", "bunked", "bunker", "bunkum",
+  "bunted", "buoyed", "burble", "burden", "bureau", "burger", "burgle", "burial", "buries", "burkas",
+  "burlap", "burned", "burner", "burped", "burred", "burros", "burrow", "bursar", "bursts", "busboy",
+  "bushed", "bushel", "bushes", "busied", "busier", "busies", "busily", "busing", "busted", "buster",
+  "bustle", "butane", "butler", "butted", "butter", "buttes", "buyers", "buyout", "buzzed", "buzzer",
+  "buzzes", "bygone", "bylaws", "byline", "bypass", "byplay", "byways", "byword", "cabals", "cabana",
+  "cabbed", "cabins", "cabled", "cables", "cacaos", "cached", "caches", "cachet", "cackle", "cactus",
+  "caddie", "cadets", "cadged", "cadger", "cadges", "cadres", "caftan", "cagier", "cagily", "caging",
+  "cahoot", "cairns", "cajole", "caking", "calico", "caliph", "calked", "caller", "callow", "callus",
+  "calmed", "calmer", "calmly", "calved", "calves", "camber", "camels", "cameos", "camera", "camped",
+  "camper", "campus", "canals", "canard", "canary", "cancan", "cancel", "cancer", "candid", "candle",
+  "candor", "canine", "caning", "canker", "canned", "cannon", "canoed", "canoes", "canons", "canopy",
+  "canted", "canter", "canton", "cantor", "cantos", "canvas", "canyon", "capers", "caplet", "capons",
+  "capped", "captor", "carafe", "carats", "carbon", "carboy", "carded", "cardio", "careen", "career",
+  "caress", "carets", "caries", "caring", "carnal", "carols", "caroms", "carpal", "carped", "carpel",
+  "carpet", "carpus", "carrel", "carrot", "carted", "cartel", "carton", "carved", "carver", "carves",
+  "casein", "cashed", "cashes", "cashew", "casing", "casino", "casket", "cassia", "caster", "castes",
+  "castle", "castor", "casual", "catchy", "caters", "catgut", "cation", "catkin", "catnap", "catnip",
+  "cattle", "caucus", "caudal", "caulks", "causal", "causes", "caveat", "cavern", "caviar", "cavils",
+  "caving", "cavity", "cavort", "cawing", "ceased", "ceases", "cedars", "ceding", "celery", "cellar",
+  "cellos", "cement", "censer", "censor", "census", "cereal", "cerise", "cervix", "cesium", "chafed",
+  "chafes", "chaffs", "chains", "chairs", "chaise", "chalet", "chalks", "chalky", "champs", "chancy",
+  "chants", "chapel", "charms", "charts", "chased", "chaser", "chases", "chasms", "chaste", "chatty",
+  "cheats", "checks", "cheeks", "cheeky", "cheeps", "cheers", "cheery", "cheese", "cheesy", "cherry",
+  "cherub", "chests", "chewed", "chewer", "chicer", "chichi", "chicks", "chicle", "chided", "chides",
+  "chiefs", "chills", "chilly", "chimed", "chimes", "chimps", "chinks", "chinos", "chintz", "chirps",
+  "chisel", "chitin", "chives", "chocks", "choirs", "choked", "choker", "chokes", "choler", "chomps",
+  "choosy", "choppy", "choral", "chords", "chores", "chorus", "chowed", "chrome", "chubby", "chucks",
+  "chummy", "chumps", "chunks", "chunky", "churls", "churns", "chutes", "cicada", "ciders", "cigars",
+  "cilium", "cinder", "cinema", "cipher", "circus", "cirrus", "cities", "citing", "citric", "citron",
+  "citrus", "civets", "civics", "clacks", "claims", "clammy", "clamor", "clamps", "clangs", "clanks",
+  "claret", "clasps", "classy", "clause", "clawed", "clayey", "cleans", "clears", "cleats", "cleave",
+  "clefts", "clench", "clergy", "cleric", "clerks", "clewed", "clicks", "client", "cliffs", "climax",
+  "climbs", "climes", "clinch", "clings", "clingy", "clinic", "clinks", "clique", "cloaks", "cloche",
+  "clocks", "clomps", "cloned", "clones", "closes", "closet", "clothe", "cloths", "clouds", "cloudy",
+  "clouts", "cloven", "clover", "cloves", "clowns", "cloyed", "clucks", "cluing", "clumps", "clumsy",
+  "clunks", "clunky", "clutch", "coaled", "coarse", "coasts", "coated", "coaxed", "coaxes", "cobalt",
+  "cobble", "cobras", "cobweb", "coccis", "coccus", "coccyx", "cocked", "cockle", "cocoas", "cocoon",
+  "codded", "coddle", "codger", "codify", "coerce", "coeval", "coffer", "coffin", "cogent", "cognac",
+  "cohere", "cohort", "coiled", "coined", "coital", "coitus", "coking", "colder", "coldly", "collar",
+  "collie", "colons", "colony", "colors", "combat", "combed", "combos", "comedy", "comely", "comers",
+  "comets", "comics", "comity", "commas", "commit", "compel", "comply", "conchs", "concur", "condom",
+  "condor", "condos", "confab", "confer", "congas", "conics", "conked", "conned", "consul", "convex",
+  "convey", "convoy", "cooing", "cooked", "cooker", "cookie", "cooled", "cooler", "coolie", "coolly",
+  "cooped", "cooper", "cootie", "copier", "copies", "coping", "copped", "copper", "copses", "copter",
+  "copula", "corals", "corded", "cordon", "coring", "corked", "cornea", "corned", "cornet", "corona",
+  "corpse", "corpus", "corral", "corset", "cortex", "cosign", "cosine", "cosmic", "cosmos", "costar",
+  "costed", "costly", "cotter", "cotton", "cougar", "coughs", "counts", "coupes", "coupon", "courts",
+  "cousin", "covens", "covers", "covert", "covets", "coveys", "coward", "cowboy", "cowers", "cowing",
+  "cowpox", "coyest", "coyote", "cozens", "cozier", "cozies", "cozily", "crabby", "cracks", "cradle",
+  "crafts", "crafty", "craggy", "cramps", "craned", "cranes", "cranks", "cranky", "cranny", "crapes",
+  "crappy", "crated", "crater", "crates", "cravat", "craved", "craven", "craves", "crawls", "crayon",
+  "crazed", "crazes", "creaks", "creaky", "creams", "creamy", "crease", "credos", "creeds", "creeks",
+  "creels", "creeps", "creepy", "creole", "crepes", "crests", "cretin", "crewed", "cricks", "criers",
+  "crimes", "crimps", "cringe", "crises", "crisis", "crisps", "crispy", "critic", "croaks", "crocks",
+  "crocus", "crofts", "crones", "crooks", "croons", "crotch", "crouch", "croupy", "crowds", "crowed",
+  "crowns", "cruddy", "cruder", "cruets", "cruise", "crumbs", "crumby", "crummy", "crunch", "crusts",
+  "crusty", "crutch", "cruxes", "crying", "crypts", "cubing", "cubism", "cubist", "cubits", "cuckoo",
+  "cuddle", "cuddly", "cudgel", "cuffed", "culled", "cumuli", "cupful", "cupids", "cupola", "cupped",
+  "curacy", "curate", "curbed", "curdle", "curfew", "curies", "curing", "curios", "curled", "curler",
+  "curlew", "cursed", "curses", "curter", "curtly", "curtsy", "curved", "curves", "cuspid", "cussed",
+  "cusses", "custom", "cutely", "cutest", "cutesy", "cutlet", "cutoff", "cutout", "cutter", "cutups",
+  "cycled", "cycles", "cyclic", "cygnet", "cymbal", "cynics", "cystic", "dabbed", "dabble", "dachas",
+  "dactyl", "dadoes", "daemon", "dafter", "dagger", "dahlia", "dainty", "daises", "damask", "dammed",
+  "damned", "damped", "dampen", "damper", "damply", "damsel", "damson", "danced", "dancer", "dances",
+  "dander", "dandle", "dangle", "danker", "dankly", "dapper", "dapple", "daring", "darken", "darker",
+  "darkly", "darned", "darted", "dashed", "dashes", "dative", "daubed", "dauber", "daunts", "davits",
+  "dawdle", "dawned", "daybed", "dazing", "dazzle", "deacon", "deaden", "deader", "deadly", "deafen",
+  "deafer", "dealer", "dearer", "dearly", "dearth", "deaths", "deaves", "debark", "debars", "debase",
+  "debits", "debris", "debtor", "debugs", "debunk", "debuts", "decals", "decamp", "decant", "decays",
+  "deceit", "decked", "decode", "decors", "decoys", "decree", "deduct", "deeded", "deejay", "deepen",
+  "deeper", "deface", "defame", "defeat", "defect", "defend", "defers", "defied", "defies", "defile",
+  "deform", "defray", "defter", "deftly", "defuse", "deiced", "deicer", "deices", "deigns", "deject",
+  "delays", "deltas", "delude", "deluge", "deluxe", "delved", "delves", "demean", "demise", "demoed",
+  "demons", "demote", "demure", "demurs", "denial", "denied", "denier", "denies", "denims", "denote",
+  "denser", "dental", "dented", "dentin", "denude", "depart", "depict", "deploy", "deport", "depose",
+  "depots", "depths", "depute", "deputy", "derail", "deride", "dermis", "descry", "desert", "desist",
+  "despot", "detach", "detain", "deters", "detest", "detour", "deuces", "devils", "devise", "devoid",
+  "devour", "devout", "dewier", "dewlap", "dharma", "dhotis", "diadem", "dialed", "dialog", "diaper",
+  "diatom", "dibble", "dicier", "dicing", "dicker", "dickey", "dictum", "diddle", "diesel", "dieted",
+  "dieter", "digest", "digger", "digits", "diking", "dilate", "dilute", "dimmed", "dimmer", "dimple",
+  "dimwit", "diners", "dinged", "dinghy", "dining", "dinned", "diodes", "dioxin", "dipole", "dipped",
+  "dipper", "direst", "dirges", "disarm", "disbar", "discos", "discus", "dished", "dishes", "dismal",
+  "dismay", "disown", "dispel", "dissed", "disuse", "dither", "dittos", "divans", "divers", "divert",
+  "divest", "divine", "diving", "divots", "doable", "docent", "docile", "docked", "docket", "doctor",
+  "dodder", "dodged", "dodger", "dodges", "doffed", "dogged", "dogies", "dogmas", "doings", "doling",
+  "dolled", "dollop", "dolmen", "doming", "domino", "donate", "donkey", "donned", "donors", "doodad",
+  "doodle", "doomed", "dopier", "doping", "dories", "dormer", "dorsal", "dosage", "dosing", "dotage",
+  "dotcom", "doting", "dotted", "doubly", "doubts", "douche", "doughy", "dourer", "dourly", "doused",
+  "douses", "dowels", "downed", "downer", "dowsed", "dowses", "doyens", "dozens", "dozing", "drably",
+  "drafts", "drafty", "dragon", "drains", "drakes", "dramas", "draped", "drapes", "drawer", "drawls",
+  "dreads", "dreams", "dreamy", "dreary", "dredge", "drench", "dressy", "driers", "driest", "drifts",
+  "drills", "drinks", "drivel", "drives", "drolly", "droned", "drones", "drools", "droops", "droopy",
+  "dropsy", "drover", "droves", "drowns", "drowse", "drowsy", "drudge", "druids", "drunks", "dryads",
+  "dryers", "drying", "dubbed", "ducats", "ducked", "duding", "dueled", "duffer", "dugout", "dulcet",
+  "dulled", "duller", "dumber", "dumbly", "dumped", "dunces", "dunged", "dunked", "dunned", "dunner",
+  "duping", "duplex", "duress", "dusted", "duster", "duties", "dwarfs", "dweebs", "dwells", "dyadic",
+  "dyeing", "dynamo", "eagles", "eaglet", "earbud", "earful", "earned", "earner", "earths", "earthy",
+  "earwax", "earwig", "easels", "easing", "eaters", "eatery", "ebbing", "echoed", "echoes", "eczema",
+  "eddied", "eddies", "edgier", "edging", "edible", "edicts", "eerier", "eerily", "efface", "effete",
+  "effigy", "egging", "eggnog", "egoism", "egoist", "egress", "egrets", "eiders", "eighth", "eights",
+  "eighty", "ejects", "elapse", "elated", "elates", "elbows", "elders", "eldest", "elects", "eleven",
+  "elfish", "elicit", "elided", "elides", "elites", "elixir", "eloped", "elopes", "eluded", "eludes",
+  "emails", "embalm", "embark", "embeds", "embers", "emblem", "embody", "emboss", "embryo", "emceed",
+  "emcees", "emends", "emerge", "emetic", "emojis", "emoted", "emotes", "empire", "employ", "enacts",
+  "enamel", "enamor", "encamp", "encase", "encode", "encore", "endear", "endive", "endows", "endued",
+  "endues", "endure", "enemas", "energy", "enfold", "engage", "engine", "engulf", "enigma", "enjoin",
+  "enjoys", "enlist", "enmesh", "enmity", "enrage", "enrich", "enroll", "ensign", "ensued", "ensues",
+  "entail", "enters", "entice", "entomb", "entrap", "envied", "envies", "envoys", "enzyme", "epochs",
+  "equals", "equate", "equine", "equips", "equity", "erased", "erases", "erects", "ermine", "eroded",
+  "erodes", "erotic", "errand", "errant", "errata", "erring", "errors", "ersatz", "erupts", "eschew",
+  "escort", "escrow", "espied", "espies", "essays", "estate", "esteem", "esters", "etched", "etcher",
+  "etches", "ethics", "ethnic", "eulogy", "eunuch", "eureka", "evaded", "evades", "evened", "evener",
+  "evenly", "events", "evicts", "eviler", "evilly", "evince", "evoked", "evokes", "evolve", "exacts",
+  "exalts", "exceed", "excels", "excess", "excise", "excite", "exempt", "exerts", "exhale", "exhort",
+  "exhume", "exiled", "exiles", "exists", "exited", "exodus", "exotic", "expels", "expend", "expire",
+  "expiry", "export", "expose", "extant", "extols", "extort", "extras", "exuded", "exudes", "exults",
+  "eyeful", "eyeing", "eyelet", "eyelid", "fabled", "fables", "fabric", "facade", "facets", "facial",
+  "facile", "facing", "fading", "fagged", "faggot", "fagots", "fainer", "faints", "fairer", "faiths",
+  "fakers", "faking", "fakirs", "falcon", "fallow", "falser", "falter", "famine", "famish", "famous",
+  "fanboy", "fandom", "fanned", "farces", "farina", "faring", "farmed", "farmer", "farrow", "farted",
+  "fasted", "fasten", "fathom", "fating", "fatten", "fatter", "faucet", "faults", "faulty", "faunas",
+  "favors", "fawned", "faxing", "fazing", "fealty", "feared", "feasts", "fecund", "fedora", "feeble",
+  "feebly", "feeder", "feeler", "feigns", "feints", "feisty", "feline", "felled", "feller", "fellow",
+  "felons", "felony", "felted", "female", "femurs", "fenced", "fencer", "fences", "fended", "fender",
+  "fennel", "ferret", "ferric", "fervid", "fervor", "festal", "fester", "feting", "fetish", "fetter",
+  "fettle", "feudal", "feuded", "fevers", "fezzes", "fiasco", "fibbed", "fibber", "fibers", "fibula",
+  "fiches", "fickle", "fiddle", "fiddly", "fidget", "fields", "fiends", "fierce", "fiesta", "fifths",
+  "fights", "filial", "filler", "fillet", "fillip", "filmed", "filter", "filthy", "finale", "finals",
+  "finder", "finely", "finery", "finest", "fining", "finked", "firing", "firmed", "firmer", "firsts",
+  "firths", "fished", "fisher", "fishes", "fitful", "fitter", "fixate", "fixers", "fixity", "fizzed",
+  "fizzes", "fizzle", "fjords", "flabby", "flacks", "flagon", "flails", "flairs", "flaked", "flakes",
+  "flamed", "flames", "flange", "flanks", "flared", "flares", "flashy", "flasks", "flatly", "flaunt",
+  "flawed", "flaxen", "flayed", "flecks", "fleece", "fleecy", "fleets", "fleshy", "flexed", "flexes",
+  "flicks", "fliers", "fliest", "flimsy", "flinch", "flings", "flints", "flinty", "flirts", "floats",
+  "flocks", "floods", "floors", "floozy", "floppy", "floral", "floras", "florid", "florin", "flours",
+  "floury", "flouts", "flowed", "flower", "fluent", "fluffs", "fluffy", "fluids", "flukes", "flumes",
+  "flunks", "flunky", "flurry", "fluted", "flutes", "fluxed", "fluxes", "flybys", "foaled", "foamed",
+  "fobbed", "fodder", "fogged", "fogies", "foible", "foiled", "foists", "folded", "folder", "folios",
+  "folksy", "foment", "fonder", "fondle", "fondly", "fondue", "fooled", "footed", "forage", "forays",
+  "forbid", "forces", "forded", "forego", "forest", "forged", "forger", "forges", "forked", "fortes",
+  "forums", "fossil", "foster", "fought", "fouled", "fouler", "foully", "founds", "founts", "fowled",
+  "foxier", "foxing", "foyers", "fracas", "fracks", "framed", "framer", "frames", "francs", "franks",
+  "frauds", "frayed", "freaks", "freaky", "freest", "freeze", "frenzy", "fresco", "friars", "fridge",
+  "frieze", "fright", "frigid", "frills", "frilly", "fringe", "frisks", "frisky", "frizzy", "frocks",
+  "frolic", "fronds", "fronts", "frosts", "frosty", "froths", "frothy", "frowns", "frowzy", "frozen",
+  "frugal", "fruits", "fruity", "frumps", "frumpy", "fryers", "frying", "fucked", "fucker", "fuddle",
+  "fudged", "fudges", "fueled", "fugues", "fulled", "fuller", "fumble", "fuming", "funded", "fungal",
+  "fungus", "funked", "funnel", "funner", "furies", "furled", "furors", "furred", "furrow", "fusing",
+  "fusion", "fussed", "fusses", "futile", "futons", "futzed", "futzes", "fuzzed", "fuzzes", "gabbed",
+  "gabble", "gabled", "gables", "gadded", "gadfly", "gadget", "gaffed", "gaffes", "gagged", "gaggle",
+  "gaiety", "gaiter", "galaxy", "galena", "galled", "galley", "gallon", "gallop", "galore", "galosh",
+  "gambit", "gamble", "gambol", "gamely", "gamest", "gamete", "gamier", "gamine", "gaming", "gamins",
+  "gammas", "gamuts", "gander", "ganged", "gannet", "gantry", "gaping", "garage", "garbed", "garble",
+  "gargle", "garish", "garlic", "garner", "garnet", "garret", "garter", "gashed", "gashes", "gasket",
+  "gasped", "gassed", "gating", "gauche", "gaucho", "gauged", "gauges", "gavels", "gawked", "gayest",
+  "gazebo", "gazers", "gazing", "geared", "geckos", "geeing", "geezer", "geisha", "gelded", "gelled",
+  "gender", "genera", "genial", "genies", "genius", "genome", "genres", "gentle", "gently", "gentry",
+  "geodes", "gerbil", "gerund", "gewgaw", "geyser", "ghetto", "ghosts", "ghouls", "giants", "gibber",
+  "gibbet", "gibbon", "gibing", "giblet", "gifted", "gigged", "giggle", "giggly", "gigolo", "gilded",
+  "gimlet", "ginger", "ginkgo", "ginned", "girded", "girder", "girdle", "girted", "girths", "givens",
+  "gizmos", "glades", "gladly", "glance", "glands", "glared", "glares", "glassy", "glazed", "glazes",
+  "gleams", "gleans", "glibly", "glided", "glider", "glides", "glints", "glitch", "glitzy", "gloats",
+  "globes", "gloomy", "glossy", "gloved", "gloves", "glowed", "glower", "gluier", "gluing", "glumly",
+  "gluten", "gnarls", "gnarly", "gnawed", "gneiss", "gnomes", "goaded", "goalie", "goatee", "gobbed",
+  "gobble", "goblet", "goblin", "godson", "gofers", "goggle", "goings", "goiter", "golden", "golfed",
+  "golfer", "gonads", "goners", "gonged", "goober", "goodly", "goofed", "google", "gooier", "goosed",
+  "gooses", "gopher", "gorged", "gorges", "gorier", "goring", "gospel", "gossip", "gouged", "gouger",
+  "gouges", "gourds", "govern", "gowned", "graced", "graces", "graded", "grader", "grades", "grafts",
+  "grains", "grainy", "grands", "grange", "granny", "grants", "grapes", "graphs", "grasps", "grassy",
+  "grated", "grater", "grates", "gratis", "graved", "gravel", "graven", "graver", "graves", "grayed",
+  "grayer", "grazed", "grazes", "grease", "greasy", "greats", "grebes", "greedy", "greens", "greets",
+  "griefs", "grieve", "grille", "grills", "grimed", "grimes", "grimly", "grinds", "gringo", "griped",
+  "gripes", "grippe", "grisly", "gritty", "groans", "grocer", "groggy", "groins", "grooms", "groove",
+  "groovy", "groped", "gropes", "grotto", "grouch", "groups", "grouse", "grouts", "grovel", "groves",
+  "grower", "growls", "grubby", "grudge", "grumpy", "grunge", "grungy", "grunts", "guards", "guavas",
+  "guests", "guffaw", "guided", "guides", "guilds", "guilty", "guinea", "guises", "guitar", "gulags",
+  "gulled", "gullet", "gulped", "gumbos", "gummed", "gunman", "gunmen", "gunned", "gunner", "gurgle",
+  "gurney", "gushed", "gusher", "gushes", "gusset", "gusted", "gutted", "gutter", "guying", "guzzle",
+  "gypped", "gypsum", "gyrate", "habits", "hacked", "hacker", "hackle", "haggle", "hailed", "hairdo",
+  "haired", "halest", "haling", "hallow", "haloed", "halted", "halter", "halved", "halves", "hamlet",
+  "hammed", "hammer", "hamper", "hangar", "hanged", "hanger", "hanker", "hankie", "hansom", "harass",
+  "harbor", "harden", "harems", "haring", "harked", "harlot", "harmed", "harped", "harrow", "hashed",
+  "hashes", "hassle", "hasted", "hasten", "hastes", "haters", "hating", "hatred", "hatted", "hatter",
+  "hauled", "hauler", "haunch", "haunts", "havens", "hawing", "hawked", "hawker", "hawser", "haying",
+  "haymow", "hazard", "hazels", "hazier", "hazily", "hazing", "hazmat", "healed", "healer", "heaped",
+  "hearer", "hearse", "hearth", "hearts", "hearty", "heated", "heater", "heaths", "heaved", "heaven",
+  "heaves", "heckle", "hectic", "hector", "hedged", "hedges", "heeded", "heehaw", "heeled", "hefted",
+  "heifer", "height", "heists", "helium", "hellos", "helmet", "helots", "helper", "hemmed", "hempen",
+  "hennas", "hepper", "herald", "herbal", "herded", "herder", "herein", "hereof", "heresy", "hereto",
+  "hermit", "hernia", "heroes", "heroic", "heroin", "herons", "herpes", "hewers", "hewing", "hexing",
+  "heyday", "hiatus", "hiccup", "hickey", "hieing", "hijack", "hikers", "hiking", "hinder", "hinged",
+  "hinges", "hinted", "hipped", "hipper", "hippie", "hippos", "hiring", "hissed", "hisses", "hither",
+  "hitter", "hiving", "hoagie", "hoards", "hoarse", "hoaxed", "hoaxer", "hoaxes", "hobbit", "hobble",
+  "hobnob", "hocked", "hockey", "hoeing", "hogans", "hogged", "hoists", "hokier", "holder", "holdup",
+  "holier", "holing", "holler", "hollow", "homage", "homely", "homers", "homeys", "homier", "homily",
+  "homing", "hominy", "honcho", "honeys", "honing", "honked", "honors", "hooded", "hoodie", "hoodoo",
+  "hoofed", "hookah", "hooked", "hooker", "hookup", "hooped", "hoopla", "hooray", "hooted", "hooter",
+  "hooves", "hopped", "hopper", "horded", "hordes", "horned", "hornet", "horrid", "horror", "horsed",
+  "horses", "horsey", "hosing", "hosted", "hostel", "hotbed", "hotels", "hotkey", "hotter", "hounds",
+  "hourly", "housed", "houses", "hovels", "hovers", "howdah", "howled", "howler", "hubbub", "hubcap",
+  "hubris", "huddle", "huffed", "hugely", "hugest", "hugged", "hulled", "humane", "humans", "humble",
+  "humbly", "humbug", "humeri", "hummed", "hummus", "humors", "humped", "hunger", "hungry", "hunker",
+  "hunted", "hunter", "hurdle", "hurled", "hurler", "hurrah", "hurtle", "hushed", "hushes", "husked",
+  "husker", "hussar", "hustle", "hybrid", "hydras", "hyenas", "hymens", "hymnal", "hymned", "hyphen",
+  "hyping", "iambic", "ibexes", "ibises", "icebox", "icecap", "icicle", "iciest", "icings", "ickier",
+  "ideals", "idiocy", "idioms", "idiots", "idlers", "idlest", "idling", "idylls", "iffier", "igloos",
+  "ignite", "iguana", "imaged", "images", "imbibe", "imbued", "imbues", "immune", "immure", "impair",
+  "impala", "impale", "impart", "impede", "impels", "impend", "impish", "import", "impugn", "impure",
+  "impute", "inaner", "inborn", "inbred", "incest", "inched", "inches", "incise", "incite", "incurs",
+  "indent", "indict", "indigo", "indoor", "induce", "induct", "infamy", "infant", "infect", "infers",
+  "infest", "infirm", "inflow", "influx", "infuse", "ingest", "ingots", "inhale", "inhere", "inject",
+  "injure", "injury", "inkier", "inking", "inlaid", "inland", "inlays", "inlets", "inline", "inmate",
+  "inmost", "innate", "inning", "inputs", "inroad", "insane", "inseam", "insect", "insets", "insole",
+  "instep", "insult", "insure", "intact", "intake", "intent", "intern", "inters", "intone", "intros",
+  "intuit", "inured", "inures", "invade", "invert", "invest", "invoke", "inward", "iodine", "iodize",
+  "ionize", "ipecac", "irises", "irking", "ironed", "ironic", "island", "islets", "isobar", "issues",
+  "italic", "itched", "itches", "jabbed", "jabber", "jabots", "jackal", "jacked", "jacket", "jading",
+  "jagged", "jaguar", "jailed", "jailer", "jalopy", "jammed", "jangle", "japans", "japing", "jargon",
+  "jarred", "jasper", "jaunts", "jaunty", "jawing", "jazzed", "jazzes", "jeered", "jejune", "jelled",
+  "jerked", "jerkin", "jersey", "jested", "jester", "jetsam", "jetted", "jewels", "jibbed", "jibing",
+  "jigged", "jigger", "jiggle", "jigsaw", "jihads", "jilted", "jingle", "jinxed", "jinxes", "jitney",
+  "jiving", "jobbed", "jobber", "jockey", "jocose", "jocund", "jogged", "jogger", "joggle", "joiner",
+  "joints", "joists", "jokers", "joking", "jolted", "joshed", "joshes", "jostle", "jotted", "joules",
+  "jounce", "jousts", "jovial", "joyful", "joying", "joyous", "judged", "judges", "jugged", "juggle",
+  "juiced", "juicer", "juices", "jujube", "juleps", "jumble", "jumbos", "jumped", "jumper", "juncos",
+  "jungle", "junior", "junked", "junker", "junket", "junkie", "juntas", "juries", "jurist", "jurors",
+  "juster", "justly", "jutted", "kaboom", "kaolin", "karate", "karats", "kayaks", "kazoos", "kebabs",
+  "keeled", "keened", "keener", "keenly", "keeper", "kenned", "kennel", "kernel", "kettle", "keying",
+  "khakis", "kibitz", "kibosh", "kicked", "kicker", "kidded", "kidder", "kiddie", "kiddos", "kidnap",
+  "kidney", "killer", "kilned", "kilter", "kimono", "kinder", "kindle", "kingly", "kinked", "kiosks",
+  "kipper", "kismet", "kissed", "kisser", "kisses", "kiting", "kitsch", "kitten", "klutzy", "knacks",
+  "knaves", "kneads", "kneels", "knells", "knifed", "knifes", "knight", "knives", "knobby", "knocks",
+  "knolls", "knotty", "koalas", "kopeck", "kosher", "kowtow", "kroner", "kronor", "kudzus", "labels",
+  "labial", "labium", "labors", "lacier", "lacing", "lackey", "lactic", "lacuna", "ladder", "laddie",
+  "ladies", "lading", "ladled", "ladles", "lagers", "lagged", "lagoon", "lambda", "lambed", "lamely",
+  "lament", "lamest", "laming", "lammed", "lanced", "lancer", "lances", "lancet", "lander", "lanker",
+  "lapels", "lapped", "lapsed", "lapses", "laptop", "larded", "larder", "larges", "largos", "lariat",
+  "larked", "larvae", "larval", "larynx", "lasers", "lashed", "lashes", "lasses", "lassie", "lassos",
+  "lasted", "lastly", "lately", "latent", "lathed", "lather", "lathes", "lattes", "lauded", "laughs",
+  "launch", "laurel", "lavish", "lawful", "lawyer", "laxest", "laxity", "layers", "laying", "layman",
+  "laymen", "layoff", "lazied", "lazier", "lazies", "lazily", "lazing", "leaded", "leaden", "leafed",
+  "league", "leaked", "leaned", "leaner", "leaped", "learns", "leased", "leases", "leaved", "leaven",
+  "leaves", "lecher", "ledger", "ledges", "leered", "leeway", "lefter", "legacy", "legals", "legate",
+  "legato", "legend", "legged", "legion", "legman", "legmen", "legume", "lemmas", "lemons", "lemony",
+  "lemurs", "lender", "lenses", "lentil", "lepers", "lesion", "lessee", "lessen", "lessor", "lethal",
+  "letups", "levees", "levels", "levers", "levied", "levies", "levity", "lewder", "lewdly", "liaise",
+  "libels", "libido", "lichen", "licked", "lidded", "liefer", "lieges", "lifers", "lifted", "lights",
+  "likens", "likest", "lilacs", "lilies", "lilted", "limber", "limbos", "limier", "liming", "limits",
+  "limned", "limped", "limper", "limpet", "limpid", "limply", "linage", "linden", "lineal", "linens",
+  "liners", "lineup", "linger", "lining", "linker", "linkup", "linnet", "lintel", "lipids", "liquid",
+  "liquor", "lisped", "litany", "litchi", "liters", "lither", "litmus", "litter", "lively", "livens",
+  "livers", "livery", "livest", "lizard", "llamas", "llanos", "loader", "loafed", "loafer", "loaned",
+  "loaner", "loathe", "loaves", "lobbed", "locale", "locals", "locate", "locker", "locket", "lockup",
+  "locust", "lodged", "lodger", "lodges", "lofted", "logger", "logins", "logjam", "logoff", "logons",
+  "logout", "loiter", "lolcat", "lolled", "lonely", "loners", "longed", "loofah", "lookup", "loomed",
+  "loonie", "looped", "loosed", "loosen", "looser", "looses", "looted", "looter", "loping", "lopped",
+  "lorded", "lordly", "losers", "losses", "lotion", "louder", "lounge", "louses", "louver", "lovely",
+  "lovers", "loving", "lowers", "lowing", "lowish", "lubber", "lubing", "lucked", "lugged", "lulled",
+  "lumbar", "lumber", "lummox", "lumped", "lunacy", "lunged", "lunges", "lupine", "luring", "lurked",
+  "lusher", "lushes", "lusted", "luster", "luxury", "lyceum", "lynxes", "lyrics", "macaws", "macing",
+  "macron", "macros", "madame", "madams", "madcap", "madden", "madder", "madman", "madmen", "madras",
+  "maggot", "magnet", "magnum", "magpie", "maiden", "mailed", "mailer", "maimed", "maizes", "majors",
+  "makers", "makeup", "malady", "malice", "malign", "mallet", "mallow", "malted", "mambos", "mammal",
+  "mammon", "manful", "manger", "mangle", "maniac", "manias", "manics", "manned", "manors", "manses",
+  "mantel", "mantes", "mantis", "mantle", "mantra", "manure", "maples", "mapped", "mapper", "maraca",
+  "maraud", "marble", "margin", "marina", "marine", "marker", "markup", "marlin", "marmot", "maroon",
+  "marred", "marrow", "marshy", "marten", "martin", "martyr", "marvel", "mascot", "mashed", "masher",
+  "mashes", "mashup", "masked", "masons", "masque", "massed", "masses", "mating", "matins", "matrix",
+  "matron", "matted", "mattes", "mature", "matzoh", "matzos", "matzot", "mauled", "mavens", "maxima",
+  "maxims", "maxing", "maybes", "mayday", "mayfly", "mayhem", "mayors", "meadow", "meager", "meaner",
+  "meanly", "measly", "meccas", "medals", "meddle", "medial", "median", "medias", "medics", "medley",
+  "meeker", "meekly", "melded", "mellow", "melody", "melons", "melted", "memoir", "menace", "menage",
+  "mended", "mender", "menial", "menses", "mental", "mentor", "meowed", "merest", "merged", "merger",
+  "merges", "merino", "merits", "merman", "mermen", "mescal", "meshed", "meshes", "messed", "messes",
+  "metals", "meteor", "meters", "meting", "metric", "metros", "mettle", "mewing", "mewled", "miasma",
+  "micron", "midair", "midday", "midges", "midget", "midway", "miffed", "mighty", "miking", "milder",
+  "mildew", "mildly", "milers", "milieu", "milked", "milker", "milled", "miller", "millet", "mimics",
+  "miming", "mimosa", "minced", "minces", "miners", "mingle", "minima", "minims", "mining", "minion",
+  "minnow", "minors", "minted", "minuet", "minxes", "mirage", "miring", "mirror", "miscue", "misdid",
+  "misers", "misery", "misfit", "mishap", "mislay", "missal", "misses", "misted", "mister", "miters",
+  "mitten", "mixers", "mizzen", "moaned", "mobbed", "mobile", "mochas", "mocked", "mocker", "modals",
+  "models", "modems", "modest", "modish", "module", "moguls", "mohair", "moiety", "moires", "molars",
+  "molded", "molder", "molest", "molted", "molten", "monger", "monies", "monkey", "months", "mooing",
+  "mooned", "moored", "mooted", "mopeds", "moping", "mopped", "moppet", "morale", "morals", "morass",
+  "morays", "morbid", "morgue", "morons", "morose", "morrow", "morsel", "mortal", "mortar", "mosaic",
+  "moseys", "mosque", "mosses", "motels", "motifs", "motile", "motive", "motley", "motors", "mottle",
+  "mounds", "mounts", "mourns", "moused", "mouser", "mouses", "mousse", "mouths", "movers", "movies",
+  "mowers", "mowing", "mucked", "mucous", "muddle", "muesli", "muffed", "muffin", "muffle", "muftis",
+  "mugged", "mugger", "muggle", "mukluk", "mulish", "mullah", "mulled", "mullet", "mumble", "mummer",
+  "murals", "murder", "murmur", "muscat", "muscle", "museum", "mushed", "mushes", "musing", "musket",
+  "muslin", "mussed", "mussel", "musses", "muster", "mutant", "mutate", "mutely", "mutest", "muting",
+  "mutiny", "mutter", "mutton", "mutual", "muumuu", "muzzle", "myopia", "myopic", "myriad", "myrtle",
+  "mystic", "mythic", "nabbed", "nabobs", "nachos", "nadirs", "nagged", "naiads", "nailed", "naiver",
+  "napalm", "napkin", "napped", "narrow", "nasals", "native", "naught", "nausea", "navels", "navies",
+  "neared", "neater", "neatly", "nebula", "necked", "nectar", "needle", "negate", "neighs", "neocon",
+  "nephew", "nerved", "nerves", "nested", "nestle", "nether", "netted", "nettle", "neural", "neuron",
+  "neuter", "newbie", "newels", "newest", "newton", "niacin", "nibble", "nicely", "nicety", "niches",
+  "nicked", "nickel", "nieces", "niggas", "niggaz", "nigger", "niggle", "nigher", "nights", "nimble",
+  "nimbly", "nimbus", "ninety", "ninjas", "ninths", "nipped", "nipper", "nipple", "nitwit", "nixing",
+  "nobler", "nobles", "nodded", "nodule", "noggin", "noised", "noises", "nomads", "noncom", "nonfat",
+  "noodle", "nooses", "noshed", "noshes", "nosier", "nosing", "notary", "notion", "nougat", "novels",
+  "novice", "nowise", "nozzle", "nuance", "nubile", "nuclei", "nudest", "nudged", "nudges", "nudism",
+  "nudist", "nudity", "nugget", "nuking", "numbed", "numbly", "nuncio", "nursed", "nurses", "nutmeg",
+  "nutria", "nutted", "nuzzle", "nylons", "nymphs", "oafish", "oaring", "obeyed", "oblate", "oblige",
+  "oblong", "oboist", "obsess", "obtuse", "occult", "occurs", "oceans", "ocelot", "octane", "octave",
+  "octets", "ocular", "oddest", "oddity", "odious", "offend", "offers", "offing", "offset", "ogling",
+  "oilier", "oiling", "oinked", "oldies", "olives", "omegas", "omelet", "onions", "online", "onrush",
+  "onsets", "onuses", "onward", "onyxes", "oodles", "oozing", "opaque", "opener", "openly", "operas",
+  "opiate", "opined", "opines", "optics", "optima", "opting", "opuses", "oracle", "orally", "orange",
+  "orated", "orates", "orator", "orbits", "orchid", "ordain", "ordeal", "orders", "ordure", "organs",
+  "orgasm", "orgies", "orient", "oriole", "ormolu", "ornate", "ornery", "orphan", "osiers", "osprey",
+  "ossify", "others", "otiose", "otters", "ounces", "ousted", "ouster", "outage", "outbid", "outcry",
+  "outdid", "outfit", "outfox", "outing", "outlaw", "outlay", "outlet", "outran", "outrun", "outset",
+  "outwit", "overdo", "overly", "ovoids", "ovules", "owlets", "owlish", "owners", "owning", "oxbows",
+  "oxford", "oxides", "oxygen", "oyster", "pacify", "pacing", "packed", "packer", "padded", "paddle",
+  "padres", "paeans", "pagans", "pagers", "paging", "pagoda", "pained", "paints", "paired", "palace",
+  "palate", "palest", "paling", "palled", "pallet", "pallid", "pallor", "palmed", "paltry", "pampas",
+  "pamper", "pandas", "pander", "panels", "panics", "panned", "panted", "pantie", "pantry", "papacy",
+  "papaya", "papers", "papery", "papyri", "parade", "parcel", "pardon", "pariah", "paring", "parish",
+  "parity", "parkas", "parked", "parlay", "parley", "parlor", "parody", "parole", "parred", "parrot",
+  "parsec", "parsed", "parser", "parses", "parson", "parted", "pashas", "passel", "passer", "passes",
+  "pastas", "pasted", "pastel", "pastes", "pastor", "pastry", "patchy", "patent", "pathos", "patina",
+  "patine", "patios", "patois", "patrol", "patron", "patted", "patter", "paunch", "pauper", "paused",
+  "pauses", "paving", "pawing", "pawned", "pawpaw", "payday", "payees", "payers", "payoff", "peaces",
+  "peahen", "peaked", "pealed", "peanut", "pearls", "pearly", "pebble", "pebbly", "pecans", "pecked",
+  "pectin", "pedals", "pedant", "peddle", "peeing", "peeked", "peeled", "peeped", "peeper", "peered",
+  "peeved", "peeves", "peewee", "pegged", "pellet", "pelted", "pelvic", "pelvis", "pencil", "pended",
+  "penile", "penned", "pennon", "penury", "pepped", "pepper", "pepsin", "peptic", "perils", "perish",
+  "perked", "permed", "perter", "pertly", "peruse", "peseta", "pester", "pestle", "petals", "petard",
+  "peters", "petite", "petrel", "petted", "pewees", "pewter", "peyote", "phalli", "phased", "phases",
+  "phials", "phlegm", "phloem", "phobia", "phobic", "phoebe", "phoned", "phones", "phonic", "phooey",
+  "photon", "photos", "phylum", "physic", "pianos", "piazza", "pickax", "picker", "picket", "pickle",
+  "pickup", "picnic", "piddle", "pidgin", "pieced", "pieces", "pieing", "pierce", "piffle", "pigeon",
+  "pigged", "piglet", "pigpen", "pigsty", "pikers", "piking", "pilafs", "pileup", "pilfer", "piling",
+  "pillar", "pilled", "pillow", "pilots", "pimped", "pimple", "pimply", "pincer", "pinged", "pining",
+  "pinion", "pinked", "pinker", "pinkie", "pinned", "pintos", "pinups", "pipers", "piping", "pipits",
+  "pipped", "pippin", "piqued", "piques", "piracy", "pirate", "pissed", "pisses", "pistil", "pistol",
+  "piston", "pitied", "pities", "pitons", "pitted", "pivots", "pixels", "pixies", "pizzas", "placer",
+  "places", "placid", "plague", "plaice", "plaids", "plains", "plaint", "plaits", "planar", "planed",
+  "planes", "planks", "plants", "plaque", "plasma", "plated", "platen", "plates", "player", "plazas",
+  "pleads", "pleats", "pledge", "plexus", "pliant", "pliers", "plight", "plinth", "plover", "plowed",
+  "plucks", "plucky", "plugin", "plumbs", "plumed", "plumes", "plumps", "plunge", "plunks", "plural",
+  "pluses", "plushy", "plying", "pocked", "podded", "podium", "poetic", "poetry", "pogrom", "points",
+  "pointy", "poised", "poises", "poison", "pokers", "pokeys", "pokier", "poking", "poling", "polios",
+  "polish", "polite", "polity", "polkas", "polled", "pollen", "polyps", "pomade", "pommel", "pompom",
+  "poncho", "ponder", "ponies", "poodle", "poohed", "pooled", "pooped", "poorer", "poorly", "popgun",
+  "poplar", "poplin", "poppas", "popped", "poring", "porous", "portal", "ported", "porter", "portly",
+  "posers", "poseur", "posher", "posies", "posing", "posits", "posses", "possum", "postal", "poster",
+  "potash", "potato", "potent", "potful", "potion", "potpie", "potted", "potter", "pounce", "pounds",
+  "poured", "pouted", "powder", "powers", "powwow", "praise", "prance", "pranks", "prated", "prates",
+  "prawns", "prayed", "prayer", "preach", "preens", "prefab", "prefix", "prenup", "prepay", "preppy",
+  "preset", "presto", "prewar", "preyed", "priced", "prices", "pricey", "pricks", "prided", "prides",
+  "priest", "primal", "primed", "primer", "primes", "primly", "primps", "prince", "prints", "priors",
+  "priory", "prisms", "prison", "prissy", "privet", "prized", "prizes", "probed", "probes", "profit",
+  "prolix", "promos", "prongs", "pronto", "proofs", "propel", "proton", "proven", "proves", "prowls",
+  "prudes", "pruned", "prunes", "prying", "psalms", "pseudo", "pshaws", "psyche", "psycho", "psychs",
+  "pucker", "puddle", "pueblo", "puffed", "puffer", "puffin", "puking", "puller", "pullet", "pulley",
+  "pulped", "pulpit", "pulsar", "pulsed", "pulses", "pumice", "pummel", "pumped", "pumper", "punchy",
+  "pundit", "punier", "punish", "punker", "punned", "punted", "punter", "pupils", "pupped", "puppet",
+  "pureed", "purees", "purest", "purged", "purges", "purify", "purism", "purist", "purity", "purled",
+  "purple", "purred", "pursed", "purser", "purses", "pursue", "purvey", "pusher", "pushes", "pusses",
+  "putrid", "putsch", "putted", "putter", "puzzle", "pwning", "pylons", "pyrite", "python", "quacks",
+  "quaffs", "quahog", "quails", "quaint", "quaked", "quakes", "qualms", "quanta", "quarks", "quarry",
+  "quarto", "quarts", "quartz", "quasar", "quaver", "queasy", "queens", "queers", "quells", "quench",
+  "quests", "queued", "queues", "quiche", "quiets", "quills", "quilts", "quince", "quires", "quirks",
+  "quirky", "quiver", "quoits", "quorum", "quotas", "quotes", "rabbis", "rabbit", "rabble", "rabies",
+  "raceme", "racers", "racial", "racier", "racily", "racing", "racism", "racist", "racked", "racket",
+  "radars", "radial", "radios", "radish", "radium", "radius", "raffia", "raffle", "rafted", "rafter",
+  "ragged", "raging", "raglan", "ragout", "ragtag", "raided", "raider", "railed", "rained", "raises",
+  "raisin", "rajahs", "raking", "rakish", "ramble", "ramify", "rammed", "ramrod", "rancid", "rancor",
+  "ranged", "ranger", "ranges", "ranked", "ranker", "rankle", "ransom", "ranted", "ranter", "rapids",
+  "rapier", "rapine", "raping", "rapist", "rapped", "rapper", "rarefy", "rarest", "raring", "rarity",
+  "rascal", "rasher", "rashes", "rashly", "rasped", "raster", "ratify", "rating", "ration", "ratios",
+  "rattan", "ratted", "rattle", "ravage", "ravels", "ravens", "ravine", "raving", "ravish", "rawest",
+  "razing", "razors", "razzed", "razzes", "reacts", "realer", "realms", "realty", "reamed", "reamer",
+  "reaped", "reaper", "reared", "rearms", "rebate", "rebels", "rebind", "reborn", "rebuff", "rebuke",
+  "rebuts", "recant", "recaps", "recast", "recede", "recess", "recipe", "recite", "reckon", "recoil",
+  "recopy", "recoup", "rectal", "rector", "rectum", "recurs", "redcap", "redden", "redder", "redeem",
+  "redoes", "redone", "redraw", "redrew", "reefed", "reefer", "reeked", "reeled", "reeves", "refers",
+  "reffed", "refile", "refill", "refine", "refits", "reflex", "reform", "refuel", "refuge", "refund",
+  "refute", "regain", "regale", "regent", "reggae", "regime", "rehabs", "rehash", "reheat", "rehire",
+  "reigns", "reined", "rejoin", "relaid", "relays", "relent", "relics", "relied", "relief", "relies",
+  "relish", "relive", "reload", "remade", "remake", "remand", "remedy", "remiss", "remits", "rename",
+  "render", "renege", "renews", "rennet", "renown", "rental", "rented", "renter", "reopen", "reorgs",
+  "repaid", "repast", "repays", "repeal", "repels", "repent", "replay", "repose", "repute", "reread",
+  "reruns", "resale", "rescue", "resell", "resend", "resent", "resets", "reside", "resign", "resins",
+  "resist", "resold", "rested", "resume", "retail", "retake", "retard", "retell", "retina", "retire",
+  "retold", "retook", "retool", "retort", "retrod", "retype", "reused", "reuses", "revamp", "revels",
+  "revere", "revert", "revile", "revise", "revive", "revoke", "revolt", "revues", "revved", "reward",
+  "rewind", "rewire", "reword", "rework", "rheumy", "rhinos", "rhymed", "rhymes", "rhythm", "ribald",
+  "ribbed", "ribbon", "richer", "riches", "richly", "ricing", "ricked", "ridden", "riddle", "riders",
+  "ridged", "ridges", "riding", "rifest", "riffed", "riffle", "rifled", "rifles", "rifted", "rigged",
+  "rights", "rigors", "riling", "riming", "rimmed", "ringed", "ringer", "rinsed", "rinses", "rioted",
+  "rioter", "ripely", "ripens", "ripest", "ripped", "ripper", "ripple", "ripsaw", "risers", "rising",
+  "risked", "ritual", "rivals", "rivers", "rivets", "roamed", "roamer", "roared", "roasts", "robbed",
+  "robber", "robing", "robins", "robots", "robust", "rocked", "rocker", "rocket", "rococo", "rodent",
+  "rodeos", "rogers", "rogues", "roiled", "rolled", "roller", "romped", "romper", "roofed", "roofer",
+  "rooked", "rookie", "roomed", "roomer", "roosts", "rooted", "rooter", "roping", "rosary", "rosier",
+  "rosily", "rosins", "roster", "rotary", "rotate", "rotors", "rotted", "rotten", "rotund", "rouged",
+  "rouges", "roughs", "rounds", "roused", "rouses", "routed", "router", "routes", "rovers", "roving",
+  "rowels", "rowers", "rowing", "royals", "rubbed", "rubble", "rubier", "rubies", "rubles", "rubric",
+  "ruckus", "rudder", "rudely", "rudest", "rueful", "ruffed", "ruffle", "rugged", "rugrat", "ruined",
+  "rulers", "ruling", "rumbas", "rumble", "rummer", "rumors", "rumple", "rumpus", "runnel", "runner",
+  "runoff", "runway", "rupees", "rushed", "rushes", "russet", "rusted", "rustic", "rustle", "rutted",
+  "sabers", "sables", "sachem", "sachet", "sacked", "sacred", "sadden", "sadder", "saddle", "sadism",
+  "sadist", "safari", "sagest", "sagged", "sahibs", "sailed", "sailor", "saints", "salaam", "salads",
+  "salami", "salary", "saline", "saliva", "sallow", "salmon", "salons", "saloon", "salsas", "salted",
+  "salter", "salute", "salved", "salver", "salves", "salvos", "sambas", "sampan", "sandal", "sanded",
+  "sander", "sanely", "sanest", "sanity", "sapped", "sarong", "sashay", "sashes", "sassed", "sasses",
+  "sateen", "sating", "satiny", "satire", "satrap", "satyrs", "sauced", "saucer", "sauces", "saunas",
+  "savage", "savant", "savers", "savior", "savors", "savory", "sawing", "sawyer", "scabby", "scalar",
+  "scalds", "scaled", "scales", "scalps", "scampi", "scamps", "scants", "scanty", "scarab", "scarce",
+  "scared", "scares", "scarfs", "scenes", "scenic", "scents", "schema", "schism", "schist", "schlep",
+  "schuss", "schwas", "scions", "scoffs", "scolds", "sconce", "scones", "scoops", "scoots", "scoped",
+  "scopes", "scorch", "scored", "scorer", "scores", "scorns", "scotch", "scours", "scouts", "scowls",
+  "scrams", "scrape", "scraps", "scrawl", "scream", "screws", "screwy", "scribe", "scrimp", "scrips",
+  "scroll", "scrota", "scrubs", "scruff", "scubas", "scuffs", "sculls", "sculpt", "scummy", "scurfy",
+  "scurry", "scurvy", "scuzzy", "scythe", "seabed", "sealed", "sealer", "seaman", "seamed", "seamen",
+  "seared", "seated", "seaway", "secede", "sector", "sedans", "sedate", "seduce", "seeded", "seeker",
+  "seemly", "seeped", "seesaw", "seethe", "segued", "segues", "seized", "seizes", "seldom", "selfie",
+  "seller", "selves", "senate", "sender", "senile", "sensed", "senses", "sensor", "sentry", "sepals",
+  "sepsis", "septet", "septic", "septum", "sequel", "sequin", "serape", "seraph", "serene", "serest",
+  "series", "sermon", "serous", "serums", "serves", "servos", "sesame", "settee", "setter", "setups",
+  "sevens", "severs", "sewage", "sewers", "sewing", "sexier", "sexily", "sexing", "sexism", "sexist",
+  "sexpot", "sextet", "sexton", "sexual", "shabby", "shacks", "shaded", "shades", "shadow", "shafts",
+  "shaggy", "shaken", "shaker", "shakes", "shaman", "shamed", "shames", "shandy", "shanks", "shanty",
+  "shaped", "shapes", "shards", "shares", "sharia", "sharks", "sharps", "shaved", "shaven", "shaver",
+  "shaves", "shawls", "shears", "sheath", "sheave", "sheers", "sheets", "sheikh", "shekel", "shells",
+  "shelve", "sherry", "shield", "shifts", "shifty", "shills", "shimmy", "shined", "shiner", "shines",
+  "shinny", "shires", "shirks", "shirrs", "shirts", "shitty", "shiver", "shoals", "shocks", "shoddy",
+  "shogun", "shooed", "shoots", "shored", "shores", "shorts", "shouts", "shoved", "shovel", "shoves",
+  "shower", "shrank", "shreds", "shrewd", "shrews", "shriek", "shrift", "shrike", "shrill", "shrimp",
+  "shrine", "shrink", "shrive", "shroud", "shrubs", "shrugs", "shrunk", "shtick", "shucks", "shunts",
+  "shyest", "shying", "sibyls", "sicked", "sicken", "sicker", "sickle", "sickly", "siding", "sidled",
+  "sidles", "sieges", "sierra", "siesta", "sieved", "sieves", "sifted", "sifter", "sighed", "sights",
+  "signer", "signet", "silage", "silent", "silica", "silken", "silted", "silver", "simian", "simile",
+  "simmer", "simper", "sinews", "sinewy", "sinful", "singed", "singer", "singes", "singly", "sinker",
+  "sinned", "sinner", "siphon", "sipped", "sirens", "siring", "sister", "sitars", "sitcom", "siting",
+  "sitter", "sixths", "sizing", "sizzle", "skated", "skater", "skates", "skeins", "sketch", "skewed",
+  "skewer", "skiers", "skiffs", "skiing", "skills", "skimps", "skimpy", "skinny", "skirts", "skivvy",
+  "skulks", "skulls", "skunks", "skycap", "skying", "slacks", "slaked", "slakes", "slalom", "slangy",
+  "slants", "slated", "slates", "slaved", "slaver", "slaves", "slayer", "sleaze", "sleazy", "sledge",
+  "sleeks", "sleeps", "sleepy", "sleets", "sleety", "sleeve", "sleigh", "sleuth", "slewed", "sliced",
+  "slicer", "slices", "slicks", "slider", "slides", "sliest", "slings", "slinks", "slinky", "sliver",
+  "slogan", "sloops", "sloped", "slopes", "sloppy", "sloths", "slouch", "slough", "sloven", "slowed",
+  "sludge", "sluice", "sluing", "slumps", "slurps", "slushy", "smacks", "smalls", "smarmy", "smarts",
+  "smears", "smells", "smelly", "smelts", "smiled", "smiles", "smirch", "smirks", "smites", "smiths",
+  "smithy", "smocks", "smoggy", "smoked", "smoker", "smokes", "smooch", "smudge", "smudgy", "smugly",
+  "smutty", "snacks", "snafus", "snails", "snaked", "snakes", "snappy", "snared", "snares", "snarky",
+  "snarls", "snatch", "snazzy", "sneaks", "sneaky", "sneers", "sneeze", "snider", "sniffs", "sniped",
+  "sniper", "snipes", "snippy", "snitch", "snivel", "snobby", "snoops", "snoopy", "snoots", "snooty",
+  "snooze", "snored", "snorer", "snores", "snorts", "snotty", "snouts", "snowed", "snuffs", "snugly",
+  "soaked", "soaped", "soared", "sobbed", "sobers", "soccer", "socked", "socket", "sodded", "sodden",
+  "sodium", "sodomy", "soften", "softer", "softly", "soiled", "solace", "solder", "solemn", "solids",
+  "soling", "soloed", "solver", "solves", "somber", "sonars", "sonata", "sonnet", "soothe", "sopped",
+  "sorbet", "sordid", "sorely", "sorest", "sorrel", "sorrow", "sorter", "sortie", "soughs", "sounds",
+  "souped", "soured", "sourer", "sourly", "soused", "souses", "soviet", "sowers", "sowing", "spaced",
+  "spaces", "spacey", "spaded", "spades", "spanks", "spared", "sparer", "spares", "sparks", "sparse",
+  "spasms", "spates", "spawns", "spayed", "speaks", "spears", "specie", "specks", "speeds", "speedy",
+  "spells", "spends", "sperms", "spewed", "sphere", "sphinx", "spiced", "spices", "spider", "spiels",
+  "spiffy", "spigot", "spiked", "spikes", "spills", "spinal", "spines", "spinet", "spiral", "spirea",
+  "spires", "spited", "spites", "splash", "splats", "splays", "spleen", "splice", "spline", "splint",
+  "splits", "spoils", "spokes", "sponge", "spongy", "spoofs", "spooks", "spooky", "spools", "spoons",
+  "spoors", "spored", "spores", "sports", "sporty", "spotty", "spouse", "spouts", "sprain", "sprang",
+  "sprats", "sprawl", "sprays", "spreed", "sprees", "sprier", "sprigs", "sprint", "sprite", "spritz",
+  "sprout", "spruce", "sprung", "spryly", "spumed", "spumes", "spunky", "spurns", "spurts", "sputum",
+  "spying", "squabs", "squads", "squall", "squash", "squats", "squawk", "squaws", "squeak", "squeal",
+  "squids", "squint", "squire", "squirm", "squirt", "squish", "stacks", "staffs", "staged", "stages",
+  "stains", "stairs", "staked", "stakes", "staled", "staler", "stales", "stalks", "stalls", "stamen",
+  "stamps", "stance", "stanch", "stands", "stanza", "staple", "starch", "stared", "stares", "starry",
+  "starts", "starve", "stater", "states", "static", "statue", "status", "staved", "staves", "steads",
+  "steady", "steaks", "steals", "steams", "steamy", "steeds", "steels", "steely", "steeps", "steers",
+  "steins", "stench", "stents", "steppe", "stereo", "sterns", "stewed", "sticks", "sticky", "stiffs",
+  "stifle", "stigma", "stiles", "stills", "stilts", "stings", "stingy", "stinks", "stints", "stitch",
+  "stoats", "stocks", "stocky", "stodgy", "stoics", "stoked", "stoker", "stokes", "stolen", "stoles",
+  "stolid", "stomps", "stoned", "stoner", "stones", "stooge", "stools", "stoops", "stores", "storks",
+  "storms", "stormy", "stoves", "stowed", "strafe", "strain", "strait", "strand", "straps", "strata",
+  "straws", "strays", "streak", "stress", "strewn", "strews", "stride", "strife", "stripe", "strips",
+  "strive", "strobe", "strode", "stroke", "stroll", "strops", "strove", "strums", "strung", "struts",
+  "stubby", "stucco", "studio", "stuffs", "stuffy", "stumps", "stumpy", "stunts", "stupor", "sturdy",
+  "styled", "styles", "stylus", "stymie", "suaver", "subbed", "subdue", "sublet", "suborn", "subtly",
+  "suburb", "subway", "succor", "sucked", "sucker", "suckle", "suffix", "sugars", "sugary", "suites",
+  "suitor", "sulfur", "sulked", "sullen", "sultan", "sultry", "summed", "summit", "summon", "sundae",
+  "sunder", "sundry", "sunken", "sunlit", "sunned", "sunset", "suntan", "superb", "supers", "supine",
+  "supped", "supper", "supple", "surest", "surety", "surfed", "surfer", "surged", "surges", "surrey",
+  "surtax", "suture", "svelte", "swains", "swamis", "swamps", "swampy", "swanks", "swanky", "swards",
+  "swarms", "swatch", "swathe", "swaths", "swayed", "swears", "sweats", "sweaty", "sweeps", "sweets",
+  "swells", "swerve", "swifts", "swills", "swines", "swings", "swiped", "swipes", "swirls", "swirly",
+  "swivel", "swoons", "swoops", "swords", "sylphs", "sylvan", "synced", "synods", "syrups", "syrupy",
+  "tabbed", "tabled", "tables", "tablet", "taboos", "tacked", "tackle", "tactic", "tagged", "tailed",
+  "tailor", "taints", "takers", "talent", "talker", "taller", "tallow", "talons", "tamale", "tamely",
+  "tamers", "tamest", "taming", "tamped", "tamper", "tampon", "tandem", "tangle", "tangos", "tanked",
+  "tanker", "tanned", "tanner", "tannin", "tapers", "taping", "tapirs", "tapped", "tariff", "taring",
+  "tarmac", "tarots", "tarpon", "tarred", "tartan", "tartar", "tarter", "tartly", "tasers", "tasked",
+  "tassel", "tasted", "taster", "tastes", "tatted", "tatter", "tattle", "tattoo", "taunts", "tauter",
+  "tautly", "tavern", "tawdry", "taxied", "taxing", "teabag", "teacup", "teamed", "teapot", "teared",
+  "teased", "teasel", "teaser", "teases", "techno", "tedium", "teeing", "teemed", "teeter", "teethe",
+  "teller", "temped", "temper", "temple", "tempos", "tempts", "tenant", "tended", "tender", "tendon",
+  "tenets", "tennis", "tenons", "tenors", "tenpin", "tensed", "tenser", "tenses", "tensor", "tented",
+  "tenths", "tenure", "tepees", "termed", "termly", "terror", "terser", "tester", "testes", "testis",
+  "tether", "texted", "thanks", "thatch", "thawed", "thefts", "theirs", "theism", "theist", "themes",
+  "thence", "theses", "thesis", "thieve", "thighs", "things", "thinks", "thinly", "thirds", "thirst",
+  "thirty", "thongs", "thorax", "thorns", "thorny", "thrall", "thrash", "thread", "threes", "thresh",
+  "thrice", "thrift", "thrill", "thrive", "throat", "throbs", "throes", "throne", "throng", "throws",
+  "thrums", "thrush", "thrust", "thumbs", "thumps", "thwack", "thwart", "thymus", "tiaras", "tibiae",
+  "ticked", "ticker", "tickle", "tidbit", "tidied", "tidier", "tidies", "tidily", "tiding", "tiffed",
+  "tigers", "tights", "tildes", "tiling", "tilled", "tiller", "tilted", "timber", "timbre", "timely",
+  "timers", "tinder", "tinged", "tinges", "tingle", "tingly", "tinier", "tinker", "tinkle", "tinned",
+  "tinsel", "tinted", "tipped", "tipper", "tipple", "tiptoe", "tiptop", "tirade", "tiring", "tissue",
+  "titans", "tithed", "tithes", "titled", "titles", "titter", "tittle", "toasts", "toasty", "tocsin",
+  "toddle", "toeing", "toffee", "toggle", "toiled", "toiler", "toilet", "tokens", "toking", "tolled",
+  "tomato", "tombed", "tomboy", "tomcat", "tongue", "tonics", "tonier", "toning", "tonnes", "tonsil",
+  "tooled", "tooted", "toothy", "topics", "topped", "topple", "toques", "torpid", "torpor", "torque",
+  "torrid", "torsos", "tortes", "tossed", "tosses", "tossup", "totals", "totems", "toting", "totted",
+  "totter", "toucan", "touchy", "toughs", "toupee", "toured", "tousle", "touted", "towels", "towers",
+  "towing", "toxins", "toying", "traced", "tracer", "traces", "tracks", "tracts", "traded", "trader",
+  "trades", "tragic", "trails", "trains", "traits", "tramps", "trance", "trashy", "trauma", "trawls",
+  "treads", "treats", "treaty", "treble", "tremor", "trench", "trends", "trendy", "triads", "triage",
+  "trials", "tribal", "tribes", "tricks", "tricky", "trifle", "trikes", "trills", "trimly", "triple",
+  "triply", "tripod", "tripos", "triter", "trivet", "trivia", "troika", "trolls", "tromps", "troops",
+  "tropes", "trophy", "tropic", "trough", "troupe", "trouts", "trowel", "truant", "truces", "trucks",
+  "trudge", "truest", "truing", "truism", "trumps", "trunks", "trusts", "trusty", "truths", "tryout",
+  "trysts", "tubers", "tubing", "tucked", "tucker", "tufted", "tugged", "tulips", "tumble", "tumors",
+  "tumult", "tundra", "tuners", "tunics", "tuning", "tunnel", "turban", "turbid", "turbot", "tureen",
+  "turfed", "turgid", "turkey", "turner", "turnip", "turret", "turtle", "tushes", "tusked", "tussle",
+  "tutors", "tuxedo", "twangs", "tweaks", "tweeds", "tweedy", "tweets", "twerks", "twerps", "twiggy",
+  "twined", "twines", "twinge", "twirls", "twists", "twitch", "twofer", "tycoon", "typhus", "typify",
+  "typist", "tyrant", "udders", "uglier", "ulcers", "ultras", "umbels", "umiaks", "umlaut", "umping",
+  "umpire", "unbars", "unbend", "unbent", "unbind", "unbolt", "unborn", "uncles", "uncoil", "uncork",
+  "undies", "undoes", "undone", "unduly", "unease", "uneasy", "uneven", "unfair", "unfits", "unfold",
+  "unfurl", "unhand", "unholy", "unhook", "unhurt", "unions", "unisex", "unison", "united", "unites",
+  "unjust", "unkind", "unlace", "unless", "unload", "unlock", "unmade", "unmake", "unmans", "unmask",
+  "unpack", "unpaid", "unpick", "unpins", "unplug", "unread", "unreal", "unrest", "unripe", "unroll",
+  "unruly", "unsafe", "unsaid", "unsays", "unseal", "unseat", "unseen", "unsent", "unsnap", "unsold",
+  "unstop", "unsung", "unsure", "untidy", "untied", "unties", "untold", "untrue", "unused", "unveil",
+  "unwary", "unwell", "unwind", "unwise", "unwrap", "unzips", "upbeat", "upends", "upheld", "uphill",
+  "uphold", "upkeep", "upland", "uplift", "upload", "uppers", "upping", "uppity", "uproar", "uproot",
+  "upsets", "upshot", "upside", "uptake", "uptown", "upturn", "upward", "urbane", "urchin", "urgent",
+  "urging", "urinal", "usable", "usages", "ushers", "usurer", "usurps", "uterus", "utmost", "utopia",
+  "utters", "uvular", "uvulas", "vacant", "vacate", "vacuum", "vagary", "vagina", "vaguer", "vainer",
+  "vainly", "valets", "valise", "valley", "valued", "values", "valved", "valves", "vamped", "vandal",
+  "vanish", "vanity", "vanned", "vaping", "vapors", "varies", "varlet", "vassal", "vaster", "vatted",
+  "vaults", "vaunts", "veered", "vegans", "veggie", "veiled", "veined", "vellum", "velour", "velvet",
+  "vended", "vendor", "veneer", "venial", "venous", "vented", "venues", "verbal", "verged", "verges",
+  "verier", "verify", "verily", "verity", "vermin", "vernal", "versed", "verses", "versus", "vertex",
+  "vesper", "vessel", "vested", "vestry", "vetoed", "vetoes", "vetted", "vexing", "viable", "viands",
+  "vicars", "vicing", "victim", "victor", "videos", "viewed", "viewer", "vigils", "vilely", "vilest",
+  "vilify", "villas", "vinyls", "violas", "violet", "violin", "vipers", "virago", "vireos", "virgin",
+  "virile", "visaed", "visage", "viscid", "viscus", "vising", "visits", "visors", "vistas", "visual",
+  "vitals", "vivace", "vivify", "vixens", "vizier", "vocals", "vogues", "voiced", "voices", "voided",
+  "volley", "vomits", "voodoo", "vortex", "votary", "voters", "voting", "votive", "vowels", "vowing",
+  "voyage", "voyeur", "vulgar", "vulvae", "wacker", "wackos", "wadded", "waddle", "waders", "wading",
+  "wafers", "waffle", "wafted", "wagers", "wagged", "waggle", "waging", "wagons", "wailed", "waists",
+  "waiter", "waived", "waiver", "waives", "wakens", "waking", "waling", "walker", "walled", "wallet",
+  "wallop", "wallow", "walnut", "walrus", "wampum", "wander", "wangle", "waning", "wanner", "wanton",
+  "wapiti", "warble", "warded", "warden", "warder", "warier", "warily", "warmed", "warmer", "warmly",
+  "warmth", "warped", "warred", "warren", "washed", "washer", "washes", "waster", "wastes", "waters",
+  "watery", "wattle", "wavers", "wavier", "waving", "waxier", "waxing", "waylay", "weaken", "weaker",
+  "weakly", "wealth", "weaned", "wearer", "weasel", "weaved", "weaver", "weaves", "webbed", "webcam",
+  "wedded", "wedder", "wedged", "wedges", "weeded", "weeder", "weeing", "weekly", "weeper", "weevil",
+  "weighs", "weirdo", "welded", "welder", "welkin", "welled", "welted", "welter", "wended", "wetter",
+  "whacks", "whaled", "whaler", "whales", "whammy", "wheals", "wheels", "wheeze", "wheezy", "whelks",
+  "whelps", "whence", "wheres", "whiffs", "whiled", "whiles", "whimsy", "whined", "whiner", "whines",
+  "whinny", "whirls", "whisks", "whiten", "whiter", "whites", "wholes", "wholly", "whoops", "whoosh",
+  "whores", "whorls", "wicked", "wicker", "wicket", "widens", "widows", "widths", "wields", "wiener",
+  "wifely", "wigeon", "wigged", "wiggle", "wiggly", "wights", "wigwag", "wigwam", "wilder", "wildly",
+  "wilier", "wiling", "willed", "willow", "wilted", "wimple", "winced", "winces", "winded", "windup",
+  "winery", "winged", "winger", "wining", "winked", "winner", "winnow", "wintry", "wipers", "wiping",
+  "wirier", "wiring", "wisdom", "wisely", "wisest", "wisher", "wishes", "withal", "wither", "wizard",
+  "wobble", "wobbly", "woeful", "wolfed", "wolves", "wombat", "wonted", "wooded", "woodsy", "wooers",
+  "woofed", "woofer", "wooing", "woolen", "woolly", "worlds", "wormed", "worsen", "worsts", "woulds",
+  "wounds", "wowing", "wraith", "wreaks", "wreath", "wrecks", "wrench", "wrests", "wretch", "wright",
+  "wrings", "wrists", "writes", "writhe", "wrongs", "wryest", "wusses", "yachts", "yahoos", "yakked",
+  "yammer", "yanked", "yapped", "yawing", "yawned", "yearly", "yearns", "yeasts", "yeasty", "yelled",
+  "yelped", "yeoman", "yeomen", "yessed", "yields", "yipped", "yippee", "yodels", "yogurt", "yokels",
+  "yoking", "yonder", "youths", "yowled", "yuccas", "yukked", "yuppie", "zanier", "zanies", "zapped",
+  "zapper", "zealot", "zebras", "zenith", "zephyr", "zeroed", "zigzag", "zinged", "zinger", "zinnia",
+  "zipped", "zipper", "zircon", "zither", "zodiac", "zombie", "zoning", "zonked", "zoomed", "zygote"
+];
+
+/* ── 7-letter answers ── */
+const ANSWERS_7 = [
+  // A
+  "ability", "absence", "account", "achieve", "acquire", "adopted", "advance", "advised",
+  "against", "allowed", "already", "altered", "amusing", "ancient", "annoyed", "another",
+  "anybody", "apology", "applied", "approve", "arguing", "arrange", "arrived", "article",
+  "assumed", "assured", "attempt", "attract", "average", "avoided", "awkward",
+  // B
+  "backing", "balance", "battery", "bearing", "because", "believe", "benefit", "betting",
+  "between", "bidding", "biggest", "binding", "biology", "bizarre", "bracket", "briefly",
+  "brother", "brought", "burying",
+  // C
+  "calling", "capable", "capital", "captain", "careful", "carried", "catalog", "causing",
+  "central", "century", "certain", "changed", "channel", "chapter", "charged", "cheaper",
+  "checked", "circuit", "citizen", "claimed", "clarify", "cleared", "clearer", "clearly",
+  "closely", "closest", "closing", "collect", "college", "combine", "command", "comment",
+  "company", "compare", "complex", "compose", "compute", "concept", "concern", "confirm",
+  "confuse", "connect", "consist", "contact", "contain", "content", "context", "control",
+  "convert", "copying", "correct", "corrupt", "costing", "council", "counted", "counter",
+  "country", "covered", "crashed", "created", "culture", "current", "cutting",
+  // D
+  "damaged", "dealing", "decided", "declare", "deeming", "default", "defense", "defined",
+  "deleted", "deliver", "derived", "desired", "despite", "destroy", "develop", "devoted",
+  "digital", "dislike", "display", "distant", "disturb", "divided", "drastic", "drawing",
+  "driving", "dropped",
+  // E
+  "earlier", "easiest", "economy", "editing", "edition", "elected", "element", "ensured",
+  "entered", "entitle", "equally", "evening", "exactly", "examine", "example", "exclude",
+  "execute", "existed", "expense", "explain", "extract", "extreme",
+  // F
+  "failing", "failure", "falling", "farther", "fashion", "fastest", "feature", "federal",
+  "feeding", "feeling", "filling", "finally", "finding", "firstly", "fitting", "flashed",
+  "floated", "forcing", "foreign", "forever", "forming", "fortune", "forward", "freedom",
+  "further",
+  // G
+  "gaining", "garbage", "general", "genuine", "getting", "granted", "graphic", "greater",
+  "greatly", "growing", "guessed",
+  // H
+  "handing", "handled", "hanging", "happily", "hardest", "harmful", "heading", "healthy",
+  "hearing", "heavily", "helpful", "helping", "herself", "highest", "himself", "history",
+  "hitting", "holding", "holiday", "however", "hundred", "husband",
+  // I
+  "ignored", "illegal", "imagine", "implied", "imposed", "improve", "incline", "include",
+  "initial", "install", "instant", "instead", "integer", "invalid", "invited", "involve",
+  "isolate", "issuing",
+  // J
+  "joining", "justify",
+  // K
+  "keeping", "killing", "knocked", "knowing",
+  // L
+  "labeled", "lacking", "landing", "largely", "largest", "leading", "learned", "leaving",
+  "lecture", "legally", "letting", "library", "limited", "linking", "listing", "loading",
+  "locking", "logging", "logical", "longest", "looking",
+  // M
+  "machine", "managed", "manager", "marking", "massive", "maximum", "meaning", "measure",
+  "medical", "meeting", "mention", "message", "million", "minding", "minimal", "minimum",
+  "mislead", "missing", "mistake", "mistook", "monitor", "morning",
+  // N
+  "natural", "naughty", "nearest", "needing", "neither", "network", "nothing", "noticed",
+  "nowhere",
+  // O
+  "obscure", "observe", "offered", "officer", "omitted", "opening", "operate", "opinion",
+  "opposed", "ordered", "outside", "overall",
+  // P
+  "package", "painful", "partial", "passing", "patient", "pattern", "perfect", "perform",
+  "picking", "picture", "placing", "planned", "plastic", "playing", "pleased", "pointed",
+  "popular", "posting", "precise", "prepare", "present", "pressed", "presume", "prevent",
+  "primary", "printed", "printer", "private", "problem", "produce", "product", "program",
+  "project", "promise", "propose", "protect", "protest", "provide", "proving", "publish",
+  "pulling", "purpose", "pushing", "putting",
+  // Q
+  "qualify", "quality", "quarter", "quicker", "quickly", "quietly", "quoting",
+  // R
+  "raising", "rapidly", "reached", "readily", "reading", "reality", "realize", "receive",
+  "recover", "reduced", "reflect", "refused", "regular", "related", "release", "removal",
+  "removed", "replace", "replied", "request", "require", "reserve", "respect", "respond",
+  "restart", "restore", "reverse", "rewrite", "roughly", "routine", "rubbish", "running",
+  // S
+  "satisfy", "science", "scratch", "section", "seeking", "seeming", "selling", "seminar",
+  "sending", "service", "serving", "session", "setting", "settled", "several", "sharing",
+  "shopped", "shorter", "shortly", "showing", "signing", "similar", "simpler", "sitting",
+  "slowest", "smaller", "society", "solving", "somehow", "someone", "soonest", "sorting",
+  "sounded", "speaker", "special", "specify", "spelled", "spotted", "started", "stating",
+  "station", "staying", "stopped", "storage", "storing", "strange", "student", "studied",
+  "subject", "succeed", "suffice", "suggest", "suiting", "summary", "support", "suppose",
+  "surface", "survive", "suspect", "suspend",
+  // T
+  "talking", "teacher", "telling", "testing", "thereby", "thought", "through", "tonight",
+  "totally", "touched", "traffic", "trained", "trapped", "treated", "trivial", "trouble",
+  "trusted", "turning", "typical",
+  // U
+  "unaware", "unclear", "unhappy", "uniform", "unknown", "unusual", "updated", "usually",
+  "utility", "utterly",
+  // V
+  "vaguely", "variety", "varying", "version", "visible",
+  // W
+  "waiting", "walking", "wanting", "warning", "wasting", "watched", "wearing", "weather",
+  "weekend", "welcome", "western", "whereby", "whether", "whoever", "willing", "winning",
+  "wishing", "without", "wording", "working", "worried", "writing", "written"
+];
+
+/* ── 7-letter extended guess list ── */
+const EXTENDED_WORDS_7 = [
+  "abalone", "abandon", "abashed", "abashes", "abasing", "abating", "abdomen", "abducts", "abetted", "abettor",
+  "abiding", "abjured", "abjures", "abolish", "aborted", "abounds", "abraded", "abrades", "abreast", "abridge",
+  "abscess", "abscond", "absents", "absolve", "absorbs", "abstain", "abusers", "abusing", "abusive", "abutted",
+  "abysmal", "abysses", "acacias", "academy", "acceded", "accedes", "accents", "accepts", "acclaim", "accords",
+  "accosts", "accrual", "accrued", "accrues", "accused", "accuser", "accuses", "acerbic", "acetate", "acetone",
+  "achiest", "acidify", "acidity", "acolyte", "aconite", "acquits", "acreage", "acrider", "acrobat", "acronym",
+  "acrylic", "actions", "actives", "actress", "actuary", "actuate", "acutely", "acutest", "adagios", "adamant",
+  "adapted", "adapter", "addenda", "addends", "addicts", "addling", "address", "adduced", "adduces", "adenoid",
+  "adeptly", "adhered", "adheres", "adipose", "adjoins", "adjourn", "adjudge", "adjunct", "adjured", "adjures",
+  "adjusts", "admiral", "admired", "admirer", "admires", "adoring", "adorned", "adrenal", "adulate", "advents",
+  "adverbs", "adverse", "adverts", "adviser", "advises", "aerated", "aerates", "aerator", "aerials", "aerobic",
+  "aerosol", "affable", "affably", "affairs", "affects", "affirms", "affixed", "affixes", "afflict", "affords",
+  "affrays", "affront", "afghans", "ageless", "agendas", "agilely", "agility", "agitate", "agonies", "agonize",
+  "aground", "aileron", "ailment", "aimless", "airdrop", "airfare", "airfoil", "airhead", "airiest", "airings",
+  "airless", "airlift", "airline", "airmail", "airport", "airship", "airsick", "airways", "alarmed", "albinos",
+  "albumen", "albumin", "alchemy", "alcohol", "alcoves", "alerted", "alertly", "alfalfa", "algebra", "aliased",
+  "aliases", "alibied", "aliened", "alights", "aligned", "alimony", "allayed", "alleged", "alleges", "allegro",
+  "allergy", "allover", "alloyed", "alluded", "alludes", "allured", "allures", "allying", "almanac", "almonds",
+  "alpacas", "alright", "alumnae", "alumnus", "amalgam", "amassed", "amasses", "amateur", "amatory", "amazing",
+  "amazons", "ambient", "ambling", "amended", "amenity", "amiable", "amiably", "ammeter", "ammonia", "amnesia",
+  "amnesty", "amoebae", "amoebas", "amoebic", "amorous", "amounts", "amperes", "amplest", "amplify", "ampules",
+  "amputee", "amulets", "anagram", "analogs", "analogy", "analyst", "analyze", "anapest", "anarchy", "anatomy",
+  "anchors", "anchovy", "andante", "andiron", "android", "anemone", "angelic", "angered", "anglers", "angling",
+  "angoras", "angrier", "angrily", "anguish", "angular", "animals", "animate", "animism", "animist", "aniseed",
+  "anklets", "anneals", "annexed", "annexes", "annuals", "annuity", "annular", "anodyne", "anoints", "anomaly",
+  "anoraks", "answers", "antacid", "anteing", "antenna", "anthems", "anthers", "anthill", "anthrax", "antigen",
+  "antique", "antiwar", "antlers", "antonym", "anxiety", "anxious", "anymore", "anytime", "aphasia", "aphasic",
+  "aphelia", "aplenty", "apogees", "apostle", "appalls", "apparel", "appeals", "appears", "appease", "appends",
+  "applaud", "applies", "appoint", "apprise", "apricot", "apropos", "aptness", "aquatic", "aquavit", "aqueous",
+  "aquifer", "arbiter", "arbutus", "arcades", "archaic", "archers", "archery", "archest", "arching", "archive",
+  "archway", "arctics", "arduous", "argyles", "aridity", "arising", "armadas", "armband", "armfuls", "armhole",
+  "armlets", "armored", "armorer", "armpits", "armrest", "arousal", "aroused", "arouses", "arraign", "arrayed",
+  "arrears", "arrests", "arrival", "arrives", "arroyos", "arsenal", "arsenic", "artiest", "artisan", "artiste",
+  "artists", "artless", "artsier", "artwork", "ascends", "ascents", "ascetic", "ascribe", "aseptic", "asexual",
+  "ashamed", "ashcans", "ashiest", "ashrams", "ashtray", "asinine", "askance", "asocial", "aspects", "asphalt",
+  "aspired", "aspires", "aspirin", "assails", "assault", "assayed", "assents", "asserts", "asshole", "assigns",
+  "assists", "assizes", "assorts", "assuage", "assumes", "assures", "astound", "astride", "astuter", "asunder",
+  "asylums", "atavism", "atelier", "atheism", "atheist", "athlete", "atlases", "atoning", "atrophy", "attacks",
+  "attains", "attends", "attests", "attired", "attires", "attuned", "attunes", "auction", "audible", "audibly",
+  "audited", "auditor", "augment", "augured", "aurally", "aureole", "auricle", "auspice", "austere", "authors",
+  "autopsy", "autumns", "availed", "avarice", "avatars", "avenged", "avenger", "avenges", "avenues", "averred",
+  "averted", "aviator", "avidity", "avocado", "avowals", "avowing", "awaited", "awakens", "awaking", "awarded",
+  "awesome", "awfully", "awnings", "azaleas", "azimuth", "babbled", "babbler", "babbles", "babiest", "baboons",
+  "babying", "babyish", "babysat", "babysit", "bacilli", "backbit", "backers", "backhoe", "backlog", "backups",
+  "baddest", "badgers", "badness", "baffled", "baffles", "baggage", "baggier", "bagging", "bagpipe", "bailiff",
+  "bailing", "bailout", "baiting", "balcony", "baldest", "balding", "baleful", "balkier", "balking", "ballads",
+  "ballast", "ballets", "balling", "balloon", "ballots", "balmier", "baloney", "balsams", "bamboos", "bananas",
+  "bandage", "bandied", "bandier", "bandies", "banding", "bandits", "baneful", "banging", "bangles", "bankers",
+  "banking", "banners", "banning", "banquet", "banshee", "bantams", "banters", "banyans", "baobabs", "baptism",
+  "baptist", "baptize", "barbell", "barbers", "barbing", "barfing", "bargain", "barging", "barista", "barkers",
+  "barking", "barmaid", "baronet", "baroque", "barrack", "barrage", "barrels", "barrens", "barrier", "barring",
+  "barrios", "barroom", "barrows", "barters", "baseman", "basemen", "bashful", "bashing", "baskets", "basking",
+  "bassist", "bassoon", "bastard", "basting", "bastion", "batched", "batches", "bathers", "bathing", "bathmat",
+  "bathtub", "batsman", "batsmen", "battens", "batters", "battier", "batting", "battled", "battles", "baubles",
+  "bauxite", "bawdier", "bawdily", "bawling", "bayonet", "bazaars", "bazooka", "beached", "beaches", "beacons",
+  "beadier", "beading", "beagles", "beakers", "beaming", "beanbag", "beaning", "bearded", "bearers", "bearish",
+  "beastly", "beaters", "beatify", "beating", "beatnik", "beavers", "becalms", "beckons", "becomes", "bedbugs",
+  "bedding", "bedecks", "bedevil", "bedlams", "bedpans", "bedrock", "bedroll", "bedroom", "bedside", "bedsore",
+  "bedtime", "beeches", "beefier", "beefing", "beehive", "beeline", "beepers", "beeping", "beeswax", "beetled",
+  "beetles", "befalls", "befouls", "beggars", "begging", "begonia", "beguile", "behaved", "behaves", "beheads",
+  "behests", "behinds", "beholds", "behoove", "belabor", "belated", "belayed", "belched", "belches", "beliefs",
+  "bellboy", "bellhop", "bellied", "bellies", "belling", "bellows", "belongs", "beloved", "belting", "beltway",
+  "belying", "bemoans", "bemused", "bemuses", "benched", "benches", "bending", "beneath", "benumbs", "benzene",
+  "bequest", "berated", "berates", "bereave", "berried", "berries", "berserk", "berthed", "beseech", "besides",
+  "besiege", "bespeak", "bespoke", "bestial", "besting", "bestirs", "bestows", "betaken", "betakes", "bethink",
+  "betided", "betides", "betoken", "betrays", "betroth", "betters", "bettors", "betwixt", "beveled", "bewails",
+  "bewared", "bewares", "bewitch", "biasing", "bickers", "bicycle", "bidders", "biddies", "bifocal", "biggies",
+  "bighorn", "bigness", "bigoted", "bigotry", "bigwigs", "bikinis", "bilious", "bilking", "billets", "billies",
+  "billing", "billion", "billows", "billowy", "binders", "bindery", "binning", "bipedal", "biplane", "bipolar",
+  "birched", "birches", "birdied", "birdies", "birding", "biretta", "birthed", "birther", "biscuit", "bisects",
+  "bishops", "bismuth", "bistros", "bitched", "bitches", "bitcoin", "bittern", "bitters", "bitumen", "bivalve",
+  "bivouac", "blabbed", "blacked", "blacken", "blacker", "bladder", "blaming", "blander", "blandly", "blanked",
+  "blanker", "blanket", "blankly", "blaring", "blarney", "blasted", "blaster", "blatant", "blazers", "blazing",
+  "blazons", "bleaker", "bleakly", "bleated", "bleeder", "bleeped", "blemish", "blended", "blender", "blessed",
+  "blesses", "blights", "blinded", "blinder", "blindly", "blinked", "blinker", "blintze", "blister", "blither",
+  "blitzed", "blitzes", "bloated", "blobbed", "blocked", "blogged", "blogger", "blonder", "blondes", "blooded",
+  "bloomed", "bloomer", "blooper", "blossom", "blotchy", "blotted", "blotter", "bloused", "blouses", "blowers",
+  "blowgun", "blowing", "blowout", "blowups", "blubber", "bluffed", "bluffer", "blunder", "blunted", "blunter",
+  "bluntly", "blurred", "blurted", "blushed", "blusher", "blushes", "bluster", "boarded", "boarder", "boasted",
+  "boaster", "boaters", "boating", "boatman", "boatmen", "bobbies", "bobbing", "bobbins", "bobbled", "bobbles",
+  "bobcats", "bobsled", "bobtail", "bodegas", "bodices", "bodkins", "bogeyed", "boggier", "bogging", "boggled",
+  "boggles", "boilers", "boiling", "boldest", "boleros", "bologna", "bolster", "bolting", "bombard", "bombast",
+  "bombers", "bombing", "bonanza", "bonbons", "bondage", "bonding", "bonfire", "bonging", "boniest", "bonitos",
+  "bonkers", "bonnets", "bonnier", "bonuses", "boobies", "boobing", "boodles", "boogied", "boogies", "bookend",
+  "bookies", "booking", "bookish", "booklet", "booming", "boorish", "boosted", "booster", "bootees", "booties",
+  "booting", "bootleg", "boozers", "boozier", "boozing", "bopping", "borders", "boredom", "borough", "borrows",
+  "borscht", "bossier", "bossily", "bossing", "botched", "botches", "bothers", "botnets", "bottled", "bottles",
+  "bottoms", "boudoir", "boulder", "bounced", "bouncer", "bounces", "bounded", "bounden", "bounder", "bouquet",
+  "bourbon", "bovines", "bowlers", "bowling", "boxcars", "boxwood", "boycott", "boyhood", "bracing", "bracken",
+  "bragged", "bragger", "braided", "braille", "brained", "braised", "braises", "braking", "bramble", "branded",
+  "brasher", "brashly", "brasses", "bravado", "bravely", "bravery", "bravest", "braving", "bravura", "brawled",
+  "brawler", "braying", "brazens", "brazier", "breaded", "breadth", "breaker", "breakup", "breasts", "breathe",
+  "breaths", "breathy", "breeder", "breezed", "breezes", "brevity", "brewers", "brewery", "brewing", "bribery",
+  "bribing", "bricked", "bridals", "bridged", "bridges", "bridled", "bridles", "briefed", "briefer", "brigade",
+  "brigand", "brimful", "brimmed", "brinier", "brisked", "brisker", "brisket", "briskly", "bristle", "bristly",
+  "brittle", "broaden", "broader", "broadly", "brocade", "brogans", "brogues", "broiled", "broiler", "brokers",
+  "bromide", "bromine", "bronchi", "broncos", "bronzed", "bronzes", "brooded", "brooder", "brooked", "brothel",
+  "browned", "browner", "brownie", "browsed", "browser", "browses", "bruised", "bruiser", "bruises", "brunets",
+  "brushed", "brushes", "brusque", "brutish", "bubbled", "bubbles", "buckets", "buckeye", "bucking", "buckled",
+  "buckler", "buckles", "buckram", "bucksaw", "bucolic", "buddies", "budding", "budgets", "budgies", "budging",
+  "buffalo", "buffers", "buffets", "buffing", "buffoon", "bugaboo", "bugbear", "buggers", "buggier", "buggies",
+  "bugging", "buglers", "bugling", "builder", "buildup", "builtin", "bulbous", "bulgier", "bulging", "bulimia",
+  "bulimic", "bulkier", "bulking", "bulldog", "bullets", "bullied", "bullies", "bulling", "bullion", "bullish",
+  "bullock", "bullpen", "bulrush", "bulwark", "bumbled", "bumbler", "bumbles", "bummers", "bummest", "bumming",
+  "bumpers", "bumpier", "bumping", "bumpkin", "bunched", "bunches", "bundled", "bundles", "bunging", "bungled",
+  "bungler", "bungles", "bunions", "bunkers", "bunking", "bunnies", "bunting", "buoyant", "buoying", "burbled",
+  "burbles", "burdens", "burdock", "bureaus", "burgeon", "burgers", "burgher", "burglar", "burgled", "burgles",
+  "burials", "burlier", "burners", "burning", "burnish", "burnout", "burping", "burring", "burrito", "burrows",
+  "bursars", "busbies", "busboys", "bushels", "bushier", "bushing", "bushman", "bushmen", "busiest", "busters",
+  "busting", "bustled", "bustles", "busying", "butcher", "butches", "butlers", "butters", "buttery", "butting",
+  "buttock", "buttons", "buyouts", "buzzard", "buzzers", "buzzing", "bygones", "bylines", "bywords", "cabanas",
+  "cabaret", "cabbage", "cabbies", "cabbing", "cabinet", "cabling", "caboose", "cachets", "caching", "cackled",
+  "cackles", "cadaver", "caddied", "caddies", "caddish", "cadence", "cadenza", "cadgers", "cadging", "cadmium",
+  "caducei", "caesura", "caftans", "cagiest", "cahoots", "caisson", "cajoled", "cajoles", "calcify", "calcine",
+  "calcite", "calcium", "calculi", "caliber", "caliper", "caliphs", "calking", "callers", "callous", "calmest",
+  "calming", "caloric", "calorie", "calumny", "calving", "calypso", "calyxes", "cambers", "cambium", "cambric",
+  "cameras", "campers", "camphor", "campier", "camping", "canards", "canasta", "cancans", "cancels", "cancers",
+  "candied", "candies", "candled", "candles", "canines", "cankers", "cannery", "cannier", "cannily", "canning",
+  "cannons", "cantata", "canteen", "canters", "canting", "cantons", "cantors", "canvass", "canyons", "capably",
+  "capered", "capitol", "caplets", "capping", "caprice", "capsize", "capstan", "capsule", "caption", "captive",
+  "captors", "capture", "carafes", "caramel", "caravan", "caraway", "carbide", "carbine", "carbons", "carboys",
+  "carcass", "cardiac", "carding", "careens", "careers", "carfare", "cargoes", "caribou", "carjack", "carmine",
+  "carnage", "caroled", "caroler", "caromed", "carotid", "carouse", "carpals", "carpels", "carpets", "carping",
+  "carport", "carrels", "carrier", "carries", "carrion", "carrots", "carsick", "cartels", "carting", "cartons",
+  "cartoon", "carvers", "carving", "cascade", "cashews", "cashier", "cashing", "casings", "casinos", "caskets",
+  "cassava", "cassias", "cassock", "casters", "casting", "castled", "castles", "castoff", "castors", "casuals",
+  "casuist", "catalpa", "catarrh", "catbird", "catboat", "catcall", "catcher", "catches", "catered", "caterer",
+  "catfish", "cathode", "cations", "catkins", "catnaps", "cattail", "cattier", "cattily", "catwalk", "caulked",
+  "caustic", "caution", "cavalry", "caveats", "caveman", "cavemen", "caverns", "caviled", "cavorts", "cayenne",
+  "ceasing", "cedilla", "ceiling", "celesta", "cellars", "cellist", "cements", "censers", "censors", "censure",
+  "centaur", "centers", "centime", "ceramic", "cereals", "cerebra", "certify", "cession", "chaffed", "chafing",
+  "chagrin", "chained", "chaired", "chaises", "chalets", "chalice", "chalked", "chamber", "chamois", "champed",
+  "chanced", "chancel", "chances", "changes", "chanted", "chanter", "chantey", "chaotic", "chapels", "chaplet",
+  "chapped", "charade", "charger", "charges", "charier", "charily", "chariot", "charity", "charmed", "charmer",
+  "charred", "charted", "charter", "chasers", "chasing", "chassis", "chasten", "chaster", "chatted", "chattel",
+  "chatter", "cheapen", "cheaply", "cheated", "cheater", "checker", "checkup", "cheddar", "cheeked", "cheeped",
+  "cheered", "cheesed", "cheeses", "cheetah", "chemise", "chemist", "cherish", "cheroot", "cherubs", "chervil",
+  "chevron", "chewers", "chewier", "chewing", "chicest", "chichis", "chicken", "chicory", "chiding", "chiefer",
+  "chiefly", "chiffon", "chigger", "chignon", "chilies", "chilled", "chiller", "chimera", "chiming", "chimney",
+  "chinked", "chinned", "chintzy", "chipped", "chipper", "chirped", "chirrup", "chisels", "chocked", "choicer",
+  "choices", "chokers", "choking", "cholera", "chomped", "chooses", "chopped", "chopper", "chorale", "chorals",
+  "chortle", "chowder", "chowing", "chromed", "chromes", "chronic", "chucked", "chuckle", "chugged", "chummed",
+  "churned", "chutney", "cicadas", "cinched", "cinches", "cinders", "cinemas", "ciphers", "circled", "circles",
+  "circlet", "cistern", "citadel", "citrons", "civilly", "civvies", "clacked", "clamber", "clammed", "clamors",
+  "clamped", "clanged", "clangor", "clanked", "clapped", "clapper", "clarets", "clarion", "clarity", "clashed",
+  "clashes", "clasped", "classed", "classes", "classic", "clatter", "clauses", "clawing", "clayier", "cleaned",
+  "cleaner", "cleanly", "cleanse", "cleanup", "cleaved", "cleaver", "cleaves", "clement", "clerics", "clerked",
+  "clewing", "clicked", "clients", "climate", "climbed", "climber", "clinics", "clinked", "clinker", "clipped",
+  "clipper", "cliques", "cloaked", "clobber", "cloches", "clocked", "clogged", "clomped", "cloning", "clopped",
+  "closets", "closure", "clothed", "clothes", "clotted", "cloture", "clouded", "clouted", "clovers", "clowned",
+  "cloying", "clubbed", "clucked", "clumped", "clunked", "clunker", "cluster", "clutter", "coached", "coaches",
+  "coaling", "coarsen", "coarser", "coastal", "coasted", "coaster", "coating", "coaxing", "cobbled", "cobbler",
+  "cobbles", "cobwebs", "cocaine", "cochlea", "cockade", "cockier", "cockily", "cocking", "cockles", "cockney",
+  "cockpit", "coconut", "cocoons", "codding", "coddled", "coddles", "codeine", "codfish", "codgers", "codices",
+  "codicil", "coequal", "coerced", "coerces", "coevals", "coexist", "coffees", "coffers", "coffins", "cogency",
+  "cognacs", "cognate", "cohabit", "cohered", "coheres", "cohorts", "coiffed", "coiling", "coinage", "coining",
+  "coldest", "colicky", "colitis", "collage", "collars", "collate", "colleen", "collide", "collier", "collies",
+  "colloid", "collude", "cologne", "colonel", "colones", "colored", "colossi", "coltish", "columns", "combats",
+  "combing", "comedic", "comfier", "comfort", "comical", "comings", "commend", "commits", "commode", "commons",
+  "commune", "commute", "compact", "compass", "compels", "compete", "compile", "comport", "compost", "compote",
+  "comrade", "concave", "conceal", "concede", "conceit", "concert", "concise", "concoct", "concord", "concurs",
+  "condemn", "condole", "condoms", "condone", "condors", "conduce", "conduct", "conduit", "confabs", "confers",
+  "confess", "confide", "confine", "conform", "confute", "congaed", "congeal", "congest", "conical", "conifer",
+  "conjoin", "conjure", "conking", "conning", "connive", "connote", "conquer", "consent", "consign", "console",
+  "consort", "consuls", "consult", "consume", "contend", "contest", "contort", "contour", "contuse", "convene",
+  "convent", "conveys", "convict", "convoke", "convoys", "cookers", "cookery", "cookies", "cooking", "cookout",
+  "coolant", "coolers", "coolest", "coolies", "cooling", "coopers", "cooping", "cooties", "copiers", "copilot",
+  "copings", "copious", "coppers", "coppery", "copping", "copters", "copulas", "copycat", "cordial", "cording",
+  "cordite", "cordons", "corking", "corncob", "corneal", "corneas", "corners", "cornets", "cornice", "cornier",
+  "corning", "cornrow", "corolla", "coronas", "coroner", "coronet", "corpora", "corpses", "corrals", "corrode",
+  "corsage", "corsair", "corsets", "cosigns", "cosplay", "costars", "costume", "coterie", "cottage", "cotters",
+  "cottons", "couched", "couches", "cougars", "coughed", "counsel", "coupled", "couples", "couplet", "coupons",
+  "courage", "courier", "coursed", "courser", "courses", "courted", "courtly", "cousins", "coverts", "coveted",
+  "cowards", "cowbird", "cowboys", "cowered", "cowgirl", "cowhand", "cowhide", "cowlick", "cowling", "cowpoke",
+  "cowslip", "coxcomb", "coyness", "coyotes", "cozened", "coziest", "crabbed", "cracked", "cracker", "crackle",
+  "crackly", "crackup", "cradled", "cradles", "crafted", "crammed", "cramped", "cranial", "craning", "cranium",
+  "cranked", "crapped", "crashes", "crasser", "crassly", "craters", "crating", "cravats", "cravens", "craving",
+  "crawled", "crayons", "crazier", "crazies", "crazily", "crazing", "creaked", "creamed", "creamer", "creased",
+  "creases", "creates", "creator", "credits", "creeper", "cremate", "creoles", "crested", "cretins", "crevice",
+  "crewing", "crewman", "crewmen", "cribbed", "cricked", "cricket", "crimped", "crimson", "cringed", "cringes",
+  "crinkle", "crinkly", "cripple", "crisped", "crisper", "crisply", "critics", "critter", "croaked", "crochet",
+  "crocked", "cronies", "crooked", "crooned", "crooner", "cropped", "cropper", "croquet", "crosier", "crossed",
+  "crosser", "crosses", "crossly", "crowbar", "crowded", "crowing", "crowned", "crucial", "crucify", "crudely",
+  "crudest", "crudity", "crueler", "cruelly", "cruelty", "cruised", "cruiser", "cruises", "cruller", "crumbed",
+  "crumble", "crumbly", "crumpet", "crumple", "crunchy", "crusade", "crushed", "crushes", "crusted", "crybaby",
+  "cryings", "cryptic", "crystal", "cubical", "cubicle", "cubists", "cuckold", "cuckoos", "cuddled", "cuddles",
+  "cudgels", "cuffing", "cuisine", "culling", "culotte", "culprit", "culvert", "cumming", "cumulus", "cunning",
+  "cupcake", "cupfuls", "cupolas", "cupping", "curable", "curates", "curator", "curbing", "curdled", "curdles",
+  "curfews", "curious", "curlers", "curlews", "curlier", "curling", "currant", "curried", "curries", "cursing",
+  "cursive", "cursors", "cursory", "curtail", "curtain", "curtest", "curvier", "curving", "cushier", "cushion",
+  "cuspids", "cussing", "custard", "custody", "customs", "cutback", "cuticle", "cutlass", "cutlery", "cutlets",
+  "cutoffs", "cutouts", "cutters", "cyanide", "cycling", "cyclist", "cyclone", "cygnets", "cymbals", "cynical",
+  "cypress", "czarina", "dabbing", "dabbled", "dabbler", "dabbles", "dactyls", "daddies", "daemons", "daffier",
+  "daftest", "daggers", "dahlias", "dailies", "dairies", "daisies", "dallied", "dallies", "damages", "damasks",
+  "damming", "damning", "dampens", "dampers", "dampest", "damping", "damsels", "damsons", "dancers", "dancing",
+  "dandier", "dandies", "dandled", "dandles", "dangers", "dangled", "dangles", "dankest", "dappled", "dapples",
+  "darkens", "darkest", "darling", "darning", "darting", "dashiki", "dashing", "datives", "daubers", "daubing",
+  "daunted", "dauphin", "dawdled", "dawdler", "dawdles", "dawning", "daybeds", "daytime", "dazzled", "dazzles",
+  "deacons", "deadens", "deadest", "deadpan", "deafens", "deafest", "dealers", "dearest", "dearths", "deathly",
+  "debacle", "debarks", "debased", "debases", "debated", "debater", "debates", "debauch", "debited", "debrief",
+  "debtors", "debunks", "debuted", "decades", "decamps", "decants", "decayed", "decease", "deceits", "deceive",
+  "decency", "decibel", "decides", "decimal", "decking", "declaim", "decline", "decoded", "decoder", "decodes",
+  "decorum", "decoyed", "decreed", "decrees", "decried", "decries", "deduced", "deduces", "deducts", "deeding",
+  "deejays", "deepens", "deepest", "defaced", "defaces", "defamed", "defames", "defeats", "defects", "defends",
+  "defiant", "deficit", "defiled", "defiles", "definer", "defines", "deflate", "deflect", "deforms", "defraud",
+  "defrays", "defrost", "deftest", "defunct", "defused", "defuses", "defying", "degrade", "degrees", "deicers",
+  "deicing", "deified", "deifies", "deigned", "deities", "dejects", "delayed", "deletes", "delight", "delimit",
+  "deluded", "deludes", "deluged", "deluges", "delving", "demands", "demeans", "demerit", "demesne", "demigod",
+  "demised", "demises", "demoing", "demonic", "demoted", "demotes", "demount", "demurer", "denials", "deniers",
+  "denizen", "denoted", "denotes", "densely", "densest", "density", "denting", "dentist", "denture", "denuded",
+  "denudes", "denying", "departs", "depends", "depicts", "deplane", "deplete", "deplore", "deploys", "deports",
+  "deposed", "deposes", "deposit", "deprave", "depress", "deprive", "deputed", "deputes", "derails", "derange",
+  "derbies", "derided", "derides", "derives", "derrick", "dervish", "descant", "descend", "descent", "deserts",
+  "deserve", "designs", "desires", "desists", "desktop", "despair", "despise", "despoil", "despots", "dessert",
+  "destine", "destiny", "details", "detains", "detects", "detests", "detours", "detoxed", "detoxes", "detract",
+  "devalue", "deviant", "deviate", "devices", "deviled", "devilry", "devious", "devised", "devises", "devolve",
+  "devotee", "devotes", "devours", "dewdrop", "dewiest", "dewlaps", "diadems", "diagram", "dialect", "dialing",
+  "diamond", "diapers", "diaries", "diarist", "diatoms", "dibbled", "dibbles", "diciest", "dickers", "dickeys",
+  "dictate", "diction", "diddled", "diddles", "diesels", "dietary", "dieters", "dieting", "differs", "diffuse",
+  "digests", "diggers", "digging", "dignify", "dignity", "digraph", "digress", "dilated", "dilates", "dilemma",
+  "dillies", "diluted", "dilutes", "dimmers", "dimmest", "dimming", "dimness", "dimpled", "dimples", "dimwits",
+  "dinette", "dingier", "dinging", "dingoes", "dinkier", "dinkies", "dinners", "dinning", "diocese", "diorama",
+  "dioxide", "dioxins", "diploma", "dippers", "dipping", "directs", "dirtied", "dirtier", "dirties", "disable",
+  "disarms", "disavow", "disband", "disbars", "discard", "discern", "discoed", "discord", "discuss", "disdain",
+  "disease", "disgust", "dishing", "dishpan", "dishrag", "dismays", "dismiss", "disobey", "disowns", "dispels",
+  "disport", "dispose", "dispute", "disrobe", "disrupt", "dissect", "dissent", "dissing", "distaff", "distend",
+  "distill", "distort", "disused", "disuses", "ditched", "ditches", "dithers", "ditties", "dittoed", "diurnal",
+  "diverge", "diverse", "diverts", "divests", "divider", "divides", "divined", "diviner", "divines", "divisor",
+  "divorce", "divulge", "divvied", "divvies", "dizzied", "dizzier", "dizzies", "dizzily", "docents", "dockets",
+  "docking", "doctors", "dodders", "dodgers", "dodging", "doffing", "dogfish", "doggier", "doggies", "dogging",
+  "doggone", "dogtrot", "dogwood", "doilies", "doleful", "dollars", "dollies", "dolling", "dollops", "dolmens",
+  "dolphin", "doltish", "domains", "donated", "donates", "donkeys", "donning", "doodads", "doodled", "doodler",
+  "doodles", "dooming", "doorman", "doormat", "doormen", "doorway", "dopiest", "dorkier", "dormant", "dormers",
+  "dormice", "dosages", "dossier", "dotcoms", "dotting", "doubled", "doubles", "doublet", "doubted", "doubter",
+  "douched", "douches", "doughty", "dourest", "dousing", "dowager", "dowdier", "dowdies", "dowdily", "doweled",
+  "downers", "downier", "downing", "dowries", "dowsing", "drabber", "drachma", "drafted", "draftee", "dragged",
+  "dragnet", "dragons", "dragoon", "drained", "drainer", "drapery", "draping", "drawers", "drawled", "dreaded",
+  "dreamed", "dreamer", "dredged", "dredger", "dredges", "dressed", "dresser", "dresses", "dribble", "driblet",
+  "drifted", "drifter", "drilled", "drinker", "dripped", "drivels", "drivers", "drizzle", "drizzly", "droller",
+  "droning", "drooled", "drooped", "droplet", "dropout", "dropper", "drought", "drovers", "drowned", "drowsed",
+  "drowses", "drubbed", "drudged", "drudges", "drugged", "drummed", "drummer", "drunken", "drunker", "dryness",
+  "drywall", "dualism", "duality", "dubbing", "dubiety", "dubious", "duchess", "duchies", "ducking", "ductile",
+  "ducting", "dudgeon", "dueling", "duelist", "duffers", "dugouts", "dukedom", "dullard", "dullest", "dulling",
+  "dumbest", "dummies", "dumpier", "dumping", "dungeon", "dunging", "dunking", "dunnest", "dunning", "duodena",
+  "durable", "durably", "duskier", "dustbin", "dusters", "dustier", "dusting", "dustman", "dustmen", "dustpan",
+  "duteous", "dutiful", "dwarfed", "dweller", "dwindle", "dynamic", "dynamos", "dynasty", "eagerer", "eagerly",
+  "eaglets", "earache", "earbuds", "eardrum", "earfuls", "earldom", "earlobe", "earmark", "earmuff", "earners",
+  "earnest", "earning", "earplug", "earring", "earshot", "earthed", "earthen", "earthly", "earwigs", "eastern",
+  "eatable", "ebonies", "echelon", "echoing", "eclipse", "ecology", "ecstasy", "edamame", "eddying", "edgiest",
+  "edgings", "edibles", "edifice", "edified", "edifies", "editors", "educate", "eeriest", "effaced", "effaces",
+  "effects", "efforts", "egghead", "egoists", "egotism", "egotist", "eighths", "ejected", "elapsed", "elapses",
+  "elastic", "elating", "elation", "elbowed", "elderly", "elector", "elegant", "elegiac", "elegies", "elevate",
+  "elevens", "elicits", "eliding", "elision", "elitism", "elitist", "elixirs", "ellipse", "eloping", "eluding",
+  "elusive", "emailed", "emanate", "embalms", "embargo", "embarks", "embassy", "emblems", "embrace", "embroil",
+  "embryos", "emended", "emerald", "emerged", "emerges", "emetics", "eminent", "emirate", "emitted", "emoting",
+  "emotion", "emotive", "empathy", "emperor", "empires", "employs", "empower", "empress", "emptied", "emptier",
+  "empties", "emptily", "emulate", "enabled", "enables", "enacted", "enamels", "enamors", "encamps", "encased",
+  "encases", "enchant", "enclave", "enclose", "encoded", "encoder", "encodes", "encored", "encores", "encrust",
+  "encrypt", "endears", "endemic", "endings", "endives", "endless", "endorse", "endowed", "enduing", "endured",
+  "endures", "endways", "enemies", "enfolds", "enforce", "engaged", "engages", "engines", "engorge", "engrave",
+  "engross", "engulfs", "enhance", "enigmas", "enjoins", "enjoyed", "enlarge", "enlists", "enliven", "ennoble",
+  "enraged", "enrages", "enrolls", "ensigns", "enslave", "ensnare", "ensuing", "ensures", "entails", "entente",
+  "enthuse", "enticed", "entices", "entombs", "entrant", "entraps", "entreat", "entries", "entropy", "entrust",
+  "entwine", "envelop", "envious", "envying", "enzymes", "epaulet", "epicure", "epigram", "episode", "epistle",
+  "epitaph", "epithet", "epitome", "epochal", "epoxied", "epoxies", "epsilon", "equable", "equably", "equaled",
+  "equated", "equates", "equator", "equines", "equinox", "erasers", "erasing", "erasure", "erected", "erectly",
+  "ermines", "eroding", "erosion", "erosive", "erotica", "errands", "erratas", "erratic", "erratum", "erudite",
+  "erupted", "escaped", "escapee", "escapes", "eschews", "escorts", "escrows", "espouse", "espying", "esquire",
+  "essayed", "essence", "estates", "esteems", "estuary", "etchers", "etching", "eternal", "ethical", "ethnics",
+  "eunuchs", "euphony", "evacuee", "evading", "evasion", "evasive", "evenest", "evicted", "evident", "evilest",
+  "evinced", "evinces", "evoking", "evolved", "evolves", "exacted", "exacter", "exalted", "exceeds", "excepts",
+  "excerpt", "excised", "excises", "excited", "excites", "exclaim", "excreta", "excrete", "excused", "excuses",
+  "exempts", "exerted", "exhaled", "exhales", "exhaust", "exhibit", "exhorts", "exhumed", "exhumes", "exigent",
+  "exiling", "exiting", "exotics", "expands", "expanse", "expects", "expends", "experts", "expiate", "expired",
+  "expires", "explode", "exploit", "explore", "exports", "exposed", "exposes", "expound", "express", "expunge",
+  "extends", "extents", "extinct", "extorts", "extrude", "exuding", "exulted", "eyeball", "eyebrow", "eyefuls",
+  "eyelash", "eyelets", "eyelids", "eyesore", "fabrics", "facades", "faceted", "facials", "facings", "faction",
+  "factors", "factory", "factual", "faculty", "faddish", "fagging", "faggots", "fainest", "fainted", "fainter",
+  "faintly", "fairest", "fairies", "fairway", "falcons", "fallacy", "falloff", "fallout", "fallows", "falsely",
+  "falsest", "falsify", "falsity", "falters", "famines", "fanatic", "fanboys", "fancied", "fancier", "fancies",
+  "fancily", "fanfare", "fannies", "fanning", "fantasy", "fanzine", "faraway", "farmers", "farming", "farrows",
+  "farting", "fascism", "fascist", "fastens", "fasting", "fatally", "fateful", "fathead", "fathers", "fathoms",
+  "fatigue", "fatness", "fattens", "fattest", "fattier", "fatties", "fatuous", "faucets", "faulted", "favored",
+  "fawning", "fearful", "fearing", "feasted", "feather", "febrile", "fedoras", "feebler", "feedbag", "feeders",
+  "feelers", "feigned", "feinted", "felines", "fellest", "felling", "fellows", "felting", "females", "femoral",
+  "fencers", "fencing", "fenders", "fending", "ferment", "ferrets", "ferried", "ferries", "ferrous", "ferrule",
+  "fertile", "fervent", "festers", "festive", "festoon", "fetched", "fetches", "fetlock", "fetters", "fetuses",
+  "feuding", "fevered", "fibbers", "fibbing", "fibroid", "fibrous", "fibulae", "fickler", "fiction", "fiddled",
+  "fiddler", "fiddles", "fidgets", "fidgety", "fielded", "fielder", "fiercer", "fierier", "fiestas", "fifteen",
+  "fifties", "fighter", "figment", "figured", "figures", "filbert", "filched", "filches", "filings", "fillers",
+  "fillets", "fillies", "fillips", "filmier", "filming", "filters", "finagle", "finales", "finance", "finches",
+  "finders", "finesse", "fingers", "finicky", "finises", "finking", "firearm", "firebug", "firefly", "fireman",
+  "firemen", "firmest", "firming", "fiscals", "fishers", "fishery", "fishier", "fishing", "fishnet", "fission",
+  "fissure", "fistful", "fitness", "fitters", "fittest", "fixable", "fixated", "fixates", "fixedly", "fixings",
+  "fixture", "fizzier", "fizzing", "fizzled", "fizzles", "flaccid", "flagged", "flagons", "flailed", "flakier",
+  "flaking", "flambes", "flaming", "flanges", "flanked", "flannel", "flapped", "flapper", "flaring", "flasher",
+  "flashes", "flatbed", "flatcar", "flatted", "flatten", "flatter", "flattop", "flaunts", "flavors", "flawing",
+  "flaying", "flecked", "fledged", "fleeced", "fleeces", "fleeing", "fleeted", "fleeter", "fleshed", "fleshes",
+  "fleshly", "flexing", "flicked", "flicker", "flights", "flighty", "flipped", "flipper", "flirted", "flitted",
+  "floater", "flocked", "flogged", "flooded", "flooder", "floored", "flopped", "florins", "florist", "flossed",
+  "flosses", "flotsam", "flounce", "floured", "flouted", "flowers", "flowery", "flowing", "flubbed", "fluency",
+  "fluffed", "fluidly", "flukier", "flummox", "flunked", "flushed", "flusher", "flushes", "fluster", "fluting",
+  "flutist", "flutter", "fluxing", "flyleaf", "flyover", "foaling", "foamier", "foaming", "fobbing", "focused",
+  "focuses", "fodders", "foggier", "fogging", "foghorn", "foibles", "foiling", "foisted", "folders", "folding",
+  "foliage", "follies", "follows", "foments", "fondant", "fondest", "fondled", "fondles", "fondues", "foolery",
+  "fooling", "foolish", "footage", "footing", "footman", "footmen", "footsie", "foppish", "foraged", "forager",
+  "forages", "forayed", "forbade", "forbear", "forbids", "forbore", "forceps", "fording", "forearm", "foreleg",
+  "foreman", "foremen", "foresaw", "foresee", "forests", "forfeit", "forgave", "forgers", "forgery", "forgets",
+  "forging", "forgive", "forgoes", "forgone", "forking", "forlorn", "formals", "formats", "formula", "forsake",
+  "forsook", "forties", "fortify", "forwent", "fossils", "fosters", "foulest", "fouling", "founded", "founder",
+  "foundry", "fourths", "fowling", "foxhole", "foxiest", "foxtrot", "fracked", "fractal", "fragile", "frailer",
+  "frailty", "framers", "framing", "franked", "franker", "frankly", "frantic", "frappes", "fraught", "fraying",
+  "frazzle", "freaked", "freckle", "freebie", "freeing", "freeman", "freemen", "freeway", "freezer", "freezes",
+  "freight", "freshen", "fresher", "freshet", "freshly", "fretful", "fretted", "friable", "fridges", "friends",
+  "friezes", "frigate", "frights", "fringed", "fringes", "frisked", "fritter", "frizzed", "frizzes", "frizzle",
+  "frogman", "frogmen", "frolics", "frontal", "fronted", "frosted", "frothed", "frowned", "fruited", "fuchsia",
+  "fuckers", "fucking", "fuddled", "fuddles", "fudging", "fueling", "fulcrum", "fulfill", "fullest", "fulling",
+  "fulsome", "fumbled", "fumbler", "fumbles", "funding", "funeral", "fungous", "funkier", "funking", "funnels",
+  "funnest", "funnier", "funnies", "funnily", "furbish", "furious", "furling", "furlong", "furnace", "furnish",
+  "furrier", "furring", "furrows", "furtive", "fusible", "fusions", "fussier", "fussily", "fussing", "fustian",
+  "fustier", "futures", "futzing", "fuzzier", "fuzzily", "fuzzing", "gabbier", "gabbing", "gabbled", "gabbles",
+  "gadding", "gadgets", "gaffing", "gagging", "gaggles", "gainful", "gainsay", "gaiters", "gallant", "galleon",
+  "gallery", "galleys", "galling", "gallium", "gallons", "gallops", "gallows", "gambits", "gambled", "gambler",
+  "gambles", "gambols", "gametes", "gamiest", "gamines", "ganders", "ganging", "ganglia", "gangway", "gannets",
+  "gantlet", "garaged", "garages", "garbing", "garbled", "garbles", "gardens", "gargled", "gargles", "garland",
+  "garment", "garners", "garnets", "garnish", "garrets", "garrote", "garters", "gaseous", "gashing", "gaskets",
+  "gasohol", "gasping", "gassier", "gassing", "gastric", "gateway", "gathers", "gaucher", "gauchos", "gaudier",
+  "gaudily", "gauging", "gaunter", "gauzier", "gavotte", "gawkier", "gawkily", "gawking", "gayness", "gazebos",
+  "gazelle", "gazette", "gearbox", "gearing", "geekier", "geezers", "gelatin", "gelding", "gelling", "genders",
+  "generic", "geneses", "genesis", "genetic", "genital", "genomes", "genteel", "gentian", "gentile", "gentled",
+  "gentler", "gentles", "geology", "gerbils", "germane", "gerunds", "gestate", "gesture", "getaway", "gewgaws",
+  "geysers", "ghastly", "gherkin", "ghettos", "ghosted", "ghostly", "gibbers", "gibbets", "gibbons", "giblets",
+  "giddier", "giddily", "gifting", "gigabit", "gigging", "giggled", "giggler", "giggles", "gigolos", "gilding",
+  "gimlets", "gimmick", "gingham", "ginning", "ginseng", "giraffe", "girders", "girding", "girdled", "girdles",
+  "girlish", "girting", "gizzard", "glacial", "glacier", "gladden", "gladder", "glamour", "glanced", "glances",
+  "glaring", "glassed", "glasses", "glazier", "glazing", "gleamed", "gleaned", "gleeful", "glibber", "gliders",
+  "gliding", "glimmer", "glimpse", "glinted", "glisten", "glitter", "gloated", "globule", "gloried", "glories",
+  "glorify", "glossed", "glosses", "glottis", "gloving", "glowers", "glowing", "glucose", "gluiest", "glummer",
+  "glutted", "glutton", "gnarled", "gnashed", "gnashes", "gnawing", "gnomish", "goading", "goalies", "goatees",
+  "gobbing", "gobbled", "gobbler", "gobbles", "goblets", "goblins", "goddamn", "goddess", "godhood", "godless",
+  "godlier", "godlike", "godsend", "godsons", "goggled", "goggles", "goiters", "golfers", "golfing", "gollies",
+  "gondola", "gonging", "goobers", "goodbye", "goodies", "goofier", "goofing", "googled", "googles", "gooiest",
+  "goosing", "gophers", "gorging", "goriest", "gorilla", "gosling", "gospels", "gossips", "gossipy", "gougers",
+  "gouging", "goulash", "gourmet", "goutier", "governs", "gowning", "grabbed", "grabber", "gracing", "grackle",
+  "graders", "grading", "gradual", "grafted", "grafter", "grammar", "granary", "grandee", "grander", "grandly",
+  "grandma", "grandpa", "granges", "granite", "granola", "granule", "graphed", "grapnel", "grapple", "grasped",
+  "grassed", "grasses", "graters", "gratify", "grating", "gravels", "gravely", "gravest", "gravies", "graving",
+  "gravity", "grayest", "graying", "grayish", "grazing", "greased", "greases", "greened", "greener", "greeted",
+  "gremlin", "grenade", "griddle", "grieved", "grieves", "griffin", "grilled", "grilles", "grimace", "grimier",
+  "griming", "grimmer", "grinder", "gringos", "grinned", "griping", "gripped", "gristle", "gristly", "gritted",
+  "grizzly", "groaned", "grocers", "grocery", "grommet", "groomed", "grooved", "grooves", "groping", "grossed",
+  "grosser", "grosses", "grossly", "grouchy", "grounds", "grouped", "grouper", "groupie", "groused", "grouses",
+  "grouted", "grovels", "growers", "growled", "grownup", "growths", "grubbed", "grudged", "grudges", "gruffer",
+  "gruffly", "grumble", "grunted", "guarded", "guesser", "guesses", "guested", "guffaws", "guiding", "guilder",
+  "guineas", "guitars", "gulches", "gullets", "gullies", "gulling", "gulping", "gumdrop", "gummier", "gumming",
+  "gunboat", "gunfire", "gunners", "gunnery", "gunning", "gunshot", "gunwale", "guppies", "gurgled", "gurgles",
+  "gurneys", "gushers", "gushier", "gushing", "gussets", "gustier", "gusting", "gutless", "gutsier", "gutters",
+  "gutting", "guzzled", "guzzler", "guzzles", "gymnast", "gypping", "gypsies", "gyrated", "gyrates", "habitat",
+  "hackers", "hacking", "hackles", "hackney", "hacksaw", "haddock", "hafnium", "haggard", "haggled", "haggler",
+  "haggles", "hailing", "haircut", "hairdos", "hairier", "hairnet", "hairpin", "halberd", "halcyon", "halfway",
+  "halibut", "hallows", "hallway", "halogen", "haloing", "halters", "halting", "halving", "halyard", "hamlets",
+  "hammers", "hamming", "hammock", "hampers", "hamster", "handbag", "handcar", "handful", "handgun", "handier",
+  "handily", "handler", "handles", "handout", "handset", "hangars", "hangdog", "hangers", "hangman", "hangmen",
+  "hangout", "hankers", "hankies", "hansoms", "hapless", "happens", "happier", "harbors", "hardens", "hardier",
+  "hardily", "hardtop", "harelip", "harking", "harlots", "harming", "harmony", "harness", "harpies", "harping",
+  "harpist", "harpoon", "harried", "harries", "harrows", "harsher", "harshly", "harvest", "hashing", "hashish",
+  "hashtag", "hassled", "hassles", "hassock", "hastens", "hastier", "hastily", "hasting", "hatched", "hatches",
+  "hatchet", "hateful", "hatreds", "hatters", "hatting", "haughty", "haulers", "hauling", "haunted", "hauteur",
+  "hawkers", "hawking", "hawkish", "hawsers", "haycock", "hayloft", "haymows", "hayseed", "haywire", "hazards",
+  "haziest", "hazings", "headers", "headier", "headset", "headway", "healers", "healing", "heaping", "hearers",
+  "hearken", "hearsay", "hearses", "hearten", "hearths", "heaters", "heathen", "heather", "heating", "heavens",
+  "heavier", "heavies", "heaving", "heckled", "heckler", "heckles", "hectare", "hectors", "hedging", "heedful",
+  "heeding", "heehaws", "heeling", "heftier", "hefting", "heifers", "heights", "heinous", "heiress", "heisted",
+  "helical", "helices", "hellion", "hellish", "helmets", "helpers", "hemline", "hemlock", "hemming", "hennaed",
+  "henpeck", "hepatic", "heppest", "heralds", "herbage", "herders", "herding", "heretic", "hermits", "hernias",
+  "heroics", "heroine", "heroins", "heroism", "herring", "hexagon", "heydays", "hibachi", "hiccups", "hickeys",
+  "hickory", "hideous", "hideout", "highboy", "highway", "hijacks", "hillier", "hillock", "hilltop", "hinders",
+  "hinging", "hinting", "hippest", "hippies", "hipping", "hirsute", "hissing", "hitched", "hitches", "hitters",
+  "hoagies", "hoarded", "hoarder", "hoarier", "hoarser", "hoaxers", "hoaxing", "hobbies", "hobbled", "hobbles",
+  "hobnail", "hobnobs", "hocking", "hoedown", "hogging", "hoggish", "hogwash", "hoisted", "hokiest", "holders",
+  "holdout", "holdups", "holiest", "hollers", "hollies", "hollows", "holster", "homages", "homburg", "homeboy",
+  "homered", "homiest", "homonym", "honchos", "honesty", "honeyed", "honking", "honored", "hoodies", "hooding",
+  "hoodlum", "hoodoos", "hoofing", "hookahs", "hookers", "hooking", "hookups", "hooping", "hooters", "hooting",
+  "hopeful", "hoppers", "hopping", "hording", "horizon", "hormone", "hornets", "hornier", "horrify", "horrors",
+  "horsier", "horsing", "hosanna", "hosiery", "hospice", "hostage", "hostels", "hostess", "hostile", "hosting",
+  "hostler", "hotbeds", "hotcake", "hothead", "hotkeys", "hotness", "hotshot", "hottest", "hounded", "housing",
+  "hovered", "howdahs", "howlers", "howling", "hubbies", "hubbubs", "hubcaps", "huddled", "huddles", "huffier",
+  "huffily", "huffing", "hugging", "hulking", "hulling", "humaner", "humanly", "humbled", "humbler", "humbles",
+  "humbugs", "humdrum", "humerus", "humidor", "humming", "hummock", "humored", "humping", "hunched", "hunches",
+  "hungers", "hunkers", "hunters", "hunting", "hurdled", "hurdler", "hurdles", "hurlers", "hurling", "hurrahs",
+  "hurried", "hurries", "hurtful", "hurting", "hurtled", "hurtles", "hushing", "huskers", "huskier", "huskies",
+  "huskily", "husking", "hussars", "hussies", "hustled", "hustler", "hustles", "hutches", "hybrids", "hydrant",
+  "hydrate", "hygiene", "hymnals", "hymning", "hyphens", "iambics", "iceberg", "icecaps", "icicles", "iciness",
+  "ickiest", "ideally", "idiotic", "idolize", "idyllic", "iffiest", "igneous", "ignited", "ignites", "ignoble",
+  "ignobly", "ignores", "iguanas", "illicit", "illness", "imagery", "imaging", "imbibed", "imbibes", "imbuing",
+  "imitate", "immense", "immerse", "immoral", "immured", "immures", "impacts", "impairs", "impalas", "impaled",
+  "impales", "impanel", "imparts", "impasse", "impeach", "impeded", "impedes", "impends", "imperil", "impetus",
+  "impiety", "impinge", "impious", "implant", "implies", "implode", "implore", "imports", "imposes", "impound",
+  "impress", "imprint", "impugns", "impulse", "impurer", "imputed", "imputes", "inanely", "inanest", "inanity",
+  "inboard", "inbound", "inboxes", "inbreed", "inbuilt", "incense", "inching", "incised", "incises", "incisor",
+  "incited", "incites", "incomes", "incubus", "indents", "indexed", "indexes", "indices", "indicts", "indoors",
+  "induced", "induces", "inducts", "indulge", "ineptly", "inertia", "inertly", "inexact", "infancy", "infants",
+  "infects", "inferno", "infests", "infidel", "infield", "inflame", "inflate", "inflect", "inflict", "informs",
+  "infused", "infuses", "ingests", "ingrain", "ingrate", "ingress", "ingrown", "inhabit", "inhaled", "inhaler",
+  "inhales", "inhered", "inheres", "inherit", "inhibit", "inhuman", "injects", "injured", "injures", "inkblot",
+  "inkiest", "inkling", "inkwell", "inmates", "innards", "innings", "inquest", "inquire", "inquiry", "inroads",
+  "insaner", "inseams", "insects", "inserts", "inshore", "insider", "insides", "insight", "insipid", "insists",
+  "insofar", "insoles", "inspect", "inspire", "insteps", "instill", "insular", "insulin", "insults", "insured",
+  "insurer", "insures", "intakes", "intends", "intense", "intents", "interim", "interns", "intoned", "intones",
+  "intrude", "intuits", "inuring", "invaded", "invader", "invades", "inveigh", "invents", "inverse", "inverts",
+  "invests", "invites", "invoice", "invoked", "invokes", "inwards", "iodized", "iodizes", "ionized", "ionizer",
+  "ionizes", "ipecacs", "irately", "iridium", "irksome", "ironies", "ironing", "islands", "isobars", "isotope",
+  "isthmus", "italics", "itchier", "itching", "itemize", "iterate", "ivories", "jabbers", "jabbing", "jackals",
+  "jackass", "jackdaw", "jackets", "jacking", "jackpot", "jaguars", "jailers", "jailing", "jamming", "jangled",
+  "jangles", "janitor", "jarring", "jasmine", "jaunted", "javelin", "jawbone", "jaywalk", "jazzier", "jazzing",
+  "jealous", "jeering", "jellied", "jellies", "jelling", "jerkier", "jerkily", "jerking", "jerkins", "jerseys",
+  "jesters", "jesting", "jetties", "jetting", "jeweled", "jeweler", "jewelry", "jibbing", "jiffies", "jiggers",
+  "jigging", "jiggled", "jiggles", "jigsaws", "jilting", "jimmied", "jimmies", "jingled", "jingles", "jinxing",
+  "jitneys", "jitters", "jittery", "jobbers", "jobbing", "jobless", "jockeys", "jocular", "joggers", "jogging",
+  "joggled", "joggles", "joiners", "jointed", "jointly", "jollied", "jollier", "jollies", "jollity", "jolting",
+  "jonquil", "joshing", "jostled", "jostles", "jotting", "jounced", "jounces", "journal", "journey", "jousted",
+  "joyless", "joyride", "joyrode", "jubilee", "judging", "jugging", "juggled", "juggler", "juggles", "jugular",
+  "juicers", "juicier", "juicily", "juicing", "jujitsu", "jujubes", "jukebox", "jumbled", "jumbles", "jumpers",
+  "jumpier", "jumping", "jungles", "juniors", "juniper", "junkers", "junkets", "junkier", "junkies", "junking",
+  "jurists", "justest", "justice", "jutting", "karakul", "karaoke", "katydid", "kayaked", "keeling", "keenest",
+  "keening", "keepers", "kennels", "kenning", "keratin", "kernels", "kestrel", "ketches", "ketchup", "kettles",
+  "keyhole", "keynote", "keyword", "kibbutz", "kickers", "kickier", "kicking", "kickoff", "kidders", "kiddies",
+  "kidding", "kidnaps", "kidneys", "killers", "killjoy", "kilning", "kiloton", "kimonos", "kindest", "kindled",
+  "kindles", "kindred", "kinetic", "kinfolk", "kingdom", "kingpin", "kinkier", "kinking", "kinship", "kinsman",
+  "kinsmen", "kippers", "kissers", "kissing", "kitchen", "kitschy", "kittens", "kitties", "klutzes", "knacker",
+  "knavery", "knavish", "kneaded", "kneader", "kneecap", "kneeing", "knelled", "knifing", "knights", "knitted",
+  "knitter", "knocker", "knotted", "knuckle", "kookier", "kopecks", "koshers", "kowtows", "krypton", "kumquat",
+  "labials", "labored", "laborer", "laciest", "lackeys", "laconic", "lacquer", "lactate", "lactose", "lacunae",
+  "ladders", "laddies", "ladings", "ladling", "ladybug", "laggard", "lagging", "lagoons", "lambent", "lambing",
+  "lambkin", "laments", "lamming", "lampoon", "lamprey", "lancers", "lancets", "lancing", "languid", "languor",
+  "lankest", "lankier", "lanolin", "lantern", "lanyard", "lapping", "lapsing", "laptops", "lapwing", "larceny",
+  "larches", "larders", "larding", "largess", "lariats", "larking", "lasagna", "lashing", "lassies", "lassoed",
+  "lasting", "latched", "latches", "latency", "lateral", "lathers", "lathing", "latrine", "lattice", "lauding",
+  "laughed", "launder", "laundry", "laurels", "lawless", "lawsuit", "lawyers", "laxness", "layaway", "layered",
+  "layette", "layoffs", "layouts", "layover", "laziest", "lazying", "leached", "leaches", "leaders", "leafier",
+  "leafing", "leaflet", "leagued", "leagues", "leakage", "leakier", "leaking", "leanest", "leaning", "leaping",
+  "learner", "leashed", "leashes", "leasing", "leather", "leavens", "lechers", "lechery", "lectern", "ledgers",
+  "leeched", "leeches", "leerier", "leering", "leeward", "leftest", "lefties", "leftism", "leftist", "legatee",
+  "legates", "legatos", "legends", "leggier", "legging", "legible", "legibly", "legions", "legless", "legroom",
+  "legumes", "legwork", "leisure", "lemming", "lenders", "lending", "lengths", "lengthy", "lenient", "lentils",
+  "leonine", "leopard", "leotard", "leprosy", "leprous", "lesbian", "lesions", "lessees", "lessens", "lessons",
+  "lessors", "letdown", "letters", "lettuce", "leveled", "leveler", "levered", "levying", "lewdest", "lexical",
+  "lexicon", "liaised", "liaises", "liaison", "libeled", "libeler", "liberal", "liberty", "libidos", "license",
+  "lichens", "licking", "liefest", "lifting", "liftoff", "lighted", "lighten", "lighter", "lightly", "lignite",
+  "likable", "likened", "lilting", "limbers", "limeade", "limiest", "limning", "limpest", "limpets", "limping",
+  "lindens", "lineage", "lineman", "linemen", "lineups", "lingers", "lingoes", "lingual", "linings", "linkage",
+  "linkups", "linnets", "linseed", "lintels", "lioness", "lionize", "lipread", "liquefy", "liqueur", "liquids",
+  "liquors", "lisping", "lissome", "listens", "litchis", "literal", "lithest", "lithium", "litters", "littler",
+  "liturgy", "livable", "livened", "lividly", "livings", "lizards", "loaders", "loafers", "loafing", "loamier",
+  "loaners", "loaning", "loathed", "loathes", "lobbied", "lobbies", "lobbing", "lobster", "locales", "locally",
+  "located", "locates", "lockers", "lockets", "lockjaw", "lockout", "lockups", "locusts", "lodgers", "lodging",
+  "loftier", "loftily", "lofting", "logbook", "loggers", "logjams", "logoffs", "logouts", "loiters", "lolcats",
+  "lolling", "longing", "longish", "lookout", "looming", "loonier", "loonies", "loopier", "looping", "loosely",
+  "loosens", "loosest", "loosing", "looters", "looting", "lopping", "lording", "lorries", "lotions", "lottery",
+  "lotuses", "loudest", "lounged", "lounges", "lousier", "loutish", "louvers", "lovable", "lowbrow", "lowdown",
+  "lowered", "lowland", "lowlier", "lowness", "loyaler", "loyally", "loyalty", "lozenge", "lubbers", "lucidly",
+  "luckier", "luckily", "lucking", "luggage", "lugging", "lullaby", "lulling", "lumbago", "lumbers", "lumpier",
+  "lumping", "lumpish", "lunatic", "lunched", "lunches", "lunging", "lupines", "lurched", "lurches", "luridly",
+  "lurking", "lushest", "lustful", "lustier", "lustily", "lusting", "lyceums", "lynched", "lynches", "lyrical",
+  "macabre", "macadam", "machete", "macrons", "madcaps", "maddens", "madders", "maddest", "madness", "madrasa",
+  "maestro", "magenta", "maggots", "magical", "magnate", "magneto", "magnets", "magnify", "magnums", "magpies",
+  "mahatma", "maidens", "mailbox", "mailers", "mailing", "mailman", "mailmen", "maiming", "majesty", "majored",
+  "majorly", "makeups", "makings", "malaise", "malaria", "maligns", "mallard", "mallets", "mallows", "malteds",
+  "malting", "malware", "mamboed", "mammals", "mammary", "mammoth", "manacle", "manages", "manatee", "mandate",
+  "mangers", "mangier", "mangled", "mangles", "mangoes", "manhole", "manhood", "manhunt", "maniacs", "manikin",
+  "mankind", "manlier", "manners", "manning", "mannish", "mansard", "mansion", "mantels", "mantled", "mantles",
+  "mantras", "manuals", "manumit", "manured", "manures", "mapping", "marabou", "maracas", "marauds", "marbled",
+  "marbles", "marched", "marcher", "marches", "margins", "marimba", "marinas", "mariner", "marines", "marital",
+  "markers", "markets", "markups", "marlins", "marmots", "maroons", "marquee", "marquis", "married", "marries",
+  "marring", "marrows", "marshal", "marshes", "martens", "martial", "martini", "martins", "martyrs", "marvels",
+  "mascara", "mascots", "mashers", "mashing", "mashups", "masking", "masonic", "masonry", "masques", "massage",
+  "masseur", "massing", "masters", "mastery", "mastiff", "mastoid", "matador", "matched", "matches", "matrons",
+  "matters", "matting", "mattock", "matured", "maturer", "matures", "matzohs", "matzoth", "maudlin", "mauling",
+  "maunder", "mawkish", "maxilla", "maximal", "maydays", "mayoral", "maypole", "mazurka", "meadows", "mealier",
+  "meander", "meanest", "measles", "meatier", "meddled", "meddler", "meddles", "medians", "mediate", "mediums",
+  "medleys", "medulla", "meekest", "megaton", "melange", "melanin", "melding", "mellows", "melodic", "melting",
+  "members", "memento", "memoirs", "menaced", "menaces", "menages", "menders", "mending", "menfolk", "menials",
+  "menorah", "menthol", "mentors", "meowing", "mercies", "mercury", "mergers", "merging", "merinos", "merited",
+  "mermaid", "merrier", "merrily", "mescals", "meshing", "messiah", "messier", "messily", "messing", "mestizo",
+  "meteors", "metered", "methane", "methods", "metrics", "mewling", "miasmas", "microbe", "microns", "middies",
+  "middles", "midgets", "midland", "midmost", "midriff", "midterm", "midtown", "midways", "midweek", "midwife",
+  "midyear", "miffing", "migrant", "migrate", "mildest", "mildews", "mileage", "milieus", "militia", "milkier",
+  "milking", "milkman", "milkmen", "milksop", "millage", "millers", "milling", "mimetic", "mimicry", "mimosas",
+  "minaret", "mincing", "mindful", "mineral", "mingled", "mingles", "minibus", "minicam", "minions", "minivan",
+  "minnows", "minored", "minster", "mintier", "minting", "minuend", "minuets", "minuses", "minuted", "minuter",
+  "minutes", "minutia", "miracle", "mirages", "mirrors", "miscall", "miscast", "miscued", "miscues", "misdeal",
+  "misdeed", "misdoes", "misdone", "miserly", "misfire", "misfits", "mishaps", "mislaid", "mislays", "misplay",
+  "misread", "misrule", "missals", "missile", "mission", "missive", "misstep", "misters", "mistier", "mistily",
+  "mistime", "misting", "mistype", "misused", "misuses", "mitered", "mitosis", "mittens", "mixture", "mizzens",
+  "moaning", "mobbing", "mobiles", "mobster", "mockers", "mockery", "mocking", "modeled", "moderns", "modesty",
+  "modicum", "modular", "modules", "modulus", "moisten", "moister", "moistly", "molders", "moldier", "molding",
+  "molests", "mollify", "mollusk", "molting", "moments", "mommies", "monarch", "moneyed", "mongers", "mongrel",
+  "moniker", "monkeys", "monocle", "monsoon", "monster", "montage", "monthly", "mooched", "moocher", "mooches",
+  "moodier", "moodily", "mooning", "moonlit", "mooring", "mooting", "moppets", "mopping", "moraine", "morally",
+  "mordant", "morgues", "morocco", "moronic", "morrows", "morsels", "mortals", "mortars", "mortify", "mortise",
+  "mosaics", "moseyed", "mosques", "mossier", "mothers", "motiles", "motions", "motives", "motleys", "motlier",
+  "motored", "mottled", "mottles", "mottoes", "mounded", "mounted", "mourned", "mourner", "mousers", "mousier",
+  "mousing", "moussed", "mousses", "mouthed", "movable", "muckier", "mucking", "muddied", "muddier", "muddies",
+  "muddled", "muddles", "muezzin", "muffing", "muffins", "muffled", "muffler", "muffles", "muggers", "muggier",
+  "mugging", "muggles", "mukluks", "mulatto", "mulched", "mulches", "mullahs", "mullets", "mulling", "mullion",
+  "mumbled", "mumbler", "mumbles", "mummers", "mummery", "mummies", "mummify", "munched", "munches", "mundane",
+  "murders", "murkier", "murkily", "murmurs", "muscled", "muscles", "museums", "mushier", "mushing", "musical",
+  "musings", "muskets", "muskier", "muskrat", "mussels", "mussier", "mussing", "mustang", "mustard", "musters",
+  "mustier", "mutable", "mutants", "mutated", "mutates", "mutters", "muumuus", "muzzled", "muzzles", "myriads",
+  "myrtles", "mystery", "mystics", "mystify", "nabbing", "nagging", "nailing", "naively", "naivest", "naivety",
+  "nakedly", "nannies", "napalms", "naphtha", "napkins", "nappier", "nappies", "napping", "narrate", "narrows",
+  "narwhal", "nasally", "nascent", "nastier", "nastily", "nations", "natives", "nattier", "nattily", "natures",
+  "naughts", "nearing", "neatest", "nebulae", "nebular", "necking", "necktie", "needful", "needier", "needled",
+  "needles", "negated", "negates", "neglect", "neighed", "nemeses", "nemesis", "neocons", "neonate", "nephews",
+  "nerdier", "nervier", "nerving", "nervous", "nesting", "nestled", "nestles", "netbook", "netting", "nettled",
+  "nettles", "neurons", "neuters", "neutral", "neutron", "newbies", "newborn", "newness", "newsboy", "newsier",
+  "newsman", "newsmen", "newtons", "nexuses", "nibbled", "nibbler", "nibbles", "nickels", "nicking", "niftier",
+  "niggard", "niggers", "niggled", "niggles", "nighest", "nightie", "nightly", "nimbler", "ninepin", "ninnies",
+  "nippers", "nippier", "nipping", "nipples", "nirvana", "nitpick", "nitrate", "nitwits", "noblest", "nodding",
+  "nodular", "nodules", "noggins", "noisier", "noisily", "noising", "noisome", "nomadic", "nominal", "nominee",
+  "noncoms", "nonplus", "nonskid", "nonstop", "nonuser", "nonzero", "noodled", "noodles", "noonday", "nosegay",
+  "noshing", "nosiest", "nostril", "nostrum", "notable", "notably", "notched", "notches", "notepad", "notices",
+  "notions", "nougats", "nourish", "novella", "novelty", "novices", "noxious", "nozzles", "nuanced", "nuances",
+  "nuclear", "nucleic", "nucleus", "nudging", "nudists", "nuggets", "nullify", "nullity", "numbers", "numbest",
+  "numbing", "numeral", "numeric", "nuncios", "nunnery", "nuptial", "nursery", "nursing", "nurture", "nutmeat",
+  "nutmegs", "nutrias", "nuttier", "nutting", "nuzzled", "nuzzles", "oarlock", "oarsman", "oarsmen", "oatmeal",
+  "obelisk", "obesity", "obeying", "objects", "obliged", "obliges", "oblique", "oblongs", "obloquy", "oboists",
+  "obscene", "obsequy", "obtains", "obtrude", "obtuser", "obverse", "obviate", "obvious", "ocarina", "occlude",
+  "oceanic", "ocelots", "octagon", "octaves", "octopus", "oculars", "oculist", "oddball", "oddness", "odorous",
+  "odyssey", "offbeat", "offends", "offense", "offhand", "offices", "offings", "offload", "offsets", "offside",
+  "oftener", "oiliest", "oilskin", "oinking", "okaying", "omelets", "ominous", "omnibus", "oneness", "onerous",
+  "oneself", "onetime", "ongoing", "onshore", "opacity", "opaqued", "opaquer", "opaques", "openers", "openest",
+  "operand", "opiates", "opining", "opossum", "opposes", "oppress", "optical", "optimal", "optimum", "options",
+  "opulent", "oracles", "oranges", "orating", "oration", "orators", "oratory", "orbital", "orbited", "orchard",
+  "orchids", "ordains", "ordeals", "orderly", "ordinal", "oregano", "organdy", "organic", "orgasms", "orients",
+  "orifice", "origami", "origins", "orioles", "orotund", "orphans", "osmosis", "osmotic", "ospreys", "ostrich",
+  "ottoman", "ousters", "ousting", "outages", "outback", "outbids", "outcast", "outcome", "outcrop", "outdoes",
+  "outdone", "outdoor", "outfits", "outgoes", "outgrew", "outgrow", "outings", "outlaid", "outlast", "outlaws",
+  "outlays", "outlets", "outline", "outlive", "outlook", "outplay", "outpost", "outputs", "outrage", "outrank",
+  "outruns", "outsell", "outsets", "outsize", "outsold", "outstay", "outtake", "outvote", "outward", "outwear",
+  "outwits", "outwore", "outworn", "ovarian", "ovaries", "ovation", "overact", "overage", "overate", "overawe",
+  "overdid", "overdue", "overeat", "overjoy", "overlap", "overlay", "overlie", "overpay", "overran", "overrun",
+  "oversaw", "oversee", "overtax", "overtly", "overuse", "oviduct", "ovulate", "oxfords", "oxidize", "oxymora",
+  "oysters", "pacific", "packers", "packets", "packing", "paddies", "padding", "paddled", "paddles", "paddock",
+  "padlock", "pageant", "pagodas", "pailful", "paining", "painted", "painter", "pairing", "paisley", "pajamas",
+  "palaces", "palatal", "palates", "palaver", "palazzi", "palazzo", "palette", "palings", "pallets", "palling",
+  "palmier", "palming", "palmist", "palpate", "palsied", "palsies", "pampers", "panacea", "panache", "pancake",
+  "panders", "paneled", "panicky", "pannier", "panning", "panoply", "pansies", "panther", "panties", "panting",
+  "papayas", "papered", "papilla", "papoose", "paprika", "papyrus", "parable", "paraded", "parades", "paradox",
+  "paragon", "parapet", "parasol", "parboil", "parcels", "parched", "parches", "pardons", "parents", "parfait",
+  "pariahs", "parings", "parking", "parkour", "parkway", "parlays", "parleys", "parlors", "paroled", "parolee",
+  "paroles", "parquet", "parried", "parries", "parring", "parrots", "parsecs", "parsing", "parsley", "parsnip",
+  "parsons", "partake", "partied", "parties", "parting", "partner", "partook", "partway", "parvenu", "paschal",
+  "passage", "passels", "passion", "passive", "passkey", "pastels", "pastern", "pastier", "pasties", "pastime",
+  "pasting", "pastors", "pasture", "patched", "patches", "patella", "patents", "pathway", "patinas", "patriot",
+  "patrols", "patrons", "patsies", "patters", "patties", "patting", "paucity", "paunchy", "paupers", "pausing",
+  "pavings", "pawning", "pawpaws", "payable", "paydays", "payload", "payment", "payoffs", "payroll", "paywall",
+  "peaches", "peacock", "peafowl", "peahens", "peaking", "pealing", "peanuts", "pearled", "peasant", "pebbled",
+  "pebbles", "peccary", "pecking", "pedaled", "pedants", "peddled", "peddler", "peddles", "peeking", "peeling",
+  "peepers", "peeping", "peerage", "peering", "peeving", "peevish", "peewees", "pegging", "pelagic", "pelican",
+  "pellets", "pelting", "penalty", "penance", "pencils", "pendant", "pendent", "pending", "penguin", "penises",
+  "pennant", "pennies", "penning", "pennons", "pension", "pensive", "peonage", "peonies", "peopled", "peoples",
+  "peppers", "peppery", "peppier", "pepping", "peptics", "percale", "percent", "perched", "perches", "perfidy",
+  "perfume", "perhaps", "perigee", "periled", "periods", "periwig", "perjure", "perjury", "perkier", "perking",
+  "perming", "permits", "permute", "perplex", "persist", "persona", "persons", "pertain", "pertest", "perturb",
+  "perusal", "perused", "peruses", "pervade", "pervert", "pesetas", "peskier", "pesters", "pestled", "pestles",
+  "petards", "petered", "petiole", "petites", "petrels", "petrify", "pettier", "pettily", "petting", "petunia",
+  "pewters", "phalanx", "phallic", "phallus", "phantom", "pharaoh", "pharynx", "phasing", "philter", "phished",
+  "phisher", "phobias", "phobics", "phoebes", "phoenix", "phoneme", "phonics", "phonied", "phonier", "phonies",
+  "phoning", "photoed", "photons", "phrasal", "phrased", "phrases", "physics", "pianist", "piazzas", "picante",
+  "piccolo", "pickers", "pickets", "pickier", "pickled", "pickles", "pickups", "picnics", "piddled", "piddles",
+  "pidgins", "piebald", "piecing", "pierced", "pierces", "pigeons", "piggier", "piggies", "pigging", "piggish",
+  "piglets", "pigment", "pigpens", "pigskin", "pigtail", "pileups", "pilfers", "pilgrim", "pilings", "pillage",
+  "pillars", "pillbox", "pilling", "pillion", "pillory", "pillows", "piloted", "pimento", "pimping", "pimples",
+  "pinball", "pincers", "pinched", "pinches", "pinging", "pinhead", "pinhole", "pinions", "pinkest", "pinkeye",
+  "pinkies", "pinking", "pinkish", "pinnate", "pinning", "pioneer", "piously", "pipping", "pippins", "piquant",
+  "piquing", "piranha", "pirated", "pirates", "pissing", "pistils", "pistols", "pistons", "pitched", "pitcher",
+  "pitches", "piteous", "pitfall", "pithier", "pithily", "pitiful", "pitting", "pitying", "pivotal", "pivoted",
+  "pizzazz", "placard", "placate", "placebo", "placers", "placket", "plagued", "plagues", "plainer", "plainly",
+  "plaints", "plaited", "planets", "planing", "planked", "planner", "planted", "planter", "plaques", "plaster",
+  "plateau", "platens", "plating", "platoon", "platter", "plaudit", "playact", "playboy", "players", "playful",
+  "playoff", "playpen", "pleaded", "pleader", "pleases", "pleated", "plectra", "pledged", "pledges", "plenary",
+  "pliable", "pliancy", "plights", "plinths", "plodded", "plodder", "plopped", "plotted", "plotter", "plovers",
+  "plowing", "plowman", "plowmen", "plucked", "plugged", "plugins", "plumage", "plumbed", "plumber", "pluming",
+  "plummet", "plumped", "plumper", "plunder", "plunged", "plunger", "plunges", "plunked", "plurals", "plusher",
+  "plywood", "poached", "poacher", "poaches", "pockets", "pocking", "podcast", "podding", "podiums", "poetess",
+  "pogroms", "pointer", "poising", "poisons", "pokiest", "polecat", "polemic", "policed", "polices", "politer",
+  "politic", "polkaed", "polling", "pollute", "polygon", "polymer", "pomaded", "pomades", "pommels", "pompoms",
+  "pompous", "ponchos", "ponders", "poniard", "pontiff", "pontoon", "pooched", "pooches", "poodles", "poohing",
+  "pooling", "pooping", "poorest", "popcorn", "popguns", "poplars", "popover", "poppies", "popping", "porches",
+  "porcine", "portage", "portals", "portend", "portent", "porters", "portico", "porting", "portion", "portray",
+  "poseurs", "poshest", "posited", "possess", "possums", "postage", "postbox", "postdoc", "posters", "postman",
+  "postmen", "posture", "postwar", "potable", "potency", "potfuls", "pothole", "pothook", "potions", "potluck",
+  "potpies", "potshot", "pottage", "potters", "pottery", "pottier", "potties", "potting", "pouched", "pouches",
+  "poultry", "pounced", "pounces", "pounded", "pouring", "pouting", "poverty", "powders", "powdery", "powered",
+  "powwows", "prairie", "praised", "praises", "praline", "pranced", "prancer", "prances", "prating", "prattle",
+  "prawned", "prayers", "praying", "preachy", "precede", "precept", "predate", "predict", "preempt", "preened",
+  "prefabs", "preface", "prefect", "prefers", "preheat", "prelate", "prelude", "premier", "premise", "premium",
+  "prenups", "prepaid", "prepays", "prepped", "prequel", "presage", "presets", "preside", "presses", "prestos",
+  "preteen", "pretend", "pretext", "pretzel", "prevail", "preview", "preying", "pricier", "pricing", "pricked",
+  "prickle", "prickly", "priding", "priests", "primacy", "primate", "primers", "priming", "primmer", "primped",
+  "princes", "prisons", "prithee", "privacy", "privets", "privier", "privies", "prizing", "probate", "probing",
+  "probity", "proceed", "process", "proctor", "procure", "prodded", "prodigy", "profane", "profess", "proffer",
+  "profile", "profits", "profuse", "progeny", "prolong", "promote", "prompts", "pronged", "pronoun", "proofed",
+  "propane", "propels", "prophet", "propped", "prorate", "prosaic", "prosier", "prosody", "prosper", "protean",
+  "protein", "protons", "prouder", "proudly", "proverb", "proviso", "provoke", "provost", "prowess", "prowled",
+  "prowler", "proxies", "prudent", "prudery", "prudish", "pruning", "psyched", "psyches", "psychic", "psychos",
+  "puberty", "puckers", "puckish", "pudding", "puddled", "puddles", "pudgier", "pueblos", "puerile", "puffier",
+  "puffing", "puffins", "pullers", "pullets", "pulleys", "pullout", "pulpier", "pulping", "pulpits", "pulsars",
+  "pulsate", "pulsing", "pumices", "pummels", "pumpers", "pumping", "pumpkin", "punched", "punches", "pundits",
+  "pungent", "puniest", "punkest", "punning", "punster", "punters", "punting", "puppets", "puppies", "pupping",
+  "purging", "purists", "puritan", "purling", "purloin", "purpler", "purples", "purport", "purring", "pursers",
+  "pursing", "pursued", "pursuer", "pursues", "pursuit", "purveys", "purview", "pushers", "pushier", "pussier",
+  "pussies", "pustule", "putrefy", "putters", "puttied", "putties", "puzzled", "puzzler", "puzzles", "pygmies",
+  "pyramid", "pythons", "quacked", "quaffed", "quahogs", "quailed", "quaking", "quantum", "quarrel", "quartet",
+  "quartos", "quasars", "quashed", "quashes", "quavers", "quavery", "queened", "queenly", "queered", "queerer",
+  "queerly", "quelled", "queried", "queries", "quested", "queuing", "quibble", "quiches", "quicken", "quickie",
+  "quieted", "quieter", "quietus", "quilted", "quilter", "quinces", "quinine", "quintet", "quipped", "quirked",
+  "quitter", "quivers", "quizzed", "quizzes", "quoited", "quondam", "quorums", "rabbits", "rabbles", "raccoon",
+  "racemes", "raceway", "raciest", "racists", "rackets", "racking", "radials", "radiant", "radiate", "radical",
+  "radioed", "raffish", "raffled", "raffles", "rafters", "rafting", "raggedy", "ragging", "raglans", "ragouts",
+  "ragtags", "ragtime", "ragweed", "raiders", "raiding", "railing", "railway", "raiment", "rainbow", "rainier",
+  "raining", "raisins", "rallied", "rallies", "rambled", "rambler", "rambles", "ramming", "rampage", "rampant",
+  "rampart", "ramrods", "ranched", "rancher", "ranches", "randier", "rangers", "rangier", "ranging", "rankest",
+  "ranking", "rankled", "rankles", "ransack", "ransoms", "ranting", "rapider", "rapiers", "rapists", "rappers",
+  "rapping", "rapport", "rapture", "rascals", "rashers", "rashest", "raspier", "rasping", "ratchet", "ratings",
+  "rations", "rattans", "rattier", "ratting", "rattled", "rattler", "rattles", "rattrap", "raucous", "raunchy",
+  "ravaged", "ravages", "raveled", "ravened", "ravines", "ravings", "ravioli", "rawhide", "rawness", "razzing",
+  "reaches", "reacted", "reactor", "readers", "readied", "readier", "readies", "readmit", "readout", "reagent",
+  "realest", "realign", "realism", "realist", "reamers", "reaming", "reapers", "reaping", "reapply", "rearing",
+  "rearmed", "reasons", "rebated", "rebates", "rebinds", "rebirth", "rebound", "rebuffs", "rebuild", "rebuilt",
+  "rebuked", "rebukes", "rebuses", "recalls", "recants", "recasts", "receded", "recedes", "receipt", "recheck",
+  "recipes", "recital", "recited", "recites", "reckons", "reclaim", "recline", "recluse", "recoils", "records",
+  "recount", "recoups", "recruit", "rectify", "rectors", "rectory", "rectums", "recycle", "redcaps", "redcoat",
+  "reddens", "reddest", "reddish", "redeems", "redhead", "redneck", "redness", "redoing", "redoubt", "redound",
+  "redraft", "redrawn", "redraws", "redress", "redskin", "reduces", "redwood", "reedier", "reefers", "reefing",
+  "reeking", "reelect", "reeling", "reenact", "reenter", "reentry", "reeving", "referee", "reffing", "refiled",
+  "refiles", "refills", "refined", "refiner", "refines", "refocus", "reforms", "refract", "refrain", "refresh",
+  "refuels", "refugee", "refuges", "refunds", "refusal", "refuses", "refuted", "refutes", "regains", "regaled",
+  "regales", "regalia", "regally", "regards", "regatta", "regency", "regents", "regimen", "regimes", "regions",
+  "regress", "regrets", "regroup", "reheats", "rehired", "rehires", "reigned", "reining", "reissue", "rejects",
+  "rejoice", "rejoins", "relabel", "relapse", "relates", "relaxed", "relaxes", "relayed", "relearn", "relents",
+  "reliant", "reliefs", "relieve", "relived", "relives", "reloads", "relying", "remains", "remakes", "remands",
+  "remarks", "remarry", "rematch", "reminds", "remnant", "remodel", "remorse", "remoter", "remotes", "remount",
+  "remover", "removes", "renamed", "renames", "renders", "rending", "reneged", "reneges", "renewal", "renewed",
+  "rentals", "renters", "renting", "reoccur", "reopens", "reorder", "reorged", "repaint", "repairs", "repasts",
+  "repeals", "repeats", "repents", "replays", "replete", "replica", "replies", "reports", "reposed", "reposes",
+  "repress", "reprint", "reprise", "reproof", "reprove", "reptile", "repulse", "reputed", "reputes", "requiem",
+  "requite", "rereads", "reroute", "resales", "rescind", "rescued", "rescuer", "rescues", "resells", "resents",
+  "resided", "resides", "residue", "resigns", "resists", "resolve", "resorts", "resound", "respell", "respire",
+  "respite", "restate", "restful", "resting", "restive", "restock", "restudy", "results", "resumed", "resumes",
+  "retails", "retains", "retaken", "retakes", "retards", "retched", "retches", "retells", "rethink", "retinal",
+  "retinas", "retinue", "retired", "retiree", "retires", "retools", "retorts", "retouch", "retrace", "retract",
+  "retrain", "retread", "retreat", "retrial", "retried", "retries", "returns", "retweet", "retyped", "retypes",
+  "reunify", "reunion", "reunite", "reusing", "revalue", "revamps", "reveals", "reveled", "reveler", "revelry",
+  "revenge", "revenue", "revered", "reveres", "reverie", "reverts", "reviews", "reviled", "reviler", "reviles",
+  "revised", "revises", "revisit", "revival", "revived", "revives", "revoked", "revokes", "revolts", "revolve",
+  "revving", "rewards", "rewinds", "rewired", "rewires", "rewords", "reworks", "rewound", "rewrote", "rhizome",
+  "rhodium", "rhombus", "rhubarb", "rhyming", "rhythms", "ribbing", "ribbons", "richest", "rickets", "rickety",
+  "ricking", "ricotta", "ridding", "riddled", "riddles", "ridging", "riffing", "riffled", "riffles", "rifling",
+  "rifting", "rigging", "righted", "righter", "rightly", "rigidly", "rimming", "ringers", "ringing", "ringlet",
+  "rinsing", "rioters", "rioting", "riotous", "ripened", "riposte", "rippers", "ripping", "rippled", "ripples",
+  "ripsaws", "risible", "riskier", "risking", "rituals", "ritzier", "rivaled", "rivalry", "riveted", "riveter",
+  "rivulet", "roaches", "roadbed", "roadway", "roamers", "roaming", "roaring", "roasted", "roaster", "robbers",
+  "robbery", "robbing", "robotic", "rockers", "rockets", "rockier", "rocking", "rodents", "roebuck", "rogered",
+  "roguery", "roguish", "roiling", "roister", "rollers", "rollick", "rolling", "romaine", "romance", "rompers",
+  "romping", "roofers", "roofing", "rooftop", "rookery", "rookies", "rooking", "roomers", "roomful", "roomier",
+  "rooming", "roosted", "rooster", "rooting", "roseate", "rosebud", "rosette", "rosiest", "rosined", "rosters",
+  "rostrum", "rotated", "rotates", "rotting", "rotunda", "roughed", "roughen", "rougher", "rouging", "rounded",
+  "rounder", "roundly", "roundup", "rousing", "routing", "rowboat", "rowdier", "rowdies", "roweled", "royally",
+  "royalty", "rubbers", "rubbery", "rubbing", "rubdown", "rubella", "rubiest", "rubrics", "rudders", "ruddier",
+  "ruffian", "ruffing", "ruffled", "ruffles", "rugrats", "ruining", "ruinous", "rulings", "rumbaed", "rumbled",
+  "rumbles", "rummage", "rummest", "rumored", "rumpled", "rumples", "runaway", "rundown", "runnels", "runners",
+  "runnier", "runoffs", "runways", "rupture", "rushing", "russets", "rustics", "rustier", "rusting", "rustled",
+  "rustler", "rustles", "rutting", "sachems", "sachets", "sackful", "sacking", "saddens", "saddest", "saddled",
+  "saddles", "sadists", "sadness", "safaris", "saffron", "sagging", "saguaro", "sailing", "sailors", "saintly",
+  "salaams", "salable", "salamis", "salient", "salines", "sallied", "sallies", "salmons", "saloons", "saltest",
+  "saltier", "saltine", "salting", "saluted", "salutes", "salvage", "salvers", "salving", "sambaed", "samovar",
+  "sampans", "sampled", "sampler", "samples", "samurai", "sanctum", "sandals", "sandbag", "sandbar", "sandbox",
+  "sanders", "sandhog", "sandier", "sanding", "sandlot", "sandman", "sandmen", "sapient", "sapling", "sappier",
+  "sapping", "sarcasm", "sarcoma", "sardine", "sarongs", "sashays", "sassier", "sassing", "satanic", "satchel",
+  "satiate", "satiety", "satires", "satraps", "saucers", "saucier", "saucily", "saucing", "saunaed", "saunter",
+  "sausage", "savaged", "savager", "savages", "savanna", "savants", "savings", "saviors", "savored", "savvied",
+  "savvier", "savvies", "sawdust", "sawmill", "sawyers", "sayings", "scabbed", "scabies", "scalars", "scalded",
+  "scalene", "scalier", "scaling", "scallop", "scalped", "scalpel", "scalper", "scammed", "scammer", "scamper",
+  "scandal", "scanned", "scanner", "scanted", "scanter", "scapula", "scarabs", "scarcer", "scarfed", "scarier",
+  "scarify", "scaring", "scarlet", "scarred", "scarves", "scatted", "scatter", "scenery", "scented", "scepter",
+  "schemed", "schemer", "schemes", "scherzo", "schisms", "schleps", "schlock", "schmuck", "scholar", "schools",
+  "sciatic", "scissor", "scoffed", "scolded", "sconces", "scooped", "scooted", "scooter", "scoping", "scorers",
+  "scoring", "scorned", "scotchs", "scoured", "scourge", "scouted", "scowled", "scraped", "scraper", "scrapes",
+  "scrappy", "scrawls", "scrawny", "screams", "screech", "screens", "screwed", "scribes", "scrimps", "scripts",
+  "scrolls", "scrooge", "scrotum", "scrubby", "scruffs", "scruffy", "scrunch", "scruple", "scubaed", "scudded",
+  "scuffed", "scuffle", "sculled", "sculpts", "scumbag", "scummed", "scupper", "scuttle", "scythed", "scythes",
+  "seabeds", "seabird", "seafood", "sealant", "sealers", "sealing", "seamier", "seaming", "seaport", "searing",
+  "seasick", "seaside", "seasons", "seating", "seaward", "seaways", "seaweed", "seceded", "secedes", "seclude",
+  "seconds", "secrecy", "secrete", "secrets", "sectors", "secular", "secured", "securer", "secures", "sedated",
+  "sedater", "sedates", "seduced", "seducer", "seduces", "seedier", "seeding", "seeings", "seekers", "seepage",
+  "seeping", "seesaws", "seethed", "seethes", "segment", "seismic", "seizing", "seizure", "selects", "selfies",
+  "selfish", "sellers", "selloff", "sellout", "seltzer", "selvage", "seminal", "senates", "senator", "senders",
+  "seniors", "sensing", "sensors", "sensory", "sensual", "septets", "sequels", "sequins", "sequoia", "serapes",
+  "seraphs", "serener", "serfdom", "serials", "serious", "sermons", "serpent", "serried", "servant", "servers",
+  "servile", "sesames", "setback", "settees", "setters", "settler", "settles", "seventh", "seventy", "severed",
+  "severer", "sexiest", "sexists", "sexless", "sexpots", "sextant", "sextets", "sexting", "sextons", "shackle",
+  "shadier", "shading", "shadows", "shadowy", "shafted", "shagged", "shakers", "shakeup", "shakier", "shakily",
+  "shaking", "shallot", "shallow", "shamans", "shamble", "shaming", "shammed", "shampoo", "shapely", "shaping",
+  "shariah", "sharked", "sharped", "sharpen", "sharper", "sharply", "shatter", "shavers", "shaving", "sheared",
+  "shearer", "sheathe", "sheaths", "sheaves", "shebang", "sheered", "sheerer", "sheikhs", "shekels", "shellac",
+  "shelled", "sheller", "shelter", "shelved", "shelves", "sherbet", "sheriff", "shields", "shifted", "shilled",
+  "shimmed", "shimmer", "shindig", "shiners", "shingle", "shinier", "shining", "shinned", "shipped", "shipper",
+  "shirked", "shirker", "shirred", "shirted", "shivers", "shivery", "shoaled", "shocked", "shocker", "shoeing",
+  "shoguns", "shooing", "shooter", "shopper", "shoring", "shorted", "shorten", "shotgun", "shouted", "shovels",
+  "shoving", "showbiz", "showers", "showery", "showier", "showily", "showman", "showmen", "showoff", "shrieks",
+  "shrikes", "shrills", "shrilly", "shrimps", "shrines", "shrinks", "shrived", "shrivel", "shriven", "shrives",
+  "shrouds", "shrubby", "shticks", "shucked", "shudder", "shuffle", "shunned", "shunted", "shushed", "shushes",
+  "shuteye", "shutout", "shutter", "shuttle", "shyness", "shyster", "sibling", "sickbed", "sickens", "sickest",
+  "sicking", "sickles", "sidearm", "sidebar", "sidecar", "sidings", "sidling", "sierras", "siestas", "sieving",
+  "sifters", "sifting", "sighing", "sighted", "signals", "signers", "signets", "signify", "silence", "silents",
+  "silicon", "silkier", "sillier", "sillies", "silting", "silvers", "silvery", "simians", "similes", "simmers",
+  "simpers", "simplex", "sincere", "singers", "singing", "singled", "singles", "sinkers", "sinking", "sinners",
+  "sinning", "sinuous", "sinuses", "siphons", "sipping", "sirloin", "sirocco", "sissier", "sissies", "sisters",
+  "sitcoms", "sitters", "situate", "sixteen", "sixties", "sizable", "sizzled", "sizzles", "skaters", "skating",
+  "skeptic", "sketchy", "skewers", "skewing", "skidded", "skilled", "skillet", "skimmed", "skimped", "skinned",
+  "skipped", "skipper", "skirted", "skitter", "skulked", "skunked", "skycaps", "skydive", "skyjack", "skylark",
+  "skyline", "skyward", "slabbed", "slacked", "slacken", "slacker", "slackly", "slaking", "slaloms", "slammed",
+  "slammer", "slander", "slanted", "slapped", "slashed", "slashes", "slather", "slating", "slavers", "slavery",
+  "slaving", "slavish", "slayers", "slaying", "sleazes", "sledded", "sledged", "sledges", "sleeked", "sleeker",
+  "sleekly", "sleeper", "sleeted", "sleeves", "sleighs", "slender", "sleuths", "slewing", "slicers", "slicing",
+  "slicked", "slicker", "slickly", "sliders", "sliding", "slights", "slimier", "slimmed", "slimmer", "slipped",
+  "slipper", "slither", "slitter", "slivers", "slobber", "slogans", "slogged", "sloping", "slopped", "sloshed",
+  "sloshes", "slotted", "slouchy", "sloughs", "slovens", "slowing", "slugged", "slugger", "sluiced", "sluices",
+  "slumber", "slumdog", "slummed", "slummer", "slumped", "slurped", "slurred", "slyness", "smacked", "smacker",
+  "smarted", "smarten", "smarter", "smartly", "smashed", "smashes", "smeared", "smelled", "smelted", "smelter",
+  "smidgen", "smiling", "smirked", "smiting", "smitten", "smocked", "smokers", "smokier", "smoking", "smolder",
+  "smooths", "smother", "smudged", "smudges", "smugger", "smuggle", "snacked", "snaffle", "snagged", "snailed",
+  "snakier", "snaking", "snapped", "snapper", "snaring", "snarled", "sneaked", "sneaker", "sneered", "sneezed",
+  "sneezes", "snicker", "snidest", "sniffed", "sniffle", "snifter", "snipers", "sniping", "snipped", "snippet",
+  "snivels", "snooker", "snooped", "snooper", "snoozed", "snoozes", "snorers", "snoring", "snorkel", "snorted",
+  "snowier", "snowing", "snowman", "snowmen", "snubbed", "snuffed", "snuffer", "snuffle", "snugged", "snugger",
+  "snuggle", "soaking", "soapbox", "soapier", "soaping", "soaring", "sobbing", "sobered", "soberer", "soberly",
+  "socials", "sockets", "socking", "sodding", "softens", "softest", "softies", "soggier", "soggily", "soiling",
+  "sojourn", "solaced", "solaces", "solaria", "solders", "soldier", "solicit", "solider", "solidly", "soloing",
+  "soloist", "soluble", "solvent", "solvers", "someday", "someway", "sonatas", "sonnets", "sonnies", "soothed",
+  "soothes", "sootier", "sophism", "sophist", "soppier", "sopping", "soprano", "sorbets", "sorcery", "sorghum",
+  "sorrels", "sorrier", "sorrows", "sorters", "sortied", "sorties", "sottish", "soughed", "soulful", "sounder",
+  "soundly", "soupier", "souping", "sourced", "sources", "sourest", "souring", "sousing", "soviets", "soybean",
+  "spacial", "spacier", "spacing", "spading", "spammed", "spammer", "spandex", "spangle", "spaniel", "spanked",
+  "spanned", "spanner", "sparely", "sparest", "sparing", "sparked", "sparkle", "sparred", "sparrow", "sparser",
+  "spartan", "spastic", "spatial", "spatted", "spatter", "spatula", "spawned", "spaying", "speared", "species",
+  "specked", "speckle", "specter", "spectra", "speeder", "speedup", "speller", "spender", "spewing", "spheres",
+  "spicier", "spicing", "spiders", "spidery", "spieled", "spigots", "spikier", "spiking", "spilled", "spinach",
+  "spinals", "spindle", "spindly", "spinets", "spinier", "spinner", "spirals", "spireas", "spirits", "spiting",
+  "spitted", "spittle", "splashy", "splayed", "spleens", "spliced", "splicer", "splices", "splines", "splints",
+  "splodge", "splotch", "splurge", "spoiled", "spoiler", "sponged", "sponger", "sponges", "sponsor", "spoofed",
+  "spooked", "spooled", "spooned", "spoored", "sporing", "sporran", "sported", "spotter", "spouses", "spouted",
+  "sprains", "sprawls", "sprayed", "sprayer", "spreads", "spriest", "springs", "springy", "sprints", "sprites",
+  "sprouts", "spruced", "sprucer", "spruces", "spuming", "spumoni", "spurned", "spurred", "spurted", "sputter",
+  "spyware", "squalid", "squalls", "squalor", "squared", "squarer", "squares", "squashy", "squawks", "squeaks",
+  "squeaky", "squeals", "squeeze", "squelch", "squints", "squired", "squires", "squirms", "squirmy", "squirts",
+  "squishy", "stabbed", "stabled", "stabler", "stables", "stacked", "stadium", "staffed", "staffer", "stagger",
+  "staging", "staider", "staidly", "stained", "staking", "stalest", "staling", "stalked", "stalker", "stalled",
+  "stamens", "stamina", "stammer", "stamped", "stances", "standby", "stanzas", "stapled", "stapler", "staples",
+  "starchy", "stardom", "staring", "starker", "starkly", "starlet", "starlit", "starred", "starter", "startle",
+  "startup", "starved", "starves", "stashed", "stashes", "stately", "statues", "stature", "statute", "staunch",
+  "staving", "stealth", "steamed", "steamer", "steeled", "steeped", "steeper", "steeple", "steeply", "steered",
+  "stellar", "stemmed", "stencil", "stepdad", "stepmom", "stepped", "steppes", "stepson", "stereos", "sterile",
+  "sterner", "sternly", "sternum", "steroid", "steward", "stewing", "sticker", "stickup", "stiffed", "stiffen",
+  "stiffer", "stiffly", "stifled", "stifles", "stigmas", "stilled", "stiller", "stilted", "stimuli", "stinger",
+  "stinker", "stinted", "stipend", "stipple", "stirred", "stirrer", "stirrup", "stocked", "stoical", "stokers",
+  "stoking", "stomach", "stomped", "stoners", "stonier", "stonily", "stoning", "stooges", "stooped", "stopgap",
+  "stopper", "storied", "stories", "stormed", "stouter", "stoutly", "stowing", "strafed", "strafes", "strains",
+  "straits", "strands", "stratum", "strawed", "strayed", "streaks", "streaky", "streams", "streets", "stretch",
+  "strewed", "strides", "striker", "strikes", "strings", "stringy", "striped", "stripes", "striven", "strives",
+  "strobes", "stroked", "strokes", "strolls", "strophe", "strudel", "stubbed", "stubble", "stubbly", "studded",
+  "studies", "studios", "stuffed", "stumble", "stumped", "stunned", "stunted", "stupefy", "stupids", "stupors",
+  "stutter", "styling", "stylish", "stylist", "stylize", "stymied", "stymies", "styptic", "suavely", "suavest",
+  "suavity", "subbing", "subdued", "subdues", "subhead", "subjoin", "sublets", "sublime", "submits", "suborns",
+  "subplot", "subsets", "subside", "subsidy", "subsist", "subsoil", "subsume", "subteen", "subtler", "suburbs",
+  "subvert", "subways", "success", "succors", "succumb", "suckers", "sucking", "suckled", "suckles", "sucrose",
+  "suction", "sudsier", "suffers", "suffuse", "sugared", "suicide", "suitors", "sulfate", "sulfide", "sulfurs",
+  "sulkier", "sulkies", "sulkily", "sulking", "sullied", "sullies", "sultana", "sultans", "summers", "summery",
+  "summing", "summits", "summons", "sunbeam", "sunburn", "sundaes", "sunders", "sundial", "sundown", "sunfish",
+  "sunlamp", "sunless", "sunnier", "sunning", "sunrise", "sunroof", "sunsets", "sunspot", "suntans", "suppers",
+  "supping", "suppler", "supreme", "surfeit", "surfers", "surfing", "surgeon", "surgery", "surging", "surlier",
+  "surmise", "surname", "surpass", "surplus", "surreal", "surreys", "surveys", "sustain", "sutured", "sutures",
+  "svelter", "swabbed", "swaddle", "swagged", "swagger", "swallow", "swamped", "swanked", "swanker", "swapped",
+  "swarmed", "swarthy", "swashed", "swashes", "swathed", "swathes", "swatted", "swatter", "swaying", "swearer",
+  "sweater", "sweeper", "sweeten", "sweeter", "sweetie", "sweetly", "swelled", "sweller", "swelter", "swerved",
+  "swerves", "swifter", "swiftly", "swigged", "swilled", "swimmer", "swindle", "swinger", "swinish", "swiping",
+  "swirled", "swished", "swisher", "swishes", "swivels", "swollen", "swooned", "swooped", "symbols", "symptom",
+  "synapse", "syncing", "synergy", "synonym", "syringe", "systems", "tabbies", "tabbing", "tableau", "tablets",
+  "tabling", "tabloid", "tabooed", "tabular", "tacitly", "tackier", "tacking", "tackled", "tackler", "tackles",
+  "tactful", "tactics", "tactile", "tadpole", "taffeta", "taffies", "tagging", "tailing", "tailors", "tainted",
+  "takeoff", "takeout", "takings", "talents", "talkers", "tallest", "tallied", "tallies", "tallyho", "tamable",
+  "tamales", "tampers", "tamping", "tampons", "tanager", "tandems", "tangelo", "tangent", "tangier", "tangled",
+  "tangles", "tangoed", "tankard", "tankers", "tankful", "tanking", "tanners", "tannery", "tannest", "tanning",
+  "tantrum", "tapered", "tapioca", "tapping", "taproom", "taproot", "tardier", "tardily", "targets", "tariffs",
+  "tarmacs", "tarnish", "tarpons", "tarried", "tarrier", "tarries", "tarring", "tartans", "tartars", "tartest",
+  "tasered", "tasking", "tassels", "tasters", "tastier", "tasting", "tatters", "tatting", "tattled", "tattler",
+  "tattles", "tattoos", "taunted", "tautest", "taverns", "tawnier", "taxable", "taxicab", "taxiing", "teaches",
+  "teacups", "teaming", "teapots", "tearful", "teargas", "tearier", "tearing", "tearoom", "teasels", "teasers",
+  "teasing", "teatime", "tedious", "teeming", "teenage", "teenier", "teeters", "teethed", "teethes", "telexed",
+  "telexes", "tellers", "temblor", "tempera", "tempers", "tempest", "temping", "temples", "tempted", "tempter",
+  "tempura", "tenable", "tenancy", "tenants", "tenders", "tending", "tendons", "tendril", "tenfold", "tenoned",
+  "tenpins", "tensely", "tensest", "tensile", "tensing", "tension", "tensors", "tenting", "tenuous", "tenured",
+  "tenures", "tequila", "terabit", "terming", "termini", "termite", "terrace", "terrain", "terrier", "terrify",
+  "terrors", "tersely", "tersest", "testate", "testers", "testier", "testify", "testily", "tetanus", "tethers",
+  "textile", "texting", "textual", "texture", "thalami", "thanked", "thawing", "theater", "theists", "theorem",
+  "therapy", "therein", "thereof", "thereon", "thereto", "thermal", "thermos", "thicken", "thicker", "thicket",
+  "thickly", "thieved", "thieves", "thimble", "thinker", "thinned", "thinner", "thirdly", "thirsts", "thirsty",
+  "thistle", "thither", "thorium", "thralls", "threads", "threats", "thrifts", "thrifty", "thrills", "thrived",
+  "thrives", "throats", "throaty", "thrones", "throngs", "thrower", "thrusts", "thruway", "thudded", "thumbed",
+  "thumped", "thunder", "thwacks", "thwarts", "thyroid", "thyself", "tickers", "tickets", "ticking", "tickled",
+  "tickles", "tidbits", "tidiest", "tidings", "tidying", "tiffing", "tighten", "tighter", "tightly", "tigress",
+  "tillage", "tillers", "tilling", "tilting", "timbers", "timbres", "timider", "timidly", "timings", "timpani",
+  "tinfoil", "tinging", "tingled", "tingles", "tiniest", "tinkers", "tinkled", "tinkles", "tinnier", "tinning",
+  "tinsels", "tinting", "tippers", "tipping", "tippled", "tippler", "tipples", "tipsier", "tipsily", "tipster",
+  "tiptoed", "tiptoes", "tiptops", "tirades", "tireder", "tissues", "titanic", "tithing", "titling", "titmice",
+  "titters", "tittles", "titular", "tizzies", "toadied", "toadies", "toasted", "toaster", "tobacco", "tocsins",
+  "toddies", "toddled", "toddler", "toddles", "toehold", "toenail", "toffees", "toggled", "toggles", "toilers",
+  "toilets", "toiling", "tolling", "tombing", "tomboys", "tomcats", "tongued", "tongues", "toniest", "tonnage",
+  "tonsils", "tonsure", "toolbar", "toolbox", "tooling", "toolkit", "toothed", "tooting", "topazes", "topcoat",
+  "topical", "topknot", "topless", "topmast", "topmost", "topping", "toppled", "topples", "topsail", "topside",
+  "topsoil", "torched", "torches", "torment", "tornado", "torpedo", "torqued", "torques", "torrent", "torsion",
+  "torture", "tossing", "tossups", "totaled", "totemic", "totters", "totting", "toucans", "touches", "toughen",
+  "tougher", "toughly", "toupees", "touring", "tourism", "tourist", "tourney", "tousled", "tousles", "touting",
+  "towards", "toweled", "towered", "towhead", "towpath", "toxemia", "tracers", "tracery", "trachea", "tracing",
+  "tracked", "tracker", "tractor", "traders", "trading", "traduce", "tragedy", "trailed", "trailer", "trainee",
+  "trainer", "traipse", "traitor", "trammed", "trammel", "tramped", "trample", "trances", "transit", "transom",
+  "trapeze", "trapper", "trashed", "trashes", "traumas", "travail", "travels", "trawled", "trawler", "treacle",
+  "treadle", "treason", "trebled", "trebles", "treeing", "treetop", "trefoil", "trekked", "trellis", "tremble",
+  "tremolo", "tremors", "trended", "tresses", "trestle", "trialed", "tribune", "tribute", "triceps", "tricked",
+  "trickle", "trident", "trifled", "trifler", "trifles", "trigger", "trilled", "trilogy", "trimmed", "trimmer",
+  "trinity", "trinket", "tripled", "triples", "triplet", "tripods", "tripped", "trisect", "tritely", "tritest",
+  "triumph", "trivets", "trochee", "trodden", "troikas", "trolled", "trolley", "trollop", "tromped", "trooped",
+  "trooper", "tropics", "tropism", "trotted", "trotter", "troughs", "trounce", "trouped", "trouper", "troupes",
+  "trouser", "trowels", "truancy", "truants", "trucked", "trucker", "truckle", "trudged", "trudges", "truffle",
+  "truisms", "trumped", "trumpet", "trundle", "trussed", "trusses", "trustee", "truther", "tryouts", "trysted",
+  "tsunami", "tubbier", "tubular", "tuckers", "tucking", "tufting", "tugboat", "tugging", "tuition", "tumbled",
+  "tumbler", "tumbles", "tumbrel", "tummies", "tumults", "tundras", "tuneful", "tunnels", "tunnies", "turbans",
+  "turbine", "turbots", "tureens", "turfing", "turkeys", "turmoil", "turners", "turnips", "turnkey", "turnoff",
+  "turnout", "turrets", "turtles", "tussled", "tussles", "tussock", "tutored", "tuxedos", "twaddle", "twanged",
+  "tweaked", "tweeted", "tweeter", "twelfth", "twelves", "twerked", "twiddle", "twigged", "twilled", "twinged",
+  "twinges", "twining", "twinkle", "twinned", "twirled", "twirler", "twisted", "twister", "twitted", "twitter",
+  "twofers", "twofold", "twosome", "tycoons", "typeset", "typhoid", "typhoon", "typists", "tyranny", "tyrants",
+  "ugliest", "ukulele", "ululate", "umbrage", "umlauts", "umpired", "umpires", "umpteen", "unaided", "unarmed",
+  "unasked", "unbends", "unbinds", "unblock", "unbolts", "unbosom", "unbound", "uncanny", "uncased", "uncivil",
+  "unclasp", "unclean", "uncoils", "uncorks", "uncouth", "uncover", "unction", "undated", "undergo", "undoing",
+  "undress", "undying", "unearth", "uneaten", "unequal", "unfolds", "unfrock", "unfunny", "unfurls", "ungodly",
+  "unguent", "unhands", "unheard", "unhinge", "unhitch", "unhooks", "unhorse", "unicorn", "unified", "unifies",
+  "uniquer", "unitary", "unities", "uniting", "unkempt", "unlaced", "unlaces", "unlatch", "unlearn", "unleash",
+  "unloads", "unlocks", "unloose", "unloved", "unlucky", "unmakes", "unmanly", "unmasks", "unmoral", "unmoved",
+  "unnamed", "unnerve", "unpacks", "unpaved", "unplugs", "unquote", "unravel", "unready", "unriper", "unrolls",
+  "unsafer", "unscrew", "unseals", "unseats", "unsnaps", "unsnarl", "unsound", "unstops", "unstuck", "untamed",
+  "untried", "untruer", "untruth", "untwist", "untying", "unveils", "unwinds", "unwiser", "unwound", "unwraps",
+  "upbeats", "upbraid", "upchuck", "updater", "updates", "updraft", "upended", "upfront", "upgrade", "uphills",
+  "upholds", "uplands", "uplifts", "upraise", "upright", "uproars", "uproots", "upscale", "upshots", "upsides",
+  "upstage", "upstart", "upstate", "upsurge", "upswing", "uptakes", "uptight", "upturns", "upwards", "uranium",
+  "urbaner", "urchins", "urethra", "urgency", "urinals", "urinary", "urinate", "urology", "useless", "ushered",
+  "usurers", "usurped", "usurper", "utensil", "uterine", "utilize", "utopias", "uttered", "uvulars", "vacancy",
+  "vacated", "vacates", "vaccine", "vacuity", "vacuous", "vacuums", "vaginae", "vaginal", "vagrant", "vaguest",
+  "vainest", "valance", "valence", "valeted", "valiant", "validly", "valises", "valleys", "valuing", "valving",
+  "vamoose", "vamping", "vampire", "vandals", "vanilla", "vanning", "vantage", "variant", "variate", "various",
+  "varlets", "varmint", "varnish", "varsity", "vassals", "vastest", "vatting", "vaulted", "vaulter", "vaunted",
+  "vectors", "veering", "veggies", "vehicle", "veiling", "veining", "velours", "velvety", "venally", "vending",
+  "vendors", "veneers", "venison", "venting", "ventral", "venture", "veranda", "verbals", "verbena", "verbose",
+  "verdant", "verdict", "verdure", "verging", "veriest", "versify", "versing", "vertigo", "vesicle", "vespers",
+  "vessels", "vestige", "vesting", "vetches", "veteran", "vetoing", "vetting", "viaduct", "vibrant", "vibrate",
+  "vibrato", "viceroy", "vicious", "victims", "victors", "victory", "victual", "viewers", "viewing", "village",
+  "villain", "villein", "vinegar", "vintage", "vintner", "violate", "violent", "violets", "violins", "violist",
+  "virgins", "virgule", "virtual", "virtues", "viruses", "visages", "visaing", "viscera", "viscous", "visibly",
+  "visions", "visited", "visitor", "visuals", "vitally", "vitamin", "vitiate", "vitriol", "vivider", "vividly",
+  "viziers", "vocalic", "vocally", "voguish", "voicing", "voiding", "volcano", "volleys", "voltage", "voltaic",
+  "voluble", "volubly", "volumes", "vomited", "voodoos", "vouched", "voucher", "vouches", "voyaged", "voyager",
+  "voyages", "voyeurs", "vulture", "wackest", "wackier", "wadding", "waddled", "waddles", "waffled", "waffles",
+  "wafting", "wagered", "wagging", "waggish", "waggled", "waggles", "wagoner", "wailing", "waiters", "waivers",
+  "waiving", "wakeful", "wakened", "walkers", "walkout", "walkway", "wallaby", "wallets", "walleye", "walling",
+  "wallops", "wallows", "walnuts", "waltzed", "waltzes", "wanders", "wangled", "wangles", "wannabe", "wannest",
+  "wantons", "wapitis", "warbled", "warbler", "warbles", "wardens", "warders", "warding", "warfare", "warhead",
+  "wariest", "warlike", "warlock", "warlord", "warmers", "warmest", "warming", "warpath", "warping", "warrant",
+  "warrens", "warring", "warrior", "warship", "warthog", "wartier", "wartime", "washers", "washing", "washout",
+  "washtub", "waspish", "wassail", "wastage", "wasters", "wastrel", "watcher", "watches", "watered", "wattage",
+  "wattled", "wattles", "wavelet", "wavered", "waviest", "waxiest", "waxwing", "waxwork", "waylaid", "waylays",
+  "wayside", "wayward", "weakens", "weakest", "wealthy", "weaning", "weapons", "wearers", "wearied", "wearier",
+  "wearies", "wearily", "weasels", "weavers", "weaving", "webbing", "webcams", "webcast", "webinar", "website",
+  "wedding", "wedging", "wedlock", "weeders", "weedier", "weeding", "weekday", "weepers", "weepier", "weepies",
+  "weeping", "weevils", "weighed", "weights", "weighty", "weirder", "weirdly", "weirdos", "welders", "welding",
+  "welfare", "welling", "welshed", "welshes", "welters", "welting", "wenches", "wending", "wetback", "wetland",
+  "wetness", "wettest", "wetting", "whacked", "whalers", "whaling", "whammed", "wharves", "whatnot", "wheaten",
+  "wheedle", "wheeled", "wheeler", "wheezed", "wheezes", "whelked", "whelped", "whereas", "whereat", "wherein",
+  "whereof", "whereon", "whetted", "whiffed", "whiling", "whimper", "whiners", "whinier", "whining", "whipped",
+  "whippet", "whirled", "whirred", "whisked", "whisker", "whiskey", "whiskys", "whisper", "whistle", "whitens",
+  "whitest", "whither", "whiting", "whitish", "whittle", "whizzed", "whizzes", "whooped", "whoopee", "whopper",
+  "whorled", "wickers", "wickets", "widened", "widowed", "widower", "wielded", "wieners", "wigging", "wiggled",
+  "wiggler", "wiggles", "wigwags", "wigwams", "wildcat", "wildest", "wiliest", "willful", "willies", "willows",
+  "willowy", "wilting", "wimpier", "wimpled", "wimples", "winched", "winches", "wincing", "windbag", "windier",
+  "winding", "windows", "windups", "wingers", "winging", "wingnut", "wingtip", "winking", "winners", "winnows",
+  "winsome", "winters", "wiretap", "wiriest", "wishers", "wishful", "wispier", "wistful", "witched", "witches",
+  "withers", "witless", "witness", "wittier", "wittily", "witting", "wizards", "wizened", "wobbled", "wobbles",
+  "wolfing", "wolfish", "wolfram", "womanly", "wombats", "wonders", "woodcut", "woodier", "woodies", "wooding",
+  "woodman", "woodmen", "woofers", "woofing", "woolens", "woozier", "wordier", "workday", "workers", "workman",
+  "workmen", "workout", "worldly", "wormier", "worming", "worrier", "worries", "worsens", "worship", "worsted",
+  "wounded", "wounder", "wraiths", "wrangle", "wrapped", "wrapper", "wreaked", "wreathe", "wreaths", "wrecked",
+  "wrecker", "wrested", "wrestle", "wriggle", "wriggly", "wringer", "wrinkle", "wrinkly", "writers", "writhed",
+  "writhes", "wronged", "wronger", "wrongly", "wrought", "wryness", "yachted", "yakking", "yammers", "yanking",
+  "yapping", "yardage", "yardarm", "yawning", "yearned", "yelling", "yellows", "yelping", "yeshiva", "yessing",
+  "yielded", "yipping", "yodeled", "yodeler", "yogurts", "younger", "yowling", "yttrium", "yuckier", "yukking",
+  "yummier", "yuppies", "zaniest", "zappers", "zapping", "zealots", "zealous", "zeniths", "zephyrs", "zeroing",
+  "zestful", "zigzags", "zillion", "zincked", "zingers", "zinging", "zinnias", "zippers", "zippier", "zipping",
+  "zircons", "zithers", "zodiacs", "zombies", "zoology", "zooming", "zygotes"
+];
+
+/* ── 8-letter answers ── */
+const ANSWERS_8 = [
+  // A
+  "absolute", "academic", "accepted", "accident", "accorded", "accuracy", "accurate", "achieved",
+  "acquired", "activity", "actually", "addition", "adequate", "admitted", "adopting", "advanced",
+  "advising", "affected", "agreeing", "allowing", "altering", "although", "analogue", "announce",
+  "annoying", "answered", "anyplace", "anything", "anywhere", "apparent", "appeared", "applying",
+  "approach", "approval", "approved", "argument", "arranged", "arriving", "assembly", "assuming",
+  "assuring", "attached", "attended", "attitude", "audience", "avoiding",
+  // B
+  "becoming", "behavior", "believed", "borrowed", "bothered", "breaking", "bringing", "building",
+  "bulletin",
+  // C
+  "campaign", "capacity", "carrying", "cassette", "catching", "category", "chairman", "changing",
+  "charging", "cheapest", "checking", "chemical", "children", "choosing", "claiming", "clearest",
+  "clearing", "collapse", "combined", "commonly", "compared", "compiler", "complain", "complete",
+  "composed", "computed", "computer", "concrete", "confused", "consider", "constant", "continue",
+  "contract", "contrary", "contrast", "convince", "counting", "covering", "crashing", "creating",
+  "creation", "creature", "critical", "customer",
+  // D
+  "damaging", "database", "deciding", "decision", "declared", "decrease", "dedicate", "defining",
+  "definite", "deleting", "delivery", "depended", "deriving", "describe", "designed", "desiring",
+  "detailed", "detected", "devoting", "directed", "directly", "director", "disagree", "disaster",
+  "discount", "discover", "distance", "distinct", "district", "dividing", "division", "document",
+  "doubtful", "dropping",
+  // E
+  "earliest", "economic", "electing", "election", "electric", "elevator", "employee", "engineer",
+  "ensuring", "entering", "entirely", "entitled", "entrance", "estimate", "everyone", "evidence",
+  "examined", "exchange", "excluded", "executed", "exercise", "existing", "expanded", "expected",
+  "explicit", "extended", "external",
+  // F
+  "facility", "familiar", "farthest", "favorite", "feasible", "feedback", "finished", "flashing",
+  "flexible", "floating", "followed", "fraction", "frequent", "friendly", "function", "furthest",
+  // G
+  "gasoline", "generate", "governor", "graduate", "granting", "grateful", "greatest", "grinding",
+  "guessing",
+  // H
+  "handling", "happened", "hardware", "horrible", "hospital",
+  // I
+  "identify", "identity", "ignoring", "implying", "imposing", "improved", "incident", "inclined",
+  "included", "increase", "indicate", "industry", "inferior", "infinite", "informed", "innocent",
+  "inserted", "insisted", "instance", "integral", "intended", "interact", "interest", "internal",
+  "interval", "invented", "inviting", "involved", "irritate", "isolated",
+  // J
+  "judgment",
+  // K
+  "keyboard", "knocking",
+  // L
+  "labeling", "language", "learning", "lifetime", "likewise", "limiting", "location",
+  // M
+  "magnetic", "maintain", "majority", "managing", "marriage", "material", "measured", "mechanic",
+  "midnight", "military", "minority", "mistaken", "modified", "movement", "multiple",
+  // N
+  "national", "negative", "nonsense", "normally", "noticing",
+  // O
+  "objected", "observed", "obtained", "occasion", "occupied", "occurred", "offering", "official",
+  "omitting", "operated", "operator", "opposing", "opposite", "optional", "ordering", "ordinary",
+  "organize", "original",
+  // P
+  "parallel", "peculiar", "personal", "persuade", "physical", "planning", "pleasant", "pleasing",
+  "pointing", "position", "positive", "possible", "possibly", "powerful", "practice", "prepared",
+  "presence", "preserve", "pressing", "pressure", "printing", "printout", "probably", "produced",
+  "promised", "promptly", "properly", "property", "proposal", "proposed", "prospect", "provided",
+  "publicly", "puncture", "purchase",
+  // Q
+  "quantity", "question", "quickest", "quitting",
+  // R
+  "randomly", "reaching", "reaction", "readable", "realized", "received", "recently", "recorded",
+  "reducing", "referred", "refusing", "regarded", "register", "rejected", "relating", "relation",
+  "relative", "released", "relevant", "reliable", "religion", "remained", "remember", "reminded",
+  "remotely", "removing", "repeated", "replaced", "replying", "reported", "required", "research",
+  "reserved", "resident", "resource", "response", "restored", "restrict", "resulted", "returned",
+  "revealed",
+  // S
+  "searched", "secondly", "security", "selected", "sensible", "sensibly", "sentence", "separate",
+  "sequence", "settling", "severely", "shopping", "shortage", "shortest", "shutting", "simplest",
+  "slightly", "smallest", "software", "solution", "somebody", "sometime", "somewhat", "sounding",
+  "southern", "speaking", "specific", "spelling", "spending", "spotting", "standard", "standing",
+  "starting", "sticking", "stopping", "straight", "strategy", "strength", "strictly", "striking",
+  "strongly", "studying", "suddenly", "suffered", "suitable", "suitably", "superior", "supplied",
+  "supposed", "surprise", "survived", "switched",
+  // T
+  "teaching", "tendency", "terminal", "terribly", "thinking", "thousand", "throwing", "together",
+  "tomorrow", "touching", "training", "transfer", "trapping", "treating", "trusting",
+  // U
+  "ultimate", "unlikely", "unwanted", "updating",
+  // V
+  "vacation", "validity", "valuable", "variable",
+  // W
+  "watching", "welcomed", "whatever", "whenever", "wherever", "withdraw", "wondered", "worrying",
+  // Y
+  "yourself"
+];
+
+/* ── 8-letter extended guess list ── */
+const EXTENDED_WORDS_8 = [
+  "aardvark", "abacuses", "abalones", "abandons", "abashing", "abattoir", "abbesses", "abdicate", "abdomens", "abducted",
+  "abductee", "abductor", "aberrant", "abetting", "abettors", "abeyance", "abhorred", "abjectly", "abjuring", "ablative",
+  "ablution", "abnegate", "abnormal", "aborting", "abortion", "abortive", "abounded", "abrading", "abrasion", "abrasive",
+  "abridged", "abridges", "abrogate", "abrupter", "abruptly", "abscissa", "absconds", "absences", "absented", "absentee",
+  "absently", "absinthe", "absolved", "absolves", "absorbed", "abstains", "abstract", "abstruse", "absurder", "absurdly",
+  "abundant", "abutment", "abutting", "academia", "acanthus", "acceding", "accented", "accessed", "accesses", "acclaims",
+  "accolade", "accosted", "accounts", "accredit", "accruals", "accruing", "accursed", "accusers", "accusing", "accustom",
+  "acerbity", "acetates", "achiever", "achieves", "acolytes", "aconites", "acoustic", "acquaint", "acquires", "acreages",
+  "acridest", "acrimony", "acrobats", "acronyms", "acrostic", "acrylics", "actinium", "activate", "actively", "activism",
+  "activist", "actuated", "actuates", "actuator", "adapters", "adapting", "adaptive", "addendum", "addicted", "additive",
+  "adducing", "adenoids", "adequacy", "adherent", "adhering", "adhesion", "adhesive", "adjacent", "adjoined", "adjourns",
+  "adjudged", "adjudges", "adjuncts", "adjuring", "adjusted", "adjuster", "adjutant", "admirals", "admirers", "admiring",
+  "admonish", "adoption", "adoptive", "adorable", "adorably", "adorning", "adrenals", "adroitly", "adulated", "adulates",
+  "adultery", "advances", "adverser", "adverted", "advisers", "advisory", "advocacy", "advocate", "aerating", "aeration",
+  "aerators", "aerobics", "aerosols", "aesthete", "affinity", "affirmed", "affixing", "afflicts", "affluent", "afforded",
+  "afforest", "affronts", "aflutter", "agencies", "aggrieve", "agitated", "agitates", "agitator", "aglitter", "agnostic",
+  "agonized", "agonizes", "agrarian", "agronomy", "ailerons", "ailments", "airborne", "airbrush", "aircraft", "airdrops",
+  "airfares", "airfield", "airfoils", "airheads", "airiness", "airlifts", "airliner", "airlines", "airmails", "airplane",
+  "airports", "airships", "airspace", "airstrip", "airtight", "airwaves", "alacrity", "alarming", "alarmist", "albacore",
+  "alcohols", "alderman", "aldermen", "alerting", "alfresco", "algebras", "aliasing", "alibiing", "alienate", "aliening",
+  "alighted", "aligning", "alkalies", "alkaline", "alkaloid", "allaying", "alleging", "allegory", "allegros", "alleluia",
+  "allergen", "allergic", "alleyway", "alliance", "allocate", "allotted", "alloying", "allspice", "alluding", "alluring",
+  "allusion", "allusive", "alluvial", "alluvium", "almanacs", "almighty", "alphabet", "altitude", "altruism", "altruist",
+  "aluminum", "amalgams", "amaranth", "amassing", "amateurs", "ambiance", "ambition", "ambrosia", "ambushed", "ambushes",
+  "amenable", "amending", "amethyst", "amicable", "amicably", "ammeters", "amnesiac", "amorally", "amortize", "amounted",
+  "amperage", "amputate", "amputees", "anaconda", "anagrams", "analyses", "analysis", "analysts", "analytic", "analyzed",
+  "analyzer", "analyzes", "anapests", "anarchic", "anathema", "anatomic", "ancestor", "ancestry", "anchored", "ancients",
+  "andantes", "andirons", "androgen", "androids", "anecdote", "anemones", "aneurysm", "angering", "angriest", "angstrom",
+  "animated", "animates", "animator", "animists", "annealed", "annexing", "annotate", "annually", "annulled", "anodynes",
+  "anointed", "anorexia", "anorexic", "antacids", "anteater", "antedate", "antelope", "antennae", "antennas", "anterior",
+  "anteroom", "anthills", "antibody", "anticked", "antidote", "antigens", "antihero", "antimony", "antiqued", "antiques",
+  "antlered", "antonyms", "aperitif", "aperture", "aphasics", "aphelion", "aphorism", "apiaries", "apologia", "apoplexy",
+  "apostasy", "apostate", "apostles", "appalled", "apparels", "appealed", "appeased", "appeaser", "appeases", "appended",
+  "appendix", "appetite", "applauds", "applause", "appoints", "apposite", "appraise", "apprised", "apprises", "approves",
+  "apricots", "aptitude", "aquanaut", "aquarium", "aquatics", "aqueduct", "aquifers", "aquiline", "arachnid", "arbiters",
+  "arboreal", "archaism", "archduke", "archived", "archives", "archness", "archways", "ardently", "argosies", "arguable",
+  "arguably", "armament", "armature", "armbands", "armchair", "armholes", "armorers", "armories", "armoring", "armrests",
+  "aromatic", "arousing", "arpeggio", "arraigns", "arranger", "arranges", "arraying", "arrested", "arrivals", "arrogant",
+  "arrogate", "arsenals", "arsonist", "arterial", "arteries", "artfully", "articles", "artifact", "artifice", "artisans",
+  "artistes", "artistic", "artistry", "artsiest", "artworks", "asbestos", "ascended", "ascetics", "ascribed", "ascribes",
+  "ashtrays", "asperity", "asphalts", "asphyxia", "aspirant", "aspirate", "aspiring", "aspirins", "assailed", "assassin",
+  "assaults", "assaying", "assemble", "assented", "asserted", "assessed", "assesses", "assessor", "assholes", "assigned",
+  "assisted", "assorted", "assuaged", "assuages", "assureds", "asterisk", "asteroid", "astonish", "astounds", "astutely",
+  "astutest", "ateliers", "atheists", "athletes", "athletic", "atomizer", "atrocity", "attacked", "attacker", "attained",
+  "attempts", "attender", "attested", "attiring", "attorney", "attracts", "attuning", "atwitter", "atypical", "auctions",
+  "audacity", "audibles", "auditing", "audition", "auditors", "auditory", "augments", "auguries", "auguring", "auguster",
+  "aureoles", "auricles", "auspices", "austerer", "authored", "autistic", "autocrat", "automate", "autonomy", "autumnal",
+  "availing", "avengers", "avenging", "averaged", "averages", "averring", "aversion", "averting", "aviaries", "aviation",
+  "aviators", "aviatrix", "avionics", "avocados", "avowedly", "awaiting", "awakened", "awarding", "awfuller", "azimuths",
+  "babblers", "babbling", "babushka", "babyhood", "babysits", "bachelor", "bacillus", "backache", "backbite", "backbone",
+  "backdate", "backdrop", "backfire", "backhand", "backhoes", "backings", "backlash", "backless", "backlogs", "backpack",
+  "backrest", "backside", "backslid", "backspin", "backstop", "backward", "backwash", "backyard", "bacteria", "badgered",
+  "badinage", "badlands", "badmouth", "baffling", "baggiest", "bagpipes", "bailiffs", "bailouts", "bakeries", "balanced",
+  "balances", "baldness", "balkiest", "ballasts", "balloons", "balloted", "ballpark", "ballroom", "ballsier", "ballyhoo",
+  "balmiest", "baluster", "banality", "bandaged", "bandages", "bandanna", "bandiest", "banditry", "bandying", "banished",
+  "banishes", "banister", "banjoist", "bankbook", "banknote", "bankroll", "bankrupt", "banquets", "banshees", "bantered",
+  "baptisms", "baptists", "baptized", "baptizes", "barbacoa", "barbaric", "barbecue", "barbells", "barbered", "barberry",
+  "bareback", "barefoot", "bareness", "bargains", "baristas", "baritone", "barmaids", "barnacle", "barnyard", "baroness",
+  "baronets", "baronial", "barracks", "barraged", "barrages", "barreled", "barrener", "barrette", "barriers", "barrings",
+  "barrooms", "bartered", "baseball", "baseless", "baseline", "basement", "baseness", "basilica", "bassinet", "bassists",
+  "bassoons", "bastards", "bastions", "batching", "bathmats", "bathrobe", "bathroom", "bathtubs", "battened", "battered",
+  "battiest", "battling", "bawdiest", "bayberry", "bayonets", "bazookas", "beaching", "beadiest", "beanbags", "bearable",
+  "bearding", "bearings", "bearskin", "beatific", "beatings", "beatniks", "beauties", "beautify", "beavered", "becalmed",
+  "beckoned", "bedazzle", "bedecked", "bedevils", "bedrocks", "bedrolls", "bedrooms", "bedsides", "bedsores", "bedstead",
+  "bedtimes", "beechnut", "beefiest", "beehives", "beelines", "beetling", "befallen", "befitted", "befogged", "befouled",
+  "befriend", "befuddle", "beggared", "beggarly", "beginner", "begonias", "begotten", "begrudge", "beguiled", "beguiles",
+  "behalves", "behaving", "beheaded", "behemoth", "beholden", "beholder", "behooved", "behooves", "belabors", "belaying",
+  "belching", "belfries", "believer", "believes", "belittle", "bellboys", "bellhops", "bellowed", "bellyful", "bellying",
+  "belonged", "beloveds", "beltways", "bemoaned", "bemusing", "benching", "benefice", "benefits", "benignly", "benumbed",
+  "bequeath", "bequests", "berating", "bereaved", "bereaves", "beriberi", "berrying", "berthing", "besieged", "besieger",
+  "besieges", "besmirch", "besotted", "besought", "bespeaks", "bespoken", "bestiary", "bestowal", "bestowed", "bestride",
+  "bestrode", "betaking", "bethinks", "betiding", "betokens", "betrayal", "betrayed", "betrayer", "betroths", "bettered",
+  "beveling", "beverage", "bewailed", "bewaring", "bewilder", "biannual", "biathlon", "biblical", "bibulous", "bickered",
+  "bicuspid", "bicycled", "bicycles", "biennial", "bifocals", "bigamist", "bigamous", "bighorns", "bigmouth", "billeted",
+  "billfold", "billings", "billions", "billowed", "binaries", "bindings", "binnacle", "binomial", "biopsied", "biopsies",
+  "biplanes", "biracial", "birching", "birdbath", "birdcage", "birdseed", "birettas", "birthday", "birthers", "birthing",
+  "biscuits", "bisected", "bisector", "bisexual", "bitchier", "bitching", "bitcoins", "bitingly", "bitterer", "bitterly",
+  "bitterns", "bivalves", "bivouacs", "biweekly", "blabbing", "blackens", "blackest", "blacking", "blackish", "blackout",
+  "blacktop", "bladders", "blanched", "blanches", "blandest", "blankest", "blankets", "blanking", "blarneys", "blasters",
+  "blasting", "blastoff", "blazoned", "bleached", "bleacher", "bleaches", "bleakest", "blearier", "blearily", "bleating",
+  "bleeders", "bleeding", "bleeping", "blenched", "blenches", "blenders", "blending", "blessing", "blighted", "blinders",
+  "blindest", "blinding", "blinkers", "blinking", "blintzes", "blissful", "blisters", "blithely", "blithest", "blitzing",
+  "blizzard", "bloating", "blobbing", "blockade", "blockage", "blocking", "bloggers", "blogging", "blondest", "bloodied",
+  "bloodier", "bloodies", "blooding", "bloomers", "blooming", "bloopers", "blossoms", "blotched", "blotches", "blotters",
+  "blotting", "blousing", "blowguns", "blowouts", "blowzier", "blubbers", "bludgeon", "bluebell", "bluebird", "bluefish",
+  "bluenose", "bluffers", "bluffest", "bluffing", "blunders", "bluntest", "blunting", "blurrier", "blurring", "blurting",
+  "blushers", "blushing", "blusters", "blustery", "boarders", "boarding", "boasters", "boastful", "boasting", "bobbling",
+  "bobolink", "bobsleds", "bobtails", "bobwhite", "bodywork", "bogeying", "bogeyman", "bogeymen", "boggiest", "boggling",
+  "bohemian", "boilings", "boldface", "boldness", "bolsters", "bombards", "bombings", "bonanzas", "bondsman", "bondsmen",
+  "bonehead", "boneless", "bonfires", "bonniest", "bookcase", "bookends", "bookings", "booklets", "bookmark", "bookshop",
+  "bookworm", "boosters", "boosting", "bootlegs", "bootless", "booziest", "bordello", "bordered", "boringly", "boroughs",
+  "borrower", "bossiest", "botanist", "botching", "bottling", "bottomed", "botulism", "boudoirs", "bouffant", "bouillon",
+  "boulders", "bouncers", "bouncier", "bouncing", "boundary", "bounders", "bounding", "bounties", "bouquets", "boutique",
+  "bowsprit", "boycotts", "boyhoods", "boyishly", "bracelet", "brackets", "brackish", "braggart", "braggers", "bragging",
+  "braiding", "brainier", "braining", "braising", "brakeman", "brakemen", "brambles", "branched", "branches", "brandied",
+  "brandies", "branding", "brandish", "brashest", "brassier", "brattier", "bravuras", "brawlers", "brawling", "brawnier",
+  "brazened", "brazenly", "braziers", "breached", "breaches", "breading", "breadths", "breakage", "breakers", "breakups",
+  "breasted", "breathed", "breather", "breathes", "breeches", "breeders", "breeding", "breezier", "breezily", "breezing",
+  "brethren", "breviary", "brickbat", "bricking", "bridging", "bridling", "briefest", "briefing", "brigades", "brigands",
+  "brighten", "brighter", "brightly", "brimming", "brindled", "briniest", "briskest", "briskets", "brisking", "bristled",
+  "bristles", "britches", "brittler", "broached", "broaches", "broadens", "broadest", "brocaded", "brocades", "broccoli",
+  "brochure", "broilers", "broiling", "brokered", "bromides", "bronchus", "bronzing", "brooches", "brooders", "brooding",
+  "brooking", "brothels", "brothers", "brouhaha", "browbeat", "brownest", "brownies", "browning", "brownish", "brownout",
+  "browsers", "browsing", "bruisers", "bruising", "brunched", "brunches", "brunette", "brushing", "brusquer", "brutally",
+  "bubblier", "bubbling", "bucketed", "buckeyes", "bucklers", "buckling", "bucksaws", "buckshot", "buckskin", "bucolics",
+  "buddings", "budgeted", "buffered", "buffeted", "buffoons", "bugaboos", "bugbears", "buggiest", "builders", "buildups",
+  "bulgiest", "bulimics", "bulkhead", "bulkiest", "bulldogs", "bulldoze", "bullfrog", "bullhorn", "bullocks", "bullpens",
+  "bullring", "bullshit", "bullying", "bulwarks", "bumblers", "bumbling", "bumpiest", "bumpkins", "bunching", "bundling",
+  "bungalow", "bunghole", "bunglers", "bungling", "buntings", "buoyancy", "burbling", "burdened", "burgeons", "burghers",
+  "burglars", "burglary", "burgling", "burliest", "burnoose", "burnouts", "burritos", "burrowed", "bursitis", "bursting",
+  "busheled", "bushiest", "bushings", "business", "bustling", "busybody", "busyness", "busywork", "butchers", "butchery",
+  "buttered", "buttocks", "buttoned", "buttress", "buzzards", "buzzkill", "buzzword", "bypassed", "bypasses", "cabarets",
+  "cabbages", "cabinets", "caboodle", "cabooses", "cackling", "cadavers", "caddying", "cadences", "cadenzas", "caduceus",
+  "caesuras", "caffeine", "caginess", "caissons", "cajolery", "cajoling", "calabash", "calamine", "calamity", "calcined",
+  "calcines", "calculus", "calendar", "calfskin", "calibers", "calicoes", "calipers", "callable", "callings", "calliope",
+  "callower", "callused", "calluses", "calmness", "calories", "calypsos", "cambered", "cambiums", "camellia", "camisole",
+  "campfire", "campiest", "campsite", "campuses", "camshaft", "canaries", "canceled", "candidly", "candling", "candying",
+  "canister", "cankered", "cannabis", "cannibal", "canniest", "cannoned", "canoeing", "canoeist", "canonize", "canopied",
+  "canopies", "cantatas", "canteens", "cantered", "canticle", "canvased", "canvases", "capering", "capitals", "capitols",
+  "caprices", "capsized", "capsizes", "capstans", "capsuled", "capsules", "captains", "captions", "captious", "captives",
+  "captured", "captures", "caramels", "carapace", "caravans", "caraways", "carbides", "carbines", "cardigan", "cardinal",
+  "careened", "careered", "carefree", "careless", "caressed", "caresses", "careworn", "caribous", "carillon", "carjacks",
+  "carmines", "carnally", "carnival", "carolers", "caroling", "caroming", "carotids", "carousal", "caroused", "carousel",
+  "carouser", "carouses", "carpeted", "carports", "carriage", "carriers", "carryall", "carryout", "cartoons", "carvings",
+  "caryatid", "cascaded", "cascades", "caseload", "casement", "casework", "cashback", "cashiers", "cashmere", "cassavas",
+  "cassocks", "castanet", "castaway", "castings", "castling", "castoffs", "castrate", "casually", "casualty", "casuists",
+  "catacomb", "catalogs", "catalpas", "catalyst", "catalyze", "catapult", "cataract", "catbirds", "catboats", "catcalls",
+  "catchall", "catchers", "catchier", "caterers", "catering", "catheter", "cathodes", "catholic", "cattails", "cattiest",
+  "catwalks", "caucused", "caucuses", "cauldron", "caulking", "causally", "causeway", "caustics", "cautions", "cautious",
+  "cavalier", "caviling", "cavities", "cavorted", "cedillas", "ceilings", "celerity", "celestas", "celibacy", "celibate",
+  "cellists", "cellular", "cemented", "cemetery", "cenotaph", "censored", "censured", "censures", "censused", "censuses",
+  "centaurs", "centered", "centimes", "centrals", "centrist", "cephalic", "ceramics", "cerebral", "cerebrum", "ceremony",
+  "cerulean", "cervical", "cervices", "cesarean", "cessions", "cesspool", "cetacean", "chaffing", "chagrins", "chaining",
+  "chainsaw", "chairing", "chairmen", "chalices", "chalkier", "chalking", "chambers", "chambray", "champing", "champion",
+  "chancels", "chancery", "chancier", "chancing", "chandler", "channels", "chanters", "chanteys", "chanting", "chaperon",
+  "chaplain", "chaplets", "chapping", "chapters", "charades", "charcoal", "chargers", "chariest", "chariots", "charisma",
+  "charmers", "charming", "charring", "charters", "charting", "chastely", "chastens", "chastest", "chastise", "chastity",
+  "chasuble", "chateaus", "chattels", "chatters", "chattier", "chattily", "chatting", "cheapens", "cheaters", "cheating",
+  "checkers", "checkout", "checkups", "cheekier", "cheekily", "cheeking", "cheeping", "cheerful", "cheerier", "cheerily",
+  "cheering", "cheesier", "cheesing", "cheetahs", "chemises", "chemists", "chenille", "cheroots", "cherries", "cherubic",
+  "cherubim", "chessman", "chessmen", "chestnut", "chevrons", "chewiest", "chickens", "chickpea", "chiefest", "chiggers",
+  "chignons", "childish", "chillers", "chillest", "chillier", "chilling", "chimeras", "chimneys", "chinking", "chinning",
+  "chipmunk", "chippers", "chipping", "chirping", "chirrups", "chiseled", "chiseler", "chitchat", "chivalry", "chloride",
+  "chlorine", "chocking", "choicest", "choleric", "chomping", "choosier", "choppers", "choppier", "choppily", "chopping",
+  "chorales", "chortled", "chortles", "chorused", "choruses", "chowders", "christen", "chroming", "chromium", "chubbier",
+  "chucking", "chuckled", "chuckles", "chugging", "chummier", "chumming", "chunkier", "churches", "churlish", "churning",
+  "chutzpah", "ciabatta", "cicatrix", "cilantro", "cinching", "cinchona", "cincture", "cindered", "cinnabar", "cinnamon",
+  "ciphered", "circlets", "circling", "circuits", "circular", "circuses", "cisterns", "citadels", "citation", "citizens",
+  "citruses", "civilian", "civility", "civilize", "clacking", "claimant", "clambake", "clambers", "clammier", "clamming",
+  "clamored", "clamping", "clanging", "clanking", "clannish", "clappers", "clapping", "claptrap", "clarinet", "clarions",
+  "clashing", "clasping", "classics", "classier", "classify", "classing", "clatters", "clavicle", "clayiest", "cleaners",
+  "cleanest", "cleaning", "cleansed", "cleanser", "cleanses", "cleanups", "cleavage", "cleavers", "cleaving", "clematis",
+  "clemency", "clenched", "clenches", "clergies", "clerical", "clerking", "cleverer", "cleverly", "clicking", "climates",
+  "climatic", "climaxed", "climaxes", "climbers", "climbing", "clinched", "clincher", "clinches", "clingier", "clinging",
+  "clinical", "clinkers", "clinking", "clippers", "clipping", "cliquish", "clitoral", "clitoris", "cloaking", "clobbers",
+  "clocking", "clogging", "cloister", "clomping", "clopping", "closeout", "closeted", "closures", "clothier", "clothing",
+  "clotting", "clotures", "cloudier", "clouding", "clouting", "clowning", "clownish", "clubbing", "clubfeet", "clubfoot",
+  "clucking", "clueless", "clumping", "clumsier", "clumsily", "clunkers", "clunkier", "clunking", "clusters", "clutched",
+  "clutches", "clutters", "coaching", "coachman", "coachmen", "coalesce", "coarsely", "coarsens", "coarsest", "coasters",
+  "coasting", "coatings", "coauthor", "cobblers", "cobbling", "coccyges", "cochleae", "cochleas", "cockades", "cockatoo",
+  "cockerel", "cockeyed", "cockiest", "cockneys", "cockpits", "cocksure", "cocktail", "coconuts", "cocooned", "coddling",
+  "codicils", "codified", "codifies", "coequals", "coercing", "coercion", "coercive", "coexists", "coffined", "cogently",
+  "cogitate", "cognates", "cognomen", "cogwheel", "cohabits", "coherent", "cohering", "cohesion", "cohesive", "coiffing",
+  "coiffure", "coinages", "coincide", "colander", "coldness", "coleslaw", "coliseum", "collages", "collared", "collated",
+  "collates", "collects", "colleens", "colleges", "collided", "collides", "colliers", "colliery", "colloids", "colloquy",
+  "colluded", "colludes", "colognes", "colonels", "colonial", "colonies", "colonist", "colonize", "coloreds", "colorful",
+  "coloring", "colossal", "colossus", "columned", "comatose", "combated", "combines", "comeback", "comedian", "comedies",
+  "comedown", "comelier", "comfiest", "comforts", "commando", "commands", "commence", "commends", "comments", "commerce",
+  "commodes", "commoner", "communal", "communed", "communes", "commuted", "commuter", "commutes", "compacts", "compares",
+  "competed", "competes", "compiled", "compiles", "complied", "complies", "comports", "composer", "composes", "composts",
+  "compotes", "compound", "compress", "comprise", "computes", "comrades", "conceals", "conceded", "concedes", "conceits",
+  "conceive", "concepts", "concerns", "concerto", "concerts", "conciser", "conclave", "conclude", "concocts", "condemns",
+  "condense", "condoled", "condoles", "condoned", "condones", "conduced", "conduces", "conducts", "conduits", "confetti",
+  "confided", "confides", "confined", "confines", "confirms", "conflict", "conforms", "confound", "confront", "confuses",
+  "confuted", "confutes", "congaing", "congeals", "congests", "congress", "conifers", "conjoins", "conjoint", "conjugal",
+  "conjured", "conjurer", "conjures", "connects", "connived", "conniver", "connives", "connoted", "connotes", "conquers",
+  "conquest", "consents", "conserve", "consigns", "consists", "consoled", "consoles", "consorts", "conspire", "construe",
+  "consular", "consults", "consumed", "consumer", "consumes", "contacts", "contains", "contempt", "contends", "contents",
+  "contests", "contexts", "continua", "contorts", "contours", "contrail", "contrite", "contrive", "controls", "contused",
+  "contuses", "convened", "convenes", "convents", "converge", "converse", "converts", "conveyed", "conveyor", "convicts",
+  "convoked", "convokes", "convoyed", "convulse", "cookbook", "cookouts", "coolants", "coolness", "coopered", "copilots",
+  "copulate", "copycats", "coquette", "cordials", "cordless", "cordoned", "corduroy", "cornball", "corncobs", "cornered",
+  "cornices", "corniest", "cornmeal", "cornrows", "corollas", "coronary", "coroners", "coronets", "corporal", "corrects",
+  "corridor", "corroded", "corrodes", "corrupts", "corsages", "corsairs", "corseted", "cortical", "cortices", "cosigned",
+  "cosigner", "cosmetic", "cosmoses", "costings", "costlier", "costumed", "costumes", "coteries", "cottages", "cottoned",
+  "couching", "coughing", "councils", "counsels", "counters", "countess", "counties", "couplets", "coupling", "couriers",
+  "coursing", "courtesy", "courtier", "courting", "covenant", "coverage", "coverall", "coverlet", "covertly", "coveting",
+  "covetous", "cowardly", "cowbirds", "cowering", "cowgirls", "cowhands", "cowhides", "cowlicks", "cowlings", "coworker",
+  "cowpokes", "cowslips", "coxcombs", "coxswain", "cozening", "coziness", "crabbier", "crabbily", "crabbing", "crackers",
+  "cracking", "crackled", "crackles", "crackpot", "crackups", "cradling", "craftier", "craftily", "crafting", "craggier",
+  "cramming", "cramping", "craniums", "crankier", "cranking", "crannies", "crappier", "crapping", "crassest", "cratered",
+  "cravenly", "cravings", "crawling", "crayfish", "crayoned", "craziest", "creakier", "creaking", "creamers", "creamery",
+  "creamier", "creaming", "creasing", "creative", "creators", "credence", "credenza", "credible", "credibly", "credited",
+  "creditor", "creepers", "creepier", "creepily", "creeping", "cremated", "cremates", "creosote", "crescent", "cresting",
+  "crevasse", "crevices", "cribbage", "cribbing", "crickets", "cricking", "criminal", "crimping", "crimsons", "cringing",
+  "crinkled", "crinkles", "crippled", "cripples", "crispest", "crispier", "crisping", "criteria", "critique", "critters",
+  "croaking", "crochets", "crockery", "crocuses", "crooking", "crooners", "crooning", "croppers", "cropping", "crosiers",
+  "crossbar", "crossbow", "crossest", "crossing", "crotches", "crotchet", "crouched", "crouches", "croupier", "crowbars",
+  "crowding", "crowning", "crucible", "crucifix", "cruddier", "cruelest", "cruisers", "cruising", "crullers", "crumbier",
+  "crumbing", "crumbled", "crumbles", "crummier", "crumpets", "crumpled", "crumples", "crunched", "cruncher", "crunches",
+  "crusaded", "crusader", "crusades", "crushing", "crustier", "crusting", "crutches", "crystals", "cubicles", "cuckolds",
+  "cucumber", "cuddlier", "cuddling", "cudgeled", "cuisines", "culinary", "culottes", "culpable", "culprits", "cultural",
+  "cultured", "cultures", "culverts", "cupboard", "cupcakes", "cupidity", "curacies", "curative", "curators", "curdling",
+  "curlicue", "curliest", "currants", "currency", "currents", "currying", "curtails", "curtains", "curtness", "curtsied",
+  "curtsies", "curviest", "cushiest", "cushions", "custards", "cutbacks", "cuteness", "cutesier", "cuticles", "cuttings",
+  "cybersex", "cyclamen", "cyclical", "cyclists", "cyclones", "cyclonic", "cylinder", "cynicism", "cynosure", "cytology",
+  "czarinas", "dabblers", "dabbling", "dactylic", "daffiest", "daffodil", "daintier", "dainties", "daintily", "daiquiri",
+  "dairying", "dairyman", "dairymen", "dallying", "damasked", "damnable", "damnably", "dampened", "dampness", "dandiest",
+  "dandling", "dandruff", "dangling", "dankness", "dapperer", "dappling", "daringly", "darkened", "darkness", "darkroom",
+  "darlings", "darneder", "dashikis", "datatype", "dateline", "daughter", "daunting", "dauphins", "dawdlers", "dawdling",
+  "daybreak", "daydream", "daylight", "dazzling", "deadbeat", "deadbolt", "deadened", "deadlier", "deadline", "deadlock",
+  "deadpans", "deadwood", "deafened", "deafness", "dealings", "dearness", "deathbed", "debacles", "debarked", "debarred",
+  "debasing", "debaters", "debating", "debility", "debiting", "debonair", "debriefs", "debugged", "debugger", "debunked",
+  "debuting", "decadent", "decamped", "decanted", "decanter", "decaying", "deceased", "deceases", "decedent", "deceived",
+  "deceiver", "deceives", "decently", "decibels", "decimals", "decimate", "decipher", "decisive", "deckhand", "declaims",
+  "declares", "declined", "declines", "decoding", "decorate", "decorous", "decoying", "decrepit", "decrying", "deducing",
+  "deducted", "deepened", "deepness", "deerskin", "defacing", "defaming", "defaults", "defeated", "defecate", "defected",
+  "defector", "defended", "defender", "defensed", "defenses", "deferred", "defiance", "deficits", "defiling", "definers",
+  "deflated", "deflates", "deflects", "defogger", "deforest", "deformed", "defrauds", "defrayal", "defrayed", "defrosts",
+  "deftness", "defusing", "degraded", "degrades", "deifying", "deigning", "dejected", "delaying", "delegate", "deletion",
+  "delicacy", "delicate", "delights", "delimits", "delirium", "delivers", "deluding", "deluging", "delusion", "delusive",
+  "demagogy", "demanded", "demeaned", "demeanor", "demented", "dementia", "demerits", "demesnes", "demigods", "demijohn",
+  "demising", "democrat", "demolish", "demoniac", "demoting", "demotion", "demurely", "demurest", "demurred", "denature",
+  "dendrite", "denizens", "denoting", "denounce", "dentists", "dentures", "denuding", "departed", "depicted", "deplaned",
+  "deplanes", "depleted", "depletes", "deplored", "deplores", "deployed", "deported", "deposing", "deposits", "depraved",
+  "depraves", "deprived", "deprives", "deputies", "deputing", "deputize", "derailed", "deranged", "deranges", "derelict",
+  "deriding", "derision", "derisive", "derisory", "derogate", "derricks", "descants", "descends", "descents", "descried",
+  "descries", "deserted", "deserter", "deserved", "deserves", "designer", "desirous", "desisted", "desktops", "desolate",
+  "despairs", "despised", "despises", "despoils", "despotic", "desserts", "destined", "destines", "destroys", "destruct",
+  "detached", "detaches", "detained", "detainee", "detector", "detentes", "deterred", "detested", "dethrone", "detonate",
+  "detoured", "detoxify", "detoxing", "detracts", "detritus", "devalued", "devalues", "develops", "deviance", "deviants",
+  "deviated", "deviates", "deviling", "devilish", "deviltry", "devising", "devolved", "devolves", "devotees", "devotion",
+  "devoured", "devouter", "devoutly", "dewberry", "dewdrops", "dextrose", "diabetes", "diabetic", "diabolic", "diagnose",
+  "diagonal", "diagrams", "dialects", "dialings", "dialogue", "dialyses", "dialysis", "dialyzes", "diameter", "diamonds",
+  "diapered", "diarists", "diarrhea", "diatribe", "dibbling", "dickered", "dictated", "dictates", "dictator", "didactic",
+  "diddling", "diereses", "dieresis", "dieseled", "dietetic", "differed", "diffused", "diffuses", "digested", "digitize",
+  "digraphs", "dilating", "dilation", "dilatory", "dilemmas", "diligent", "diluting", "dilution", "diminish", "dimpling",
+  "dinettes", "dinghies", "dingiest", "dinkiest", "dinnered", "dinosaur", "diocesan", "dioceses", "dioramas", "diplomas",
+  "diplomat", "dipstick", "directer", "dirtiest", "dirtying", "disabled", "disables", "disabuse", "disallow", "disarmed",
+  "disarray", "disavows", "disbands", "disburse", "discards", "discerns", "disciple", "disclaim", "disclose", "discoing",
+  "discolor", "discords", "discreet", "discrete", "discuses", "disdains", "diseased", "diseases", "disfavor", "disgorge",
+  "disgrace", "disguise", "disgusts", "dishevel", "dishonor", "dishpans", "dishrags", "disinter", "disjoint", "diskette",
+  "disliked", "dislikes", "dislodge", "disloyal", "dismally", "dismayed", "dismount", "disobeys", "disorder", "disowned",
+  "dispatch", "dispense", "disperse", "dispirit", "displace", "displays", "disports", "disposal", "disposed", "disposes",
+  "disproof", "disprove", "disputed", "disputes", "disquiet", "disrobed", "disrobes", "disrupts", "dissects", "dissents",
+  "dissolve", "dissuade", "distaffs", "distaste", "distends", "distills", "distorts", "distract", "distrait", "distress",
+  "distrust", "disturbs", "disunite", "disunity", "disusing", "ditching", "dithered", "dittoing", "diuretic", "diverged",
+  "diverges", "diverted", "divested", "dividend", "dividers", "divinely", "diviners", "divinest", "divining", "divinity",
+  "divisive", "divisors", "divorced", "divorces", "divulged", "divulges", "divvying", "dizziest", "dizzying", "docilely",
+  "docility", "docketed", "dockyard", "doctoral", "doctored", "doctrine", "doddered", "dogfight", "doggedly", "doggerel",
+  "doggiest", "doggoner", "doggones", "doghouse", "dogmatic", "dogtrots", "dogwoods", "doldrums", "dolloped", "dolorous",
+  "dolphins", "domestic", "domicile", "dominant", "dominate", "domineer", "dominion", "dominoes", "donating", "donation",
+  "doodlers", "doodling", "doomsday", "doorbell", "doorknob", "doormats", "doorstep", "doorways", "dorkiest", "dormancy",
+  "dormouse", "dossiers", "dotingly", "doublets", "doubling", "doubloon", "doubters", "doubting", "douching", "doughier",
+  "doughnut", "dovetail", "dowagers", "dowdiest", "doweling", "downbeat", "downcast", "downfall", "downhill", "downiest",
+  "download", "downplay", "downpour", "downsize", "downtime", "downtown", "downturn", "downward", "downwind", "doxology",
+  "drabbest", "drabness", "drachmas", "draftees", "draftier", "drafting", "dragging", "dragnets", "dragoons", "drainage",
+  "drainers", "draining", "dramatic", "drawback", "drawings", "drawling", "dreadful", "dreading", "dreamers", "dreamier",
+  "dreamily", "dreaming", "drearier", "drearily", "dredgers", "dredging", "drenched", "drenches", "dressage", "dressers",
+  "dressier", "dressing", "dribbled", "dribbler", "dribbles", "driblets", "drifters", "drifting", "drilling", "drinkers",
+  "drinking", "dripping", "driveled", "driveway", "drivings", "drizzled", "drizzles", "drollery", "drollest", "drooling",
+  "droopier", "drooping", "droplets", "dropouts", "droppers", "droughts", "drowning", "drowsier", "drowsily", "drowsing",
+  "drubbing", "drudgery", "drudging", "drugging", "druggist", "drummers", "drumming", "drunkard", "drunkest", "duckbill",
+  "duckling", "ductless", "duelists", "dukedoms", "dulcimer", "dullards", "dullness", "dumbbell", "dumbness", "dumpiest",
+  "dumpling", "dumpster", "dungaree", "dungeons", "duodenal", "duodenum", "duplexes", "duration", "duskiest", "dustbins",
+  "dustiest", "dustless", "dustpans", "dutiable", "dwarfing", "dwarfish", "dwarfism", "dwellers", "dwelling", "dwindled",
+  "dwindles", "dyestuff", "dynamics", "dynamism", "dynamite", "dynastic", "dyslexia", "dyslexic", "eagerest", "earaches",
+  "eardrums", "earldoms", "earlobes", "earmarks", "earmuffs", "earnests", "earnings", "earphone", "earplugs", "earrings",
+  "earthier", "earthing", "easiness", "easterly", "eastward", "eatables", "eateries", "echelons", "eclectic", "eclipsed",
+  "eclipses", "ecliptic", "ecstatic", "edgewise", "edginess", "edifices", "edifying", "editable", "editions", "educable",
+  "educated", "educates", "educator", "eeriness", "effacing", "effected", "efficacy", "effigies", "effluent", "effusion",
+  "effusive", "eggheads", "eggplant", "eggshell", "egoistic", "egotists", "egresses", "eighteen", "eighties", "ejecting",
+  "ejection", "elapsing", "elastics", "elbowing", "elective", "electors", "electron", "elegance", "elegiacs", "elements",
+  "elephant", "elevated", "elevates", "eleventh", "elicited", "eligible", "elisions", "elitists", "ellipses", "ellipsis",
+  "elliptic", "elongate", "eloquent", "emaciate", "emailing", "emanated", "emanates", "embalmed", "embalmer", "embarked",
+  "embedded", "embezzle", "embitter", "emblazon", "embodied", "embodies", "embolden", "embolism", "embossed", "embosses",
+  "embraced", "embraces", "embroils", "emceeing", "emending", "emeralds", "emergent", "emerging", "emeritus", "emigrant",
+  "emigrate", "eminence", "emirates", "emissary", "emission", "emitting", "emotions", "emperors", "emphases", "emphasis",
+  "emphatic", "employed", "employer", "emporium", "empowers", "emptiest", "emptying", "emulated", "emulates", "emulator",
+  "emulsify", "emulsion", "enabling", "enacting", "enameled", "enamored", "encamped", "encasing", "enchants", "encircle",
+  "enclaves", "enclosed", "encloses", "encoders", "encoding", "encoring", "encroach", "encrusts", "encrypts", "encumber",
+  "endanger", "endeared", "endeavor", "endemics", "endorsed", "endorser", "endorses", "endowing", "enduring", "energies",
+  "energize", "enervate", "enfeeble", "enfolded", "enforced", "enforcer", "enforces", "engaging", "engender", "engorged",
+  "engorges", "engraved", "engraver", "engraves", "engulfed", "enhanced", "enhancer", "enhances", "enjoined", "enjoying",
+  "enlarged", "enlarger", "enlarges", "enlisted", "enlistee", "enlivens", "enmeshed", "enmeshes", "enmities", "ennobled",
+  "ennobles", "enormity", "enormous", "enraging", "enriched", "enriches", "enrolled", "ensconce", "ensemble", "enshrine",
+  "enshroud", "enslaved", "enslaves", "ensnared", "ensnares", "entailed", "entangle", "ententes", "enthrall", "enthrone",
+  "enthused", "enthuses", "enticing", "entirety", "entities", "entitles", "entombed", "entrails", "entrants", "entreats",
+  "entreaty", "entrench", "entrusts", "entryway", "entwined", "entwines", "envelope", "envelops", "enviable", "enviably",
+  "environs", "envisage", "envision", "epaulets", "epicures", "epidemic", "epigrams", "epilepsy", "epilogue", "episodes",
+  "episodic", "epistles", "epitaphs", "epithets", "epitomes", "epoxying", "equaling", "equality", "equalize", "equating",
+  "equation", "equators", "equipage", "equipped", "equities", "erasures", "erectile", "erecting", "erection", "ersatzes",
+  "erupting", "eruption", "escalate", "escapade", "escapees", "escaping", "escapism", "escapist", "escarole", "eschewed",
+  "escorted", "esophagi", "esoteric", "especial", "espousal", "espoused", "espouses", "espresso", "esquires", "essaying",
+  "essayist", "essences", "esteemed", "estrange", "estrogen", "etchings", "eternity", "ethereal", "etiology", "eugenics",
+  "eulogies", "eulogize", "euphoria", "euphoric", "eutectic", "evacuate", "evacuees", "evaluate", "evasions", "evenings",
+  "evenness", "eventful", "eventide", "eventual", "evermore", "everyday", "evicting", "eviction", "evildoer", "evincing",
+  "evolving", "exactest", "exacting", "exalting", "examiner", "examines", "exampled", "examples", "excavate", "exceeded",
+  "excelled", "excepted", "excerpts", "excesses", "excising", "excision", "exciting", "exclaims", "excludes", "excreted",
+  "excretes", "excusing", "execrate", "executes", "executor", "exegeses", "exegesis", "exemplar", "exempted", "exerting",
+  "exertion", "exhaling", "exhausts", "exhibits", "exhorted", "exhuming", "exigency", "exiguous", "existent", "exoduses",
+  "exorcise", "exorcism", "exorcist", "expanses", "expedite", "expelled", "expended", "expenses", "expertly", "expiated",
+  "expiates", "expiring", "explains", "exploded", "explodes", "exploits", "explored", "explorer", "explores", "exponent",
+  "exported", "exporter", "exposing", "exposure", "expounds", "expunged", "expunges", "exterior", "extincts", "extolled",
+  "extorted", "extracts", "extremer", "extremes", "extruded", "extrudes", "exultant", "exulting", "eyeballs", "eyebrows",
+  "eyeglass", "eyeliner", "eyepiece", "eyesight", "eyesores", "eyeteeth", "eyetooth", "fabulous", "faceless", "faceting",
+  "facially", "factions", "factored", "factotum", "failings", "failures", "faintest", "fainting", "fairness", "fairways",
+  "faithful", "falconer", "falconry", "fallible", "fallibly", "falloffs", "fallowed", "falsetto", "faltered", "familial",
+  "families", "famished", "famishes", "famously", "fanatics", "fanciers", "fanciest", "fanciful", "fancying", "fanfares",
+  "farcical", "farewell", "farmhand", "farmland", "farmyard", "farrowed", "farthing", "fascists", "fashions", "fastened",
+  "fastener", "fastness", "fatalism", "fatalist", "fatality", "fatheads", "fathered", "fatherly", "fathomed", "fatigued",
+  "fatigues", "fattened", "fattiest", "faultier", "faultily", "faulting", "favoring", "fearless", "fearsome", "feasibly",
+  "feasting", "feathers", "feathery", "featured", "features", "feckless", "federals", "federate", "feeblest", "feedbags",
+  "feedings", "feelings", "feigning", "feinting", "feistier", "feldspar", "felicity", "fellatio", "felonies", "feminine",
+  "feminism", "feminist", "ferments", "ferocity", "ferreted", "ferrules", "ferrying", "fervency", "fervidly", "festered",
+  "festival", "festoons", "fetching", "fetishes", "fetlocks", "fettered", "feverish", "fiascoes", "ficklest", "fictions",
+  "fiddlers", "fiddling", "fidelity", "fidgeted", "fielders", "fielding", "fiendish", "fiercely", "fiercest", "fieriest",
+  "fifteens", "fiftieth", "fighters", "fighting", "figments", "figurine", "figuring", "filament", "filberts", "filching",
+  "filigree", "filleted", "fillings", "filliped", "filmiest", "filtered", "filthier", "filtrate", "finagled", "finagler",
+  "finagles", "finalist", "finality", "finalize", "financed", "finances", "findings", "fineness", "finessed", "finesses",
+  "fingered", "finisher", "finishes", "finitely", "firearms", "fireball", "firebomb", "firebugs", "fireplug", "fireside",
+  "firetrap", "firewall", "firewood", "firework", "firmness", "firmware", "fiscally", "fishbowl", "fishhook", "fishiest",
+  "fishnets", "fishtail", "fishwife", "fissures", "fistfuls", "fitfully", "fittings", "fixating", "fixation", "fixative",
+  "fixtures", "fizziest", "fizzling", "flabbier", "flagella", "flagging", "flagpole", "flagrant", "flagship", "flailing",
+  "flakiest", "flamenco", "flamingo", "flamings", "flanking", "flannels", "flapjack", "flappers", "flapping", "flashers",
+  "flashest", "flashgun", "flashier", "flashily", "flatbeds", "flatboat", "flatcars", "flatfeet", "flatfish", "flatfoot",
+  "flatiron", "flatness", "flattens", "flatters", "flattery", "flattest", "flatting", "flattops", "flatware", "flaunted",
+  "flavored", "flawless", "flecking", "fleecier", "fleecing", "fleetest", "fleeting", "fleshier", "fleshing", "flexibly",
+  "flextime", "flickers", "flicking", "flimflam", "flimsier", "flimsily", "flinched", "flinches", "flinging", "flintier",
+  "flippant", "flippers", "flippest", "flipping", "flirting", "flitting", "floaters", "flocking", "flogging", "flooding",
+  "floodlit", "flooring", "floozies", "floppier", "floppies", "flopping", "floridly", "florists", "flossing", "flotilla",
+  "flounced", "flounces", "flounder", "flouring", "flourish", "flouting", "flowered", "flubbing", "fluently", "fluffier",
+  "fluffing", "fluidity", "flukiest", "flunkies", "flunking", "fluoride", "fluorine", "fluorite", "flurried", "flurries",
+  "flushest", "flushing", "flusters", "flutists", "flutters", "fluttery", "flyovers", "flypaper", "flysheet", "flyspeck",
+  "flywheel", "foamiest", "focusing", "fogbound", "foggiest", "foghorns", "foisting", "foldaway", "folklore", "folksier",
+  "follicle", "follower", "fomented", "fondants", "fondling", "fondness", "foolscap", "football", "footfall", "foothill",
+  "foothold", "footings", "footnote", "footpath", "footrest", "footsies", "footsore", "footstep", "footwear", "footwork",
+  "foragers", "foraging", "foraying", "forbears", "forborne", "forceful", "forcible", "forcibly", "forearms", "forebear",
+  "forebode", "forecast", "forefeet", "forefoot", "foregoes", "foregone", "forehand", "forehead", "forelegs", "forelock",
+  "foremast", "foremost", "forename", "forenoon", "forensic", "foreplay", "foresail", "foreseen", "foresees", "foreskin",
+  "forested", "forester", "forestry", "foretell", "foretold", "forewarn", "forewent", "foreword", "forfeits", "forgiven",
+  "forgives", "forgoing", "forklift", "formally", "formerly", "formless", "formulae", "formulas", "forsaken", "forsakes",
+  "forsooth", "forswear", "forswore", "forsworn", "fortieth", "fortress", "fortunes", "forwards", "fostered", "foulness",
+  "founders", "founding", "fountain", "fourfold", "foursome", "fourteen", "fourthly", "foxglove", "foxholes", "foxhound",
+  "foxtrots", "fracases", "fracking", "fractals", "fracture", "fragment", "fragrant", "frailest", "frankest", "franking",
+  "frazzled", "frazzles", "freakier", "freaking", "freakish", "freckled", "freckles", "freebase", "freebies", "freedman",
+  "freedmen", "freedoms", "freehand", "freehold", "freeload", "freeways", "freewill", "freezers", "freezing", "freights",
+  "frenetic", "frenzied", "frenzies", "frescoes", "freshens", "freshest", "freshets", "freshman", "freshmen", "fretting",
+  "fretwork", "friction", "friended", "frigates", "frighted", "frighten", "frigidly", "frillier", "fringing", "frippery",
+  "friskier", "friskily", "frisking", "fritters", "frizzier", "frizzing", "frizzled", "frizzles", "frontage", "frontier",
+  "fronting", "frostbit", "frostier", "frostily", "frosting", "frothier", "frothing", "frowning", "frowzier", "fructify",
+  "fructose", "frugally", "fruitful", "fruitier", "fruiting", "fruition", "frumpier", "fuchsias", "fuddling", "fugitive",
+  "fulcrums", "fulfills", "fullback", "fullness", "fumblers", "fumbling", "fumigate", "funerals", "funereal", "funkiest",
+  "funneled", "funniest", "furbelow", "furlongs", "furlough", "furnaces", "furriers", "furriest", "furrowed", "furthers",
+  "fuselage", "fussiest", "fustiest", "futilely", "futility", "futurity", "fuzziest", "gabbiest", "gabbling", "gadabout",
+  "gadflies", "gadgetry", "gainsaid", "gainsays", "galactic", "galaxies", "gallants", "galleons", "galloped", "galoshes",
+  "galvanic", "gamblers", "gambling", "gamboled", "gamecock", "gameness", "gangland", "gangling", "ganglion", "gangrene",
+  "gangster", "gangways", "gantlets", "gantries", "garaging", "garbanzo", "garbling", "gardened", "gardener", "gardenia",
+  "gargling", "gargoyle", "garishly", "garlands", "garlicky", "garments", "garnered", "garrison", "garroted", "garrotes",
+  "gaslight", "gassiest", "gasworks", "gatepost", "gateways", "gathered", "gatherer", "gauchest", "gaudiest", "gauntest",
+  "gauntlet", "gauziest", "gavottes", "gawkiest", "gazelles", "gazetted", "gazettes", "gazpacho", "geekiest", "geldings",
+  "gemstone", "gendarme", "generals", "generics", "generous", "genetics", "genially", "genitals", "genitive", "geniuses",
+  "genocide", "gentians", "gentiles", "gentlest", "gentling", "gentries", "gentrify", "geocache", "geodesic", "geologic",
+  "geometer", "geometry", "geranium", "germinal", "gestated", "gestates", "gestured", "gestures", "getaways", "gherkins",
+  "ghosting", "ghoulish", "giantess", "gibbered", "gibbeted", "giddiest", "gigabits", "gigabyte", "gigantic", "gigglers",
+  "gigglier", "giggling", "gimcrack", "gimleted", "gimmicks", "gimmicky", "gingerly", "ginkgoes", "giraffes", "girdling",
+  "girlhood", "giveaway", "gizzards", "glaciers", "gladdens", "gladdest", "gladiola", "gladioli", "gladness", "glamours",
+  "glancing", "glassful", "glassier", "glassing", "glaucoma", "glaziers", "gleaming", "gleaning", "glibbest", "glibness",
+  "glimmers", "glimpsed", "glimpses", "glinting", "glistens", "glitches", "glitters", "glittery", "glitzier", "gloaming",
+  "gloating", "globally", "globular", "globules", "gloomier", "gloomily", "glorious", "glorying", "glossary", "glossier",
+  "glossies", "glossing", "glowered", "glowworm", "glummest", "glumness", "glutting", "gluttons", "gluttony", "glycerin",
+  "glycerol", "glycogen", "gnarlier", "gnarling", "gnashing", "goalpost", "goatherd", "goatskin", "gobblers", "gobbling",
+  "godchild", "godliest", "godsends", "goggling", "goldener", "goldfish", "gondolas", "goodbyes", "goodlier", "goodness",
+  "goodwill", "goofiest", "googling", "gorgeous", "gorillas", "goriness", "goslings", "gossamer", "gossiped", "gourmand",
+  "gourmets", "goutiest", "governed", "grabbing", "graceful", "gracious", "grackles", "gradient", "graffiti", "graffito",
+  "grafters", "grafting", "grainier", "grammars", "granddad", "grandees", "grandest", "grandeur", "grandmas", "grandpas",
+  "grandson", "grannies", "granular", "granules", "graphics", "graphing", "graphite", "grapnels", "grappled", "grapples",
+  "grasping", "grassier", "grassing", "gratings", "gratuity", "graveled", "gravelly", "grayness", "greasier", "greasing",
+  "greedier", "greedily", "greenery", "greenest", "greening", "greenish", "greeting", "gremlins", "grenades", "griddles",
+  "gridiron", "gridlock", "grieving", "grievous", "griffins", "grilling", "grimaced", "grimaces", "grimiest", "grimmest",
+  "grimness", "grinders", "grinning", "gripping", "grislier", "grittier", "gritting", "grizzled", "groaning", "groggier",
+  "groggily", "grommets", "grooming", "groovier", "grooving", "grosbeak", "grossest", "grossing", "grottoes", "grouched",
+  "grouches", "grounded", "grounder", "groupers", "groupies", "grouping", "grousing", "grouting", "groveled", "groveler",
+  "growling", "grownups", "grubbier", "grubbing", "grudging", "grueling", "gruesome", "gruffest", "grumbled", "grumbler",
+  "grumbles", "grumpier", "grumpily", "grungier", "grunting", "guaranty", "guardian", "guarding", "guessers", "guesting",
+  "guffawed", "guidance", "guilders", "guileful", "guiltier", "guiltily", "gullible", "gumdrops", "gummiest", "gumption",
+  "gunboats", "gunfight", "gunpoint", "gunshots", "gunsmith", "gunwales", "gurgling", "gushiest", "gusseted", "gustiest",
+  "gutsiest", "guttered", "guttural", "guzzlers", "guzzling", "gymnasts", "gyrating", "gyration", "habitats", "habitual",
+  "hacienda", "hackneys", "hacksaws", "haddocks", "hagglers", "haggling", "haircuts", "hairiest", "hairless", "hairline",
+  "hairnets", "hairpins", "halberds", "halfback", "halftime", "halibuts", "hallmark", "hallowed", "hallways", "halogens",
+  "haltered", "halyards", "hammered", "hammocks", "hampered", "hamsters", "handbags", "handball", "handbill", "handbook",
+  "handcars", "handcart", "handcuff", "handfuls", "handguns", "handheld", "handicap", "handiest", "handlers", "handmade",
+  "handmaid", "handouts", "handpick", "handrail", "handsets", "handsome", "handwork", "handyman", "handymen", "hangings",
+  "hangnail", "hangouts", "hangover", "hankered", "happiest", "harangue", "harassed", "harasses", "harbored", "hardback",
+  "hardball", "hardened", "hardener", "hardiest", "hardness", "hardship", "hardtack", "hardtops", "hardwood", "harelips",
+  "harmless", "harmonic", "harpists", "harpoons", "harridan", "harrowed", "harrying", "harshest", "harvests", "hashtags",
+  "hassling", "hassocks", "hastened", "hastiest", "hatchery", "hatchets", "hatching", "hatchway", "haunches", "haunting",
+  "hawthorn", "haycocks", "haylofts", "hayseeds", "haystack", "hazarded", "hazelnut", "haziness", "headache", "headband",
+  "headgear", "headiest", "headings", "headland", "headless", "headline", "headlock", "headlong", "headrest", "headroom",
+  "headsets", "headwind", "headword", "hearings", "hearkens", "heartens", "heartier", "hearties", "heartily", "heatedly",
+  "heathens", "heavenly", "heaviest", "heavyset", "hecklers", "heckling", "hectares", "hectored", "hedgehog", "hedgerow",
+  "hedonism", "hedonist", "heedless", "heehawed", "heftiest", "hegemony", "heighten", "heirloom", "heisting", "heliport",
+  "hellhole", "hellions", "helmsman", "helmsmen", "helpings", "helpless", "helpline", "helpmate", "hemlines", "hemlocks",
+  "henchman", "henchmen", "hennaing", "henpecks", "heptagon", "heralded", "heraldic", "heraldry", "herdsman", "herdsmen",
+  "heredity", "heresies", "heretics", "hereupon", "herewith", "heritage", "hermetic", "herrings", "hesitant", "hesitate",
+  "hexagons", "hiatuses", "hibachis", "hibiscus", "hiccough", "hiccuped", "hideaway", "hideouts", "highball", "highborn",
+  "highboys", "highbrow", "highland", "highness", "hightail", "highways", "hijacked", "hijacker", "hilarity", "hilliest",
+  "hillocks", "hillside", "hilltops", "hindered", "hindmost", "hireling", "historic", "hitching", "hitherto", "hoarders",
+  "hoarding", "hoariest", "hoarsely", "hoarsest", "hobbling", "hobbyist", "hobnails", "hockshop", "hoedowns", "hogshead",
+  "hoisting", "holdings", "holdouts", "holdover", "holidays", "holiness", "holistic", "hollered", "hollowed", "hollower",
+  "hollowly", "hologram", "holsters", "homburgs", "homebody", "homeboys", "homeland", "homeless", "homelier", "homemade",
+  "homepage", "homering", "homeroom", "homesick", "homespun", "hometown", "homeward", "homework", "homicide", "homilies",
+  "homonyms", "honester", "honestly", "honeybee", "honeydew", "honeying", "honorary", "honoring", "hoodlums", "hoodooed",
+  "hoodwink", "hookworm", "hooligan", "hopefuls", "hopeless", "horizons", "hormonal", "hormones", "horniest", "hornless",
+  "hornpipe", "horology", "horribly", "horridly", "horrific", "horsefly", "horseman", "horsemen", "horsiest", "hosannas",
+  "hospices", "hostages", "hosteled", "hosteler", "hostelry", "hostiles", "hostlers", "hotcakes", "hotelier", "hotheads",
+  "hothouse", "hotshots", "hounding", "housefly", "housetop", "housings", "hovering", "howitzer", "huckster", "huddling",
+  "huffiest", "hugeness", "humanely", "humanest", "humanism", "humanist", "humanity", "humanize", "humanoid", "humblest",
+  "humbling", "humidify", "humidity", "humidors", "humility", "hummocks", "humoring", "humorist", "humorous", "humpback",
+  "hunching", "hundreds", "hungered", "hungover", "hungrier", "hungrily", "hunkered", "huntress", "huntsman", "huntsmen",
+  "hurdlers", "hurdling", "hurrahed", "hurrying", "hurtling", "husbands", "huskiest", "hustings", "hustlers", "hustling",
+  "hyacinth", "hydrants", "hydrated", "hydrates", "hydrogen", "hygienic", "hyphened", "hypnoses", "hypnosis", "hypnotic",
+  "hysteria", "hysteric", "icebergs", "icebound", "iceboxes", "idealism", "idealist", "idealize", "ideogram", "ideology",
+  "idiocies", "idleness", "idolater", "idolatry", "idolized", "idolizes", "igniting", "ignition", "ignominy", "ignorant",
+  "illegals", "illumine", "illusion", "illusive", "illusory", "imagined", "imagines", "imbecile", "imbibing", "imitated",
+  "imitates", "imitator", "immanent", "immature", "immersed", "immerses", "imminent", "immobile", "immodest", "immolate",
+  "immortal", "immunity", "immunize", "immuring", "impacted", "impaired", "impaling", "impanels", "imparted", "impasses",
+  "impeding", "impelled", "impended", "imperial", "imperils", "impetigo", "impinged", "impinges", "impishly", "implants",
+  "implicit", "imploded", "implodes", "implored", "implores", "impolite", "imported", "importer", "impostor", "impotent",
+  "impounds", "imprints", "imprison", "improper", "improves", "impudent", "impugned", "impulsed", "impulses", "impunity",
+  "impurely", "impurest", "impurity", "imputing", "inaction", "inactive", "inasmuch", "inboards", "inbreeds", "incensed",
+  "incenses", "inchoate", "incising", "incision", "incisive", "incisors", "inciting", "inclines", "includes", "incoming",
+  "incubate", "incurred", "indebted", "indecent", "indented", "indexing", "indicted", "indigent", "indirect", "indolent",
+  "inducing", "inducted", "inductee", "indulged", "indulges", "inedible", "inequity", "inertial", "inexpert", "infamies",
+  "infamous", "infantry", "infected", "infernal", "infernos", "inferred", "infested", "infidels", "infields", "infinity",
+  "inflamed", "inflames", "inflated", "inflates", "inflects", "inflicts", "influxes", "informal", "informer", "infrared",
+  "infringe", "infusing", "infusion", "ingested", "ingrains", "ingrates", "inhabits", "inhalant", "inhalers", "inhaling",
+  "inherent", "inhering", "inherits", "inhibits", "inhumane", "inimical", "iniquity", "initials", "initiate", "injected",
+  "injector", "injuries", "injuring", "inkblots", "inkiness", "inklings", "inkwells", "inlaying", "innately", "innovate",
+  "innuendo", "inputted", "inquests", "inquired", "inquirer", "inquires", "insanely", "insanest", "insanity", "inscribe",
+  "insecure", "insiders", "insights", "insignia", "insolent", "insomnia", "inspects", "inspired", "inspires", "installs",
+  "instants", "instills", "instinct", "instruct", "insulate", "insulted", "insureds", "insurers", "insuring", "intaglio",
+  "integers", "intenser", "intently", "intercom", "interior", "interned", "internee", "internet", "interred", "intimacy",
+  "intimate", "intoning", "intranet", "intrepid", "intrigue", "intruded", "intruder", "intrudes", "intuited", "inundate",
+  "invaders", "invading", "invalids", "invasion", "invasive", "inveighs", "inveigle", "inventor", "inverses", "inverted",
+  "invested", "investor", "invoiced", "invoices", "invoking", "involves", "inwardly", "iodizing", "ionizers", "ionizing",
+  "ironclad", "ironical", "ironware", "ironwork", "irrigate", "irritant", "islander", "isolates", "isotopes", "isotopic",
+  "issuance", "itchiest", "itemized", "itemizes", "iterated", "iterates", "iterator", "jabbered", "jabberer", "jackboot",
+  "jackdaws", "jackpots", "jaggeder", "jaggedly", "jalopies", "jalousie", "jamboree", "jangling", "janitors", "japanned",
+  "jasmines", "jaundice", "jauntier", "jauntily", "jaunting", "javelins", "jawboned", "jawbones", "jaywalks", "jazziest",
+  "jealousy", "jellying", "jeopardy", "jeremiad", "jerkiest", "jettison", "jewelers", "jeweling", "jiggered", "jiggling",
+  "jigsawed", "jihadist", "jimmying", "jingling", "jingoism", "jingoist", "jockeyed", "jocosely", "jocosity", "jocundly",
+  "jodhpurs", "joggling", "jointing", "jokingly", "jolliest", "jollying", "jonquils", "jostling", "jottings", "jouncing",
+  "journals", "journeys", "jousting", "jovially", "joyfully", "joyously", "joyrider", "joyrides", "joystick", "jubilant",
+  "jubilees", "judicial", "jugglers", "juggling", "jugulars", "juiciest", "julienne", "jumbling", "jumpiest", "jumpsuit",
+  "junction", "juncture", "junipers", "junketed", "junkiest", "junkyard", "justices", "justness", "juvenile", "kamikaze",
+  "kangaroo", "karaokes", "katydids", "kayaking", "keenness", "keepsake", "kenneled", "kerchief", "kerosene", "kestrels",
+  "keyholes", "keynoted", "keynotes", "keypunch", "keystone", "keywords", "kibitzed", "kibitzer", "kibitzes", "kickback",
+  "kickiest", "kickoffs", "kielbasa", "killdeer", "killings", "killjoys", "kilobyte", "kilogram", "kilotons", "kilowatt",
+  "kindlier", "kindling", "kindness", "kinfolks", "kingdoms", "kinglier", "kingpins", "kingship", "kinkiest", "kippered",
+  "kitchens", "klutzier", "knapsack", "kneaders", "kneading", "kneecaps", "kneeling", "knelling", "knickers", "knighted",
+  "knightly", "knitters", "knitting", "knitwear", "knobbier", "knockers", "knockout", "knothole", "knottier", "knotting",
+  "knowable", "knowings", "knuckled", "knuckles", "kohlrabi", "kookiest", "koshered", "kowtowed", "kumquats", "laborers",
+  "laboring", "laburnum", "lacerate", "lacquers", "lacrosse", "lactated", "lactates", "laddered", "ladybird", "ladybugs",
+  "ladylike", "ladyship", "laggards", "lamasery", "lambaste", "lambkins", "lambskin", "lameness", "lamented", "laminate",
+  "lampoons", "lamppost", "lampreys", "landfall", "landfill", "landings", "landlady", "landline", "landlord", "landmark",
+  "landmass", "landslid", "landward", "languish", "languors", "lankiest", "lanterns", "lanyards", "lapidary", "lapwings",
+  "larboard", "larkspur", "larynges", "lasagnas", "lassoing", "latching", "lateness", "laterals", "lathered", "latitude",
+  "latrines", "latterly", "latticed", "lattices", "laudable", "laudably", "laudanum", "laughing", "laughter", "launched",
+  "launcher", "launches", "launders", "laureate", "lavatory", "lavender", "lavished", "lavisher", "lavishes", "lavishly",
+  "lawfully", "lawgiver", "lawmaker", "lawsuits", "laxative", "layering", "layettes", "layovers", "laywoman", "laywomen",
+  "laziness", "leaching", "leafiest", "leafless", "leaflets", "leaguing", "leakages", "leakiest", "leanings", "leanness",
+  "leapfrog", "learners", "leashing", "leathers", "leathery", "leavened", "leavings", "lecithin", "lecterns", "lectured",
+  "lecturer", "lectures", "leeching", "leeriest", "leewards", "leftists", "leftmost", "leftover", "legacies", "legalese",
+  "legalism", "legality", "legalize", "legatees", "legation", "leggiest", "leggings", "legrooms", "lemmings", "lemonade",
+  "lengthen", "leniency", "leopards", "leotards", "lesbians", "lessened", "letdowns", "lethally", "lethargy", "lettered",
+  "lettuces", "leukemia", "levelers", "leveling", "leverage", "levering", "levitate", "lewdness", "lexicons", "liaising",
+  "liaisons", "libation", "libelers", "libeling", "libelous", "liberals", "liberate", "libretto", "licensed", "licensee",
+  "licenses", "lickings", "licorice", "lifeboat", "lifeless", "lifelike", "lifeline", "lifelong", "lifespan", "lifework",
+  "liftoffs", "ligament", "ligature", "lightens", "lighters", "lightest", "lighting", "likelier", "likeness", "likening",
+  "limbered", "limbless", "limeades", "limerick", "limpidly", "limpness", "linchpin", "lineages", "lineally", "linearly",
+  "linefeed", "linesman", "linesmen", "lingered", "lingerer", "lingerie", "linguist", "liniment", "linkages", "linoleum",
+  "lionized", "lionizes", "lipreads", "lipstick", "liqueurs", "liquored", "listened", "listener", "listings", "listless",
+  "litanies", "literacy", "literals", "literary", "literate", "literati", "litigant", "litigate", "littered", "littlest",
+  "littoral", "livelier", "livelong", "livening", "liveried", "liveries", "loadable", "loamiest", "loanword", "loathing",
+  "lobbying", "lobbyist", "lobotomy", "lobsters", "locality", "localize", "locating", "locavore", "lockable", "lockouts",
+  "lockstep", "locoweed", "locution", "lodestar", "lodgings", "loftiest", "logbooks", "logician", "logistic", "logotype",
+  "loitered", "loiterer", "lollipop", "lollygag", "lonelier", "lonesome", "longboat", "longhair", "longhand", "longhorn",
+  "longings", "longtime", "lookouts", "looniest", "loophole", "loopiest", "loosened", "lopsided", "lordlier", "lordship",
+  "loudness", "lounging", "lousiest", "louvered", "lovebird", "loveless", "lovelier", "lovelies", "lovelorn", "lovesick",
+  "lovingly", "lowbrows", "lowering", "lowlands", "lowliest", "loyalest", "loyalist", "lozenges", "lucidity", "luckiest",
+  "luckless", "lukewarm", "lumbered", "luminary", "luminous", "lummoxes", "lumpiest", "lunacies", "lunatics", "lunchbox",
+  "luncheon", "lunching", "lurching", "luscious", "lushness", "lustiest", "lustrous", "luxuries", "lymphoma", "lynching",
+  "lyricist", "macaroni", "macaroon", "macerate", "machetes", "machined", "machines", "machismo", "mackerel", "mackinaw",
+  "maddened", "madhouse", "madrasah", "madrasas", "madrases", "madrassa", "madrigal", "madwoman", "madwomen", "maestros",
+  "magazine", "magician", "magnates", "magnesia", "magnetos", "magnolia", "maharani", "mahatmas", "mahogany", "maidenly",
+  "mailings", "mainland", "mainline", "mainmast", "mainsail", "mainstay", "majestic", "majoring", "maladies", "malarial",
+  "malarkey", "maleness", "maligned", "malinger", "mallards", "maltreat", "mamboing", "mammoths", "manacled", "manacles",
+  "managers", "manatees", "mandarin", "mandated", "mandates", "mandible", "mandolin", "mandrake", "mandrill", "maneuver",
+  "manfully", "mangiest", "mangling", "mangrove", "manholes", "manhunts", "maniacal", "manicure", "manifest", "manifold",
+  "manikins", "manliest", "mannered", "mannerly", "manorial", "manpower", "mansards", "mansions", "mantilla", "mantises",
+  "mantissa", "mantling", "manually", "manumits", "manuring", "mappings", "marabous", "marathon", "marauded", "marauder",
+  "marbling", "marchers", "marching", "marginal", "mariachi", "marigold", "marimbas", "marinade", "marinate", "mariners",
+  "maritime", "marjoram", "markdown", "markedly", "marketed", "marketer", "markings", "marksman", "marksmen", "marmoset",
+  "marooned", "marquees", "marquess", "marquise", "marrieds", "marrying", "marshals", "marshier", "martinet", "martinis",
+  "martyred", "marveled", "marzipan", "mascaras", "massacre", "massaged", "massages", "masseurs", "masseuse", "mastered",
+  "masterly", "masthead", "mastiffs", "mastodon", "mastoids", "matadors", "matchbox", "matching", "maternal", "matrices",
+  "matronly", "mattered", "mattocks", "mattress", "maturely", "maturest", "maturing", "maturity", "maunders", "maverick",
+  "maxillae", "maximize", "maximums", "mayflies", "maypoles", "mazurkas", "meagerly", "mealiest", "mealtime", "meanders",
+  "meanings", "meanness", "meantime", "measlier", "measures", "meatball", "meatiest", "meatloaf", "medalist", "meddlers",
+  "meddling", "mediated", "mediates", "mediator", "medicals", "medicate", "medicine", "medieval", "mediocre", "meditate",
+  "medullas", "meekness", "meetings", "megabyte", "megalith", "megatons", "melanges", "melanoma", "mellowed", "mellower",
+  "melodies", "meltdown", "membrane", "mementos", "memorial", "memories", "memorize", "menacing", "menhaden", "menially",
+  "menorahs", "menswear", "mentally", "mentions", "mentored", "merchant", "merciful", "mercuric", "meridian", "meringue",
+  "meriting", "mermaids", "merriest", "mesdames", "mesquite", "messages", "messiahs", "messiest", "mestizos", "metallic",
+  "metaphor", "meteoric", "metering", "methanol", "methinks", "metrical", "microbes", "middling", "midlands", "midpoint",
+  "midriffs", "midterms", "midweeks", "midwifed", "midwifes", "midwives", "midyears", "mightier", "mightily", "migraine",
+  "migrants", "migrated", "migrates", "mildewed", "mildness", "mileages", "milepost", "militant", "militate", "militias",
+  "milkiest", "milkmaid", "milksops", "milkweed", "milliner", "millions", "millrace", "mimicked", "minarets", "minatory",
+  "mindless", "minerals", "mingling", "minibike", "minicams", "minimize", "minimums", "minister", "ministry", "minivans",
+  "minoring", "minstrel", "mintiest", "minuends", "minutely", "minutest", "minutiae", "minuting", "miracles", "mirrored",
+  "mirthful", "misapply", "miscalls", "miscarry", "miscasts", "mischief", "miscount", "miscuing", "misdeals", "misdealt",
+  "misdeeds", "misdoing", "miseries", "misfired", "misfires", "misguide", "mishmash", "misjudge", "misleads", "mismatch",
+  "misnomer", "misogyny", "misplace", "misplays", "misprint", "misquote", "misreads", "misruled", "misrules", "missiles",
+  "missions", "missives", "misspell", "misspend", "misspent", "misstate", "missteps", "mistakes", "mistiest", "mistimed",
+  "mistimes", "mistreat", "mistress", "mistrial", "mistrust", "mistypes", "misusing", "mitering", "mitigate", "mixtures",
+  "mnemonic", "mobility", "mobilize", "mobsters", "moccasin", "modeling", "moderate", "modestly", "modicums", "modifier",
+  "modifies", "modishly", "modulate", "moieties", "moistens", "moistest", "moisture", "molasses", "moldered", "moldiest",
+  "moldings", "molecule", "molehill", "moleskin", "molested", "molester", "mollusks", "momentum", "monarchs", "monarchy",
+  "monastic", "monaural", "monetary", "monetize", "moneybag", "mongered", "mongoose", "mongrels", "monikers", "monitors",
+  "monkeyed", "monocles", "monogamy", "monogram", "monolith", "monopoly", "monorail", "monotone", "monotony", "monoxide",
+  "monsieur", "monsoons", "monsters", "montages", "monument", "moochers", "mooching", "moodiest", "moonbeam", "moonshot",
+  "moorings", "moorland", "moraines", "moralist", "morality", "moralize", "morasses", "morbidly", "mordants", "moreover",
+  "moribund", "mornings", "morosely", "morpheme", "morphine", "mortally", "mortared", "mortgage", "mortised", "mortises",
+  "mortuary", "moseying", "mosquito", "mossiest", "mothball", "mothered", "motherly", "motility", "motioned", "motivate",
+  "motliest", "motorcar", "motoring", "motorist", "motorize", "motorman", "motormen", "motorway", "mottling", "mounding",
+  "mountain", "mounting", "mourners", "mournful", "mourning", "mousiest", "moussing", "mouthful", "mouthing", "movables",
+  "movingly", "mucilage", "muckiest", "muckrake", "muddiest", "muddling", "muddying", "mudguard", "mudslide", "muezzins",
+  "mufflers", "muffling", "muggiest", "muggings", "mulberry", "mulching", "muleteer", "mulishly", "mullions", "multiply",
+  "mumblers", "mumbling", "munchies", "munching", "munition", "muralist", "murdered", "murderer", "murkiest", "murmured",
+  "muscatel", "muscling", "muscular", "mushiest", "mushroom", "musicale", "musicals", "musician", "musketry", "muskiest",
+  "muskrats", "mussiest", "mustache", "mustangs", "mustered", "mustiest", "mutating", "mutation", "muteness", "mutilate",
+  "mutineer", "mutinied", "mutinies", "mutinous", "muttered", "mutually", "muzzling", "mystical", "mystique", "mythical",
+  "nameless", "namesake", "napalmed", "nappiest", "narcosis", "narcotic", "narrated", "narrates", "narrator", "narrowed",
+  "narrower", "narrowly", "narwhals", "nasalize", "nastiest", "nativity", "nattiest", "naturals", "nauseate", "nauseous",
+  "nautical", "nautilus", "navigate", "naysayer", "nearness", "neatness", "nebulous", "necklace", "neckline", "neckties",
+  "necrosis", "neediest", "needless", "needling", "negating", "negation", "neglects", "negligee", "neighbor", "neighing",
+  "nematode", "neonatal", "neonates", "neophyte", "neoprene", "nepotism", "nerdiest", "nerviest", "nestling", "netbooks",
+  "nettling", "networks", "neuritis", "neuroses", "neurosis", "neurotic", "neutered", "neutrals", "neutrino", "neutrons",
+  "newborns", "newcomer", "newlywed", "newsboys", "newscast", "newsiest", "newsreel", "nibblers", "nibbling", "niceness",
+  "niceties", "nickname", "nicotine", "niftiest", "niggards", "niggling", "nightcap", "nighties", "nihilism", "nihilist",
+  "nimblest", "ninepins", "nineteen", "nineties", "nippiest", "nitpicks", "nitrated", "nitrates", "nitrogen", "nobility",
+  "nobleman", "noblemen", "nobodies", "nocturne", "noisiest", "nominate", "nominees", "nondairy", "nonempty", "nonesuch",
+  "nonevent", "nonfatal", "nonhuman", "nonrigid", "nonstick", "nontoxic", "nonunion", "nonusers", "nonwhite", "noodling",
+  "noontime", "normalcy", "northern", "nosedive", "nosegays", "nosiness", "nostrils", "nostrums", "notables", "notaries",
+  "notarize", "notation", "notching", "notebook", "nothings", "notified", "notifies", "notional", "novelist", "novellas",
+  "nowadays", "nuisance", "numbered", "numbness", "numeracy", "numerals", "numerate", "numerous", "numskull", "nuptials",
+  "nurtured", "nurtures", "nuthatch", "nutmeats", "nutrient", "nutshell", "nuttiest", "nuzzling", "oarlocks", "obduracy",
+  "obdurate", "obedient", "obeisant", "obelisks", "obituary", "objector", "oblation", "obligate", "obliging", "obliques",
+  "oblivion", "obscener", "obscured", "obscurer", "obscures", "observer", "observes", "obsessed", "obsesses", "obsidian",
+  "obsolete", "obstacle", "obstruct", "obtruded", "obtrudes", "obtusely", "obtusest", "obverses", "obviated", "obviates",
+  "ocarinas", "occluded", "occludes", "occupant", "occupies", "octagons", "oculists", "oddballs", "oddities", "odiously",
+  "odometer", "odorless", "odysseys", "offbeats", "offended", "offender", "offenses", "officers", "offloads", "offshoot",
+  "offshore", "offstage", "oftenest", "oilcloth", "oilfield", "oiliness", "ointment", "oleander", "oligarch", "omission",
+  "omnivore", "oncology", "oncoming", "onlooker", "onrushes", "opaquely", "opaquest", "opaquing", "openings", "openness",
+  "openwork", "operable", "operands", "operates", "operatic", "operetta", "opinions", "opossums", "opponent", "optician",
+  "optimism", "optimist", "optimize", "optimums", "optioned", "opulence", "oracular", "orations", "oratorio", "orbitals",
+  "orbiting", "orchards", "ordained", "ordinals", "ordnance", "organics", "organism", "organist", "orgasmic", "oriental",
+  "oriented", "orifices", "ornament", "ornately", "ornerier", "orphaned", "orthodox", "ossified", "ossifies", "ottomans",
+  "outbacks", "outbound", "outbreak", "outburst", "outcasts", "outclass", "outcomes", "outcries", "outcrops", "outdated",
+  "outdoing", "outdoors", "outfield", "outflank", "outfoxed", "outfoxes", "outgoing", "outgrown", "outgrows", "outhouse",
+  "outlasts", "outlawed", "outlined", "outlines", "outlived", "outlives", "outlooks", "outlying", "outmoded", "outplays",
+  "outposts", "outraged", "outrages", "outranks", "outreach", "outrider", "outright", "outsells", "outshine", "outshone",
+  "outsider", "outsides", "outsizes", "outskirt", "outsmart", "outstays", "outstrip", "outtakes", "outvoted", "outvotes",
+  "outwards", "outwears", "outweigh", "ovations", "overacts", "overages", "overalls", "overawed", "overawes", "overbear",
+  "overbite", "overbook", "overbore", "overcame", "overcast", "overcoat", "overcome", "overcook", "overdoes", "overdone",
+  "overdose", "overdraw", "overdrew", "overeats", "overflow", "overfull", "overgrew", "overgrow", "overhand", "overhang",
+  "overhaul", "overhead", "overhear", "overheat", "overhung", "overjoys", "overkill", "overlaid", "overlain", "overland",
+  "overlaps", "overlays", "overlies", "overload", "overlong", "overlook", "overlord", "overmuch", "overpaid", "overpass",
+  "overpays", "overplay", "overrate", "override", "overripe", "overrode", "overrule", "overruns", "overseas", "overseen",
+  "overseer", "oversees", "oversell", "overshoe", "overshot", "oversize", "oversold", "overstay", "overstep", "overtake",
+  "overtime", "overtone", "overtook", "overture", "overturn", "overused", "overuses", "overview", "overwork", "oviducts",
+  "ovulated", "ovulates", "oxidized", "oxidizer", "oxidizes", "oxymoron", "pacified", "pacifier", "pacifies", "pacifism",
+  "pacifist", "packaged", "packages", "paddling", "paddocks", "padlocks", "paganism", "pageants", "paginate", "pailfuls",
+  "painless", "painters", "painting", "pairwise", "paisleys", "palatals", "palatial", "palavers", "paleface", "paleness",
+  "palettes", "palimony", "palisade", "palliate", "palmetto", "palmiest", "palmists", "palomino", "palpable", "palpably",
+  "palpated", "palpates", "palsying", "paltrier", "pampered", "pamphlet", "panaceas", "pancaked", "pancakes", "pancreas",
+  "pandemic", "pandered", "panderer", "paneling", "panelist", "panicked", "panniers", "panorama", "pantheon", "panthers",
+  "pantries", "pantsuit", "papacies", "paperboy", "papering", "papillae", "papooses", "parables", "parabola", "paradigm",
+  "parading", "paradise", "paraffin", "paragons", "parakeet", "parallax", "paralyze", "paramour", "paranoia", "paranoid",
+  "parapets", "parasite", "parasols", "parboils", "parceled", "parching", "pardoned", "parental", "parented", "parfaits",
+  "parishes", "parkways", "parlance", "parlayed", "parleyed", "parodied", "parodies", "parolees", "paroling", "paroxysm",
+  "parquets", "parroted", "parrying", "parsnips", "partaken", "partaker", "partakes", "parterre", "partials", "particle",
+  "partings", "partisan", "partners", "partying", "parvenus", "passable", "passably", "passages", "passbook", "passerby",
+  "passions", "passives", "passkeys", "passport", "password", "pasterns", "pastiche", "pastiest", "pastimes", "pastoral",
+  "pastrami", "pastries", "pastured", "pastures", "patchier", "patching", "patellae", "patellas", "patented", "patently",
+  "paternal", "pathetic", "pathogen", "pathways", "patience", "patients", "patriots", "pattered", "patterns", "paunches",
+  "pavement", "pavilion", "pawnshop", "paycheck", "payloads", "payments", "payrolls", "paywalls", "peaceful", "peacocks",
+  "peafowls", "pearlier", "pearling", "peasants", "pebbling", "pectoral", "pedagogy", "pedaling", "pedantic", "pedantry",
+  "peddlers", "peddling", "pederast", "pedestal", "pedicure", "pedigree", "pediment", "peekaboo", "peelings", "peephole",
+  "peerages", "peerless", "pelicans", "pellagra", "pelleted", "pellucid", "pelvises", "penalize", "penances", "penchant",
+  "penciled", "pendants", "pendents", "pendulum", "penguins", "penitent", "penknife", "penlight", "pennants", "penology",
+  "pensions", "pentagon", "peopling", "peppered", "peppiest", "percales", "perceive", "percents", "perching", "perfects",
+  "perforce", "performs", "perfumed", "perfumes", "perigees", "periling", "perilous", "periodic", "perished", "perishes",
+  "periwigs", "perjured", "perjurer", "perjures", "perkiest", "permeate", "permuted", "permutes", "peroxide", "persists",
+  "personae", "perspire", "pertains", "pertness", "perturbs", "perusals", "perusing", "pervaded", "pervades", "perverse",
+  "perverts", "peskiest", "pestered", "pestling", "petering", "petioles", "petition", "pettiest", "pettifog", "petulant",
+  "petunias", "phantasm", "phantoms", "pharaohs", "pharmacy", "pheasant", "philters", "phishers", "phishing", "phonemes",
+  "phonemic", "phonetic", "phoneyed", "phoniest", "phonying", "phosphor", "photoing", "phrasing", "physique", "pianists",
+  "picayune", "piccolos", "pickaxed", "pickaxes", "pickerel", "picketed", "pickiest", "pickings", "pickling", "pictured",
+  "pictures", "piddling", "piebalds", "piercing", "piggiest", "pigments", "pigskins", "pigsties", "pigtails", "pilaster",
+  "pilchard", "pilfered", "pilferer", "pilgrims", "pillaged", "pillages", "pillions", "pillowed", "piloting", "pimentos",
+  "pimiento", "pimplier", "pinafore", "pinching", "pinheads", "pinholes", "pinioned", "pinnacle", "pinochle", "pinpoint",
+  "pinprick", "pinwheel", "pioneers", "pipeline", "piquancy", "piranhas", "pirating", "pitchers", "pitching", "pitchman",
+  "pitchmen", "pitfalls", "pithiest", "pitiable", "pitiably", "pitiless", "pittance", "pivoting", "pizzeria", "placards",
+  "placated", "placates", "placebos", "placenta", "placidly", "plackets", "plaguing", "plainest", "plaiting", "plangent",
+  "planking", "plankton", "planners", "plantain", "planters", "planting", "plasters", "plastics", "plateaus", "plateful",
+  "platelet", "platform", "platinum", "platonic", "platoons", "platters", "platypus", "plaudits", "playable", "playacts",
+  "playback", "playbill", "playboys", "playgoer", "playlist", "playmate", "playoffs", "playpens", "playroom", "pleaders",
+  "pleading", "pleasure", "pleating", "plebeian", "plectrum", "pledging", "plethora", "pleurisy", "plexuses", "plighted",
+  "plodders", "plodding", "plopping", "plotters", "plotting", "pluckier", "plucking", "plugging", "plumbers", "plumbing",
+  "plummets", "plumpest", "plumping", "plunders", "plungers", "plunging", "plunking", "plushest", "plushier", "poachers",
+  "poaching", "pocketed", "pockmark", "podcasts", "podiatry", "poetical", "poignant", "pointers", "pointier", "poisoned",
+  "poisoner", "polarity", "polarize", "polecats", "polemics", "polestar", "policies", "policing", "polished", "polisher",
+  "polishes", "politely", "politest", "politico", "politics", "polities", "polkaing", "polliwog", "pollster", "polluted",
+  "polluter", "pollutes", "polonium", "poltroon", "polygamy", "polyglot", "polygons", "polymath", "polymers", "pomading",
+  "pommeled", "pondered", "poniards", "pontiffs", "pontoons", "ponytail", "pooching", "popinjay", "popovers", "populace",
+  "populate", "populism", "populist", "populous", "porosity", "porphyry", "porpoise", "porridge", "portable", "portaged",
+  "portages", "portends", "portents", "porthole", "portions", "portlier", "portrait", "portrays", "positing", "positron",
+  "postcard", "postcode", "postdate", "postlude", "postmark", "postpaid", "postpone", "postured", "postures", "potables",
+  "potatoes", "potbelly", "potholes", "pothooks", "potlucks", "potsherd", "potshots", "pottered", "pottiest", "pouching",
+  "poultice", "pouncing", "pounding", "powdered", "powering", "powwowed", "prairies", "praising", "pralines", "prancers",
+  "prancing", "pratfall", "prattled", "prattles", "prawning", "preached", "preacher", "preaches", "preamble", "preceded",
+  "precedes", "precepts", "precinct", "precious", "preciser", "precises", "preclude", "predated", "predates", "predator",
+  "predicts", "preempts", "preening", "preexist", "prefaced", "prefaces", "prefects", "prefixed", "prefixes", "pregnant",
+  "preheats", "prejudge", "prelates", "preludes", "premiere", "premiers", "premised", "premises", "premiums", "prenatal",
+  "prepares", "preppier", "preppies", "prepping", "prequels", "presaged", "presages", "presents", "presided", "presides",
+  "pressman", "pressmen", "prestige", "presumed", "presumes", "preteens", "pretends", "pretense", "preterit", "pretexts",
+  "prettied", "prettier", "pretties", "prettify", "prettily", "pretzels", "prevails", "prevents", "previews", "previous",
+  "priciest", "pricking", "prickled", "prickles", "priestly", "priggish", "primates", "primeval", "primmest", "primness",
+  "primping", "primrose", "princely", "princess", "printers", "prioress", "priories", "priority", "prisoner", "prissier",
+  "pristine", "privater", "privates", "priviest", "probable", "probated", "probates", "problems", "proceeds", "proclaim",
+  "proctors", "procured", "procurer", "procures", "prodding", "prodigal", "producer", "produces", "products", "profaned",
+  "profanes", "proffers", "profiled", "profiles", "profited", "proforma", "profound", "programs", "progress", "prohibit",
+  "projects", "prolific", "prologue", "prolongs", "promises", "promoted", "promoter", "promotes", "prompted", "prompter",
+  "pronouns", "proofing", "properer", "prophecy", "prophesy", "prophets", "proposer", "proposes", "propound", "propping",
+  "prorated", "prorates", "prosiest", "prospers", "prostate", "protects", "proteins", "protests", "protocol", "protozoa",
+  "protract", "protrude", "proudest", "provable", "provably", "proverbs", "provider", "provides", "province", "provisos",
+  "provoked", "provokes", "provosts", "prowlers", "prowling", "prudence", "prurient", "psalmist", "psychics", "psyching",
+  "ptomaine", "publican", "puckered", "puddings", "puddling", "pudgiest", "puffball", "puffiest", "pugilism", "pugilist",
+  "pullback", "pullouts", "pullover", "pulpiest", "pulsated", "pulsates", "pummeled", "pumpkins", "punchier", "punching",
+  "punctual", "pungency", "punished", "punishes", "punitive", "punsters", "puppetry", "purblind", "purebred", "pureeing",
+  "pureness", "purified", "purifier", "purifies", "puritans", "purloins", "purplest", "purplish", "purports", "purposed",
+  "purposes", "pursuant", "pursuers", "pursuing", "pursuits", "purulent", "purveyed", "purveyor", "pushcart", "pushiest",
+  "pushover", "pussiest", "pussycat", "pustules", "putative", "putsches", "puttered", "puttying", "puzzlers", "puzzling",
+  "pyorrhea", "pyramids", "quackery", "quacking", "quadrant", "quaffing", "quagmire", "quailing", "quainter", "quaintly",
+  "quandary", "quantify", "quarrels", "quarried", "quarries", "quarters", "quartets", "quashing", "quatrain", "quavered",
+  "queasier", "queasily", "queening", "queerest", "queering", "quelling", "quenched", "quenches", "querying", "questing",
+  "quibbled", "quibbler", "quibbles", "quickens", "quickies", "quietest", "quieting", "quietude", "quilters", "quilting",
+  "quintets", "quipping", "quirkier", "quirking", "quisling", "quitters", "quivered", "quixotic", "quizzing", "quoiting",
+  "quotable", "quotient", "rabbited", "raceways", "racially", "raciness", "racketed", "radially", "radiance", "radiated",
+  "radiates", "radiator", "radicals", "radioing", "radishes", "raffling", "raggeder", "raggedly", "railings", "raillery",
+  "railroad", "railways", "rainbows", "raincoat", "raindrop", "rainfall", "rainiest", "rakishly", "rallying", "ramblers",
+  "rambling", "ramified", "ramifies", "rampaged", "rampages", "ramparts", "ranchers", "ranching", "randiest", "rangiest",
+  "rankings", "rankling", "rankness", "ransacks", "ransomed", "rapacity", "rapidest", "rapidity", "rapports", "raptures",
+  "rarefied", "rarefies", "rareness", "rarities", "rascally", "rashness", "raspiest", "ratchets", "ratified", "ratifies",
+  "rational", "rationed", "rattiest", "rattlers", "rattling", "rattraps", "ravaging", "raveling", "ravening", "ravenous",
+  "raviolis", "ravished", "ravishes", "rawboned", "reacting", "reactive", "reactors", "readiest", "readings", "readjust",
+  "readmits", "readouts", "readying", "reaffirm", "reagents", "realists", "realizes", "reappear", "rearming", "rearmost",
+  "rearward", "reasoned", "reassert", "reassess", "reassign", "reassure", "reawaken", "rebating", "rebelled", "rebirths",
+  "rebounds", "rebuffed", "rebuilds", "rebuking", "rebuttal", "rebutted", "recalled", "recanted", "recapped", "receding",
+  "receipts", "receiver", "receives", "recenter", "receptor", "recessed", "recesses", "recharge", "rechecks", "recitals",
+  "reciting", "reckless", "reckoned", "reclaims", "reclined", "recliner", "reclines", "recluses", "recoiled", "recopied",
+  "recopies", "recorder", "recounts", "recouped", "recourse", "recovers", "recovery", "recreant", "recreate", "recruits",
+  "recurred", "recycled", "recycles", "redcoats", "reddened", "redeemed", "redeemer", "redefine", "redeploy", "redesign",
+  "redheads", "redirect", "rednecks", "redolent", "redouble", "redoubts", "redounds", "redrafts", "redskins", "redwoods",
+  "reediest", "reelects", "reemerge", "reenacts", "reenlist", "reenters", "refereed", "referees", "referent", "referral",
+  "refiling", "refilled", "refiners", "refinery", "refining", "refinish", "refitted", "reflects", "reflexes", "reforest",
+  "reformat", "reformed", "reformer", "refracts", "refrains", "refueled", "refugees", "refunded", "refusals", "refuting",
+  "regained", "regaling", "regattas", "regicide", "regimens", "regiment", "regional", "registry", "regroups", "regulars",
+  "regulate", "rehabbed", "rehashed", "rehashes", "rehearse", "reheated", "rehiring", "reigning", "reimpose", "reindeer",
+  "reinsert", "reinvent", "reinvest", "reissued", "reissues", "rejoiced", "rejoices", "rejoined", "rekindle", "relabels",
+  "relapsed", "relapses", "relaxant", "relaxing", "relaying", "relearns", "releases", "relegate", "relented", "reliably",
+  "reliance", "relieved", "relieves", "relished", "relishes", "reliving", "reloaded", "relocate", "remaking", "remanded",
+  "remarked", "remedial", "remedied", "remedies", "reminder", "remitted", "remnants", "remodels", "remotest", "remounts",
+  "removals", "removers", "renaming", "rendered", "renegade", "reneging", "renewals", "renewing", "renounce", "renovate",
+  "renowned", "renumber", "reoccupy", "reoccurs", "reopened", "reorders", "reorging", "repaints", "repaired", "repartee",
+  "repaying", "repealed", "repeater", "repelled", "repented", "rephrase", "replaces", "replayed", "repleted", "repletes",
+  "replicas", "reporter", "reposing", "reprieve", "reprints", "reprisal", "reprises", "reprized", "reproach", "reproofs",
+  "reproved", "reproves", "reptiles", "republic", "repulsed", "repulses", "reputing", "requests", "requiems", "requires",
+  "requital", "requited", "requites", "rerouted", "reroutes", "rescinds", "rescuers", "rescuing", "resemble", "resented",
+  "reserves", "resettle", "residing", "residual", "residues", "resigned", "resinous", "resisted", "resister", "resistor",
+  "resolute", "resolved", "resolver", "resolves", "resonant", "resonate", "resorted", "resounds", "respects", "respells",
+  "respired", "respires", "respites", "responds", "restarts", "restated", "restates", "restless", "restocks", "restorer",
+  "restores", "restrain", "restroom", "resubmit", "resuming", "resupply", "retailed", "retailer", "retained", "retainer",
+  "retaking", "retarded", "retching", "rethinks", "reticent", "retinues", "retirees", "retiring", "retooled", "retorted",
+  "retraced", "retraces", "retracts", "retrains", "retreads", "retreats", "retrench", "retrials", "retrieve", "retrofit",
+  "retrying", "returnee", "retweets", "retyping", "reunions", "reunited", "reunites", "reusable", "revalued", "revalues",
+  "revamped", "reveille", "revelers", "reveling", "revenged", "revenges", "revenues", "reverend", "reverent", "reveries",
+  "revering", "reversal", "reversed", "reverses", "reverted", "reviewed", "reviewer", "revilers", "reviling", "revising",
+  "revision", "revisits", "revivals", "revivify", "reviving", "revoking", "revolted", "revolved", "revolver", "revolves",
+  "rewarded", "rewiring", "reworded", "reworked", "rewrites", "rhapsody", "rheostat", "rhetoric", "rhizomes", "rhomboid",
+  "rhubarbs", "rhythmic", "ribaldry", "richness", "rickshaw", "ricochet", "riddance", "riddling", "ridicule", "riffling",
+  "riffraff", "rifleman", "riflemen", "rightest", "rightful", "righting", "rightist", "rigidity", "rigorous", "ringlets",
+  "ringside", "ringtone", "ringworm", "ripeness", "ripening", "riposted", "ripostes", "rippling", "riskiest", "ritually",
+  "ritziest", "rivaling", "riverbed", "riveters", "riveting", "rivulets", "roadbeds", "roadkill", "roadshow", "roadside",
+  "roadster", "roadways", "roadwork", "roasters", "roasting", "robocall", "robotics", "robuster", "robustly", "rocketed",
+  "rocketry", "rockiest", "roebucks", "roentgen", "rogering", "roisters", "rollback", "rollicks", "romanced", "romances",
+  "romantic", "rooftops", "roomfuls", "roomiest", "roommate", "roosters", "roosting", "rootless", "rosaries", "rosebuds",
+  "rosebush", "rosemary", "rosettes", "rosewood", "rosiness", "rosining", "rostrums", "rotaries", "rotating", "rotation",
+  "rottener", "rotundas", "roughage", "roughens", "roughest", "roughing", "roulette", "roundest", "rounding", "roundish",
+  "roundups", "routeing", "routines", "rowboats", "rowdiest", "rowdyism", "roweling", "royalist", "rubbishy", "rubdowns",
+  "rubicund", "rucksack", "ruckuses", "ruddiest", "rudeness", "rudiment", "ruefully", "ruffians", "ruffling", "ruggeder",
+  "ruggedly", "rumbaing", "rumbling", "ruminant", "ruminate", "rummaged", "rummages", "rumoring", "rumpling", "rumpuses",
+  "runabout", "runaways", "rundowns", "runniest", "ruptured", "ruptures", "rustiest", "rustlers", "rustling", "rutabaga",
+  "ruthless", "sabotage", "saboteur", "sackfuls", "sacredly", "sacristy", "saddened", "saddling", "sadistic", "safaried",
+  "safeness", "safeties", "saffrons", "sagacity", "saguaros", "sailboat", "sailfish", "sailings", "salaamed", "salaried",
+  "salaries", "salesman", "salesmen", "salience", "salients", "salinity", "salivary", "salivate", "sallower", "sallying",
+  "saltiest", "saltines", "salutary", "saluting", "salvaged", "salvages", "sambaing", "sameness", "samovars", "samplers",
+  "sampling", "sanctify", "sanction", "sanctity", "sanctums", "sandbags", "sandbank", "sandbars", "sandhogs", "sandiest",
+  "sandlots", "sandwich", "sanguine", "sanitary", "sanitize", "sanserif", "sapience", "saplings", "sapphire", "sappiest",
+  "sarcasms", "sarcomas", "sardines", "sardonic", "sashayed", "sassiest", "satanism", "satchels", "satiated", "satiates",
+  "satirist", "satirize", "saturate", "saucepan", "sauciest", "saunaing", "saunters", "sausages", "savagely", "savagery",
+  "savagest", "savaging", "savannas", "savorier", "savories", "savoring", "savviest", "savvying", "sawhorse", "sawmills",
+  "scabbard", "scabbier", "scabbing", "scabrous", "scaffold", "scalawag", "scalding", "scaliest", "scallion", "scallops",
+  "scalpels", "scalpers", "scalping", "scammers", "scamming", "scampers", "scandals", "scanners", "scanning", "scansion",
+  "scantest", "scantier", "scanties", "scantily", "scanting", "scapulae", "scarcely", "scarcest", "scarcity", "scarfing",
+  "scariest", "scarring", "scathing", "scatters", "scatting", "scavenge", "scenario", "scenting", "scepters", "schedule",
+  "schemers", "scheming", "scherzos", "schizoid", "schmaltz", "schmooze", "schmucks", "schnapps", "scholars", "schooled",
+  "schooner", "schussed", "schusses", "sciatica", "sciences", "scimitar", "scissors", "scoffing", "scofflaw", "scolding",
+  "scooping", "scooters", "scooting", "scorched", "scorcher", "scorches", "scornful", "scorning", "scorpion", "scotched",
+  "scotches", "scourged", "scourges", "scouring", "scouting", "scowling", "scrabble", "scraggly", "scramble", "scrammed",
+  "scrapers", "scraping", "scrapped", "scratchy", "scrawled", "screamed", "screechy", "screened", "screwier", "screwing",
+  "scribble", "scrimped", "scripted", "scrofula", "scrolled", "scrooges", "scrounge", "scrubbed", "scrubber", "scrunchy",
+  "scrupled", "scruples", "scrutiny", "scubaing", "scudding", "scuffing", "scuffled", "scuffles", "scullery", "sculling",
+  "scullion", "sculpted", "sculptor", "scumbags", "scummier", "scumming", "scuppers", "scurried", "scurries", "scurvier",
+  "scuttled", "scuttles", "scuzzier", "scything", "seabirds", "seaboard", "seacoast", "seafarer", "seagoing", "sealants",
+  "sealskin", "seamiest", "seamless", "seaplane", "seaports", "searcher", "searches", "seascape", "seashell", "seashore",
+  "seasides", "seasonal", "seasoned", "seawards", "seceding", "secluded", "secludes", "seconded", "secreted", "secretes",
+  "secretly", "sections", "securely", "securest", "securing", "sedately", "sedatest", "sedating", "sedation", "sedative",
+  "sediment", "sedition", "seducers", "seducing", "sedulous", "seediest", "seedless", "seedling", "seemlier", "seesawed",
+  "seething", "segments", "segueing", "seizures", "selector", "selenium", "selfless", "selfsame", "selloffs", "sellouts",
+  "selvages", "semantic", "semester", "seminars", "seminary", "semitone", "senators", "senility", "sensuous", "sentient",
+  "sentinel", "sentries", "sequined", "sequitur", "sequoias", "seraglio", "seraphic", "serenade", "serenely", "serenest",
+  "serenity", "sergeant", "serially", "serpents", "serrated", "servants", "serviced", "services", "servings", "sessions",
+  "setbacks", "settable", "settings", "settlers", "sevenths", "severest", "severing", "severity", "sewerage", "sexiness",
+  "sextants", "sexually", "shabbier", "shabbily", "shackled", "shackles", "shadiest", "shadings", "shadowed", "shafting",
+  "shaggier", "shagging", "shakeups", "shakiest", "shallots", "shallows", "shambled", "shambles", "shameful", "shamming",
+  "shampoos", "shamrock", "shanghai", "shanties", "shantung", "sharking", "sharpens", "sharpers", "sharpest", "sharping",
+  "shatters", "shavings", "shearers", "shearing", "sheathed", "sheathes", "shebangs", "shedding", "sheepdog", "sheepish",
+  "sheerest", "sheering", "sheeting", "sheikdom", "shellacs", "shelling", "shelters", "shelving", "shepherd", "sherbets",
+  "sheriffs", "sherries", "shielded", "shiftier", "shiftily", "shifting", "shiitake", "shilling", "shimmers", "shimmery",
+  "shimmied", "shimmies", "shimming", "shinbone", "shindigs", "shingled", "shingles", "shiniest", "shinnied", "shinnies",
+  "shinning", "shipload", "shipmate", "shipment", "shippers", "shipping", "shipyard", "shirkers", "shirking", "shirring",
+  "shirting", "shittier", "shitting", "shivered", "shoaling", "shockers", "shocking", "shoddier", "shoddily", "shoehorn",
+  "shoelace", "shooters", "shooting", "shootout", "shoplift", "shoppers", "shoptalk", "shopworn", "shortcut", "shortens",
+  "shorting", "shortish", "shotguns", "shoulder", "shouting", "shoveled", "showboat", "showcase", "showdown", "showered",
+  "showgirl", "showiest", "showings", "showoffs", "showroom", "shrapnel", "shredded", "shredder", "shrewder", "shrewdly",
+  "shrewish", "shrieked", "shrilled", "shriller", "shrimped", "shrivels", "shriving", "shrouded", "shrugged", "shrunken",
+  "shucking", "shuckses", "shudders", "shuffled", "shuffler", "shuffles", "shunning", "shunting", "shushing", "shutdown",
+  "shutouts", "shutters", "shuttled", "shuttles", "shysters", "sibilant", "siblings", "sickbeds", "sickened", "sicklier",
+  "sickness", "sidearms", "sidebars", "sidecars", "sidekick", "sideline", "sidelong", "sidereal", "sideshow", "sidestep",
+  "sidewalk", "sidewall", "sideways", "sighting", "signaled", "signally", "signings", "signpost", "silenced", "silencer",
+  "silences", "silenter", "silently", "silicate", "silicone", "silkiest", "silkworm", "silliest", "silvered", "simmered",
+  "simpered", "simplify", "simulate", "sincerer", "sinecure", "sinfully", "singeing", "singling", "singsong", "singular",
+  "sinister", "sinkable", "sinkhole", "siphoned", "sirloins", "siroccos", "sissiest", "sisterly", "sittings", "situated",
+  "situates", "sixpence", "sixteens", "sixtieth", "sizzling", "skeletal", "skeleton", "skeptics", "sketched", "sketches",
+  "skewered", "skidding", "skillets", "skillful", "skimming", "skimpier", "skimping", "skinhead", "skinless", "skinnier",
+  "skinning", "skippers", "skipping", "skirmish", "skirting", "skitters", "skittish", "skivvied", "skivvies", "skulking",
+  "skullcap", "skunking", "skydived", "skydiver", "skydives", "skyjacks", "skylarks", "skylight", "skylines", "skywards",
+  "slabbing", "slackens", "slackers", "slackest", "slacking", "slalomed", "slammers", "slamming", "slanders", "slangier",
+  "slanting", "slapdash", "slapping", "slashing", "slathers", "slattern", "slavered", "slayings", "sleazier", "sleazily",
+  "sledding", "sledging", "sleekest", "sleeking", "sleepers", "sleepier", "sleepily", "sleeping", "sleeting", "sleighed",
+  "slickers", "slickest", "slicking", "slighted", "slighter", "slimiest", "slimmest", "slimming", "slimness", "slinging",
+  "slinkier", "slinking", "slipknot", "slippage", "slippers", "slippery", "slipping", "slipshod", "slithers", "slithery",
+  "slitting", "slivered", "slobbers", "slogging", "sloppier", "sloppily", "slopping", "sloshing", "slothful", "slotting",
+  "slouched", "slouches", "sloughed", "slovenly", "slowdown", "slowness", "slowpoke", "sluggard", "sluggers", "slugging",
+  "sluggish", "sluicing", "slumbers", "slumdogs", "slumlord", "slumming", "slumping", "slurping", "slurring", "slushier",
+  "sluttish", "smackers", "smacking", "smallish", "smallpox", "smarmier", "smartens", "smartest", "smarting", "smashing",
+  "smearing", "smellier", "smelling", "smelters", "smelting", "smidgens", "smirched", "smirches", "smirking", "smithies",
+  "smocking", "smoggier", "smokiest", "smolders", "smooched", "smooches", "smoothed", "smoother", "smoothie", "smoothly",
+  "smothers", "smudgier", "smudging", "smuggest", "smuggled", "smuggler", "smuggles", "smugness", "smuttier", "snacking",
+  "snaffled", "snaffles", "snagging", "snailing", "snakiest", "snappers", "snappier", "snapping", "snappish", "snapshot",
+  "snarkier", "snarling", "snatched", "snatches", "snazzier", "sneakers", "sneakier", "sneaking", "sneering", "sneezing",
+  "snickers", "sniffing", "sniffled", "sniffles", "snifters", "snippets", "snippier", "snipping", "snitched", "snitches",
+  "sniveled", "snobbery", "snobbier", "snobbish", "snoopers", "snoopier", "snooping", "snootier", "snoozing", "snorkels",
+  "snorting", "snottier", "snowball", "snowdrop", "snowfall", "snowiest", "snowplow", "snowshed", "snowshoe", "snowsuit",
+  "snubbing", "snuffbox", "snuffers", "snuffing", "snuffled", "snuffles", "snuggest", "snugging", "snuggled", "snuggles",
+  "soakings", "soapiest", "soapsuds", "soberest", "sobering", "sobriety", "sociable", "sociably", "socially", "societal",
+  "sodomite", "softball", "softened", "softener", "softness", "softwood", "soggiest", "sojourns", "solacing", "solarium",
+  "soldered", "soldiers", "solecism", "solemner", "solemnly", "solenoid", "solicits", "solidest", "solidify", "solidity",
+  "solitary", "solitude", "soloists", "solstice", "solubles", "solvable", "solvency", "solvents", "somberly", "sombrero",
+  "someones", "songbird", "songster", "sonority", "sonorous", "soothing", "sootiest", "sophists", "soppiest", "sopranos",
+  "sorcerer", "sordidly", "sorehead", "soreness", "sorority", "sorriest", "sorrowed", "soughing", "soulless", "soulmate",
+  "soundest", "soupiest", "sourcing", "sourness", "sourpuss", "southpaw", "souvenir", "soybeans", "spaceman", "spacemen",
+  "spaciest", "spacious", "spadeful", "spammers", "spamming", "spangled", "spangles", "spaniels", "spanking", "spanners",
+  "spanning", "sparking", "sparkled", "sparkler", "sparkles", "sparring", "sparrows", "sparsely", "sparsest", "sparsity",
+  "spastics", "spatters", "spatting", "spatulas", "spawning", "speakers", "spearing", "specials", "specimen", "specious",
+  "specking", "speckled", "speckles", "specters", "spectral", "spectrum", "speeches", "speeders", "speedier", "speedily",
+  "speeding", "speedups", "speedway", "spellers", "spenders", "spheroid", "sphinxes", "spiciest", "spieling", "spiffier",
+  "spikiest", "spillage", "spilling", "spillway", "spindled", "spindles", "spiniest", "spinners", "spinning", "spinster",
+  "spiraled", "spirally", "spirited", "spitball", "spiteful", "spitfire", "spitting", "spittoon", "splashed", "splashes",
+  "splatted", "splatter", "splaying", "splendid", "splendor", "splicers", "splicing", "splinted", "splinter", "splotchy",
+  "splurged", "splurges", "splutter", "spoilage", "spoilers", "spoiling", "spongers", "spongier", "sponging", "sponsors",
+  "spoofing", "spookier", "spooking", "spooling", "spoonful", "spooning", "spooring", "sporadic", "sportier", "sporting",
+  "sportive", "spotless", "spotters", "spottier", "spouting", "sprained", "sprawled", "sprayers", "spraying", "spreader",
+  "spreeing", "sprinkle", "sprinted", "sprinter", "spritzed", "spritzes", "sprocket", "sprouted", "sprucest", "sprucing",
+  "spryness", "spunkier", "spurious", "spurning", "spurring", "spurting", "sputters", "spyglass", "squabble", "squadron",
+  "squalled", "squander", "squarely", "squarest", "squaring", "squashed", "squashes", "squatted", "squatter", "squawked",
+  "squeaked", "squealed", "squealer", "squeegee", "squeezed", "squeezer", "squeezes", "squiggle", "squiggly", "squinted",
+  "squinter", "squiring", "squirmed", "squirrel", "squirted", "squished", "squishes", "sriracha", "stabbing", "stablest",
+  "stabling", "staccato", "stacking", "stadiums", "staffers", "staffing", "staggers", "stagings", "stagnant", "stagnate",
+  "staidest", "staining", "stairway", "stakeout", "stalkers", "stalking", "stalling", "stallion", "stalwart", "stammers",
+  "stampede", "stamping", "stanched", "stancher", "stanches", "standbys", "standoff", "standout", "staplers", "stapling",
+  "starched", "starches", "starfish", "starkest", "starless", "starlets", "starling", "starrier", "starring", "starters",
+  "startled", "startles", "startups", "starving", "stashing", "stations", "statuary", "statures", "statuses", "statutes",
+  "steadied", "steadier", "steadies", "steadily", "stealing", "stealthy", "steamers", "steamier", "steaming", "steelier",
+  "steeling", "steepest", "steeping", "steeples", "steerage", "steering", "stemming", "stenches", "stencils", "stepdads",
+  "stepmoms", "stepping", "stepsons", "sterling", "sternest", "sternums", "steroids", "stewards", "stickers", "stickier",
+  "stickies", "stickler", "stickpin", "stickups", "stiffens", "stiffest", "stiffing", "stifling", "stigmata", "stiletto",
+  "stillest", "stilling", "stimulus", "stingers", "stingier", "stingily", "stinging", "stingray", "stinkers", "stinking",
+  "stinting", "stipends", "stippled", "stipples", "stirrers", "stirring", "stirrups", "stitched", "stitches", "stockade",
+  "stockier", "stocking", "stodgier", "stoicism", "stolider", "stolidly", "stomachs", "stomping", "stoniest", "stooping",
+  "stopcock", "stopgaps", "stopover", "stoppage", "stoppers", "stormier", "stormily", "storming", "stoutest", "stowaway",
+  "straddle", "strafing", "straggle", "straggly", "strained", "strainer", "straiten", "stranded", "stranger", "strangle",
+  "strapped", "stratify", "strawing", "straying", "streaked", "streamed", "streamer", "stressed", "stresses", "stretchy",
+  "strewing", "striated", "stricken", "stricter", "stridden", "strident", "striding", "strikers", "stringed", "stringer",
+  "striping", "stripped", "stripper", "striving", "stroking", "strolled", "stroller", "stronger", "strophes", "stropped",
+  "strudels", "struggle", "strummed", "strumpet", "strutted", "stubbier", "stubbing", "stubborn", "stuccoed", "stuccoes",
+  "studding", "students", "studious", "stuffier", "stuffily", "stuffing", "stultify", "stumbled", "stumbler", "stumbles",
+  "stumpier", "stumping", "stunning", "stunting", "stupider", "stupidly", "sturdier", "sturdily", "sturgeon", "stutters",
+  "stylists", "stylized", "stylizes", "styluses", "styptics", "subclass", "subduing", "subgroup", "subheads", "subhuman",
+  "subjects", "subjoins", "sublease", "sublimed", "sublimer", "sublimes", "submerge", "submerse", "suborned", "subplots",
+  "subpoena", "subprime", "subsided", "subsides", "subsists", "subsonic", "subspace", "subsumed", "subsumes", "subteens",
+  "subtitle", "subtlest", "subtlety", "subtotal", "subtract", "suburban", "suburbia", "subverts", "succeeds", "succinct",
+  "succored", "succumbs", "suchlike", "suckered", "suckling", "suctions", "sudsiest", "sufferer", "sufficed", "suffices",
+  "suffixed", "suffixes", "suffrage", "suffused", "suffuses", "sugarier", "sugaring", "suggests", "suicidal", "suicides",
+  "suitcase", "sukiyaki", "sulfates", "sulfides", "sulfured", "sulfuric", "sulkiest", "sullener", "sullenly", "sullying",
+  "sultanas", "sultrier", "summered", "summitry", "summoned", "summoner", "sunbathe", "sunbeams", "sunblock", "sunburns",
+  "sundered", "sundials", "sundowns", "sundries", "sunlamps", "sunlight", "sunniest", "sunrises", "sunroofs", "sunshine",
+  "sunspots", "superber", "superbly", "superego", "superman", "supermen", "supplant", "supplest", "supplier", "supplies",
+  "supports", "supposes", "suppress", "surcease", "surefire", "sureness", "sureties", "surfaced", "surfaces", "surfeits",
+  "surgeons", "surgical", "surliest", "surmised", "surmises", "surmount", "surnames", "surplice", "surround", "surtaxed",
+  "surtaxes", "surveyed", "surveyor", "survival", "survives", "survivor", "suspects", "suspends", "suspense", "sustains",
+  "suturing", "sveltest", "swabbing", "swaddled", "swaddles", "swaggers", "swagging", "swallows", "swampier", "swamping",
+  "swankest", "swankier", "swanking", "swapping", "swarming", "swashing", "swastika", "swatches", "swathing", "swatters",
+  "swatting", "swearers", "swearing", "sweaters", "sweatier", "sweating", "sweepers", "sweeping", "sweetens", "sweetest",
+  "sweeties", "sweetish", "swellest", "swelling", "swelters", "swerving", "swiftest", "swigging", "swilling", "swimmers",
+  "swimming", "swimsuit", "swindled", "swindler", "swindles", "swingers", "swinging", "swirling", "swishest", "swishing",
+  "switcher", "switches", "swiveled", "swooning", "swooping", "sybarite", "sycamore", "syllabic", "syllable", "syllabus",
+  "symbolic", "symmetry", "sympathy", "symphony", "symptoms", "synapses", "syndrome", "synonyms", "synopses", "synopsis",
+  "syphilis", "syringed", "syringes", "systemic", "systolic", "tableaux", "tabloids", "tabooing", "tabulate", "taciturn",
+  "tackiest", "tacklers", "tackling", "tactical", "tactless", "tadpoles", "tailcoat", "tailgate", "tailless", "tailored",
+  "tailpipe", "tailspin", "tailwind", "tainting", "takeoffs", "takeouts", "takeover", "talented", "talisman", "tallness",
+  "tallyhos", "tallying", "tamarind", "tameness", "tampered", "tanagers", "tangelos", "tangents", "tangible", "tangibly",
+  "tangiest", "tangling", "tangoing", "tankards", "tankfuls", "tantrums", "tapering", "tapestry", "tapeworm", "taprooms",
+  "taproots", "tardiest", "targeted", "tarragon", "tarriest", "tarrying", "tartness", "tasering", "tasseled", "tasteful",
+  "tastiest", "tattered", "tattlers", "tattling", "tattooed", "taunting", "tautness", "tawdrier", "tawniest", "taxation",
+  "taxicabs", "taxonomy", "taxpayer", "teachers", "tealight", "teammate", "teamster", "teamwork", "teardrop", "teariest",
+  "tearooms", "teaspoon", "teenager", "teeniest", "teetered", "teething", "teetotal", "telecast", "telegram", "telethon",
+  "teletype", "televise", "telexing", "telltale", "temblors", "temerity", "temperas", "tempered", "tempests", "template",
+  "temporal", "tempters", "tempting", "tenacity", "tenanted", "tendered", "tenderer", "tenderly", "tendrils", "tenement",
+  "tenoning", "tensions", "tentacle", "tenuring", "tequilas", "terabits", "terabyte", "terminus", "termites", "terraced",
+  "terraces", "terrains", "terrapin", "terrible", "terriers", "terrific", "tertiary", "testable", "testates", "testicle",
+  "testiest", "tethered", "textbook", "textiles", "textural", "textured", "textures", "thalamus", "thallium", "thankful",
+  "thanking", "thatched", "thatcher", "thatches", "theaters", "theistic", "thematic", "theology", "theorems", "theories",
+  "theorist", "theorize", "thermals", "thesauri", "thespian", "thiamine", "thickens", "thickest", "thickets", "thickset",
+  "thievery", "thieving", "thievish", "thimbles", "thinkers", "thinners", "thinness", "thinnest", "thinning", "thirsted",
+  "thirteen", "thirties", "thistles", "thoracic", "thoraxes", "thornier", "thorough", "thoughts", "thralled", "thrashed",
+  "thrasher", "thrashes", "threaded", "threaten", "threnody", "threshed", "thresher", "threshes", "thrilled", "thriller",
+  "thriving", "throbbed", "thronged", "throttle", "throwers", "thrummed", "thrushes", "thruways", "thudding", "thumbing",
+  "thumping", "thunders", "thwacked", "thwarted", "thymuses", "thyroids", "ticketed", "tickling", "ticklish", "tidiness",
+  "tightens", "tightest", "tightwad", "tillable", "timbered", "timeless", "timelier", "timeline", "timeworn", "timezone",
+  "timidest", "timidity", "timorous", "tincture", "tingeing", "tingling", "tinkered", "tinkling", "tinniest", "tinseled",
+  "tinsmith", "tipplers", "tippling", "tipsiest", "tipsters", "tiredest", "tireless", "tiresome", "titanium", "titmouse",
+  "tittered", "toadying", "toasters", "toastier", "toasting", "tobaccos", "toboggan", "toddlers", "toddling", "toeholds",
+  "toenails", "toggling", "toileted", "toiletry", "toilette", "toilsome", "tokenism", "tolerant", "tolerate", "tollgate",
+  "tomahawk", "tomatoes", "tonality", "toneless", "tonguing", "tonnages", "tonsured", "tonsures", "toolbars", "toothier",
+  "topcoats", "topknots", "topmasts", "topology", "toppings", "toppling", "topsails", "topsides", "torching", "toreador",
+  "torments", "torquing", "torrents", "tortilla", "tortoise", "tortuous", "tortured", "torturer", "tortures", "totaling",
+  "totality", "tottered", "touchier", "toughens", "toughest", "tourists", "tourneys", "tousling", "toweling", "towering",
+  "towheads", "township", "townsman", "townsmen", "towpaths", "toxicity", "tracheae", "tracings", "trackers", "tracking",
+  "traction", "tractors", "traduced", "traduces", "traffics", "trailers", "trailing", "trainees", "trainers", "traipsed",
+  "traipses", "traitors", "trammels", "tramming", "tramping", "trampled", "tramples", "tranquil", "transact", "transept",
+  "transfix", "transits", "transmit", "transoms", "trapdoor", "trapezes", "trappers", "trashcan", "trashier", "trashing",
+  "travails", "traveled", "traveler", "traverse", "travesty", "trawlers", "trawling", "treading", "treadled", "treadles",
+  "treasure", "treasury", "treaties", "treatise", "trebling", "treeless", "treetops", "trefoils", "trekking", "trembled",
+  "trembles", "tremolos", "trenched", "trenches", "trendier", "trendies", "trending", "trespass", "trestles", "trialing",
+  "triangle", "tribunal", "tribunes", "tributes", "trickery", "trickier", "tricking", "trickled", "trickles", "tricolor",
+  "tricycle", "tridents", "trifecta", "triflers", "trifling", "triggers", "trilling", "trillion", "trimaran", "trimmers",
+  "trimmest", "trimming", "trimness", "trinkets", "triplets", "tripling", "tripping", "triptych", "trisects", "triumphs",
+  "trochees", "trolleys", "trolling", "trollops", "trombone", "tromping", "troopers", "trooping", "trophies", "tropical",
+  "tropisms", "trotters", "trotting", "troubled", "troubles", "trounced", "trounces", "troupers", "trouping", "trousers",
+  "troweled", "truanted", "truckers", "trucking", "truckled", "truckles", "trudging", "truffles", "trumpery", "trumpets",
+  "trumping", "truncate", "trundled", "trundles", "trunking", "trussing", "trustees", "trustful", "trustier", "trusties",
+  "truthers", "truthful", "trysting", "tsunamis", "tubbiest", "tubeless", "tubercle", "tuberous", "tuckered", "tugboats",
+  "tumblers", "tumbling", "tumbrels", "tuneless", "tungsten", "tunneled", "turbines", "turbojet", "turgidly", "turmeric",
+  "turmoils", "turncoat", "turnkeys", "turnoffs", "turnouts", "turnover", "turnpike", "tussling", "tussocks", "tutelage",
+  "tutorial", "tutoring", "twaddled", "twaddles", "twanging", "tweaking", "tweedier", "tweeters", "tweeting", "tweezers",
+  "twelfths", "twenties", "twerking", "twiddled", "twiddles", "twiggier", "twigging", "twilight", "twinging", "twinkled",
+  "twinkles", "twinning", "twirlers", "twirling", "twisters", "twisting", "twitched", "twitches", "twitters", "twitting",
+  "twosomes", "tympanum", "typecast", "typeface", "typesets", "typhoons", "typified", "typifies", "ubiquity", "ugliness",
+  "ukuleles", "ulcerate", "ulcerous", "ulterior", "ululated", "ululates", "umbilici", "umbrella", "umpiring", "unabated",
+  "unafraid", "unawares", "unbarred", "unbeaten", "unbelief", "unbiased", "unbidden", "unblocks", "unbolted", "unbosoms",
+  "unbroken", "unbuckle", "unburden", "unbutton", "uncalled", "uncaring", "unclasps", "unclothe", "uncoiled", "uncommon",
+  "uncooked", "uncorked", "uncouple", "uncovers", "unctions", "unctuous", "underact", "underage", "underarm", "underbid",
+  "undercut", "underdog", "underfed", "underlay", "underlie", "underpay", "underpin", "undersea", "undertow", "undoings",
+  "undulant", "undulate", "unearned", "unearths", "uneasier", "uneasily", "unedited", "unending", "unerring", "unevenly",
+  "unfairer", "unfairly", "unfasten", "unfetter", "unfilled", "unfitted", "unfolded", "unformed", "unfriend", "unfrocks",
+  "unfurled", "ungainly", "unguents", "ungulate", "unhanded", "unharmed", "unheeded", "unhinged", "unhinges", "unholier",
+  "unhooked", "unhorsed", "unhorses", "unicorns", "unicycle", "uniforms", "unifying", "unionize", "uniquely", "uniquest",
+  "universe", "unjustly", "unkinder", "unkindly", "unknowns", "unlacing", "unlawful", "unleaded", "unlearns", "unlisted",
+  "unloaded", "unlocked", "unloosed", "unlooses", "unmaking", "unmanned", "unmarked", "unmasked", "unmissed", "unneeded",
+  "unnerved", "unnerves", "unopened", "unpacked", "unpinned", "unproved", "unproven", "unquoted", "unquotes", "unravels",
+  "unripest", "unrolled", "unrulier", "unsaddle", "unsafest", "unsalted", "unsavory", "unsaying", "unscrews", "unsealed",
+  "unseated", "unseeing", "unseemly", "unsettle", "unshaven", "unsigned", "unsnarls", "unsolved", "unspoken", "unstable",
+  "unstated", "unsteady", "unstrung", "unsubtle", "unsuited", "untangle", "untapped", "untaught", "untested", "untidier",
+  "untimely", "untiring", "untitled", "untoward", "untruest", "untruths", "untwists", "unusable", "unveiled", "unvoiced",
+  "unwarier", "unwashed", "unwieldy", "unwisely", "unwisest", "unwonted", "unworthy", "unzipped", "upbraids", "upchucks",
+  "upcoming", "updrafts", "upending", "upgraded", "upgrades", "upheaval", "uplifted", "upmarket", "uppercut", "upraised",
+  "upraises", "uprights", "uprising", "uprooted", "upstaged", "upstages", "upstairs", "upstarts", "upstream", "upsurged",
+  "upsurges", "upswings", "upturned", "upwardly", "urbanest", "urbanity", "urbanize", "urethrae", "urgently", "urinated",
+  "urinates", "usefully", "username", "ushering", "usurious", "usurpers", "usurping", "utensils", "utilized", "utilizes",
+  "uttering", "vacantly", "vacating", "vaccines", "vacuumed", "vagabond", "vagaries", "vagrancy", "vagrants", "valances",
+  "valences", "valeting", "validate", "valorous", "vamoosed", "vamooses", "vampires", "vanadium", "vanguard", "vanillas",
+  "vanished", "vanishes", "vanities", "vanquish", "vantages", "vapidity", "vaporize", "vaporous", "variably", "variance",
+  "variants", "varicose", "varmints", "vascular", "vastness", "vaulters", "vaulting", "vaunting", "vectored", "vegetate",
+  "vehement", "vehicles", "velocity", "venality", "vendetta", "veneered", "venerate", "venereal", "vengeful", "venomous",
+  "ventured", "ventures", "veracity", "verandas", "verbally", "verbatim", "verbenas", "verbiage", "verdicts", "verified",
+  "verifies", "verities", "vermouth", "versions", "vertebra", "vertexes", "vertical", "vertices", "vesicles", "vestiges",
+  "vestment", "vestries", "veterans", "vexation", "viaducts", "vibrancy", "vibrated", "vibrates", "vibrator", "vibratos",
+  "viburnum", "vicarage", "viceroys", "vicinity", "victuals", "viewings", "vigilant", "vignette", "vigorous", "vileness",
+  "vilified", "vilifies", "villager", "villages", "villains", "villainy", "villeins", "vinegary", "vineyard", "vintages",
+  "vintners", "violable", "violated", "violates", "violator", "violence", "violists", "viragoes", "virginal", "virgules",
+  "virility", "virology", "virtuoso", "virtuous", "virulent", "visceral", "viscount", "visioned", "visiting", "visitors",
+  "visually", "vitality", "vitalize", "vitamins", "vitiated", "vitiates", "vitreous", "vivacity", "vividest", "vivified",
+  "vivifies", "vixenish", "vocalist", "vocalize", "vocation", "vocative", "volatile", "volcanic", "volition", "volleyed",
+  "voltages", "vomiting", "voodooed", "voracity", "vortexes", "votaries", "vouchers", "vouching", "voyagers", "voyaging",
+  "vulgarer", "vulgarly", "vultures", "vuvuzela", "wackiest", "waddling", "waffling", "wagering", "waggling", "wagoners",
+  "wainscot", "waitress", "wakening", "walkouts", "walkways", "walleyed", "walleyes", "walloped", "wallowed", "walruses",
+  "waltzing", "wandered", "wanderer", "wangling", "wannabes", "wantoned", "wantonly", "warblers", "warbling", "wardrobe",
+  "wardroom", "warheads", "warhorse", "wariness", "warlocks", "warlords", "warnings", "warpaths", "warrants", "warranty",
+  "warriors", "warships", "warthogs", "wartiest", "washable", "washbowl", "washings", "washouts", "washroom", "washtubs",
+  "wassails", "wasteful", "wastrels", "watchdog", "watchers", "watchful", "watchman", "watchmen", "waterbed", "waterier",
+  "watering", "waterway", "wattling", "waveform", "wavelets", "wavering", "waviness", "waxiness", "waxwings", "waxworks",
+  "wayfarer", "waysides", "weakened", "weakfish", "weakling", "weakness", "weaponry", "wearable", "weariest", "wearying",
+  "weaseled", "weathers", "webcasts", "webinars", "webisode", "websites", "weddings", "weediest", "weekdays", "weekends",
+  "weeklies", "weepiest", "weepings", "weighing", "weighted", "weirdest", "welcomes", "welshing", "weltered", "werewolf",
+  "westerly", "westerns", "westward", "wetbacks", "wetlands", "whacking", "whammies", "whamming", "wheedled", "wheedles",
+  "wheeling", "wheezier", "wheezing", "whelping", "whetting", "whiffing", "whimpers", "whimsies", "whiniest", "whinnied",
+  "whinnies", "whipcord", "whiplash", "whippets", "whipping", "whirling", "whirring", "whiskers", "whiskeys", "whisking",
+  "whispers", "whistled", "whistler", "whistles", "whitecap", "whitened", "whitener", "whitings", "whittled", "whittler",
+  "whittles", "whizzing", "whodunit", "whomever", "whoopees", "whooping", "whooshed", "whooshes", "whoppers", "whopping",
+  "wickeder", "wickedly", "wideness", "widening", "widowers", "widowing", "wielding", "wigglers", "wigglier", "wiggling",
+  "wildcats", "wildfire", "wildfowl", "wildlife", "wildness", "wiliness", "wimpiest", "wimpling", "winching", "windbags",
+  "windburn", "windfall", "windiest", "windlass", "windmill", "windowed", "windpipe", "windsock", "windsurf", "windward",
+  "wineries", "wingless", "wingnuts", "wingspan", "wingtips", "winnings", "winnowed", "winsomer", "wintered", "wintrier",
+  "wireless", "wiretaps", "wiriness", "wiseacre", "wishbone", "wispiest", "wisteria", "witchery", "witching", "withdrew",
+  "withered", "withheld", "withhold", "wittiest", "wizardry", "wobblier", "wobbling", "woefully", "womanish", "womanize",
+  "wondrous", "woodbine", "woodcock", "woodcuts", "woodener", "woodenly", "woodiest", "woodland", "woodpile", "woodshed",
+  "woodsier", "woodsman", "woodsmen", "woodwind", "woodwork", "woodworm", "woollier", "woollies", "wooziest", "wordiest",
+  "wordings", "wordplay", "workable", "workaday", "workbook", "workdays", "workfare", "workflow", "workings", "workload",
+  "workouts", "workshop", "workweek", "wormhole", "wormiest", "wormwood", "worriers", "worsened", "worships", "worsting",
+  "worthier", "worthies", "worthily", "wounding", "wrangled", "wrangler", "wrangles", "wrappers", "wrapping", "wrathful",
+  "wreaking", "wreathed", "wreathes", "wreckage", "wreckers", "wrecking", "wrenched", "wrenches", "wresting", "wrestled",
+  "wrestler", "wrestles", "wretched", "wretches", "wriggled", "wriggler", "wriggles", "wringers", "wringing", "wrinkled",
+  "wrinkles", "writable", "writhing", "writings", "wrongest", "wrongful", "wronging", "yachting", "yammered", "yardages",
+  "yardarms", "yarmulke", "yearbook", "yearlies", "yearling", "yearning", "yeastier", "yellowed", "yellower", "yeshivas",
+  "yielding", "yodelers", "yodeling", "youngest", "youngish", "youthful", "yuckiest", "yuletide", "yummiest", "zaniness",
+  "zeppelin", "zillions", "zincking", "zippered", "zippiest", "zodiacal", "zucchini", "zwieback"
+];
+
+/* ── Lookup tables keyed by word length (4–8) ──────────────── */
+const ANSWERS_BY_LENGTH = {
+  4: ANSWERS_4,
+  5: ANSWERS,
+  6: ANSWERS_6,
+  7: ANSWERS_7,
+  8: ANSWERS_8
+};
+
+const VALID_WORDS_BY_LENGTH = {
+  4: new Set([...ANSWERS_4, ...EXTENDED_WORDS_4]),
+  5: ALL_VALID_WORDS,
+  6: new Set([...ANSWERS_6, ...EXTENDED_WORDS_6]),
+  7: new Set([...ANSWERS_7, ...EXTENDED_WORDS_7]),
+  8: new Set([...ANSWERS_8, ...EXTENDED_WORDS_8])
+};
+
+// Node (engine.js, bots, tests) — in the browser these are plain globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ANSWERS, EXTENDED_WORDS, ALL_VALID_WORDS, ANSWERS_BY_LENGTH, VALID_WORDS_BY_LENGTH };
+}